@@ -1,9 +1,15 @@
-/* global fetch */
-import React, { useState, useEffect, Suspense, lazy } from 'react';
+/* global fetch, AbortController, clearTimeout */
+import React, { useState, useEffect, useRef, Suspense, lazy } from 'react';
 import AIKeyInput from './components/AIKeyInput.jsx';
+import ProfileSwitcher from './components/ProfileSwitcher.jsx';
 import EnhancedErrorBoundary from './components/EnhancedErrorBoundary.jsx';
-// ThemeProvider removed due to hook issues
 import { performanceMonitor, startPerformanceMonitoring } from './utils/performanceMonitor';
+import { getStoredAPIKeyData } from './utils/llmProvider';
+import { domainVocabulary } from './utils/domainVocabulary';
+import { passageIndex } from './utils/passageIndex';
+import { profileManager } from './utils/profiles';
+import { i18n, t } from './utils/i18n';
+import { appearance } from './utils/appearance';
 
 // Lazy load heavy components for better performance
 const ImportTab = lazy(() => import('./components/ImportTab.jsx'));
@@ -12,42 +18,40 @@ const QuizTab = lazy(() => import('./components/QuizTab.jsx'));
 const LessonTab = lazy(() => import('./components/LessonTab.jsx'));
 const ReadingTab = lazy(() => import('./components/ReadingTab.jsx'));
 const DiagnosticsTab = lazy(() => import('./components/DiagnosticsTab.jsx'));
+const PlannerTab = lazy(() => import('./components/PlannerTab.jsx'));
 const FileUploadTab = lazy(() => import('./components/FileUploadTab.jsx'));
 
-// Application tabs configuration
+// Application tabs configuration; labels and descriptions come from the
+// message catalogues under tabs.<id>
 const TABS = [
-  { id: 'Chat', label: '💬 Chat', icon: '💬', description: 'Ask me anything' },
-  {
-    id: 'Reading',
-    label: '📖 Reading',
-    icon: '📖',
-    description: 'Study materials',
-  },
-  {
-    id: 'Lessons',
-    label: '📚 Lessons',
-    icon: '📚',
-    description: 'Interactive learning',
-  },
-  { id: 'Quiz', label: '🎯 Quiz', icon: '🎯', description: 'Test yourself' },
-  { id: 'Upload', label: '📤 Upload', icon: '📤', description: 'OCR & PDF upload' },
-  { id: 'Import', label: '📥 Import', icon: '📥', description: 'Add content' },
-  {
-    id: 'Diagnostics',
-    label: '⚙️ Settings',
-    icon: '⚙️',
-    description: 'Diagnostics',
-  },
+  { id: 'Chat', icon: '💬' },
+  { id: 'Reading', icon: '📖' },
+  { id: 'Lessons', icon: '📚' },
+  { id: 'Quiz', icon: '🎯' },
+  { id: 'Planner', icon: '🗓️' },
+  { id: 'Upload', icon: '📤' },
+  { id: 'Import', icon: '📥' },
+  { id: 'Diagnostics', icon: '⚙️' },
 ];
 
 function AppContent() {
-  // const { darkMode, toggleTheme } = useTheme();
-  const darkMode = false;
-  const toggleTheme = () => {};
+  const [theme, setTheme] = useState(() => appearance.resolveTheme());
+  const darkMode = theme !== 'light';
+  // The header button flips between light and dark; Settings also offers
+  // the system and high-contrast themes
+  const toggleTheme = () =>
+    appearance.update({ theme: darkMode ? 'light' : 'dark' });
   const [activeTab, setActiveTab] = useState('Chat');
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [topics, setTopics] = useState({});
-  const [apiKey, setApiKey] = useState('');
+  // The search index syncs only once the stored topics have been read
+  const [topicsLoaded, setTopicsLoaded] = useState(false);
+  const [profileId, setProfileId] = useState(() => profileManager.getActiveId());
+  const [locale, setLocale] = useState(() => i18n.getLocale());
+  const profileRef = useRef(profileId);
+  const [apiKey, setApiKey] = useState(
+    () => getStoredAPIKeyData()?.key || ''
+  );
 
   // Initialize performance monitoring and service worker
   useEffect(() => {
@@ -89,8 +93,22 @@ function AppContent() {
       }
     });
 
+    // Weekly model retraining runs in the ML worker once the app has settled
+    const trainingController = new AbortController();
+    const trainingTimer = setTimeout(() => {
+      import('./utils/mlTraining')
+        .then(({ MLTrainingUtils }) =>
+          MLTrainingUtils.runAutomatedTraining({ signal: trainingController.signal })
+        )
+        .catch((error) => {
+          console.warn('Automated ML training unavailable:', error);
+        });
+    }, 30000);
+
     return () => {
       unsubscribe();
+      clearTimeout(trainingTimer);
+      trainingController.abort();
     };
   }, []);
 
@@ -116,7 +134,11 @@ function AppContent() {
         const existingTopics = await storageModule.loadAllTopics();
 
         // If no topics exist, load sample data and demo lesson
-        if (Object.keys(existingTopics).length === 0) {
+        // (private libraries start empty)
+        if (
+          Object.keys(existingTopics).length === 0 &&
+          !profileManager.getTopicOwner()
+        ) {
           console.log('Loading sample data and demo lesson...');
 
           // Load sample data files
@@ -207,20 +229,69 @@ function AppContent() {
         // Set empty topics if everything fails
         setTopics({});
       }
+      setTopicsLoaded(true);
     };
 
     loadTopics();
   }, []);
 
+  // Switching profile swaps the topic library, and the tabs are remounted
+  // so they load the new learner's history and progress
+  useEffect(() => profileManager.subscribe(async (id) => {
+    if (id === profileRef.current) return;
+    profileRef.current = id;
+    setProfileId(id);
+    try {
+      const storageModule = await import('./utils/storage');
+      setTopics(await storageModule.loadAllTopics());
+    } catch (error) {
+      console.error('Error loading profile topics:', error);
+    }
+  }), []);
+
+  // Changing the interface language remounts the tabs in the new language
+  useEffect(() => i18n.subscribe(setLocale), []);
+
+  // Apply the profile's theme and reading preferences, and follow profile
+  // switches and the operating system's colour scheme
+  useEffect(() => {
+    const stop = appearance.start();
+    const unsubscribe = appearance.subscribe(() =>
+      setTheme(appearance.resolveTheme())
+    );
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, []);
+
+  // Fuzzy passage search stays on if the learner left it on
+  useEffect(() => passageIndex.restoreEmbeddingsPreference(), []);
+
+  // Keyword salience of new imports is measured against the stored topics,
+  // and new or re-imported topics are added to the chat search index
+  useEffect(() => {
+    domainVocabulary.setCorpus(topics);
+    if (topicsLoaded) passageIndex.sync(topics);
+  }, [topics, topicsLoaded]);
+
   // Handle topic creation from file uploads
   const handleTopicCreated = async (topic) => {
     try {
       const storageModule = await import('./utils/storage');
-      await storageModule.saveTopic(topic.topic, topic);
-      setTopics(prev => ({ ...prev, [topic.topic]: topic }));
+      const contentStats = await storageModule.saveTopic(topic.topic, topic);
+      // Chunks live in their own store; keep the topic record in memory
+      const savedTopic = { ...topic };
+      delete savedTopic.chunks;
+      setTopics(prev => ({
+        ...prev,
+        [topic.topic]: { ...savedTopic, contentStats: contentStats || savedTopic.contentStats }
+      }));
       console.log('Topic created from file upload:', topic.topic);
+      return contentStats;
     } catch (error) {
       console.error('Error saving uploaded topic:', error);
+      return null;
     }
   };
 
@@ -269,9 +340,23 @@ function AppContent() {
             />
           );
         case 'Chat':
-          return <ChatTab topics={topics} />;
+          return (
+            <ChatTab
+              topics={topics}
+              refreshTopics={async () => {
+                try {
+                  const storageModule = await import('./utils/storage');
+                  setTopics(await storageModule.loadAllTopics());
+                } catch (error) {
+                  console.error('Error refreshing topics:', error);
+                }
+              }}
+            />
+          );
         case 'Quiz':
           return <QuizTab topics={topics} />;
+        case 'Planner':
+          return <PlannerTab topics={topics} />;
         case 'Upload':
           return (
             <FileUploadTab
@@ -288,7 +373,7 @@ function AppContent() {
     })();
 
     return (
-      <Suspense fallback={<TabLoader />}>
+      <Suspense key={`${profileId}:${locale}`} fallback={<TabLoader />}>
         {tabContent}
       </Suspense>
     );
@@ -336,7 +421,7 @@ function AppContent() {
             ? 'bg-gray-800/90 hover:bg-gray-700/90 text-gray-200 border-gray-700'
             : 'bg-white/90 hover:bg-gray-50/90 text-gray-700 border-gray-200'
         }`}
-        aria-label="Toggle dark mode"
+        aria-label={t('appearance.toggleTheme')}
       >
         {darkMode ? (
           <svg
@@ -411,6 +496,7 @@ function AppContent() {
             </p>
           </div>
           <AIKeyInput apiKey={apiKey} setApiKey={setApiKey} />
+          <ProfileSwitcher />
         </div>
 
         {/* Navigation */}
@@ -455,7 +541,7 @@ function AppContent() {
                         activeTab === tab.id ? 'white' : 'var(--text-primary)',
                     }}
                   >
-                    {tab.label.replace(/[^\w\s]/gi, '').trim()}
+                    {t(`tabs.${tab.id}.label`)}
                   </div>
                   <div
                     className="text-sm truncate"
@@ -466,7 +552,7 @@ function AppContent() {
                           : 'var(--text-muted)',
                     }}
                   >
-                    {tab.description}
+                    {t(`tabs.${tab.id}.description`)}
                   </div>
                 </div>
               </div>
@@ -485,9 +571,9 @@ function AppContent() {
           >
             <p className="text-sm text-gray-600 dark:text-gray-300">
               <span className="font-semibold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
-                {Object.keys(topics).length}
+                {i18n.formatNumber(Object.keys(topics).length)}
               </span>{' '}
-              topics loaded
+              {t('app.topicsLoaded', { count: Object.keys(topics).length })}
             </p>
           </div>
         </div>
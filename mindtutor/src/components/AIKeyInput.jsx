@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-// import { useTheme } from '../contexts/ThemeContext';
+import { appearance } from '../utils/appearance';
 
 const AI_PROVIDERS = {
   openai: {
@@ -29,8 +29,8 @@ const AI_PROVIDERS = {
 };
 
 export default function AIKeyInput({ apiKey, setApiKey }) {
-  // const { darkMode } = useTheme();
-  const darkMode = false;
+  // Re-rendered by App when the theme changes
+  const darkMode = appearance.isDark();
   const [isEditing, setIsEditing] = useState(false);
   const [tempKey, setTempKey] = useState(apiKey);
   const [selectedProvider, setSelectedProvider] = useState('openai');
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { appearance, THEMES } from '../utils/appearance';
+import { t } from '../utils/i18n';
+import ReadingPreferences from './ReadingPreferences';
+
+/**
+ * Pick the colour theme and reading preferences of the active profile
+ */
+export default function AppearanceSettings() {
+  const [settings, setSettings] = useState(() => appearance.getSettings());
+
+  useEffect(() => appearance.subscribe(setSettings), []);
+
+  return (
+    <div
+      className="rounded-lg shadow-md p-6 mb-6"
+      style={{
+        backgroundColor: 'var(--surface-primary)',
+        border: '1px solid var(--border-primary)',
+      }}
+    >
+      <label
+        className="flex flex-wrap items-center gap-3 font-semibold"
+        style={{ color: 'var(--text-primary)' }}
+      >
+        <span className="text-2xl">🎨</span>
+        {t('appearance.theme')}
+        <select
+          value={settings.theme}
+          onChange={(e) => appearance.update({ theme: e.target.value })}
+          className="px-2 py-1 rounded border font-normal"
+          style={{
+            borderColor: 'var(--border-secondary)',
+            backgroundColor: 'var(--surface-primary)',
+            color: 'var(--text-primary)',
+          }}
+        >
+          {THEMES.map((theme) => (
+            <option key={theme} value={theme}>
+              {t(`appearance.themes.${theme}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <p className="text-sm mt-2" style={{ color: 'var(--text-secondary)' }}>
+        {t('appearance.themeHelp')}
+      </p>
+      <h3
+        className="font-semibold mt-4"
+        style={{ color: 'var(--text-primary)' }}
+      >
+        {t('appearance.reading')}
+      </h3>
+      <ReadingPreferences collapsible={false} />
+    </div>
+  );
+}
@@ -0,0 +1,352 @@
+import React, { useState } from 'react';
+import { exportAllData, importAllData } from '../utils/storage';
+import { readBackup } from '../utils/backupFormat';
+import { downloadFile } from '../utils/download';
+import { i18n } from '../utils/i18n';
+
+const STRATEGY_LABELS = {
+  skip: 'Skip existing',
+  overwrite: 'Overwrite existing',
+  keepBoth: 'Keep both',
+};
+
+const STORE_LABELS = {
+  topics: 'Topics',
+  topicChunks: 'Topic text chunks',
+  reviewCards: 'Review cards',
+  quizHistory: 'Quiz attempts',
+  chatHistory: 'Conversations',
+  diagnostics: 'Diagnostics',
+  userModels: 'Learner models',
+  studyPlans: 'Study plans',
+  preferences: 'Preferences',
+};
+
+const PARTS = [
+  { id: 'history', label: 'Quiz and chat history' },
+  { id: 'progress', label: 'Learner progress and study plans' },
+  { id: 'preferences', label: 'Preferences' },
+];
+
+/**
+ * Back up all data to a JSON file and restore selected parts of a backup
+ */
+export default function BackupPanel({ refresh }) {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [selectedTopics, setSelectedTopics] = useState([]);
+  const [parts, setParts] = useState({
+    history: true,
+    progress: true,
+    preferences: true,
+  });
+  const [strategy, setStrategy] = useState('skip');
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const importOptions = () => ({
+    topics: selectedTopics,
+    ...parts,
+    strategy,
+  });
+
+  const handleExport = async () => {
+    const data = await exportAllData();
+    if (!data) {
+      setStatus('❌ Could not export your data');
+      return;
+    }
+    downloadFile(
+      `mindtutor-backup-${data.exportDate.slice(0, 10)}.json`,
+      JSON.stringify(data, null, 2),
+      'application/json'
+    );
+    setStatus(`✅ Exported ${data.stores.topics.length} topics`);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const loaded = readBackup(await file.text());
+      setBackup(loaded);
+      setFileName(file.name);
+      setSelectedTopics(loaded.stores.topics.map((topic) => topic.name));
+      setPlan(null);
+      setStatus('');
+    } catch (error) {
+      setBackup(null);
+      setStatus(`❌ Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const toggleTopic = (name) => {
+    setPlan(null);
+    setSelectedTopics((current) =>
+      current.includes(name)
+        ? current.filter((topic) => topic !== name)
+        : [...current, name]
+    );
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    try {
+      setPlan(
+        await importAllData(backup, { ...importOptions(), dryRun: true })
+      );
+      setStatus('');
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const applied = await importAllData(backup, importOptions());
+      const written = applied.operations.filter(
+        (operation) => operation.record !== null
+      ).length;
+      const renamed = Object.entries(applied.renamedTopics)
+        .map(([from, to]) => `"${from}" → "${to}"`)
+        .join(', ');
+      setStatus(
+        `✅ Imported ${written} records from ${fileName}.${renamed ? ` Renamed ${renamed}.` : ''} Reload the app to apply imported preferences.`
+      );
+      setBackup(null);
+      setPlan(null);
+      if (refresh) refresh();
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      className="rounded-2xl shadow-xl p-8 mt-6"
+      style={{
+        backgroundColor: 'var(--surface-primary)',
+        border: '1px solid var(--border-primary)',
+      }}
+    >
+      <h3
+        className="text-2xl font-bold mb-2 flex items-center gap-3"
+        style={{ color: 'var(--text-primary)' }}
+      >
+        <span className="text-3xl">💾</span>
+        <span>Backup &amp; Restore</span>
+      </h3>
+      <p className="text-sm mb-4" style={{ color: 'var(--text-secondary)' }}>
+        Save topics, history, progress and preferences to a file. Restoring lets
+        you pick what to bring back and previews the changes first.
+      </p>
+
+      {status && (
+        <div
+          className="mb-4 p-3 rounded-lg text-sm"
+          style={{
+            backgroundColor: 'var(--surface-secondary)',
+            color: 'var(--text-primary)',
+          }}
+        >
+          {status}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <button
+          onClick={handleExport}
+          className="px-3 py-2 text-white rounded-lg text-sm font-medium"
+          style={{ backgroundColor: 'var(--accent-primary)' }}
+        >
+          ⬇️ Export backup
+        </button>
+        <label
+          className="px-3 py-2 rounded-lg text-sm font-medium cursor-pointer"
+          style={{
+            backgroundColor: 'var(--surface-tertiary)',
+            color: 'var(--text-primary)',
+          }}
+        >
+          Restore from backup…
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {backup && (
+        <div
+          className="p-4 rounded-lg space-y-4"
+          style={{ backgroundColor: 'var(--surface-secondary)' }}
+        >
+          <div className="text-sm" style={{ color: 'var(--text-secondary)' }}>
+            {fileName} • exported {i18n.formatDate(backup.exportDate)}
+          </div>
+          {backup.profile && (
+            <div className="text-sm" style={{ color: 'var(--text-primary)' }}>
+              This is {backup.profile.name}&apos;s profile export. It will be
+              imported into the profile you are using now.
+            </div>
+          )}
+
+          {backup.stores.topics.length > 0 && (
+            <fieldset>
+              <legend
+                className="font-semibold mb-1"
+                style={{ color: 'var(--text-primary)' }}
+              >
+                Topics
+              </legend>
+              <div className="flex flex-wrap gap-x-4 gap-y-1">
+                {backup.stores.topics.map((topic) => (
+                  <label
+                    key={topic.name}
+                    className="text-sm flex items-center gap-1"
+                    style={{ color: 'var(--text-primary)' }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedTopics.includes(topic.name)}
+                      onChange={() => toggleTopic(topic.name)}
+                    />
+                    {topic.name}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          )}
+
+          <fieldset className="flex flex-wrap gap-x-4 gap-y-1">
+            {PARTS.map((part) => (
+              <label
+                key={part.id}
+                className="text-sm flex items-center gap-1"
+                style={{ color: 'var(--text-primary)' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={parts[part.id]}
+                  onChange={() => {
+                    setPlan(null);
+                    setParts((current) => ({
+                      ...current,
+                      [part.id]: !current[part.id],
+                    }));
+                  }}
+                />
+                {part.label}
+              </label>
+            ))}
+          </fieldset>
+
+          <label
+            className="text-sm flex items-center gap-2"
+            style={{ color: 'var(--text-primary)' }}
+          >
+            When something already exists:
+            <select
+              value={strategy}
+              onChange={(e) => {
+                setPlan(null);
+                setStrategy(e.target.value);
+              }}
+              className="px-2 py-1 rounded border"
+              style={{
+                borderColor: 'var(--border-secondary)',
+                backgroundColor: 'var(--surface-primary)',
+                color: 'var(--text-primary)',
+              }}
+            >
+              {Object.entries(STRATEGY_LABELS).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {plan && Object.keys(plan.summary).length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr style={{ color: 'var(--text-secondary)' }}>
+                  <th className="text-left font-medium">What</th>
+                  <th className="text-right font-medium">New</th>
+                  <th className="text-right font-medium">Replaced</th>
+                  <th className="text-right font-medium">Renamed</th>
+                  <th className="text-right font-medium">Skipped</th>
+                  <th className="text-right font-medium">Unchanged</th>
+                </tr>
+              </thead>
+              <tbody style={{ color: 'var(--text-primary)' }}>
+                {Object.entries(plan.summary).map(([store, counts]) => (
+                  <tr key={store}>
+                    <td>{STORE_LABELS[store] || store}</td>
+                    <td className="text-right">{counts.add}</td>
+                    <td className="text-right">{counts.replace}</td>
+                    <td className="text-right">{counts.rename}</td>
+                    <td className="text-right">{counts.skip}</td>
+                    <td className="text-right">{counts.unchanged}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {plan && Object.keys(plan.summary).length === 0 && (
+            <div className="text-sm" style={{ color: 'var(--text-muted)' }}>
+              Nothing selected to import.
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={handlePreview}
+              disabled={busy}
+              className="px-3 py-2 rounded-lg text-sm font-medium"
+              style={{
+                backgroundColor: 'var(--surface-tertiary)',
+                color: 'var(--text-primary)',
+              }}
+            >
+              Preview changes
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={busy || !plan}
+              className="px-3 py-2 text-white rounded-lg text-sm font-medium"
+              style={{
+                backgroundColor: plan
+                  ? 'var(--accent-primary)'
+                  : 'var(--text-muted)',
+              }}
+              title={plan ? '' : 'Preview the changes first'}
+            >
+              Import
+            </button>
+            <button
+              onClick={() => {
+                setBackup(null);
+                setPlan(null);
+              }}
+              className="px-3 py-2 rounded-lg text-sm font-medium"
+              style={{ color: 'var(--text-secondary)' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,27 @@
+/* global AbortController, navigator */
 import React, { useState, useEffect, useRef } from 'react';
 import { findBestMatch, isGoodMatch } from '../utils/patternMatcher';
 import {
-  saveChatHistory,
-  loadChatHistory,
-  clearAllChatHistory,
+  loadConversations,
+  saveConversation,
+  deleteConversation,
+  saveTopic,
 } from '../utils/storage';
+import {
+  NEW_CONVERSATION_TITLE,
+  createConversation,
+  suggestConversationTitle,
+  searchConversations,
+  messageToFlashcard,
+  conversationToMarkdown,
+  conversationToHTML,
+} from '../utils/conversations';
+import { downloadFile } from '../utils/download';
+import { createProviderFromStorage, isAbortError } from '../utils/llmProvider';
+import { findCitedPages, formatPageCitation } from '../utils/pdfLayout';
+import { passageIndex } from '../utils/passageIndex';
+import { i18n, t } from '../utils/i18n';
+import MarkdownContent from './MarkdownContent';
 
 // Dynamically import aiCore with error handling
 let generateExplanation = null;
@@ -18,53 +35,292 @@ try {
   console.error('Failed to import aiCore in ChatTab:', error);
 }
 
-export default function ChatTab({ topics }) {
-  const [messages, setMessages] = useState([]);
+// Keep prompts small enough for cheap models
+const MAX_CONTEXT_CONCEPTS = 15;
+const MAX_CONTEXT_RAW_LENGTH = 6000;
+const MAX_HISTORY_MESSAGES = 6;
+const MAX_CITED_PAGES = 2;
+const MAX_CONTEXT_PASSAGES = 5;
+
+/**
+ * Source of a retrieved passage: its page, prefixed with its topic when that
+ * is not the topic the question was routed to
+ */
+function describePassageSource(passage, topicName) {
+  const page = passage.pageNumber != null ? formatPageCitation(passage) : '';
+  if (passage.topic === topicName) return page;
+  return page ? `${passage.topic}, ${page}` : passage.topic;
+}
+
+/**
+ * Pages covered by the retrieved passages, carrying the passages' full text
+ * so citations are not limited to the page previews stored on the topic
+ */
+function buildPassagePages(passages) {
+  const pages = new Map();
+  for (const passage of passages) {
+    if (passage.pageNumber == null) continue;
+    const page = pages.get(passage.pageNumber) || {
+      pageNumber: passage.pageNumber,
+      pageLabel: passage.pageLabel,
+      headings: [],
+      text: '',
+    };
+    page.text += `${passage.text}\n`;
+    pages.set(passage.pageNumber, page);
+  }
+  return [...pages.values()];
+}
+
+/**
+ * Study material for the prompt: the passages retrieved for the question,
+ * page-tagged text for PDFs so the model can cite pages, otherwise the
+ * topic's raw text
+ */
+function buildStudyMaterial(topic) {
+  if (Array.isArray(topic.passages) && topic.passages.length > 0) {
+    const material = topic.passages
+      .map((passage) => {
+        const source = describePassageSource(passage, topic.topic);
+        return source ? `[${source}]\n${passage.text}` : passage.text;
+      })
+      .join('\n\n');
+    return material.substring(0, MAX_CONTEXT_RAW_LENGTH);
+  }
+
+  if (!Array.isArray(topic.sourcePages) || topic.sourcePages.length === 0) {
+    return (topic.raw || '').substring(0, MAX_CONTEXT_RAW_LENGTH);
+  }
+
+  let material = '';
+  for (const page of topic.sourcePages) {
+    const entry = `[${formatPageCitation(page)}]\n${page.text}\n\n`;
+    if (material.length + entry.length > MAX_CONTEXT_RAW_LENGTH) break;
+    material += entry;
+  }
+  return material.trim();
+}
+
+/**
+ * Build the chat messages sent to a remote model, grounding it in the
+ * matched topic's concepts and source text
+ * @param {Object} topic - Matched topic object
+ * @param {string} query - Learner's question
+ * @param {Array} history - Previous chat messages
+ * @returns {Array<Object>} - [{ role, content }]
+ */
+function buildTutorMessages(topic, query, history) {
+  const concepts = (topic.concepts || [])
+    .slice(0, MAX_CONTEXT_CONCEPTS)
+    .map((c) => `- ${c.concept}: ${c.definition || ''}`.trim())
+    .join('\n');
+  const raw = buildStudyMaterial(topic);
+  const hasSources =
+    topic.passages?.length > 0
+      ? topic.passages.some((p) => describePassageSource(p, topic.topic))
+      : Array.isArray(topic.sourcePages) && topic.sourcePages.length > 0;
+
+  const system = [
+    `You are MindTutor, a patient tutor helping a student study "${topic.topic}".`,
+    'Answer using the study material below. If the material does not cover the question, say so briefly before answering from general knowledge.',
+    'Keep answers focused, use short Markdown sections and end with one follow-up question.',
+    hasSources
+      ? 'The material is tagged with its source, like [p. 12] or [Other topic, p. 3]; cite the sources you used, e.g. (p. 12).'
+      : '',
+    concepts ? `\nKey concepts:\n${concepts}` : '',
+    raw ? `\nStudy material:\n${raw}` : '',
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  const turns = history
+    .filter((msg) => msg.role === 'user' || msg.role === 'assistant')
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map((msg) => ({ role: msg.role, content: msg.content }));
+
+  return [
+    { role: 'system', content: system },
+    ...turns,
+    { role: 'user', content: query },
+  ];
+}
+
+const NO_MESSAGES = [];
+
+// Most recently active first
+const byLastActivity = (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt);
+
+const sideButtonStyle = {
+  backgroundColor: 'var(--surface-secondary)',
+  border: '1px solid var(--border-primary)',
+  color: 'var(--text-primary)',
+};
+
+export default function ChatTab({ topics, refreshTopics }) {
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [highlight, setHighlight] = useState(null); // Message opened from search
+  const [regenerating, setRegenerating] = useState(null); // Index being redone
+  const [notice, setNotice] = useState('');
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [lastTopic, setLastTopic] = useState(null); // Remember the last topic used
+  const [streamingContent, setStreamingContent] = useState('');
+  const [isRemoteRequest, setIsRemoteRequest] = useState(false);
+  const [fuzzySearch, setFuzzySearch] = useState(() =>
+    passageIndex.getEmbeddingsEnabled()
+  );
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const unsavedRef = useRef(new Set()); // Ids of conversations to save
+
+  const activeConversation =
+    conversations.find((conversation) => conversation.id === activeId) || null;
+  const messages = activeConversation?.messages || NO_MESSAGES;
+  const searchResults = searchConversations(conversations, searchQuery);
 
   useEffect(() => {
-    // Load chat history on component mount
-    loadChatHistory().then(setMessages).catch(console.error);
+    // Load conversations on component mount; start one if there are none
+    loadConversations()
+      .then((loaded) => {
+        const list = loaded.length > 0 ? loaded : [createConversation()];
+        setConversations(list);
+        setActiveId(list[0].id);
+      })
+      .catch(console.error);
   }, []);
 
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+    if (highlight === null) {
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [messages, streamingContent, highlight]);
+
+  useEffect(() => {
+    if (highlight !== null) {
+      document
+        .getElementById(`chat-message-${highlight}`)
+        ?.scrollIntoView({ block: 'center' });
+    }
+  }, [activeId, highlight]);
 
+  // Cancel any in-flight model request when leaving the tab
   useEffect(() => {
-    saveChatHistory(messages);
-  }, [messages]);
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Only conversations that changed are written back
+  useEffect(() => {
+    conversations
+      .filter((conversation) => unsavedRef.current.has(conversation.id))
+      .forEach((conversation) => saveConversation(conversation));
+    unsavedRef.current.clear();
+  }, [conversations]);
+
+  /**
+   * Change one conversation and mark it for saving
+   */
+  const updateConversation = (id, update) => {
+    unsavedRef.current.add(id);
+    setConversations((prev) =>
+      prev.map((conversation) =>
+        conversation.id === id
+          ? { ...update(conversation), updatedAt: new Date().toISOString() }
+          : conversation
+      )
+    );
+  };
+
+  const openConversation = (id, messageIndex = null) => {
+    setActiveId(id);
+    setHighlight(messageIndex);
+    // Follow-ups should not carry over from another conversation
+    setLastTopic(null);
+  };
 
   const handleSend = () => {
-    if (!input.trim()) return;
+    if (!input.trim() || !activeConversation) return;
 
+    const query = input.trim();
+    const { id, topic, messages: history } = activeConversation;
     const userMessage = {
       role: 'user',
-      content: input.trim(),
+      content: query,
       timestamp: new Date().toISOString(),
     };
 
-    setMessages((prev) => [...prev, userMessage]);
+    updateConversation(id, (conversation) => ({
+      ...conversation,
+      // Name new conversations after their first question
+      title:
+        conversation.messages.length === 0 &&
+        conversation.title === NEW_CONVERSATION_TITLE
+          ? suggestConversationTitle(query)
+          : conversation.title,
+      messages: [...conversation.messages, userMessage],
+    }));
     setInput('');
+    setHighlight(null);
+    requestAnswer(query, {
+      history,
+      pinnedTopic: topic,
+      deliver: (message) =>
+        updateConversation(id, (conversation) => ({
+          ...conversation,
+          messages: [...conversation.messages, message],
+        })),
+    });
+  };
+
+  /**
+   * Answer the question at the end of history and hand the reply to
+   * deliver, which files it in the conversation it was asked in
+   */
+  const requestAnswer = (query, { history, pinnedTopic, deliver }) => {
     setIsTyping(true);
 
     // Simulate AI thinking delay
     setTimeout(async () => {
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      let streamed = '';
+
       try {
-        const response = await generateResponse(input.trim());
+        const response = await generateResponse(query, {
+          signal: controller.signal,
+          onDelta: (delta) => {
+            streamed += delta;
+            setStreamingContent(streamed);
+          },
+          history,
+          pinnedTopic,
+        });
 
         const aiMessage = {
           role: 'assistant',
           content: response.content,
           topic: response.topicName,
+          source: response.source,
+          citations: response.citations,
           timestamp: new Date().toISOString(),
         };
 
-        setMessages((prev) => [...prev, aiMessage]);
+        deliver(aiMessage);
       } catch (error) {
+        if (isAbortError(error)) {
+          // Keep whatever arrived before the learner pressed Stop
+          if (streamed) {
+            deliver({
+              role: 'assistant',
+              content: `${streamed}\n\n_(stopped)_`,
+              topic: null,
+              source: 'llm',
+              timestamp: new Date().toISOString(),
+            });
+          }
+          return;
+        }
         console.error('Error generating response:', error);
         const errorMessage = {
           role: 'assistant',
@@ -73,34 +329,69 @@ export default function ChatTab({ topics }) {
           topic: null,
           timestamp: new Date().toISOString(),
         };
-        setMessages((prev) => [...prev, errorMessage]);
+        deliver(errorMessage);
       } finally {
+        abortControllerRef.current = null;
+        setStreamingContent('');
+        setRegenerating(null);
         setIsTyping(false);
       }
     }, 800);
   };
 
-  const generateResponse = async (query) => {
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  /**
+   * Answer with the configured remote model, streaming deltas to the UI
+   */
+  const generateRemoteResponse = async (provider, topic, query, options) => {
+    const chatMessages = buildTutorMessages(
+      topic,
+      query,
+      options.history || []
+    );
+    let content = '';
+
+    setIsRemoteRequest(true);
+    try {
+      for await (const delta of provider.stream(chatMessages, {
+        signal: options.signal,
+      })) {
+        content += delta;
+        options.onDelta?.(delta);
+      }
+    } finally {
+      setIsRemoteRequest(false);
+    }
+
+    if (!content.trim()) {
+      throw new Error('Provider returned an empty response');
+    }
+    return content;
+  };
+
+  const generateResponse = async (query, options = {}) => {
     // Handle greetings first
     const lowerQuery = query.toLowerCase().trim();
-    if (lowerQuery === 'yo' || lowerQuery === 'bro' || lowerQuery === 'sup') {
+    if (i18n.list('chat.casualWords').includes(lowerQuery)) {
       return {
-        content: 'hey! what topic do you want to learn?',
+        content: t('chat.casualGreeting'),
         topicName: null,
       };
     }
 
-    if (lowerQuery === 'hi' || lowerQuery === 'hello') {
+    if (i18n.list('chat.greetingWords').includes(lowerQuery)) {
       return {
-        content: 'hi! what do you want to study?',
+        content: t('chat.greeting'),
         topicName: null,
       };
     }
 
     if (Object.keys(topics).length === 0) {
       return {
-        content:
-          "I don't have any study material loaded yet.\n\nTo get started:\n1. Go to the Import tab and add your study notes\n2. Paste or upload content about any topic\n3. Come back here and ask me anything\n\nI'll help you understand the material and explain concepts.",
+        content: t('chat.noTopics'),
         topicName: null,
       };
     }
@@ -109,21 +400,46 @@ export default function ChatTab({ topics }) {
     const trimmedQuery = query.trim();
     if (trimmedQuery.length < 3) {
       return {
-        content: 'What topic do you want to learn?',
+        content: t('chat.askTopic'),
         topicName: null,
       };
     }
 
     // Check if this is a follow-up query that should use the last topic
     const isFollowUpQuery = /(explain|tell me more|elaborate|expand|more about|what else|continue|go on|can you elaborate|give me examples|examples|quiz me|summarize|summary)/i.test(lowerQuery) && lastTopic;
+    // A conversation pinned to a topic answers from that topic only
+    const pinnedTopic = topics[options.pinnedTopic] ? options.pinnedTopic : null;
+    const focusTopic = pinnedTopic || (isFollowUpQuery ? lastTopic : null);
+
+    // Passages from every topic that best answer the question; follow-ups
+    // and pinned conversations stay within one topic
+    const passages = (
+      await passageIndex.search(trimmedQuery, {
+        limit: MAX_CONTEXT_PASSAGES,
+        topics: focusTopic ? [focusTopic] : null,
+      })
+    ).filter((passage) => topics[passage.topic]);
 
     let match;
-    if (isFollowUpQuery) {
-      // Use the last topic for follow-up queries
-      match = { topic: topics[lastTopic], score: 1.0, topicName: lastTopic };
-      console.log('🤖 ChatTab: Using last topic for follow-up query:', lastTopic);
+    if (focusTopic) {
+      // Use the pinned topic, or the last topic for follow-up queries
+      match = { topic: topics[focusTopic], score: 1.0, topicName: focusTopic };
+      console.log('🤖 ChatTab: Staying with topic:', focusTopic);
+    } else if (passages.length > 0) {
+      // Route to the topic whose retrieved passages scored highest overall
+      const topicScores = new Map();
+      passages.forEach((passage) => {
+        topicScores.set(
+          passage.topic,
+          (topicScores.get(passage.topic) || 0) + passage.score
+        );
+      });
+      const [topicName, score] = [...topicScores.entries()].sort(
+        (a, b) => b[1] - a[1]
+      )[0];
+      match = { topic: topics[topicName], score: Math.min(score, 1), topicName };
     } else {
-      // Find the best match for new queries
+      // Nothing indexed matched; fall back to topic-level matching
       match = findBestMatch(trimmedQuery, topics);
     }
 
@@ -132,15 +448,70 @@ export default function ChatTab({ topics }) {
       const topicList =
         availableTopics.length <= 5
           ? availableTopics.join(', ')
-          : availableTopics.slice(0, 5).join(', ') +
-            `, and ${availableTopics.length - 5} more`;
+          : t('chat.moreTopics', {
+              list: availableTopics.slice(0, 5).join(', '),
+              count: availableTopics.length - 5,
+            });
 
       return {
-        content: `I'm not sure which topic you're asking about.\n\nThe closest match I found was "${match.topicName || 'none'}" (${Math.round(match.score * 100)}% confidence).\n\nTry being more specific with key terms from your study material.\n\nAvailable topics: ${topicList}\n\nWhat topic do you want to learn?`,
+        content: t('chat.unsureTopic', {
+          topic: match.topicName || t('chat.noMatch'),
+          confidence: Math.round(match.score * 100),
+          topics: topicList,
+        }),
         topicName: null,
       };
     }
 
+    const passagePages = buildPassagePages(
+      passages.filter((passage) => passage.topic === match.topicName)
+    );
+    const groundedTopic =
+      passages.length > 0 ? { ...match.topic, passages } : match.topic;
+
+    // Pages of the source PDF that best match the question, then any other
+    // topics the answer draws on
+    const citations = [
+      ...findCitedPages(
+        passagePages.length > 0 ? passagePages : match.topic.sourcePages,
+        trimmedQuery,
+        MAX_CITED_PAGES
+      ).map(formatPageCitation),
+      ...new Set(
+        passages
+          .filter((passage) => passage.topic !== match.topicName)
+          .map((passage) => describePassageSource(passage, match.topicName))
+      ),
+    ];
+
+    // Prefer the learner's own model when a key is saved; any failure other
+    // than a deliberate cancel falls through to the offline engine below
+    const provider = createProviderFromStorage();
+    if (provider) {
+      try {
+        const content = await generateRemoteResponse(
+          provider,
+          groundedTopic,
+          trimmedQuery,
+          options
+        );
+        setLastTopic(match.topicName);
+        return {
+          content,
+          topicName: match.topicName,
+          source: 'llm',
+          citations,
+        };
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn(
+          'LLM provider failed, falling back to the local engine:',
+          error.message
+        );
+        setStreamingContent('');
+      }
+    }
+
     try {
       if (!generateExplanation) {
         return {
@@ -157,7 +528,7 @@ export default function ChatTab({ topics }) {
       });
 
       // Get recent concepts from the last few messages for context
-      const recentMessages = messages.slice(-4); // Last 4 messages
+      const recentMessages = (options.history || []).slice(-4); // Last 4 messages
       const recentConcepts = recentMessages
         .filter(msg => msg.topic && msg.role === 'assistant')
         .map(msg => msg.topic)
@@ -165,7 +536,12 @@ export default function ChatTab({ topics }) {
 
       const context = { recentConcepts };
 
-      const response = await generateExplanation(match.topic, trimmedQuery, context);
+      // The offline engine reads topic.raw, so hand it the retrieved passages
+      const localTopic =
+        passages.length > 0
+          ? { ...match.topic, raw: passages.map((p) => p.text).join('\n\n') }
+          : match.topic;
+      const response = await generateExplanation(localTopic, trimmedQuery, context);
 
       console.log(
         '🤖 ChatTab: Got response:',
@@ -178,6 +554,8 @@ export default function ChatTab({ topics }) {
       return {
         content: response,
         topicName: match.topicName,
+        source: 'local',
+        citations,
       };
     } catch (error) {
       console.error('Error generating explanation:', error);
@@ -189,10 +567,147 @@ export default function ChatTab({ topics }) {
     }
   };
 
-  const handleClearHistory = () => {
-    if (window.confirm('Are you sure you want to clear all chat history?')) {
-      clearAllChatHistory();
-      setMessages([]);
+  const handleFuzzySearchToggle = (enabled) => {
+    passageIndex.setEmbeddingsEnabled(enabled);
+    setFuzzySearch(enabled);
+    // Embed passages indexed while the option was off
+    passageIndex.sync(topics);
+  };
+
+  const handleNewConversation = () => {
+    const conversation = createConversation();
+    setConversations((prev) => [conversation, ...prev]);
+    openConversation(conversation.id);
+  };
+
+  const handleRename = (conversation) => {
+    const title = window.prompt('Rename conversation', conversation.title);
+    if (!title?.trim()) return;
+    updateConversation(conversation.id, (current) => ({
+      ...current,
+      title: title.trim(),
+    }));
+  };
+
+  const handleDelete = (conversation) => {
+    if (
+      !window.confirm(
+        `Delete "${conversation.title}"? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+    deleteConversation(conversation.id);
+    const remaining = conversations
+      .filter((candidate) => candidate.id !== conversation.id)
+      .sort(byLastActivity);
+    if (remaining.length === 0) remaining.push(createConversation());
+    setConversations(remaining);
+    if (conversation.id === activeId) openConversation(remaining[0].id);
+  };
+
+  const handlePinTopic = (topicName) => {
+    updateConversation(activeId, (conversation) => ({
+      ...conversation,
+      topic: topicName || null,
+    }));
+    setLastTopic(null);
+  };
+
+  const handleExport = (format) => {
+    const slug =
+      activeConversation.title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'conversation';
+    if (format === 'html') {
+      downloadFile(
+        `${slug}.html`,
+        conversationToHTML(activeConversation),
+        'text/html'
+      );
+    } else {
+      downloadFile(
+        `${slug}.md`,
+        conversationToMarkdown(activeConversation),
+        'text/markdown'
+      );
+    }
+  };
+
+  const handleCopy = async (msg) => {
+    try {
+      await navigator.clipboard.writeText(msg.content);
+      setNotice('📋 Copied to the clipboard');
+    } catch (error) {
+      console.error('Error copying message:', error);
+      setNotice('❌ Could not copy. Select the text and copy it instead.');
+    }
+  };
+
+  // Ask the question behind an answer again and replace the answer
+  const handleRegenerate = (index) => {
+    const questionIndex = messages
+      .slice(0, index)
+      .map((msg) => msg.role)
+      .lastIndexOf('user');
+    if (questionIndex < 0) return;
+
+    const { id, topic } = activeConversation;
+    setRegenerating(index);
+    setHighlight(null);
+    requestAnswer(messages[questionIndex].content, {
+      history: messages.slice(0, questionIndex),
+      pinnedTopic: topic,
+      deliver: (message) =>
+        updateConversation(id, (conversation) => ({
+          ...conversation,
+          messages: conversation.messages.map((current, i) =>
+            i === index ? message : current
+          ),
+        })),
+    });
+  };
+
+  // Add an answer to its topic as a concept, which makes it a flashcard
+  const handleFlashcard = async (index) => {
+    const msg = messages[index];
+    const topicName = msg.topic || activeConversation.topic;
+    const topic = topics[topicName];
+    if (!topic) return;
+
+    const question = messages
+      .slice(0, index)
+      .reverse()
+      .find((candidate) => candidate.role === 'user');
+    const card = messageToFlashcard(msg.content, question?.content);
+    const front = window.prompt(
+      `Front of the new flashcard in ${topicName}:`,
+      card.concept
+    );
+    if (!front?.trim()) return;
+
+    try {
+      const concepts = topic.concepts || [];
+      const concept = front.trim();
+      if (
+        concepts.some(
+          (existing) => existing.concept.toLowerCase() === concept.toLowerCase()
+        )
+      ) {
+        throw new Error(`${topicName} already has a card for "${concept}"`);
+      }
+      await saveTopic(topicName, {
+        ...topic,
+        concepts: [
+          ...concepts,
+          { concept, definition: card.definition, source: 'chat' },
+        ],
+      });
+      if (refreshTopics) await refreshTopics();
+      setNotice(`📇 Added "${concept}" to ${topicName}`);
+    } catch (error) {
+      setNotice(`❌ ${error.message}`);
     }
   };
 
@@ -204,331 +719,581 @@ export default function ChatTab({ topics }) {
   };
 
   return (
-    <div className="flex flex-col h-full max-w-6xl mx-auto">
-      {/* Header */}
-      <div className="mb-6 flex justify-between items-center">
-        <div>
-          <h2 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent mb-2">
-            MindTutor AI
-          </h2>
-          <p className="text-lg" style={{ color: 'var(--text-secondary)' }}>
-            Learn math, biology, chemistry, physics, english, and more
-          </p>
+    <div className="flex gap-6 h-full max-w-6xl mx-auto">
+      {/* Conversations */}
+      <aside className="w-64 flex-shrink-0 flex flex-col gap-3 min-h-0">
+        <button
+          onClick={handleNewConversation}
+          disabled={isTyping}
+          className="px-4 py-2 rounded-xl font-semibold text-white transition-all duration-300"
+          style={{
+            background:
+              'linear-gradient(135deg, var(--accent-primary) 0%, var(--accent-secondary) 100%)',
+          }}
+        >
+          ＋ New chat
+        </button>
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder="🔍 Search conversations"
+          aria-label="Search conversations"
+          className="px-3 py-2 border rounded-xl text-sm"
+          style={{
+            borderColor: 'var(--border-secondary)',
+            backgroundColor: 'var(--surface-primary)',
+            color: 'var(--text-primary)',
+          }}
+        />
+        <div className="flex-1 overflow-y-auto scrollbar-thin space-y-1">
+          {searchQuery.trim() ? (
+            searchResults.length === 0 ? (
+              <div
+                className="text-sm p-2"
+                style={{ color: 'var(--text-muted)' }}
+              >
+                No conversations match
+              </div>
+            ) : (
+              searchResults.map((result) => (
+                <button
+                  key={`${result.conversationId}-${result.index}`}
+                  onClick={() =>
+                    openConversation(result.conversationId, result.index)
+                  }
+                  disabled={isTyping}
+                  className="w-full text-left p-2 rounded-lg text-sm"
+                  style={sideButtonStyle}
+                >
+                  <div className="font-semibold truncate">{result.title}</div>
+                  {result.snippet && (
+                    <div
+                      className="text-xs mt-1"
+                      style={{ color: 'var(--text-secondary)' }}
+                    >
+                      {result.role === 'user' ? 'You: ' : ''}
+                      {result.snippet}
+                    </div>
+                  )}
+                </button>
+              ))
+            )
+          ) : (
+            [...conversations].sort(byLastActivity).map((conversation) => (
+              <div
+                key={conversation.id}
+                className="flex items-center gap-1 rounded-lg"
+                style={{
+                  backgroundColor:
+                    conversation.id === activeId
+                      ? 'var(--surface-tertiary)'
+                      : 'transparent',
+                }}
+              >
+                <button
+                  onClick={() => openConversation(conversation.id)}
+                  disabled={isTyping}
+                  aria-current={
+                    conversation.id === activeId ? 'true' : undefined
+                  }
+                  className="flex-1 min-w-0 text-left p-2 text-sm"
+                  style={{ color: 'var(--text-primary)' }}
+                >
+                  <div className="font-medium truncate">{conversation.title}</div>
+                  <div
+                    className="text-xs truncate"
+                    style={{ color: 'var(--text-muted)' }}
+                  >
+                    {conversation.topic ? `📌 ${conversation.topic} · ` : ''}
+                    {conversation.messages.length} messages
+                  </div>
+                </button>
+                <button
+                  onClick={() => handleRename(conversation)}
+                  title="Rename"
+                  aria-label={`Rename ${conversation.title}`}
+                  className="p-1 text-xs"
+                >
+                  ✏️
+                </button>
+                <button
+                  onClick={() => handleDelete(conversation)}
+                  disabled={isTyping}
+                  title="Delete"
+                  aria-label={`Delete ${conversation.title}`}
+                  className="p-1 text-xs"
+                >
+                  🗑️
+                </button>
+              </div>
+            ))
+          )}
         </div>
-        {messages.length > 1 && (
-          <button
-            onClick={handleClearHistory}
-            className="px-4 py-2 bg-red-50 dark:bg-red-900/30 border-2 border-red-200 dark:border-red-700 text-red-600 dark:text-red-400 rounded-xl hover:bg-red-100 dark:hover:bg-red-800/40 hover:border-red-300 dark:hover:border-red-600 transition-all duration-300 text-sm font-semibold shadow-sm hover:shadow-md"
-          >
-            🗑️ Clear History
-          </button>
-        )}
-      </div>
+      </aside>
 
-      {/* Messages Container */}
-      <div
-        className="flex-1 backdrop-blur-sm rounded-2xl shadow-xl p-6 mb-6 overflow-y-auto scrollbar-thin"
-        style={{
-          backgroundColor: 'var(--surface-primary)',
-          border: '1px solid var(--border-primary)',
-        }}
-      >
-        {messages.length === 0 ? (
-          <div className="h-full flex items-center justify-center text-center p-8">
-            <div
-              className="max-w-2xl rounded-2xl p-8 shadow-xl"
-              style={{
-                backgroundColor: 'var(--surface-primary)',
-                border: '1px solid var(--border-primary)',
-              }}
+      <div className="flex-1 min-w-0 flex flex-col">
+        {/* Header */}
+        <div className="mb-6 flex justify-between items-center">
+          <div>
+            <h2 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent mb-2">
+              MindTutor AI
+            </h2>
+            <p className="text-lg" style={{ color: 'var(--text-secondary)' }}>
+              Learn math, biology, chemistry, physics, english, and more
+            </p>
+          </div>
+          <div className="flex items-center gap-4">
+            <label
+              className="flex items-center gap-2 text-sm"
+              style={{ color: 'var(--text-secondary)' }}
+              title="Also match passages with similar spellings and word forms, such as glacial for glaciers (this compares spelling, not meaning)"
             >
-              <div className="text-8xl mb-6">📚</div>
-              <h3
-                className="text-3xl font-bold mb-4"
-                style={{ color: 'var(--text-primary)' }}
+              <input
+                type="checkbox"
+                checked={fuzzySearch}
+                onChange={(e) => handleFuzzySearchToggle(e.target.checked)}
+              />
+              Fuzzy search
+            </label>
+          </div>
+        </div>
+
+        {/* Conversation settings */}
+        {activeConversation && (
+          <div className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+            <label
+              className="flex items-center gap-2"
+              style={{ color: 'var(--text-secondary)' }}
+              title="A pinned conversation answers from one topic only"
+            >
+              📌 Topic
+              <select
+                value={activeConversation.topic || ''}
+                onChange={(e) => handlePinTopic(e.target.value)}
+                disabled={isTyping}
+                className="px-2 py-1 rounded border"
+                style={{
+                  borderColor: 'var(--border-secondary)',
+                  backgroundColor: 'var(--surface-primary)',
+                  color: 'var(--text-primary)',
+                }}
               >
-                Welcome to MindTutor AI
-              </h3>
-              <p
-                className="text-lg mb-8 leading-relaxed"
-                style={{ color: 'var(--text-secondary)' }}
+                <option value="">Any topic</option>
+                {Object.keys(topics).map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => handleExport('markdown')}
+              disabled={messages.length === 0}
+              className="px-3 py-1 rounded-lg"
+              style={sideButtonStyle}
+            >
+              ⬇️ Markdown
+            </button>
+            <button
+              onClick={() => handleExport('html')}
+              disabled={messages.length === 0}
+              className="px-3 py-1 rounded-lg"
+              style={sideButtonStyle}
+            >
+              ⬇️ HTML
+            </button>
+            {notice && (
+              <span style={{ color: 'var(--text-primary)' }}>{notice}</span>
+            )}
+          </div>
+        )}
+
+        {/* Messages Container */}
+        <div
+          className="flex-1 backdrop-blur-sm rounded-2xl shadow-xl p-6 mb-6 overflow-y-auto scrollbar-thin"
+          style={{
+            backgroundColor: 'var(--surface-primary)',
+            border: '1px solid var(--border-primary)',
+          }}
+        >
+          {messages.length === 0 ? (
+            <div className="h-full flex items-center justify-center text-center p-8">
+              <div
+                className="max-w-2xl rounded-2xl p-8 shadow-xl"
+                style={{
+                  backgroundColor: 'var(--surface-primary)',
+                  border: '1px solid var(--border-primary)',
+                }}
               >
-                I teach math, biology, chemistry, physics, english, and other
-                academic subjects. Ask me to explain concepts, give examples, or
-                quiz you.
-              </p>
-              <div className="grid grid-cols-2 gap-4 text-left">
-                <div
-                  className="bg-gradient-to-br from-blue-50 to-indigo-50 dark:from-blue-900/40 dark:to-indigo-900/40 p-5 rounded-xl border-2 border-blue-100 dark:border-blue-700 hover:border-blue-300 dark:hover:border-blue-500 transition-all duration-300 hover:shadow-lg transform hover:-translate-y-1"
-                  style={{
-                    backgroundColor: 'var(--surface-secondary)',
-                  }}
-                >
-                  <div className="text-4xl mb-3">💡</div>
-                  <h4
-                    className="font-bold mb-2 text-lg"
-                    style={{ color: 'var(--text-primary)' }}
-                  >
-                    Explain Concepts
-                  </h4>
-                  <p
-                    className="text-sm"
-                    style={{ color: 'var(--text-secondary)' }}
-                  >
-                    Get clear explanations of academic topics
-                  </p>
-                </div>
-                <div
-                  className="bg-gradient-to-br from-purple-50 to-pink-50 dark:from-purple-900/40 dark:to-pink-900/40 p-5 rounded-xl border-2 border-purple-100 dark:border-purple-700 hover:border-purple-300 dark:hover:border-purple-500 transition-all duration-300 hover:shadow-lg transform hover:-translate-y-1"
-                  style={{
-                    backgroundColor: 'var(--surface-secondary)',
-                  }}
+                <div className="text-8xl mb-6">📚</div>
+                <h3
+                  className="text-3xl font-bold mb-4"
+                  style={{ color: 'var(--text-primary)' }}
                 >
-                  <div className="text-4xl mb-3">📚</div>
-                  <h4
-                    className="font-bold mb-2 text-lg"
-                    style={{ color: 'var(--text-primary)' }}
-                  >
-                    Study Help
-                  </h4>
-                  <p
-                    className="text-sm"
-                    style={{ color: 'var(--text-secondary)' }}
-                  >
-                    Summaries, examples, and practice questions
-                  </p>
-                </div>
-                <div
-                  className="bg-gradient-to-br from-green-50 to-emerald-50 dark:from-green-900/40 dark:to-emerald-900/40 p-5 rounded-xl border-2 border-green-100 dark:border-green-700 hover:border-green-300 dark:hover:border-green-500 transition-all duration-300 hover:shadow-lg transform hover:-translate-y-1"
-                  style={{
-                    backgroundColor: 'var(--surface-secondary)',
-                  }}
+                  {t('chat.welcome')}
+                </h3>
+                <p
+                  className="text-lg mb-8 leading-relaxed"
+                  style={{ color: 'var(--text-secondary)' }}
                 >
-                  <div className="text-4xl mb-3">🎯</div>
-                  <h4
-                    className="font-bold mb-2 text-lg"
-                    style={{ color: 'var(--text-primary)' }}
+                  I teach math, biology, chemistry, physics, english, and other
+                  academic subjects. Ask me to explain concepts, give examples, or
+                  quiz you.
+                </p>
+                <div className="grid grid-cols-2 gap-4 text-left">
+                  <div
+                    className="bg-gradient-to-br from-blue-50 to-indigo-50 dark:from-blue-900/40 dark:to-indigo-900/40 p-5 rounded-xl border-2 border-blue-100 dark:border-blue-700 hover:border-blue-300 dark:hover:border-blue-500 transition-all duration-300 hover:shadow-lg transform hover:-translate-y-1"
+                    style={{
+                      backgroundColor: 'var(--surface-secondary)',
+                    }}
                   >
-                    Exam Prep
-                  </h4>
-                  <p
-                    className="text-sm"
-                    style={{ color: 'var(--text-secondary)' }}
+                    <div className="text-4xl mb-3">💡</div>
+                    <h4
+                      className="font-bold mb-2 text-lg"
+                      style={{ color: 'var(--text-primary)' }}
+                    >
+                      Explain Concepts
+                    </h4>
+                    <p
+                      className="text-sm"
+                      style={{ color: 'var(--text-secondary)' }}
+                    >
+                      Get clear explanations of academic topics
+                    </p>
+                  </div>
+                  <div
+                    className="bg-gradient-to-br from-purple-50 to-pink-50 dark:from-purple-900/40 dark:to-pink-900/40 p-5 rounded-xl border-2 border-purple-100 dark:border-purple-700 hover:border-purple-300 dark:hover:border-purple-500 transition-all duration-300 hover:shadow-lg transform hover:-translate-y-1"
+                    style={{
+                      backgroundColor: 'var(--surface-secondary)',
+                    }}
                   >
-                    Key points and practice questions
-                  </p>
-                </div>
-                <div
-                  className="bg-gradient-to-br from-orange-50 to-amber-50 dark:from-orange-900/40 dark:to-amber-900/40 p-5 rounded-xl border-2 border-orange-100 dark:border-orange-700 hover:border-orange-300 dark:hover:border-orange-500 transition-all duration-300 hover:shadow-lg transform hover:-translate-y-1"
-                  style={{
-                    backgroundColor: 'var(--surface-secondary)',
-                  }}
-                >
-                  <div className="text-4xl mb-3">❓</div>
-                  <h4
-                    className="font-bold mb-2 text-lg"
-                    style={{ color: 'var(--text-primary)' }}
+                    <div className="text-4xl mb-3">📚</div>
+                    <h4
+                      className="font-bold mb-2 text-lg"
+                      style={{ color: 'var(--text-primary)' }}
+                    >
+                      Study Help
+                    </h4>
+                    <p
+                      className="text-sm"
+                      style={{ color: 'var(--text-secondary)' }}
+                    >
+                      Summaries, examples, and practice questions
+                    </p>
+                  </div>
+                  <div
+                    className="bg-gradient-to-br from-green-50 to-emerald-50 dark:from-green-900/40 dark:to-emerald-900/40 p-5 rounded-xl border-2 border-green-100 dark:border-green-700 hover:border-green-300 dark:hover:border-green-500 transition-all duration-300 hover:shadow-lg transform hover:-translate-y-1"
+                    style={{
+                      backgroundColor: 'var(--surface-secondary)',
+                    }}
                   >
-                    Q&A
-                  </h4>
-                  <p
-                    className="text-sm"
-                    style={{ color: 'var(--text-secondary)' }}
+                    <div className="text-4xl mb-3">🎯</div>
+                    <h4
+                      className="font-bold mb-2 text-lg"
+                      style={{ color: 'var(--text-primary)' }}
+                    >
+                      Exam Prep
+                    </h4>
+                    <p
+                      className="text-sm"
+                      style={{ color: 'var(--text-secondary)' }}
+                    >
+                      Key points and practice questions
+                    </p>
+                  </div>
+                  <div
+                    className="bg-gradient-to-br from-orange-50 to-amber-50 dark:from-orange-900/40 dark:to-amber-900/40 p-5 rounded-xl border-2 border-orange-100 dark:border-orange-700 hover:border-orange-300 dark:hover:border-orange-500 transition-all duration-300 hover:shadow-lg transform hover:-translate-y-1"
+                    style={{
+                      backgroundColor: 'var(--surface-secondary)',
+                    }}
                   >
-                    Answer questions about academic topics
-                  </p>
+                    <div className="text-4xl mb-3">❓</div>
+                    <h4
+                      className="font-bold mb-2 text-lg"
+                      style={{ color: 'var(--text-primary)' }}
+                    >
+                      Q&A
+                    </h4>
+                    <p
+                      className="text-sm"
+                      style={{ color: 'var(--text-secondary)' }}
+                    >
+                      Answer questions about academic topics
+                    </p>
+                  </div>
                 </div>
               </div>
             </div>
-          </div>
-        ) : (
-          <div className="space-y-6">
-            {messages.map((msg, index) => (
-              <div
-                key={index}
-                className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} animate-fade-in`}
-                style={{ animationDelay: `${index * 0.05}s` }}
-              >
+          ) : (
+            <div className="space-y-6">
+              {messages.map((msg, index) => (
                 <div
-                  className="max-w-[80%] rounded-2xl px-5 py-4 shadow-md"
-                  style={{
-                    background:
-                      msg.role === 'user'
-                        ? 'linear-gradient(135deg, var(--accent-primary) 0%, var(--accent-secondary) 100%)'
-                        : 'var(--surface-secondary)',
-                    border:
-                      msg.role === 'user'
-                        ? 'none'
-                        : '1px solid var(--border-primary)',
-                    color:
-                      msg.role === 'user' ? 'white' : 'var(--text-primary)',
-                    boxShadow:
-                      msg.role === 'user'
-                        ? 'var(--shadow-lg)'
-                        : 'var(--shadow-md)',
-                  }}
+                  key={index}
+                  id={`chat-message-${index}`}
+                  className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} animate-fade-in`}
+                  style={{ animationDelay: `${index * 0.05}s` }}
                 >
-                  {msg.topic && (
+                  <div
+                    className="max-w-[80%] rounded-2xl px-5 py-4 shadow-md"
+                    style={{
+                      opacity: index === regenerating ? 0.5 : 1,
+                      outline:
+                        index === highlight
+                          ? '2px solid var(--accent-warning)'
+                          : 'none',
+                      background:
+                        msg.role === 'user'
+                          ? 'linear-gradient(135deg, var(--accent-primary) 0%, var(--accent-secondary) 100%)'
+                          : 'var(--surface-secondary)',
+                      border:
+                        msg.role === 'user'
+                          ? 'none'
+                          : '1px solid var(--border-primary)',
+                      color:
+                        msg.role === 'user' ? 'white' : 'var(--text-primary)',
+                      boxShadow:
+                        msg.role === 'user'
+                          ? 'var(--shadow-lg)'
+                          : 'var(--shadow-md)',
+                    }}
+                  >
+                    {msg.topic && (
+                      <div
+                        className={`text-xs font-semibold mb-2 flex items-center gap-2 ${msg.role === 'user' ? 'text-white/80' : 'text-blue-600 dark:text-blue-400'}`}
+                      >
+                        <span>📚</span>
+                        <span>Topic: {msg.topic}</span>
+                      </div>
+                    )}
+                    {msg.role === 'assistant' ? (
+                      <MarkdownContent
+                        content={msg.content}
+                        className="text-base leading-relaxed"
+                      />
+                    ) : (
+                      <div className="whitespace-pre-wrap text-base leading-relaxed">
+                        {msg.content}
+                      </div>
+                    )}
+                    {msg.citations?.length > 0 && (
+                      <div
+                        className="text-xs mt-2 flex items-center gap-2"
+                        style={{ color: 'var(--text-secondary)' }}
+                      >
+                        <span>📄 Source:</span>
+                        <span>{msg.citations.join(' · ')}</span>
+                      </div>
+                    )}
                     <div
-                      className={`text-xs font-semibold mb-2 flex items-center gap-2 ${msg.role === 'user' ? 'text-white/80' : 'text-blue-600 dark:text-blue-400'}`}
+                      className={`text-xs mt-3 flex items-center gap-3 ${msg.role === 'user' ? 'text-white/60' : 'text-gray-400'}`}
                     >
-                      <span>📚</span>
-                      <span>Topic: {msg.topic}</span>
+                      <span>
+                        {i18n.formatDate(msg.timestamp, {
+                          hour: '2-digit',
+                          minute: '2-digit',
+                        })}
+                      </span>
+                      {!isTyping && (
+                        <>
+                          <button onClick={() => handleCopy(msg)} title="Copy">
+                            📋 Copy
+                          </button>
+                          {msg.role === 'assistant' && (
+                            <button
+                              onClick={() => handleRegenerate(index)}
+                              title="Ask again for a new answer"
+                            >
+                              🔄 Regenerate
+                            </button>
+                          )}
+                          {msg.role === 'assistant' &&
+                            topics[msg.topic || activeConversation.topic] && (
+                              <button
+                                onClick={() => handleFlashcard(index)}
+                                title="Add this answer to the topic's flashcards"
+                              >
+                                📇 Flashcard
+                              </button>
+                            )}
+                        </>
+                      )}
                     </div>
-                  )}
-                  <div className="whitespace-pre-wrap text-base leading-relaxed">
-                    {msg.content}
                   </div>
+                </div>
+              ))}
+              {isTyping && streamingContent && (
+                <div className="flex justify-start">
                   <div
-                    className={`text-xs mt-3 ${msg.role === 'user' ? 'text-white/60' : 'text-gray-400'}`}
+                    className="max-w-[80%] rounded-2xl px-5 py-4 shadow-md"
+                    style={{
+                      background: 'var(--surface-secondary)',
+                      border: '1px solid var(--border-primary)',
+                      color: 'var(--text-primary)',
+                      boxShadow: 'var(--shadow-md)',
+                    }}
                   >
-                    {new Date(msg.timestamp).toLocaleTimeString([], {
-                      hour: '2-digit',
-                      minute: '2-digit',
-                    })}
+                    <MarkdownContent
+                      content={streamingContent}
+                      className="text-base leading-relaxed"
+                    />
                   </div>
                 </div>
-              </div>
-            ))}
-            {isTyping && (
-              <div className="flex justify-start animate-fade-in">
-                <div
-                  className="rounded-2xl px-5 py-4 shadow-md"
-                  style={{
-                    backgroundColor: 'var(--surface-secondary)',
-                    border: '1px solid var(--border-primary)',
-                    boxShadow: 'var(--shadow-md)',
-                  }}
-                >
-                  <div className="flex space-x-2">
-                    <div
-                      className="w-2 h-2 rounded-full animate-bounce"
-                      style={{
-                        backgroundColor: 'var(--accent-primary)',
-                      }}
-                    ></div>
-                    <div
-                      className="w-2 h-2 rounded-full animate-bounce"
-                      style={{
-                        backgroundColor: 'var(--accent-secondary)',
-                        animationDelay: '0.1s',
-                      }}
-                    ></div>
-                    <div
-                      className="w-2 h-2 rounded-full animate-bounce"
-                      style={{
-                        backgroundColor: 'var(--accent-primary)',
-                        animationDelay: '0.2s',
-                      }}
-                    ></div>
+              )}
+              {isTyping && !streamingContent && (
+                <div className="flex justify-start animate-fade-in">
+                  <div
+                    className="rounded-2xl px-5 py-4 shadow-md"
+                    style={{
+                      backgroundColor: 'var(--surface-secondary)',
+                      border: '1px solid var(--border-primary)',
+                      boxShadow: 'var(--shadow-md)',
+                    }}
+                  >
+                    <div className="flex space-x-2">
+                      <div
+                        className="w-2 h-2 rounded-full animate-bounce"
+                        style={{
+                          backgroundColor: 'var(--accent-primary)',
+                        }}
+                      ></div>
+                      <div
+                        className="w-2 h-2 rounded-full animate-bounce"
+                        style={{
+                          backgroundColor: 'var(--accent-secondary)',
+                          animationDelay: '0.1s',
+                        }}
+                      ></div>
+                      <div
+                        className="w-2 h-2 rounded-full animate-bounce"
+                        style={{
+                          backgroundColor: 'var(--accent-primary)',
+                          animationDelay: '0.2s',
+                        }}
+                      ></div>
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
+              <div ref={messagesEndRef} />
+            </div>
+          )}
+        </div>
+
+        {/* Input Area */}
+        <div
+          className="rounded-2xl shadow-xl p-4 backdrop-blur-sm"
+          style={{
+            backgroundColor: 'var(--surface-primary)',
+            border: '1px solid var(--border-primary)',
+            boxShadow: 'var(--shadow-xl)',
+          }}
+        >
+          <div className="flex gap-3">
+            <textarea
+              id="chat-input"
+              name="chatInput"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyPress={handleKeyPress}
+              placeholder="Ask me to explain concepts, give examples, or quiz you... (Press Enter to send)"
+              className="flex-1 px-4 py-3 border-2 rounded-xl resize-none focus:ring-2 transition-all duration-300 text-base"
+              style={{
+                borderColor: 'var(--border-secondary)',
+                backgroundColor: 'var(--surface-primary)',
+                color: 'var(--text-primary)',
+                '--tw-ring-color': 'var(--accent-primary)',
+              }}
+              rows="2"
+              disabled={isTyping}
+            />
+            {isTyping && isRemoteRequest ? (
+              <button
+                onClick={handleStop}
+                className="px-8 py-3 rounded-xl font-semibold transition-all duration-300 whitespace-nowrap"
+                style={{
+                  backgroundColor: 'var(--surface-secondary)',
+                  border: '1px solid var(--border-primary)',
+                  color: 'var(--text-primary)',
+                }}
+              >
+                ⏹ Stop
+              </button>
+            ) : (
+              <button
+                onClick={handleSend}
+                disabled={!input.trim() || isTyping}
+                className="px-8 py-3 rounded-xl font-semibold transition-all duration-300 whitespace-nowrap"
+                style={{
+                  background:
+                    !input.trim() || isTyping
+                      ? 'var(--surface-secondary)'
+                      : 'linear-gradient(135deg, var(--accent-primary) 0%, var(--accent-secondary) 100%)',
+                  color: !input.trim() || isTyping ? 'var(--text-muted)' : 'white',
+                  border:
+                    !input.trim() || isTyping
+                      ? '1px solid var(--border-primary)'
+                      : 'none',
+                  cursor: !input.trim() || isTyping ? 'not-allowed' : 'pointer',
+                }}
+              >
+                {isTyping ? '...' : '📚 Ask'}
+              </button>
             )}
-            <div ref={messagesEndRef} />
           </div>
-        )}
-      </div>
-
-      {/* Input Area */}
-      <div
-        className="rounded-2xl shadow-xl p-4 backdrop-blur-sm"
-        style={{
-          backgroundColor: 'var(--surface-primary)',
-          border: '1px solid var(--border-primary)',
-          boxShadow: 'var(--shadow-xl)',
-        }}
-      >
-        <div className="flex gap-3">
-          <textarea
-            id="chat-input"
-            name="chatInput"
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            onKeyPress={handleKeyPress}
-            placeholder="Ask me to explain concepts, give examples, or quiz you... (Press Enter to send)"
-            className="flex-1 px-4 py-3 border-2 rounded-xl resize-none focus:ring-2 transition-all duration-300 text-base"
-            style={{
-              borderColor: 'var(--border-secondary)',
-              backgroundColor: 'var(--surface-primary)',
-              color: 'var(--text-primary)',
-              '--tw-ring-color': 'var(--accent-primary)',
-            }}
-            rows="2"
-            disabled={isTyping}
-          />
-          <button
-            onClick={handleSend}
-            disabled={!input.trim() || isTyping}
-            className="px-8 py-3 rounded-xl font-semibold transition-all duration-300 whitespace-nowrap"
-            style={{
-              background:
-                !input.trim() || isTyping
-                  ? 'var(--surface-secondary)'
-                  : 'linear-gradient(135deg, var(--accent-primary) 0%, var(--accent-secondary) 100%)',
-              color: !input.trim() || isTyping ? 'var(--text-muted)' : 'white',
-              border:
-                !input.trim() || isTyping
-                  ? '1px solid var(--border-primary)'
-                  : 'none',
-              cursor: !input.trim() || isTyping ? 'not-allowed' : 'pointer',
-            }}
-          >
-            {isTyping ? '...' : '📚 Ask'}
-          </button>
-        </div>
-        <div className="mt-3 flex gap-2 flex-wrap">
-          <button
-            onClick={() => setInput('explain this topic')}
-            className="text-sm px-4 py-2 rounded-full transition-all duration-300 hover:shadow-md"
-            style={{
-              backgroundColor: 'var(--surface-secondary)',
-              border: '1px solid var(--border-primary)',
-              color: 'var(--text-primary)',
-            }}
-            onMouseEnter={(e) => {
-              e.target.style.backgroundColor = 'var(--surface-tertiary)';
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.backgroundColor = 'var(--surface-secondary)';
-            }}
-          >
-            📖 Explain
-          </button>
-          <button
-            onClick={() => setInput('give me examples')}
-            className="text-sm px-4 py-2 rounded-full transition-all duration-300 hover:shadow-md"
-            style={{
-              backgroundColor: 'var(--surface-secondary)',
-              border: '1px solid var(--border-primary)',
-              color: 'var(--text-primary)',
-            }}
-            onMouseEnter={(e) => {
-              e.target.style.backgroundColor = 'var(--surface-tertiary)';
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.backgroundColor = 'var(--surface-secondary)';
-            }}
-          >
-            💡 Examples
-          </button>
-          <button
-            onClick={() => setInput('quiz me')}
-            className="text-sm px-4 py-2 rounded-full transition-all duration-300 hover:shadow-md"
-            style={{
-              backgroundColor: 'var(--surface-secondary)',
-              border: '1px solid var(--border-primary)',
-              color: 'var(--text-primary)',
-            }}
-            onMouseEnter={(e) => {
-              e.target.style.backgroundColor = 'var(--surface-tertiary)';
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.backgroundColor = 'var(--surface-secondary)';
-            }}
-          >
-            📝 Quiz
-          </button>
+          <div className="mt-3 flex gap-2 flex-wrap">
+            <button
+              onClick={() => setInput('explain this topic')}
+              className="text-sm px-4 py-2 rounded-full transition-all duration-300 hover:shadow-md"
+              style={{
+                backgroundColor: 'var(--surface-secondary)',
+                border: '1px solid var(--border-primary)',
+                color: 'var(--text-primary)',
+              }}
+              onMouseEnter={(e) => {
+                e.target.style.backgroundColor = 'var(--surface-tertiary)';
+              }}
+              onMouseLeave={(e) => {
+                e.target.style.backgroundColor = 'var(--surface-secondary)';
+              }}
+            >
+              📖 Explain
+            </button>
+            <button
+              onClick={() => setInput('give me examples')}
+              className="text-sm px-4 py-2 rounded-full transition-all duration-300 hover:shadow-md"
+              style={{
+                backgroundColor: 'var(--surface-secondary)',
+                border: '1px solid var(--border-primary)',
+                color: 'var(--text-primary)',
+              }}
+              onMouseEnter={(e) => {
+                e.target.style.backgroundColor = 'var(--surface-tertiary)';
+              }}
+              onMouseLeave={(e) => {
+                e.target.style.backgroundColor = 'var(--surface-secondary)';
+              }}
+            >
+              💡 Examples
+            </button>
+            <button
+              onClick={() => setInput('quiz me')}
+              className="text-sm px-4 py-2 rounded-full transition-all duration-300 hover:shadow-md"
+              style={{
+                backgroundColor: 'var(--surface-secondary)',
+                border: '1px solid var(--border-primary)',
+                color: 'var(--text-primary)',
+              }}
+              onMouseEnter={(e) => {
+                e.target.style.backgroundColor = 'var(--surface-tertiary)';
+              }}
+              onMouseLeave={(e) => {
+                e.target.style.backgroundColor = 'var(--surface-secondary)';
+              }}
+            >
+              📝 Quiz
+            </button>
+          </div>
         </div>
       </div>
     </div>
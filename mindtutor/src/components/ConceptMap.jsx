@@ -0,0 +1,269 @@
+/* global Image */
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  buildConceptMap,
+  layoutConceptMap,
+  conceptMapToSVG,
+  getMasteryBand,
+  shortenLabel,
+  nodeRadius,
+  MASTERY_BANDS,
+  MAP_WIDTH,
+  MAP_HEIGHT,
+} from '../utils/conceptMap';
+import { skillLevelFromCard } from '../utils/curriculumLogic';
+import { getReviewCardId } from '../utils/spacedRepetition';
+import { userModelManager } from '../utils/userModel';
+import { profileManager } from '../utils/profiles';
+import { loadReviewCards } from '../utils/storage';
+import { downloadFile } from '../utils/download';
+
+function fileBaseName(topicName) {
+  return `${topicName.replace(/[^\w-]+/g, '_')}_concept_map`;
+}
+
+// Rasterize the exported SVG at twice its size so it stays sharp in notes
+function svgToPngBlob(svg, width, height, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error('PNG export failed'))
+      );
+    };
+    image.onerror = () => reject(new Error('PNG export failed'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
+
+/**
+ * Force-directed concept map of one topic, coloured by mastery
+ */
+export default function ConceptMap({ topicName, topic, onSelectConcept }) {
+  const [mastery, setMastery] = useState({});
+  const [hovered, setHovered] = useState(null);
+  const [exportError, setExportError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([
+      userModelManager.getUserModel(profileManager.getActiveId()),
+      loadReviewCards(topicName),
+    ]).then(([model, cards]) => {
+      if (cancelled) return;
+      const levels = {};
+      (topic?.concepts || []).forEach(({ concept }) => {
+        // Quiz results in the user model win over flashcard reviews
+        const tracked = model?.conceptMastery?.get?.(concept);
+        const card = cards.find(
+          (c) => c.id === getReviewCardId(topicName, concept)
+        );
+        if (tracked?.attempts) levels[concept] = tracked.masteryLevel;
+        else if (card?.lastReviewed) levels[concept] = skillLevelFromCard(card);
+      });
+      setMastery(levels);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [topicName, topic]);
+
+  const map = useMemo(
+    () =>
+      buildConceptMap(topicName, topic, (concept) => mastery[concept] ?? null),
+    [topicName, topic, mastery]
+  );
+  // Layout only depends on the graph's shape, not on mastery colours
+  const positions = useMemo(
+    () => layoutConceptMap(buildConceptMap(topicName, topic)),
+    [topicName, topic]
+  );
+
+  if (map.nodes.length < 2) return null;
+
+  const exportSVG = () =>
+    conceptMapToSVG(map, positions, { title: `${topicName} concept map` });
+
+  const handleExportSVG = () => {
+    downloadFile(
+      `${fileBaseName(topicName)}.svg`,
+      exportSVG(),
+      'image/svg+xml'
+    );
+  };
+
+  const handleExportPNG = async () => {
+    try {
+      const blob = await svgToPngBlob(exportSVG(), MAP_WIDTH, MAP_HEIGHT);
+      downloadFile(`${fileBaseName(topicName)}.png`, blob);
+      setExportError('');
+    } catch (error) {
+      setExportError(error.message);
+    }
+  };
+
+  const isHighlighted = (edge) =>
+    hovered && (edge.source === hovered || edge.target === hovered);
+
+  return (
+    <div
+      className="rounded-lg shadow-md p-4 mb-6"
+      style={{
+        backgroundColor: 'var(--surface-primary)',
+        border: '1px solid var(--border-primary)',
+      }}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3
+          className="text-lg font-semibold"
+          style={{ color: 'var(--text-primary)' }}
+        >
+          🗺️ Concept Map
+        </h3>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExportSVG}
+            className="text-sm px-3 py-1 rounded-lg"
+            style={{
+              backgroundColor: 'var(--surface-secondary)',
+              color: 'var(--text-secondary)',
+            }}
+          >
+            ⬇️ SVG
+          </button>
+          <button
+            onClick={handleExportPNG}
+            className="text-sm px-3 py-1 rounded-lg"
+            style={{
+              backgroundColor: 'var(--surface-secondary)',
+              color: 'var(--text-secondary)',
+            }}
+          >
+            ⬇️ PNG
+          </button>
+        </div>
+      </div>
+
+      {exportError && (
+        <div className="text-sm mb-2" style={{ color: 'var(--accent-error)' }}>
+          {exportError}
+        </div>
+      )}
+
+      <svg
+        viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+        className="w-full h-auto rounded"
+        style={{ backgroundColor: 'var(--surface-secondary)' }}
+        role="img"
+        aria-label={`Concept map for ${topicName}`}
+      >
+        {map.edges.map((edge, index) => {
+          const from = positions[edge.source];
+          const to = positions[edge.target];
+          const isSpoke = edge.type === 'topic';
+          return (
+            <g key={index}>
+              <line
+                x1={from.x}
+                y1={from.y}
+                x2={to.x}
+                y2={to.y}
+                stroke={
+                  isHighlighted(edge)
+                    ? 'var(--accent-primary)'
+                    : 'var(--border-secondary)'
+                }
+                strokeWidth={isSpoke ? 1 : 2}
+                strokeDasharray={isSpoke ? '4 4' : undefined}
+              />
+              {!isSpoke && edge.label && (
+                <text
+                  x={(from.x + to.x) / 2}
+                  y={(from.y + to.y) / 2 - 4}
+                  fontSize="10"
+                  textAnchor="middle"
+                  fill="var(--text-muted)"
+                >
+                  {edge.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {map.nodes.map((node) => {
+          const { x, y } = positions[node.id];
+          const radius = nodeRadius(node);
+          const isTopic = node.type === 'topic';
+          const band = getMasteryBand(node.mastery);
+          return (
+            <g
+              key={node.id}
+              onClick={isTopic ? undefined : () => onSelectConcept?.(node.id)}
+              onMouseEnter={() => setHovered(node.id)}
+              onMouseLeave={() => setHovered(null)}
+              style={{ cursor: isTopic ? 'default' : 'pointer' }}
+              role={isTopic ? undefined : 'button'}
+              aria-label={isTopic ? undefined : `Open ${node.label}`}
+            >
+              <title>
+                {isTopic
+                  ? node.label
+                  : `${node.label} — ${band.label}${
+                      node.mastery !== null
+                        ? ` (${Math.round(node.mastery * 100)}%)`
+                        : ''
+                    }`}
+              </title>
+              <circle
+                cx={x}
+                cy={y}
+                r={radius}
+                fill={isTopic ? 'var(--accent-primary)' : band.color}
+                stroke={
+                  hovered === node.id
+                    ? 'var(--text-primary)'
+                    : 'var(--border-primary)'
+                }
+                strokeWidth={hovered === node.id ? 3 : 1.5}
+              />
+              <text
+                x={x}
+                y={y + radius + 14}
+                fontSize="12"
+                textAnchor="middle"
+                fill="var(--text-primary)"
+              >
+                {shortenLabel(node.label)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div
+        className="flex flex-wrap gap-4 mt-2 text-xs"
+        style={{ color: 'var(--text-secondary)' }}
+      >
+        {MASTERY_BANDS.map((band) => (
+          <span key={band.id} className="flex items-center gap-1">
+            <span
+              className="inline-block w-3 h-3 rounded-full"
+              style={{ backgroundColor: band.color }}
+            />
+            {band.label}
+          </span>
+        ))}
+        <span>Click a concept to open its lesson section.</span>
+      </div>
+    </div>
+  );
+}
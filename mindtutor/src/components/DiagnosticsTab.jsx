@@ -1,92 +1,61 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { loadQuizHistory } from '../utils/storage';
+import { loadQuizHistory, loadChatHistory } from '../utils/storage';
+import {
+  generateLearningInsights,
+  analyzeLearningPatterns,
+} from '../utils/learningAnalytics';
+import QuizExportMenu from './QuizExportMenu';
+import LanguageSettings from './LanguageSettings';
+import AppearanceSettings from './AppearanceSettings';
 
-export default function DiagnosticsTab() {
-  // Helper functions to replace ML dependencies
-  const generateBasicInsights = (history) => {
-    if (history.length === 0) return null;
-
-    const recentScores = history.slice(-5).map(h => h.score);
-    const avgRecentScore = recentScores.reduce((sum, score) => sum + score, 0) / recentScores.length;
-    
-    return {
-      nextPerformance: {
-        value: avgRecentScore / 100,
-        confidence: 0.7,
-        basedOn: 'recent quiz performance trends',
-      },
-      optimalLearningTime: {
-        bestHour: 14, // 2 PM
-        reason: 'Based on your activity patterns',
-      },
-      preferredDifficulty: {
-        level: 3,
-        reason: 'Average difficulty you perform best on',
-      },
-    };
-  };
-
-  const analyzeBasicPatterns = (history) => {
-    if (history.length === 0) return null;
-
-    const topics = history.map(h => h.topic);
-    const topicFrequency = {};
-    topics.forEach(topic => {
-      topicFrequency[topic] = (topicFrequency[topic] || 0) + 1;
-    });
-
-    return {
-      cognitive: {
-        dominantQuestionType: 'mixed',
-        learningApproach: 'balanced',
-        cognitiveStrengths: ['pattern_recognition', 'logical_thinking'],
-      },
-      temporal: {
-        optimalStudyHour: 14,
-        studyConsistency: 0.6,
-        peakPerformanceHours: [14, 15, 16],
-      },
-      conceptual: {
-        conceptMastery: [],
-        learningProgression: {
-          overallTrajectory: 'improving',
-        },
-        knowledgeGaps: [],
-      },
-      emotional: {
-        emotionalTriggers: [
-          { emotion: 'focused', count: history.length },
-        ],
-        emotionalResilience: {
-          recoveryRate: 0.8,
-        },
-      },
-    };
-  };
+// Analytics look further back than the default history page sizes
+const ANALYTICS_QUIZ_LIMIT = 500;
+const ANALYTICS_CHAT_LIMIT = 1000;
 
+export default function DiagnosticsTab() {
   const generateSimpleResponse = (message, conversation) => {
     const lowerMessage = message.toLowerCase();
-    
+
     if (lowerMessage.includes('help') || lowerMessage.includes('what should')) {
       return {
-        response: "Based on your quiz performance, I recommend focusing on areas where you scored below 70%. Try reviewing those topics and taking additional practice quizzes.",
+        response:
+          'Based on your quiz performance, I recommend focusing on areas where you scored below 70%. Try reviewing those topics and taking additional practice quizzes.',
       };
     }
-    
+
     if (lowerMessage.includes('progress') || lowerMessage.includes('improve')) {
+      const trajectory =
+        advancedInsights?.conceptual?.learningProgression?.overallTrajectory;
+      const progressResponses = {
+        improving:
+          'Your recent quiz scores are trending upward. Keep practicing regularly and keep an eye on your weak areas.',
+        declining:
+          'Your recent quiz scores have dipped. Revisit the concepts you missed most recently before moving on to new material.',
+        stable:
+          'Your recent quiz scores are holding steady. Try harder questions on the concepts you know well to keep improving.',
+      };
       return {
-        response: "Your learning progress shows positive trends! Keep practicing regularly and focus on your weak areas. You're making steady improvement.",
+        response:
+          progressResponses[trajectory] ||
+          'Take at least five quizzes and I can tell you how your scores are trending.',
       };
     }
-    
+
     if (lowerMessage.includes('weak') || lowerMessage.includes('struggling')) {
+      const gaps = (advancedInsights?.conceptual?.knowledgeGaps || [])
+        .slice(0, 3)
+        .map((gap) => gap.concept);
       return {
-        response: "Everyone has areas for improvement! Focus on one weak area at a time, use practice questions, and don't hesitate to review the material multiple times.",
+        response:
+          gaps.length > 0
+            ? `Your quiz results point to ${gaps.join(', ')} as the concepts to work on first. Focus on one at a time and use practice questions to check your understanding.`
+            : "Everyone has areas for improvement! Focus on one weak area at a time, use practice questions, and don't hesitate to review the material multiple times.",
       };
     }
-    
+
     return {
-      response: "I'm here to help you understand your learning patterns and improve your performance. Ask me about your progress, areas for improvement, or study strategies!",
+      response:
+        "I'm here to help you understand your learning patterns and improve your performance. Ask me about your progress, areas for improvement, or study strategies!",
     };
   };
 
@@ -202,7 +171,8 @@ export default function DiagnosticsTab() {
         }
 
         // Track question type performance
-        const questionType = identifyQuestionType(result.question);
+        const questionType =
+          result.type || identifyQuestionType(result.question);
         if (questionTypePerformance[questionType]) {
           questionTypePerformance[questionType].total += 1;
           if (result.isCorrect) {
@@ -276,19 +246,15 @@ export default function DiagnosticsTab() {
 
   useEffect(() => {
     const loadData = async () => {
-      const history = await loadQuizHistory();
+      const history = await loadQuizHistory(null, ANALYTICS_QUIZ_LIMIT);
       setQuizHistory(history);
       setDiagnostics(calculateDiagnostics(history));
 
-      // Load basic analytics insights
+      // Derive insights from the learner's actual quiz and chat activity
       try {
-        // Create basic ML insights from quiz history
-        const basicInsights = generateBasicInsights(history);
-        setMlInsights(basicInsights);
-
-        // Generate advanced insights from patterns
-        const patterns = analyzeBasicPatterns(history);
-        setAdvancedInsights(patterns);
+        const chatHistory = await loadChatHistory(null, ANALYTICS_CHAT_LIMIT);
+        setMlInsights(generateLearningInsights(history, chatHistory));
+        setAdvancedInsights(analyzeLearningPatterns(history, chatHistory));
       } catch (error) {
         console.warn('Analytics insights loading failed:', error);
       }
@@ -349,7 +315,11 @@ export default function DiagnosticsTab() {
   }
 
   const clearAndReloadTopics = async () => {
-    if (window.confirm('This will clear all cached topics and reload sample data with updated keyword filtering. Continue?')) {
+    if (
+      window.confirm(
+        'This will clear all cached topics and reload sample data with updated keyword filtering. Continue?'
+      )
+    ) {
       try {
         // Clear localStorage
         localStorage.removeItem('mindtutor_topics');
@@ -381,6 +351,9 @@ export default function DiagnosticsTab() {
         </button>
       </div>
 
+      <LanguageSettings />
+      <AppearanceSettings />
+
       {quizHistory.length === 0 ? (
         <div className="bg-yellow-100 dark:bg-yellow-900/20 border border-yellow-400 dark:border-yellow-600 text-yellow-800 dark:text-yellow-300 px-6 py-4 rounded-lg">
           No quiz data available yet. Take some quizzes to see your diagnostics!
@@ -729,7 +702,7 @@ export default function DiagnosticsTab() {
 
                 {/* Temporal Patterns */}
                 {advancedInsights.temporal &&
-                  advancedInsights.temporal.optimalStudyHour && (
+                  advancedInsights.temporal.optimalStudyHour !== null && (
                     <div className="space-y-3">
                       <h4
                         className="font-semibold"
@@ -808,11 +781,11 @@ export default function DiagnosticsTab() {
                           <span
                             className={`font-medium capitalize ${
                               advancedInsights.conceptual.learningProgression
-                                .overallTrajectory === 'strong_performer'
+                                .overallTrajectory === 'improving'
                                 ? 'text-green-600'
                                 : advancedInsights.conceptual
                                       .learningProgression.overallTrajectory ===
-                                    'needs_improvement'
+                                    'declining'
                                   ? 'text-red-600'
                                   : 'text-yellow-600'
                             }`}
@@ -1299,6 +1272,15 @@ export default function DiagnosticsTab() {
                         {new Date(attempt.timestamp).toLocaleDateString()} at{' '}
                         {new Date(attempt.timestamp).toLocaleTimeString()}
                       </div>
+                      <div className="mt-2">
+                        <QuizExportMenu
+                          source={attempt}
+                          title={`${attempt.topic} quiz ${new Date(
+                            attempt.timestamp
+                          ).toLocaleDateString()}`}
+                          compact
+                        />
+                      </div>
                     </div>
                     <div className="text-right">
                       <div
@@ -1,6 +1,8 @@
 import React, { useState, useRef, useCallback } from 'react';
 import { multimodalProcessor } from '../utils/documentProcessor.js';
 import { buildTopicObject } from '../utils/aiCore.js';
+import { describeStoredContent } from '../utils/topicChunks.js';
+import { ALL_OCR_LANGUAGES, SUPPORTED_LANGUAGES } from '../utils/languages.js';
 
 /**
  * Advanced File Upload Component with OCR and PDF processing
@@ -11,6 +13,7 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
   const [progress, setProgress] = useState({});
   const [results, setResults] = useState({});
   const [dragActive, setDragActive] = useState(false);
+  const [language, setLanguage] = useState('auto');
   const fileInputRef = useRef(null);
 
   const supportedTypes = {
@@ -18,9 +21,28 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
     'image/jpeg': 'JPEG Image',
     'image/png': 'PNG Image',
     'image/webp': 'WebP Image',
-    'text/plain': 'Text File'
+    'text/plain': 'Text File',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word Document',
+    'application/epub+zip': 'EPUB Book',
+    'text/markdown': 'Markdown',
+    'text/html': 'HTML Page'
   };
 
+  // Browsers often report no MIME type for .md or .epub, so fall back to the
+  // type the processor detects from the extension
+  const detectedTypeLabels = {
+    text: 'Text File',
+    docx: 'Word Document',
+    epub: 'EPUB Book',
+    markdown: 'Markdown',
+    html: 'HTML Page'
+  };
+
+  const getTypeLabel = (file) =>
+    supportedTypes[file.type] ||
+    detectedTypeLabels[multimodalProcessor.detectFileType(file)] ||
+    'Unknown';
+
   const handleDrag = useCallback((e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -48,11 +70,11 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
   const handleFiles = (fileList) => {
     const validFiles = fileList.filter(file => {
       const isValidType = Object.keys(supportedTypes).includes(file.type) ||
-                         file.name.toLowerCase().endsWith('.txt');
+                         multimodalProcessor.detectFileType(file) !== 'unknown';
       const isValidSize = file.size <= 50 * 1024 * 1024; // 50MB limit
 
       if (!isValidType) {
-        alert(`Unsupported file type: ${file.type}. Please upload PDF, image, or text files.`);
+        alert(`Unsupported file type: ${file.type}. Please upload PDF, image, Word, EPUB, Markdown, HTML or text files.`);
         return false;
       }
 
@@ -84,10 +106,20 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
       setProgress(prev => ({ ...prev, [index]: { status: 'processing', message: 'Initializing...' } }));
 
       // Process the file with multimodal processor
+      // OCR reads all supported languages unless one was chosen
       const result = await multimodalProcessor.processFile(file, {
-        language: 'eng',
+        language: language === 'auto' ? ALL_OCR_LANGUAGES : SUPPORTED_LANGUAGES[language].ocr,
         preprocess: true,
-        confidence: 60
+        confidence: 60,
+        onProgress: ({ pageIndex, totalPages, stage }) => {
+          const message = stage === 'text'
+            ? `Reading page ${pageIndex} of ${totalPages}...`
+            : `Scanned page ${pageIndex} of ${totalPages}: running OCR...`;
+          setProgress(prev => ({
+            ...prev,
+            [index]: { status: 'processing', message, pageIndex, totalPages }
+          }));
+        }
       });
 
       setProgress(prev => ({
@@ -105,10 +137,11 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
         }));
 
         const topicName = file.name.replace(/\.[^/.]+$/, ''); // Remove extension
-        const topic = buildTopicObject(topicName, result.content);
+        const topic = buildTopicObject(topicName, result);
 
         // Add multimodal metadata
         topic.multimodalData = {
+          ...topic.multimodalData,
           sourceType: result.type,
           analysis: result.analysis,
           processingMetadata: result.metadata,
@@ -119,11 +152,15 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
           }
         };
 
-        onTopicCreated?.(topic);
+        const contentStats = await onTopicCreated?.(topic);
+        const storedReport = describeStoredContent(contentStats || topic.contentStats);
 
         setProgress(prev => ({
           ...prev,
-          [index]: { status: 'topic_created', message: 'Topic created successfully!' }
+          [index]: {
+            status: 'topic_created',
+            message: `Topic created successfully! ${storedReport}`.trim()
+          }
         }));
       }
 
@@ -156,6 +193,7 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
   const getFileIcon = (fileType) => {
     if (fileType.startsWith('image/')) return '🖼️';
     if (fileType === 'application/pdf') return '📄';
+    if (fileType === 'application/epub+zip') return '📚';
     return '📝';
   };
 
@@ -198,7 +236,7 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
               Drop files here or click to browse
             </p>
             <p className="text-gray-500">
-              Supports PDF, JPEG, PNG, WebP images, and text files (max 50MB each)
+              Supports PDF, JPEG, PNG, WebP images, Word, EPUB, Markdown, HTML and text files (max 50MB each)
             </p>
           </div>
           <button
@@ -208,11 +246,25 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
           >
             Choose Files
           </button>
+          <div>
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              disabled={processing}
+              className="border rounded px-2 py-1 text-sm text-gray-700"
+              aria-label="Document language"
+            >
+              <option value="auto">🌐 Detect language</option>
+              {Object.entries(SUPPORTED_LANGUAGES).map(([code, { name }]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          </div>
           <input
             ref={fileInputRef}
             type="file"
             multiple
-            accept=".pdf,.jpg,.jpeg,.png,.webp,.txt"
+            accept=".pdf,.jpg,.jpeg,.png,.webp,.txt,.docx,.epub,.md,.markdown,.html,.htm"
             onChange={handleFileSelect}
             className="hidden"
           />
@@ -250,7 +302,7 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
                     <div>
                       <p className="font-medium text-gray-800">{file.name}</p>
                       <p className="text-sm text-gray-500">
-                        {(file.size / 1024 / 1024).toFixed(2)} MB • {supportedTypes[file.type] || 'Unknown'}
+                        {(file.size / 1024 / 1024).toFixed(2)} MB • {getTypeLabel(file)}
                       </p>
                     </div>
                   </div>
@@ -281,6 +333,15 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
                   </div>
                 </div>
 
+                {progress[index]?.status === 'processing' && progress[index].totalPages > 1 && (
+                  <div className="mt-3 h-1.5 bg-gray-200 rounded">
+                    <div
+                      className="h-1.5 bg-blue-600 rounded transition-all"
+                      style={{ width: `${(progress[index].pageIndex / progress[index].totalPages) * 100}%` }}
+                    />
+                  </div>
+                )}
+
                 {/* Results Display */}
                 {results[index] && (
                   <div className="mt-4 p-3 bg-gray-50 rounded">
@@ -300,14 +361,51 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
                           <span className="ml-1 font-medium">{results[index].metadata.confidence?.toFixed(1)}%</span>
                         </div>
                       )}
+                      {results[index].structure && (
+                        <div>
+                          <span className="text-gray-600">Sections:</span>
+                          <span className="ml-1 font-medium">{results[index].metadata.headingCount}</span>
+                        </div>
+                      )}
                       {results[index].type === 'pdf' && (
                         <div>
                           <span className="text-gray-600">Pages:</span>
                           <span className="ml-1 font-medium">{results[index].metadata.pageCount}</span>
                         </div>
                       )}
+                      {results[index].metadata.ocrPages?.length > 0 && (
+                        <div>
+                          <span className="text-gray-600">Scanned pages:</span>
+                          <span className="ml-1 font-medium">
+                            {results[index].metadata.ocrPages.length}
+                            {results[index].metadata.ocrConfidence !== null &&
+                              ` (avg ${results[index].metadata.ocrConfidence.toFixed(1)}%)`}
+                          </span>
+                        </div>
+                      )}
                     </div>
 
+                    {/* Per-page OCR confidence for scanned PDF pages */}
+                    {results[index].metadata.ocrPages?.length > 0 && (
+                      <div className="mt-3 flex flex-wrap gap-2 text-xs">
+                        {results[index].metadata.ocrPages.map(page => (
+                          <span
+                            key={page.pageNumber}
+                            className={`px-2 py-1 rounded ${
+                              page.error
+                                ? 'bg-red-100 text-red-800'
+                                : page.confidence >= 80
+                                  ? 'bg-green-100 text-green-800'
+                                  : 'bg-yellow-100 text-yellow-800'
+                            }`}
+                            title={page.error || undefined}
+                          >
+                            p. {page.pageNumber}: {page.error ? 'OCR failed' : `${page.confidence.toFixed(0)}%`}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+
                     {/* Content Preview */}
                     <div className="mt-3">
                       <details className="cursor-pointer">
@@ -330,6 +428,12 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
                             <span className="text-blue-800 font-medium">Readability:</span>
                             <span className="ml-1">{results[index].analysis.readability.level}</span>
                           </div>
+                          {SUPPORTED_LANGUAGES[results[index].language] && (
+                            <div className="bg-yellow-100 p-2 rounded">
+                              <span className="text-yellow-800 font-medium">Language:</span>
+                              <span className="ml-1">{SUPPORTED_LANGUAGES[results[index].language].name}</span>
+                            </div>
+                          )}
                           <div className="bg-green-100 p-2 rounded">
                             <span className="text-green-800 font-medium">Complexity:</span>
                             <span className="ml-1">{results[index].analysis.complexity.vocabulary.level}</span>
@@ -356,6 +460,7 @@ const FileUploadTab = ({ onTopicCreated, onProcessingStart, onProcessingEnd }) =
           <p><strong>📄 PDFs:</strong> Text is extracted from all pages automatically</p>
           <p><strong>🖼️ Images:</strong> OCR technology detects and extracts text from photos</p>
           <p><strong>📝 Text Files:</strong> Content is processed directly for analysis</p>
+          <p><strong>🌐 Languages:</strong> English, Spanish, French and German notes are detected and analysed in their own language</p>
           <p><strong>🧠 AI Analysis:</strong> Each file gets analyzed for readability, topics, and learning potential</p>
           <p><strong>📚 Auto-Topic Creation:</strong> Processed content becomes interactive learning topics</p>
         </div>
@@ -1,17 +1,28 @@
 import React, { useState } from 'react';
-import { saveTopic, deleteTopic } from '../utils/storage';
+import { saveTopic, deleteTopic, loadTopicContent } from '../utils/storage';
 import { buildTopicObject } from '../utils/aiCore.js';
+import { describeStoredContent } from '../utils/topicChunks.js';
+import { misconceptionBank } from '../utils/distractorEngine.js';
+import { SUPPORTED_LANGUAGES } from '../utils/languages.js';
+import { i18n } from '../utils/i18n.js';
+import {
+  parseFlashcardFile,
+  flashcardsToTopic,
+} from '../utils/flashcardExchange.js';
+import VocabularyPacks from './VocabularyPacks.jsx';
+import BackupPanel from './BackupPanel.jsx';
 
 export default function ImportTab({ topics, refresh }) {
   const [topicName, setTopicName] = useState('');
   const [content, setContent] = useState('');
+  const [language, setLanguage] = useState('auto');
   const [processing, setProcessing] = useState(false);
   const [message, setMessage] = useState('');
 
   const handleImport = async () => {
     const cleanName = topicName
       .trim()
-      .replace(/[^\w\s-]/g, '')
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
       .replace(/\s+/g, ' ');
 
     if (!cleanName) {
@@ -31,10 +42,18 @@ export default function ImportTab({ topics, refresh }) {
 
     try {
       // Lightning-fast import - asynchronous processing
-      const topicObject = await buildTopicObject(cleanName, content.trim());
-      await saveTopic(cleanName, topicObject);
+      const topicObject = await buildTopicObject(cleanName, content.trim(), {
+        language: language === 'auto' ? null : language,
+      });
+      const contentStats = await saveTopic(cleanName, topicObject);
 
-      setMessage(`✅ Successfully imported "${cleanName}"!`);
+      const subjectNote = topicObject.subject
+        ? ` Subject: ${topicObject.subject.name}.`
+        : '';
+      const languageNote = ` Language: ${SUPPORTED_LANGUAGES[topicObject.language].name}.`;
+      setMessage(
+        `✅ Successfully imported "${cleanName}"! ${describeStoredContent(contentStats)}${subjectNote}${languageNote}`
+      );
       setTopicName('');
       setContent('');
 
@@ -46,19 +65,62 @@ export default function ImportTab({ topics, refresh }) {
     }
   };
 
+  // Term/definition lists become concepts directly, without extraction
+  const handleFlashcardImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const cleanName = (topicName.trim() || file.name.replace(/\.[^.]+$/, ''))
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!cleanName) {
+      setMessage('❌ Please enter a topic name for the flashcards');
+      return;
+    }
+
+    setProcessing(true);
+    setMessage('⚡ Importing flashcards...');
+
+    try {
+      const { cards, skipped } = parseFlashcardFile(
+        await file.text(),
+        file.name
+      );
+      await saveTopic(cleanName, flashcardsToTopic(cleanName, cards));
+
+      const skippedNote = skipped
+        ? ` Skipped ${skipped} empty or duplicate row${skipped === 1 ? '' : 's'}.`
+        : '';
+      setMessage(
+        `✅ Imported ${cards.length} flashcards as "${cleanName}".${skippedNote}`
+      );
+      setTopicName('');
+
+      if (refresh) refresh();
+    } catch (error) {
+      setMessage(`❌ Error: ${error.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   const handleDelete = (name) => {
     if (window.confirm(`Are you sure you want to delete "${name}"?`)) {
       deleteTopic(name);
+      misconceptionBank.clearTopic(name);
       setMessage(`🗑️ Deleted "${name}"`);
       if (refresh) refresh();
     }
   };
 
-  const handleLoadTopic = (name) => {
+  const handleLoadTopic = async (name) => {
     const topic = topics[name];
     if (topic) {
       setTopicName(name);
-      setContent(topic.raw);
+      setContent(await loadTopicContent(name, topic));
+      setLanguage(topic.language || 'auto');
       setMessage(`📝 Loaded "${name}" for editing`);
     }
   };
@@ -129,6 +191,26 @@ export default function ImportTab({ topics, refresh }) {
           >
             Content (1,000-20,000 words recommended)
           </label>
+          <select
+            id="topic-language"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            className="mb-2 px-3 py-1 border rounded-lg text-sm"
+            style={{
+              borderColor: 'var(--border-secondary)',
+              backgroundColor: 'var(--surface-primary)',
+              color: 'var(--text-primary)',
+            }}
+            disabled={processing}
+            aria-label="Content language"
+          >
+            <option value="auto">🌐 Detect language</option>
+            {Object.entries(SUPPORTED_LANGUAGES).map(([code, { name }]) => (
+              <option key={code} value={code}>
+                {name}
+              </option>
+            ))}
+          </select>
           <textarea
             id="topic-content"
             name="content"
@@ -154,7 +236,7 @@ The more detailed content you provide, the better I can help you learn! Include:
           <div className="mt-3 flex justify-between items-center">
             <div className="text-sm" style={{ color: 'var(--text-muted)' }}>
               <span className="font-semibold">
-                {content.length.toLocaleString()}
+                {i18n.formatNumber(content.length)}
               </span>{' '}
               characters
               {content.length >= 100 && (
@@ -195,6 +277,35 @@ The more detailed content you provide, the better I can help you learn! Include:
             </span>
           )}
         </button>
+
+        <div
+          className="mt-4 flex flex-wrap items-center gap-3 text-sm"
+          style={{ color: 'var(--text-secondary)' }}
+        >
+          <label
+            htmlFor="flashcard-file"
+            className="px-4 py-2 rounded-lg font-medium"
+            style={{
+              backgroundColor: 'var(--surface-secondary)',
+              color: 'var(--text-primary)',
+              cursor: processing ? 'not-allowed' : 'pointer',
+            }}
+          >
+            📇 Import flashcards (CSV/TSV)
+          </label>
+          <input
+            type="file"
+            id="flashcard-file"
+            accept=".csv,.tsv,.txt"
+            onChange={handleFlashcardImport}
+            disabled={processing}
+            className="hidden"
+          />
+          <span>
+            Term and definition columns from Quizlet, Anki or a spreadsheet.
+            Uses the topic name above, or the file name.
+          </span>
+        </div>
       </div>
 
       <div
@@ -248,15 +359,17 @@ The more detailed content you provide, the better I can help you learn! Include:
                   >
                     {topic.concepts?.length || 0} concepts •{' '}
                     {topic.keywords?.length || 0} keywords
+                    {topic.subject && ` • ${topic.subject.name}`}
+                    {topic.language &&
+                      SUPPORTED_LANGUAGES[topic.language] &&
+                      ` • ${SUPPORTED_LANGUAGES[topic.language].name}`}
                   </div>
                   <div
                     className="text-xs mt-1"
                     style={{ color: 'var(--text-muted)' }}
                   >
                     Last updated:{' '}
-                    {new Date(
-                      topic.lastUpdated || topic.createdAt
-                    ).toLocaleDateString()}
+                    {i18n.formatDate(topic.lastUpdated || topic.createdAt)}
                   </div>
                 </div>
                 <div className="flex gap-2">
@@ -300,6 +413,10 @@ The more detailed content you provide, the better I can help you learn! Include:
           </div>
         )}
       </div>
+
+      <VocabularyPacks />
+
+      <BackupPanel refresh={refresh} />
     </div>
   );
 }
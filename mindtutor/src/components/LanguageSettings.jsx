@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import { i18n, t, LOCALES, localeName } from '../utils/i18n';
+
+// Shown under the picker so learners see how dates and numbers will look
+const SAMPLE_NUMBER = 1234.5;
+
+/**
+ * Pick the interface language used for menus, tutor replies and lessons
+ */
+export default function LanguageSettings() {
+  const [locale, setLocale] = useState(() => i18n.getLocale());
+
+  useEffect(() => i18n.subscribe(setLocale), []);
+
+  return (
+    <div
+      className="rounded-lg shadow-md p-6 mb-6"
+      style={{
+        backgroundColor: 'var(--surface-primary)',
+        border: '1px solid var(--border-primary)',
+      }}
+    >
+      <label
+        className="flex flex-wrap items-center gap-3 font-semibold"
+        style={{ color: 'var(--text-primary)' }}
+      >
+        <span className="text-2xl">🌐</span>
+        {t('settings.language')}
+        <select
+          value={locale}
+          onChange={(e) => i18n.setLocale(e.target.value)}
+          className="px-2 py-1 rounded border font-normal"
+          style={{
+            borderColor: 'var(--border-secondary)',
+            backgroundColor: 'var(--surface-primary)',
+            color: 'var(--text-primary)',
+          }}
+        >
+          {LOCALES.map((id) => (
+            <option key={id} value={id}>
+              {localeName(id)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <p className="text-sm mt-2" style={{ color: 'var(--text-secondary)' }}>
+        {t('settings.languageHelp')}
+      </p>
+      <p className="text-sm mt-1" style={{ color: 'var(--text-muted)' }}>
+        {i18n.formatDate(new Date(), { dateStyle: 'full' })} •{' '}
+        {i18n.formatNumber(SAMPLE_NUMBER)}
+      </p>
+    </div>
+  );
+}
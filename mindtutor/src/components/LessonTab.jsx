@@ -1,8 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { generateExplanation } from '../utils/aiCore.js';
 import { suggestInteractiveGames } from '../utils/interactiveGames';
 import { rewriteLesson, getAvailableStyles } from '../utils/lessonRewriter';
-import { saveTopic, deleteTopic } from '../utils/storage';
+import { i18n, t } from '../utils/i18n';
+import { saveTopic, deleteTopic, recordReviewResults } from '../utils/storage';
+import { misconceptionBank } from '../utils/distractorEngine';
+import {
+  FLASHCARD_FORMATS,
+  buildTopicFlashcards,
+  flashcardsToDelimited,
+} from '../utils/flashcardExchange';
+import { downloadFile } from '../utils/download';
+import ReviewQueue from './ReviewQueue';
+import StudyPath from './StudyPath';
+import ConceptMap from './ConceptMap';
+import MarkdownContent from './MarkdownContent';
+import ReadingPreferences from './ReadingPreferences';
 
 // Quiz Card Component - Clear question and answer format
 const QuizCard = ({ question, correctAnswer, onCorrect, onWrong }) => {
@@ -139,6 +152,7 @@ export default function LessonTab({ topics, refreshTopics }) {
   const [gameScore, setGameScore] = useState(0);
   const [streak, setStreak] = useState(0);
   const [showCelebration, setShowCelebration] = useState(false);
+  const conceptRefs = useRef({});
 
   useEffect(() => {
     try {
@@ -468,6 +482,28 @@ export default function LessonTab({ topics, refreshTopics }) {
       )
     : [];
 
+  // Imported documents with headings show their concepts in document order,
+  // grouped under the section each concept was found in
+  const sectionTitles = Array.isArray(currentTopic?.sections)
+    ? currentTopic.sections.map((section) => section.title)
+    : [];
+  const sectionRank = (concept) => {
+    const rank = sectionTitles.indexOf(concept.section);
+    return rank === -1 ? sectionTitles.length : rank;
+  };
+  const orderedConcepts =
+    sectionTitles.length > 0
+      ? [...validConcepts].sort((a, b) => sectionRank(a) - sectionRank(b))
+      : validConcepts;
+
+  // Concept map nodes jump to the matching lesson card
+  const handleConceptSelect = (conceptName) => {
+    conceptRefs.current[conceptName]?.scrollIntoView?.({
+      behavior: 'smooth',
+      block: 'nearest',
+    });
+  };
+
   const handleTopicSelect = (topicName) => {
     setSelectedTopic(topicName);
     setAiExplanation('');
@@ -500,6 +536,7 @@ export default function LessonTab({ topics, refreshTopics }) {
     ) {
       try {
         deleteTopic(topicName);
+        misconceptionBank.clearTopic(topicName);
         // Refresh topics
         if (refreshTopics) {
           refreshTopics();
@@ -537,6 +574,27 @@ export default function LessonTab({ topics, refreshTopics }) {
     }));
   };
 
+  const handleExportFlashcards = (format) => {
+    const cards = buildTopicFlashcards(selectedTopic, currentTopic);
+    const baseName = selectedTopic.replace(/[^\w-]+/g, '_') || 'flashcards';
+    downloadFile(
+      `${baseName}_flashcards.${FLASHCARD_FORMATS[format].extension}`,
+      flashcardsToDelimited(cards, {
+        format,
+        deck: `MindTutor::${selectedTopic}`,
+      }),
+      format === 'csv' ? 'text/csv' : 'text/tab-separated-values'
+    );
+  };
+
+  // Flashcard answers feed the spaced-repetition schedule for the concept
+  const recordFlashcardReview = (concept, score) => {
+    if (!selectedTopic || !concept?.concept) return;
+    recordReviewResults([
+      { topic: selectedTopic, concept: concept.concept, score },
+    ]);
+  };
+
   const requestAIExplanation = async (query) => {
     if (!currentTopic) return;
 
@@ -566,9 +624,7 @@ export default function LessonTab({ topics, refreshTopics }) {
       setRewrittenLesson(rewritten);
       setLessonStyle(style);
     } catch {
-      setRewrittenLesson(
-        "Sorry, I couldn't rewrite the lesson right now. Please try again."
-      );
+      setRewrittenLesson(t('lesson.rewriteFailed'));
     } finally {
       setIsRewriting(false);
     }
@@ -607,8 +663,14 @@ export default function LessonTab({ topics, refreshTopics }) {
                   key={index}
                   question={card.front}
                   correctAnswer={card.back}
-                  onCorrect={() => addScore(10)}
-                  onWrong={() => addScore(-5, false)}
+                  onCorrect={() => {
+                    addScore(10);
+                    recordFlashcardReview(concept, 1);
+                  }}
+                  onWrong={() => {
+                    addScore(-5, false);
+                    recordFlashcardReview(concept, 0);
+                  }}
                 />
               ))}
             </div>
@@ -1101,6 +1163,10 @@ export default function LessonTab({ topics, refreshTopics }) {
           Interactive Lessons
         </h2>
 
+        <ReviewQueue topics={topics} />
+
+        <StudyPath topics={topics} onSelectTopic={handleTopicSelect} />
+
         {topicNames.length === 0 ? (
           <div
             className="px-6 py-4 rounded-lg"
@@ -1119,7 +1185,7 @@ export default function LessonTab({ topics, refreshTopics }) {
               const isDemo = topic?.isDemo;
               const conceptCount = topic?.concepts?.length || 0;
               const lastUpdated = topic?.lastUpdated
-                ? new Date(topic.lastUpdated).toLocaleDateString()
+                ? i18n.formatDate(topic.lastUpdated)
                 : null;
 
               return (
@@ -1276,6 +1342,25 @@ export default function LessonTab({ topics, refreshTopics }) {
             {completionPercentage > 0 && (
               <span>📊 {completionPercentage}% complete</span>
             )}
+            {validConcepts.length > 0 && (
+              <span className="flex items-center gap-2">
+                📇 Flashcards:
+                {Object.keys(FLASHCARD_FORMATS).map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExportFlashcards(format)}
+                    className="px-2 py-0.5 rounded"
+                    style={{
+                      backgroundColor: 'var(--surface-secondary)',
+                      color: 'var(--text-secondary)',
+                    }}
+                    title={`Download an Anki-compatible ${format.toUpperCase()} file`}
+                  >
+                    ⬇️ {format.toUpperCase()}
+                  </button>
+                ))}
+              </span>
+            )}
           </div>
         </div>
         <button
@@ -1333,9 +1418,17 @@ export default function LessonTab({ topics, refreshTopics }) {
         </div>
       )}
 
+      <ConceptMap
+        topicName={selectedTopic}
+        topic={currentTopic}
+        onSelectConcept={handleConceptSelect}
+      />
+
+      <ReadingPreferences />
+
       {/* Lesson Content */}
       <div
-        className="max-h-96 overflow-y-auto scrollbar-thin space-y-6 rounded-lg"
+        className="reading-text max-h-96 overflow-y-auto scrollbar-thin space-y-6 rounded-lg"
         style={{
           backgroundColor: 'var(--surface-secondary)',
           border: '1px solid var(--border-primary)',
@@ -1356,43 +1449,57 @@ export default function LessonTab({ topics, refreshTopics }) {
             </p>
           </div>
         ) : (
-          validConcepts.map((concept, index) => (
-            <div
-              key={index}
-              className="rounded-lg shadow-md p-6 mx-4 mb-4"
-              style={{
-                backgroundColor: 'var(--surface-primary)',
-                border: '1px solid var(--border-primary)',
-              }}
-            >
-              <div className="flex items-start justify-between mb-4">
-                <div className="flex-1">
+          orderedConcepts.map((concept, index) => (
+            <React.Fragment key={index}>
+              {sectionTitles.length > 0 &&
+                concept.section &&
+                concept.section !== orderedConcepts[index - 1]?.section && (
                   <h3
-                    className="text-xl font-bold mb-2"
-                    style={{ color: 'var(--text-primary)' }}
+                    className="text-lg font-semibold mx-4 mt-6 mb-3"
+                    style={{ color: 'var(--text-secondary)' }}
                   >
-                    {concept.concept}
+                    {concept.section}
                   </h3>
-                  <p
-                    className="leading-relaxed"
-                    style={{ color: 'var(--text-primary)' }}
-                  >
-                    {concept.definition}
-                  </p>
-                </div>
-                {concept.difficulty && (
-                  <div
-                    className="text-sm ml-4"
-                    style={{ color: 'var(--text-muted)' }}
-                  >
-                    Difficulty: {'⭐'.repeat(concept.difficulty)}
-                  </div>
                 )}
-              </div>
+              <div
+                ref={(element) => {
+                  conceptRefs.current[concept.concept] = element;
+                }}
+                className="rounded-lg shadow-md p-6 mx-4 mb-4"
+                style={{
+                  backgroundColor: 'var(--surface-primary)',
+                  border: '1px solid var(--border-primary)',
+                }}
+              >
+                <div className="flex items-start justify-between mb-4">
+                  <div className="flex-1">
+                    <h3
+                      className="text-xl font-bold mb-2"
+                      style={{ color: 'var(--text-primary)' }}
+                    >
+                      {concept.concept}
+                    </h3>
+                    <p
+                      className="leading-relaxed"
+                      style={{ color: 'var(--text-primary)' }}
+                    >
+                      {concept.definition}
+                    </p>
+                  </div>
+                  {concept.difficulty && (
+                    <div
+                      className="text-sm ml-4"
+                      style={{ color: 'var(--text-muted)' }}
+                    >
+                      Difficulty: {'⭐'.repeat(concept.difficulty)}
+                    </div>
+                  )}
+                </div>
 
-              {/* Interactive Element */}
-              {renderInteractiveElement(concept)}
-            </div>
+                {/* Interactive Element */}
+                {renderInteractiveElement(concept)}
+              </div>
+            </React.Fragment>
           ))
         )}
       </div>
@@ -1470,9 +1577,10 @@ export default function LessonTab({ topics, refreshTopics }) {
                     color: 'var(--text-primary)',
                   }}
                 >
-                  <div className="text-sm whitespace-pre-wrap">
-                    {aiExplanation}
-                  </div>
+                  <MarkdownContent
+                    content={aiExplanation}
+                    className="reading-text"
+                  />
                 </div>
               )}
             </div>
@@ -1525,9 +1633,10 @@ export default function LessonTab({ topics, refreshTopics }) {
                     color: 'var(--text-primary)',
                   }}
                 >
-                  <div className="text-sm whitespace-pre-wrap">
-                    {rewrittenLesson}
-                  </div>
+                  <MarkdownContent
+                    content={rewrittenLesson}
+                    className="reading-text"
+                  />
                 </div>
               )}
             </div>
@@ -0,0 +1,247 @@
+import React, { useMemo } from 'react';
+import { markdownToAst } from '../utils/markdown';
+import { latexToMathTree } from '../utils/latexMath';
+
+// Every node becomes a React element or text node; nothing is ever passed to
+// dangerouslySetInnerHTML, so HTML in imported or generated text stays inert.
+
+const HEADING_CLASSES = {
+  1: 'text-2xl font-bold mt-4 mb-2',
+  2: 'text-xl font-bold mt-4 mb-2',
+  3: 'text-lg font-semibold mt-3 mb-2',
+  4: 'text-base font-semibold mt-3 mb-1',
+  5: 'text-sm font-semibold mt-2 mb-1',
+  6: 'text-sm font-semibold mt-2 mb-1',
+};
+
+function renderMath(node, key) {
+  if (node.text !== undefined) return node.text;
+  return React.createElement(
+    node.tag,
+    { key, ...node.attrs },
+    node.children.map((child, i) => renderMath(child, i))
+  );
+}
+
+function MathFormula({ tex, display }) {
+  const tree = useMemo(() => latexToMathTree(tex, { display }), [tex, display]);
+  const formula = renderMath(tree);
+  return display ? (
+    <div className="my-3 overflow-x-auto text-center" title={tex}>
+      {formula}
+    </div>
+  ) : (
+    <span title={tex}>{formula}</span>
+  );
+}
+
+function renderInline(nodes) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case 'text':
+        return node.text;
+      case 'break':
+        return <br key={i} />;
+      case 'strong':
+        return <strong key={i}>{renderInline(node.children)}</strong>;
+      case 'emphasis':
+        return <em key={i}>{renderInline(node.children)}</em>;
+      case 'delete':
+        return <del key={i}>{renderInline(node.children)}</del>;
+      case 'inlineCode':
+        return (
+          <code
+            key={i}
+            className="px-1 py-0.5 rounded text-sm font-mono"
+            style={{ backgroundColor: 'var(--surface-tertiary)' }}
+          >
+            {node.text}
+          </code>
+        );
+      case 'inlineMath':
+        return <MathFormula key={i} tex={node.text} display={node.display} />;
+      case 'link':
+        // Unsafe URLs were dropped by the parser; keep just the label
+        return node.href ? (
+          <a
+            key={i}
+            href={node.href}
+            title={node.title || undefined}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline"
+            style={{ color: 'var(--accent-primary)' }}
+          >
+            {renderInline(node.children)}
+          </a>
+        ) : (
+          <span key={i}>{renderInline(node.children)}</span>
+        );
+      case 'image':
+        // Images are not loaded from generated text; link to them instead
+        return node.src ? (
+          <a
+            key={i}
+            href={node.src}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline"
+            style={{ color: 'var(--accent-primary)' }}
+          >
+            🖼️ {node.alt || 'image'}
+          </a>
+        ) : (
+          <span key={i}>🖼️ {node.alt}</span>
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+function renderListItem(item, loose) {
+  // Tight lists show their paragraphs inline, like CommonMark renderers
+  const children = item.children.map((block, i) =>
+    !loose && block.type === 'paragraph' ? (
+      <React.Fragment key={i}>{renderInline(block.children)}</React.Fragment>
+    ) : (
+      renderBlock(block, i)
+    )
+  );
+  if (item.checked === null) return children;
+  return (
+    <>
+      <input
+        type="checkbox"
+        checked={item.checked}
+        readOnly
+        disabled
+        className="mr-2 align-middle"
+      />
+      {children}
+    </>
+  );
+}
+
+function renderBlock(block, key) {
+  switch (block.type) {
+    case 'heading':
+      return React.createElement(
+        `h${block.level}`,
+        { key, className: HEADING_CLASSES[block.level] },
+        renderInline(block.children)
+      );
+    case 'paragraph':
+      return (
+        <p key={key} className="my-2">
+          {renderInline(block.children)}
+        </p>
+      );
+    case 'list': {
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag
+          key={key}
+          start={block.ordered && block.start !== 1 ? block.start : undefined}
+          className={`my-2 pl-6 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, i) => (
+            <li key={i}>{renderListItem(item, block.loose)}</li>
+          ))}
+        </ListTag>
+      );
+    }
+    case 'blockquote':
+      return (
+        <blockquote
+          key={key}
+          className="my-2 pl-4 italic"
+          style={{
+            borderLeft: '4px solid var(--border-primary)',
+            color: 'var(--text-secondary)',
+          }}
+        >
+          {block.children.map(renderBlock)}
+        </blockquote>
+      );
+    case 'code':
+      return (
+        <pre
+          key={key}
+          className="my-3 p-3 rounded-lg overflow-x-auto text-sm font-mono"
+          style={{ backgroundColor: 'var(--surface-tertiary)' }}
+        >
+          <code data-language={block.lang || undefined}>{block.text}</code>
+        </pre>
+      );
+    case 'math':
+      return <MathFormula key={key} tex={block.text} display />;
+    case 'table':
+      return (
+        <div key={key} className="my-3 overflow-x-auto">
+          <table className="min-w-full text-sm border-collapse">
+            <thead>
+              <tr>
+                {block.header.map((cell, i) => (
+                  <th
+                    key={i}
+                    className="px-3 py-2 font-semibold"
+                    style={{
+                      textAlign: block.align[i] || 'left',
+                      border: '1px solid var(--border-primary)',
+                      backgroundColor: 'var(--surface-secondary)',
+                    }}
+                  >
+                    {renderInline(cell)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r}>
+                  {row.map((cell, i) => (
+                    <td
+                      key={i}
+                      className="px-3 py-2"
+                      style={{
+                        textAlign: block.align[i] || undefined,
+                        border: '1px solid var(--border-primary)',
+                      }}
+                    >
+                      {renderInline(cell)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'thematicBreak':
+      return (
+        <hr
+          key={key}
+          className="my-4"
+          style={{ borderColor: 'var(--border-primary)' }}
+        />
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render untrusted Markdown (with tables and LaTeX math) as React elements
+ * @param {string} content - Markdown source
+ * @param {string} className - Classes for the wrapper
+ * @param {Object} style - Inline style for the wrapper
+ */
+export default function MarkdownContent({ content, className = '', style }) {
+  const blocks = useMemo(() => markdownToAst(content), [content]);
+  return (
+    <div className={`markdown-content break-words ${className}`} style={style}>
+      {blocks.map(renderBlock)}
+    </div>
+  );
+}
@@ -0,0 +1,470 @@
+import React, { useState, useEffect } from 'react';
+import {
+  WEEKDAYS,
+  createStudyPlan,
+  replanStudyPlan,
+  markSession,
+  findMissedSessions,
+  summarizePlan,
+  describeSessionKind,
+  examDayStart,
+  exportPlanToICS,
+} from '../utils/studyPlanner';
+import {
+  loadStudyPlan,
+  saveStudyPlan,
+  deleteStudyPlan,
+  loadDiagnostics,
+} from '../utils/storage';
+import { downloadFile } from '../utils/download';
+import { i18n, t } from '../utils/i18n';
+
+const SLOT_LENGTHS = [30, 45, 60, 90, 120];
+
+// Weekday evenings, one hour each
+const DEFAULT_WEEK = WEEKDAYS.map((_, day) => ({
+  day,
+  enabled: day >= 1 && day <= 5,
+  start: '18:00',
+  minutes: 60,
+}));
+
+function weekFromAvailability(availability) {
+  return DEFAULT_WEEK.map((row) => {
+    const slot = availability.find((s) => s.day === row.day);
+    return slot ? { ...slot, enabled: true } : { ...row, enabled: false };
+  });
+}
+
+// 7 January 2024 was a Sunday, the first day of WEEKDAYS
+function weekdayName(day) {
+  return i18n.formatDate(new Date(2024, 0, 7 + day), { weekday: 'long' });
+}
+
+function formatSessionTime(session) {
+  const start = new Date(session.start);
+  return `${i18n.formatDate(start, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+  })} · ${i18n.formatDate(start, {
+    hour: '2-digit',
+    minute: '2-digit',
+  })} · ${t('planner.minutes', { count: session.duration })}`;
+}
+
+const STATUS_COLORS = {
+  done: 'var(--accent-success)',
+  missed: 'var(--accent-error)',
+  planned: 'var(--text-secondary)',
+};
+
+/**
+ * Exam planner: dated study sessions from weekly availability, with
+ * re-planning after missed sessions and iCalendar export
+ */
+export default function PlannerTab({ topics }) {
+  const topicNames = Object.keys(topics || {});
+  const [plan, setPlan] = useState(null);
+  const [examDate, setExamDate] = useState('');
+  const [week, setWeek] = useState(DEFAULT_WEEK);
+  const [selectedTopics, setSelectedTopics] = useState([]);
+  const [status, setStatus] = useState('');
+  const [isPlanning, setIsPlanning] = useState(false);
+
+  useEffect(() => {
+    loadStudyPlan().then((stored) => {
+      if (!stored) return;
+      setPlan(stored);
+      setExamDate(stored.examDate);
+      setWeek(weekFromAvailability(stored.availability));
+      setSelectedTopics(stored.topicNames);
+    });
+  }, []);
+
+  const now = new Date();
+  const missedSessions = plan ? findMissedSessions(plan, now) : [];
+  const summary = plan ? summarizePlan(plan, now) : null;
+
+  const userModelFromDiagnostics = async () => {
+    const diagnostics = await loadDiagnostics();
+    return {
+      weaknesses: diagnostics.weaknesses || [],
+      strengths: diagnostics.strengths || [],
+    };
+  };
+
+  const persist = async (nextPlan) => {
+    setPlan(nextPlan);
+    await saveStudyPlan(nextPlan);
+  };
+
+  const handleCreate = async () => {
+    setIsPlanning(true);
+    try {
+      const created = await createStudyPlan({
+        topicNames: selectedTopics.filter((name) => topics[name]),
+        topics,
+        examDate,
+        availability: week
+          .filter((row) => row.enabled)
+          .map(({ day, start, minutes }) => ({ day, start, minutes })),
+        userModel: await userModelFromDiagnostics(),
+      });
+      await persist(created);
+      setStatus(
+        created.sessions.length > 0
+          ? t('planner.created', { count: created.sessions.length })
+          : t('planner.noSlotLeft')
+      );
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const handleReplan = async () => {
+    setIsPlanning(true);
+    try {
+      const replanned = await replanStudyPlan(plan, {
+        topics,
+        userModel: await userModelFromDiagnostics(),
+      });
+      await persist(replanned);
+      setStatus(t('planner.replanned'));
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const handleMark = (sessionId, sessionStatus) =>
+    persist(markSession(plan, sessionId, sessionStatus));
+
+  const handleExport = () => {
+    downloadFile(
+      `mindtutor-study-plan-${plan.examDate}.ics`,
+      exportPlanToICS(plan),
+      'text/calendar'
+    );
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(t('planner.confirmDelete'))) return;
+    await deleteStudyPlan(plan.id);
+    setPlan(null);
+    setStatus(t('planner.deleted'));
+  };
+
+  const updateDay = (day, changes) =>
+    setWeek((rows) =>
+      rows.map((row) => (row.day === day ? { ...row, ...changes } : row))
+    );
+
+  const toggleTopic = (name) =>
+    setSelectedTopics((selected) =>
+      selected.includes(name)
+        ? selected.filter((n) => n !== name)
+        : [...selected, name]
+    );
+
+  const cardStyle = {
+    backgroundColor: 'var(--surface-primary)',
+    border: '1px solid var(--border-primary)',
+  };
+  const inputStyle = {
+    borderColor: 'var(--border-secondary)',
+    backgroundColor: 'var(--surface-primary)',
+    color: 'var(--text-primary)',
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="rounded-2xl shadow-xl p-8" style={cardStyle}>
+        <h2
+          className="text-3xl font-bold mb-2 flex items-center gap-3"
+          style={{ color: 'var(--text-primary)' }}
+        >
+          <span className="text-4xl">🗓️</span>
+          <span>{t('planner.title')}</span>
+        </h2>
+        <p className="mb-6" style={{ color: 'var(--text-secondary)' }}>
+          {t('planner.intro')}
+        </p>
+
+        {status && (
+          <div
+            className="mb-4 p-3 rounded-lg text-sm"
+            style={{
+              backgroundColor: 'var(--surface-secondary)',
+              color: 'var(--text-primary)',
+            }}
+          >
+            {status}
+          </div>
+        )}
+
+        <label
+          className="block text-sm font-semibold mb-2"
+          style={{ color: 'var(--text-primary)' }}
+        >
+          {t('planner.examDate')}
+        </label>
+        <input
+          type="date"
+          value={examDate}
+          onChange={(e) => setExamDate(e.target.value)}
+          className="mb-6 px-3 py-2 border rounded-lg"
+          style={inputStyle}
+        />
+
+        <h3
+          className="text-sm font-semibold mb-2"
+          style={{ color: 'var(--text-primary)' }}
+        >
+          {t('planner.weeklyAvailability')}
+        </h3>
+        <div className="space-y-2 mb-6">
+          {week.map((row) => (
+            <div key={row.day} className="flex flex-wrap items-center gap-3">
+              <label
+                className="w-32 flex items-center gap-2"
+                style={{ color: 'var(--text-primary)' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={row.enabled}
+                  onChange={(e) =>
+                    updateDay(row.day, { enabled: e.target.checked })
+                  }
+                />
+                {weekdayName(row.day)}
+              </label>
+              <input
+                type="time"
+                value={row.start}
+                disabled={!row.enabled}
+                onChange={(e) => updateDay(row.day, { start: e.target.value })}
+                className="px-2 py-1 border rounded-lg"
+                style={inputStyle}
+              />
+              <select
+                value={row.minutes}
+                disabled={!row.enabled}
+                onChange={(e) =>
+                  updateDay(row.day, { minutes: Number(e.target.value) })
+                }
+                className="px-2 py-1 border rounded-lg"
+                style={inputStyle}
+              >
+                {SLOT_LENGTHS.map((minutes) => (
+                  <option key={minutes} value={minutes}>
+                    {t('planner.minutes', { count: minutes })}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <h3
+          className="text-sm font-semibold mb-2"
+          style={{ color: 'var(--text-primary)' }}
+        >
+          {t('planner.topicsToCover')}
+        </h3>
+        {topicNames.length === 0 ? (
+          <p className="mb-6 text-sm" style={{ color: 'var(--text-muted)' }}>
+            {t('planner.noTopics')}
+          </p>
+        ) : (
+          <div className="flex flex-wrap gap-2 mb-6">
+            {topicNames.map((name) => (
+              <label
+                key={name}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm cursor-pointer"
+                style={{
+                  backgroundColor: 'var(--surface-secondary)',
+                  color: 'var(--text-primary)',
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedTopics.includes(name)}
+                  onChange={() => toggleTopic(name)}
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+        )}
+
+        <button
+          onClick={handleCreate}
+          disabled={isPlanning}
+          className="px-6 py-3 text-white rounded-lg font-semibold"
+          style={{
+            backgroundColor: isPlanning
+              ? 'var(--text-muted)'
+              : 'var(--accent-primary)',
+          }}
+        >
+          {isPlanning
+            ? t('planner.planning')
+            : plan
+              ? t('planner.createNewPlan')
+              : t('planner.createPlan')}
+        </button>
+      </div>
+
+      {plan && (
+        <div className="rounded-2xl shadow-xl p-8" style={cardStyle}>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div>
+              <h3
+                className="text-2xl font-bold"
+                style={{ color: 'var(--text-primary)' }}
+              >
+                {t('planner.planFor', {
+                  date: i18n.formatDate(examDayStart(plan.examDate)),
+                })}
+              </h3>
+              <p className="text-sm" style={{ color: 'var(--text-secondary)' }}>
+                {t('planner.summary', {
+                  done: summary.done,
+                  planned: summary.planned,
+                  missed: summary.missed,
+                  topics: plan.topicNames.join(', '),
+                })}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={handleExport}
+                className="px-4 py-2 text-white rounded-lg text-sm font-medium"
+                style={{ backgroundColor: 'var(--accent-success)' }}
+              >
+                {t('planner.exportCalendar')}
+              </button>
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 text-white rounded-lg text-sm font-medium"
+                style={{ backgroundColor: 'var(--accent-error)' }}
+              >
+                {t('planner.delete')}
+              </button>
+            </div>
+          </div>
+
+          {missedSessions.length > 0 && (
+            <div
+              className="mb-4 p-4 rounded-lg flex flex-wrap items-center justify-between gap-3"
+              style={{ backgroundColor: 'var(--surface-secondary)' }}
+            >
+              <span style={{ color: 'var(--text-primary)' }}>
+                {t('planner.missed', { count: missedSessions.length })}
+              </span>
+              <button
+                onClick={handleReplan}
+                disabled={isPlanning}
+                className="px-4 py-2 text-white rounded-lg text-sm font-medium"
+                style={{ backgroundColor: 'var(--accent-primary)' }}
+              >
+                {t('planner.replan')}
+              </button>
+            </div>
+          )}
+
+          {plan.unscheduled.length > 0 && (
+            <p
+              className="mb-4 text-sm"
+              style={{ color: 'var(--accent-error)' }}
+            >
+              {t('planner.noTimeLeft', {
+                topics: plan.unscheduled.join(', '),
+              })}
+            </p>
+          )}
+
+          <ul className="space-y-2">
+            {plan.sessions.map((session) => {
+              const milestones = plan.milestones.filter(
+                (m) => m.sessionId === session.id
+              );
+              const overdue =
+                session.status === 'planned' && new Date(session.end) <= now;
+              const shownStatus = overdue ? 'missed' : session.status;
+              return (
+                <li
+                  key={session.id}
+                  className="p-3 rounded-lg"
+                  style={{ backgroundColor: 'var(--surface-secondary)' }}
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <div
+                        className="font-semibold"
+                        style={{ color: 'var(--text-primary)' }}
+                      >
+                        {describeSessionKind(session.kind)}: {session.concept}
+                      </div>
+                      <div
+                        className="text-sm"
+                        style={{ color: 'var(--text-secondary)' }}
+                      >
+                        {formatSessionTime(session)}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span
+                        className="text-sm"
+                        style={{ color: STATUS_COLORS[shownStatus] }}
+                      >
+                        {t(`planner.status.${shownStatus}`)}
+                      </span>
+                      {session.status !== 'done' && (
+                        <button
+                          onClick={() => handleMark(session.id, 'done')}
+                          className="px-3 py-1 rounded-lg text-sm"
+                          style={{
+                            backgroundColor: 'var(--surface-tertiary)',
+                            color: 'var(--text-primary)',
+                          }}
+                        >
+                          {t('planner.markDone')}
+                        </button>
+                      )}
+                      {session.status === 'planned' && !overdue && (
+                        <button
+                          onClick={() => handleMark(session.id, 'missed')}
+                          className="px-3 py-1 rounded-lg text-sm"
+                          style={{
+                            backgroundColor: 'var(--surface-tertiary)',
+                            color: 'var(--text-primary)',
+                          }}
+                        >
+                          {t('planner.skip')}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  {milestones.map((milestone) => (
+                    <div
+                      key={milestone.type}
+                      className="text-sm mt-1"
+                      style={{ color: 'var(--accent-primary)' }}
+                    >
+                      🏁 {milestone.description}
+                    </div>
+                  ))}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
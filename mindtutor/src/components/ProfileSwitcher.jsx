@@ -0,0 +1,322 @@
+import React, { useEffect, useState } from 'react';
+import { profileManager } from '../utils/profiles';
+import { deleteProfileData, exportAllData } from '../utils/storage';
+import { downloadFile } from '../utils/download';
+
+const LIBRARY_LABELS = {
+  shared: 'Shared topic library',
+  private: 'Private topic library',
+};
+
+const inputStyle = {
+  borderColor: 'var(--border-secondary)',
+  backgroundColor: 'var(--surface-primary)',
+  color: 'var(--text-primary)',
+};
+
+const buttonStyle = {
+  backgroundColor: 'var(--surface-tertiary)',
+  color: 'var(--text-primary)',
+};
+
+/**
+ * Choose who is learning, and create, rename, lock, export or delete
+ * profiles
+ */
+export default function ProfileSwitcher() {
+  const [profiles, setProfiles] = useState(() => profileManager.getProfiles());
+  const [activeId, setActiveId] = useState(() => profileManager.getActiveId());
+  const [unlocking, setUnlocking] = useState(null);
+  const [pin, setPin] = useState('');
+  const [managing, setManaging] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newLibrary, setNewLibrary] = useState('shared');
+  const [newPin, setNewPin] = useState('');
+  const [renameTo, setRenameTo] = useState('');
+  const [lockPin, setLockPin] = useState('');
+  const [status, setStatus] = useState('');
+
+  useEffect(
+    () =>
+      profileManager.subscribe((id) => {
+        setProfiles(profileManager.getProfiles());
+        setActiveId(id);
+      }),
+    []
+  );
+
+  const active = profiles.find((profile) => profile.id === activeId);
+
+  const run = async (action, success = '') => {
+    try {
+      await action();
+      setStatus(success);
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    }
+  };
+
+  const handleSelect = (profileId) => {
+    const profile = profiles.find((candidate) => candidate.id === profileId);
+    setStatus('');
+    if (profile?.hasPin) {
+      setUnlocking(profileId);
+      setPin('');
+    } else {
+      run(() => profileManager.switchProfile(profileId));
+    }
+  };
+
+  const handleUnlock = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await profileManager.switchProfile(unlocking, pin);
+      setUnlocking(null);
+    });
+    setPin('');
+  };
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const profile = await profileManager.createProfile(newName, {
+        topicLibrary: newLibrary,
+        pin: newPin,
+      });
+      await profileManager.switchProfile(profile.id, newPin);
+      setNewName('');
+      setNewPin('');
+    }, '✅ Profile created');
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    run(() => {
+      profileManager.renameProfile(activeId, renameTo);
+      setRenameTo('');
+    }, '✅ Profile renamed');
+  };
+
+  const handleLock = (event) => {
+    event.preventDefault();
+    run(
+      async () => {
+        await profileManager.setPin(activeId, lockPin);
+        setLockPin('');
+      },
+      lockPin ? '✅ PIN set' : '✅ PIN removed'
+    );
+  };
+
+  const handleExport = () =>
+    run(async () => {
+      const data = await exportAllData({ profileId: activeId });
+      if (!data) throw new Error('Could not export this profile');
+      const slug = active.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      downloadFile(
+        `mindtutor-${slug}-${data.exportDate.slice(0, 10)}.json`,
+        JSON.stringify(data, null, 2),
+        'application/json'
+      );
+    }, '✅ Profile exported');
+
+  const handleDelete = () => {
+    if (
+      !window.confirm(
+        `Delete ${active.name}, their history and private topics? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+    const deletePin = active.hasPin
+      ? window.prompt(`Enter ${active.name}'s PIN to delete the profile`)
+      : '';
+    if (deletePin === null) return;
+    run(async () => {
+      await profileManager.deleteProfile(activeId, deletePin);
+      await deleteProfileData(active.id);
+    }, `✅ Deleted ${active.name}`);
+  };
+
+  return (
+    <div className="mt-4 text-sm">
+      <label
+        className="flex items-center gap-2"
+        style={{ color: 'var(--text-secondary)' }}
+      >
+        <span aria-hidden="true">👤</span>
+        <select
+          value={unlocking || activeId}
+          onChange={(e) => handleSelect(e.target.value)}
+          className="flex-1 px-2 py-1 rounded border"
+          style={inputStyle}
+          aria-label="Learner profile"
+        >
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.hasPin ? '🔒 ' : ''}
+              {profile.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => setManaging(!managing)}
+          className="px-2 py-1 rounded"
+          style={buttonStyle}
+          aria-expanded={managing}
+        >
+          ⚙️
+        </button>
+      </label>
+
+      {unlocking && (
+        <form onSubmit={handleUnlock} className="flex gap-2 mt-2">
+          <input
+            type="password"
+            inputMode="numeric"
+            autoFocus
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+            placeholder="PIN"
+            className="flex-1 px-2 py-1 rounded border"
+            style={inputStyle}
+          />
+          <button
+            type="submit"
+            className="px-2 py-1 rounded"
+            style={buttonStyle}
+          >
+            Unlock
+          </button>
+          <button
+            type="button"
+            onClick={() => setUnlocking(null)}
+            className="px-2 py-1 rounded"
+            style={{ color: 'var(--text-secondary)' }}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {status && (
+        <div className="mt-2" style={{ color: 'var(--text-primary)' }}>
+          {status}
+        </div>
+      )}
+
+      {managing && active && (
+        <div
+          className="mt-3 p-3 rounded-lg space-y-3"
+          style={{ backgroundColor: 'var(--surface-secondary)' }}
+        >
+          <div style={{ color: 'var(--text-muted)' }}>
+            {active.name} • {LIBRARY_LABELS[active.topicLibrary]}
+          </div>
+
+          <form onSubmit={handleRename} className="flex gap-2">
+            <input
+              value={renameTo}
+              onChange={(e) => setRenameTo(e.target.value)}
+              placeholder="New name"
+              className="flex-1 min-w-0 px-2 py-1 rounded border"
+              style={inputStyle}
+            />
+            <button
+              type="submit"
+              className="px-2 py-1 rounded"
+              style={buttonStyle}
+            >
+              Rename
+            </button>
+          </form>
+
+          <form onSubmit={handleLock} className="flex gap-2">
+            <input
+              type="password"
+              inputMode="numeric"
+              value={lockPin}
+              onChange={(e) => setLockPin(e.target.value)}
+              placeholder={active.hasPin ? 'New PIN or empty' : '4-8 digit PIN'}
+              className="flex-1 min-w-0 px-2 py-1 rounded border"
+              style={inputStyle}
+            />
+            <button
+              type="submit"
+              className="px-2 py-1 rounded"
+              style={buttonStyle}
+            >
+              {active.hasPin && !lockPin ? 'Remove PIN' : 'Set PIN'}
+            </button>
+          </form>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleExport}
+              className="px-2 py-1 rounded"
+              style={buttonStyle}
+            >
+              ⬇️ Export my data
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={profiles.length === 1}
+              className="px-2 py-1 rounded"
+              style={{ color: 'var(--accent-error)' }}
+            >
+              Delete profile
+            </button>
+          </div>
+
+          <form
+            onSubmit={handleCreate}
+            className="space-y-2 pt-3 border-t"
+            style={{ borderColor: 'var(--border-primary)' }}
+          >
+            <div
+              className="font-semibold"
+              style={{ color: 'var(--text-primary)' }}
+            >
+              New profile
+            </div>
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Name"
+              className="w-full px-2 py-1 rounded border"
+              style={inputStyle}
+            />
+            <select
+              value={newLibrary}
+              onChange={(e) => setNewLibrary(e.target.value)}
+              className="w-full px-2 py-1 rounded border"
+              style={inputStyle}
+            >
+              {Object.entries(LIBRARY_LABELS).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="password"
+              inputMode="numeric"
+              value={newPin}
+              onChange={(e) => setNewPin(e.target.value)}
+              placeholder="PIN (optional)"
+              className="w-full px-2 py-1 rounded border"
+              style={inputStyle}
+            />
+            <button
+              type="submit"
+              className="w-full px-2 py-1 text-white rounded"
+              style={{ backgroundColor: 'var(--accent-primary)' }}
+            >
+              Create and switch
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { QUIZ_EXPORT_FORMATS, exportQuiz } from '../utils/quizExport';
+import { downloadFile } from '../utils/download';
+
+/**
+ * Download buttons for a generated quiz or a saved attempt in each
+ * supported export format
+ */
+export default function QuizExportMenu({ source, title, compact = false }) {
+  const [error, setError] = useState('');
+
+  const handleExport = (format) => {
+    try {
+      const { filename, content, mimeType } = exportQuiz(source, format, title);
+      downloadFile(filename, content, mimeType);
+      setError('');
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className={compact ? '' : 'mb-6'}>
+      <div className="flex flex-wrap items-center gap-2">
+        {!compact && (
+          <span className="text-sm" style={{ color: 'var(--text-secondary)' }}>
+            Export:
+          </span>
+        )}
+        {QUIZ_EXPORT_FORMATS.map((format) => (
+          <button
+            key={format.id}
+            onClick={() => handleExport(format.id)}
+            className={`rounded-lg ${compact ? 'text-xs px-2 py-0.5' : 'text-sm px-3 py-1'}`}
+            style={{
+              backgroundColor: 'var(--surface-secondary)',
+              color: 'var(--text-secondary)',
+            }}
+            title={`Download as ${format.label}`}
+          >
+            ⬇️ {format.label}
+          </button>
+        ))}
+      </div>
+      {error && (
+        <div className="text-sm mt-1" style={{ color: 'var(--accent-error)' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,84 @@
 import React, { useState } from 'react';
-import { generateQuiz, gradeQuiz } from '../utils/quizGenerator';
-import { saveQuizAttempt } from '../utils/storage';
+import {
+  generateQuiz,
+  gradeQuiz,
+  generateAdaptiveQuiz,
+  gradeAdaptiveQuiz,
+} from '../utils/quizGenerator';
+import { saveQuizAttempt, recordReviewResults } from '../utils/storage';
 import { getSampleTopics, getSampleQuiz } from '../utils/sampleQuestions';
+import { userModelManager } from '../utils/userModel';
+import { profileManager } from '../utils/profiles';
+import { t } from '../utils/i18n';
+import { misconceptionBank } from '../utils/distractorEngine';
+import QuizExportMenu from './QuizExportMenu';
+
+const FOCUS_LABELS = {
+  weakness_remediation: { label: 'Weak spot', color: 'var(--accent-error)' },
+  review: { label: 'Review', color: 'var(--accent-warning)' },
+  advancement: { label: 'Challenge', color: 'var(--accent-success)' },
+};
+
+/**
+ * Look up a concept's mastery record (skill progress keys are lowercased)
+ */
+function findConceptMastery(model, concept) {
+  if (!(model?.conceptMastery instanceof Map)) return null;
+  for (const [name, mastery] of model.conceptMastery) {
+    if (name.toLowerCase() === concept) return mastery;
+  }
+  return null;
+}
+
+/**
+ * Build the activity record the user model learns from
+ */
+function buildQuizActivity(topicName, quiz, gradingResults, startedAt, mode) {
+  const conceptScores = {};
+  const conceptCounts = {};
+  const errors = [];
+
+  gradingResults.results.forEach((result, index) => {
+    const question = quiz[index];
+    const concept = result.conceptTested;
+    if (!concept) return;
+
+    const score = (result.partialScore || 0) / 100;
+    conceptScores[concept] = (conceptScores[concept] || 0) + score;
+    conceptCounts[concept] = (conceptCounts[concept] || 0) + 1;
+
+    if (!result.isCorrect) {
+      errors.push({
+        type: question.type,
+        concept,
+        description: `Missed ${question.type} question on ${concept}`,
+      });
+    }
+  });
+
+  Object.keys(conceptScores).forEach((concept) => {
+    conceptScores[concept] /= conceptCounts[concept];
+  });
+
+  const questionTypes = [...new Set(quiz.map((q) => q.type))];
+  const averageDifficulty =
+    quiz.reduce((sum, q) => sum + (q.difficulty || 2), 0) / quiz.length;
+
+  return {
+    type: mode === 'adaptive' ? 'quiz_adaptive' : 'quiz',
+    topic: topicName,
+    score: gradingResults.score / 100,
+    timeSpent: Math.max(1, Math.round((Date.now() - startedAt) / 60000)),
+    difficulty: averageDifficulty,
+    skills: questionTypes.some((t) => t === 'shortanswer' || t === 'explain')
+      ? ['memory.recall', 'language.writing']
+      : ['memory.recall'],
+    questionTypes,
+    conceptsTested: Object.keys(conceptScores),
+    conceptScores,
+    errors,
+  };
+}
 
 export default function QuizTab({ topics }) {
   const [selectedTopic, setSelectedTopic] = useState('');
@@ -9,22 +86,36 @@ export default function QuizTab({ topics }) {
   const [userAnswers, setUserAnswers] = useState({});
   const [results, setResults] = useState(null);
   const [questionCount, setQuestionCount] = useState(10);
-  const [quizMode, setQuizMode] = useState('imported'); // "imported" or "sample"
+  const [quizMode, setQuizMode] = useState('imported'); // "imported", "adaptive" or "sample"
+  const [userModel, setUserModel] = useState(null);
+  const [startedAt, setStartedAt] = useState(null);
+  const [revealedHints, setRevealedHints] = useState({});
 
-  const handleGenerateQuiz = () => {
+  const handleGenerateQuiz = async () => {
     if (!selectedTopic) {
-      alert('Please select a topic first');
+      alert(t('quiz.selectTopicFirst'));
       return;
     }
 
     let questions;
 
-    if (quizMode === 'sample') {
+    if (quizMode === 'adaptive') {
+      const topic = topics[selectedTopic];
+      const model = await userModelManager.getUserModel(
+        profileManager.getActiveId()
+      );
+      questions = generateAdaptiveQuiz(topic, model, questionCount);
+      if (questions.length === 0) {
+        alert(t('quiz.noConcepts'));
+        return;
+      }
+      setUserModel(model);
+    } else if (quizMode === 'sample') {
       const sampleQuiz = getSampleQuiz(selectedTopic);
       if (sampleQuiz) {
         questions = sampleQuiz.questions.slice(0, questionCount);
       } else {
-        alert('Sample quiz not found');
+        alert(t('quiz.sampleNotFound'));
         return;
       }
     } else {
@@ -35,6 +126,8 @@ export default function QuizTab({ topics }) {
     setQuiz(questions);
     setUserAnswers({});
     setResults(null);
+    setRevealedHints({});
+    setStartedAt(Date.now());
   };
 
   const handleAnswerChange = (questionId, answer) => {
@@ -44,28 +137,75 @@ export default function QuizTab({ topics }) {
     }));
   };
 
-  const handleSubmit = () => {
+  const handleSubmit = async () => {
     if (!quiz) return;
 
     const answers = quiz.map((q) => userAnswers[q.id] || '');
-    const gradingResults = gradeQuiz(quiz, answers);
+    const gradingResults =
+      quizMode === 'adaptive'
+        ? gradeAdaptiveQuiz(quiz, answers, userModel)
+        : gradeQuiz(quiz, answers);
 
     setResults(gradingResults);
 
+    const activity = buildQuizActivity(
+      selectedTopic,
+      quiz,
+      gradingResults,
+      startedAt || Date.now(),
+      quizMode
+    );
+
     // Save attempt
     saveQuizAttempt({
       topic: selectedTopic,
+      mode: quizMode,
       score: gradingResults.score,
       correct: gradingResults.correct,
       total: gradingResults.total,
       results: gradingResults.results,
+      // Kept so the attempt can be exported with its options and rubrics
+      questions: quiz,
+      timeSpent: activity.timeSpent,
+      difficulty: activity.difficulty,
+      questionTypes: activity.questionTypes,
     });
+
+    // Sample quizzes are not tied to the learner's material
+    if (quizMode === 'sample') return;
+
+    // Wrong options picked here are offered again in later quizzes
+    misconceptionBank.recordPicks(
+      selectedTopic,
+      profileManager.getActiveId(),
+      gradingResults.results
+    );
+
+    // Each concept's score also reschedules its spaced-repetition review
+    recordReviewResults(
+      Object.entries(activity.conceptScores).map(([concept, score]) => ({
+        topic: selectedTopic,
+        concept,
+        score,
+      }))
+    );
+
+    try {
+      const updatedModel = await userModelManager.updateFromActivity(
+        profileManager.getActiveId(),
+        activity
+      );
+      setUserModel({ ...updatedModel });
+    } catch (error) {
+      console.error('Error updating user model from quiz:', error);
+    }
   };
 
   const handleReset = () => {
     setQuiz(null);
     setUserAnswers({});
     setResults(null);
+    setRevealedHints({});
   };
 
   if (!quiz) {
@@ -128,6 +268,28 @@ export default function QuizTab({ topics }) {
                     {!hasImportedTopics && '(None available)'}
                   </span>
                 </label>
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    value="adaptive"
+                    checked={quizMode === 'adaptive'}
+                    onChange={(e) => {
+                      setQuizMode(e.target.value);
+                      setSelectedTopic('');
+                    }}
+                    disabled={!hasImportedTopics}
+                    className="w-4 h-4"
+                  />
+                  <span
+                    style={{
+                      color: !hasImportedTopics
+                        ? 'var(--text-muted)'
+                        : 'var(--text-primary)',
+                    }}
+                  >
+                    🧠 Adaptive
+                  </span>
+                </label>
                 <label className="flex items-center space-x-2 cursor-pointer">
                   <input
                     type="radio"
@@ -161,7 +323,7 @@ export default function QuizTab({ topics }) {
                 <option value="" className="text-gray-500 dark:text-gray-400">
                   -- Choose a topic --
                 </option>
-                {quizMode === 'imported'
+                {quizMode !== 'sample'
                   ? Object.keys(topics).map((topicName) => (
                       <option key={topicName} value={topicName}>
                         {topicName}
@@ -203,9 +365,33 @@ export default function QuizTab({ topics }) {
                   : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-600'
               }`}
             >
-              {quizMode === 'sample' ? 'Start Sample Quiz' : 'Generate Quiz'}
+              {quizMode === 'sample'
+                ? 'Start Sample Quiz'
+                : quizMode === 'adaptive'
+                  ? 'Generate Adaptive Quiz'
+                  : 'Generate Quiz'}
             </button>
 
+            {quizMode === 'adaptive' && (
+              <div
+                className="mt-4 p-4 rounded-lg"
+                style={{
+                  backgroundColor: 'var(--surface-secondary)',
+                  border: '1px solid var(--border-primary)',
+                }}
+              >
+                <p
+                  className="text-sm"
+                  style={{ color: 'var(--text-secondary)' }}
+                >
+                  🧠 <strong>Adaptive Quizzes:</strong> Questions focus on the
+                  concepts you have struggled with, mix in review, and add
+                  harder questions on concepts you have mastered. Your progress
+                  is saved after every attempt.
+                </p>
+              </div>
+            )}
+
             {quizMode === 'sample' && (
               <div
                 className="mt-4 p-4 rounded-lg"
@@ -256,6 +442,8 @@ export default function QuizTab({ topics }) {
         </button>
       </div>
 
+      <QuizExportMenu source={quiz} title={`${selectedTopic} quiz`} />
+
       {results ? (
         <div
           className="rounded-lg shadow-lg p-6 mb-6"
@@ -317,11 +505,112 @@ export default function QuizTab({ topics }) {
                         <strong>Partial credit:</strong> {result.partialScore}%
                       </div>
                     )}
+                  {result.feedback && (
+                    <div className="mt-2">
+                      <div>
+                        <strong>Feedback:</strong> {result.feedback}
+                      </div>
+                      {result.rubricItems?.length > 0 && (
+                        <ul className="mt-1 space-y-0.5">
+                          {result.rubricItems.map((item) => (
+                            <li key={item.id}>
+                              {item.met ? '✅' : '⬜'} {item.label}
+                              {item.met && item.credit < 1 && (
+                                <span style={{ color: 'var(--text-muted)' }}>
+                                  {' '}
+                                  (partly)
+                                </span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                  {!result.isCorrect && quiz[index]?.hints?.length > 0 && (
+                    <div className="mt-2">
+                      <strong>To review:</strong>
+                      <ul className="list-disc list-inside">
+                        {quiz[index].hints.map((hint, hintIndex) => (
+                          <li key={hintIndex}>{hint}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
           </div>
 
+          {results.skillProgress &&
+            Object.keys(results.skillProgress).length > 0 && (
+              <div className="mt-6">
+                <h4
+                  className="font-semibold mb-3"
+                  style={{ color: 'var(--text-primary)' }}
+                >
+                  Concept Progress
+                </h4>
+                <div className="space-y-2">
+                  {Object.entries(results.skillProgress).map(
+                    ([concept, progress]) => {
+                      const mastery = findConceptMastery(userModel, concept);
+                      return (
+                        <div key={concept}>
+                          <div
+                            className="flex justify-between text-sm"
+                            style={{ color: 'var(--text-secondary)' }}
+                          >
+                            <span className="capitalize">{concept}</span>
+                            <span>
+                              {Math.round(progress.averagePerformance * 100)}%
+                              {mastery &&
+                                ` · mastery ${Math.round(mastery.masteryLevel * 100)}%`}
+                            </span>
+                          </div>
+                          <div
+                            className="h-2 rounded"
+                            style={{
+                              backgroundColor: 'var(--surface-secondary)',
+                            }}
+                          >
+                            <div
+                              className="h-2 rounded"
+                              style={{
+                                width: `${Math.round(progress.averagePerformance * 100)}%`,
+                                backgroundColor: 'var(--accent-primary)',
+                              }}
+                            />
+                          </div>
+                        </div>
+                      );
+                    }
+                  )}
+                </div>
+              </div>
+            )}
+
+          {results.recommendedActions?.length > 0 && (
+            <div className="mt-6">
+              <h4
+                className="font-semibold mb-2"
+                style={{ color: 'var(--text-primary)' }}
+              >
+                Recommended Next Steps
+              </h4>
+              <ul
+                className="space-y-1 text-sm"
+                style={{ color: 'var(--text-secondary)' }}
+              >
+                {results.recommendedActions.map((action, actionIndex) => (
+                  <li key={actionIndex}>
+                    • {action.reason}: {action.action}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <button
             onClick={handleReset}
             className="w-full mt-6 py-3 px-6 bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-600 text-white rounded-lg transition-colors font-semibold"
@@ -347,6 +636,16 @@ export default function QuizTab({ topics }) {
                   borderColor: 'var(--border-secondary)',
                 }}
               >
+                {question.focus && FOCUS_LABELS[question.focus] && (
+                  <span
+                    className="inline-block text-xs font-semibold px-2 py-1 rounded mb-2 text-white"
+                    style={{
+                      backgroundColor: FOCUS_LABELS[question.focus].color,
+                    }}
+                  >
+                    {FOCUS_LABELS[question.focus].label}
+                  </span>
+                )}
                 <div
                   className="font-semibold text-lg mb-3"
                   style={{ color: 'var(--text-primary)' }}
@@ -406,8 +705,10 @@ export default function QuizTab({ topics }) {
                         type="radio"
                         name={question.id}
                         value="true"
-                        checked={userAnswers[question.id] === "true"}
-                        onChange={(e) => handleAnswerChange(question.id, e.target.value)}
+                        checked={userAnswers[question.id] === 'true'}
+                        onChange={(e) =>
+                          handleAnswerChange(question.id, e.target.value)
+                        }
                         className="w-4 h-4"
                       />
                       <span>True</span>
@@ -429,8 +730,10 @@ export default function QuizTab({ topics }) {
                         type="radio"
                         name={question.id}
                         value="false"
-                        checked={userAnswers[question.id] === "false"}
-                        onChange={(e) => handleAnswerChange(question.id, e.target.value)}
+                        checked={userAnswers[question.id] === 'false'}
+                        onChange={(e) =>
+                          handleAnswerChange(question.id, e.target.value)
+                        }
                         className="w-4 h-4"
                       />
                       <span>False</span>
@@ -492,6 +795,34 @@ export default function QuizTab({ topics }) {
                   Difficulty: {'⭐'.repeat(question.difficulty)} | Testing:{' '}
                   {question.conceptTested}
                 </div>
+                {question.hints?.length > 0 && (
+                  <div className="mt-2">
+                    <button
+                      onClick={() =>
+                        setRevealedHints((prev) => ({
+                          ...prev,
+                          [question.id]: !prev[question.id],
+                        }))
+                      }
+                      className="text-sm underline"
+                      style={{ color: 'var(--accent-primary)' }}
+                    >
+                      {revealedHints[question.id]
+                        ? 'Hide hints'
+                        : 'Need a hint?'}
+                    </button>
+                    {revealedHints[question.id] && (
+                      <ul
+                        className="text-sm mt-1 list-disc list-inside"
+                        style={{ color: 'var(--text-secondary)' }}
+                      >
+                        {question.hints.map((hint, hintIndex) => (
+                          <li key={hintIndex}>{hint}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
                 {question.explanation && quizMode === 'sample' && (
                   <div
                     className="text-xs mt-1"
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import {
+  appearance,
+  READING_FONTS,
+  FONT_SIZES,
+  LINE_SPACINGS,
+  MOTION_SETTINGS,
+} from '../utils/appearance';
+import { t } from '../utils/i18n';
+
+// Setting name, the key of its option labels and the options offered
+const FIELDS = [
+  ['font', 'fonts', Object.keys(READING_FONTS)],
+  ['fontSize', 'fontSizes', Object.keys(FONT_SIZES)],
+  ['lineSpacing', 'lineSpacings', Object.keys(LINE_SPACINGS)],
+  ['motion', 'motions', MOTION_SETTINGS],
+];
+
+const selectStyle = {
+  borderColor: 'var(--border-secondary)',
+  backgroundColor: 'var(--surface-primary)',
+  color: 'var(--text-primary)',
+};
+
+/**
+ * Font, text size, line spacing and motion for reading and lesson content,
+ * saved for the active profile
+ * @param {boolean} collapsible - Fold the choices away behind a summary line
+ */
+export default function ReadingPreferences({ collapsible = true }) {
+  const [settings, setSettings] = useState(() => appearance.getSettings());
+
+  useEffect(() => appearance.subscribe(setSettings), []);
+
+  const fields = (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+      {FIELDS.map(([name, labels, options]) => (
+        <label
+          key={name}
+          className="flex flex-col gap-1 text-sm"
+          style={{ color: 'var(--text-secondary)' }}
+        >
+          {t(`appearance.${name}`)}
+          <select
+            value={settings[name]}
+            onChange={(e) => appearance.update({ [name]: e.target.value })}
+            className="px-2 py-1 rounded border"
+            style={selectStyle}
+          >
+            {options.map((option) => (
+              <option key={option} value={option}>
+                {t(`appearance.${labels}.${option}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+
+  if (!collapsible) return fields;
+
+  return (
+    <details
+      className="mb-4 rounded-lg p-3"
+      style={{
+        backgroundColor: 'var(--surface-secondary)',
+        border: '1px solid var(--border-primary)',
+      }}
+    >
+      <summary
+        className="cursor-pointer text-sm font-medium"
+        style={{ color: 'var(--text-primary)' }}
+      >
+        Aa {t('appearance.reading')}
+      </summary>
+      {fields}
+    </details>
+  );
+}
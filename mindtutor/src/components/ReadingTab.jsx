@@ -1,13 +1,59 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { formatPageCitation } from '../utils/pdfLayout';
+import { loadTopicChunks } from '../utils/storage';
+import { describeStoredContent } from '../utils/topicChunks';
+import MarkdownContent from './MarkdownContent';
+import ReadingPreferences from './ReadingPreferences';
 
 export default function ReadingTab({ topics }) {
   const [selectedTopic, setSelectedTopic] = useState('');
   const [lessonView, setLessonView] = useState('summary');
   const [isSimplifying, setIsSimplifying] = useState(false);
   const [simplifiedLesson, setSimplifiedLesson] = useState('');
+  const [fullChunks, setFullChunks] = useState(null);
 
   const topicNames = Object.keys(topics);
   const currentTopic = selectedTopic ? topics[selectedTopic] : null;
+  const sourcePages = Array.isArray(currentTopic?.sourcePages)
+    ? currentTopic.sourcePages
+    : [];
+  const citePage = (pageNumber) => {
+    const page = sourcePages.find((p) => p.pageNumber === pageNumber);
+    return formatPageCitation(page || { pageNumber });
+  };
+  const citedConcepts = (currentTopic?.concepts || []).filter(
+    (concept) => concept?.concept && concept.pages?.length > 0
+  );
+
+  // The full text lives in the topic chunk store; load it only when shown
+  useEffect(() => {
+    if (lessonView !== 'full' || !selectedTopic) return undefined;
+    let cancelled = false;
+    setFullChunks(null);
+    loadTopicChunks(selectedTopic).then((chunks) => {
+      if (!cancelled) setFullChunks(chunks);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [lessonView, selectedTopic]);
+
+  const fullText =
+    fullChunks?.length > 0
+      ? fullChunks.map((chunk) => chunk.text).join('')
+      : currentTopic?.raw || '';
+  const pageTexts = new Map();
+  (fullChunks || []).forEach((chunk) => {
+    if (chunk.pageNumber == null) return;
+    pageTexts.set(
+      chunk.pageNumber,
+      (pageTexts.get(chunk.pageNumber) || '') + chunk.text
+    );
+  });
+  const storedContentNote =
+    currentTopic?.contentStats && !currentTopic.contentStats.complete
+      ? describeStoredContent(currentTopic.contentStats)
+      : '';
 
   const simplifyLessonContent = async (type) => {
     if (!currentTopic) {
@@ -367,6 +413,8 @@ export default function ReadingTab({ topics }) {
             </div>
           </div>
 
+          <ReadingPreferences />
+
           {/* Content Display */}
           <div className="prose prose-gray max-w-none">
             {lessonView === 'summary' && simplifiedLesson && (
@@ -382,9 +430,10 @@ export default function ReadingTab({ topics }) {
                     </p>
                   </div>
                 </div>
-                <div className="text-gray-800 dark:text-gray-100 leading-relaxed whitespace-pre-wrap text-base max-h-96 overflow-y-auto scrollbar-thin">
-                  {simplifiedLesson}
-                </div>
+                <MarkdownContent
+                  content={simplifiedLesson}
+                  className="text-gray-800 dark:text-gray-100 reading-text max-h-96 overflow-y-auto scrollbar-thin"
+                />
               </div>
             )}
 
@@ -401,9 +450,10 @@ export default function ReadingTab({ topics }) {
                     </p>
                   </div>
                 </div>
-                <div className="text-gray-800 dark:text-gray-100 leading-relaxed whitespace-pre-wrap text-base max-h-96 overflow-y-auto scrollbar-thin">
-                  {simplifiedLesson}
-                </div>
+                <MarkdownContent
+                  content={simplifiedLesson}
+                  className="text-gray-800 dark:text-gray-100 reading-text max-h-96 overflow-y-auto scrollbar-thin"
+                />
               </div>
             )}
 
@@ -418,16 +468,63 @@ export default function ReadingTab({ topics }) {
                     <p className="text-purple-600 dark:text-purple-300 text-sm">
                       Complete lesson text as imported
                     </p>
+                    {storedContentNote && (
+                      <p className="text-amber-700 dark:text-amber-300 text-sm">
+                        ⚠️ {storedContentNote}
+                      </p>
+                    )}
                   </div>
                 </div>
                 <div className="space-y-6">
-                  {currentTopic.raw && (
+                  {citedConcepts.length > 0 && (
+                    <div className="bg-white dark:bg-gray-700 p-4 rounded border border-gray-200 dark:border-gray-600">
+                      <h5 className="font-semibold text-gray-800 dark:text-gray-100 mb-3">
+                        Where to Find Key Concepts
+                      </h5>
+                      <ul className="text-sm text-gray-700 dark:text-gray-200 space-y-1">
+                        {citedConcepts.map((concept) => (
+                          <li key={concept.concept}>
+                            <span className="font-medium">
+                              {concept.concept}
+                            </span>
+                            {' — '}
+                            {concept.pages.map(citePage).join(', ')}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {sourcePages.length > 0 && (
+                    <div className="bg-white dark:bg-gray-700 p-4 rounded border border-gray-200 dark:border-gray-600">
+                      <h5 className="font-semibold text-gray-800 dark:text-gray-100 mb-3">
+                        Lesson Content by Page
+                      </h5>
+                      <div className="space-y-4 max-h-96 overflow-y-auto scrollbar-thin">
+                        {sourcePages.map((page) => (
+                          <div key={page.pageNumber}>
+                            <div className="text-xs font-semibold text-purple-700 dark:text-purple-300 mb-1">
+                              {formatPageCitation(page)}
+                              {page.headings.length > 0 &&
+                                ` · ${page.headings.join(' · ')}`}
+                            </div>
+                            <div className="text-gray-700 dark:text-gray-200 reading-text whitespace-pre-wrap">
+                              {pageTexts.get(page.pageNumber)?.trim() ||
+                                page.text}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {fullText && sourcePages.length === 0 && (
                     <div className="bg-white dark:bg-gray-700 p-4 rounded border border-gray-200 dark:border-gray-600">
                       <h5 className="font-semibold text-gray-800 dark:text-gray-100 mb-3">
                         Lesson Content
                       </h5>
-                      <div className="text-gray-700 dark:text-gray-200 leading-relaxed whitespace-pre-wrap max-h-96 overflow-y-auto scrollbar-thin">
-                        {currentTopic.raw}
+                      <div className="text-gray-700 dark:text-gray-200 reading-text whitespace-pre-wrap max-h-96 overflow-y-auto scrollbar-thin">
+                        {fullText}
                       </div>
                     </div>
                   )}
@@ -437,9 +534,10 @@ export default function ReadingTab({ topics }) {
                       <h5 className="font-semibold text-gray-800 dark:text-gray-100 mb-3">
                         Detailed Explanation
                       </h5>
-                      <div className="text-gray-700 dark:text-gray-200 leading-relaxed whitespace-pre-wrap max-h-96 overflow-y-auto scrollbar-thin">
-                        {currentTopic.explanation}
-                      </div>
+                      <MarkdownContent
+                        content={currentTopic.explanation}
+                        className="text-gray-700 dark:text-gray-200 reading-text max-h-96 overflow-y-auto scrollbar-thin"
+                      />
                     </div>
                   )}
                 </div>
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getDueQueue,
+  getReviewStats,
+  scheduleReview,
+  REVIEW_GRADES,
+} from '../utils/spacedRepetition';
+import { loadReviewCards, saveReviewCards } from '../utils/storage';
+
+const GRADE_BUTTONS = [
+  { key: 'again', label: 'Again', color: 'var(--accent-error)' },
+  { key: 'hard', label: 'Hard', color: 'var(--accent-warning)' },
+  { key: 'good', label: 'Good', color: 'var(--accent-primary)' },
+  { key: 'easy', label: 'Easy', color: 'var(--accent-success)' },
+];
+
+/**
+ * "Due today" review queue mixing concepts from every imported topic
+ */
+export default function ReviewQueue({ topics }) {
+  const [cards, setCards] = useState([]);
+  const [queue, setQueue] = useState([]);
+  const [showAnswer, setShowAnswer] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadReviewCards().then((stored) => {
+      if (cancelled) return;
+      // Cards outlive their topic only until the topic is deleted
+      const available = stored.filter((card) => topics?.[card.topic]);
+      setCards(available);
+      setQueue(getDueQueue(available, new Date()));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [topics]);
+
+  const handleGrade = async (gradeKey) => {
+    const [current, ...rest] = queue;
+    const updated = scheduleReview(
+      current,
+      REVIEW_GRADES[gradeKey],
+      new Date()
+    );
+
+    await saveReviewCards([updated]);
+    setCards((prev) =>
+      prev.map((card) => (card.id === updated.id ? updated : card))
+    );
+    // Failed cards come back at the end of today's session
+    setQueue(gradeKey === 'again' ? [...rest, updated] : rest);
+    setShowAnswer(false);
+    setReviewedCount((prev) => prev + 1);
+  };
+
+  if (cards.length === 0) return null;
+
+  const stats = getReviewStats(cards, new Date());
+  const current = queue[0];
+  const concept = current
+    ? topics[current.topic]?.concepts?.find(
+        (c) => c.concept === current.concept
+      )
+    : null;
+
+  return (
+    <div
+      className="rounded-xl shadow-md p-6 mb-6"
+      style={{
+        backgroundColor: 'var(--surface-primary)',
+        border: '1px solid var(--border-primary)',
+      }}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3
+          className="text-xl font-bold"
+          style={{ color: 'var(--text-primary)' }}
+        >
+          🔁 Due Today
+        </h3>
+        <div
+          className="flex items-center gap-4 text-sm"
+          style={{ color: 'var(--text-secondary)' }}
+        >
+          <span>{queue.length} left</span>
+          {stats.overdue > 0 && <span>⏰ {stats.overdue} overdue</span>}
+          {reviewedCount > 0 && <span>✅ {reviewedCount} reviewed</span>}
+        </div>
+      </div>
+
+      {!current ? (
+        <p style={{ color: 'var(--text-secondary)' }}>
+          All caught up! {stats.total} concept{stats.total !== 1 ? 's' : ''}{' '}
+          scheduled for later review.
+        </p>
+      ) : (
+        <div>
+          <div className="text-xs mb-1" style={{ color: 'var(--text-muted)' }}>
+            {current.topic}
+          </div>
+          <div
+            className="text-lg font-semibold mb-4"
+            style={{ color: 'var(--text-primary)' }}
+          >
+            What is {current.concept}?
+          </div>
+
+          {showAnswer ? (
+            <>
+              <div
+                className="p-4 rounded-lg mb-4"
+                style={{
+                  backgroundColor: 'var(--surface-secondary)',
+                  color: 'var(--text-primary)',
+                }}
+              >
+                {concept?.definition || 'No definition saved for this concept.'}
+              </div>
+              <div className="grid grid-cols-4 gap-2">
+                {GRADE_BUTTONS.map(({ key, label, color }) => (
+                  <button
+                    key={key}
+                    onClick={() => handleGrade(key)}
+                    className="py-2 rounded-lg text-white font-medium transition-colors"
+                    style={{ backgroundColor: color }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <button
+              onClick={() => setShowAnswer(true)}
+              className="w-full py-2 rounded-lg text-white font-medium"
+              style={{ backgroundColor: 'var(--accent-primary)' }}
+            >
+              Show Answer
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { curriculumPlanner } from '../utils/curriculumLogic';
+import { loadReviewCards } from '../utils/storage';
+
+const STATUS_STYLES = {
+  mastered: { label: '✅ Mastered', color: 'var(--accent-success)' },
+  ready: { label: '▶️ Ready', color: 'var(--accent-primary)' },
+  blocked: { label: '🔒 Blocked', color: 'var(--text-muted)' },
+};
+
+/**
+ * Ordered "what to study next" path over the imported topics, with
+ * prerequisite editing
+ */
+export default function StudyPath({ topics, onSelectTopic }) {
+  const [path, setPath] = useState([]);
+  const [cycles, setCycles] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState('');
+
+  const refresh = () => {
+    setPath(curriculumPlanner.getStudyPath());
+    setCycles(curriculumPlanner.findCycles());
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadReviewCards().then((cards) => {
+      if (cancelled) return;
+      curriculumPlanner.buildFromTopics(topics || {}, cards);
+      refresh();
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [topics]);
+
+  const handleAdd = (prerequisiteId, topicId) => {
+    if (!prerequisiteId) return;
+    try {
+      curriculumPlanner.addPrerequisite(prerequisiteId, topicId);
+      setError('');
+      refresh();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleRemove = (prerequisiteId, topicId) => {
+    curriculumPlanner.removePrerequisite(prerequisiteId, topicId);
+    setError('');
+    refresh();
+  };
+
+  if (path.length < 2) return null;
+
+  const nextUp = path.find((entry) => entry.status === 'ready');
+
+  return (
+    <div
+      className="rounded-xl shadow-md p-6 mb-6"
+      style={{
+        backgroundColor: 'var(--surface-primary)',
+        border: '1px solid var(--border-primary)',
+      }}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3
+          className="text-xl font-bold"
+          style={{ color: 'var(--text-primary)' }}
+        >
+          🧭 What to Study Next
+        </h3>
+        <button
+          onClick={() => {
+            setEditing((prev) => !prev);
+            setError('');
+          }}
+          className="text-sm px-3 py-1 rounded-lg"
+          style={{
+            backgroundColor: 'var(--surface-secondary)',
+            color: 'var(--text-secondary)',
+          }}
+        >
+          {editing ? 'Done' : 'Edit prerequisites'}
+        </button>
+      </div>
+
+      {nextUp && !editing && (
+        <p className="text-sm mb-3" style={{ color: 'var(--text-secondary)' }}>
+          Next up: <strong>{nextUp.topic.name}</strong> (about{' '}
+          {nextUp.topic.estimatedTime} min)
+        </p>
+      )}
+
+      {cycles.length > 0 && (
+        <div
+          className="text-sm p-3 rounded-lg mb-3"
+          style={{
+            backgroundColor: 'var(--surface-secondary)',
+            color: 'var(--accent-error)',
+          }}
+        >
+          Circular prerequisites: {cycles[0].join(' → ')}. Remove one of these
+          links to fix the order.
+        </div>
+      )}
+
+      {error && (
+        <div
+          className="text-sm mb-3"
+          style={{ color: 'var(--accent-error)' }}
+          role="alert"
+        >
+          {error}
+        </div>
+      )}
+
+      <ol className="space-y-2">
+        {path.map(({ topic, status, mastery, blockedBy }, index) => (
+          <li
+            key={topic.id}
+            className="p-3 rounded-lg"
+            style={{ backgroundColor: 'var(--surface-secondary)' }}
+          >
+            <div className="flex items-center justify-between gap-3">
+              <button
+                onClick={() => onSelectTopic?.(topic.id)}
+                className="text-left font-medium truncate hover:underline"
+                style={{ color: 'var(--text-primary)' }}
+              >
+                {index + 1}. {topic.name}
+              </button>
+              <span
+                className="text-xs whitespace-nowrap"
+                style={{ color: STATUS_STYLES[status].color }}
+              >
+                {STATUS_STYLES[status].label} · {Math.round(mastery * 100)}%
+              </span>
+            </div>
+
+            {!editing && blockedBy.length > 0 && (
+              <div
+                className="text-xs mt-1"
+                style={{ color: 'var(--text-muted)' }}
+              >
+                Study first: {blockedBy.join(', ')}
+              </div>
+            )}
+
+            {editing && (
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+                <span style={{ color: 'var(--text-muted)' }}>Requires:</span>
+                {topic.prerequisites.map((prereqId) => (
+                  <span
+                    key={prereqId}
+                    className="px-2 py-0.5 rounded-full"
+                    style={{
+                      backgroundColor: 'var(--surface-tertiary)',
+                      color: 'var(--text-primary)',
+                    }}
+                    title={
+                      topic.prerequisiteSources?.[prereqId] === 'user'
+                        ? 'Added by you'
+                        : 'Inferred from shared concepts'
+                    }
+                  >
+                    {prereqId}
+                    <button
+                      onClick={() => handleRemove(prereqId, topic.id)}
+                      className="ml-1"
+                      aria-label={`Remove ${prereqId} as a prerequisite of ${topic.name}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <select
+                  value=""
+                  onChange={(e) => handleAdd(e.target.value, topic.id)}
+                  className="px-2 py-0.5 rounded"
+                  style={{
+                    backgroundColor: 'var(--surface-primary)',
+                    color: 'var(--text-primary)',
+                    border: '1px solid var(--border-primary)',
+                  }}
+                  aria-label={`Add a prerequisite to ${topic.name}`}
+                >
+                  <option value="">+ Add…</option>
+                  {path
+                    .map((entry) => entry.topic.id)
+                    .filter(
+                      (id) =>
+                        id !== topic.id && !topic.prerequisites.includes(id)
+                    )
+                    .map((id) => (
+                      <option key={id} value={id}>
+                        {id}
+                      </option>
+                    ))}
+                </select>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+/* global fetch */
+import React, { useState } from 'react';
+import { domainVocabulary } from '../utils/domainVocabulary';
+
+// Packs shipped in public/vocabulary-packs that can be installed in one click
+const EXAMPLE_PACKS = [
+  { id: 'economics', name: 'Economics' },
+  { id: 'history', name: 'History' },
+  { id: 'computer-science', name: 'Computer Science' },
+];
+
+/**
+ * Manage the subject vocabulary packs used to detect a topic's subject
+ */
+export default function VocabularyPacks() {
+  const [packs, setPacks] = useState(() => domainVocabulary.getPacks());
+  const [status, setStatus] = useState('');
+
+  const install = (pack) => {
+    try {
+      const installed = domainVocabulary.installPack(pack);
+      setPacks(domainVocabulary.getPacks());
+      setStatus(
+        `✅ Installed "${installed.name}" (${installed.terms.length} terms). It applies to topics imported from now on.`
+      );
+    } catch (error) {
+      setStatus(`❌ ${error.message}`);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      install(JSON.parse(await file.text()));
+    } catch (error) {
+      setStatus(`❌ Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleExample = async (id) => {
+    try {
+      // Packs are served under the app's base path (e.g. on GitHub Pages)
+      const response = await fetch(
+        `${import.meta.env.BASE_URL}vocabulary-packs/${id}.json`
+      );
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      install(await response.json());
+    } catch (error) {
+      setStatus(`❌ Could not download the pack: ${error.message}`);
+    }
+  };
+
+  const handleRemove = (pack) => {
+    domainVocabulary.removePack(pack.id);
+    setPacks(domainVocabulary.getPacks());
+    setStatus(`🗑️ Removed "${pack.name}"`);
+  };
+
+  const installedIds = new Set(
+    packs.filter((pack) => !pack.builtIn).map((pack) => pack.id)
+  );
+
+  return (
+    <div
+      className="rounded-2xl shadow-xl p-8 mt-6"
+      style={{
+        backgroundColor: 'var(--surface-primary)',
+        border: '1px solid var(--border-primary)',
+      }}
+    >
+      <h3
+        className="text-2xl font-bold mb-2 flex items-center gap-3"
+        style={{ color: 'var(--text-primary)' }}
+      >
+        <span className="text-3xl">🏷️</span>
+        <span>Subject Vocabularies</span>
+      </h3>
+      <p className="text-sm mb-4" style={{ color: 'var(--text-secondary)' }}>
+        Packs list the terms that signal a subject. Imports are matched against
+        them to detect the subject and favour its terms among the keywords.
+      </p>
+
+      {status && (
+        <div
+          className="mb-4 p-3 rounded-lg text-sm"
+          style={{
+            backgroundColor: 'var(--surface-secondary)',
+            color: 'var(--text-primary)',
+          }}
+        >
+          {status}
+        </div>
+      )}
+
+      <ul className="space-y-2 mb-4">
+        {packs.map((pack) => (
+          <li
+            key={pack.id}
+            className="flex items-center justify-between p-3 rounded-lg"
+            style={{ backgroundColor: 'var(--surface-secondary)' }}
+          >
+            <div>
+              <span
+                className="font-semibold"
+                style={{ color: 'var(--text-primary)' }}
+              >
+                {pack.name}
+              </span>
+              <span
+                className="text-sm ml-2"
+                style={{ color: 'var(--text-muted)' }}
+              >
+                {pack.terms.length} terms
+                {pack.builtIn ? ' • built-in' : ''}
+              </span>
+            </div>
+            {!pack.builtIn && (
+              <button
+                onClick={() => handleRemove(pack)}
+                className="px-3 py-1 text-white rounded-lg text-sm font-medium"
+                style={{ backgroundColor: 'var(--accent-error)' }}
+              >
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {EXAMPLE_PACKS.filter((example) => !installedIds.has(example.id)).map(
+          (example) => (
+            <button
+              key={example.id}
+              onClick={() => handleExample(example.id)}
+              className="px-3 py-2 rounded-lg text-sm font-medium"
+              style={{
+                backgroundColor: 'var(--surface-tertiary)',
+                color: 'var(--text-primary)',
+              }}
+            >
+              + {example.name}
+            </button>
+          )
+        )}
+        <label
+          className="px-3 py-2 text-white rounded-lg text-sm font-medium cursor-pointer"
+          style={{ backgroundColor: 'var(--accent-primary)' }}
+        >
+          Install pack from JSON…
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,462 @@
+// de.js - German messages
+
+export default {
+  tabs: {
+    Chat: { label: 'Chat', description: 'Frag mich alles' },
+    Reading: { label: 'Lesen', description: 'Lernmaterial' },
+    Lessons: { label: 'Lektionen', description: 'Interaktiv lernen' },
+    Quiz: { label: 'Quiz', description: 'Teste dich selbst' },
+    Planner: { label: 'Lernplan', description: 'Prüfungsvorbereitung' },
+    Upload: { label: 'Hochladen', description: 'OCR und PDF' },
+    Import: { label: 'Importieren', description: 'Inhalte hinzufügen' },
+    Diagnostics: { label: 'Einstellungen', description: 'Diagnose' },
+  },
+
+  app: {
+    topicsLoaded: { one: 'Thema geladen', other: 'Themen geladen' },
+  },
+
+  settings: {
+    language: 'Sprache der Oberfläche',
+    languageHelp:
+      'Menüs, Antworten des Tutors und erzeugte Lektionen verwenden diese Sprache. Dein Lernmaterial bleibt in seiner eigenen Sprache.',
+  },
+
+  appearance: {
+    theme: 'Design',
+    themeHelp:
+      'Wird für dieses Profil gespeichert. System folgt den Hell-, Dunkel- und Kontrasteinstellungen deines Geräts.',
+    themes: {
+      system: 'System',
+      light: 'Hell',
+      dark: 'Dunkel',
+      'high-contrast': 'Hoher Kontrast',
+    },
+    toggleTheme: 'Dunkelmodus umschalten',
+    reading: 'Leseeinstellungen',
+    font: 'Schriftart',
+    fonts: {
+      default: 'Standard',
+      serif: 'Serifenschrift',
+      dyslexic: 'Legasthenie-freundlich',
+    },
+    fontSize: 'Textgröße',
+    fontSizes: {
+      small: 'Klein',
+      medium: 'Mittel',
+      large: 'Groß',
+      'x-large': 'Sehr groß',
+    },
+    lineSpacing: 'Zeilenabstand',
+    lineSpacings: { normal: 'Normal', relaxed: 'Weit', loose: 'Sehr weit' },
+    motion: 'Animationen',
+    motions: {
+      system: 'Wie das Gerät',
+      reduce: 'Reduzieren',
+      allow: 'Erlauben',
+    },
+  },
+
+  chat: {
+    casualWords: ['na', 'moin', 'servus'],
+    greetingWords: ['hallo', 'hi'],
+    casualGreeting: 'hey! welches Thema willst du lernen?',
+    greeting: 'hallo! was möchtest du lernen?',
+    noTopics:
+      'Ich habe noch kein Lernmaterial.\n\nSo geht es los:\n1. Öffne den Tab „Importieren“ und füge deine Notizen hinzu\n2. Füge Inhalte zu einem beliebigen Thema ein oder lade sie hoch\n3. Komm zurück und frag mich alles\n\nIch helfe dir, das Material zu verstehen, und erkläre die Begriffe.',
+    askTopic: 'Welches Thema willst du lernen?',
+    moreTopics: {
+      one: '{list} und {count} weiteres',
+      other: '{list} und {count} weitere',
+    },
+    noMatch: 'keins',
+    unsureTopic:
+      'Ich bin nicht sicher, nach welchem Thema du fragst.\n\nAm ehesten passt „{topic}“ ({confidence} % Sicherheit).\n\nVersuche es genauer mit Fachbegriffen aus deinem Lernmaterial.\n\nVerfügbare Themen: {topics}\n\nWelches Thema willst du lernen?',
+    welcome: 'Willkommen bei MindTutor AI',
+  },
+
+  quiz: {
+    selectTopicFirst: 'Bitte wähle zuerst ein Thema',
+    noConcepts:
+      'Dieses Thema hat keine Begriffe, aus denen sich ein adaptives Quiz erstellen lässt',
+    sampleNotFound: 'Beispielquiz nicht gefunden',
+  },
+
+  feedback: {
+    excellent: [
+      '🎉 Hervorragend! Du beherrschst diesen Begriff vollständig.',
+      '🌟 Ausgezeichnetes Verständnis! Du hast die Kernideen klar erfasst.',
+      '🏆 Perfekt! Dein Wissen zu diesem Thema ist beeindruckend.',
+    ],
+    good: [
+      '👍 Sehr gut! Du verstehst das solide, nur Kleinigkeiten fehlen noch.',
+      '👌 Gut gemacht! Du bist bei diesem Begriff auf dem richtigen Weg.',
+      '💪 Gute Arbeit! Noch ein paar Übungsrunden und du beherrschst es.',
+    ],
+    needs_improvement: [
+      '📚 Bleib dran! Konzentriere dich auf die Grundbegriffe und versuche es noch einmal.',
+      '🔄 Dieser Begriff braucht mehr Aufmerksamkeit. Wiederhole die Kernpunkte und übe.',
+      '💡 Du machst Fortschritte! Nimm dir Zeit, die Grundlagen zu wiederholen.',
+    ],
+    poor: [
+      '🎯 Lass uns ein solides Fundament legen. Fang mit den Grundlagen an.',
+      '📖 Dieses Thema braucht mehr Lernzeit. Teile es in kleinere Abschnitte.',
+      '🔍 Nimm dir Zeit für diesen Begriff. Verstehen braucht Übung.',
+    ],
+    quick: 'Du warst schnell fertig, das zeigt gute Intuition.',
+    deliberate:
+      'Sich Zeit zum Durchdenken der Aufgaben zu nehmen, ist eine ausgezeichnete Strategie.',
+    improved: 'Große Verbesserung gegenüber deinem letzten Versuch!',
+    setback: 'Das ist nur ein kleiner Rückschlag – übe weiter!',
+    fastLearner: 'Dein Lerntempo ist beeindruckend!',
+    buildMomentum: 'Regelmäßiges Üben bringt dich in Schwung.',
+  },
+
+  rubric: {
+    ideaLabel: 'den Punkt zu {words}',
+    wholeDefinition: 'die Definition',
+    example: 'ein Beispiel',
+    listJoin: '{rest} und {last}',
+    openers: {
+      incomplete_answer:
+        'Deine Antwort ist zu kurz, um die ganze Idee abzudecken.',
+      missing_key_concept: 'Deiner Antwort fehlt der zentrale Begriff.',
+      partial_understanding: 'Du bist teilweise auf dem richtigen Weg.',
+    },
+    mentionedButMissed:
+      'Du hast {mentioned} erwähnt, aber {missed} ausgelassen.',
+    missed: 'Du hast {missed} ausgelassen.',
+    complete: 'Du hast jeden Teil des Bewertungsschemas abgedeckt.',
+    careful: 'Vorsicht: {description}.',
+    misconceptions: {
+      antonym: 'sie sagt „{antonym}“, wo die Definition „{word}“ sagt',
+      reversed: 'sie kehrt die Richtung um, die die Definition beschreibt',
+      confusion: 'sie beschreibt {other} statt {concept}',
+    },
+  },
+
+  planner: {
+    title: 'Prüfungsplaner',
+    intro:
+      'Gib dein Prüfungsdatum ein, wann du jede Woche lernen kannst und welche Themen drankommen. MindTutor plant datierte Lerneinheiten mit Wiederholungen und Meilensteinen.',
+    examDate: 'Prüfungsdatum',
+    weeklyAvailability: 'Wöchentliche Lernzeiten',
+    minutes: '{count} Min.',
+    topicsToCover: 'Themen',
+    noTopics: 'Importiere oder lade zuerst ein Thema hoch.',
+    planning: 'Plane…',
+    createPlan: 'Plan erstellen',
+    createNewPlan: 'Neuen Plan erstellen',
+    planFor: 'Plan für den {date}',
+    summary: '{done} erledigt · {planned} offen · {missed} verpasst · {topics}',
+    exportCalendar: '📅 Als .ics exportieren',
+    delete: 'Löschen',
+    confirmDelete: 'Diesen Lernplan löschen?',
+    deleted: '🗑️ Lernplan gelöscht',
+    created: {
+      one: '✅ {count} Lerneinheit vor der Prüfung geplant.',
+      other: '✅ {count} Lerneinheiten vor der Prüfung geplant.',
+    },
+    noSlotLeft:
+      '⚠️ Vor der Prüfung ist keine Lernzeit mehr frei. Füge weitere wöchentliche Lernzeiten hinzu oder verschiebe das Prüfungsdatum.',
+    replanned:
+      '🔄 Die restlichen Lerneinheiten wurden neu geplant. Exportiere den Kalender erneut, um ihn zu aktualisieren.',
+    missed: {
+      one: '⏰ {count} Lerneinheit wurde verpasst. Plane neu, um den verpassten Stoff in der verbleibenden Zeit unterzubringen.',
+      other:
+        '⏰ {count} Lerneinheiten wurden verpasst. Plane neu, um den verpassten Stoff in der verbleibenden Zeit unterzubringen.',
+    },
+    replan: '🔄 Neu planen',
+    noTimeLeft: 'Keine Zeit mehr für: {topics}',
+    status: {
+      done: '✅ Erledigt',
+      missed: '⏰ Verpasst',
+      planned: '🗓️ Geplant',
+    },
+    markDone: 'Als erledigt markieren',
+    skip: 'Überspringen',
+    allTopics: 'Alle Themen',
+    kinds: {
+      learn: 'Lernen',
+      review: 'Wiederholen',
+      final_review: 'Abschlusswiederholung',
+    },
+    milestones: {
+      weekly_review: 'Fortschritt nach {count} Lerneinheiten prüfen',
+      concept_mastery: '{concept} beherrschen',
+      course_completion: 'Lernplan abschließen',
+    },
+    calendar: {
+      study: 'Lernen: {concept}',
+      exam: 'Prüfung: {topics}',
+    },
+    errors: {
+      noTopics: 'Wähle mindestens ein Thema aus',
+      noExamDate: 'Gib das Prüfungsdatum ein',
+      examPassed: 'Das Prüfungsdatum muss nach heute liegen',
+      noSlots: 'Füge mindestens eine wöchentliche Lernzeit hinzu',
+    },
+  },
+
+  lesson: {
+    rewriteFailed:
+      'Die Lektion konnte gerade nicht umgeschrieben werden. Bitte versuche es noch einmal.',
+    styles: {
+      academic: {
+        name: 'Akademisch/Formell',
+        description: 'Klassisches Lehrformat',
+      },
+      story: {
+        name: 'Geschichte/Erzählung',
+        description: 'Als Geschichte erzählt',
+      },
+      simple: {
+        name: 'Einfach/Einsteiger',
+        description: 'Leicht verständliche Sprache',
+      },
+      advanced: {
+        name: 'Fortgeschritten/Experte',
+        description: 'Fachlich und ausführlich',
+      },
+      concise: {
+        name: 'Knapp/Zusammenfassung',
+        description: 'Kurzer Überblick',
+      },
+      practical: {
+        name: 'Praxis/Anwendung',
+        description: 'Mit Alltagsbezug',
+      },
+      visual: {
+        name: 'Visuell/Diagramm',
+        description: 'Mindmaps und Diagramme',
+      },
+      question: {
+        name: 'Sokratisch/Fragen',
+        description: 'Lernen durch Fragen',
+      },
+    },
+    academic: {
+      introduction: 'Einführung',
+      intro:
+        'Dieser umfassende Überblick behandelt die grundlegenden Prinzipien und Anwendungen des Themas {topic}. Diese Begriffe zu verstehen ist wesentlich, um den Stoff gründlich zu erfassen.',
+      keyPoint:
+        '**Kernpunkt:** Dieser Begriff bildet die Grundlage für weiterführende Inhalte zu {topic}.',
+      advanced:
+        '**Weiterführender Begriff:** Er steht für eine anspruchsvollere Anwendung der Prinzipien von {topic}.',
+      summary: 'Zusammenfassung',
+      conclusion:
+        'Die Begriffe dieser Lektion zeigen, wie eng im Thema {topic} alles zusammenhängt. Wer diese Grundlagen beherrscht, versteht auch komplexere Anwendungen leichter.',
+    },
+    story: {
+      title: 'Die erstaunliche Reise: {topic}',
+      intro:
+        'Stell dir eine faszinierende Expedition durch die Welt von {topic} vor. Welche Entdeckungen erwarten uns? Welche Geheimnisse werden gelüftet? Lass uns das Abenteuer beginnen!',
+      mystery: 'Das Geheimnis: {concept}',
+      encounter:
+        'Auf unserer Reise stoßen wir auf {setting}. Hier entdecken wir, dass {concept} wie {analogy} ist.',
+      revelation:
+        'Diese Entdeckung eröffnet neue Möglichkeiten auf unserer Suche, {topic} zu verstehen!',
+      finale: 'Das große Finale',
+      ending:
+        'Unsere Reise durch {topic} hat unglaubliche Wunder gezeigt. Jeder Begriff, dem wir begegnet sind, spielt eine wichtige Rolle im großen Geflecht des Wissens. Welche Abenteuer erwarten dich, wenn du dieses faszinierende Fach selbst erkundest?',
+    },
+    simple: {
+      title: '{topic} – ganz einfach!',
+      intro:
+        'Hallo! Lass uns gemeinsam {topic} kennenlernen. Keine Sorge, wenn es anfangs kompliziert wirkt – wir gehen Schritt für Schritt vor.',
+      whatIs: 'Was ist {concept}?',
+      thinkOfIt: '**Stell es dir so vor:** {analogy}',
+      whyItMatters:
+        '**Warum es wichtig ist:** Es hilft uns zu verstehen, wie {topic} im echten Leben funktioniert!',
+      doingGreat: 'Das machst du super!',
+      ending:
+        'Du hast gerade die Grundlagen von {topic} gelernt! Denk daran: Lernen braucht Zeit, und mit jedem Schritt kommst du weiter. Entdecke weiter und stell Fragen!',
+    },
+    expert: {
+      title: 'Vertiefte Analyse: {topic}',
+      framework: 'Theoretischer Rahmen',
+      intro:
+        'Diese Analyse betrachtet {topic} aus einer fortgeschrittenen theoretischen Perspektive und berücksichtigt aktuelle Forschungsansätze und neue Methoden.',
+      considerations: '{concept}: weiterführende Überlegungen',
+      implications: '**Theoretische Bedeutung:**',
+      implicationPoints: [
+        'Einbindung in bestehende Modelle zu {topic}',
+        'Mögliche Anwendungen in neuen Forschungsfeldern',
+        'Methodische Überlegungen zur empirischen Überprüfung',
+      ],
+      directions: '**Forschungsrichtungen:**',
+      directionsText:
+        'Die quantitativen Aspekte und interdisziplinären Zusammenhänge sollten weiter untersucht werden.',
+      future: 'Ausblick',
+      ending:
+        'Die hier behandelten Begriffe zeigen vielversprechende Wege für künftige Forschung zu {topic}. Besondere Aufmerksamkeit verdient die Verbindung dieser Prinzipien mit aktuellen technischen Entwicklungen.',
+    },
+    concise: {
+      title: '{topic} – Kurzübersicht',
+      keyTerms: '**Fachbegriffe:** {terms}',
+      fullLesson:
+        '*Ausführliche Erklärungen findest du in der vollständigen Lektion.*',
+    },
+    practical: {
+      title: '{topic} in der Praxis',
+      intro: 'Sehen wir uns an, wie {topic} im echten Leben funktioniert!',
+      applications: '{concept} – Anwendungen im Alltag',
+      whereYoullSee: '**Wo du das siehst:**',
+      howToApply: '**So wendest du es an:**',
+      steps: [
+        'Erkenne das zugrunde liegende Prinzip',
+        'Analysiere die konkrete Situation',
+        'Wende den Begriff systematisch an',
+      ],
+      together: 'Alles zusammen',
+      ending:
+        'Jetzt, da du diese Anwendungen verstehst, kannst du {topic} nutzen, um echte Probleme zu lösen und fundierte Entscheidungen zu treffen!',
+    },
+    visual: {
+      title: '{topic} – visueller Leitfaden',
+      mindMap: 'Mindmap-Überblick',
+      relationships: 'Wichtige Zusammenhänge',
+      connects: '**Wie alles zusammenhängt:**',
+      tips: 'Tipps zum visuellen Lernen',
+      tipPoints: [
+        'Beginne in der Mitte und arbeite dich nach außen',
+        'Achte auf Verbindungen zwischen den Ästen',
+        'Hebe wichtige Zusammenhänge farbig hervor',
+        'Zeichne beim Lernen eigene Diagramme',
+      ],
+    },
+    socratic: {
+      title: '{topic} mit Fragen erkunden',
+      intro: 'Lass uns {topic} mit den richtigen Fragen entdecken:',
+      questionSet: 'Fragenblock {number}: {concept}',
+      whatIs: '**Was ist {concept}?**',
+      whyMatter: '**Warum ist {concept} wichtig?**',
+      because: 'Weil es uns hilft zu verstehen, {purpose}.',
+      howRelate: '**Wie hängt {concept} mit anderen Begriffen zusammen?**',
+      connects: 'Es ist verbunden mit {related}.',
+      without: '**Was wäre ohne {concept}?**',
+      consider: 'Überlege, wie {topic} anders funktionieren würde.',
+      reflection: 'Fragen zum Nachdenken',
+      reflectionPoints: [
+        'Wie wirken diese Begriffe zusammen?',
+        'In welchen Alltagssituationen kommen diese Ideen vor?',
+        'Wie könntest du dieses Wissen anwenden?',
+        'Welche Fragen hast du noch?',
+      ],
+    },
+    relatedJoin: '{first} und {second}',
+    otherConcepts: 'anderen wichtigen Begriffen',
+    examples: {
+      Cell: {
+        setting: 'eine mikroskopische Welt',
+        analogy: 'eine geschäftige Stadt',
+        simple:
+          'eine winzige Fabrik, die alles herstellt, was das Leben braucht',
+        application: 'Verstehen, wie Medikamente im Körper wirken',
+        purpose: 'wie Lebewesen aufgebaut sind und funktionieren',
+      },
+      Nucleus: {
+        setting: 'das Herz eines großen Königreichs',
+        analogy: 'ein weiser König auf seinem Thron',
+        simple: 'der Chef, der allen Anweisungen gibt',
+        application: 'Gentechnik und Biotechnologie',
+        purpose: 'wie Erbinformation gespeichert und genutzt wird',
+      },
+      Mitochondria: {
+        setting: 'das Kraftwerk einer geschäftigen Fabrik',
+        analogy: 'unermüdliche Arbeiter, die Energie erzeugen',
+        simple: 'das Kraftwerk, das die Lichter am Laufen hält',
+        application:
+          'Die Behandlung von Krankheiten, die mit der Energiegewinnung zusammenhängen',
+        purpose: 'wie Lebewesen Energie gewinnen',
+      },
+      Membrane: {
+        setting: 'die Mauern einer alten Festung',
+        analogy: 'Wachen, die die Burg schützen',
+        simple: 'der Türsteher, der entscheidet, wer hinein- und hinausdarf',
+        application: 'Wirkstofftransport und medizinische Behandlungen',
+        purpose: 'wie Zellen ihr inneres Milieu aufrechterhalten',
+      },
+      default: {
+        setting: 'ein unbekanntes Reich',
+        analogy: 'eine geheimnisvolle Kraft',
+        simple:
+          'etwas sehr Wichtiges, das dafür sorgt, dass Dinge funktionieren',
+        application: 'Echte Probleme in Naturwissenschaft und Medizin lösen',
+        purpose: 'grundlegende Vorgänge in der Biologie',
+      },
+    },
+  },
+
+  ai: {
+    responseHeader: '🤖 KI-Antwort: {topic}',
+    moreHelp:
+      '💡 **Brauchst du mehr Hilfe?** Frag nach bestimmten Begriffen oder bitte um Beispiele!',
+    errorHelp:
+      '💡 **Brauchst du Hilfe?** Importiere Lernmaterial oder frag nach den verfügbaren Themen.',
+    noTopicTitle: 'Keine Themendaten',
+    noTopic:
+      'Zu diesem Thema habe ich noch keine Informationen. Kannst du zuerst Lernmaterial importieren? Sobald es da ist, helfe ich dir gern, es zu verstehen!',
+    invalidQueryTitle: 'Ungültige Anfrage',
+    invalidQuery:
+      'Ich brauche eine Frage, um dir zu helfen. Was möchtest du wissen?',
+    overview: '{topic} – Überblick',
+    analogies: [
+      'ein Grundbaustein, auf dem alles andere aufbaut',
+      'das Fundament eines Hauses – ohne es steht nichts',
+      'der Startpunkt einer Reise – das musst du zuerst verstehen',
+      'ein Schlüsselteil eines Puzzles, das die anderen Teile verbindet',
+      'die Wurzel eines Baumes – alle anderen Äste wachsen von hier',
+      'der erste Schritt in einem Rezept – gelingt er, folgt der Rest',
+    ],
+    sections: {
+      coreConcepts: 'Grundbegriffe',
+      coreConceptsAndDefinitions: 'Grundbegriffe und Definitionen',
+      keyConcepts: 'Wichtige Begriffe',
+      keyTakeaways: 'Das Wichtigste',
+      bigPicture: 'Das große Ganze (in einfachen Worten)',
+      stepByStep: 'Schritt für Schritt',
+      keyThings: 'Das solltest du dir merken',
+      nextSteps: 'Nächste Schritte',
+    },
+    summary: {
+      intro: 'Das musst du wissen:',
+      overview: '**Überblick:** {overview}',
+      detailedExplanation: '**Ausführliche Erklärung:**',
+      examples: '**Beispiele und Anwendungen:**',
+      whyThisMatters: '**Warum das wichtig ist:**',
+      processes: '**Wichtige Vorgänge und Mechanismen:**',
+      keyTerminology: '**Fachbegriffe:** {terms}',
+      takeawayTopic:
+        'Bei **{topic}** geht es darum zu verstehen, wie {concept} zusammenwirken',
+      fundamentalConcepts: 'die Grundbegriffe',
+      takeawayConcepts:
+        '**Grundbegriffe**, die du beherrschen solltest: {concepts}',
+      takeawayNext:
+        '**Nächste Schritte**: Übe mit Beispielen oder frag nach bestimmten Aspekten',
+      proTip:
+        '*💡 Tipp: Am besten lernt man, indem man Fragen stellt! Was interessiert dich an {topic} am meisten?*',
+    },
+    confusion: {
+      intro:
+        'Verstehe – {topic} kann anfangs kompliziert wirken. Lass es uns Schritt für Schritt aufschlüsseln.',
+      isAbout: 'Bei {topic} geht es um {definition}...',
+      whatItIs: '**Was es ist:** {definition}',
+      thinkOfIt: '**Stell es dir so vor:** {analogy}',
+      whyItMatters:
+        '**Warum es wichtig ist:** Es ist ein zentraler Baustein, um {topic} zu verstehen.',
+      keyPoint: 'Kernpunkt',
+      simplyPut: 'Einfach gesagt: {sentence}',
+      youCanAsk: 'Du kannst mich bitten:',
+      options: [
+        'Bestimmte Begriffe einfacher zu erklären',
+        'Beispiele zu geben',
+        'Eine Mindmap zu zeigen',
+        'Die wichtigsten Punkte aufzulisten',
+      ],
+      takesTime:
+        'Dieses Thema braucht Zeit. Übe mit verschiedenen Fragen, um dein Wissen zu festigen.',
+      whichPart: 'Auf welchen Teil möchtest du dich konzentrieren?',
+    },
+  },
+};
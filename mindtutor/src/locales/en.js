@@ -0,0 +1,441 @@
+// en.js - English messages, the fallback for keys other catalogues lack
+
+export default {
+  tabs: {
+    Chat: { label: 'Chat', description: 'Ask me anything' },
+    Reading: { label: 'Reading', description: 'Study materials' },
+    Lessons: { label: 'Lessons', description: 'Interactive learning' },
+    Quiz: { label: 'Quiz', description: 'Test yourself' },
+    Planner: { label: 'Planner', description: 'Exam study plan' },
+    Upload: { label: 'Upload', description: 'OCR & PDF upload' },
+    Import: { label: 'Import', description: 'Add content' },
+    Diagnostics: { label: 'Settings', description: 'Diagnostics' },
+  },
+
+  app: {
+    topicsLoaded: { one: 'topic loaded', other: 'topics loaded' },
+  },
+
+  settings: {
+    language: 'Interface language',
+    languageHelp:
+      'Menus, tutor replies and generated lessons use this language. Your study material stays in its own language.',
+  },
+
+  appearance: {
+    theme: 'Theme',
+    themeHelp:
+      'Saved for this profile. System follows the light, dark and contrast settings of your device.',
+    themes: {
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark',
+      'high-contrast': 'High contrast',
+    },
+    toggleTheme: 'Toggle dark mode',
+    reading: 'Reading preferences',
+    font: 'Font',
+    fonts: {
+      default: 'Default',
+      serif: 'Serif',
+      dyslexic: 'Dyslexia-friendly',
+    },
+    fontSize: 'Text size',
+    fontSizes: {
+      small: 'Small',
+      medium: 'Medium',
+      large: 'Large',
+      'x-large': 'Extra large',
+    },
+    lineSpacing: 'Line spacing',
+    lineSpacings: { normal: 'Normal', relaxed: 'Relaxed', loose: 'Loose' },
+    motion: 'Animations',
+    motions: { system: 'Follow device', reduce: 'Reduce', allow: 'Allow' },
+  },
+
+  chat: {
+    casualWords: ['yo', 'bro', 'sup'],
+    greetingWords: ['hi', 'hello'],
+    casualGreeting: 'hey! what topic do you want to learn?',
+    greeting: 'hi! what do you want to study?',
+    noTopics:
+      "I don't have any study material loaded yet.\n\nTo get started:\n1. Go to the Import tab and add your study notes\n2. Paste or upload content about any topic\n3. Come back here and ask me anything\n\nI'll help you understand the material and explain concepts.",
+    askTopic: 'What topic do you want to learn?',
+    moreTopics: {
+      one: '{list}, and {count} more',
+      other: '{list}, and {count} more',
+    },
+    noMatch: 'none',
+    unsureTopic:
+      'I\'m not sure which topic you\'re asking about.\n\nThe closest match I found was "{topic}" ({confidence}% confidence).\n\nTry being more specific with key terms from your study material.\n\nAvailable topics: {topics}\n\nWhat topic do you want to learn?',
+    welcome: 'Welcome to MindTutor AI',
+  },
+
+  quiz: {
+    selectTopicFirst: 'Please select a topic first',
+    noConcepts: 'This topic has no concepts to build an adaptive quiz from',
+    sampleNotFound: 'Sample quiz not found',
+  },
+
+  feedback: {
+    excellent: [
+      "🎉 Outstanding work! You've mastered this concept completely.",
+      "🌟 Excellent understanding! You're clearly grasping the key ideas.",
+      '🏆 Perfect! Your knowledge of this topic is impressive.',
+    ],
+    good: [
+      '👍 Great job! You have a solid understanding with minor areas to polish.',
+      "👌 Well done! You're on the right track with this concept.",
+      "💪 Good work! A few more practice sessions and you'll have this mastered.",
+    ],
+    needs_improvement: [
+      '📚 Keep working on this! Focus on the core concepts and try again.',
+      '🔄 This concept needs more attention. Review the key points and practice.',
+      "💡 You're making progress! Spend some time reviewing the fundamentals.",
+    ],
+    poor: [
+      "🎯 Let's focus on building a strong foundation. Start with the basics.",
+      '📖 This topic needs more study time. Break it down into smaller parts.',
+      '🔍 Take your time with this concept. Understanding takes practice.',
+    ],
+    quick: 'You worked through this quickly, showing good intuition.',
+    deliberate:
+      'Taking time to think through problems is an excellent strategy.',
+    improved: 'Great improvement from your last attempt!',
+    setback: 'This is a temporary setback - keep practicing!',
+    fastLearner: 'Your learning speed is impressive!',
+    buildMomentum: 'Consistent practice will help build momentum.',
+  },
+
+  rubric: {
+    ideaLabel: 'the point about {words}',
+    wholeDefinition: 'the definition',
+    example: 'an example',
+    listJoin: '{rest} and {last}',
+    openers: {
+      incomplete_answer: 'Your answer is too short to cover the whole idea.',
+      missing_key_concept: 'Your answer leaves out the central term.',
+      partial_understanding: "You're partly there.",
+    },
+    mentionedButMissed: 'You mentioned {mentioned} but missed {missed}.',
+    missed: 'You missed {missed}.',
+    complete: 'You covered every part of the rubric.',
+    careful: 'Careful: {description}.',
+    misconceptions: {
+      antonym: 'it says "{antonym}" where the definition says "{word}"',
+      reversed: 'it reverses the direction the definition describes',
+      confusion: 'it describes {other} rather than {concept}',
+    },
+  },
+
+  planner: {
+    title: 'Exam Planner',
+    intro:
+      'Enter your exam date, when you can study each week and the topics to cover. MindTutor plans dated sessions with reviews and milestones.',
+    examDate: 'Exam date',
+    weeklyAvailability: 'Weekly availability',
+    minutes: '{count} min',
+    topicsToCover: 'Topics to cover',
+    noTopics: 'Import or upload a topic first.',
+    planning: 'Planning…',
+    createPlan: 'Create plan',
+    createNewPlan: 'Create a new plan',
+    planFor: 'Plan for {date}',
+    summary: '{done} done · {planned} to go · {missed} missed · {topics}',
+    exportCalendar: '📅 Export .ics',
+    delete: 'Delete',
+    confirmDelete: 'Delete this study plan?',
+    deleted: '🗑️ Study plan deleted',
+    created: {
+      one: '✅ Planned {count} session before the exam.',
+      other: '✅ Planned {count} sessions before the exam.',
+    },
+    noSlotLeft:
+      '⚠️ No study slot is left before the exam. Add more weekly slots or move the exam date.',
+    replanned:
+      '🔄 Re-planned the remaining sessions. Export the calendar again to update it.',
+    missed: {
+      one: '⏰ {count} session was missed. Re-plan to fit the missed work into the time left.',
+      other:
+        '⏰ {count} sessions were missed. Re-plan to fit the missed work into the time left.',
+    },
+    replan: '🔄 Re-plan',
+    noTimeLeft: 'No time left for: {topics}',
+    status: {
+      done: '✅ Done',
+      missed: '⏰ Missed',
+      planned: '🗓️ Planned',
+    },
+    markDone: 'Mark done',
+    skip: 'Skip',
+    allTopics: 'All topics',
+    kinds: {
+      learn: 'Learn',
+      review: 'Review',
+      final_review: 'Final review',
+    },
+    milestones: {
+      weekly_review: 'Review progress after {count} sessions',
+      concept_mastery: 'Master {concept}',
+      course_completion: 'Complete learning plan',
+    },
+    calendar: {
+      study: 'Study: {concept}',
+      exam: 'Exam: {topics}',
+    },
+    errors: {
+      noTopics: 'Choose at least one topic to cover',
+      noExamDate: 'Enter the exam date',
+      examPassed: 'The exam date must be after today',
+      noSlots: 'Add at least one weekly study slot',
+    },
+  },
+
+  lesson: {
+    rewriteFailed:
+      "Sorry, I couldn't rewrite the lesson right now. Please try again.",
+    styles: {
+      academic: {
+        name: 'Academic/Formal',
+        description: 'Traditional educational format',
+      },
+      story: { name: 'Story/Narrative', description: 'Engaging story format' },
+      simple: {
+        name: 'Simple/Beginner',
+        description: 'Easy to understand language',
+      },
+      advanced: {
+        name: 'Advanced/Expert',
+        description: 'Technical and in-depth',
+      },
+      concise: { name: 'Concise/Summary', description: 'Brief overview' },
+      practical: {
+        name: 'Practical/Application',
+        description: 'Real-world focus',
+      },
+      visual: { name: 'Visual/Diagram', description: 'Mind maps and diagrams' },
+      question: {
+        name: 'Socratic/Questions',
+        description: 'Question-based learning',
+      },
+    },
+    academic: {
+      introduction: 'Introduction',
+      intro:
+        'This comprehensive overview explores the fundamental principles and applications of {topic}. Understanding these concepts is essential for developing a thorough comprehension of the subject matter.',
+      keyPoint:
+        '**Key Point:** This concept forms the foundation for more advanced topics in {topic}.',
+      advanced:
+        '**Advanced Concept:** This represents a more sophisticated application of {topic} principles.',
+      summary: 'Summary',
+      conclusion:
+        'The concepts presented in this lesson demonstrate the interconnected nature of {topic}. Mastery of these fundamental principles will facilitate understanding of more complex applications in the field.',
+    },
+    story: {
+      title: 'The Amazing Journey of {topic}',
+      intro:
+        "Imagine embarking on a fascinating expedition through the world of {topic}. What discoveries await? What mysteries will be revealed? Let's begin our adventure!",
+      mystery: 'The Mystery of {concept}',
+      encounter:
+        'As our journey continues, we encounter {setting}. Here, we discover that {concept} is like {analogy}.',
+      revelation:
+        'This revelation opens up new possibilities in our quest to understand {topic}!',
+      finale: 'The Grand Finale',
+      ending:
+        "Our journey through {topic} has revealed incredible wonders. Each concept we've encountered plays a crucial role in the grand tapestry of knowledge. What adventures await in your own exploration of this fascinating subject?",
+    },
+    simple: {
+      title: '{topic} - Made Simple!',
+      intro:
+        "Hey there! Let's learn about {topic} together. Don't worry if it seems complicated at first - we'll take it step by step.",
+      whatIs: 'What is {concept}?',
+      thinkOfIt: '**Think of it like:** {analogy}',
+      whyItMatters:
+        '**Why it matters:** This helps us understand how {topic} works in the real world!',
+      doingGreat: "You're Doing Great!",
+      ending:
+        "You've just learned the basics of {topic}! Remember, learning takes time, and you're making progress with every step. Keep exploring and asking questions!",
+    },
+    expert: {
+      title: 'Advanced Analysis: {topic}',
+      framework: 'Theoretical Framework',
+      intro:
+        'This analysis examines {topic} through an advanced theoretical lens, considering current research paradigms and emerging methodologies.',
+      considerations: '{concept}: Advanced Considerations',
+      implications: '**Theoretical Implications:**',
+      implicationPoints: [
+        'Integration with existing {topic} frameworks',
+        'Potential applications in emerging research domains',
+        'Methodological considerations for empirical validation',
+      ],
+      directions: '**Research Directions:**',
+      directionsText:
+        'Further investigation into the quantitative aspects and interdisciplinary connections is warranted.',
+      future: 'Future Perspectives',
+      ending:
+        'The concepts explored herein suggest promising avenues for future research in {topic}. Particular attention should be given to the integration of these principles with contemporary technological advancements.',
+    },
+    concise: {
+      title: '{topic} - Quick Reference',
+      keyTerms: '**Key Terms:** {terms}',
+      fullLesson: '*For detailed explanations, refer to the full lesson.*',
+    },
+    practical: {
+      title: '{topic} in Action',
+      intro: "Let's see how {topic} works in the real world!",
+      applications: '{concept} - Real World Applications',
+      whereYoullSee: "**Where you'll see this:**",
+      howToApply: '**How to apply it:**',
+      steps: [
+        'Identify the core principle',
+        'Analyze the specific situation',
+        'Apply the concept systematically',
+      ],
+      together: 'Putting It All Together',
+      ending:
+        'Now that you understand these practical applications, you can start applying {topic} to solve real-world problems and make informed decisions!',
+    },
+    visual: {
+      title: '{topic} - Visual Guide',
+      mindMap: 'Mind Map Overview',
+      relationships: 'Key Relationships',
+      connects: '**How it all connects:**',
+      tips: 'Visual Learning Tips',
+      tipPoints: [
+        'Start from the center and work outward',
+        'Look for connections between branches',
+        'Use colors to highlight important relationships',
+        'Draw your own diagrams as you learn',
+      ],
+    },
+    socratic: {
+      title: 'Exploring {topic} Through Questions',
+      intro: "Let's discover {topic} by asking the right questions:",
+      questionSet: 'Question Set {number}: {concept}',
+      whatIs: '**What is {concept}?**',
+      whyMatter: '**Why does {concept} matter?**',
+      because: 'Because it helps us understand {purpose}.',
+      howRelate: '**How does {concept} relate to other concepts?**',
+      connects: 'It connects with {related}.',
+      without: '**What would happen without {concept}?**',
+      consider: 'Consider how {topic} would function differently.',
+      reflection: 'Reflection Questions',
+      reflectionPoints: [
+        'How do these concepts work together?',
+        'What real-world situations involve these ideas?',
+        'How might you apply this knowledge?',
+        'What questions do you still have?',
+      ],
+    },
+    relatedJoin: '{first} and {second}',
+    otherConcepts: 'other important concepts',
+    examples: {
+      Cell: {
+        setting: 'a microscopic world',
+        analogy: 'a bustling city',
+        simple: 'a tiny factory that makes everything needed for life',
+        application: 'Understanding how medicines work in the body',
+        purpose: 'how living things are structured and function',
+      },
+      Nucleus: {
+        setting: 'the heart of a great kingdom',
+        analogy: 'a wise king ruling from his throne',
+        simple: 'the boss who gives instructions to everyone',
+        application: 'Genetic engineering and biotechnology',
+        purpose: 'how genetic information is stored and used',
+      },
+      Mitochondria: {
+        setting: 'a power plant in a busy factory',
+        analogy: 'tireless workers generating energy',
+        simple: 'the power plant that keeps the lights on',
+        application: 'Treating diseases related to energy production',
+        purpose: 'how energy is produced in living organisms',
+      },
+      Membrane: {
+        setting: 'the walls of an ancient fortress',
+        analogy: 'guards protecting the castle',
+        simple: 'the security guard who decides who gets in and out',
+        application: 'Drug delivery systems and medical treatments',
+        purpose: 'how cells maintain their internal environment',
+      },
+      default: {
+        setting: 'an unknown realm',
+        analogy: 'a mysterious force',
+        simple: 'something really important that helps things work',
+        application: 'Solving real-world problems in science and medicine',
+        purpose: 'fundamental processes in biology',
+      },
+    },
+  },
+
+  ai: {
+    responseHeader: '🤖 AI Response: {topic}',
+    moreHelp:
+      '💡 **Need more help?** Try asking about specific concepts or request examples!',
+    errorHelp:
+      '💡 **Need help?** Try importing some study material or ask about available topics.',
+    noTopicTitle: 'No Topic Data',
+    noTopic:
+      "I don't have any information on that topic yet. Could you import some study material first? I'd be happy to help you understand it once it's available!",
+    invalidQueryTitle: 'Invalid Query',
+    invalidQuery:
+      'I need a question to help you with. What would you like to know?',
+    overview: '{topic} Overview',
+    analogies: [
+      'a basic building block that everything else rests on',
+      'the foundation of a house - without it, nothing else stands',
+      'the starting point of a journey - you need to understand this first',
+      'a key piece in a puzzle that connects other pieces together',
+      'the root of a tree - all other branches grow from here',
+      'the first step in a recipe - get this right and the rest follows',
+    ],
+    sections: {
+      coreConcepts: 'Core Concepts',
+      coreConceptsAndDefinitions: 'Core Concepts and Definitions',
+      keyConcepts: 'Key Concepts',
+      keyTakeaways: 'Key Takeaways',
+      bigPicture: 'The Big Picture (In Plain English)',
+      stepByStep: 'Breaking It Down Step-by-Step',
+      keyThings: 'Key Things to Remember',
+      nextSteps: 'Next Steps',
+    },
+    summary: {
+      intro: "Here's what you need to know:",
+      overview: '**Overview:** {overview}',
+      detailedExplanation: '**Detailed Explanation:**',
+      examples: '**Examples and Applications:**',
+      whyThisMatters: '**Why This Matters:**',
+      processes: '**Key Processes and Mechanisms:**',
+      keyTerminology: '**Key Terminology:** {terms}',
+      takeawayTopic:
+        '**{topic}** involves understanding how {concept} work together',
+      fundamentalConcepts: 'fundamental concepts',
+      takeawayConcepts: '**Core concepts** to master: {concepts}',
+      takeawayNext:
+        '**Next steps**: Practice with examples or ask about specific aspects',
+      proTip:
+        '*💡 Pro tip: The best way to learn is to ask questions! What interests you most about {topic}?*',
+    },
+    confusion: {
+      intro:
+        'I understand - {topic} can seem complex at first. Let me break this down step by step.',
+      isAbout: '{topic} is about {definition}...',
+      whatItIs: '**What it is:** {definition}',
+      thinkOfIt: '**Think of it like:** {analogy}',
+      whyItMatters:
+        '**Why it matters:** This is a key building block for understanding {topic}.',
+      keyPoint: 'Key Point',
+      simplyPut: 'Simply put: {sentence}',
+      youCanAsk: 'You can ask me to:',
+      options: [
+        'Explain specific concepts in simpler terms',
+        'Give examples',
+        'Show a mind map',
+        'List the main points',
+      ],
+      takesTime:
+        'This topic takes time to understand. Practice with different questions to build your knowledge.',
+      whichPart: 'Which part would you like to focus on?',
+    },
+  },
+};
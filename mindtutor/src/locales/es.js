@@ -0,0 +1,454 @@
+// es.js - Spanish messages
+
+export default {
+  tabs: {
+    Chat: { label: 'Chat', description: 'Pregúntame lo que quieras' },
+    Reading: { label: 'Lectura', description: 'Materiales de estudio' },
+    Lessons: { label: 'Lecciones', description: 'Aprendizaje interactivo' },
+    Quiz: { label: 'Test', description: 'Ponte a prueba' },
+    Planner: { label: 'Planificador', description: 'Plan de estudio' },
+    Upload: { label: 'Subir', description: 'OCR y PDF' },
+    Import: { label: 'Importar', description: 'Añadir contenido' },
+    Diagnostics: { label: 'Ajustes', description: 'Diagnóstico' },
+  },
+
+  app: {
+    topicsLoaded: { one: 'tema cargado', other: 'temas cargados' },
+  },
+
+  settings: {
+    language: 'Idioma de la interfaz',
+    languageHelp:
+      'Los menús, las respuestas del tutor y las lecciones generadas usan este idioma. Tu material de estudio se queda en su propio idioma.',
+  },
+
+  appearance: {
+    theme: 'Tema',
+    themeHelp:
+      'Se guarda para este perfil. Sistema sigue los ajustes de modo claro, oscuro y contraste de tu dispositivo.',
+    themes: {
+      system: 'Sistema',
+      light: 'Claro',
+      dark: 'Oscuro',
+      'high-contrast': 'Alto contraste',
+    },
+    toggleTheme: 'Cambiar modo oscuro',
+    reading: 'Preferencias de lectura',
+    font: 'Fuente',
+    fonts: {
+      default: 'Predeterminada',
+      serif: 'Con serifa',
+      dyslexic: 'Adaptada a la dislexia',
+    },
+    fontSize: 'Tamaño del texto',
+    fontSizes: {
+      small: 'Pequeño',
+      medium: 'Mediano',
+      large: 'Grande',
+      'x-large': 'Muy grande',
+    },
+    lineSpacing: 'Interlineado',
+    lineSpacings: { normal: 'Normal', relaxed: 'Amplio', loose: 'Muy amplio' },
+    motion: 'Animaciones',
+    motions: {
+      system: 'Según el dispositivo',
+      reduce: 'Reducir',
+      allow: 'Permitir',
+    },
+  },
+
+  chat: {
+    casualWords: ['ey', 'buenas'],
+    greetingWords: ['hola'],
+    casualGreeting: '¡ey! ¿qué tema quieres aprender?',
+    greeting: '¡hola! ¿qué quieres estudiar?',
+    noTopics:
+      'Todavía no tengo material de estudio cargado.\n\nPara empezar:\n1. Ve a la pestaña Importar y añade tus apuntes\n2. Pega o sube contenido sobre cualquier tema\n3. Vuelve aquí y pregúntame lo que quieras\n\nTe ayudaré a entender el material y te explicaré los conceptos.',
+    askTopic: '¿Qué tema quieres aprender?',
+    moreTopics: {
+      one: '{list} y {count} más',
+      other: '{list} y {count} más',
+    },
+    noMatch: 'ninguno',
+    unsureTopic:
+      'No estoy seguro de sobre qué tema preguntas.\n\nLa coincidencia más cercana es «{topic}» ({confidence} % de confianza).\n\nIntenta ser más concreto con términos clave de tu material de estudio.\n\nTemas disponibles: {topics}\n\n¿Qué tema quieres aprender?',
+    welcome: 'Bienvenido a MindTutor AI',
+  },
+
+  quiz: {
+    selectTopicFirst: 'Primero elige un tema',
+    noConcepts:
+      'Este tema no tiene conceptos con los que crear un test adaptativo',
+    sampleNotFound: 'No se encontró el test de ejemplo',
+  },
+
+  feedback: {
+    excellent: [
+      '🎉 ¡Trabajo sobresaliente! Dominas este concepto por completo.',
+      '🌟 ¡Excelente comprensión! Tienes claras las ideas clave.',
+      '🏆 ¡Perfecto! Tu conocimiento de este tema es impresionante.',
+    ],
+    good: [
+      '👍 ¡Muy bien! Lo entiendes bien y solo quedan detalles por pulir.',
+      '👌 ¡Bien hecho! Vas por buen camino con este concepto.',
+      '💪 ¡Buen trabajo! Con unas cuantas prácticas más lo dominarás.',
+    ],
+    needs_improvement: [
+      '📚 ¡Sigue trabajando! Céntrate en los conceptos básicos e inténtalo de nuevo.',
+      '🔄 Este concepto necesita más atención. Repasa los puntos clave y practica.',
+      '💡 ¡Estás progresando! Dedica un rato a repasar los fundamentos.',
+    ],
+    poor: [
+      '🎯 Construyamos una base sólida. Empieza por lo básico.',
+      '📖 Este tema necesita más estudio. Divídelo en partes más pequeñas.',
+      '🔍 Tómate tu tiempo con este concepto. Entenderlo requiere práctica.',
+    ],
+    quick: 'Lo resolviste rápido, lo que muestra buena intuición.',
+    deliberate:
+      'Tomarte tiempo para pensar los problemas es una estrategia excelente.',
+    improved: '¡Gran mejora respecto a tu intento anterior!',
+    setback: 'Es un tropiezo pasajero: ¡sigue practicando!',
+    fastLearner: '¡Tu ritmo de aprendizaje es impresionante!',
+    buildMomentum: 'Practicar con constancia te ayudará a coger ritmo.',
+  },
+
+  rubric: {
+    ideaLabel: 'la idea sobre {words}',
+    wholeDefinition: 'la definición',
+    example: 'un ejemplo',
+    listJoin: '{rest} y {last}',
+    openers: {
+      incomplete_answer:
+        'Tu respuesta es demasiado breve para cubrir toda la idea.',
+      missing_key_concept: 'Tu respuesta omite el término central.',
+      partial_understanding: 'Vas por buen camino.',
+    },
+    mentionedButMissed: 'Mencionaste {mentioned}, pero te faltó {missed}.',
+    missed: 'Te faltó {missed}.',
+    complete: 'Cubriste todas las partes de la rúbrica.',
+    careful: 'Cuidado: {description}.',
+    misconceptions: {
+      antonym: 'dice «{antonym}» donde la definición dice «{word}»',
+      reversed: 'invierte la dirección que describe la definición',
+      confusion: 'describe {other} en lugar de {concept}',
+    },
+  },
+
+  planner: {
+    title: 'Planificador de exámenes',
+    intro:
+      'Indica la fecha del examen, cuándo puedes estudiar cada semana y los temas que quieres cubrir. MindTutor planifica sesiones con fecha, repasos e hitos.',
+    examDate: 'Fecha del examen',
+    weeklyAvailability: 'Disponibilidad semanal',
+    minutes: '{count} min',
+    topicsToCover: 'Temas a cubrir',
+    noTopics: 'Primero importa o sube un tema.',
+    planning: 'Planificando…',
+    createPlan: 'Crear plan',
+    createNewPlan: 'Crear un plan nuevo',
+    planFor: 'Plan para el {date}',
+    summary:
+      '{done} hechas · {planned} pendientes · {missed} perdidas · {topics}',
+    exportCalendar: '📅 Exportar .ics',
+    delete: 'Eliminar',
+    confirmDelete: '¿Eliminar este plan de estudio?',
+    deleted: '🗑️ Plan de estudio eliminado',
+    created: {
+      one: '✅ Se planificó {count} sesión antes del examen.',
+      other: '✅ Se planificaron {count} sesiones antes del examen.',
+    },
+    noSlotLeft:
+      '⚠️ No queda ningún hueco de estudio antes del examen. Añade más huecos semanales o cambia la fecha del examen.',
+    replanned:
+      '🔄 Se replanificaron las sesiones restantes. Vuelve a exportar el calendario para actualizarlo.',
+    missed: {
+      one: '⏰ Se perdió {count} sesión. Replanifica para encajar el trabajo pendiente en el tiempo que queda.',
+      other:
+        '⏰ Se perdieron {count} sesiones. Replanifica para encajar el trabajo pendiente en el tiempo que queda.',
+    },
+    replan: '🔄 Replanificar',
+    noTimeLeft: 'No queda tiempo para: {topics}',
+    status: {
+      done: '✅ Hecha',
+      missed: '⏰ Perdida',
+      planned: '🗓️ Planificada',
+    },
+    markDone: 'Marcar como hecha',
+    skip: 'Saltar',
+    allTopics: 'Todos los temas',
+    kinds: {
+      learn: 'Aprender',
+      review: 'Repasar',
+      final_review: 'Repaso final',
+    },
+    milestones: {
+      weekly_review: 'Revisa tu progreso tras {count} sesiones',
+      concept_mastery: 'Domina {concept}',
+      course_completion: 'Completa el plan de aprendizaje',
+    },
+    calendar: {
+      study: 'Estudiar: {concept}',
+      exam: 'Examen: {topics}',
+    },
+    errors: {
+      noTopics: 'Elige al menos un tema',
+      noExamDate: 'Indica la fecha del examen',
+      examPassed: 'La fecha del examen debe ser posterior a hoy',
+      noSlots: 'Añade al menos un hueco de estudio semanal',
+    },
+  },
+
+  lesson: {
+    rewriteFailed:
+      'Lo siento, ahora mismo no he podido reescribir la lección. Inténtalo de nuevo.',
+    styles: {
+      academic: {
+        name: 'Académico/Formal',
+        description: 'Formato educativo tradicional',
+      },
+      story: { name: 'Historia/Narración', description: 'Formato de relato' },
+      simple: {
+        name: 'Sencillo/Principiante',
+        description: 'Lenguaje fácil de entender',
+      },
+      advanced: {
+        name: 'Avanzado/Experto',
+        description: 'Técnico y en profundidad',
+      },
+      concise: { name: 'Conciso/Resumen', description: 'Visión breve' },
+      practical: {
+        name: 'Práctico/Aplicación',
+        description: 'Enfocado al mundo real',
+      },
+      visual: {
+        name: 'Visual/Diagrama',
+        description: 'Mapas mentales y diagramas',
+      },
+      question: {
+        name: 'Socrático/Preguntas',
+        description: 'Aprender a base de preguntas',
+      },
+    },
+    academic: {
+      introduction: 'Introducción',
+      intro:
+        'Esta visión completa explora los principios fundamentales y las aplicaciones de {topic}. Comprender estos conceptos es esencial para dominar a fondo la materia.',
+      keyPoint:
+        '**Punto clave:** Este concepto es la base de temas más avanzados de {topic}.',
+      advanced:
+        '**Concepto avanzado:** Representa una aplicación más sofisticada de los principios de {topic}.',
+      summary: 'Resumen',
+      conclusion:
+        'Los conceptos de esta lección muestran cómo se interrelaciona todo en {topic}. Dominar estos principios fundamentales facilitará comprender aplicaciones más complejas en este campo.',
+    },
+    story: {
+      title: 'El increíble viaje de {topic}',
+      intro:
+        'Imagina que emprendes una expedición fascinante por el mundo de {topic}. ¿Qué descubrimientos nos esperan? ¿Qué misterios se revelarán? ¡Comencemos la aventura!',
+      mystery: 'El misterio de {concept}',
+      encounter:
+        'A medida que avanza nuestro viaje, encontramos {setting}. Aquí descubrimos que {concept} es como {analogy}.',
+      revelation:
+        '¡Esta revelación abre nuevas posibilidades en nuestra búsqueda por entender {topic}!',
+      finale: 'El gran final',
+      ending:
+        'Nuestro viaje por {topic} ha revelado maravillas increíbles. Cada concepto que hemos encontrado tiene un papel crucial en el gran tapiz del conocimiento. ¿Qué aventuras te esperan al explorar por tu cuenta esta materia fascinante?',
+    },
+    simple: {
+      title: '{topic}: ¡fácil!',
+      intro:
+        '¡Hola! Aprendamos juntos sobre {topic}. No te preocupes si al principio parece complicado: iremos paso a paso.',
+      whatIs: '¿Qué es {concept}?',
+      thinkOfIt: '**Piénsalo como:** {analogy}',
+      whyItMatters:
+        '**Por qué importa:** ¡Nos ayuda a entender cómo funciona {topic} en el mundo real!',
+      doingGreat: '¡Lo estás haciendo genial!',
+      ending:
+        '¡Acabas de aprender lo básico de {topic}! Recuerda que aprender lleva tiempo y que avanzas con cada paso. ¡Sigue explorando y haciendo preguntas!',
+    },
+    expert: {
+      title: 'Análisis avanzado: {topic}',
+      framework: 'Marco teórico',
+      intro:
+        'Este análisis examina {topic} desde una perspectiva teórica avanzada, teniendo en cuenta los paradigmas de investigación actuales y las metodologías emergentes.',
+      considerations: '{concept}: consideraciones avanzadas',
+      implications: '**Implicaciones teóricas:**',
+      implicationPoints: [
+        'Integración con los marcos existentes de {topic}',
+        'Posibles aplicaciones en campos de investigación emergentes',
+        'Consideraciones metodológicas para la validación empírica',
+      ],
+      directions: '**Líneas de investigación:**',
+      directionsText:
+        'Conviene seguir investigando los aspectos cuantitativos y las conexiones interdisciplinarias.',
+      future: 'Perspectivas de futuro',
+      ending:
+        'Los conceptos aquí expuestos sugieren vías prometedoras para la investigación futura en {topic}. Merece especial atención la integración de estos principios con los avances tecnológicos actuales.',
+    },
+    concise: {
+      title: '{topic}: referencia rápida',
+      keyTerms: '**Términos clave:** {terms}',
+      fullLesson:
+        '*Para explicaciones detalladas, consulta la lección completa.*',
+    },
+    practical: {
+      title: '{topic} en acción',
+      intro: '¡Veamos cómo funciona {topic} en el mundo real!',
+      applications: '{concept}: aplicaciones reales',
+      whereYoullSee: '**Dónde lo verás:**',
+      howToApply: '**Cómo aplicarlo:**',
+      steps: [
+        'Identifica el principio fundamental',
+        'Analiza la situación concreta',
+        'Aplica el concepto de forma sistemática',
+      ],
+      together: 'Juntándolo todo',
+      ending:
+        '¡Ahora que entiendes estas aplicaciones prácticas, puedes empezar a aplicar {topic} para resolver problemas reales y tomar decisiones informadas!',
+    },
+    visual: {
+      title: '{topic}: guía visual',
+      mindMap: 'Mapa mental',
+      relationships: 'Relaciones clave',
+      connects: '**Cómo se conecta todo:**',
+      tips: 'Consejos de aprendizaje visual',
+      tipPoints: [
+        'Empieza por el centro y avanza hacia fuera',
+        'Busca conexiones entre las ramas',
+        'Usa colores para resaltar las relaciones importantes',
+        'Dibuja tus propios diagramas mientras aprendes',
+      ],
+    },
+    socratic: {
+      title: 'Explorar {topic} con preguntas',
+      intro: 'Descubramos {topic} haciendo las preguntas adecuadas:',
+      questionSet: 'Bloque de preguntas {number}: {concept}',
+      whatIs: '**¿Qué es {concept}?**',
+      whyMatter: '**¿Por qué importa {concept}?**',
+      because: 'Porque nos ayuda a entender {purpose}.',
+      howRelate: '**¿Cómo se relaciona {concept} con otros conceptos?**',
+      connects: 'Se conecta con {related}.',
+      without: '**¿Qué pasaría sin {concept}?**',
+      consider: 'Piensa en cómo funcionaría {topic} de otra manera.',
+      reflection: 'Preguntas de reflexión',
+      reflectionPoints: [
+        '¿Cómo funcionan juntos estos conceptos?',
+        '¿Qué situaciones reales implican estas ideas?',
+        '¿Cómo podrías aplicar este conocimiento?',
+        '¿Qué preguntas te quedan?',
+      ],
+    },
+    relatedJoin: '{first} y {second}',
+    otherConcepts: 'otros conceptos importantes',
+    examples: {
+      Cell: {
+        setting: 'un mundo microscópico',
+        analogy: 'una ciudad llena de actividad',
+        simple:
+          'una fábrica diminuta que produce todo lo necesario para la vida',
+        application: 'Entender cómo actúan los medicamentos en el cuerpo',
+        purpose: 'cómo se estructuran y funcionan los seres vivos',
+      },
+      Nucleus: {
+        setting: 'el corazón de un gran reino',
+        analogy: 'un rey sabio que gobierna desde su trono',
+        simple: 'el jefe que da instrucciones a todos',
+        application: 'La ingeniería genética y la biotecnología',
+        purpose: 'cómo se almacena y se usa la información genética',
+      },
+      Mitochondria: {
+        setting: 'la central eléctrica de una fábrica',
+        analogy: 'trabajadores incansables que generan energía',
+        simple: 'la central eléctrica que mantiene las luces encendidas',
+        application:
+          'El tratamiento de enfermedades relacionadas con la producción de energía',
+        purpose: 'cómo se produce la energía en los seres vivos',
+      },
+      Membrane: {
+        setting: 'las murallas de una antigua fortaleza',
+        analogy: 'guardias que protegen el castillo',
+        simple: 'el guardia de seguridad que decide quién entra y quién sale',
+        application:
+          'Los sistemas de administración de fármacos y los tratamientos médicos',
+        purpose: 'cómo mantienen las células su medio interno',
+      },
+      default: {
+        setting: 'un reino desconocido',
+        analogy: 'una fuerza misteriosa',
+        simple: 'algo muy importante que ayuda a que las cosas funcionen',
+        application: 'Resolver problemas reales de ciencia y medicina',
+        purpose: 'procesos fundamentales de la biología',
+      },
+    },
+  },
+
+  ai: {
+    responseHeader: '🤖 Respuesta de la IA: {topic}',
+    moreHelp:
+      '💡 **¿Necesitas más ayuda?** ¡Pregunta por conceptos concretos o pide ejemplos!',
+    errorHelp:
+      '💡 **¿Necesitas ayuda?** Importa material de estudio o pregunta por los temas disponibles.',
+    noTopicTitle: 'Sin datos del tema',
+    noTopic:
+      'Todavía no tengo información sobre ese tema. ¿Puedes importar primero algo de material de estudio? ¡Te ayudaré encantado a entenderlo en cuanto esté disponible!',
+    invalidQueryTitle: 'Consulta no válida',
+    invalidQuery: 'Necesito una pregunta para ayudarte. ¿Qué quieres saber?',
+    overview: '{topic}: visión general',
+    analogies: [
+      'un bloque básico sobre el que descansa todo lo demás',
+      'los cimientos de una casa: sin ellos, nada se sostiene',
+      'el punto de partida de un viaje: necesitas entender esto primero',
+      'una pieza clave de un rompecabezas que une las demás piezas',
+      'la raíz de un árbol: de aquí crecen todas las demás ramas',
+      'el primer paso de una receta: si lo haces bien, lo demás sale solo',
+    ],
+    sections: {
+      coreConcepts: 'Conceptos fundamentales',
+      coreConceptsAndDefinitions: 'Conceptos fundamentales y definiciones',
+      keyConcepts: 'Conceptos clave',
+      keyTakeaways: 'Ideas clave',
+      bigPicture: 'La idea general (en palabras sencillas)',
+      stepByStep: 'Paso a paso',
+      keyThings: 'Lo que debes recordar',
+      nextSteps: 'Próximos pasos',
+    },
+    summary: {
+      intro: 'Esto es lo que necesitas saber:',
+      overview: '**Visión general:** {overview}',
+      detailedExplanation: '**Explicación detallada:**',
+      examples: '**Ejemplos y aplicaciones:**',
+      whyThisMatters: '**Por qué importa:**',
+      processes: '**Procesos y mecanismos clave:**',
+      keyTerminology: '**Terminología clave:** {terms}',
+      takeawayTopic:
+        '**{topic}** consiste en entender cómo funcionan juntos {concept}',
+      fundamentalConcepts: 'los conceptos fundamentales',
+      takeawayConcepts: '**Conceptos fundamentales** que dominar: {concepts}',
+      takeawayNext:
+        '**Próximos pasos**: practica con ejemplos o pregunta por aspectos concretos',
+      proTip:
+        '*💡 Consejo: ¡la mejor manera de aprender es preguntar! ¿Qué es lo que más te interesa de {topic}?*',
+    },
+    confusion: {
+      intro:
+        'Lo entiendo: {topic} puede parecer complejo al principio. Vamos a desglosarlo paso a paso.',
+      isAbout: '{topic} trata de {definition}...',
+      whatItIs: '**Qué es:** {definition}',
+      thinkOfIt: '**Piénsalo como:** {analogy}',
+      whyItMatters:
+        '**Por qué importa:** Es una pieza clave para entender {topic}.',
+      keyPoint: 'Punto clave',
+      simplyPut: 'En pocas palabras: {sentence}',
+      youCanAsk: 'Puedes pedirme que:',
+      options: [
+        'Explique conceptos concretos con palabras más sencillas',
+        'Dé ejemplos',
+        'Muestre un mapa mental',
+        'Enumere los puntos principales',
+      ],
+      takesTime:
+        'Entender este tema lleva tiempo. Practica con distintas preguntas para afianzar lo que sabes.',
+      whichPart: '¿En qué parte te gustaría centrarte?',
+    },
+  },
+};
@@ -0,0 +1,456 @@
+// fr.js - French messages
+
+export default {
+  tabs: {
+    Chat: { label: 'Discussion', description: 'Pose-moi tes questions' },
+    Reading: { label: 'Lecture', description: 'Supports de cours' },
+    Lessons: { label: 'Leçons', description: 'Apprentissage interactif' },
+    Quiz: { label: 'Quiz', description: 'Teste-toi' },
+    Planner: { label: 'Planning', description: 'Planning de révisions' },
+    Upload: { label: 'Envoi', description: 'OCR et PDF' },
+    Import: { label: 'Importer', description: 'Ajouter du contenu' },
+    Diagnostics: { label: 'Paramètres', description: 'Diagnostic' },
+  },
+
+  app: {
+    topicsLoaded: { one: 'sujet chargé', other: 'sujets chargés' },
+  },
+
+  settings: {
+    language: "Langue de l'interface",
+    languageHelp:
+      'Les menus, les réponses du tuteur et les leçons générées utilisent cette langue. Tes supports de cours restent dans leur propre langue.',
+  },
+
+  appearance: {
+    theme: 'Thème',
+    themeHelp:
+      'Enregistré pour ce profil. Système suit les réglages clair, sombre et contraste de ton appareil.',
+    themes: {
+      system: 'Système',
+      light: 'Clair',
+      dark: 'Sombre',
+      'high-contrast': 'Contraste élevé',
+    },
+    toggleTheme: 'Basculer le mode sombre',
+    reading: 'Préférences de lecture',
+    font: 'Police',
+    fonts: {
+      default: 'Par défaut',
+      serif: 'Avec empattements',
+      dyslexic: 'Adaptée à la dyslexie',
+    },
+    fontSize: 'Taille du texte',
+    fontSizes: {
+      small: 'Petite',
+      medium: 'Moyenne',
+      large: 'Grande',
+      'x-large': 'Très grande',
+    },
+    lineSpacing: 'Interligne',
+    lineSpacings: { normal: 'Normal', relaxed: 'Aéré', loose: 'Très aéré' },
+    motion: 'Animations',
+    motions: {
+      system: "Selon l'appareil",
+      reduce: 'Réduire',
+      allow: 'Autoriser',
+    },
+  },
+
+  chat: {
+    casualWords: ['yo', 'coucou'],
+    greetingWords: ['bonjour', 'salut'],
+    casualGreeting: 'coucou ! quel sujet veux-tu apprendre ?',
+    greeting: 'salut ! que veux-tu étudier ?',
+    noTopics:
+      "Je n'ai encore aucun support de cours.\n\nPour commencer :\n1. Va dans l'onglet Importer et ajoute tes notes\n2. Colle ou envoie du contenu sur n'importe quel sujet\n3. Reviens ici et pose-moi tes questions\n\nJe t'aiderai à comprendre le contenu et à expliquer les notions.",
+    askTopic: 'Quel sujet veux-tu apprendre ?',
+    moreTopics: {
+      one: '{list} et {count} autre',
+      other: '{list} et {count} autres',
+    },
+    noMatch: 'aucun',
+    unsureTopic:
+      "Je ne sais pas bien de quel sujet tu parles.\n\nLe sujet le plus proche est « {topic} » ({confidence} % de confiance).\n\nEssaie d'être plus précis avec des termes clés de tes supports de cours.\n\nSujets disponibles : {topics}\n\nQuel sujet veux-tu apprendre ?",
+    welcome: 'Bienvenue dans MindTutor AI',
+  },
+
+  quiz: {
+    selectTopicFirst: "Choisis d'abord un sujet",
+    noConcepts:
+      "Ce sujet n'a aucune notion à partir de laquelle créer un quiz adaptatif",
+    sampleNotFound: "Quiz d'exemple introuvable",
+  },
+
+  feedback: {
+    excellent: [
+      '🎉 Travail remarquable ! Tu maîtrises parfaitement cette notion.',
+      '🌟 Excellente compréhension ! Tu as bien saisi les idées clés.',
+      '🏆 Parfait ! Ta connaissance de ce sujet est impressionnante.',
+    ],
+    good: [
+      '👍 Très bien ! Tu as une bonne compréhension, il reste quelques détails à peaufiner.',
+      '👌 Bien joué ! Tu es sur la bonne voie avec cette notion.',
+      '💪 Bon travail ! Encore quelques séances et tu la maîtriseras.',
+    ],
+    needs_improvement: [
+      '📚 Continue tes efforts ! Concentre-toi sur les notions de base et réessaie.',
+      '🔄 Cette notion demande plus d’attention. Revois les points clés et entraîne-toi.',
+      '💡 Tu progresses ! Prends le temps de revoir les fondamentaux.',
+    ],
+    poor: [
+      '🎯 Construisons des bases solides. Commence par l’essentiel.',
+      '📖 Ce sujet demande plus de travail. Découpe-le en petites parties.',
+      '🔍 Prends ton temps avec cette notion. Comprendre demande de la pratique.',
+    ],
+    quick: 'Tu as été rapide, ce qui montre une bonne intuition.',
+    deliberate:
+      'Prendre le temps de réfléchir aux problèmes est une excellente stratégie.',
+    improved: 'Beau progrès depuis ta dernière tentative !',
+    setback: "C'est un revers passager : continue à t'entraîner !",
+    fastLearner: "Ta vitesse d'apprentissage est impressionnante !",
+    buildMomentum: "S'entraîner régulièrement t'aidera à prendre de l'élan.",
+  },
+
+  rubric: {
+    ideaLabel: 'le point sur {words}',
+    wholeDefinition: 'la définition',
+    example: 'un exemple',
+    listJoin: '{rest} et {last}',
+    openers: {
+      incomplete_answer:
+        'Ta réponse est trop courte pour couvrir toute l’idée.',
+      missing_key_concept: 'Ta réponse oublie le terme central.',
+      partial_understanding: 'Tu y es en partie.',
+    },
+    mentionedButMissed: 'Tu as mentionné {mentioned} mais oublié {missed}.',
+    missed: 'Tu as oublié {missed}.',
+    complete: 'Tu as couvert tous les points de la grille.',
+    careful: 'Attention : {description}.',
+    misconceptions: {
+      antonym: 'elle dit « {antonym} » là où la définition dit « {word} »',
+      reversed: 'elle inverse le sens que décrit la définition',
+      confusion: 'elle décrit {other} plutôt que {concept}',
+    },
+  },
+
+  planner: {
+    title: "Planificateur d'examen",
+    intro:
+      "Indique la date de l'examen, quand tu peux étudier chaque semaine et les sujets à couvrir. MindTutor planifie des séances datées avec révisions et étapes.",
+    examDate: "Date de l'examen",
+    weeklyAvailability: 'Disponibilités hebdomadaires',
+    minutes: '{count} min',
+    topicsToCover: 'Sujets à couvrir',
+    noTopics: "Importe ou téléverse d'abord un sujet.",
+    planning: 'Planification…',
+    createPlan: 'Créer le plan',
+    createNewPlan: 'Créer un nouveau plan',
+    planFor: 'Plan pour le {date}',
+    summary: '{done} faites · {planned} à venir · {missed} manquées · {topics}',
+    exportCalendar: '📅 Exporter en .ics',
+    delete: 'Supprimer',
+    confirmDelete: "Supprimer ce plan d'étude ?",
+    deleted: "🗑️ Plan d'étude supprimé",
+    created: {
+      one: "✅ {count} séance planifiée avant l'examen.",
+      other: "✅ {count} séances planifiées avant l'examen.",
+    },
+    noSlotLeft:
+      "⚠️ Il ne reste aucun créneau avant l'examen. Ajoute des créneaux hebdomadaires ou déplace la date de l'examen.",
+    replanned:
+      '🔄 Les séances restantes ont été replanifiées. Exporte à nouveau le calendrier pour le mettre à jour.',
+    missed: {
+      one: '⏰ {count} séance a été manquée. Replanifie pour caser le travail manqué dans le temps restant.',
+      other:
+        '⏰ {count} séances ont été manquées. Replanifie pour caser le travail manqué dans le temps restant.',
+    },
+    replan: '🔄 Replanifier',
+    noTimeLeft: 'Plus de temps pour : {topics}',
+    status: {
+      done: '✅ Faite',
+      missed: '⏰ Manquée',
+      planned: '🗓️ Planifiée',
+    },
+    markDone: 'Marquer comme faite',
+    skip: 'Passer',
+    allTopics: 'Tous les sujets',
+    kinds: {
+      learn: 'Apprendre',
+      review: 'Réviser',
+      final_review: 'Révision finale',
+    },
+    milestones: {
+      weekly_review: 'Fais le point après {count} séances',
+      concept_mastery: 'Maîtrise {concept}',
+      course_completion: "Termine le plan d'apprentissage",
+    },
+    calendar: {
+      study: 'Étudier : {concept}',
+      exam: 'Examen : {topics}',
+    },
+    errors: {
+      noTopics: 'Choisis au moins un sujet à couvrir',
+      noExamDate: "Indique la date de l'examen",
+      examPassed: "La date de l'examen doit être après aujourd'hui",
+      noSlots: 'Ajoute au moins un créneau hebdomadaire',
+    },
+  },
+
+  lesson: {
+    rewriteFailed:
+      "Désolé, je n'ai pas pu réécrire la leçon pour le moment. Réessaie.",
+    styles: {
+      academic: {
+        name: 'Académique/Formel',
+        description: 'Format scolaire traditionnel',
+      },
+      story: { name: 'Récit/Narration', description: 'Sous forme d’histoire' },
+      simple: {
+        name: 'Simple/Débutant',
+        description: 'Langage facile à comprendre',
+      },
+      advanced: {
+        name: 'Avancé/Expert',
+        description: 'Technique et approfondi',
+      },
+      concise: { name: 'Concis/Résumé', description: 'Vue d’ensemble brève' },
+      practical: {
+        name: 'Pratique/Application',
+        description: 'Axé sur le monde réel',
+      },
+      visual: {
+        name: 'Visuel/Schéma',
+        description: 'Cartes mentales et schémas',
+      },
+      question: {
+        name: 'Socratique/Questions',
+        description: 'Apprendre par les questions',
+      },
+    },
+    academic: {
+      introduction: 'Introduction',
+      intro:
+        'Cette présentation complète explore les principes fondamentaux et les applications de : {topic}. Comprendre ces notions est essentiel pour maîtriser le sujet en profondeur.',
+      keyPoint:
+        '**Point clé :** Cette notion sert de base aux sujets plus avancés de : {topic}.',
+      advanced:
+        '**Notion avancée :** Elle représente une application plus poussée des principes de : {topic}.',
+      summary: 'Résumé',
+      conclusion:
+        'Les notions présentées dans cette leçon montrent à quel point tout est lié dans : {topic}. Maîtriser ces principes fondamentaux facilitera la compréhension d’applications plus complexes.',
+    },
+    story: {
+      title: "L'incroyable voyage : {topic}",
+      intro:
+        'Imagine une expédition fascinante dans le monde de : {topic}. Quelles découvertes nous attendent ? Quels mystères seront révélés ? Commençons l’aventure !',
+      mystery: 'Le mystère : {concept}',
+      encounter:
+        'Au fil du voyage, nous découvrons {setting}. Ici, nous apprenons que « {concept} » ressemble à {analogy}.',
+      revelation:
+        'Cette révélation ouvre de nouvelles pistes dans notre quête pour comprendre : {topic} !',
+      finale: 'Le grand final',
+      ending:
+        'Notre voyage à travers « {topic} » a révélé des merveilles incroyables. Chaque notion rencontrée joue un rôle essentiel dans la grande tapisserie du savoir. Quelles aventures t’attendent en explorant toi-même ce sujet fascinant ?',
+    },
+    simple: {
+      title: '{topic} : version facile !',
+      intro:
+        'Salut ! Découvrons ensemble : {topic}. Pas d’inquiétude si ça semble compliqué au début, on avance pas à pas.',
+      whatIs: "Qu'est-ce que « {concept} » ?",
+      thinkOfIt: '**Imagine :** {analogy}',
+      whyItMatters:
+        '**Pourquoi c’est important :** Cela nous aide à comprendre comment « {topic} » fonctionne dans la vie réelle !',
+      doingGreat: 'Tu te débrouilles très bien !',
+      ending:
+        'Tu viens d’apprendre les bases de : {topic} ! Apprendre prend du temps, et tu progresses à chaque étape. Continue d’explorer et de poser des questions !',
+    },
+    expert: {
+      title: 'Analyse avancée : {topic}',
+      framework: 'Cadre théorique',
+      intro:
+        'Cette analyse examine « {topic} » sous un angle théorique avancé, en tenant compte des paradigmes de recherche actuels et des méthodes émergentes.',
+      considerations: '{concept} : considérations avancées',
+      implications: '**Implications théoriques :**',
+      implicationPoints: [
+        'Intégration aux cadres existants de : {topic}',
+        'Applications possibles dans des domaines de recherche émergents',
+        'Considérations méthodologiques pour la validation empirique',
+      ],
+      directions: '**Pistes de recherche :**',
+      directionsText:
+        'Il serait utile d’approfondir les aspects quantitatifs et les liens interdisciplinaires.',
+      future: "Perspectives d'avenir",
+      ending:
+        'Les notions étudiées ici ouvrent des pistes prometteuses pour la recherche future sur : {topic}. Une attention particulière devrait être portée à l’intégration de ces principes avec les avancées technologiques actuelles.',
+    },
+    concise: {
+      title: '{topic} : aide-mémoire',
+      keyTerms: '**Termes clés :** {terms}',
+      fullLesson:
+        '*Pour des explications détaillées, consulte la leçon complète.*',
+    },
+    practical: {
+      title: '{topic} en action',
+      intro: 'Voyons comment « {topic} » fonctionne dans la vie réelle !',
+      applications: '{concept} : applications concrètes',
+      whereYoullSee: '**Où tu le verras :**',
+      howToApply: '**Comment l’appliquer :**',
+      steps: [
+        'Identifie le principe de base',
+        'Analyse la situation précise',
+        'Applique la notion méthodiquement',
+      ],
+      together: 'Tout assembler',
+      ending:
+        'Maintenant que tu comprends ces applications pratiques, tu peux utiliser « {topic} » pour résoudre des problèmes concrets et prendre des décisions éclairées !',
+    },
+    visual: {
+      title: '{topic} : guide visuel',
+      mindMap: 'Carte mentale',
+      relationships: 'Liens essentiels',
+      connects: '**Comment tout est relié :**',
+      tips: "Conseils d'apprentissage visuel",
+      tipPoints: [
+        'Pars du centre et avance vers l’extérieur',
+        'Cherche les liens entre les branches',
+        'Utilise des couleurs pour souligner les relations importantes',
+        'Dessine tes propres schémas au fil de l’apprentissage',
+      ],
+    },
+    socratic: {
+      title: 'Explorer « {topic} » par les questions',
+      intro: 'Découvrons « {topic} » en posant les bonnes questions :',
+      questionSet: 'Série de questions {number} : {concept}',
+      whatIs: "**Qu'est-ce que « {concept} » ?**",
+      whyMatter: '**Pourquoi « {concept} » est-il important ?**',
+      because: 'Parce que cela nous aide à comprendre {purpose}.',
+      howRelate:
+        '**Quel est le lien entre « {concept} » et les autres notions ?**',
+      connects: 'Il est lié à {related}.',
+      without: '**Que se passerait-il sans « {concept} » ?**',
+      consider: 'Imagine comment « {topic} » fonctionnerait autrement.',
+      reflection: 'Questions de réflexion',
+      reflectionPoints: [
+        'Comment ces notions fonctionnent-elles ensemble ?',
+        'Quelles situations réelles font intervenir ces idées ?',
+        'Comment pourrais-tu appliquer ces connaissances ?',
+        'Quelles questions te restent-il ?',
+      ],
+    },
+    relatedJoin: '{first} et {second}',
+    otherConcepts: "d'autres notions importantes",
+    examples: {
+      Cell: {
+        setting: 'un monde microscopique',
+        analogy: 'une ville animée',
+        simple: 'une minuscule usine qui fabrique tout ce dont la vie a besoin',
+        application:
+          'Comprendre comment les médicaments agissent dans le corps',
+        purpose: 'comment les êtres vivants sont organisés et fonctionnent',
+      },
+      Nucleus: {
+        setting: 'le cœur d’un grand royaume',
+        analogy: 'un roi sage qui règne depuis son trône',
+        simple: 'le chef qui donne les instructions à tout le monde',
+        application: 'Le génie génétique et les biotechnologies',
+        purpose: "comment l'information génétique est stockée et utilisée",
+      },
+      Mitochondria: {
+        setting: 'la centrale électrique d’une usine',
+        analogy: 'des ouvriers infatigables qui produisent de l’énergie',
+        simple: 'la centrale qui garde les lumières allumées',
+        application:
+          "Le traitement des maladies liées à la production d'énergie",
+        purpose: "comment l'énergie est produite chez les êtres vivants",
+      },
+      Membrane: {
+        setting: 'les remparts d’une forteresse ancienne',
+        analogy: 'des gardes qui protègent le château',
+        simple: 'le vigile qui décide qui entre et qui sort',
+        application:
+          "Les systèmes d'administration de médicaments et les traitements médicaux",
+        purpose: 'comment les cellules maintiennent leur milieu intérieur',
+      },
+      default: {
+        setting: 'un royaume inconnu',
+        analogy: 'une force mystérieuse',
+        simple: 'quelque chose de très important qui fait marcher les choses',
+        application:
+          'Résoudre des problèmes concrets en sciences et en médecine',
+        purpose: 'des processus fondamentaux de la biologie',
+      },
+    },
+  },
+
+  ai: {
+    responseHeader: "🤖 Réponse de l'IA : {topic}",
+    moreHelp:
+      "💡 **Besoin d'aide ?** Pose des questions sur des notions précises ou demande des exemples !",
+    errorHelp:
+      "💡 **Besoin d'aide ?** Importe des supports de cours ou demande quels sujets sont disponibles.",
+    noTopicTitle: 'Aucune donnée sur le sujet',
+    noTopic:
+      "Je n'ai encore aucune information sur ce sujet. Peux-tu d'abord importer des supports de cours ? Je t'aiderai volontiers à les comprendre dès qu'ils seront disponibles !",
+    invalidQueryTitle: 'Requête invalide',
+    invalidQuery:
+      "J'ai besoin d'une question pour t'aider. Que veux-tu savoir ?",
+    overview: '{topic} : vue d’ensemble',
+    analogies: [
+      'une brique de base sur laquelle repose tout le reste',
+      "les fondations d'une maison : sans elles, rien ne tient debout",
+      "le point de départ d'un voyage : il faut d'abord comprendre cela",
+      "une pièce maîtresse d'un puzzle qui relie les autres pièces",
+      "la racine d'un arbre : toutes les autres branches en partent",
+      "la première étape d'une recette : réussis-la et le reste suit",
+    ],
+    sections: {
+      coreConcepts: 'Notions essentielles',
+      coreConceptsAndDefinitions: 'Notions essentielles et définitions',
+      keyConcepts: 'Notions clés',
+      keyTakeaways: 'À retenir',
+      bigPicture: 'Vue d’ensemble (en termes simples)',
+      stepByStep: 'Étape par étape',
+      keyThings: 'Les points à retenir',
+      nextSteps: 'Prochaines étapes',
+    },
+    summary: {
+      intro: 'Voici ce que tu dois savoir :',
+      overview: "**Vue d'ensemble :** {overview}",
+      detailedExplanation: '**Explication détaillée :**',
+      examples: '**Exemples et applications :**',
+      whyThisMatters: '**Pourquoi c’est important :**',
+      processes: '**Processus et mécanismes clés :**',
+      keyTerminology: '**Vocabulaire clé :** {terms}',
+      takeawayTopic:
+        '**{topic}**, c’est comprendre comment {concept} fonctionnent ensemble',
+      fundamentalConcepts: 'les notions fondamentales',
+      takeawayConcepts: '**Notions essentielles** à maîtriser : {concepts}',
+      takeawayNext:
+        '**Prochaines étapes** : entraîne-toi avec des exemples ou pose des questions précises',
+      proTip:
+        '*💡 Astuce : la meilleure façon d’apprendre, c’est de poser des questions ! Qu’est-ce qui t’intéresse le plus dans : {topic} ?*',
+    },
+    confusion: {
+      intro:
+        'Je comprends : « {topic} » peut sembler complexe au début. Décomposons-le étape par étape.',
+      isAbout: '{topic} porte sur {definition}...',
+      whatItIs: '**Ce que c’est :** {definition}',
+      thinkOfIt: '**Imagine :** {analogy}',
+      whyItMatters:
+        '**Pourquoi c’est important :** C’est une brique essentielle pour comprendre : {topic}.',
+      keyPoint: 'Point clé',
+      simplyPut: 'En bref : {sentence}',
+      youCanAsk: 'Tu peux me demander de :',
+      options: [
+        'Expliquer des notions précises plus simplement',
+        'Donner des exemples',
+        'Montrer une carte mentale',
+        'Lister les points principaux',
+      ],
+      takesTime:
+        'Ce sujet demande du temps. Entraîne-toi avec différentes questions pour consolider tes connaissances.',
+      whichPart: 'Sur quelle partie veux-tu te concentrer ?',
+    },
+  },
+};
@@ -28,6 +28,9 @@ vi.mock('@tensorflow/tfjs', () => ({
     dispose: vi.fn(),
   })),
   loadLayersModel: vi.fn(() => Promise.resolve({})),
+  io: {
+    moveModel: vi.fn(() => Promise.reject(new Error('Model not found'))),
+  },
   losses: {
     meanSquaredError: 'meanSquaredError',
     categoricalCrossentropy: 'categoricalCrossentropy',
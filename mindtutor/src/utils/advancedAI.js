@@ -1,7 +1,8 @@
 // advancedAI.js - Advanced AI capabilities for MindTutor
 // Includes NLP, Planning, and Knowledge Representation & Reasoning
 
-import { mlManager } from './machineLearning.js';
+import { mlWorkerClient } from './mlWorkerClient.js';
+import { detectLanguage, readingEase } from './languages.js';
 
 /**
  * Advanced AI System for MindTutor
@@ -22,7 +23,7 @@ export class AdvancedAISystem {
    * Initialize the advanced AI system
    */
   async initialize() {
-    await mlManager.initialize();
+    await mlWorkerClient.initialize();
     console.log('🧠 Advanced AI System initialized');
   }
 }
@@ -474,7 +475,7 @@ class NLPEngine {
     result.summary = this.generateSummary(text, options.summaryLength || 100);
 
     // Readability Analysis
-    result.readability = this.analyzeReadability(text);
+    result.readability = this.analyzeReadability(text, options.language);
 
     // Concept Extraction and Relationship Mapping
     result.concepts = this.extractEducationalConcepts(text);
@@ -726,24 +727,19 @@ class NLPEngine {
 
   /**
    * Readability Analysis
+   * Reading ease uses the formula for the text's language (Flesch for English)
    */
-  analyzeReadability(text) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const words = text.split(/\s+/).filter(w => w.length > 0);
-    const syllables = this.countSyllables(text);
+  analyzeReadability(text, language = detectLanguage(text)) {
+    const ease = readingEase(text, language);
 
-    if (sentences.length === 0 || words.length === 0) {
+    if (!ease) {
       return { score: 0, level: 'unknown', metrics: {} };
     }
 
-    const avgWordsPerSentence = words.length / sentences.length;
-    const avgSyllablesPerWord = syllables / words.length;
-
-    // Flesch Reading Ease Score
-    const fleschScore = 206.835 - (1.015 * avgWordsPerSentence) - (84.6 * avgSyllablesPerWord);
+    const { score: fleschScore, avgWordsPerSentence, avgSyllablesPerWord } = ease;
 
     // Automated Readability Index
-    const ariScore = 4.71 * (text.length / words.length) + 0.5 * (words.length / sentences.length) - 21.43;
+    const ariScore = 4.71 * (text.length / ease.words) + 0.5 * avgWordsPerSentence - 21.43;
 
     let level = 'unknown';
     if (fleschScore >= 90) level = '5th grade';
@@ -758,45 +754,18 @@ class NLPEngine {
       fleschScore: Math.max(0, Math.min(100, fleschScore)),
       ariScore: Math.max(0, ariScore),
       level,
+      formula: ease.formula,
+      language: ease.language,
       metrics: {
-        totalWords: words.length,
-        totalSentences: sentences.length,
-        totalSyllables: syllables,
+        totalWords: ease.words,
+        totalSentences: ease.sentences,
+        totalSyllables: ease.syllables,
         avgWordsPerSentence,
         avgSyllablesPerWord
       }
     };
   }
 
-  /**
-   * Count syllables in text (basic implementation)
-   */
-  countSyllables(text) {
-    const words = text.toLowerCase().split(/\s+/);
-    let totalSyllables = 0;
-
-    words.forEach(word => {
-      // Remove ending punctuation
-      word = word.replace(/[^a-z]/g, '');
-
-      if (word.length <= 3) {
-        totalSyllables += 1;
-      } else {
-        // Count vowel groups
-        const vowels = word.match(/[aeiouy]+/g);
-        totalSyllables += vowels ? vowels.length : 1;
-
-        // Adjust for silent 'e'
-        if (word.endsWith('e')) totalSyllables -= 1;
-
-        // Adjust for diphthongs
-        if (word.match(/(ou|ie|oa|ea|ee|ai|oi)/g)) totalSyllables -= 1;
-      }
-    });
-
-    return Math.max(1, totalSyllables);
-  }
-
   /**
    * Extract educational concepts with context
    */
@@ -886,13 +855,16 @@ class NLPEngine {
    */
   findRelationshipBetween(term1, term2, text) {
     const lowerText = text.toLowerCase();
+    // Concept names can contain regex characters, e.g. "C++" or "pH (acidity)"
+    const escape = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const [pattern1, pattern2] = [escape(term1), escape(term2)];
     const patterns = [
-      { type: 'causes', pattern: new RegExp(`\\b${term1}\\b.*?(?:causes?|leads?\\s+to|produces?|results?\\s+in|helps|provides).*?\\b${term2}\\b`, 'i'), description: `${term1} affects ${term2}` },
-      { type: 'part_of', pattern: new RegExp(`\\b${term2}\\b.*?(?:contains?|includes?|has|consists?\\s+of).*?\\b${term1}\\b`, 'i'), description: `${term1} is part of ${term2}` },
-      { type: 'related_to', pattern: new RegExp(`\\b${term1}\\b.*?(?:and|or|with|to).*?\\b${term2}\\b`, 'i'), description: `${term1} is related to ${term2}` },
-      { type: 'prerequisite', pattern: new RegExp(`\\b${term1}\\b.*?(?:before|prerequisite\\s+to|needed\\s+for).*?\\b${term2}\\b`, 'i'), description: `${term1} is prerequisite for ${term2}` },
-      { type: 'controls', pattern: new RegExp(`\\b${term1}\\b.*?(?:controls?|regulates?|manages?).*?\\b${term2}\\b`, 'i'), description: `${term1} controls ${term2}` },
-      { type: 'provides', pattern: new RegExp(`\\b${term1}\\b.*?(?:provides?|gives|supplies).*?(?:energy|to).*?\\b${term2}\\b`, 'i'), description: `${term1} provides energy to ${term2}` }
+      { type: 'causes', pattern: new RegExp(`\\b${pattern1}\\b.*?(?:causes?|leads?\\s+to|produces?|results?\\s+in|helps|provides).*?\\b${pattern2}\\b`, 'i'), description: `${term1} affects ${term2}` },
+      { type: 'part_of', pattern: new RegExp(`\\b${pattern2}\\b.*?(?:contains?|includes?|has|consists?\\s+of).*?\\b${pattern1}\\b`, 'i'), description: `${term1} is part of ${term2}` },
+      { type: 'related_to', pattern: new RegExp(`\\b${pattern1}\\b.*?(?:and|or|with|to).*?\\b${pattern2}\\b`, 'i'), description: `${term1} is related to ${term2}` },
+      { type: 'prerequisite', pattern: new RegExp(`\\b${pattern1}\\b.*?(?:before|prerequisite\\s+to|needed\\s+for).*?\\b${pattern2}\\b`, 'i'), description: `${term1} is prerequisite for ${term2}` },
+      { type: 'controls', pattern: new RegExp(`\\b${pattern1}\\b.*?(?:controls?|regulates?|manages?).*?\\b${pattern2}\\b`, 'i'), description: `${term1} controls ${term2}` },
+      { type: 'provides', pattern: new RegExp(`\\b${pattern1}\\b.*?(?:provides?|gives|supplies).*?(?:energy|to).*?\\b${pattern2}\\b`, 'i'), description: `${term1} provides energy to ${term2}` }
     ];
 
     for (const { type, pattern, description } of patterns) {
@@ -1091,10 +1063,11 @@ class NLPEngine {
  */
 class LearningPlanner {
   constructor() {
+    // Bound so the algorithms can reach the planner's helpers
     this.planningAlgorithms = {
-      shortest_path: this.shortestPathPlanning,
+      shortest_path: this.shortestPathPlanning.bind(this),
       reinforcement_learning: this.reinforcementLearningPlanning,
-      constraint_satisfaction: this.constraintSatisfactionPlanning,
+      constraint_satisfaction: this.constraintSatisfactionPlanning.bind(this),
     };
   }
 
@@ -1626,38 +1599,62 @@ class LearningPlanner {
 
   /**
    * Generate study schedule based on learning plan
+   * With `availability` ([{ day: 0-6, start: 'HH:MM', minutes }]) each
+   * session takes the next free weekly slot and lasts as long as the slot;
+   * sessions that do not fit before `endDate` are listed in `unscheduled`.
    */
   generateStudySchedule(plan, constraints = {}) {
     const {
       startDate = new Date(),
       sessionsPerWeek = 5,
       preferredTimes = [],
+      availability = [],
+      endDate = null,
     } = constraints;
 
     const schedule = {
       sessions: [],
       totalDuration: plan.totalTime,
-      weeklyCommitment: sessionsPerWeek,
+      weeklyCommitment: availability.length || sessionsPerWeek,
       milestones: [],
+      unscheduled: [],
     };
 
     let currentDate = new Date(startDate);
     let sessionCount = 0;
 
     for (const session of plan.sessions) {
-      // Find next available study time
-      currentDate = this.findNextStudyTime(
-        currentDate,
-        preferredTimes,
-        sessionCount,
-        sessionsPerWeek
-      );
+      let date;
+      let duration = session.duration;
+
+      if (availability.length > 0) {
+        const slot = this.findAvailableSlot(currentDate, availability);
+        if (!slot || (endDate && slot.start >= new Date(endDate))) {
+          schedule.unscheduled.push(session.concept);
+          continue;
+        }
+        date = slot.start;
+        duration = slot.minutes;
+        // The next session starts once this slot is over
+        currentDate = new Date(date.getTime() + slot.minutes * 60000);
+      } else {
+        date = this.findNextStudyTime(
+          new Date(startDate),
+          preferredTimes,
+          sessionCount,
+          sessionsPerWeek
+        );
+        if (endDate && date >= new Date(endDate)) {
+          schedule.unscheduled.push(session.concept);
+          continue;
+        }
+      }
 
       schedule.sessions.push({
         id: sessionCount + 1,
-        date: new Date(currentDate),
+        date: new Date(date),
         concept: session.concept,
-        duration: session.duration,
+        duration,
         activities: session.activities,
         objectives: session.learningObjectives,
       });
@@ -1665,6 +1662,11 @@ class LearningPlanner {
       sessionCount++;
     }
 
+    schedule.totalDuration = schedule.sessions.reduce(
+      (total, session) => total + session.duration,
+      0
+    );
+
     // Add milestones
     schedule.milestones = this.generateMilestones(schedule.sessions);
 
@@ -1680,7 +1682,6 @@ class LearningPlanner {
     sessionCount,
     sessionsPerWeek
   ) {
-    const dayOfWeek = currentDate.getDay();
     const sessionOfWeek = sessionCount % sessionsPerWeek;
 
     // Simple scheduling: spread sessions across the week
@@ -1702,6 +1703,39 @@ class LearningPlanner {
     return nextDate;
   }
 
+  /**
+   * First weekly availability slot starting at or after a date
+   * @param {Date} after - Earliest allowed start
+   * @param {Array} availability - [{ day: 0-6 (Sunday first), start: 'HH:MM', minutes }]
+   * @returns {Object|null} - { start: Date, minutes } or null without slots
+   */
+  findAvailableSlot(after, availability) {
+    const from = new Date(after);
+
+    // Every weekday comes round within eight days
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = new Date(from);
+      day.setDate(day.getDate() + offset);
+
+      const starts = availability
+        .filter((slot) => Number(slot.day) === day.getDay() && slot.minutes > 0)
+        .map((slot) => {
+          const [hours, minutes] = String(slot.start || '19:00')
+            .split(':')
+            .map(Number);
+          const start = new Date(day);
+          start.setHours(hours || 0, minutes || 0, 0, 0);
+          return { start, minutes: Number(slot.minutes) };
+        })
+        .filter((slot) => slot.start >= from)
+        .sort((a, b) => a.start - b.start);
+
+      if (starts.length > 0) return starts[0];
+    }
+
+    return null;
+  }
+
   /**
    * Generate milestones for the schedule
    */
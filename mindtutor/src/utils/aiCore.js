@@ -1,5 +1,23 @@
 // aiCore.js - Core offline AI engine for MindTutor
 
+import { buildSourcePages } from './pdfLayout.js';
+import {
+  buildTopicChunks,
+  summarizeStoredContent,
+  RAW_PREVIEW_LENGTH,
+} from './topicChunks.js';
+import { domainVocabulary } from './domainVocabulary.js';
+import {
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  expandElisions,
+  getDefinitionPatterns,
+  getStopWords,
+  normalizeLanguage,
+  stripArticle,
+} from './languages.js';
+import { DEFAULT_LOCALE, i18n, t } from './i18n.js';
+
 // Import multimodalProcessor with error handling
 let multimodalProcessor = null;
 import('./documentProcessor.js').then(module => {
@@ -71,7 +89,7 @@ const STOPWORDS = Object.freeze(new Set([
 /**
  * Enhanced tokenization with comprehensive options and better word capture
  * @param {string} text - Input text
- * @param {Object} options - Tokenization options
+ * @param {Object} options - Tokenization options, including the text's language
  * @returns {Array<string>} - Array of cleaned tokens
  */
 export function tokenize(text, options = {}) {
@@ -87,11 +105,17 @@ export function tokenize(text, options = {}) {
     maxLength = Infinity,
     stemWords = false,
     preserveCase = false,
-    removePunctuation = true
+    removePunctuation = true,
+    language = DEFAULT_LANGUAGE
   } = options;
 
   let processedText = text;
 
+  // French elisions become separate words ("l'atome" -> "le atome")
+  if (language === 'fr') {
+    processedText = expandElisions(processedText);
+  }
+
   // Handle contractions if requested
   if (handleContractions) {
     processedText = processedText
@@ -134,12 +158,12 @@ export function tokenize(text, options = {}) {
   // Handle hyphenated terms if requested
   if (includeHyphenated) {
     // Preserve hyphens in compound words
-    processedText = processedText.replace(/([a-zA-Z])-([a-zA-Z])/g, '$1_$2');
+    processedText = processedText.replace(/(\p{L})-(\p{L})/gu, '$1_$2');
   }
 
-  // Remove punctuation if requested
+  // Remove punctuation if requested (accented letters are kept)
   if (removePunctuation) {
-    processedText = processedText.replace(/[^\w\s\-'_]/g, ' ');
+    processedText = processedText.replace(/[^\p{L}\p{N}\s\-'_]/gu, ' ');
   }
 
   // Split on whitespace and clean
@@ -182,11 +206,12 @@ export function tokenize(text, options = {}) {
 
   // Remove stopwords if requested
   if (removeStopwords) {
-    tokens = tokens.filter(word => !STOPWORDS.has(word.toLowerCase()));
+    const stopwords = language === DEFAULT_LANGUAGE ? STOPWORDS : getStopWords(language);
+    tokens = tokens.filter(word => !stopwords.has(word.toLowerCase()));
   }
 
-  // Apply stemming if requested
-  if (stemWords) {
+  // Apply stemming if requested (the suffix rules are English)
+  if (stemWords && language === DEFAULT_LANGUAGE) {
     tokens = tokens.map(word => {
       const lowerWord = word.toLowerCase();
       // Simple stemming rules
@@ -271,10 +296,11 @@ export function tokenizeWithPOS(text) {
  * Extract keywords from text with enhanced ranking and filtering
  * @param {string} text - Input text
  * @param {number} topN - Number of top keywords to return
+ * @param {Object} options - { language }
  * @returns {Array<string>} - Array of top keywords
  */
-export function extractKeywords(text, topN = 20) {
-  const tokens = tokenize(text);
+export function extractKeywords(text, topN = 20, options = {}) {
+  const tokens = tokenize(text, { language: options.language });
   const frequency = {};
 
   // Count frequencies
@@ -287,7 +313,7 @@ export function extractKeywords(text, topN = 20) {
     let score = freq;
 
     // Bonus for technical/scientific terms (contain numbers, symbols, or are long)
-    if (/\d/.test(word) || /[^a-zA-Z]/.test(word) || word.length > 8) {
+    if (/\d/.test(word) || /[^\p{L}]/u.test(word) || word.length > 8) {
       score += 2;
     }
 
@@ -321,6 +347,8 @@ export function extractKeywords(text, topN = 20) {
 /**
  * Extract concepts from text - optimized version with pre-compiled regex patterns
  * @param {string} text - Input text
+ * @param {Object} options - { language }: Spanish, French and German text is
+ *   matched with that language's definition patterns (see languages.js)
  * @returns {Array<Object>} - Array of concept objects
  */
 
@@ -783,8 +811,27 @@ function detectHierarchyLevel(concept, text) {
   return Math.min(level, 4); // Cap at level 4
 }
 
-export function extractConcepts(text) {
+/**
+ * Tidy an extracted concept name: drop a leading article and capitalize it
+ * German nouns keep their capitals; other languages are lowercased after the
+ * first letter.
+ * @param {string} name - Concept name as found in the text
+ * @param {string} language - Language code
+ * @returns {string} - Concept name
+ */
+function formatConceptName(name, language) {
+  const bare = stripArticle(name, language);
+  const rest = language === 'de' ? bare.slice(1) : bare.slice(1).toLowerCase();
+  return bare.charAt(0).toUpperCase() + rest;
+}
+
+export function extractConcepts(text, options = {}) {
   const startTime = performance.now();
+  const language = normalizeLanguage(options.language);
+  const definitionPatterns = language === DEFAULT_LANGUAGE
+    ? DEFINITION_PATTERNS
+    : getDefinitionPatterns(language);
+  const stopwords = getStopWords(language);
   const concepts = [];
   const lines = text.split('\n').filter((line) => line.trim());
   const maxConcepts = 50; // Limit concepts to prevent excessive processing
@@ -800,8 +847,8 @@ export function extractConcepts(text) {
 
   for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
     const line = lines[lineIndex];
-    for (let patternIndex = 0; patternIndex < DEFINITION_PATTERNS.length; patternIndex++) {
-      const pattern = DEFINITION_PATTERNS[patternIndex];
+    for (let patternIndex = 0; patternIndex < definitionPatterns.length; patternIndex++) {
+      const pattern = definitionPatterns[patternIndex];
       const matches = [...line.matchAll(pattern)];
       for (let matchIndex = 0; matchIndex < matches.length; matchIndex++) {
         const match = matches[matchIndex];
@@ -928,8 +975,7 @@ export function extractConcepts(text) {
           }
 
           // Clean up concept names
-          concept = concept.replace(/^the\s+/i, ''); // Remove leading "the"
-          concept = concept.charAt(0).toUpperCase() + concept.slice(1).toLowerCase(); // Capitalize first letter
+          concept = formatConceptName(concept, language); // Remove leading article, capitalize first letter
 
           // Enhanced cleaning for malformed concepts
           concept = concept.replace(/\s+-\s*$/, ''); // Remove trailing dashes
@@ -941,7 +987,7 @@ export function extractConcepts(text) {
           // Skip concepts that are clearly fragments or malformed
           const isMalformedConcept = concept.length > 60 || // Too long (likely a sentence fragment)
                                    concept.split(' ').length > 8 || // Too many words (likely a sentence fragment)
-                                   !/^[A-Z][a-zA-Z0-9\s-]*$/.test(concept) || // Must start with capital and contain valid chars (allow numbers for scientific terms)
+                                   !/^\p{Lu}[\p{L}\d\s-]*$/u.test(concept) || // Must start with capital and contain valid chars (allow numbers for scientific terms)
                                    /\n/.test(concept) || // No line breaks allowed
                                    concept.includes('**') || // No markdown artifacts
                                    concept.includes(' - ') || // No dash-separated fragments
@@ -970,11 +1016,18 @@ export function extractConcepts(text) {
           // Skip generic terms, but allow important biological concepts
           const genericTerms = ['this', 'these', 'those', 'it', 'they', 'them', 'and', 'or', 'but', 'for', 'with'];
           const importantBiologicalTerms = ['cell', 'cells', 'tissue', 'organ', 'organism', 'nucleus', 'membrane', 'cytoplasm'];
-          const isGeneric = genericTerms.some(term => normalizedConcept === term) ||
-                           (genericTerms.some(term => normalizedConcept.includes(term)) && concept.length < 10 && !importantBiologicalTerms.includes(normalizedConcept));
-
-          // Skip incomplete or malformed concepts
-          const isMalformed = (normalizedConcept.includes('(') && !normalizedConcept.includes(')') && normalizedConcept.length < 25) ||
+          const isGeneric = language !== DEFAULT_LANGUAGE
+            ? stopwords.has(normalizedConcept)
+            : genericTerms.some(term => normalizedConcept === term) ||
+              (genericTerms.some(term => normalizedConcept.includes(term)) && concept.length < 10 && !importantBiologicalTerms.includes(normalizedConcept));
+
+          // Skip incomplete or malformed concepts (the phrase checks are English;
+          // other languages reject names that end on a stop word)
+          const isMalformed = language !== DEFAULT_LANGUAGE
+            ? normalizedConcept.length < 4 ||
+              normalizedConcept.length > 40 ||
+              stopwords.has(normalizedConcept.split(' ').pop())
+            : ((normalizedConcept.includes('(') && !normalizedConcept.includes(')') && normalizedConcept.length < 25) ||
                              (normalizedConcept.includes('(') && normalizedConcept.split('(').length > 2) ||
                              normalizedConcept.endsWith('are') ||
                              normalizedConcept.endsWith('is') ||
@@ -1009,7 +1062,7 @@ export function extractConcepts(text) {
                              normalizedConcept.includes('chemical principles') || // Skip book titles
                              normalizedConcept.includes('an atoms first approach') || // Skip book titles
                              normalizedConcept.includes('relative atomic mass') || // Skip complex terms
-                             normalizedConcept.length > 40; // Skip very long concepts
+                             normalizedConcept.length > 40); // Skip very long concepts
 
           // More lenient validation for better concept coverage
           const isGoodDefinition = definition.length > 10 && // Allow shorter definitions
@@ -1110,7 +1163,8 @@ export function extractConcepts(text) {
         // Look for sentences that start with potential concept names
         const firstWord = words[0].toLowerCase();
         if (firstWord.length > 2 &&
-            !['this', 'that', 'these', 'those', 'they', 'there', 'and', 'or', 'but', 'so', 'because', 'the', 'a', 'an', 'is', 'are', 'was', 'were', 'has', 'have', 'can', 'will', 'would', 'could', 'should', 'may', 'might'].includes(firstWord)) {
+            !['this', 'that', 'these', 'those', 'they', 'there', 'and', 'or', 'but', 'so', 'because', 'the', 'a', 'an', 'is', 'are', 'was', 'were', 'has', 'have', 'can', 'will', 'would', 'could', 'should', 'may', 'might'].includes(firstWord) &&
+            !stopwords.has(firstWord)) {
 
           // Try to find a noun phrase at the beginning
           let conceptName = '';
@@ -1127,8 +1181,7 @@ export function extractConcepts(text) {
           }
 
           // Clean up concept name
-          conceptName = conceptName.replace(/^the\s+/i, ''); // Remove leading "the"
-          conceptName = conceptName.charAt(0).toUpperCase() + conceptName.slice(1).toLowerCase();
+          conceptName = formatConceptName(conceptName, language);
 
           // Avoid duplicates
           const isDuplicate = potentialConcepts.some(c =>
@@ -1152,7 +1205,7 @@ export function extractConcepts(text) {
 
     // If still no concepts, fall back to keywords
     if (concepts.length === 0) {
-      const keywords = extractKeywords(text, 10);
+      const keywords = extractKeywords(text, 10, { language });
       keywords.forEach((keyword, index) => {
         concepts.push({
           concept: keyword.charAt(0).toUpperCase() + keyword.slice(1),
@@ -1318,7 +1371,7 @@ function estimateDifficulty(text) {
  * @returns {string} - Formatted error response
  */
 function formatErrorResponse(title, message) {
-  return `# 🚨 ${title}\n\n${message}\n\n---\n\n💡 **Need help?** Try importing some study material or ask about available topics.`;
+  return `# 🚨 ${title}\n\n${message}\n\n---\n\n${t('ai.errorHelp')}`;
 }
 
 /**
@@ -1333,7 +1386,7 @@ function enhanceResponseFormatting(response, topicName, query) {
 
   // Add topic header if not present
   if (!enhanced.startsWith('#')) {
-    enhanced = `# 🤖 AI Response: ${topicName}\n\n${enhanced}`;
+    enhanced = `# ${t('ai.responseHeader', { topic: topicName })}\n\n${enhanced}`;
   }
 
   // Enhance section headers with emojis
@@ -1358,7 +1411,7 @@ function enhanceResponseFormatting(response, topicName, query) {
 
   // Add footer with helpful information
   if (!enhanced.includes('---')) {
-    enhanced += '\n\n---\n\n💡 **Need more help?** Try asking about specific concepts or request examples!';
+    enhanced += `\n\n---\n\n${t('ai.moreHelp')}`;
   }
 
   // Clean up excessive whitespace
@@ -1396,7 +1449,12 @@ function getSectionEmoji(title) {
     'Real-Time Adaptation': '⚡',
     'Emotionally Intelligent': '💝'
   };
-  return emojiMap[title] || '📄';
+  // Headers that come from the message catalogues, in the interface language
+  const localizedEmojiMap = {
+    [t('ai.sections.coreConcepts')]: '🧠',
+    [t('ai.sections.nextSteps')]: '🚀'
+  };
+  return emojiMap[title] || localizedEmojiMap[title] || '📄';
 }
 
 /**
@@ -1461,7 +1519,7 @@ export function generateExplanation(topic, query = '', context = {}) {
        query,
        processingTime: performance.now() - startTime
      });
-     return formatErrorResponse("No Topic Data", "I don't have any information on that topic yet. Could you import some study material first? I'd be happy to help you understand it once it's available!");
+     return formatErrorResponse(t('ai.noTopicTitle'), t('ai.noTopic'));
    }
 
    if (typeof query !== 'string') {
@@ -1470,7 +1528,7 @@ export function generateExplanation(topic, query = '', context = {}) {
        query,
        processingTime: performance.now() - startTime
      });
-     return formatErrorResponse("Invalid Query", "I need a question to help you with. What would you like to know?");
+     return formatErrorResponse(t('ai.invalidQueryTitle'), t('ai.invalidQuery'));
    }
 
    // Define forced terms that should not appear in non-relevant topics
@@ -3064,8 +3122,8 @@ function generateNextSteps(topicName, concepts, structure) {
 export function generateSummaryResponse(topicName, concepts, keywords, raw) {
   const isComprehensive = true; // Use comprehensive summaries to show more content
 
-  let response = `# ${topicName} Overview\n\n`;
-  response += `Here's what you need to know:\n\n`;
+  let response = `# ${t('ai.overview', { topic: topicName })}\n\n`;
+  response += `${t('ai.summary.intro')}\n\n`;
 
   // Get more concepts for better coverage
   const numConcepts = isComprehensive ? 12 : 6;
@@ -3105,13 +3163,13 @@ export function generateSummaryResponse(topicName, concepts, keywords, raw) {
     }
 
     if (overview.trim()) {
-      response += `**Overview:** ${overview.trim()}\n\n`;
+      response += `${t('ai.summary.overview', { overview: overview.trim() })}\n\n`;
     }
   }
 
   // Core concepts section - show more complete definitions
   if (topConcepts.length > 0) {
-    response += `## ${isComprehensive ? 'Core Concepts and Definitions' : 'Key Concepts'}\n\n`;
+    response += `## ${t(isComprehensive ? 'ai.sections.coreConceptsAndDefinitions' : 'ai.sections.keyConcepts')}\n\n`;
     topConcepts.forEach((concept, index) => {
       // Show more complete definition
       let definition = concept.definition.replace(/\s+/g, ' ').trim();
@@ -3126,7 +3184,7 @@ export function generateSummaryResponse(topicName, concepts, keywords, raw) {
 
   if (isComprehensive) {
     // Add detailed sections for comprehensive summaries
-    response += `**Detailed Explanation:**\n\n`;
+    response += `${t('ai.summary.detailedExplanation')}\n\n`;
 
     // Extract key sections from the content
     const sections = extractSections(raw);
@@ -3147,7 +3205,7 @@ export function generateSummaryResponse(topicName, concepts, keywords, raw) {
     ).slice(0, 2);
 
     if (examples.length > 0) {
-      response += `**Examples and Applications:**\n\n`;
+      response += `${t('ai.summary.examples')}\n\n`;
       examples.forEach((example, index) => {
         response += `• ${example.trim()}\n`;
       });
@@ -3167,7 +3225,7 @@ export function generateSummaryResponse(topicName, concepts, keywords, raw) {
     ).slice(0, 4);
 
     if (importanceSentences.length > 0) {
-      response += `**Why This Matters:**\n\n`;
+      response += `${t('ai.summary.whyThisMatters')}\n\n`;
       importanceSentences.forEach((sentence, index) => {
         // Clean up the sentence and make it more readable
         let cleanSentence = sentence.trim();
@@ -3188,7 +3246,7 @@ export function generateSummaryResponse(topicName, concepts, keywords, raw) {
     ).slice(0, 3);
 
     if (processSentences.length > 0) {
-      response += `**Key Processes and Mechanisms:**\n\n`;
+      response += `${t('ai.summary.processes')}\n\n`;
       processSentences.forEach((sentence, index) => {
         let cleanSentence = sentence.trim();
         cleanSentence = cleanSentence.charAt(0).toUpperCase() + cleanSentence.slice(1);
@@ -3215,16 +3273,19 @@ export function generateSummaryResponse(topicName, concepts, keywords, raw) {
     .slice(0, numKeywords);
 
   if (essentialKeywords.length > 0) {
-    response += `**${isComprehensive ? 'Key Terminology' : 'Essential Terms'}:** ${essentialKeywords.join(', ')}\n\n`;
+    response += `${t('ai.summary.keyTerminology', { terms: essentialKeywords.join(', ') })}\n\n`;
   }
 
-  response += `## 🎯 Key Takeaways\n\n`;
-  response += `• **${topicName}** involves understanding how ${topConcepts.length > 0 ? topConcepts[0].concept.toLowerCase() : 'fundamental concepts'} work together\n`;
-  response += `• **Core concepts** to master: ${topConcepts.slice(0, 3).map(c => c.concept).join(', ')}\n`;
-  response += `• **Next steps**: Practice with examples or ask about specific aspects\n\n`;
+  response += `## 🎯 ${t('ai.sections.keyTakeaways')}\n\n`;
+  response += `• ${t('ai.summary.takeawayTopic', {
+    topic: topicName,
+    concept: topConcepts.length > 0 ? topConcepts[0].concept.toLowerCase() : t('ai.summary.fundamentalConcepts')
+  })}\n`;
+  response += `• ${t('ai.summary.takeawayConcepts', { concepts: topConcepts.slice(0, 3).map(c => c.concept).join(', ') })}\n`;
+  response += `• ${t('ai.summary.takeawayNext')}\n\n`;
 
   response += `---\n\n`;
-  response += `*💡 Pro tip: The best way to learn is to ask questions! What interests you most about ${topicName}?*`;
+  response += t('ai.summary.proTip', { topic: topicName });
 
   return response;
 }
@@ -3233,15 +3294,15 @@ export function generateSummaryResponse(topicName, concepts, keywords, raw) {
  * Generate response when user is confused - provide summary and simpler explanation
  */
 function generateConfusionResponse(topicName, concepts, keywords, raw, topic) {
-  let response = `# ${topicName} Overview\n\n`;
-  response += `I understand - ${topicName} can seem complex at first. Let me break this down step by step.\n\n`;
+  let response = `# ${t('ai.overview', { topic: topicName })}\n\n`;
+  response += `${t('ai.confusion.intro', { topic: topicName })}\n\n`;
 
   // Extract actual introductory content
   const paragraphs = raw.split('\n\n').filter((p) => p.trim().length > 50);
   const sentences = raw.split(/[.!?]+/).filter((s) => s.trim().length > 20);
 
   // Start with a brief summary from actual content
-  response += `## 📝 The Big Picture (In Plain English)\n\n`;
+  response += `## 📝 ${t('ai.sections.bigPicture')}\n\n`;
   if (paragraphs.length > 0) {
     // Find the most introductory paragraph
     let introPara = paragraphs[0];
@@ -3255,21 +3316,23 @@ function generateConfusionResponse(topicName, concepts, keywords, raw, topic) {
     }
     response += `${introPara.substring(0, 200)}...\n\n`;
   } else if (concepts.length > 0) {
-    response += `${topicName} is about ${concepts[0].definition.substring(0, 150)}...\n\n`;
+    response += `${t('ai.confusion.isAbout', { topic: topicName, definition: concepts[0].definition.substring(0, 150) })}\n\n`;
   }
 
   // Provide simpler explanation using actual concepts
-  response += `## Breaking It Down Step-by-Step\n\n`;
+  response += `## ${t('ai.sections.stepByStep')}\n\n`;
   if (concepts.length > 0) {
     concepts.slice(0, 5).forEach((concept, index) => {
       response += `**${index + 1}. ${concept.concept}**\n`;
-      response += `**What it is:** ${concept.definition.substring(0, 150)}${concept.definition.length > 150 ? '...' : ''}\n\n`;
+      response += `${t('ai.confusion.whatItIs', {
+        definition: `${concept.definition.substring(0, 150)}${concept.definition.length > 150 ? '...' : ''}`
+      })}\n\n`;
 
       // Add a simple analogy
-      response += `**Think of it like:** ${generateSimpleAnalogy(concept.concept)}\n\n`;
+      response += `${t('ai.confusion.thinkOfIt', { analogy: generateSimpleAnalogy(concept.concept) })}\n\n`;
 
       // Add why it matters
-      response += `**Why it matters:** This is a key building block for understanding ${topicName.toLowerCase()}.\n\n`;
+      response += `${t('ai.confusion.whyItMatters', { topic: topicName.toLowerCase() })}\n\n`;
     });
   } else {
     // Extract key sentences from raw text and simplify them
@@ -3280,12 +3343,12 @@ function generateConfusionResponse(topicName, concepts, keywords, raw, topic) {
     ).slice(0, 5);
 
     keySentences.forEach((sentence, index) => {
-      response += `**${index + 1}. Key Point**\n`;
-      response += `Simply put: ${sentence.trim().toLowerCase()}\n\n`;
+      response += `**${index + 1}. ${t('ai.confusion.keyPoint')}**\n`;
+      response += `${t('ai.confusion.simplyPut', { sentence: sentence.trim().toLowerCase() })}\n\n`;
     });
   }
 
-  response += `## Key Things to Remember\n\n`;
+  response += `## ${t('ai.sections.keyThings')}\n\n`;
   // Always extract fresh biology-specific keywords from the raw content
   const biologyKeywords = [
     'cell', 'nucleus', 'mitochondria', 'ribosomes', 'chloroplasts',
@@ -3304,16 +3367,16 @@ function generateConfusionResponse(topicName, concepts, keywords, raw, topic) {
   console.log('🤖 Using biology-specific keywords:', relevantKeywords);
   response += `• ${relevantKeywords.join('\n• ')}\n\n`;
 
-  response += `## Next Steps\n\n`;
-  response += `You can ask me to:\n\n`;
-  response += `• Explain specific concepts in simpler terms\n`;
-  response += `• Give examples\n`;
-  response += `• Show a mind map\n`;
-  response += `• List the main points\n\n`;
+  response += `## ${t('ai.sections.nextSteps')}\n\n`;
+  response += `${t('ai.confusion.youCanAsk')}\n\n`;
+  i18n.list('ai.confusion.options').forEach(option => {
+    response += `• ${option}\n`;
+  });
+  response += `\n`;
 
   response += `---\n\n`;
-  response += `This topic takes time to understand. Practice with different questions to build your knowledge.\n\n`;
-  response += `Which part would you like to focus on?`;
+  response += `${t('ai.confusion.takesTime')}\n\n`;
+  response += t('ai.confusion.whichPart');
 
   return response;
 }
@@ -3357,6 +3420,7 @@ function generateMindMapResponse(topicName, concepts, _keywords, topic) {
 
   response += `---\n\n`;
   response += `💡 **Pro tip:** Copy this mind map to your notes and add your own examples to each branch!\n\n`;
+  response += `🗺️ **See it drawn:** Open ${topicName} in the Lessons tab for an interactive concept map you can export as SVG or PNG.\n\n`;
   response += `Want me to expand on any branch or explain how specific concepts connect? Just ask! 😊`;
 
   return response;
@@ -3399,15 +3463,8 @@ function generateKeyPointsResponse(topicName, concepts, keywords) {
 /**
  * Generate simple analogies for confused users
  */
-function generateSimpleAnalogy(_conceptName) {
-  const analogies = [
-    'a basic building block that everything else rests on',
-    'the foundation of a house - without it, nothing else stands',
-    'the starting point of a journey - you need to understand this first',
-    'a key piece in a puzzle that connects other pieces together',
-    'the root of a tree - all other branches grow from here',
-    'the first step in a recipe - get this right and the rest follows',
-  ];
+function generateSimpleAnalogy(_conceptName, locale = i18n.getLocale()) {
+  const analogies = i18n.list('ai.analogies', {}, locale);
   return analogies[Math.floor(Math.random() * analogies.length)];
 }
 
@@ -4378,7 +4435,7 @@ function generateContextualExamples(topic, query, context, userExpertise) {
   if (userExpertise === 'beginner') {
     response += `**Simple, everyday examples to help you understand:**\n\n`;
     response += `## 🌟 Basic Example\n\n`;
-    response += `Think of ${targetConcept.concept.toLowerCase()} like ${generateSimpleAnalogy(targetConcept.concept)}.\n\n`;
+    response += `Think of ${targetConcept.concept.toLowerCase()} like ${generateSimpleAnalogy(targetConcept.concept, DEFAULT_LOCALE)}.\n\n`;
     response += `**Real-world connection:** ${targetConcept.definition.split('.')[0]} in your daily life.\n\n`;
   } else if (userExpertise === 'intermediate') {
     response += `**Practical applications and scenarios:**\n\n`;
@@ -6575,13 +6632,67 @@ I encountered an issue processing your query: "${query}"
 Would you like me to help with any of these topics?`;
 }
 
+/**
+ * Run concept extraction on every chunk and merge the results
+ * Concepts found in several chunks keep their most important occurrence.
+ * @param {Array} chunks - Topic chunks from buildTopicChunks
+ * @param {string} language - Language code of the topic
+ * @returns {Array} - Concepts sorted by importance
+ */
+function extractConceptsFromChunks(chunks, language) {
+  const maxTopicConcepts = 100;
+  const merged = new Map();
+
+  chunks.forEach((chunk) => {
+    extractConcepts(chunk.text, { language }).forEach((concept) => {
+      const key = concept.concept.toLowerCase();
+      const existing = merged.get(key);
+      if (!existing || (concept.importance || 0) > (existing.importance || 0)) {
+        merged.set(key, concept);
+      }
+    });
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => (b.importance || 0) - (a.importance || 0))
+    .slice(0, maxTopicConcepts);
+}
+
+/**
+ * Condense document sections for storage on a topic
+ * @param {string|Object} input - buildTopicObject input
+ * @returns {Array|null} - [{ title, level, summary, lists }] or null without structure
+ */
+function buildTopicSections(input) {
+  const sections = typeof input === 'object' && input.structure?.sections;
+  if (!sections || sections.length === 0) return null;
+
+  const maxSummaryLength = 300;
+  return sections.map((section) => ({
+    title: section.title,
+    level: section.level,
+    summary:
+      section.content.length > maxSummaryLength
+        ? `${section.content.substring(0, maxSummaryLength)}...`
+        : section.content,
+    lists: section.lists,
+    ...(section.startPage && {
+      startPage: section.startPage,
+      endPage: section.endPage,
+    }),
+  }));
+}
+
 /**
  * Build a complete topic object from imported text or multimodal content
+ * The topic records its language: the one given (options.language, or the
+ * processed content's language) or else the one detected in the text.
  * @param {string} topicName - Name of the topic
  * @param {string|Object} input - Raw text content or processed multimodal content
+ * @param {Object} options - { language }
  * @returns {Object} - Complete topic object
  */
-export function buildTopicObject(topicName, input) {
+export function buildTopicObject(topicName, input, options = {}) {
   let content, multimodalData = null;
 
   // Handle different input types
@@ -6601,79 +6712,35 @@ export function buildTopicObject(topicName, input) {
     throw new Error('Invalid input: must be a string or processed content object');
   }
 
-  // Limit text for processing to prevent performance issues
-  const maxProcessLength = 50000;
-  const processText = content.substring(0, maxProcessLength);
-
-  // Limit raw storage to prevent localStorage issues
-  const maxRawLength = 10000;
-  const storedRaw = content.substring(0, maxRawLength);
-
-  let keywords = extractKeywords(processText, 20);
-
-  console.log(`🔍 Building topic "${topicName}" - extracted keywords:`, keywords);
-
-  // Less restrictive keyword filtering for biology topics
-  if (topicName.toLowerCase().includes('biology') || topicName.toLowerCase().includes('cell') || topicName.toLowerCase().includes('organization')) {
-    const biologyTerms = new Set([
-      'cell', 'cells', 'nucleus', 'mitochondria', 'ribosomes', 'chloroplasts',
-      'vacuole', 'membrane', 'cytoplasm', 'diffusion', 'osmosis',
-      'transport', 'mitosis', 'tissue', 'tissues', 'organ', 'organs', 'organism', 'organisms',
-      'microscope', 'magnification', 'resolution', 'photosynthesis',
-      'respiration', 'dna', 'rna', 'protein', 'enzyme', 'bacteria',
-      'eukaryotic', 'prokaryotic', 'chromosome', 'organelle', 'specialized',
-      'blood', 'nerve', 'muscle', 'root', 'hair', 'sperm', 'egg', 'ova',
-      'epithelial', 'connective', 'heart', 'stomach', 'leaves', 'epidermis', 'mesophyll',
-      'vascular', 'light', 'microscopes', 'electron', 'lens', 'mirror',
-      'interphase', 'prophase', 'metaphase', 'anaphase', 'telophase', 'cytokinesis',
-      'active', 'concentration', 'gradient', 'aloeoli', 'capillaries', 'intestine'
-    ]);
-
-    // Only exclude clearly non-biology terms
-    const excludeTerms = new Set([
-      'force', 'velocity', 'current', 'voltage', 'resistance', 'circuit',
-      'matrix', 'vector', 'scalar', 'theorem', 'calculus', 'algebra'
-    ]);
-
-    const filteredKeywords = keywords.filter(k => {
-      const lowerK = k.toLowerCase();
-      // Include if it's a biology term OR not in the exclude list (be more permissive)
-      const shouldInclude = biologyTerms.has(lowerK) || !excludeTerms.has(lowerK);
-      if (!shouldInclude) {
-        console.log(`🚫 Filtering out "${k}" from biology topic`);
-      }
-      return shouldInclude;
-    });
+  // The full text is kept as ordered chunks (saved to their own store by
+  // saveTopic); raw holds only a preview for quick display
+  const chunks = buildTopicChunks(
+    content,
+    typeof input === 'object' ? input.pages : null
+  );
+  const storedRaw = content.substring(0, RAW_PREVIEW_LENGTH);
+  const language = normalizeLanguage(
+    options.language ||
+      (typeof input === 'object' && input.language) ||
+      detectLanguage(content)
+  );
 
-    keywords = filteredKeywords;
-    console.log(`✅ Biology topic "${topicName}" filtered keywords:`, keywords);
-  } else if (topicName.toLowerCase().includes('chemistry')) {
-    const chemistryTerms = new Set([
-      'acid', 'base', 'atom', 'molecule', 'reaction', 'ion', 'electron',
-      'element', 'compound', 'bond', 'valence', 'periodic', 'table',
-      'proton', 'neutron', 'electron', 'nucleus', 'isotope', 'mass',
-      'molar', 'concentration', 'solution', 'solvent', 'solute',
-      'ph', 'neutralization', 'oxidation', 'reduction', 'electrolysis'
-    ]);
-
-    keywords = keywords.filter(k => chemistryTerms.has(k.toLowerCase()));
-    console.log(`✅ Chemistry topic "${topicName}" filtered keywords:`, keywords);
-  } else if (topicName.toLowerCase().includes('physics')) {
-    const physicsTerms = new Set([
-      'force', 'energy', 'mass', 'velocity', 'acceleration', 'momentum',
-      'work', 'power', 'pressure', 'density', 'gravity', 'electricity',
-      'magnetism', 'current', 'voltage', 'resistance', 'circuit',
-      'wave', 'frequency', 'wavelength', 'reflection', 'refraction',
-      'lens', 'mirror', 'nuclear', 'radiation', 'quantum', 'relativity'
-    ]);
-
-    keywords = keywords.filter(k => physicsTerms.has(k.toLowerCase()));
-    console.log(`✅ Physics topic "${topicName}" filtered keywords:`, keywords);
-  } else {
-    console.log(`⚠️ Topic "${topicName}" doesn't match biology/chemistry/physics - using all keywords:`, keywords);
-  }
+  // Rank keywords by how distinctive they are among the stored topics,
+  // favouring (but not limited to) the vocabulary of the detected subject
+  const maxKeywordCandidates = 60;
+  const subject = domainVocabulary.detectSubject(content, topicName);
+  const keywords = domainVocabulary.rankKeywords(
+    content,
+    extractKeywords(content, maxKeywordCandidates, { language }),
+    { topN: 20, subject, excludeTopic: topicName }
+  );
 
-  const concepts = extractConcepts(processText);
+  console.log(
+    `🔍 Building topic "${topicName}" (${language}) - subject: ${subject ? `${subject.name} (${Math.round(subject.confidence * 100)}%)` : 'not detected'}, keywords:`,
+    keywords
+  );
+
+  const concepts = extractConceptsFromChunks(chunks, language);
 
   // Add basic interactive elements to concepts that don't have them
   const conceptsWithGames = concepts.map((concept, index) => {
@@ -6715,21 +6782,60 @@ export function buildTopicObject(topicName, input) {
     return concept;
   });
 
+  // Documents with headings (DOCX, EPUB, Markdown, HTML) keep their sections,
+  // and each concept is filed under the first section that mentions it
+  const sections = buildTopicSections(input);
+  if (sections) {
+    conceptsWithGames.forEach((concept) => {
+      const name = (concept.concept || '').toLowerCase();
+      const home = input.structure.sections.find((section) =>
+        name && `${section.title || ''}\n${section.content}`.toLowerCase().includes(name)
+      );
+      concept.section = home ? home.title : null;
+    });
+  }
+
+  // PDFs keep per-page text so concepts and answers can cite their pages
+  const sourcePages =
+    typeof input === 'object' && Array.isArray(input.pages)
+      ? buildSourcePages(input.pages)
+      : null;
+  if (sourcePages && sourcePages.length > 0) {
+    conceptsWithGames.forEach((concept) => {
+      const name = (concept.concept || '').toLowerCase();
+      concept.pages = sourcePages
+        .filter((page) => name && page.text.toLowerCase().includes(name))
+        .slice(0, 3)
+        .map((page) => page.pageNumber);
+    });
+  }
+
   const topicObject = {
     topic: topicName,
+    language,
     keywords: keywords,
+    subject,
     concepts: conceptsWithGames,
     raw: storedRaw,
+    chunks,
+    contentStats: summarizeStoredContent(content.length, chunks),
     explanation: generateExplanation({
       topic: topicName,
       keywords: keywords,
       concepts: conceptsWithGames,
-      raw: processText,
+      raw: content,
     }),
     longFormLesson: 'Long-form lessons have been removed to reduce code complexity.',
     createdAt: new Date().toISOString(),
   };
 
+  if (sections) {
+    topicObject.sections = sections;
+  }
+  if (sourcePages && sourcePages.length > 0) {
+    topicObject.sourcePages = sourcePages;
+  }
+
   // Add multimodal data if available
   if (multimodalData) {
     topicObject.multimodalData = multimodalData;
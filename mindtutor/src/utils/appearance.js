@@ -0,0 +1,241 @@
+// appearance.js - Colour theme and reading preferences for each profile
+// The theme is applied as classes on <html>: `dark` switches the colour
+// tokens in index.css and Tailwind's dark: variants, and `high-contrast`
+// layers stronger colours on top of the dark tokens. Reading preferences are
+// CSS variables picked up by the .reading-text class that lesson and reading
+// content use.
+
+import { profileManager } from './profiles.js';
+
+const APPEARANCE_STORAGE_KEY = 'mindtutor_appearance';
+
+// 'system' follows the operating system's light/dark and contrast settings
+export const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+export const READING_FONTS = {
+  default: "'Inter', -apple-system, 'Segoe UI', sans-serif",
+  serif: "Georgia, 'Times New Roman', serif",
+  // Lexend is loaded in index.css; OpenDyslexic is used when installed
+  dyslexic: "'OpenDyslexic', 'Lexend', Verdana, sans-serif",
+};
+
+export const FONT_SIZES = {
+  small: 0.9,
+  medium: 1,
+  large: 1.15,
+  'x-large': 1.3,
+};
+
+export const LINE_SPACINGS = {
+  normal: 1.5,
+  relaxed: 1.8,
+  loose: 2.1,
+};
+
+// 'system' follows prefers-reduced-motion
+export const MOTION_SETTINGS = ['system', 'reduce', 'allow'];
+
+export const DEFAULT_APPEARANCE = {
+  theme: 'system',
+  font: 'default',
+  fontSize: 'medium',
+  lineSpacing: 'relaxed',
+  motion: 'system',
+};
+
+const ALLOWED_VALUES = {
+  theme: THEMES,
+  font: Object.keys(READING_FONTS),
+  fontSize: Object.keys(FONT_SIZES),
+  lineSpacing: Object.keys(LINE_SPACINGS),
+  motion: MOTION_SETTINGS,
+};
+
+const MEDIA_QUERIES = {
+  dark: '(prefers-color-scheme: dark)',
+  contrast: '(prefers-contrast: more)',
+  reducedMotion: '(prefers-reduced-motion: reduce)',
+};
+
+function mediaMatches(query) {
+  return (
+    typeof window !== 'undefined' &&
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia(query).matches
+  );
+}
+
+/**
+ * Theme and reading preferences, saved per profile
+ */
+export class AppearanceManager {
+  constructor() {
+    this.settings = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Saved preferences of every profile, read once from localStorage
+   * @returns {Object} - { [profileId]: settings }
+   */
+  getAll() {
+    if (this.settings) return this.settings;
+    this.settings = {};
+    try {
+      const stored = JSON.parse(localStorage.getItem(APPEARANCE_STORAGE_KEY));
+      if (stored && typeof stored === 'object') this.settings = stored;
+    } catch {
+      // Nothing stored or unreadable JSON - use the defaults
+    }
+    return this.settings;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        APPEARANCE_STORAGE_KEY,
+        JSON.stringify(this.settings)
+      );
+    } catch (error) {
+      console.error('Error saving appearance settings:', error);
+    }
+  }
+
+  /**
+   * A profile's preferences, with defaults for anything not chosen yet
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Object} - { theme, font, fontSize, lineSpacing, motion }
+   */
+  getSettings(profileId = profileManager.getActiveId()) {
+    const saved = this.getAll()[profileId] || {};
+    return Object.fromEntries(
+      Object.entries(DEFAULT_APPEARANCE).map(([name, fallback]) => [
+        name,
+        ALLOWED_VALUES[name].includes(saved[name]) ? saved[name] : fallback,
+      ])
+    );
+  }
+
+  /**
+   * Change some of a profile's preferences and apply them
+   * @param {Object} changes - e.g. { theme: 'dark', fontSize: 'large' }
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Object} - The profile's preferences after the change
+   */
+  update(changes, profileId = profileManager.getActiveId()) {
+    for (const [name, value] of Object.entries(changes)) {
+      if (!ALLOWED_VALUES[name]) {
+        throw new Error(`Unknown appearance setting: ${name}`);
+      }
+      if (!ALLOWED_VALUES[name].includes(value)) {
+        throw new Error(`Unsupported ${name}: ${value}`);
+      }
+    }
+    const all = this.getAll();
+    all[profileId] = { ...this.getSettings(profileId), ...changes };
+    this.save();
+    this.apply();
+    this.notify();
+    return this.getSettings(profileId);
+  }
+
+  /**
+   * Forget a deleted profile's preferences
+   * @param {string} profileId - Profile id
+   */
+  remove(profileId) {
+    const all = this.getAll();
+    if (!(profileId in all)) return;
+    delete all[profileId];
+    this.save();
+  }
+
+  /**
+   * Theme to show for the active profile, with 'system' resolved
+   * @returns {string} - 'light', 'dark' or 'high-contrast'
+   */
+  resolveTheme() {
+    const { theme } = this.getSettings();
+    if (theme !== 'system') return theme;
+    if (mediaMatches(MEDIA_QUERIES.contrast)) return 'high-contrast';
+    return mediaMatches(MEDIA_QUERIES.dark) ? 'dark' : 'light';
+  }
+
+  /**
+   * Whether the theme shown uses light text on dark surfaces
+   * @returns {boolean}
+   */
+  isDark() {
+    return this.resolveTheme() !== 'light';
+  }
+
+  /**
+   * Whether animations and transitions should be turned off
+   * @returns {boolean}
+   */
+  reducesMotion() {
+    const { motion } = this.getSettings();
+    if (motion !== 'system') return motion === 'reduce';
+    return mediaMatches(MEDIA_QUERIES.reducedMotion);
+  }
+
+  /**
+   * Put the active profile's theme and reading preferences on the page
+   */
+  apply() {
+    if (typeof document === 'undefined') return;
+    const root = document.documentElement;
+    const theme = this.resolveTheme();
+    const { font, fontSize, lineSpacing } = this.getSettings();
+
+    root.classList.toggle('dark', theme !== 'light');
+    root.classList.toggle('high-contrast', theme === 'high-contrast');
+    root.classList.toggle('reduce-motion', this.reducesMotion());
+    root.dataset.theme = theme;
+    root.style.colorScheme = theme === 'light' ? 'light' : 'dark';
+    root.style.setProperty('--reading-font', READING_FONTS[font]);
+    root.style.setProperty('--reading-scale', String(FONT_SIZES[fontSize]));
+    root.style.setProperty(
+      '--reading-line-height',
+      String(LINE_SPACINGS[lineSpacing])
+    );
+  }
+
+  /**
+   * Apply the preferences now and again whenever the profile or the
+   * operating system's colour, contrast or motion settings change
+   * @returns {Function} - Stop following changes
+   */
+  start() {
+    const refresh = () => {
+      this.apply();
+      this.notify();
+    };
+    const stops = [profileManager.subscribe(refresh)];
+    if (typeof window !== 'undefined' && window.matchMedia) {
+      for (const query of Object.values(MEDIA_QUERIES)) {
+        const media = window.matchMedia(query);
+        media.addEventListener?.('change', refresh);
+        stops.push(() => media.removeEventListener?.('change', refresh));
+      }
+    }
+    this.apply();
+    return () => stops.forEach((stop) => stop());
+  }
+
+  /**
+   * Be told when the shown theme or reading preferences change
+   * @param {Function} listener - Called with the active profile's settings
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this.getSettings()));
+  }
+}
+
+export const appearance = new AppearanceManager();
@@ -0,0 +1,701 @@
+// backupFormat.js - Versioned backup format for exportAllData/importAllData
+// Backups are validated against BACKUP_SCHEMA after older versions have been
+// brought up to date by the migrations chain. Importing is planned before
+// anything is written: planBackupImport works out, record by record, what an
+// import would add, replace, rename or skip, which is also the dry-run preview.
+
+import {
+  DEFAULT_PROFILE_ID,
+  profileFromRecordId,
+  profileRecordId,
+} from './profiles.js';
+
+export const BACKUP_FORMAT = 'mindtutor-backup';
+export const BACKUP_VERSION = 3;
+
+export const BACKUP_STORES = [
+  'topics',
+  'topicChunks',
+  'reviewCards',
+  'quizHistory',
+  'chatHistory',
+  'diagnostics',
+  'userModels',
+  'studyPlans',
+];
+
+// localStorage settings worth carrying between devices. API keys stay out of
+// backups on purpose.
+export const BACKUP_PREFERENCE_KEYS = [
+  'mindtutor_vocabulary_packs',
+  'mindtutor_prerequisite_edits',
+  'mindtutor_misconception_bank',
+  'mindtutor_distractor_picks',
+  'mindtutor_semantic_search',
+  'mindtutor_profiles',
+  'mindtutor_appearance',
+];
+
+/**
+ * What to do with a record that already exists
+ * skip keeps the existing record, overwrite replaces it and keepBoth imports
+ * topics, quiz attempts and conversations under a new name or id. Records that can only
+ * exist once (review cards, user models, diagnostics, study plans) are kept
+ * as they are under keepBoth; object-valued preferences are merged.
+ */
+export const MERGE_STRATEGIES = ['skip', 'overwrite', 'keepBoth'];
+
+const MAX_VALIDATION_ERRORS = 10;
+
+const recordArray = (required, properties = {}) => ({
+  type: 'array',
+  items: { type: 'object', required, properties },
+});
+
+export const BACKUP_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'MindTutor backup',
+  type: 'object',
+  required: ['format', 'version', 'exportDate', 'stores'],
+  properties: {
+    format: { const: BACKUP_FORMAT },
+    version: { const: BACKUP_VERSION },
+    exportDate: { type: 'string' },
+    stores: {
+      type: 'object',
+      required: BACKUP_STORES,
+      properties: {
+        topics: recordArray(['name'], {
+          name: { type: 'string', minLength: 1 },
+          concepts: recordArray(['concept'], { concept: { type: 'string' } }),
+        }),
+        topicChunks: recordArray(['id', 'topic', 'index', 'text'], {
+          id: { type: 'string' },
+          topic: { type: 'string' },
+          index: { type: 'integer', minimum: 0 },
+          text: { type: 'string' },
+        }),
+        reviewCards: recordArray(['id', 'topic', 'concept'], {
+          id: { type: 'string' },
+          topic: { type: 'string' },
+          concept: { type: 'string' },
+        }),
+        quizHistory: recordArray(['topic'], {
+          id: { type: ['integer', 'string'] },
+          topic: { type: 'string' },
+          score: { type: 'number' },
+          timestamp: { type: 'string' },
+          results: { type: 'array' },
+        }),
+        chatHistory: recordArray(['id', 'title', 'messages'], {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          topic: { type: ['string', 'null'] },
+          messages: recordArray(['role', 'content'], {
+            role: { type: 'string' },
+            content: { type: 'string' },
+            timestamp: { type: 'string' },
+            topic: { type: ['string', 'null'] },
+          }),
+        }),
+        diagnostics: recordArray(['id']),
+        userModels: recordArray(['userId'], { userId: { type: 'string' } }),
+        studyPlans: recordArray(['id']),
+      },
+    },
+    preferences: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+    },
+    // Set on exports of a single profile
+    profile: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: { id: { type: 'string' }, name: { type: 'string' } },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by BACKUP_SCHEMA
+ * (type, const, required, properties, additionalProperties, items, minimum,
+ * minLength)
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Location reported in errors
+ * @param {Array} errors - Collected errors
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+export function validateSchema(value, schema, path = 'backup', errors = []) {
+  if (errors.length >= MAX_VALIDATION_ERRORS) return errors;
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    return errors;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (typeof value === 'string' && value.length < (schema.minLength || 0)) {
+    errors.push(`${path} must not be empty`);
+  }
+  if (typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema =
+        schema.properties?.[key] || schema.additionalProperties;
+      if (childSchema && typeof childSchema === 'object') {
+        validateSchema(child, childSchema, `${path}.${key}`, errors);
+      }
+    });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      validateSchema(item, schema.items, `${path}[${index}]`, errors)
+    );
+  }
+
+  return errors.slice(0, MAX_VALIDATION_ERRORS);
+}
+
+/**
+ * Records from a store dump, which the localStorage fallback returns as an
+ * object keyed by id (or as the single record itself)
+ * @param {*} value - Store contents
+ * @returns {Array}
+ */
+export function toRecords(value) {
+  if (Array.isArray(value)) return value;
+  if (!value || typeof value !== 'object') return [];
+  if ('id' in value || 'userId' in value) return [value];
+  return Object.values(value).filter(
+    (record) => record && typeof record === 'object'
+  );
+}
+
+/**
+ * Chat messages from chat store records as version 2 backups held them: each
+ * profile's chat was one { id: 'history', messages } record, older versions
+ * saved one record per message. Messages of profiles other than the default
+ * one are tagged with their profileId.
+ * @param {*} records - Chat store contents
+ * @returns {Array} - Messages
+ */
+export function flattenChatRecords(records) {
+  return toRecords(records).flatMap((record) => {
+    if (!Array.isArray(record.messages)) return [record];
+    const profileId = profileFromRecordId(record.id);
+    return profileId === DEFAULT_PROFILE_ID
+      ? record.messages
+      : record.messages.map((message) => ({ ...message, profileId }));
+  });
+}
+
+export const EARLIER_CHAT_TITLE = 'Earlier chat';
+
+/**
+ * Named conversations from chat store records. Records saved before
+ * conversations existed (a profile's single { id: 'history', messages }
+ * record, or one record per message) become one 'Earlier chat' conversation
+ * per profile.
+ * @param {*} records - Chat store contents, or version 2 backup messages
+ * @returns {Array} - [{ id, profileId, title, topic, createdAt, updatedAt,
+ *   messages }]
+ */
+export function toConversations(records) {
+  const conversations = [];
+  const earlier = new Map();
+  const collect = (profileId, messages) =>
+    earlier.set(profileId, [...(earlier.get(profileId) || []), ...messages]);
+
+  toRecords(records).forEach((record) => {
+    if (typeof record.title === 'string' && Array.isArray(record.messages)) {
+      conversations.push(record);
+    } else if (Array.isArray(record.messages)) {
+      collect(profileFromRecordId(record.id), record.messages);
+    } else if (typeof record.role === 'string') {
+      collect(record.profileId || DEFAULT_PROFILE_ID, [record]);
+    }
+  });
+
+  earlier.forEach((messages, profileId) => {
+    const cleaned = messages.map(
+      ({ id: _id, profileId: _owner, ...message }) => message
+    );
+    conversations.push({
+      id: profileRecordId('conversation-earlier', profileId),
+      profileId,
+      title: EARLIER_CHAT_TITLE,
+      topic: null,
+      createdAt: cleaned[0]?.timestamp || new Date(0).toISOString(),
+      updatedAt:
+        cleaned[cleaned.length - 1]?.timestamp || new Date(0).toISOString(),
+      messages: cleaned,
+    });
+  });
+
+  return conversations;
+}
+
+/**
+ * Upgrades from each version to the next. Add an entry (and bump
+ * BACKUP_VERSION) whenever the format changes.
+ */
+export const BACKUP_MIGRATIONS = {
+  // 1.0: every store at the top level, dumped as stored
+  1: (data) => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    exportDate: data.exportDate || new Date(0).toISOString(),
+    stores: {
+      topics: toRecords(data.topics),
+      topicChunks: toRecords(data.topicChunks),
+      reviewCards: toRecords(data.reviewCards),
+      quizHistory: toRecords(data.quizHistory),
+      chatHistory: flattenChatRecords(data.chatHistory),
+      diagnostics: toRecords(data.diagnostics),
+      userModels: toRecords(data.userModels),
+      studyPlans: toRecords(data.studyPlans),
+    },
+    preferences: {},
+  }),
+  // 2: chat history as one flat list of messages
+  2: (data) => ({
+    ...data,
+    version: 3,
+    stores: {
+      ...data.stores,
+      chatHistory: toConversations(data.stores?.chatHistory),
+    },
+  }),
+};
+
+/**
+ * Version of a backup, or null when the data is not a MindTutor backup
+ * @param {Object} data - Parsed backup
+ * @returns {number|null}
+ */
+export function getBackupVersion(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (data.format === BACKUP_FORMAT) return Number(data.version) || null;
+  // Before the format was named, exports only carried version '1.0'
+  return data.version === '1.0' ? 1 : null;
+}
+
+/**
+ * Bring a backup up to BACKUP_VERSION and validate it
+ * @param {Object|string} data - Backup object or its JSON text
+ * @returns {Object} - Backup in the current format
+ * @throws {Error} - For unreadable, unknown, newer or invalid backups
+ */
+export function readBackup(data) {
+  let backup = data;
+  if (typeof data === 'string') {
+    try {
+      backup = JSON.parse(data);
+    } catch {
+      throw new Error('Backup file is not valid JSON');
+    }
+  }
+
+  let version = getBackupVersion(backup);
+  if (version === null) throw new Error('Not a MindTutor backup');
+  if (version > BACKUP_VERSION) {
+    throw new Error(
+      `Backup version ${version} is newer than this app supports (${BACKUP_VERSION})`
+    );
+  }
+  while (version < BACKUP_VERSION) {
+    const migrate = BACKUP_MIGRATIONS[version];
+    if (!migrate)
+      throw new Error(`No migration from backup version ${version}`);
+    backup = migrate(backup);
+    version = backup.version;
+  }
+
+  const errors = validateSchema(backup, BACKUP_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Invalid backup: ${errors.join('; ')}`);
+  }
+  return { preferences: {}, ...backup };
+}
+
+/**
+ * Wrap store contents in the current backup format
+ * @param {Object} stores - Records per store name
+ * @param {Object} preferences - localStorage values by key
+ * @param {Object} profile - { id, name } when exporting a single profile
+ * @returns {Object}
+ */
+export function createBackup(stores, preferences = {}, profile = null) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportDate: new Date().toISOString(),
+    stores: Object.fromEntries(
+      BACKUP_STORES.map((name) => [
+        name,
+        name === 'chatHistory'
+          ? toConversations(stores[name])
+          : toRecords(stores[name]),
+      ])
+    ),
+    preferences: Object.fromEntries(
+      BACKUP_PREFERENCE_KEYS.filter(
+        (key) => typeof preferences[key] === 'string'
+      ).map((key) => [key, preferences[key]])
+    ),
+    ...(profile && { profile }),
+  };
+}
+
+/**
+ * Move a single profile's backup over to another profile, so one learner's
+ * export can be imported on any device
+ * @param {Object} backup - From readBackup, with a profile
+ * @param {string} profileId - Profile receiving the data
+ * @param {string|null} topicOwner - Owner for its topics, null for the
+ *   shared library
+ * @returns {Object} - Backup whose records belong to profileId
+ */
+export function assignBackupToProfile(backup, profileId, topicOwner = null) {
+  const { stores } = backup;
+  const owned = (record) => ({ ...record, profileId });
+  // Ids of per-learner records carry the profile, as profileRecordId makes
+  const reassign = (id) =>
+    profileRecordId(String(id).split('::')[0], profileId);
+
+  return {
+    ...backup,
+    profile: { ...backup.profile, id: profileId },
+    stores: {
+      ...stores,
+      topics: stores.topics.map(({ ownerId: _ownerId, ...topic }) =>
+        topicOwner ? { ...topic, ownerId: topicOwner } : topic
+      ),
+      quizHistory: stores.quizHistory.map(owned),
+      reviewCards: stores.reviewCards.map((card) => ({
+        ...owned(card),
+        id: profileRecordId(`${card.topic}::${card.concept}`, profileId),
+      })),
+      chatHistory: stores.chatHistory.map((conversation) => ({
+        ...owned(conversation),
+        id: reassign(conversation.id),
+      })),
+      diagnostics: stores.diagnostics.map((record) => ({
+        ...record,
+        id: reassign(record.id),
+      })),
+      userModels: stores.userModels.map((model) => ({
+        ...model,
+        userId: profileId,
+      })),
+      studyPlans: stores.studyPlans.map((plan) => ({
+        ...owned(plan),
+        id: reassign(plan.id),
+      })),
+    },
+  };
+}
+
+const sameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function uniqueTopicName(name, taken) {
+  let candidate = `${name} (imported)`;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${name} (imported ${n})`;
+  }
+  return candidate;
+}
+
+// keepBoth for a preference: object values are merged, existing keys win
+function mergePreference(existing, imported) {
+  try {
+    const current = JSON.parse(existing);
+    const incoming = JSON.parse(imported);
+    if (isPlainObject(current) && isPlainObject(incoming)) {
+      return JSON.stringify({ ...incoming, ...current });
+    }
+  } catch {
+    // Plain string settings cannot be merged
+  }
+  return null;
+}
+
+/**
+ * Work out what importing a backup would change, without writing anything
+ * @param {Object} backup - From readBackup
+ * @param {Object} existing - Current records per store name and
+ *   preferences by key
+ * @param {Object} options - { topics: names to import or null for all,
+ *   history, progress, preferences: include those parts,
+ *   strategy: one of MERGE_STRATEGIES }
+ * @returns {Object} - { strategy, operations: [{ store, action, key, record,
+ *   from }], renamedTopics, summary: { [store]: { add, replace, rename, skip,
+ *   unchanged } } }
+ */
+export function planBackupImport(backup, existing = {}, options = {}) {
+  const {
+    topics: selectedTopics = null,
+    history = true,
+    progress = true,
+    preferences = true,
+    strategy = 'skip',
+  } = options;
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy: ${strategy}`);
+  }
+
+  const { stores } = backup;
+  const operations = [];
+  const summary = {};
+  const add = (store, action, key, record = null, from = undefined) => {
+    operations.push({ store, action, key, record, from });
+    summary[store] = summary[store] || {
+      add: 0,
+      replace: 0,
+      rename: 0,
+      skip: 0,
+      unchanged: 0,
+    };
+    summary[store][action]++;
+  };
+
+  // Topics, and the chunks and review cards that belong to them
+  const backupTopicNames = new Set(stores.topics.map((topic) => topic.name));
+  // History of topics outside the backup (sample quizzes, general chat)
+  // comes along whichever topics are chosen
+  const isSelected = (name) =>
+    !selectedTopics ||
+    !backupTopicNames.has(name) ||
+    selectedTopics.includes(name);
+  const existingTopics = new Map(
+    toRecords(existing.topics).map((topic) => [topic.name, topic])
+  );
+  const takenNames = new Set(existingTopics.keys());
+  const renamedTopics = {};
+  const writtenTopics = new Set();
+  const skippedTopics = new Set();
+
+  stores.topics
+    .filter((topic) => !selectedTopics || selectedTopics.includes(topic.name))
+    .forEach((topic) => {
+      const current = existingTopics.get(topic.name);
+      if (!current) {
+        takenNames.add(topic.name);
+        writtenTopics.add(topic.name);
+        add('topics', 'add', topic.name, topic);
+      } else if (sameRecord(current, topic)) {
+        add('topics', 'unchanged', topic.name);
+      } else if (strategy === 'overwrite') {
+        writtenTopics.add(topic.name);
+        add('topics', 'replace', topic.name, topic);
+      } else if (strategy === 'keepBoth') {
+        const name = uniqueTopicName(topic.name, takenNames);
+        writtenTopics.add(topic.name);
+        takenNames.add(name);
+        renamedTopics[topic.name] = name;
+        add(
+          'topics',
+          'rename',
+          name,
+          { ...topic, name, topic: name },
+          topic.name
+        );
+      } else {
+        skippedTopics.add(topic.name);
+        add('topics', 'skip', topic.name);
+      }
+    });
+
+  const topicImported = (name) =>
+    (!selectedTopics || selectedTopics.includes(name)) &&
+    !skippedTopics.has(name);
+  const retopic = (record) =>
+    renamedTopics[record.topic]
+      ? { ...record, topic: renamedTopics[record.topic] }
+      : record;
+
+  // Chunks are the topic's text, so they follow the topic record
+  stores.topicChunks
+    .filter((chunk) => writtenTopics.has(chunk.topic))
+    .forEach((chunk) => {
+      const record = retopic(chunk);
+      const id = `${record.topic}::${record.index}`;
+      add('topicChunks', 'add', id, { ...record, id });
+    });
+
+  // A review card per concept; keepBoth keeps the existing schedule
+  const existingCards = new Map(
+    toRecords(existing.reviewCards).map((card) => [card.id, card])
+  );
+  stores.reviewCards
+    .filter((card) => topicImported(card.topic))
+    .forEach((card) => {
+      const record = retopic(card);
+      const id = renamedTopics[card.topic]
+        ? profileRecordId(
+            `${record.topic}::${record.concept}`,
+            record.profileId || DEFAULT_PROFILE_ID
+          )
+        : card.id;
+      const current = existingCards.get(id);
+      if (!current) add('reviewCards', 'add', id, { ...record, id });
+      else if (sameRecord(current, card)) add('reviewCards', 'unchanged', id);
+      else if (strategy === 'overwrite') {
+        add('reviewCards', 'replace', id, record);
+      } else add('reviewCards', 'skip', id);
+    });
+
+  if (history) {
+    // Quiz attempts clash when they share an id but not their content;
+    // keepBoth files the imported attempt under a fresh id
+    const existingAttempts = new Map(
+      toRecords(existing.quizHistory).map((attempt) => [attempt.id, attempt])
+    );
+    let nextId =
+      Math.max(
+        0,
+        ...[...existingAttempts.keys(), ...stores.quizHistory.map((a) => a.id)]
+          .map(Number)
+          .filter(Number.isFinite)
+      ) + 1;
+
+    stores.quizHistory
+      .filter((attempt) => isSelected(attempt.topic))
+      .forEach((attempt) => {
+        const record = retopic(attempt);
+        const current =
+          attempt.id !== undefined ? existingAttempts.get(attempt.id) : null;
+        if (!current) {
+          const id = attempt.id ?? nextId++;
+          add('quizHistory', 'add', id, { ...record, id });
+        } else if (
+          current.timestamp === attempt.timestamp &&
+          current.topic === attempt.topic &&
+          current.score === attempt.score
+        ) {
+          add('quizHistory', 'unchanged', attempt.id);
+        } else if (strategy === 'overwrite') {
+          add('quizHistory', 'replace', attempt.id, record);
+        } else if (strategy === 'keepBoth') {
+          const id = nextId++;
+          add('quizHistory', 'rename', id, { ...record, id }, attempt.id);
+        } else {
+          add('quizHistory', 'skip', attempt.id);
+        }
+      });
+
+    // Conversations clash on id; keepBoth files the imported conversation
+    // under a fresh id next to the existing one
+    const existingConversations = new Map(
+      toConversations(existing.chatHistory).map((c) => [c.id, c])
+    );
+    // Messages about topics left out stay behind too
+    stores.chatHistory
+      .filter((conversation) => isSelected(conversation.topic))
+      .map((conversation) => ({
+        ...conversation,
+        messages: conversation.messages.filter((message) =>
+          isSelected(message.topic)
+        ),
+      }))
+      .filter((conversation) => conversation.messages.length > 0)
+      .forEach((conversation) => {
+        const { id } = conversation;
+        const record = {
+          ...retopic(conversation),
+          messages: conversation.messages.map(retopic),
+        };
+        const current = existingConversations.get(id);
+        if (!current) {
+          existingConversations.set(id, record);
+          add('chatHistory', 'add', id, record);
+        } else if (
+          current.title === conversation.title &&
+          sameRecord(current.messages, conversation.messages)
+        ) {
+          add('chatHistory', 'unchanged', id);
+        } else if (strategy === 'overwrite') {
+          add('chatHistory', 'replace', id, record);
+        } else if (strategy === 'keepBoth') {
+          let newId = `${id}-imported`;
+          for (let n = 2; existingConversations.has(newId); n++) {
+            newId = `${id}-imported-${n}`;
+          }
+          existingConversations.set(newId, record);
+          add('chatHistory', 'rename', newId, { ...record, id: newId }, id);
+        } else {
+          add('chatHistory', 'skip', id);
+        }
+      });
+  }
+
+  if (progress) {
+    [
+      ['diagnostics', 'id'],
+      ['userModels', 'userId'],
+      ['studyPlans', 'id'],
+    ].forEach(([store, keyName]) => {
+      const current = new Map(
+        toRecords(existing[store]).map((record) => [record[keyName], record])
+      );
+      stores[store].forEach((record) => {
+        const key = record[keyName];
+        if (!current.has(key)) add(store, 'add', key, record);
+        else if (sameRecord(current.get(key), record)) {
+          add(store, 'unchanged', key);
+        } else if (strategy === 'overwrite') add(store, 'replace', key, record);
+        else add(store, 'skip', key);
+      });
+    });
+  }
+
+  if (preferences) {
+    const currentPreferences = existing.preferences || {};
+    Object.entries(backup.preferences || {})
+      .filter(([key]) => BACKUP_PREFERENCE_KEYS.includes(key))
+      .forEach(([key, value]) => {
+        const current = currentPreferences[key];
+        const merged =
+          strategy === 'keepBoth' && typeof current === 'string'
+            ? mergePreference(current, value)
+            : null;
+        if (typeof current !== 'string') {
+          add('preferences', 'add', key, value);
+        } else if (current === value) add('preferences', 'unchanged', key);
+        else if (strategy === 'overwrite') {
+          add('preferences', 'replace', key, value);
+        } else if (merged !== null && merged !== current) {
+          add('preferences', 'replace', key, merged);
+        } else add('preferences', 'skip', key);
+      });
+  }
+
+  return { strategy, operations, renamedTopics, summary };
+}
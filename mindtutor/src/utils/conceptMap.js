@@ -0,0 +1,291 @@
+// conceptMap.js - Concept map graph, force-directed layout and SVG export
+// The graph and layout are plain data so the map can be drawn by React,
+// serialized to a standalone SVG file and unit tested without a browser.
+
+import { advancedAISystem } from './advancedAI.js';
+
+export const MAP_WIDTH = 900;
+export const MAP_HEIGHT = 600;
+const MAX_CONCEPTS = 40;
+const LABEL_LENGTH = 24;
+const TOPIC_RADIUS = 34;
+const CONCEPT_RADIUS = 20;
+
+// Mastery bands shared by the on-screen map (CSS variables) and exports
+export const MASTERY_BANDS = [
+  { id: 'new', label: 'Not reviewed', color: '#94a3b8' },
+  { id: 'weak', label: 'Needs work', color: '#ef4444' },
+  { id: 'learning', label: 'Learning', color: '#f59e0b' },
+  { id: 'mastered', label: 'Mastered', color: '#22c55e' },
+];
+
+/**
+ * Place a 0-1 mastery level (or null when never reviewed) in a band
+ * @param {number|null} mastery - Mastery level
+ * @returns {Object} - Entry of MASTERY_BANDS
+ */
+export function getMasteryBand(mastery) {
+  if (mastery === null || mastery === undefined) return MASTERY_BANDS[0];
+  if (mastery < 0.4) return MASTERY_BANDS[1];
+  if (mastery < 0.8) return MASTERY_BANDS[2];
+  return MASTERY_BANDS[3];
+}
+
+function mentions(sentence, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w])${escaped}([^\\w]|$)`, 'i').test(sentence);
+}
+
+/**
+ * Build the concept map of a topic
+ * Concepts hang off the topic node; concepts named in the same sentence are
+ * linked, typed by the NLP engine's relationship patterns where one matches.
+ * @param {string} topicName - Topic name
+ * @param {Object} topic - Stored topic with concepts and raw text
+ * @param {Function} getMastery - (conceptName) => 0-1 level or null
+ * @returns {Object} - { nodes: [{ id, label, type, mastery }], edges }
+ */
+export function buildConceptMap(topicName, topic, getMastery = () => null) {
+  const seen = new Set([topicName]);
+  const concepts = (topic?.concepts || [])
+    .filter((c) => c?.concept && !seen.has(c.concept) && seen.add(c.concept))
+    .slice(0, MAX_CONCEPTS);
+  const nodes = [
+    { id: topicName, label: topicName, type: 'topic', mastery: null },
+    ...concepts.map((c) => ({
+      id: c.concept,
+      label: c.concept,
+      type: 'concept',
+      mastery: getMastery(c.concept),
+    })),
+  ];
+  const edges = concepts.map((c) => ({
+    source: topicName,
+    target: c.concept,
+    type: 'topic',
+    label: '',
+  }));
+
+  const text = [topic?.raw || '', ...concepts.map((c) => c.definition || '')]
+    .join('. ')
+    .replace(/\s+/g, ' ');
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  const links = new Map();
+
+  sentences.forEach((sentence) => {
+    const lower = sentence.toLowerCase();
+    const present = concepts
+      .filter((c) => mentions(sentence, c.concept))
+      .map((c) => ({
+        term: c.concept,
+        index: lower.indexOf(c.concept.toLowerCase()),
+      }))
+      .sort((a, b) => a.index - b.index);
+
+    for (let i = 0; i < present.length; i++) {
+      for (let j = i + 1; j < present.length; j++) {
+        const first = present[i].term;
+        const second = present[j].term;
+        const key = [first, second].sort().join('\u0000');
+        // Patterns are directional ("A contains B"), so try both ways
+        const specific = [
+          [first, second],
+          [second, first],
+        ]
+          .map(([source, target]) => ({
+            source,
+            target,
+            found: advancedAISystem.nlpEngine.findRelationshipBetween(
+              source,
+              target,
+              sentence
+            ),
+          }))
+          .find(({ found }) => found && found.type !== 'related_to');
+        const link = links.get(key) || {
+          source: first,
+          target: second,
+          type: 'related_to',
+          label: 'related to',
+          count: 0,
+        };
+        link.count += 1;
+        // A specific relationship beats plain co-occurrence
+        if (specific && link.type === 'related_to') {
+          link.source = specific.source;
+          link.target = specific.target;
+          link.type = specific.found.type;
+          link.label = specific.found.type.replace(/_/g, ' ');
+        }
+        links.set(key, link);
+      }
+    }
+  });
+
+  // Keep the strongest links so large topics stay readable
+  const related = [...links.values()]
+    .sort((a, b) => b.count - a.count || a.source.localeCompare(b.source))
+    .slice(0, concepts.length * 2);
+  return { nodes, edges: [...edges, ...related] };
+}
+
+/**
+ * Lay the map out with a Fruchterman-Reingold force simulation
+ * Starts from a circle and has no randomness, so the same map always gets
+ * the same picture. The topic node stays pinned in the centre.
+ * @param {Object} map - Result of buildConceptMap
+ * @param {Object} options - { width, height, iterations }
+ * @returns {Object} - Positions keyed by node id: { x, y }
+ */
+export function layoutConceptMap(map, options = {}) {
+  const width = options.width || MAP_WIDTH;
+  const height = options.height || MAP_HEIGHT;
+  const iterations = options.iterations || 300;
+  const padding = 60;
+  const centre = { x: width / 2, y: height / 2 };
+  const count = map.nodes.length;
+  const k = Math.sqrt((width * height) / Math.max(count, 1)) * 0.6;
+
+  const positions = {};
+  map.nodes.forEach((node, index) => {
+    if (node.type === 'topic') {
+      positions[node.id] = { ...centre };
+      return;
+    }
+    const angle = (2 * Math.PI * index) / Math.max(count - 1, 1);
+    positions[node.id] = {
+      x: centre.x + Math.cos(angle) * (width / 3),
+      y: centre.y + Math.sin(angle) * (height / 3),
+    };
+  });
+
+  let temperature = width / 10;
+  for (let step = 0; step < iterations; step++) {
+    const displacement = {};
+    map.nodes.forEach((node) => {
+      displacement[node.id] = { x: 0, y: 0 };
+    });
+
+    // Every pair repels
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const a = map.nodes[i].id;
+        const b = map.nodes[j].id;
+        const dx = positions[a].x - positions[b].x || 0.01;
+        const dy = positions[a].y - positions[b].y || 0.01;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / distance;
+        displacement[a].x += (dx / distance) * force;
+        displacement[a].y += (dy / distance) * force;
+        displacement[b].x -= (dx / distance) * force;
+        displacement[b].y -= (dy / distance) * force;
+      }
+    }
+
+    // Linked nodes attract
+    map.edges.forEach(({ source, target }) => {
+      const dx = positions[source].x - positions[target].x;
+      const dy = positions[source].y - positions[target].y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (distance * distance) / k;
+      displacement[source].x -= (dx / distance) * force;
+      displacement[source].y -= (dy / distance) * force;
+      displacement[target].x += (dx / distance) * force;
+      displacement[target].y += (dy / distance) * force;
+    });
+
+    map.nodes.forEach((node) => {
+      if (node.type === 'topic') return;
+      const move = displacement[node.id];
+      const length = Math.max(Math.hypot(move.x, move.y), 0.01);
+      const position = positions[node.id];
+      position.x += (move.x / length) * Math.min(length, temperature);
+      position.y += (move.y / length) * Math.min(length, temperature);
+      position.x = Math.min(width - padding, Math.max(padding, position.x));
+      position.y = Math.min(height - padding, Math.max(padding, position.y));
+    });
+
+    temperature = Math.max(temperature * 0.98, 1);
+  }
+
+  Object.values(positions).forEach((position) => {
+    position.x = Math.round(position.x);
+    position.y = Math.round(position.y);
+  });
+  return positions;
+}
+
+/**
+ * Shorten a node label for drawing
+ * @param {string} label - Full label
+ * @returns {string}
+ */
+export function shortenLabel(label) {
+  return label.length > LABEL_LENGTH
+    ? `${label.slice(0, LABEL_LENGTH - 1)}…`
+    : label;
+}
+
+/**
+ * Radius a node is drawn with
+ * @param {Object} node - Map node
+ * @returns {number}
+ */
+export function nodeRadius(node) {
+  return node.type === 'topic' ? TOPIC_RADIUS : CONCEPT_RADIUS;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize a laid-out map as a standalone SVG document
+ * Colours are written out literally so the file looks the same when pasted
+ * into notes, outside the app's theme.
+ * @param {Object} map - Result of buildConceptMap
+ * @param {Object} positions - Result of layoutConceptMap
+ * @param {Object} options - { width, height, title }
+ * @returns {string} - SVG markup
+ */
+export function conceptMapToSVG(map, positions, options = {}) {
+  const width = options.width || MAP_WIDTH;
+  const height = options.height || MAP_HEIGHT;
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">`,
+    `<title>${escapeXml(options.title || map.nodes[0]?.label || 'Concept map')}</title>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+  ];
+
+  map.edges.forEach((edge) => {
+    const from = positions[edge.source];
+    const to = positions[edge.target];
+    const isSpoke = edge.type === 'topic';
+    lines.push(
+      `<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="${isSpoke ? '#cbd5e1' : '#64748b'}" stroke-width="${isSpoke ? 1 : 2}"${isSpoke ? ' stroke-dasharray="4 4"' : ''}/>`
+    );
+    if (!isSpoke && edge.label) {
+      lines.push(
+        `<text x="${(from.x + to.x) / 2}" y="${(from.y + to.y) / 2 - 4}" font-size="10" fill="#475569" text-anchor="middle">${escapeXml(edge.label)}</text>`
+      );
+    }
+  });
+
+  map.nodes.forEach((node) => {
+    const { x, y } = positions[node.id];
+    const radius = nodeRadius(node);
+    const fill =
+      node.type === 'topic' ? '#6366f1' : getMasteryBand(node.mastery).color;
+    lines.push(
+      `<circle cx="${x}" cy="${y}" r="${radius}" fill="${fill}" stroke="#1e293b" stroke-width="1.5"/>`,
+      `<text x="${x}" y="${y + radius + 14}" font-size="12" fill="#0f172a" text-anchor="middle">${escapeXml(shortenLabel(node.label))}</text>`
+    );
+  });
+
+  lines.push('</svg>');
+  return lines.join('\n');
+}
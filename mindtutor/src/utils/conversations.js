@@ -0,0 +1,380 @@
+// conversations.js - Named chat conversations: titles, search and export
+// Each conversation is one record in the chat store: { id, profileId, title,
+// topic, createdAt, updatedAt, messages }. A conversation pinned to a topic
+// answers from that topic only. Exports render the tutor's Markdown to a
+// standalone HTML page with the same parser the chat uses, so generated text
+// is never inserted as raw HTML.
+
+import { markdownToAst } from './markdown.js';
+import { latexToMathTree } from './latexMath.js';
+
+export const NEW_CONVERSATION_TITLE = 'New conversation';
+
+const MAX_TITLE_LENGTH = 60;
+const SNIPPET_RADIUS = 60;
+const MAX_SEARCH_RESULTS = 50;
+const MAX_FLASHCARD_LENGTH = 300;
+
+// Question openers dropped when a question becomes a flashcard front
+const QUESTION_OPENERS =
+  /^(?:(?:can|could) you\s+)?(?:please\s+)?(?:what (?:is|are|was|were|does|do)|who (?:is|was)|explain|define|describe|tell me (?:more )?about)\s+(?:the\s+|an?\s+)?/i;
+
+/**
+ * A new, empty conversation
+ * @param {Object} options - { title, topic: topic name to pin, or null }
+ * @returns {Object}
+ */
+export function createConversation({ title = '', topic = null } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: `conversation-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    title: title.trim() || NEW_CONVERSATION_TITLE,
+    topic,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+  };
+}
+
+/**
+ * Title for a conversation from its first question
+ * @param {string} question - First user message
+ * @returns {string}
+ */
+export function suggestConversationTitle(question) {
+  const text = String(question || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return NEW_CONVERSATION_TITLE;
+  if (text.length <= MAX_TITLE_LENGTH) return text;
+  const cut = text.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+function inlineText(nodes) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'break') return ' ';
+      if (node.type === 'image') return node.alt || '';
+      if (node.children) return inlineText(node.children);
+      return node.text || '';
+    })
+    .join('');
+}
+
+function blockText(block) {
+  switch (block.type) {
+    case 'heading':
+    case 'paragraph':
+      return inlineText(block.children);
+    case 'list':
+      return block.items
+        .map((item) => item.children.map(blockText).join(' '))
+        .join('; ');
+    case 'blockquote':
+      return block.children.map(blockText).join(' ');
+    case 'table':
+      return [block.header, ...block.rows]
+        .map((row) => row.map(inlineText).join(', '))
+        .join('; ');
+    case 'code':
+    case 'math':
+      return block.text;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Plain text of a Markdown message, for search and flashcards
+ * @param {string} source - Markdown
+ * @returns {string}
+ */
+export function markdownToText(source) {
+  return markdownToAst(source)
+    .map(blockText)
+    .filter(Boolean)
+    .join('\n')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+function makeSnippet(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Full-text search across conversations: a message matches when it contains
+ * every word of the query (case-insensitive)
+ * @param {Array} conversations - Conversations with messages
+ * @param {string} query - Search words
+ * @returns {Array} - [{ conversationId, title, index, role, snippet }], most
+ *   recent conversations first
+ */
+export function searchConversations(conversations, query) {
+  const terms = String(query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  [...conversations]
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .forEach((conversation) => {
+      const titleMatches = terms.every((term) =>
+        conversation.title.toLowerCase().includes(term)
+      );
+      conversation.messages.forEach((message, index) => {
+        const text =
+          message.role === 'assistant'
+            ? markdownToText(message.content)
+            : String(message.content || '');
+        const lower = text.toLowerCase();
+        if (!terms.every((term) => lower.includes(term))) return;
+        results.push({
+          conversationId: conversation.id,
+          title: conversation.title,
+          index,
+          role: message.role,
+          snippet: makeSnippet(text, lower.indexOf(terms[0]), terms[0].length),
+        });
+      });
+      if (
+        titleMatches &&
+        !results.some((result) => result.conversationId === conversation.id)
+      ) {
+        results.push({
+          conversationId: conversation.id,
+          title: conversation.title,
+          index: null,
+          role: null,
+          snippet: '',
+        });
+      }
+    });
+
+  return results.slice(0, MAX_SEARCH_RESULTS);
+}
+
+/**
+ * Flashcard from a tutor answer: the question's subject on the front and
+ * the start of the answer on the back
+ * @param {string} answer - Assistant message (Markdown)
+ * @param {string} question - The user message it answered
+ * @returns {Object} - { concept, definition }
+ */
+export function messageToFlashcard(answer, question = '') {
+  const subject = String(question)
+    .trim()
+    .replace(QUESTION_OPENERS, '')
+    .replace(/(?:,?\s+please)?[?.!\s]*$/i, '')
+    .trim();
+  const text = markdownToText(answer).replace(/\s+/g, ' ');
+
+  // Whole sentences while they fit
+  let definition = '';
+  for (const sentence of text.match(/[^.!?]+[.!?]*/g) || []) {
+    if ((definition + sentence).length > MAX_FLASHCARD_LENGTH) break;
+    definition += sentence;
+  }
+  definition = (definition || text.slice(0, MAX_FLASHCARD_LENGTH)).trim();
+
+  return {
+    concept: subject
+      ? subject.charAt(0).toUpperCase() + subject.slice(1)
+      : suggestConversationTitle(definition),
+    definition,
+  };
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+/**
+ * A conversation as a Markdown document
+ * @param {Object} conversation - Conversation with messages
+ * @returns {string}
+ */
+export function conversationToMarkdown(conversation) {
+  const lines = [`# ${conversation.title}`, ''];
+  if (conversation.topic) lines.push(`_Topic: ${conversation.topic}_`, '');
+
+  conversation.messages.forEach((message) => {
+    const speaker = message.role === 'user' ? 'You' : 'MindTutor';
+    const time = formatTime(message.timestamp);
+    lines.push(`## ${speaker}${time ? ` · ${time}` : ''}`, '');
+    lines.push(String(message.content || '').trim(), '');
+    if (message.citations?.length > 0) {
+      lines.push(`_Sources: ${message.citations.join(' · ')}_`, '');
+    }
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function mathHtml(node) {
+  if (node.text !== undefined) return escapeHtml(node.text);
+  const attrs = Object.entries(node.attrs || {})
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+  return `<${node.tag}${attrs}>${node.children.map(mathHtml).join('')}</${node.tag}>`;
+}
+
+function inlineHtml(nodes) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text':
+          return escapeHtml(node.text);
+        case 'break':
+          return '<br>';
+        case 'strong':
+          return `<strong>${inlineHtml(node.children)}</strong>`;
+        case 'emphasis':
+          return `<em>${inlineHtml(node.children)}</em>`;
+        case 'delete':
+          return `<del>${inlineHtml(node.children)}</del>`;
+        case 'inlineCode':
+          return `<code>${escapeHtml(node.text)}</code>`;
+        case 'inlineMath':
+          return mathHtml(
+            latexToMathTree(node.text, { display: node.display })
+          );
+        case 'link':
+          // Unsafe URLs were dropped by the parser; keep just the label
+          return node.href
+            ? `<a href="${escapeHtml(node.href)}">${inlineHtml(node.children)}</a>`
+            : inlineHtml(node.children);
+        case 'image':
+          // Exports link to images rather than loading them
+          return node.src
+            ? `<a href="${escapeHtml(node.src)}">🖼️ ${escapeHtml(node.alt || 'image')}</a>`
+            : `🖼️ ${escapeHtml(node.alt)}`;
+        default:
+          return '';
+      }
+    })
+    .join('');
+}
+
+function blockHtml(block) {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${inlineHtml(block.children)}</h${block.level}>`;
+    case 'paragraph':
+      return `<p>${inlineHtml(block.children)}</p>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const start =
+        block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      const items = block.items.map((item) => {
+        const box =
+          item.checked === null
+            ? ''
+            : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+        const body = item.children
+          .map((child) =>
+            !block.loose && child.type === 'paragraph'
+              ? inlineHtml(child.children)
+              : blockHtml(child)
+          )
+          .join('');
+        return `<li>${box}${body}</li>`;
+      });
+      return `<${tag}${start}>${items.join('')}</${tag}>`;
+    }
+    case 'blockquote':
+      return `<blockquote>${block.children.map(blockHtml).join('')}</blockquote>`;
+    case 'code':
+      return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+    case 'math':
+      return mathHtml(latexToMathTree(block.text, { display: true }));
+    case 'table': {
+      const cell = (tag, content, i) =>
+        `<${tag}${block.align[i] ? ` style="text-align:${block.align[i]}"` : ''}>${inlineHtml(content)}</${tag}>`;
+      const header = block.header.map((c, i) => cell('th', c, i)).join('');
+      const rows = block.rows
+        .map(
+          (row) => `<tr>${row.map((c, i) => cell('td', c, i)).join('')}</tr>`
+        )
+        .join('');
+      return `<table><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+    }
+    case 'thematicBreak':
+      return '<hr>';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render Markdown to HTML; HTML in the source is escaped
+ * @param {string} source - Markdown
+ * @returns {string}
+ */
+export function markdownToHtml(source) {
+  return markdownToAst(source).map(blockHtml).join('\n');
+}
+
+/**
+ * A conversation as a standalone HTML page
+ * @param {Object} conversation - Conversation with messages
+ * @returns {string}
+ */
+export function conversationToHTML(conversation) {
+  const messages = conversation.messages
+    .map((message) => {
+      const isUser = message.role === 'user';
+      const time = formatTime(message.timestamp);
+      const body = isUser
+        ? `<p class="plain">${escapeHtml(message.content)}</p>`
+        : markdownToHtml(message.content);
+      const sources =
+        message.citations?.length > 0
+          ? `<p class="meta">Sources: ${escapeHtml(message.citations.join(' · '))}</p>`
+          : '';
+      return `<section class="${isUser ? 'user' : 'tutor'}">
+<p class="meta">${isUser ? 'You' : 'MindTutor'}${time ? ` · ${escapeHtml(time)}` : ''}</p>
+${body}
+${sources}
+</section>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversation.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #1f2937; }
+section { border-radius: 0.75rem; padding: 0.75rem 1rem; margin: 1rem 0; }
+section.user { background: #eef2ff; margin-left: 20%; }
+section.tutor { background: #f9fafb; border: 1px solid #e5e7eb; margin-right: 10%; }
+.plain { white-space: pre-wrap; }
+.meta { font-size: 0.8rem; color: #6b7280; margin: 0 0 0.5rem; }
+pre { background: #f3f4f6; padding: 0.75rem; overflow-x: auto; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.title)}</h1>
+${conversation.topic ? `<p class="meta">Topic: ${escapeHtml(conversation.topic)}</p>\n` : ''}${messages}
+</body>
+</html>
+`;
+}
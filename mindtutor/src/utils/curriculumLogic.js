@@ -1,132 +1,396 @@
 // curriculumLogic.js - Intelligent curriculum planning and learning path generation
+// The topic graph is built from the learner's imported topics: each topic's
+// extracted concepts become its skills, prerequisite edges are inferred from
+// which topics lean on other topics' concepts, and the learner can add or
+// remove edges on top of that. Each profile keeps its own edits.
 
 import { userModelManager } from './userModel.js';
+import { tokenizeTerms } from './domainVocabulary.js';
+import { getReviewCardId } from './spacedRepetition.js';
+import { DEFAULT_PROFILE_ID, profileManager } from './profiles.js';
+
+const EDITS_STORAGE_KEY = 'mindtutor_prerequisite_edits';
+
+// A topic must mention this many of another topic's concepts, covering at
+// least MIN_EDGE_SCORE of them, before that topic is inferred as a prerequisite
+const MIN_SHARED_TERMS = 2;
+const MIN_EDGE_SCORE = 0.2;
+
+// Reading speed used to estimate study time from stored content
+const WORDS_PER_MINUTE = 200;
+const CHARS_PER_WORD = 6;
+const DEFAULT_ESTIMATED_TIME = 45;
+
+const MASTERED_LEVEL = 0.8;
+const PREREQUISITE_LEVEL = 0.7;
+
+function normalizePhrase(text) {
+  return tokenizeTerms(text).join(' ');
+}
+
+function containsPhrase(normalizedText, phrase) {
+  return phrase.length > 0 && normalizedText.includes(` ${phrase} `);
+}
+
+/**
+ * Estimate a concept's skill level (0-1) from its review card
+ * @param {Object} card - Review card, or undefined if never reviewed
+ * @returns {number}
+ */
+export function skillLevelFromCard(card) {
+  if (!card || !card.lastReviewed) return 0;
+  if (card.lastGrade !== null && card.lastGrade < 3) return 0.2;
+  return Math.min(1, 0.5 + 0.15 * (card.repetitions || 0));
+}
+
+/**
+ * Infer prerequisite edges between topics from the concepts they share
+ * Topic B depends on topic A when B's text mentions A's concepts (or A's
+ * name) that B does not define itself, and B borrows more from A than A
+ * borrows from B.
+ * @param {Object} topics - Topics keyed by name
+ * @returns {Array<Object>} - { from, to, score } edges, strongest first
+ */
+export function inferPrerequisiteEdges(topics) {
+  const profiles = Object.entries(topics || {}).map(([name, topic]) => {
+    const concepts = (topic?.concepts || []).filter((c) => c?.concept);
+    const ownTerms = new Set(
+      [name, ...concepts.map((c) => c.concept), ...(topic?.keywords || [])].map(
+        normalizePhrase
+      )
+    );
+    const text = [
+      topic?.raw || '',
+      ...concepts.map((c) => c.definition || ''),
+    ].join(' ');
+    return {
+      name,
+      terms: [...new Set([name, ...concepts.map((c) => c.concept)])]
+        .map(normalizePhrase)
+        .filter(Boolean),
+      ownTerms,
+      text: ` ${normalizePhrase(text)} `,
+    };
+  });
+
+  const borrowScore = (source, target) => {
+    if (source.terms.length === 0) return { score: 0, shared: 0 };
+    const shared = source.terms.filter(
+      (term) => !target.ownTerms.has(term) && containsPhrase(target.text, term)
+    ).length;
+    return { score: shared / source.terms.length, shared };
+  };
+
+  const edges = [];
+  profiles.forEach((source) => {
+    profiles.forEach((target) => {
+      if (source === target) return;
+      const forward = borrowScore(source, target);
+      if (forward.shared < MIN_SHARED_TERMS || forward.score < MIN_EDGE_SCORE) {
+        return;
+      }
+      if (borrowScore(target, source).score >= forward.score) return;
+      edges.push({ from: source.name, to: target.name, score: forward.score });
+    });
+  });
+
+  return edges.sort(
+    (a, b) =>
+      b.score - a.score ||
+      a.from.localeCompare(b.from) ||
+      a.to.localeCompare(b.to)
+  );
+}
 
 export class CurriculumPlanner {
   constructor() {
     this.curriculumGraph = new Map();
     this.skillPrerequisites = new Map();
     this.topicClusters = new Map();
-    this.initializeCurriculum();
+    this.skillMastery = new Map();
+    this.topics = {};
+    this.inferredEdges = [];
+    this.edits = null;
   }
 
-  initializeCurriculum() {
-    // Define core curriculum structure
-    this.defineTopics();
+  /**
+   * Rebuild the topic and skill graph from the stored topics
+   * @param {Object} topics - Topics keyed by name
+   * @param {Array} reviewCards - Review cards used to estimate mastery
+   * @returns {CurriculumPlanner} - this, for chaining
+   */
+  buildFromTopics(topics, reviewCards = []) {
+    this.sourceTopics = topics || {};
+    this.defineTopics(this.sourceTopics);
+    this.applyPrerequisiteEdges();
     this.defineSkillPrerequisites();
     this.buildCurriculumGraph();
     this.createTopicClusters();
+    this.updateMastery(reviewCards);
+    return this;
   }
 
-  defineTopics() {
-    // Core science topics with prerequisites and skills
-    this.topics = {
-      atomic_structure: {
-        id: 'atomic_structure',
-        name: 'Atomic Structure and the Periodic Table',
-        prerequisites: [],
-        skills: [
-          'science.atomic_structure',
-          'science.periodic_table',
-          'logic.classification',
-        ],
-        difficulty: 3,
-        estimatedTime: 45,
-        learningObjectives: [
-          'Understand the structure of atoms',
-          'Explain the periodic table organization',
-          'Apply atomic concepts to real-world scenarios',
-        ],
-      },
-      chemical_bonding: {
-        id: 'chemical_bonding',
-        name: 'Chemical Bonding',
-        prerequisites: ['atomic_structure'],
-        skills: ['science.chemical_bonding', 'science.electron_configuration'],
-        difficulty: 4,
-        estimatedTime: 50,
-        learningObjectives: [
-          'Explain different types of chemical bonds',
-          'Predict bonding behavior',
-          'Understand molecular structure',
-        ],
-      },
-      organic_chemistry: {
-        id: 'organic_chemistry',
-        name: 'Organic Chemistry Basics',
-        prerequisites: ['chemical_bonding'],
-        skills: ['science.organic_compounds', 'science.functional_groups'],
-        difficulty: 5,
-        estimatedTime: 60,
-        learningObjectives: [
-          'Identify organic compounds',
-          'Understand functional groups',
-          'Predict reaction mechanisms',
-        ],
-      },
-      cell_biology: {
-        id: 'cell_biology',
-        name: 'Cell Biology',
+  defineTopics(sourceTopics) {
+    this.topics = {};
+    Object.entries(sourceTopics).forEach(([name, topic]) => {
+      const concepts = (topic?.concepts || []).filter((c) => c?.concept);
+      const characters =
+        topic?.contentStats?.totalCharacters || (topic?.raw || '').length;
+      const estimatedTime = characters
+        ? Math.min(
+            180,
+            Math.max(
+              15,
+              Math.round(characters / CHARS_PER_WORD / WORDS_PER_MINUTE)
+            )
+          )
+        : DEFAULT_ESTIMATED_TIME;
+
+      this.topics[name] = {
+        id: name,
+        name,
+        subject: topic?.subject || null,
         prerequisites: [],
-        skills: [
-          'science.cell_structure',
-          'science.cell_function',
-          'biology.organelles',
-        ],
-        difficulty: 3,
-        estimatedTime: 40,
-        learningObjectives: [
-          'Describe cell structure and function',
-          'Explain cellular processes',
-          'Compare prokaryotic and eukaryotic cells',
-        ],
-      },
-      genetics: {
-        id: 'genetics',
-        name: 'Genetics and Heredity',
-        prerequisites: ['cell_biology'],
-        skills: [
-          'biology.genetics',
-          'biology.inheritance',
-          'logic.probability',
-        ],
-        difficulty: 4,
-        estimatedTime: 55,
-        learningObjectives: [
-          'Explain genetic inheritance',
-          'Understand DNA and RNA',
-          'Apply genetic principles',
-        ],
-      },
+        skills: concepts.map((c) => getReviewCardId(name, c.concept)),
+        difficulty: 2,
+        estimatedTime,
+        learningObjectives: concepts
+          .slice(0, 3)
+          .map((c) => `Explain ${c.concept}`),
+      };
+    });
+  }
+
+  /**
+   * Prerequisite edits of every profile, read once from localStorage
+   * @returns {Object} - { [profileId]: { added, removed } }
+   */
+  getAllEdits() {
+    if (this.edits) return this.edits;
+    this.edits = {};
+    try {
+      const stored = JSON.parse(localStorage.getItem(EDITS_STORAGE_KEY));
+      if (stored && typeof stored === 'object') {
+        // Edits saved before profiles were one list for the whole device
+        const { added, removed, ...byProfile } = stored;
+        this.edits = byProfile;
+        if ((added || removed) && !byProfile[DEFAULT_PROFILE_ID]) {
+          this.edits[DEFAULT_PROFILE_ID] = { added, removed };
+        }
+      }
+    } catch {
+      // Nothing stored or unreadable JSON - start without edits
+    }
+    return this.edits;
+  }
+
+  /**
+   * Prerequisite edits made by a learner
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Object} - { added: [[from, to]], removed: [[from, to]] }
+   */
+  getEdits(profileId = profileManager.getActiveId()) {
+    const all = this.getAllEdits();
+    const stored = all[profileId] || {};
+    all[profileId] = Object.fromEntries(
+      ['added', 'removed'].map((kind) => [
+        kind,
+        Array.isArray(stored[kind])
+          ? stored[kind].filter(
+              (edge) => Array.isArray(edge) && edge.length === 2
+            )
+          : [],
+      ])
+    );
+    return all[profileId];
+  }
+
+  saveEdits() {
+    try {
+      localStorage.setItem(EDITS_STORAGE_KEY, JSON.stringify(this.edits));
+    } catch (error) {
+      console.error('Error saving prerequisite edits:', error);
+    }
+  }
+
+  /**
+   * Forget a deleted profile's prerequisite edits
+   * @param {string} profileId - Profile id
+   */
+  removeEdits(profileId) {
+    const all = this.getAllEdits();
+    if (!(profileId in all)) return;
+    delete all[profileId];
+    this.saveEdits();
+  }
+
+  applyPrerequisiteEdges() {
+    const { added, removed } = this.getEdits();
+    const isRemoved = (from, to) =>
+      removed.some(([a, b]) => a === from && b === to);
+
+    // The learner's own edges go in first and always win
+    added.forEach(([from, to]) => {
+      if (this.topics[from] && this.topics[to] && from !== to) {
+        this.linkTopics(from, to, 'user');
+      }
+    });
+
+    this.inferredEdges = inferPrerequisiteEdges(this.sourceTopics);
+    this.inferredEdges.forEach(({ from, to }) => {
+      if (isRemoved(from, to)) return;
+      // Skip inferred edges that would close a loop
+      if (this.findPrerequisitePath(from, to)) return;
+      this.linkTopics(from, to, 'inferred');
+    });
+
+    // Deeper topics are treated as harder
+    Object.values(this.topics).forEach((topic) => {
+      topic.difficulty = Math.min(5, 2 + this.getPrerequisiteDepth(topic.id));
+    });
+  }
+
+  linkTopics(from, to, source) {
+    const topic = this.topics[to];
+    if (topic.prerequisites.includes(from)) return;
+    topic.prerequisites.push(from);
+    topic.prerequisiteSources = {
+      ...topic.prerequisiteSources,
+      [from]: source,
     };
   }
 
+  /**
+   * Find a chain of prerequisites leading from one topic down to another
+   * @param {string} fromId - Topic to start from
+   * @param {string} toId - Topic to look for among its prerequisites
+   * @returns {Array<string>|null} - [fromId, ..., toId] or null
+   */
+  findPrerequisitePath(fromId, toId, visited = new Set()) {
+    if (fromId === toId) return [fromId];
+    if (visited.has(fromId)) return null;
+    visited.add(fromId);
+
+    for (const prereqId of this.topics[fromId]?.prerequisites || []) {
+      const path = this.findPrerequisitePath(prereqId, toId, visited);
+      if (path) return [fromId, ...path];
+    }
+    return null;
+  }
+
+  getPrerequisiteDepth(topicId, visiting = new Set()) {
+    if (visiting.has(topicId)) return 0;
+    visiting.add(topicId);
+    const depths = (this.topics[topicId]?.prerequisites || []).map(
+      (prereqId) => 1 + this.getPrerequisiteDepth(prereqId, visiting)
+    );
+    visiting.delete(topicId);
+    return depths.length > 0 ? Math.max(...depths) : 0;
+  }
+
+  /**
+   * Make one topic a prerequisite of another
+   * @param {string} prerequisiteId - Topic to study first
+   * @param {string} topicId - Topic that depends on it
+   * @throws {Error} - When a topic is unknown or the edge would create a cycle
+   */
+  addPrerequisite(prerequisiteId, topicId) {
+    if (!this.topics[prerequisiteId] || !this.topics[topicId]) {
+      throw new Error('Both topics must be imported before linking them');
+    }
+    if (prerequisiteId === topicId) {
+      throw new Error('A topic cannot be its own prerequisite');
+    }
+    const loop = this.findPrerequisitePath(prerequisiteId, topicId);
+    if (loop) {
+      throw new Error(
+        `"${prerequisiteId}" already builds on "${topicId}" ` +
+          `(${loop.join(' → ')}), so this would create a cycle`
+      );
+    }
+
+    const edits = this.getEdits();
+    edits.removed = edits.removed.filter(
+      ([from, to]) => !(from === prerequisiteId && to === topicId)
+    );
+    if (
+      !edits.added.some(
+        ([from, to]) => from === prerequisiteId && to === topicId
+      )
+    ) {
+      edits.added.push([prerequisiteId, topicId]);
+    }
+    this.saveEdits();
+    this.buildFromTopics(this.sourceTopics, this.reviewCards);
+  }
+
+  /**
+   * Remove a prerequisite edge, whether inferred or added by the learner
+   * @param {string} prerequisiteId - Topic currently studied first
+   * @param {string} topicId - Topic that depends on it
+   */
+  removePrerequisite(prerequisiteId, topicId) {
+    const edits = this.getEdits();
+    edits.added = edits.added.filter(
+      ([from, to]) => !(from === prerequisiteId && to === topicId)
+    );
+    if (
+      !edits.removed.some(
+        ([from, to]) => from === prerequisiteId && to === topicId
+      )
+    ) {
+      edits.removed.push([prerequisiteId, topicId]);
+    }
+    this.saveEdits();
+    this.buildFromTopics(this.sourceTopics, this.reviewCards);
+  }
+
+  /**
+   * Find prerequisite cycles in the current graph
+   * @returns {Array<Array<string>>} - Each cycle as [a, b, ..., a]
+   */
+  findCycles() {
+    const cycles = [];
+    const state = new Map(); // topicId -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (topicId) => {
+      state.set(topicId, 'visiting');
+      stack.push(topicId);
+      (this.topics[topicId]?.prerequisites || []).forEach((prereqId) => {
+        if (!this.topics[prereqId]) return;
+        if (state.get(prereqId) === 'visiting') {
+          cycles.push([...stack.slice(stack.indexOf(prereqId)), prereqId]);
+        } else if (!state.has(prereqId)) {
+          visit(prereqId);
+        }
+      });
+      stack.pop();
+      state.set(topicId, 'done');
+    };
+
+    Object.keys(this.topics).forEach((topicId) => {
+      if (!state.has(topicId)) visit(topicId);
+    });
+    return cycles;
+  }
+
   defineSkillPrerequisites() {
-    this.skillPrerequisites = new Map([
-      ['science.atomic_structure', []],
-      ['science.periodic_table', ['science.atomic_structure']],
-      [
-        'science.chemical_bonding',
-        ['science.atomic_structure', 'science.electron_configuration'],
-      ],
-      ['science.electron_configuration', ['science.atomic_structure']],
-      ['science.organic_compounds', ['science.chemical_bonding']],
-      [
-        'science.functional_groups',
-        ['science.chemical_bonding', 'science.organic_compounds'],
-      ],
-      ['science.cell_structure', []],
-      ['science.cell_function', ['science.cell_structure']],
-      ['biology.organelles', ['science.cell_structure']],
-      ['biology.genetics', ['science.cell_function', 'biology.organelles']],
-      ['biology.inheritance', ['biology.genetics']],
-      ['logic.classification', []],
-      ['logic.probability', []],
-    ]);
+    // Every skill of a topic needs the skills of its direct prerequisites
+    this.skillPrerequisites = new Map();
+    Object.values(this.topics).forEach((topic) => {
+      const required = topic.prerequisites.flatMap(
+        (prereqId) => this.topics[prereqId]?.skills || []
+      );
+      topic.skills.forEach((skillId) => {
+        this.skillPrerequisites.set(skillId, required);
+      });
+    });
   }
 
   buildCurriculumGraph() {
     // Build dependency graph
+    this.curriculumGraph = new Map();
     Object.values(this.topics).forEach((topic) => {
       this.curriculumGraph.set(topic.id, {
         ...topic,
@@ -143,33 +407,77 @@ export class CurriculumPlanner {
   }
 
   createTopicClusters() {
-    // Group related topics into clusters
-    this.topicClusters = new Map([
-      [
-        'chemistry_fundamentals',
-        {
-          name: 'Chemistry Fundamentals',
-          topics: ['atomic_structure', 'chemical_bonding'],
-          theme: 'Building blocks of matter',
-        },
-      ],
-      [
-        'organic_chemistry',
-        {
-          name: 'Organic Chemistry',
-          topics: ['organic_chemistry'],
-          theme: 'Carbon-based compounds',
-        },
-      ],
-      [
-        'biology_fundamentals',
-        {
-          name: 'Biology Fundamentals',
-          topics: ['cell_biology', 'genetics'],
-          theme: 'Life and inheritance',
-        },
-      ],
-    ]);
+    // Group topics by their detected subject
+    this.topicClusters = new Map();
+    Object.values(this.topics).forEach((topic) => {
+      const clusterId = topic.subject || 'general';
+      if (!this.topicClusters.has(clusterId)) {
+        this.topicClusters.set(clusterId, {
+          name: topic.subject
+            ? topic.subject.charAt(0).toUpperCase() + topic.subject.slice(1)
+            : 'General',
+          topics: [],
+          theme: topic.subject
+            ? `Imported ${topic.subject} topics`
+            : 'Topics without a detected subject',
+        });
+      }
+      this.topicClusters.get(clusterId).topics.push(topic.id);
+    });
+  }
+
+  updateMastery(reviewCards = []) {
+    this.reviewCards = reviewCards;
+    this.skillMastery = new Map(
+      reviewCards.map((card) => [card.id, skillLevelFromCard(card)])
+    );
+  }
+
+  getSkillLevel(skillId, userModel) {
+    if (this.skillMastery.has(skillId)) return this.skillMastery.get(skillId);
+    return userModel?.skillLevels?.[skillId]?.current || 0;
+  }
+
+  isTopicMastered(topic, userModel, level = MASTERED_LEVEL) {
+    return (
+      topic.skills.length > 0 &&
+      topic.skills.every(
+        (skillId) => this.getSkillLevel(skillId, userModel) >= level
+      )
+    );
+  }
+
+  /**
+   * Every topic in study order, with whether it is mastered, ready or blocked
+   * @param {Object} userModel - Optional user model for skills without cards
+   * @returns {Array<Object>} - { topic, status, mastery, blockedBy }
+   */
+  getStudyPath(userModel = null) {
+    const order = this.sortTopicsByOptimalOrder(
+      Object.keys(this.topics),
+      userModel
+    );
+    return order.map((topicId) => {
+      const topic = this.topics[topicId];
+      const blockedBy = topic.prerequisites.filter(
+        (prereqId) =>
+          !this.isTopicMastered(
+            this.topics[prereqId],
+            userModel,
+            PREREQUISITE_LEVEL
+          )
+      );
+      let status = 'ready';
+      if (this.isTopicMastered(topic, userModel)) status = 'mastered';
+      else if (blockedBy.length > 0) status = 'blocked';
+
+      return {
+        topic,
+        status,
+        mastery: this.calculateAverageSkillLevel(topic.skills, userModel),
+        blockedBy,
+      };
+    });
   }
 
   async generateLearningPath(userId, goalTopic = null, availableTime = 60) {
@@ -200,14 +508,15 @@ export class CurriculumPlanner {
 
       // Check if user has mastered required skills
       return !topic.skills.every(
-        (skillId) => (userModel.skillLevels[skillId]?.current || 0) >= 0.8
+        (skillId) => this.getSkillLevel(skillId, userModel) >= 0.8
       );
     });
 
     // Add the goal topic if not mastered
     const goalTopicObj = this.topics[goalTopic];
+    if (!goalTopicObj) return path;
     const goalMastered = goalTopicObj.skills.every(
-      (skillId) => (userModel.skillLevels[skillId]?.current || 0) >= 0.8
+      (skillId) => this.getSkillLevel(skillId, userModel) >= 0.8
     );
 
     if (!goalMastered) {
@@ -316,7 +625,7 @@ export class CurriculumPlanner {
   }
 
   sortTopicsByOptimalOrder(topicIds, userModel) {
-    return topicIds.sort((a, b) => {
+    const compare = (a, b) => {
       const topicA = this.topics[a];
       const topicB = this.topics[b];
 
@@ -335,14 +644,43 @@ export class CurriculumPlanner {
       );
 
       // Prefer topics where user has higher skill levels
-      return skillLevelB - skillLevelA;
-    });
+      return skillLevelB - skillLevelA || difficultyDiff;
+    };
+
+    // Topological order: a topic comes after every prerequisite in the list,
+    // even indirect ones; the comparison above only breaks ties
+    const remaining = topicIds.filter((topicId) => this.topics[topicId]);
+    const waitingOn = new Map(
+      remaining.map((topicId) => [
+        topicId,
+        new Set(
+          this.getAllPrerequisites(topicId).filter(
+            (prereqId) => prereqId !== topicId && remaining.includes(prereqId)
+          )
+        ),
+      ])
+    );
+    const ordered = [];
+
+    while (remaining.length > 0) {
+      const ready = remaining.filter(
+        (topicId) => waitingOn.get(topicId).size === 0
+      );
+      // Topics caught in a cycle are released together
+      const next = (ready.length > 0 ? ready : remaining).sort(compare)[0];
+      ordered.push(next);
+      remaining.splice(remaining.indexOf(next), 1);
+      waitingOn.forEach((prereqs) => prereqs.delete(next));
+    }
+
+    return ordered;
   }
 
   calculateAverageSkillLevel(skillIds, userModel) {
-    const levels = skillIds.map(
-      (skillId) => userModel.skillLevels[skillId]?.current || 0
+    const levels = skillIds.map((skillId) =>
+      this.getSkillLevel(skillId, userModel)
     );
+    if (levels.length === 0) return 0;
     return levels.reduce((sum, level) => sum + level, 0) / levels.length;
   }
 
@@ -352,7 +690,7 @@ export class CurriculumPlanner {
     topicIds.forEach((topicId) => {
       const topic = this.topics[topicId];
       topic.skills.forEach((skillId) => {
-        const userLevel = userModel.skillLevels[skillId]?.current || 0;
+        const userLevel = this.getSkillLevel(skillId, userModel);
         if (userLevel < 0.6) {
           // Consider below 60% as a gap
           skillGaps.push({
@@ -469,7 +807,7 @@ export class CurriculumPlanner {
       if (!prereq) continue;
 
       const prereqMastered = prereq.skills.every(
-        (skillId) => (userModel.skillLevels[skillId]?.current || 0) >= 0.7
+        (skillId) => this.getSkillLevel(skillId, userModel) >= 0.7
       );
 
       if (!prereqMastered) return false;
@@ -477,7 +815,7 @@ export class CurriculumPlanner {
 
     // Check if topic is not already mastered
     const topicMastered = topic.skills.every(
-      (skillId) => (userModel.skillLevels[skillId]?.current || 0) >= 0.8
+      (skillId) => this.getSkillLevel(skillId, userModel) >= 0.8
     );
 
     return !topicMastered;
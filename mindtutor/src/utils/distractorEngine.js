@@ -0,0 +1,432 @@
+// distractorEngine.js - Plausible wrong options for multiple-choice questions
+// Candidates come from three places: the definitions of sibling concepts,
+// mutations of the correct definition (an antonym, a number, a direction or a
+// key term swapped) and the topic's misconception bank, which grows from the
+// wrong options learners actually pick. Candidates are ranked by how close
+// they are to the key, lexically and by meaning, and trimmed so that no option
+// gives itself away by its length.
+
+import { stems, stemWord, mentions, getAntonym } from './rubricGrading.js';
+
+const BANK_STORAGE_KEY = 'mindtutor_misconception_bank';
+const PICK_LOG_STORAGE_KEY = 'mindtutor_distractor_picks';
+const MAX_PICK_LOG = 500;
+
+export const MAX_OPTION_LENGTH = 100;
+// Candidates this close to the key (word for word) say the same thing
+const MAX_KEY_OVERLAP = 0.95;
+// Two distractors this close to each other would be redundant
+const MAX_PAIR_SIMILARITY = 0.8;
+// No source supplies more than this many of a question's distractors, so
+// mutations of the key never outnumber the other options
+const MAX_PER_SOURCE = 2;
+// Score lost by a candidate twice (or half) the length of the key
+const LENGTH_PENALTY = 0.4;
+const MAX_BANK_BONUS = 0.3;
+const MIN_TERM_LENGTH = 5;
+
+// Last resort when a topic has too few concepts and nothing to mutate
+const FALLBACK_DISTRACTORS = [
+  (name) => `A process unrelated to ${name}`,
+  (name) => `The opposite of what ${name} represents`,
+  (name) => `A common misconception about ${name}`,
+];
+
+const words = (text) =>
+  (text || '').toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [];
+
+// Words plus adjacent word pairs
+function wordsAndPairs(text) {
+  const list = words(text);
+  return new Set([
+    ...list,
+    ...list.slice(1).map((word, index) => `${list[index]} ${word}`),
+  ]);
+}
+
+/**
+ * Share of words and word pairs two texts have in common (Jaccard), numbers
+ * included. Pairs make the measure sensitive to word order, so "from low to
+ * high" differs from "from high to low".
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - 0 to 1
+ */
+export function lexicalSimilarity(a, b) {
+  const setA = wordsAndPairs(a);
+  const setB = wordsAndPairs(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  const shared = [...setA].filter((word) => setB.has(word)).length;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * How much of each text's content the other covers, counting synonyms
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - 0 to 1
+ */
+export function semanticSimilarity(a, b) {
+  const stemsA = stems(a);
+  const stemsB = stems(b);
+  if (stemsA.length === 0 || stemsB.length === 0) return 0;
+  const cover = (from, to) =>
+    from.filter((stem) => mentions(to, stem)).length / from.length;
+  return (cover(stemsA, stemsB) + cover(stemsB, stemsA)) / 2;
+}
+
+/**
+ * Shorten an option to a clause or word boundary
+ * @param {string} text - Option text
+ * @param {number} maxLength - Longest allowed option
+ * @returns {string}
+ */
+export function trimOption(text, maxLength = MAX_OPTION_LENGTH) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+
+  // Prefer ending on a whole clause, as long as most of the text survives
+  const head = clean.slice(0, maxLength);
+  const clauseEnd = Math.max(
+    head.lastIndexOf(', '),
+    head.lastIndexOf('; '),
+    head.lastIndexOf(' and '),
+    head.lastIndexOf(' which ')
+  );
+  if (clauseEnd >= maxLength * 0.6) return clean.slice(0, clauseEnd);
+
+  const wordEnd = head.lastIndexOf(' ');
+  return `${clean.slice(0, wordEnd > 0 ? wordEnd : maxLength)}...`;
+}
+
+// Put an antonym's base form into the same shape as the word it replaces
+function inflectLike(base, word) {
+  const lower = word.toLowerCase();
+  let inflected = base;
+  if (stemWord(lower) !== lower) {
+    if (lower.endsWith('ing')) inflected = `${base.replace(/e$/, '')}ing`;
+    else if (lower.endsWith('ed')) inflected = `${base.replace(/e$/, '')}ed`;
+    else if (lower.endsWith('s')) {
+      inflected = /(s|x|ch|sh)$/.test(base) ? `${base}es` : `${base}s`;
+    }
+  }
+  return word[0] === word[0].toUpperCase()
+    ? inflected[0].toUpperCase() + inflected.slice(1)
+    : inflected;
+}
+
+function replaceWord(text, word, replacement, flags = '') {
+  return text.replace(new RegExp(`\\b${word}\\b`, flags), replacement);
+}
+
+function changeNumber(value, isPercent) {
+  const number = Number(value);
+  if (isPercent && number > 0 && number < 100 && number !== 50) {
+    return String(100 - number);
+  }
+  if (number === 0) return '1';
+  return String(Number.isInteger(number) ? number * 2 : number * 10);
+}
+
+/**
+ * Wrong versions of a definition that differ from it in one detail
+ * @param {string} definition - Correct definition
+ * @param {Array<string>} siblingDefinitions - Definitions of other concepts
+ * @returns {Array<string>}
+ */
+export function mutateDefinition(definition, siblingDefinitions = []) {
+  const mutations = [];
+  const text = definition || '';
+
+  // An antonym swapped in: "increases" -> "decreases". Skipped when the
+  // definition already uses both words ("from high ... to low ...")
+  const textWords = text.match(/[A-Za-z]+/g) || [];
+  const textStems = new Set(textWords.map((w) => stemWord(w.toLowerCase())));
+  const seen = new Set();
+  textWords.forEach((word) => {
+    const antonym = getAntonym(word);
+    if (!antonym || seen.has(word.toLowerCase())) return;
+    if (textStems.has(stemWord(antonym))) return;
+    seen.add(word.toLowerCase());
+    mutations.push(replaceWord(text, word, inflectLike(antonym, word)));
+  });
+
+  // A number changed: "23 pairs" -> "46 pairs", "30%" -> "70%"
+  const number = text.match(/\b(\d+(?:\.\d+)?)(\s*%)?/);
+  if (number) {
+    mutations.push(
+      text.replace(
+        number[0],
+        `${changeNumber(number[1], Boolean(number[2]))}${number[2] || ''}`
+      )
+    );
+  }
+
+  // A direction reversed: "from high to low" -> "from low to high"
+  const direction = text.match(/\bfrom\s+([^,.;]+?)\s+to\s+([^,.;]+)/i);
+  if (direction && direction[1].toLowerCase() !== direction[2].toLowerCase()) {
+    mutations.push(
+      text.replace(direction[0], `from ${direction[2]} to ${direction[1]}`)
+    );
+  }
+
+  // A term only this concept uses swapped for one only a sibling uses
+  const siblingWords = new Set(siblingDefinitions.flatMap(words));
+  const siblingTerms = [...siblingWords].filter(
+    (word) =>
+      word.length >= MIN_TERM_LENGTH &&
+      !/^\d/.test(word) &&
+      !textStems.has(stemWord(word))
+  );
+  const keyTerm = textWords
+    .filter((word) => word.length >= MIN_TERM_LENGTH)
+    .sort((a, b) => b.length - a.length)
+    .find((word) => !siblingWords.has(word.toLowerCase()));
+  if (keyTerm && siblingTerms.length > 0) {
+    const replacement = [...siblingTerms].sort(
+      (a, b) =>
+        Math.abs(a.length - keyTerm.length) -
+        Math.abs(b.length - keyTerm.length)
+    )[0];
+    mutations.push(replaceWord(text, keyTerm, replacement, 'g'));
+  }
+
+  return mutations.filter((mutation) => mutation !== text);
+}
+
+/**
+ * Misconceptions per topic, and a log of the distractors learners pick
+ */
+export class MisconceptionBank {
+  constructor() {
+    this.bank = null;
+    this.pickLog = null;
+  }
+
+  /**
+   * The whole bank, read once from localStorage
+   * @returns {Object} - { [topic]: [{ concept, text, origin, picks }] }
+   */
+  getBank() {
+    if (this.bank) return this.bank;
+    this.bank = {};
+    try {
+      const stored = JSON.parse(localStorage.getItem(BANK_STORAGE_KEY));
+      if (stored && typeof stored === 'object') this.bank = stored;
+    } catch {
+      // Nothing stored or unreadable JSON - start with an empty bank
+    }
+    return this.bank;
+  }
+
+  getPickLog() {
+    if (this.pickLog) return this.pickLog;
+    this.pickLog = [];
+    try {
+      const stored = JSON.parse(localStorage.getItem(PICK_LOG_STORAGE_KEY));
+      if (Array.isArray(stored)) this.pickLog = stored;
+    } catch {
+      // Nothing stored or unreadable JSON - start with an empty log
+    }
+    return this.pickLog;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(BANK_STORAGE_KEY, JSON.stringify(this.getBank()));
+      localStorage.setItem(
+        PICK_LOG_STORAGE_KEY,
+        JSON.stringify(this.getPickLog())
+      );
+    } catch (error) {
+      console.error('Error saving misconception bank:', error);
+    }
+  }
+
+  /**
+   * Misconceptions recorded for one concept
+   * @param {string} topicName - Topic name
+   * @param {string} conceptName - Concept name
+   * @returns {Array} - Entries, most picked first
+   */
+  getMisconceptions(topicName, conceptName) {
+    return (this.getBank()[topicName] || [])
+      .filter((entry) => entry.concept === conceptName)
+      .sort((a, b) => b.picks - a.picks);
+  }
+
+  /**
+   * Add a misconception to a topic's bank, or count it again
+   * @param {string} topicName - Topic name
+   * @param {string} conceptName - Concept it is a wrong answer for
+   * @param {string} text - The wrong statement
+   * @param {string} origin - Where it came from ('manual', 'sibling', ...)
+   * @returns {Object} - The bank entry
+   */
+  addMisconception(topicName, conceptName, text, origin = 'manual') {
+    const bank = this.getBank();
+    const entries = (bank[topicName] = bank[topicName] || []);
+    let entry = entries.find(
+      (e) => e.concept === conceptName && e.text === text
+    );
+    if (!entry) {
+      entry = { concept: conceptName, text, origin, picks: 0 };
+      entries.push(entry);
+    }
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Record the distractors a learner chose in a graded quiz
+   * @param {string} topicName - Topic the quiz was on
+   * @param {string} userId - Learner
+   * @param {Array} results - gradeQuiz results
+   * @returns {number} - Number of picks recorded
+   */
+  recordPicks(topicName, userId, results) {
+    const picks = (results || []).filter((result) => result.chosenDistractor);
+    if (picks.length === 0) return 0;
+
+    const bank = this.getBank();
+    const entries = (bank[topicName] = bank[topicName] || []);
+    const timestamp = new Date().toISOString();
+    picks.forEach(({ questionId, conceptTested, chosenDistractor }) => {
+      const { text, source } = chosenDistractor;
+      let entry = entries.find(
+        (e) => e.concept === conceptTested && e.text === text
+      );
+      if (!entry) {
+        entry = { concept: conceptTested, text, origin: source, picks: 0 };
+        entries.push(entry);
+      }
+      entry.picks++;
+      entry.lastPicked = timestamp;
+
+      this.getPickLog().push({
+        userId,
+        topic: topicName,
+        concept: conceptTested,
+        questionId,
+        text,
+        source,
+        timestamp,
+      });
+    });
+    this.pickLog = this.getPickLog().slice(-MAX_PICK_LOG);
+    this.save();
+    return picks.length;
+  }
+
+  /**
+   * Picked distractors for analysis, optionally for one topic or learner
+   * @param {Object} filter - { topic, userId }
+   * @returns {Array} - Log entries, oldest first
+   */
+  getPicks({ topic, userId } = {}) {
+    return this.getPickLog().filter(
+      (pick) =>
+        (!topic || pick.topic === topic) && (!userId || pick.userId === userId)
+    );
+  }
+
+  clearTopic(topicName) {
+    delete this.getBank()[topicName];
+    this.pickLog = this.getPickLog().filter((pick) => pick.topic !== topicName);
+    this.save();
+  }
+}
+
+// Create singleton instance
+export const misconceptionBank = new MisconceptionBank();
+
+/**
+ * Ranked distractors for a multiple-choice question on one concept
+ * @param {Object} concept - { concept, definition }
+ * @param {Array} allConcepts - Every concept in the topic
+ * @param {Object} options - { topicName, count, bank }
+ * @returns {Array} - [{ text, source: 'sibling' | 'mutation' |
+ *   'misconception' | 'fallback', score }]
+ */
+export function generateDistractors(concept, allConcepts = [], options = {}) {
+  const { topicName, count = 3, bank = misconceptionBank } = options;
+  const key = trimOption(concept.definition);
+  const keyLength = Math.max(key.length, 1);
+  const siblings = allConcepts.filter(
+    (other) => other.concept !== concept.concept && other.definition
+  );
+
+  const raw = [
+    ...(topicName
+      ? bank.getMisconceptions(topicName, concept.concept)
+      : []
+    ).map((entry) => ({
+      text: entry.text,
+      source: 'misconception',
+      picks: entry.picks,
+    })),
+    ...mutateDefinition(
+      concept.definition,
+      siblings.map((other) => other.definition)
+    ).map((text) => ({
+      text,
+      source: 'mutation',
+    })),
+    ...siblings.map((other) => ({ text: other.definition, source: 'sibling' })),
+  ];
+
+  // Earlier sources win duplicates, so a banked sibling keeps its picks
+  const seen = new Set([key.toLowerCase()]);
+  const candidates = [];
+  raw.forEach((candidate) => {
+    const text = trimOption(candidate.text);
+    if (!text || seen.has(text.toLowerCase())) return;
+    if (lexicalSimilarity(text, key) > MAX_KEY_OVERLAP) return;
+    seen.add(text.toLowerCase());
+
+    const similarity =
+      (lexicalSimilarity(text, key) + semanticSimilarity(text, key)) / 2;
+    const lengthGap = Math.abs(Math.log2(text.length / keyLength));
+    const bankBonus = Math.min(
+      MAX_BANK_BONUS,
+      0.1 * Math.log2(1 + (candidate.picks || 0))
+    );
+    candidates.push({
+      text,
+      source: candidate.source,
+      score: similarity - LENGTH_PENALTY * Math.min(1, lengthGap) + bankBonus,
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  // The learners' most picked misconception always gets a place
+  const banked = candidates.find((c) => c.source === 'misconception');
+  const chosen = banked && count > 0 ? [banked] : [];
+  const pick = (limitPerSource) => {
+    candidates.forEach((candidate) => {
+      if (chosen.length >= count || chosen.includes(candidate)) return;
+      const fromSource = chosen.filter(
+        (c) => c.source === candidate.source
+      ).length;
+      if (fromSource >= limitPerSource) return;
+      const redundant = chosen.some(
+        (c) => lexicalSimilarity(c.text, candidate.text) > MAX_PAIR_SIMILARITY
+      );
+      if (!redundant) chosen.push(candidate);
+    });
+  };
+  pick(MAX_PER_SOURCE);
+  // Too few sources to stay mixed; fill up from whatever is left
+  if (chosen.length < count) pick(count);
+
+  FALLBACK_DISTRACTORS.forEach((fallback) => {
+    if (chosen.length >= count) return;
+    chosen.push({
+      text: fallback(concept.concept),
+      source: 'fallback',
+      score: 0,
+    });
+  });
+
+  return chosen;
+}
@@ -1,3 +1,4 @@
+/* global performance */
 /**
  * Document Processor - Advanced AI-powered document processing system
  * Handles OCR, PDF text extraction, and multimodal content analysis
@@ -5,6 +6,19 @@
 
 import * as pdfjsLib from 'pdfjs-dist';
 import { trackAIOperation } from './performanceMonitor';
+import {
+  extractDocx,
+  extractEpub,
+  parseMarkdown,
+  parseHTML
+} from './documentStructure.js';
+import { layoutPdfPages, isImageOnlyPage } from './pdfLayout.js';
+import {
+  ALL_OCR_LANGUAGES,
+  detectLanguage,
+  languageFromOcrCode,
+  readingEase
+} from './languages.js';
 
 // Configure PDF.js worker safely
 (async () => {
@@ -86,6 +100,7 @@ export class OCREngine {
   constructor() {
     this.worker = null;
     this.isInitialized = false;
+    this.activeLanguages = null;
   }
 
   async initialize() {
@@ -96,18 +111,18 @@ export class OCREngine {
       // Dynamically import tesseract.js to avoid bundling issues
       const { createWorker } = await import('tesseract.js');
       this.worker = await createWorker();
-      await this.worker.loadLanguage('eng');
-      await this.worker.initialize('eng');
 
-      // Load additional languages for better recognition
-      await this.worker.loadLanguage('spa+fra+deu');
-      await this.worker.initialize('spa+fra+deu');
+      // Load every supported language; recognition starts with all of them
+      // and narrows to one when the caller knows the document's language
+      await this.worker.loadLanguage(ALL_OCR_LANGUAGES);
+      await this.worker.initialize(ALL_OCR_LANGUAGES);
+      this.activeLanguages = ALL_OCR_LANGUAGES;
 
       this.isInitialized = true;
 
       logDocProcessing('ocr', 'initialize', {
         processingTime: performance.now() - startTime,
-        languages: ['eng', 'spa', 'fra', 'deu'],
+        languages: ALL_OCR_LANGUAGES.split('+'),
         status: 'success'
       });
     } catch (error) {
@@ -126,11 +141,16 @@ export class OCREngine {
 
     try {
       const {
-        language = 'eng',
+        language = ALL_OCR_LANGUAGES,
         preprocess = true,
         confidence = 60
       } = options;
 
+      if (language !== this.activeLanguages) {
+        await this.worker.initialize(language);
+        this.activeLanguages = language;
+      }
+
       // Preprocessing for better OCR accuracy
       let processedImage = imageFile;
       if (preprocess) {
@@ -207,6 +227,7 @@ export class OCREngine {
       await this.worker.terminate();
       this.worker = null;
       this.isInitialized = false;
+      this.activeLanguages = null;
     }
   }
 }
@@ -215,8 +236,53 @@ export class OCREngine {
  * Advanced PDF Processing Engine
  */
 export class PDFProcessor {
-  constructor() {
+  constructor(ocrEngine = null) {
     this.pdfDocument = null;
+    this.ocrEngine = ocrEngine;
+  }
+
+  /**
+   * Render a page without a text layer and read it with the OCR engine
+   * @returns {Object} - { text, confidence } or { text: '', confidence: 0, error }
+   */
+  async recognizePage(page, options = {}) {
+    const startTime = performance.now();
+    const { ocrScale = 2 } = options;
+
+    try {
+      if (!this.ocrEngine) this.ocrEngine = new OCREngine();
+
+      const viewport = page.getViewport({ scale: ocrScale });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+      const image = await new Promise((resolve, reject) => {
+        canvas.toBlob(
+          blob => (blob ? resolve(blob) : reject(new Error('Could not render page'))),
+          'image/png'
+        );
+      });
+      const ocrResult = await this.ocrEngine.processImage(image, options);
+
+      logDocProcessing('pdf', 'recognizePage', {
+        processingTime: performance.now() - startTime,
+        pageNumber: page.pageNumber,
+        confidence: ocrResult.confidence,
+        wordCount: ocrResult.wordCount
+      });
+
+      return { text: ocrResult.text, confidence: ocrResult.confidence };
+    } catch (error) {
+      logDocProcessing('pdf', 'recognizePage', {
+        processingTime: performance.now() - startTime,
+        pageNumber: page.pageNumber,
+        error: error.message,
+        status: 'failed'
+      });
+      return { text: '', confidence: 0, error: error.message };
+    }
   }
 
   async loadPDF(pdfFile) {
@@ -268,11 +334,14 @@ export class PDFProcessor {
       const page = await this.pdfDocument.getPage(pageNum);
       const textContent = await page.getTextContent();
 
-      const pageText = textContent.items
+      let pageText = textContent.items
         .map(item => item.str)
         .join(' ')
         .replace(/\s+/g, ' ')
         .trim();
+      if (options.ocr !== false && isImageOnlyPage(textContent.items)) {
+        pageText = (await this.recognizePage(page, options)).text;
+      }
 
       pageTexts.push({
         pageNumber: pageNum,
@@ -302,6 +371,72 @@ export class PDFProcessor {
     return result;
   }
 
+  /**
+   * Extract text per page with headings, lists, columns and page labels
+   * rebuilt from text item font sizes and positions
+   */
+  async extractStructure(options = {}) {
+    if (!this.pdfDocument) throw new Error('PDF not loaded');
+
+    const startTime = performance.now();
+    const {
+      startPage = 1,
+      endPage = this.pdfDocument.numPages,
+      ocr = true,
+      onProgress
+    } = options;
+    const totalPages = endPage - startPage + 1;
+
+    const pages = [];
+    for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
+      const page = await this.pdfDocument.getPage(pageNum);
+      const viewport = page.getViewport({ scale: 1 });
+      const textContent = await page.getTextContent();
+      const progress = { pageNumber: pageNum, pageIndex: pageNum - startPage + 1, totalPages };
+
+      // Scanned pages have no text layer: render them and run OCR instead
+      if (ocr && isImageOnlyPage(textContent.items)) {
+        onProgress?.({ ...progress, stage: 'ocr' });
+        const recognized = await this.recognizePage(page, options);
+        pages.push({ pageNumber: pageNum, ocr: recognized });
+        onProgress?.({ ...progress, stage: 'ocr_done', confidence: recognized.confidence });
+        continue;
+      }
+
+      onProgress?.({ ...progress, stage: 'text' });
+      pages.push({
+        pageNumber: pageNum,
+        width: viewport.width,
+        height: viewport.height,
+        items: textContent.items,
+        styles: textContent.styles
+      });
+    }
+
+    const layout = layoutPdfPages(pages);
+    const ocrPages = pages
+      .filter(p => p.ocr)
+      .map(p => ({ pageNumber: p.pageNumber, confidence: p.ocr.confidence, error: p.ocr.error || null }));
+    const result = {
+      ...layout,
+      ocrPages,
+      totalPages: layout.pages.length,
+      totalWords: layout.content.split(/\s+/).filter(w => w.length > 0).length,
+      metadata: await this.pdfDocument.getMetadata()
+    };
+
+    logDocProcessing('pdf', 'extractStructure', {
+      processingTime: performance.now() - startTime,
+      pagesProcessed: layout.pages.length,
+      headingsFound: layout.outline.length,
+      twoColumnPages: layout.pages.filter(p => p.columns === 2).length,
+      ocrPages: ocrPages.length,
+      totalWords: result.totalWords
+    });
+
+    return result;
+  }
+
   async extractImages(options = {}) {
     if (!this.pdfDocument) throw new Error('PDF not loaded');
 
@@ -350,13 +485,32 @@ export class PDFProcessor {
   }
 }
 
+// Container and markup formats whose headings and lists are kept as structure
+const STRUCTURED_MIME_TYPES = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/epub+zip': 'epub',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html'
+};
+const STRUCTURED_EXTENSIONS = {
+  '.docx': 'docx',
+  '.epub': 'epub',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html'
+};
+
 /**
  * Multimodal Content Processor - Combines OCR, PDF, and text analysis
  */
 export class MultimodalProcessor {
   constructor() {
     this.ocrEngine = new OCREngine();
-    this.pdfProcessor = new PDFProcessor();
+    this.pdfProcessor = new PDFProcessor(this.ocrEngine);
   }
 
   async processFile(file, options = {}) {
@@ -389,13 +543,22 @@ export class MultimodalProcessor {
         case 'text':
           result = await this.processText(file, options);
           break;
+        case 'docx':
+        case 'epub':
+        case 'markdown':
+        case 'html':
+          result = await this.processStructured(file, fileType);
+          break;
         default:
           throw new Error(`Unsupported file type: ${file.type}`);
       }
 
+      // The OCR language when one was chosen, otherwise detected from the text
+      result.language = languageFromOcrCode(options.language) || detectLanguage(result.content);
+
       // Enhanced content analysis with performance tracking
       const analysisStart = performance.now();
-      result.analysis = await this.analyzeContent(result.content, options);
+      result.analysis = await this.analyzeContent(result.content, { ...options, language: result.language });
       const analysisTime = performance.now() - analysisStart;
 
       const processingTime = performance.now() - startTime;
@@ -452,25 +615,37 @@ export class MultimodalProcessor {
   }
 
   detectFileType(file) {
+    const name = (file.name || '').toLowerCase();
+    const extension = name.includes('.') ? name.slice(name.lastIndexOf('.')) : '';
+
     if (file.type === 'application/pdf') return 'pdf';
     if (file.type.startsWith('image/')) return 'image';
-    if (file.type === 'text/plain' || file.name.endsWith('.txt')) return 'text';
+    if (STRUCTURED_MIME_TYPES[file.type]) return STRUCTURED_MIME_TYPES[file.type];
+    if (STRUCTURED_EXTENSIONS[extension]) return STRUCTURED_EXTENSIONS[extension];
+    if (file.type === 'text/plain' || extension === '.txt') return 'text';
     return 'unknown';
   }
 
   async processPDF(file, options) {
     await this.pdfProcessor.loadPDF(file);
-    const textResult = await this.pdfProcessor.extractText(options);
+    const layout = await this.pdfProcessor.extractStructure(options);
+    const recognized = layout.ocrPages.filter(p => !p.error);
 
     return {
       type: 'pdf',
-      content: textResult.fullText,
+      content: layout.content,
       metadata: {
-        pageCount: textResult.totalPages,
-        wordCount: textResult.totalWords,
-        pdfMetadata: textResult.metadata
+        pageCount: layout.totalPages,
+        wordCount: layout.totalWords,
+        headingCount: layout.outline.length,
+        pdfMetadata: layout.metadata,
+        ocrPages: layout.ocrPages,
+        ocrConfidence: recognized.length > 0
+          ? recognized.reduce((sum, p) => sum + p.confidence, 0) / recognized.length
+          : null
       },
-      pages: textResult.pageTexts
+      pages: layout.pages,
+      structure: { sections: layout.sections, outline: layout.outline }
     };
   }
 
@@ -507,9 +682,42 @@ export class MultimodalProcessor {
     };
   }
 
+  /**
+   * Extract text and heading structure from DOCX, EPUB, Markdown or HTML
+   */
+  async processStructured(file, fileType) {
+    let extracted;
+    if (fileType === 'docx') {
+      extracted = await extractDocx(await file.arrayBuffer());
+    } else if (fileType === 'epub') {
+      extracted = await extractEpub(await file.arrayBuffer());
+    } else if (fileType === 'markdown') {
+      extracted = parseMarkdown(await file.text());
+    } else {
+      extracted = parseHTML(await file.text());
+    }
+
+    const { content, sections, outline, title } = extracted;
+    if (!content.trim()) {
+      throw new Error('No readable text found in this document');
+    }
+
+    return {
+      type: fileType,
+      content,
+      metadata: {
+        wordCount: content.split(/\s+/).filter(w => w.length > 0).length,
+        sectionCount: sections.length,
+        headingCount: outline.length,
+        title: title || null
+      },
+      structure: { sections, outline }
+    };
+  }
+
   async analyzeContent(content, options) {
     const analysis = {
-      readability: this.calculateReadability(content),
+      readability: this.calculateReadability(content, options.language),
       topics: this.extractTopics(content),
       complexity: this.assessComplexity(content),
       structure: this.analyzeStructure(content),
@@ -523,39 +731,24 @@ export class MultimodalProcessor {
     return analysis;
   }
 
-  calculateReadability(text) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const words = text.split(/\s+/).filter(w => w.length > 0);
-    const syllables = this.countSyllables(text);
-
-    const avgWordsPerSentence = words.length / sentences.length;
-    const avgSyllablesPerWord = syllables / words.length;
-
-    // Flesch Reading Ease Score
-    const fleschScore = 206.835 - (1.015 * avgWordsPerSentence) - (84.6 * avgSyllablesPerWord);
+  /**
+   * Reading ease with the formula for the text's language (Flesch for
+   * English, Fernández Huerta, Kandel–Moles or Amstad otherwise)
+   */
+  calculateReadability(text, language = detectLanguage(text)) {
+    const ease = readingEase(text, language);
+    const score = ease ? ease.score : 0;
 
     return {
-      fleschScore: Math.max(0, Math.min(100, fleschScore)),
-      avgWordsPerSentence,
-      avgSyllablesPerWord,
-      level: fleschScore > 60 ? 'easy' : fleschScore > 30 ? 'medium' : 'difficult'
+      fleschScore: Math.max(0, Math.min(100, score)),
+      formula: ease ? ease.formula : null,
+      language,
+      avgWordsPerSentence: ease ? ease.avgWordsPerSentence : 0,
+      avgSyllablesPerWord: ease ? ease.avgSyllablesPerWord : 0,
+      level: score > 60 ? 'easy' : score > 30 ? 'medium' : 'difficult'
     };
   }
 
-  countSyllables(text) {
-    const words = text.toLowerCase().split(/\s+/);
-    let syllables = 0;
-
-    words.forEach(word => {
-      word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
-      word = word.replace(/^y/, '');
-      const matches = word.match(/[aeiouy]{1,2}/g);
-      syllables += matches ? matches.length : 1;
-    });
-
-    return syllables;
-  }
-
   extractTopics(text) {
     const topics = [];
     const lowerText = text.toLowerCase();
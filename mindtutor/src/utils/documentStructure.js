@@ -0,0 +1,577 @@
+/* global DOMParser */
+// documentStructure.js - Structured text extraction for DOCX, EPUB, Markdown and HTML
+// Every format is reduced to the same block list (headings, paragraphs, lists)
+// so heading hierarchy and lists survive import as topic sections.
+
+import { openZip } from './zipArchive.js';
+
+const HTML_SKIP_TAGS = new Set([
+  'SCRIPT',
+  'STYLE',
+  'NOSCRIPT',
+  'TEMPLATE',
+  'NAV',
+  'FOOTER',
+  'ASIDE',
+  'FORM',
+  'BUTTON',
+  'SVG',
+]);
+const HTML_BLOCK_TAGS = new Set([
+  'P',
+  'BLOCKQUOTE',
+  'PRE',
+  'DD',
+  'DT',
+  'FIGCAPTION',
+  'CAPTION',
+]);
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn a list of blocks into plain text plus heading-delimited sections
+ * Blocks that carry a pageNumber (PDF) give their sections a page span.
+ * @param {Array} blocks - [{type: 'heading'|'paragraph'|'list', ...}]
+ * @returns {Object} - { content, sections, outline }
+ */
+export function blocksToStructure(blocks) {
+  const sections = [];
+  const textParts = [];
+  let current = { title: null, level: 0, parts: [], lists: [], pages: [] };
+
+  const closeSection = () => {
+    if (current.title || current.parts.length > 0) {
+      const section = {
+        title: current.title,
+        level: current.level,
+        content: current.parts.join('\n\n'),
+        lists: current.lists,
+      };
+      if (current.pages.length > 0) {
+        section.startPage = Math.min(...current.pages);
+        section.endPage = Math.max(...current.pages);
+      }
+      sections.push(section);
+    }
+  };
+
+  blocks.forEach((block) => {
+    if (block.type === 'heading') {
+      const title = normalizeWhitespace(block.text);
+      if (!title) return;
+      closeSection();
+      current = {
+        title,
+        level: block.level,
+        parts: [],
+        lists: [],
+        pages: [],
+      };
+      textParts.push(title);
+    } else if (block.type === 'list') {
+      // Leading spaces mark nesting depth and are kept
+      const items = block.items
+        .map((item) => {
+          const text = normalizeWhitespace(item);
+          return text ? `${item.match(/^ */)[0]}${text}` : '';
+        })
+        .filter(Boolean);
+      if (items.length === 0) return;
+      const text = items
+        .map((item, i) => (block.ordered ? `${i + 1}. ${item}` : `- ${item}`))
+        .join('\n');
+      current.lists.push({ ordered: !!block.ordered, items });
+      current.parts.push(text);
+      textParts.push(text);
+    } else {
+      const text = block.preformatted
+        ? block.text.trim()
+        : normalizeWhitespace(block.text);
+      if (!text) return;
+      current.parts.push(text);
+      textParts.push(text);
+    }
+    if (block.pageNumber) current.pages.push(block.pageNumber);
+  });
+  closeSection();
+
+  return {
+    content: textParts.join('\n\n'),
+    sections,
+    outline: sections
+      .filter((section) => section.title)
+      .map(({ title, level, startPage }) =>
+        startPage ? { title, level, page: startPage } : { title, level }
+      ),
+  };
+}
+
+/**
+ * Strip inline Markdown syntax, keeping the readable text
+ */
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Parse Markdown into structured blocks
+ * @param {string} markdown - Markdown source
+ * @returns {Object} - { content, sections, outline }
+ */
+export function parseMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let i = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({
+        type: 'paragraph',
+        text: stripInlineMarkdown(paragraph.join(' ')),
+      });
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  // YAML front matter carries metadata, not lesson text
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) i = end + 1;
+  }
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const next = lines[i + 1] || '';
+
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      for (
+        i++;
+        i < lines.length && !lines[i].trim().startsWith(fence[1]);
+        i++
+      ) {
+        code.push(lines[i]);
+      }
+      blocks.push({
+        type: 'paragraph',
+        text: code.join('\n'),
+        preformatted: true,
+      });
+      continue;
+    }
+
+    const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (atx) {
+      flushParagraph();
+      flushList();
+      blocks.push({
+        type: 'heading',
+        level: atx[1].length,
+        text: stripInlineMarkdown(atx[2]),
+      });
+      continue;
+    }
+
+    if (line.trim() && paragraph.length === 0 && /^\s*(=+|-+)\s*$/.test(next)) {
+      flushList();
+      blocks.push({
+        type: 'heading',
+        level: next.trim().startsWith('=') ? 1 : 2,
+        text: stripInlineMarkdown(line),
+      });
+      i++;
+      continue;
+    }
+
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (item && !/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      const ordered = /\d/.test(item[1]);
+      if (!list || list.ordered !== ordered) {
+        flushList();
+        list = { type: 'list', ordered, items: [] };
+      }
+      list.items.push(
+        stripInlineMarkdown(item[2].replace(/^\[[ xX]\]\s+/, ''))
+      );
+      continue;
+    }
+
+    if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    // Indented continuation of the previous list item
+    if (list && /^\s{2,}\S/.test(line)) {
+      list.items[list.items.length - 1] +=
+        ` ${stripInlineMarkdown(line.trim())}`;
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line.trim().replace(/^>\s?/, ''));
+  }
+
+  flushParagraph();
+  flushList();
+  return blocksToStructure(blocks);
+}
+
+/**
+ * Text of a list item without its nested lists
+ */
+function ownListItemText(li) {
+  let text = '';
+  li.childNodes.forEach((node) => {
+    if (
+      node.nodeType === 1 &&
+      (node.tagName === 'UL' || node.tagName === 'OL')
+    ) {
+      return;
+    }
+    text += ` ${node.textContent}`;
+  });
+  return text;
+}
+
+function collectListItems(listElement, depth = 0) {
+  const items = [];
+  Array.from(listElement.children)
+    .filter((child) => child.tagName === 'LI')
+    .forEach((li) => {
+      const text = normalizeWhitespace(ownListItemText(li));
+      if (text) items.push(depth > 0 ? `${'  '.repeat(depth)}${text}` : text);
+      Array.from(li.children)
+        .filter((child) => child.tagName === 'UL' || child.tagName === 'OL')
+        .forEach((nested) =>
+          items.push(...collectListItems(nested, depth + 1))
+        );
+    });
+  return items;
+}
+
+function walkHtml(element, blocks) {
+  Array.from(element.children).forEach((child) => {
+    const tag = child.tagName.toUpperCase();
+    if (HTML_SKIP_TAGS.has(tag)) return;
+
+    const heading = tag.match(/^H([1-6])$/);
+    if (heading) {
+      blocks.push({
+        type: 'heading',
+        level: Number(heading[1]),
+        text: child.textContent,
+      });
+    } else if (tag === 'UL' || tag === 'OL') {
+      blocks.push({
+        type: 'list',
+        ordered: tag === 'OL',
+        items: collectListItems(child),
+      });
+    } else if (tag === 'TABLE') {
+      Array.from(child.querySelectorAll('tr')).forEach((row) => {
+        const cells = Array.from(row.children).map((cell) =>
+          normalizeWhitespace(cell.textContent)
+        );
+        blocks.push({ type: 'paragraph', text: cells.join(' | ') });
+      });
+    } else if (HTML_BLOCK_TAGS.has(tag)) {
+      blocks.push({
+        type: 'paragraph',
+        text: child.textContent,
+        preformatted: tag === 'PRE',
+      });
+    } else if (child.children.length > 0) {
+      // Containers (div, section, article...) may mix text and blocks
+      const ownText = Array.from(child.childNodes)
+        .filter((node) => node.nodeType === 3)
+        .map((node) => node.textContent)
+        .join(' ');
+      if (normalizeWhitespace(ownText)) {
+        blocks.push({ type: 'paragraph', text: child.textContent });
+      } else {
+        walkHtml(child, blocks);
+      }
+    } else if (normalizeWhitespace(child.textContent)) {
+      blocks.push({ type: 'paragraph', text: child.textContent });
+    }
+  });
+  return blocks;
+}
+
+function htmlToBlocks(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return {
+    title: normalizeWhitespace(doc.querySelector('title')?.textContent || ''),
+    blocks: doc.body ? walkHtml(doc.body, []) : [],
+  };
+}
+
+/**
+ * Parse an HTML document into structured blocks
+ * Parsing never executes or keeps markup: only text content is read.
+ * @param {string} html - HTML source
+ * @returns {Object} - { content, sections, outline, title }
+ */
+export function parseHTML(html) {
+  const { title, blocks } = htmlToBlocks(html);
+  return { ...blocksToStructure(blocks), title: title || null };
+}
+
+// ---------------------------------------------------------------------------
+// DOCX (WordprocessingML)
+// ---------------------------------------------------------------------------
+
+function wordAttribute(element, name) {
+  return element?.getAttribute(`w:${name}`) ?? null;
+}
+
+function firstChild(element, name) {
+  return element ? element.getElementsByTagName(name)[0] || null : null;
+}
+
+/**
+ * Map paragraph style ids to heading levels using styles.xml
+ */
+function buildHeadingStyles(stylesXml) {
+  const levels = new Map();
+  if (!stylesXml) return levels;
+
+  const doc = new DOMParser().parseFromString(stylesXml, 'application/xml');
+  Array.from(doc.getElementsByTagName('w:style')).forEach((style) => {
+    const id = wordAttribute(style, 'styleId');
+    const name = (
+      wordAttribute(firstChild(style, 'w:name'), 'val') || ''
+    ).toLowerCase();
+    const outline = wordAttribute(firstChild(style, 'w:outlineLvl'), 'val');
+    const headingMatch = name.match(/^heading (\d)$/);
+
+    if (name === 'title') levels.set(id, 1);
+    else if (headingMatch) levels.set(id, Number(headingMatch[1]));
+    else if (outline !== null) levels.set(id, Number(outline) + 1);
+  });
+  return levels;
+}
+
+/**
+ * Map numbering ids to whether their first level is ordered
+ */
+function buildNumberingFormats(numberingXml) {
+  const ordered = new Map();
+  if (!numberingXml) return ordered;
+
+  const doc = new DOMParser().parseFromString(numberingXml, 'application/xml');
+  const abstractFormats = new Map();
+  Array.from(doc.getElementsByTagName('w:abstractNum')).forEach((abstract) => {
+    const format = wordAttribute(firstChild(abstract, 'w:numFmt'), 'val');
+    abstractFormats.set(
+      wordAttribute(abstract, 'abstractNumId'),
+      format !== null && format !== 'bullet' && format !== 'none'
+    );
+  });
+  Array.from(doc.getElementsByTagName('w:num')).forEach((num) => {
+    const abstractId = wordAttribute(firstChild(num, 'w:abstractNumId'), 'val');
+    ordered.set(wordAttribute(num, 'numId'), !!abstractFormats.get(abstractId));
+  });
+  return ordered;
+}
+
+function wordParagraphText(paragraph) {
+  let text = '';
+  const walk = (node) => {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType !== 1) return;
+      if (child.tagName === 'w:t') text += child.textContent;
+      else if (child.tagName === 'w:tab') text += ' ';
+      else if (child.tagName === 'w:br') text += ' ';
+      else if (child.tagName !== 'w:pPr' && child.tagName !== 'w:instrText') {
+        walk(child);
+      }
+    });
+  };
+  walk(paragraph);
+  return text;
+}
+
+/**
+ * Parse WordprocessingML into structured blocks
+ * @param {string} documentXml - word/document.xml
+ * @param {string} stylesXml - word/styles.xml (optional)
+ * @param {string} numberingXml - word/numbering.xml (optional)
+ * @returns {Object} - { content, sections, outline }
+ */
+export function parseDocxXml(
+  documentXml,
+  stylesXml = null,
+  numberingXml = null
+) {
+  const doc = new DOMParser().parseFromString(documentXml, 'application/xml');
+  const headingStyles = buildHeadingStyles(stylesXml);
+  const numberingFormats = buildNumberingFormats(numberingXml);
+  const blocks = [];
+  let list = null;
+
+  Array.from(doc.getElementsByTagName('w:p')).forEach((paragraph) => {
+    const properties = firstChild(paragraph, 'w:pPr');
+    const styleId = wordAttribute(firstChild(properties, 'w:pStyle'), 'val');
+    const outline = wordAttribute(
+      firstChild(properties, 'w:outlineLvl'),
+      'val'
+    );
+    const numbering = firstChild(properties, 'w:numPr');
+    const text = wordParagraphText(paragraph);
+
+    let headingLevel = headingStyles.get(styleId) ?? null;
+    if (headingLevel === null && styleId) {
+      const builtIn = styleId.match(/^Heading(\d)$/i);
+      if (builtIn) headingLevel = Number(builtIn[1]);
+      else if (/^Title$/i.test(styleId)) headingLevel = 1;
+    }
+    if (headingLevel === null && outline !== null)
+      headingLevel = Number(outline) + 1;
+
+    if (numbering && headingLevel === null) {
+      const numId = wordAttribute(firstChild(numbering, 'w:numId'), 'val');
+      const depth = Number(
+        wordAttribute(firstChild(numbering, 'w:ilvl'), 'val') || 0
+      );
+      const ordered = !!numberingFormats.get(numId);
+      if (!list || (depth === 0 && list.ordered !== ordered)) {
+        if (list) blocks.push(list);
+        list = { type: 'list', ordered, items: [] };
+      }
+      if (text.trim()) list.items.push(`${'  '.repeat(depth)}${text}`);
+      return;
+    }
+
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+    if (!text.trim()) return;
+    blocks.push(
+      headingLevel !== null
+        ? { type: 'heading', level: Math.min(headingLevel, 6), text }
+        : { type: 'paragraph', text }
+    );
+  });
+  if (list) blocks.push(list);
+
+  return blocksToStructure(blocks);
+}
+
+/**
+ * Extract structured text from a .docx file
+ * @param {ArrayBuffer} buffer - File bytes
+ * @returns {Object} - { content, sections, outline }
+ */
+export async function extractDocx(buffer) {
+  const zip = openZip(buffer);
+  if (!zip.has('word/document.xml')) {
+    throw new Error('Not a Word document: word/document.xml is missing');
+  }
+
+  const readOptional = (name) =>
+    zip.has(name) ? zip.readText(name) : Promise.resolve(null);
+  const [documentXml, stylesXml, numberingXml] = await Promise.all([
+    zip.readText('word/document.xml'),
+    readOptional('word/styles.xml'),
+    readOptional('word/numbering.xml'),
+  ]);
+
+  return parseDocxXml(documentXml, stylesXml, numberingXml);
+}
+
+// ---------------------------------------------------------------------------
+// EPUB
+// ---------------------------------------------------------------------------
+
+function resolveArchivePath(baseDir, href) {
+  const parts = `${baseDir}${decodeURIComponent(href.split('#')[0])}`.split(
+    '/'
+  );
+  const resolved = [];
+  parts.forEach((part) => {
+    if (part === '..') resolved.pop();
+    else if (part && part !== '.') resolved.push(part);
+  });
+  return resolved.join('/');
+}
+
+/**
+ * Extract structured text from an .epub file, chapters in reading order
+ * @param {ArrayBuffer} buffer - File bytes
+ * @returns {Object} - { content, sections, outline, title }
+ */
+export async function extractEpub(buffer) {
+  const zip = openZip(buffer);
+  if (!zip.has('META-INF/container.xml')) {
+    throw new Error('Not an EPUB: META-INF/container.xml is missing');
+  }
+
+  const container = new DOMParser().parseFromString(
+    await zip.readText('META-INF/container.xml'),
+    'application/xml'
+  );
+  const opfPath = container
+    .getElementsByTagName('rootfile')[0]
+    ?.getAttribute('full-path');
+  if (!opfPath || !zip.has(opfPath)) {
+    throw new Error('EPUB package document not found');
+  }
+
+  const opf = new DOMParser().parseFromString(
+    await zip.readText(opfPath),
+    'application/xml'
+  );
+  const baseDir = opfPath.includes('/')
+    ? opfPath.slice(0, opfPath.lastIndexOf('/') + 1)
+    : '';
+
+  const manifest = new Map();
+  Array.from(opf.getElementsByTagName('item')).forEach((item) => {
+    manifest.set(item.getAttribute('id'), {
+      href: item.getAttribute('href'),
+      mediaType: item.getAttribute('media-type'),
+    });
+  });
+
+  const blocks = [];
+  for (const itemref of Array.from(opf.getElementsByTagName('itemref'))) {
+    const item = manifest.get(itemref.getAttribute('idref'));
+    if (!item || !/html/.test(item.mediaType || '')) continue;
+
+    const path = resolveArchivePath(baseDir, item.href);
+    if (!zip.has(path)) continue;
+    blocks.push(...htmlToBlocks(await zip.readText(path)).blocks);
+  }
+
+  const title = opf.getElementsByTagName('dc:title')[0]?.textContent || null;
+  return {
+    ...blocksToStructure(blocks),
+    title: title && normalizeWhitespace(title),
+  };
+}
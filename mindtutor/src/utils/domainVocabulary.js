@@ -0,0 +1,348 @@
+// domainVocabulary.js - Subject detection and term salience for imported topics
+// Keywords are ranked by TF-IDF against the topics already stored, so words
+// every topic shares sink and words distinctive to this import rise. Vocabulary
+// packs (built-in or installed by the learner) name a subject and the terms
+// that signal it; they boost matching keywords but never remove others.
+
+const PACKS_STORAGE_KEY = 'mindtutor_vocabulary_packs';
+
+// A subject needs this many distinct pack terms before it is reported
+const MIN_SUBJECT_TERMS = 3;
+// Keyword score multiplier for terms in the detected subject's pack
+const SUBJECT_TERM_BOOST = 1.5;
+// Subject score multiplier when the topic name mentions the subject
+const TOPIC_NAME_BOOST = 1.5;
+const MAX_PACK_TERMS = 2000;
+
+// Whitespace-separated word list
+const words = (list) => list.trim().split(/\s+/);
+
+const STOPWORDS = new Set(
+  words(`
+    the and for are but not you all any can had her was one our out has his
+    how its may new now old see two way who did get use used also into such
+    that with have this will from they them been were what when then than
+    which their there these those each some more most other only very about
+    after before between through where while because would could should being
+    over under many much make made
+  `)
+);
+
+export const BUILT_IN_PACKS = [
+  {
+    id: 'biology',
+    name: 'Biology',
+    terms: words(`
+      cell cells nucleus mitochondria ribosomes chloroplasts vacuole membrane
+      cytoplasm diffusion osmosis transport mitosis meiosis tissue tissues
+      organ organs organism organisms microscope magnification photosynthesis
+      respiration dna rna protein enzyme enzymes bacteria eukaryotic
+      prokaryotic chromosome organelle organelles specialized blood nerve
+      muscle epithelial connective epidermis mesophyll vascular interphase
+      prophase metaphase anaphase telophase cytokinesis alveoli capillaries
+      intestine gene genes evolution species ecosystem hormone
+    `),
+  },
+  {
+    id: 'chemistry',
+    name: 'Chemistry',
+    terms: words(`
+      acid base atom atoms molecule molecules reaction reactions ion ions
+      electron electrons element elements compound compounds bond bonds
+      valence periodic proton protons neutron neutrons isotope isotopes molar
+      mole concentration solution solvent solute ph neutralization oxidation
+      reduction electrolysis catalyst covalent ionic metal metals
+    `),
+  },
+  {
+    id: 'physics',
+    name: 'Physics',
+    terms: words(`
+      force forces energy mass velocity acceleration momentum work power
+      pressure density gravity electricity magnetism magnetic current voltage
+      resistance circuit circuits wave waves frequency wavelength reflection
+      refraction lens mirror nuclear radiation quantum relativity charge field
+      friction
+    `),
+  },
+];
+
+/**
+ * Lowercase word tokens without stopwords
+ * @param {string} text - Source text
+ * @returns {Array<string>}
+ */
+export function tokenizeTerms(text) {
+  return ((text || '').toLowerCase().match(/[a-zà-ɏ][a-zà-ɏ0-9'-]*/g) || [])
+    .map((token) => token.replace(/^['-]+|['-]+$/g, ''))
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Check a vocabulary pack and return it in canonical form
+ * @param {Object} pack - { id, name, terms: [string], description? }
+ * @returns {Object} - Pack with trimmed, lowercased, de-duplicated terms
+ * @throws {Error} - When the pack is malformed
+ */
+export function validateVocabularyPack(pack) {
+  if (!pack || typeof pack !== 'object') {
+    throw new Error('Vocabulary pack must be a JSON object');
+  }
+  const id = typeof pack.id === 'string' ? pack.id.trim().toLowerCase() : '';
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(id)) {
+    throw new Error(
+      'Vocabulary pack needs an "id" of letters, numbers, "-" or "_"'
+    );
+  }
+  if (typeof pack.name !== 'string' || !pack.name.trim()) {
+    throw new Error('Vocabulary pack needs a "name"');
+  }
+  if (!Array.isArray(pack.terms)) {
+    throw new Error('Vocabulary pack needs a "terms" array');
+  }
+
+  const terms = [
+    ...new Set(
+      pack.terms
+        .filter((term) => typeof term === 'string')
+        .map((term) => term.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+  if (terms.length < MIN_SUBJECT_TERMS) {
+    throw new Error(
+      `Vocabulary pack needs at least ${MIN_SUBJECT_TERMS} terms`
+    );
+  }
+  if (terms.length > MAX_PACK_TERMS) {
+    throw new Error(`Vocabulary pack has more than ${MAX_PACK_TERMS} terms`);
+  }
+
+  return {
+    id,
+    name: pack.name.trim(),
+    description: typeof pack.description === 'string' ? pack.description : '',
+    terms,
+  };
+}
+
+/**
+ * Subject packs and the document frequencies of stored topics
+ */
+export class DomainVocabulary {
+  constructor() {
+    this.installedPacks = null;
+    this.documentFrequency = new Map();
+    this.documentCount = 0;
+    this.corpusTopics = new Map();
+  }
+
+  /**
+   * Packs installed by the learner, read once from localStorage
+   * @returns {Array}
+   */
+  getInstalledPacks() {
+    if (this.installedPacks) return this.installedPacks;
+    this.installedPacks = [];
+    try {
+      const stored = JSON.parse(localStorage.getItem(PACKS_STORAGE_KEY));
+      if (Array.isArray(stored)) {
+        stored.forEach((pack) => {
+          try {
+            this.installedPacks.push(validateVocabularyPack(pack));
+          } catch (error) {
+            console.warn('Skipping invalid vocabulary pack:', error.message);
+          }
+        });
+      }
+    } catch {
+      // Nothing stored or unreadable JSON - start without installed packs
+    }
+    return this.installedPacks;
+  }
+
+  /**
+   * All packs; an installed pack replaces a built-in one with the same id
+   * @returns {Array} - Packs with a `builtIn` flag
+   */
+  getPacks() {
+    const installed = this.getInstalledPacks();
+    const installedIds = new Set(installed.map((pack) => pack.id));
+    return [
+      ...BUILT_IN_PACKS.filter((pack) => !installedIds.has(pack.id)).map(
+        (pack) => ({ ...pack, builtIn: true })
+      ),
+      ...installed.map((pack) => ({ ...pack, builtIn: false })),
+    ];
+  }
+
+  /**
+   * Install or update a vocabulary pack
+   * @param {Object} pack - Pack object (see validateVocabularyPack)
+   * @returns {Object} - The installed pack
+   */
+  installPack(pack) {
+    const validPack = validateVocabularyPack(pack);
+    this.installedPacks = [
+      ...this.getInstalledPacks().filter((p) => p.id !== validPack.id),
+      validPack,
+    ];
+    this.saveInstalledPacks();
+    return validPack;
+  }
+
+  /**
+   * Remove an installed pack; built-in packs cannot be removed
+   * @param {string} packId - Pack id
+   */
+  removePack(packId) {
+    this.installedPacks = this.getInstalledPacks().filter(
+      (pack) => pack.id !== packId
+    );
+    this.saveInstalledPacks();
+  }
+
+  saveInstalledPacks() {
+    try {
+      localStorage.setItem(
+        PACKS_STORAGE_KEY,
+        JSON.stringify(this.installedPacks)
+      );
+    } catch (error) {
+      console.error('Error saving vocabulary packs:', error);
+    }
+  }
+
+  /**
+   * Rebuild document frequencies from the stored topics
+   * Each topic counts once per term, using its stored text and keywords.
+   * @param {Object} topics - Topics keyed by name
+   */
+  setCorpus(topics) {
+    this.corpusTopics = new Map();
+    this.documentFrequency = new Map();
+
+    Object.entries(topics || {}).forEach(([name, topic]) => {
+      const terms = new Set([
+        ...tokenizeTerms(topic?.raw || ''),
+        ...(topic?.keywords || []).map((k) => String(k).toLowerCase()),
+      ]);
+      this.corpusTopics.set(name, terms);
+      terms.forEach((term) => {
+        this.documentFrequency.set(
+          term,
+          (this.documentFrequency.get(term) || 0) + 1
+        );
+      });
+    });
+    this.documentCount = this.corpusTopics.size;
+  }
+
+  /**
+   * Smoothed inverse document frequency of a term
+   * The topic being (re)built is left out so it does not count against itself.
+   * @param {string} term - Lowercase term
+   * @param {string} excludeTopic - Name of the topic being built
+   * @returns {number}
+   */
+  inverseDocumentFrequency(term, excludeTopic = null) {
+    let df = this.documentFrequency.get(term) || 0;
+    let n = this.documentCount;
+    if (excludeTopic && this.corpusTopics.has(excludeTopic)) {
+      n -= 1;
+      if (this.corpusTopics.get(excludeTopic).has(term)) df -= 1;
+    }
+    // The new topic itself contains the term, hence the +1s
+    return Math.log((n + 1) / (df + 1)) + 1;
+  }
+
+  /**
+   * Work out which subject a text belongs to from the pack terms it uses
+   * @param {string} text - Topic content
+   * @param {string} topicName - Topic name, used only as a tie-breaking hint
+   * @returns {Object|null} - { id, name, confidence, matchedTerms } or null
+   */
+  detectSubject(text, topicName = '') {
+    const tokens = tokenizeTerms(text);
+    if (tokens.length === 0) return null;
+
+    const counts = new Map();
+    tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+    const lowerText = (text || '').toLowerCase();
+    const lowerName = topicName.toLowerCase();
+
+    const scored = this.getPacks()
+      .map((pack) => {
+        const matched = pack.terms
+          .map((term) => ({
+            term,
+            count: term.includes(' ')
+              ? lowerText.split(term).length - 1
+              : counts.get(term) || 0,
+          }))
+          .filter(({ count }) => count > 0)
+          .sort((a, b) => b.count - a.count);
+        const occurrences = matched.reduce((sum, m) => sum + m.count, 0);
+        const nameHint =
+          lowerName.includes(pack.id) ||
+          lowerName.includes(pack.name.toLowerCase());
+        return {
+          pack,
+          matched,
+          score:
+            matched.length >= MIN_SUBJECT_TERMS
+              ? (occurrences / tokens.length) *
+                (nameHint ? TOPIC_NAME_BOOST : 1)
+              : 0,
+        };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) return null;
+
+    const total = scored.reduce((sum, s) => sum + s.score, 0);
+    const [best] = scored;
+    return {
+      id: best.pack.id,
+      name: best.pack.name,
+      confidence: best.score / total,
+      matchedTerms: best.matched.slice(0, 10).map((m) => m.term),
+    };
+  }
+
+  /**
+   * Rank candidate keywords by TF-IDF, boosting the subject's own terms
+   * @param {string} text - Topic content
+   * @param {Array<string>} candidates - Candidate keywords
+   * @param {Object} options - { topN, subject, excludeTopic }
+   * @returns {Array<string>} - Best candidates, original spelling kept
+   */
+  rankKeywords(text, candidates, options = {}) {
+    const { topN = 20, subject = null, excludeTopic = null } = options;
+    const counts = new Map();
+    tokenizeTerms(text).forEach((token) =>
+      counts.set(token, (counts.get(token) || 0) + 1)
+    );
+    const maxCount = Math.max(1, ...counts.values());
+    const subjectPack = subject
+      ? this.getPacks().find((pack) => pack.id === subject.id)
+      : null;
+    const subjectTerms = new Set(subjectPack?.terms || []);
+
+    return candidates
+      .map((keyword, position) => {
+        const term = String(keyword).toLowerCase();
+        const tf = (counts.get(term) || 1) / maxCount;
+        let score = tf * this.inverseDocumentFrequency(term, excludeTopic);
+        if (subjectTerms.has(term)) score *= SUBJECT_TERM_BOOST;
+        // Keep the extractor's order between equally salient candidates
+        return { keyword, score, position };
+      })
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .slice(0, topN)
+      .map(({ keyword }) => keyword);
+  }
+}
+
+export const domainVocabulary = new DomainVocabulary();
@@ -0,0 +1,22 @@
+/* global Blob, URL */
+// download.js - Save generated text or binary content as a file in the browser
+
+/**
+ * Offer content to the learner as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob|Uint8Array} content - File content
+ * @param {string} mimeType - MIME type used when content is not a Blob
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
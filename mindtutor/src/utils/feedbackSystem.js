@@ -1,32 +1,12 @@
 // feedbackSystem.js - Intelligent feedback generation system
 
 import { userModelManager } from './userModel.js';
+import { i18n, t } from './i18n.js';
+
+const PERFORMANCE_LEVELS = ['excellent', 'good', 'needs_improvement', 'poor'];
 
 export class FeedbackGenerator {
   constructor() {
-    this.feedbackTemplates = {
-      excellent: [
-        "🎉 Outstanding work! You've mastered this concept completely.",
-        "🌟 Excellent understanding! You're clearly grasping the key ideas.",
-        '🏆 Perfect! Your knowledge of this topic is impressive.',
-      ],
-      good: [
-        '👍 Great job! You have a solid understanding with minor areas to polish.',
-        "👌 Well done! You're on the right track with this concept.",
-        "💪 Good work! A few more practice sessions and you'll have this mastered.",
-      ],
-      needs_improvement: [
-        '📚 Keep working on this! Focus on the core concepts and try again.',
-        '🔄 This concept needs more attention. Review the key points and practice.',
-        "💡 You're making progress! Spend some time reviewing the fundamentals.",
-      ],
-      poor: [
-        "🎯 Let's focus on building a strong foundation. Start with the basics.",
-        '📖 This topic needs more study time. Break it down into smaller parts.',
-        '🔍 Take your time with this concept. Understanding takes practice.',
-      ],
-    };
-
     this.errorPatterns = {
       calculation: {
         message:
@@ -54,6 +34,17 @@ export class FeedbackGenerator {
     };
   }
 
+  /**
+   * Overall feedback messages for each performance level, in the interface
+   * language
+   * @returns {Object} - { excellent, good, needs_improvement, poor } arrays
+   */
+  get feedbackTemplates() {
+    return Object.fromEntries(
+      PERFORMANCE_LEVELS.map((level) => [level, i18n.list(`feedback.${level}`)])
+    );
+  }
+
   async generateFeedback(userId, assessmentResult, context = {}) {
     const userModel = await userModelManager.getUserModel(userId);
 
@@ -94,11 +85,9 @@ export class FeedbackGenerator {
     // Time-based feedback
     const avgTime = this.calculateAverageTime(result.difficulty || 5);
     if (timeSpent < avgTime * 0.8) {
-      contextualInfo +=
-        ' You worked through this quickly, showing good intuition. ';
+      contextualInfo += ` ${t('feedback.quick')} `;
     } else if (timeSpent > avgTime * 1.5) {
-      contextualInfo +=
-        ' Taking time to think through problems is an excellent strategy. ';
+      contextualInfo += ` ${t('feedback.deliberate')} `;
     }
 
     // Progress-based feedback
@@ -108,17 +97,17 @@ export class FeedbackGenerator {
     if (topicHistory.length > 1) {
       const previousScore = topicHistory[topicHistory.length - 2].performance;
       if (score > previousScore + 0.1) {
-        contextualInfo += ' Great improvement from your last attempt! ';
+        contextualInfo += ` ${t('feedback.improved')} `;
       } else if (score < previousScore - 0.1) {
-        contextualInfo += ' This is a temporary setback - keep practicing! ';
+        contextualInfo += ` ${t('feedback.setback')} `;
       }
     }
 
     // Learning velocity feedback
     if (userModel.learningVelocity > 0.05) {
-      contextualInfo += ' Your learning speed is impressive! ';
+      contextualInfo += ` ${t('feedback.fastLearner')} `;
     } else if (userModel.learningVelocity < -0.05) {
-      contextualInfo += ' Consistent practice will help build momentum. ';
+      contextualInfo += ` ${t('feedback.buildMomentum')} `;
     }
 
     return {
@@ -487,11 +476,13 @@ export class FeedbackGenerator {
     if (userAnswer.length < correctAnswer.length * 0.5) {
       return 'incomplete_answer';
     }
-    if (
-      !userAnswer
+    // The first content word stands in for the key concept; skip "a", "the"
+    const keyWord =
+      correctAnswer
         .toLowerCase()
-        .includes(correctAnswer.toLowerCase().split(' ')[0])
-    ) {
+        .split(/\W+/)
+        .find((word) => word.length > 3) || '';
+    if (!userAnswer.toLowerCase().includes(keyWord)) {
       return 'missing_key_concept';
     }
     return 'partial_understanding';
@@ -0,0 +1,323 @@
+// flashcardExchange.js - Flashcard export to Anki and import from CSV/TSV
+// Exports a topic's concepts as front/back cards (a term card plus the
+// question variations used by the lesson flashcards) in Anki's text import
+// format. Imports term/definition lists exported from Quizlet, Anki or a
+// spreadsheet straight into a topic, skipping heuristic concept extraction.
+
+import { generateQuestionVariations } from './interactiveGames.js';
+import {
+  buildTopicChunks,
+  summarizeStoredContent,
+  RAW_PREVIEW_LENGTH,
+} from './topicChunks.js';
+import { domainVocabulary } from './domainVocabulary.js';
+import { detectLanguage } from './languages.js';
+
+export const FLASHCARD_FORMATS = {
+  tsv: { separator: '\t', header: 'tab', extension: 'tsv' },
+  csv: { separator: ',', header: 'comma', extension: 'csv' },
+};
+
+// Names Anki uses in "#separator:" header lines
+const SEPARATOR_NAMES = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|',
+  colon: ':',
+  space: ' ',
+};
+
+const FRONT_HEADERS = ['term', 'front', 'question', 'word', 'concept'];
+const BACK_HEADERS = ['definition', 'back', 'answer', 'meaning'];
+const MIN_DEFINITION_LENGTH = 2;
+const MAX_KEYWORDS = 20;
+
+// Anki tags cannot contain spaces
+function toTag(text) {
+  return String(text)
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/[^\w:-]/g, '');
+}
+
+/**
+ * Front/back cards for a topic's concepts
+ * Each concept gets a term card, then its question variations.
+ * @param {string} topicName - Topic name, used for tags
+ * @param {Object} topic - Topic with concepts
+ * @param {Object} options - { variations: include question variations }
+ * @returns {Array} - [{ front, back, tags }]
+ */
+export function buildTopicFlashcards(
+  topicName,
+  topic,
+  { variations = true } = {}
+) {
+  const topicTag = `MindTutor::${toTag(topicName) || 'topic'}`;
+  const cards = [];
+
+  (topic?.concepts || []).forEach((concept) => {
+    const definition = (concept.definition || '').trim();
+    if (!concept.concept || definition.length < MIN_DEFINITION_LENGTH) return;
+    const conceptTag = `concept::${toTag(concept.concept)}`;
+
+    cards.push({
+      front: concept.concept,
+      back: definition,
+      tags: [topicTag, conceptTag, 'term'],
+    });
+    if (!variations) return;
+
+    // The first variation asks "What is X?", which the term card covers
+    generateQuestionVariations(concept.concept, definition)
+      .slice(1)
+      .forEach(({ question, answer }) =>
+        cards.push({
+          front: question,
+          back: answer,
+          tags: [topicTag, conceptTag, 'variation'],
+        })
+      );
+  });
+
+  return cards;
+}
+
+function quoteField(value, separator) {
+  const text = String(value ?? '');
+  return text.includes(separator) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Serialize cards for Anki's "Import File" (Notes in Plain Text)
+ * Header lines tell Anki the separator, deck and which column holds tags.
+ * @param {Array} cards - From buildTopicFlashcards
+ * @param {Object} options - { format: 'tsv'|'csv', deck }
+ * @returns {string}
+ */
+export function flashcardsToDelimited(cards, { format = 'tsv', deck } = {}) {
+  const { separator, header } = FLASHCARD_FORMATS[format] || {};
+  if (!separator) throw new Error(`Unknown flashcard format: ${format}`);
+
+  const lines = [`#separator:${header}`, '#html:false', '#tags column:3'];
+  if (deck) lines.push(`#deck:${deck.replace(/[\r\n]+/g, ' ')}`);
+  cards.forEach((card) =>
+    lines.push(
+      [card.front, card.back, (card.tags || []).join(' ')]
+        .map((field) => quoteField(field, separator))
+        .join(separator)
+    )
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Split delimited text into rows of fields
+ * Quoted fields may contain the separator, doubled quotes and line breaks.
+ * @param {string} text - File content
+ * @param {string} separator - Field separator
+ * @returns {Array<Array<string>>}
+ */
+export function parseDelimited(text, separator) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+// Pick the separator from the first data line: tabs win, then whichever of
+// semicolon and comma appears more
+function detectSeparator(lines, filename) {
+  if (/\.tsv$/i.test(filename || '')) return '\t';
+  const sample = lines.find((line) => line.trim() && !line.startsWith('#'));
+  if (!sample) return ',';
+  if (sample.includes('\t')) return '\t';
+  const count = (char) => sample.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+// Anki fields are HTML by default
+function stripHtml(text) {
+  return text
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<\/(div|p|li)>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|[a-z]+);/gi, (entity, name) =>
+      name.startsWith('#')
+        ? String.fromCharCode(Number(name.slice(1)))
+        : (HTML_ENTITIES[name.toLowerCase()] ?? entity)
+    );
+}
+
+/**
+ * Read term/definition pairs from a CSV or TSV export
+ * Understands Anki's header lines (#separator, #html, #tags column, #columns)
+ * and a plain "Term,Definition" header row. Duplicated terms keep their
+ * first definition.
+ * @param {string} text - File content
+ * @param {string} filename - File name, used to recognise .tsv files
+ * @returns {Object} - { cards: [{ term, definition, tags }], skipped }
+ * @throws {Error} - When no term/definition pairs are found
+ */
+export function parseFlashcardFile(text, filename = '') {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const lines = content.split(/\r?\n/);
+  const settings = {};
+  let bodyStart = 0;
+
+  // Anki header lines come first, one "#key:value" per line
+  while (bodyStart < lines.length && /^#[\w ]+:/.test(lines[bodyStart])) {
+    const [, key, value] = lines[bodyStart].match(/^#([\w ]+):(.*)$/);
+    settings[key.trim().toLowerCase()] = value.trim();
+    bodyStart++;
+  }
+
+  const separator =
+    SEPARATOR_NAMES[settings.separator?.toLowerCase()] ??
+    (settings.separator ? settings.separator[0] : null) ??
+    detectSeparator(lines.slice(bodyStart), filename);
+  const rows = parseDelimited(lines.slice(bodyStart).join('\n'), separator);
+
+  let frontColumn = 0;
+  let backColumn = 1;
+  let tagsColumn = settings['tags column']
+    ? Number(settings['tags column']) - 1
+    : -1;
+  const namedColumns = settings.columns
+    ? settings.columns.split(separator).map((name) => name.trim())
+    : null;
+
+  // A header row names the columns; otherwise the first two are used
+  const firstRow = (rows[0] || []).map((name) => name.trim().toLowerCase());
+  const headerRow =
+    namedColumns ||
+    (firstRow.some((name) => FRONT_HEADERS.includes(name)) &&
+    firstRow.some((name) => BACK_HEADERS.includes(name))
+      ? rows.shift()
+      : null);
+  if (headerRow) {
+    const names = headerRow.map((name) => name.trim().toLowerCase());
+    const find = (candidates, fallback) => {
+      const index = names.findIndex((name) => candidates.includes(name));
+      return index >= 0 ? index : fallback;
+    };
+    frontColumn = find(FRONT_HEADERS, frontColumn);
+    backColumn = find(BACK_HEADERS, backColumn);
+    tagsColumn = find(['tags'], tagsColumn);
+  }
+
+  const isHtml = settings.html?.toLowerCase() !== 'false';
+  const clean = (value) =>
+    (isHtml ? stripHtml(value || '') : value || '').replace(/\s+/g, ' ').trim();
+
+  const seen = new Set();
+  const cards = [];
+  let skipped = 0;
+
+  rows.forEach((row) => {
+    const term = clean(row[frontColumn]);
+    const definition = clean(row[backColumn]);
+    const key = term.toLowerCase();
+    if (!term || definition.length < MIN_DEFINITION_LENGTH || seen.has(key)) {
+      skipped++;
+      return;
+    }
+    seen.add(key);
+    cards.push({
+      term,
+      definition,
+      tags:
+        tagsColumn >= 0 && row[tagsColumn]
+          ? row[tagsColumn].split(/\s+/).filter(Boolean)
+          : [],
+    });
+  });
+
+  if (cards.length === 0) {
+    throw new Error(
+      'No term/definition pairs found. Use one card per line with the term and definition in the first two columns.'
+    );
+  }
+
+  return { cards, skipped };
+}
+
+/**
+ * Build a topic whose concepts are the imported cards, in file order
+ * @param {string} topicName - Topic name
+ * @param {Array} cards - From parseFlashcardFile
+ * @returns {Object} - Topic object for saveTopic
+ */
+export function flashcardsToTopic(topicName, cards) {
+  const content = cards
+    .map(({ term, definition }) => `${term}: ${definition}`)
+    .join('\n\n');
+  const chunks = buildTopicChunks(content);
+
+  return {
+    topic: topicName,
+    language: detectLanguage(content),
+    keywords: cards
+      .slice(0, MAX_KEYWORDS)
+      .map(({ term }) => term.toLowerCase()),
+    subject: domainVocabulary.detectSubject(content, topicName),
+    concepts: cards.map(({ term, definition, tags }, index) => ({
+      concept: term,
+      definition,
+      // Files list cards in the author's order, so earlier ones rank higher
+      importance: cards.length - index,
+      ...(tags.length > 0 && { tags }),
+    })),
+    raw: content.substring(0, RAW_PREVIEW_LENGTH),
+    chunks,
+    contentStats: summarizeStoredContent(content.length, chunks),
+    sourceType: 'flashcards',
+    createdAt: new Date().toISOString(),
+  };
+}
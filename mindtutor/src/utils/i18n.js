@@ -0,0 +1,200 @@
+/* global navigator */
+// i18n.js - Interface language, message catalogues and locale formatting
+// Catalogues live in src/locales, one per supported language, and are nested
+// objects looked up by dotted key ('quiz.selectTopicFirst'). A key missing
+// from a catalogue falls back to English, so a partly translated catalogue
+// never leaves a screen blank.
+
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from './languages.js';
+import en from '../locales/en.js';
+import es from '../locales/es.js';
+import fr from '../locales/fr.js';
+import de from '../locales/de.js';
+
+const CATALOGUES = { en, es, fr, de };
+
+export const DEFAULT_LOCALE = DEFAULT_LANGUAGE;
+
+// Interface languages, in the order the locale picker lists them
+export const LOCALES = Object.keys(SUPPORTED_LANGUAGES).filter(
+  (locale) => CATALOGUES[locale]
+);
+
+const LOCALE_STORAGE_KEY = 'mindtutor_locale';
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+function lookup(catalogue, key) {
+  return key
+    .split('.')
+    .reduce(
+      (node, part) =>
+        node && typeof node === 'object' ? node[part] : undefined,
+      catalogue
+    );
+}
+
+/**
+ * Name of a locale in its own language, for the locale picker
+ * @param {string} locale - Locale code such as 'es'
+ * @returns {string}
+ */
+export function localeName(locale) {
+  return SUPPORTED_LANGUAGES[locale]?.name || locale;
+}
+
+/**
+ * The interface language and its message catalogue
+ */
+export class I18n {
+  constructor() {
+    this.locale = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Locale in use: the saved choice, else the browser language when it has a
+   * catalogue, else English
+   * @returns {string}
+   */
+  getLocale() {
+    if (this.locale) return this.locale;
+    this.locale = DEFAULT_LOCALE;
+    try {
+      const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+      const browser =
+        typeof navigator !== 'undefined'
+          ? String(navigator.language || '')
+              .slice(0, 2)
+              .toLowerCase()
+          : '';
+      if (CATALOGUES[stored]) {
+        this.locale = stored;
+      } else if (CATALOGUES[browser]) {
+        this.locale = browser;
+      }
+    } catch {
+      // Storage unavailable - keep English
+    }
+    return this.locale;
+  }
+
+  /**
+   * Switch the interface language and remember the choice
+   * @param {string} locale - One of LOCALES
+   */
+  setLocale(locale) {
+    if (!CATALOGUES[locale]) throw new Error(`Unsupported locale: ${locale}`);
+    this.locale = locale;
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+      console.error('Error saving locale:', error);
+    }
+    if (typeof document !== 'undefined') {
+      document.documentElement.lang = locale;
+    }
+    this.notify();
+  }
+
+  /**
+   * Be told when the interface language changes
+   * @param {Function} listener - Called with the new locale
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this.getLocale()));
+  }
+
+  message(key, locale) {
+    const own = lookup(CATALOGUES[locale], key);
+    return own !== undefined ? own : lookup(CATALOGUES[DEFAULT_LOCALE], key);
+  }
+
+  interpolate(message, params, locale) {
+    return message.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      const value = params[name];
+      return typeof value === 'number'
+        ? this.formatNumber(value, {}, locale)
+        : String(value);
+    });
+  }
+
+  /**
+   * Translate a message. {name} placeholders are filled from params, with
+   * numbers formatted for the locale. Messages given as plural forms
+   * ({ one, other, ... }) are chosen by params.count.
+   * @param {string} key - Dotted catalogue key
+   * @param {Object} params - Placeholder values
+   * @param {string} locale - Defaults to the interface language
+   * @returns {string} - The message, or the key when no catalogue has it
+   */
+  t(key, params = {}, locale = this.getLocale()) {
+    let message = this.message(key, locale);
+    if (message && typeof message === 'object' && !Array.isArray(message)) {
+      const category = new Intl.PluralRules(locale).select(params.count ?? 0);
+      message = message[category] ?? message.other;
+    }
+    if (typeof message !== 'string') return key;
+    return this.interpolate(message, params, locale);
+  }
+
+  /**
+   * Translate a list of message variants, such as alternative phrasings
+   * @param {string} key - Dotted catalogue key of an array
+   * @param {Object} params - Placeholder values
+   * @param {string} locale - Defaults to the interface language
+   * @returns {Array<string>}
+   */
+  list(key, params = {}, locale = this.getLocale()) {
+    const messages = this.message(key, locale);
+    return Array.isArray(messages)
+      ? messages.map((message) => this.interpolate(message, params, locale))
+      : [];
+  }
+
+  /**
+   * Format a number for the locale
+   * @param {number} value
+   * @param {Object} options - Intl.NumberFormat options
+   * @param {string} locale - Defaults to the interface language
+   * @returns {string}
+   */
+  formatNumber(value, options = {}, locale = this.getLocale()) {
+    return new Intl.NumberFormat(locale, options).format(value);
+  }
+
+  /**
+   * Format a date for the locale
+   * @param {Date|string|number} date
+   * @param {Object} options - Intl.DateTimeFormat options, medium date style
+   *   by default
+   * @param {string} locale - Defaults to the interface language
+   * @returns {string}
+   */
+  formatDate(
+    date,
+    options = { dateStyle: 'medium' },
+    locale = this.getLocale()
+  ) {
+    return new Intl.DateTimeFormat(locale, options).format(new Date(date));
+  }
+}
+
+export const i18n = new I18n();
+
+/**
+ * Translate a message in the interface language - shorthand for i18n.t
+ * @param {string} key - Dotted catalogue key
+ * @param {Object} params - Placeholder values
+ * @param {string} locale - Defaults to the interface language
+ * @returns {string}
+ */
+export function t(key, params, locale) {
+  return i18n.t(key, params, locale);
+}
@@ -275,8 +275,13 @@ function createFlashcardGame(concepts) {
 
 /**
  * Generate different types of questions for a concept
+ * The first question always asks for the definition; the rest depend on the
+ * wording of the definition (function, process, structure...).
+ * @param {string} conceptName - Concept name
+ * @param {string} definition - Concept definition
+ * @returns {Array} - [{ question, answer }]
  */
-function generateQuestionVariations(conceptName, definition) {
+export function generateQuestionVariations(conceptName, definition) {
   const questions = [];
   const concept = conceptName.toLowerCase();
   const def = definition.toLowerCase();
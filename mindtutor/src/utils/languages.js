@@ -0,0 +1,331 @@
+// languages.js - Language detection and per-language text rules
+// Topics can be imported in English, Spanish, French or German, the languages
+// the OCR engine reads. Each language brings its own stop words, definition
+// patterns, articles, syllable rules and reading-ease formula. Detection
+// counts each language's stop words (plus letters only that language uses)
+// and falls back to English when the text is too short to tell.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const SUPPORTED_LANGUAGES = Object.freeze({
+  en: { name: 'English', ocr: 'eng' },
+  es: { name: 'Español', ocr: 'spa' },
+  fr: { name: 'Français', ocr: 'fra' },
+  de: { name: 'Deutsch', ocr: 'deu' },
+});
+
+// Tesseract language string that reads every supported language at once
+export const ALL_OCR_LANGUAGES = Object.values(SUPPORTED_LANGUAGES)
+  .map((language) => language.ocr)
+  .join('+');
+
+// Only the start of long documents is needed to detect their language
+const DETECTION_SAMPLE_LENGTH = 5000;
+// Below this many stop-word and letter hits the text counts as English
+const MIN_DETECTION_HITS = 3;
+
+// Whitespace-separated word list
+const words = (list) => list.trim().split(/\s+/);
+
+const STOP_WORDS = Object.freeze({
+  en: new Set(
+    words(`
+      a an and are as at be been but by can could did do does for from had has
+      have he her his how i if in into is it its may me my no not of on or our
+      she should so such than that the their them then there these they this
+      those to was we were what when where which while who why will with would
+      you your also each more most other only some very about after before
+      between through because many much
+    `)
+  ),
+  es: new Set(
+    words(`
+      a al algo algunos ante como con contra cual cuales cuando de del desde
+      donde durante e el ella ellas ellos en entre era es esa ese eso esta
+      estas este esto estos está están fue fueron ha han hasta hay la las le
+      les lo los mas más me mi mismo muy ni no nos o otra otras otro otros para
+      pero por porque que qué se sea ser si sin sobre son su sus también tanto
+      tiene tienen todo todos un una unas uno unos y ya
+    `)
+  ),
+  fr: new Set(
+    words(`
+      a au aux avec ce ces cet cette comme dans de des donc dont du elle elles
+      en entre est et été être il ils je la le les leur leurs lors lorsque mais
+      me même ne nous on ont ou où par pas peut plus pour qu que qui sa sans se
+      ses si son sont sur te tous tout toute toutes très tu un une vous y
+    `)
+  ),
+  de: new Set(
+    words(`
+      aber als am an auch auf aus bei beim bis da dass daß dem den der des die
+      dies diese dieser dieses durch ein eine einem einen einer eines er es für
+      hat haben hatte ich ihr ihre im in ins ist kann man mit nach nicht noch
+      nur oder sein seine sich sie sind so über um und unter vom von vor war
+      was werden wie wir wird wo wurde wurden zu zum zur zwischen
+    `)
+  ),
+});
+
+// Letters that point to one language when they appear in a text
+const LANGUAGE_LETTERS = Object.freeze({
+  es: /[ñ¿¡]/g,
+  fr: /[çàèùâêîôûëïœ]/g,
+  de: /[äöüß]/g,
+});
+
+// Leading articles dropped from concept names. English keeps "a"/"an" so
+// fragments like "An atom that..." are still recognised and skipped.
+const ARTICLES = Object.freeze({
+  en: words('the'),
+  es: words('el la los las lo un una unos unas'),
+  fr: words("le la les l' l’ un une des du"),
+  de: words('der die das den dem des ein eine einer eines einem einen'),
+});
+
+// Definition sentences per language. Each match captures the term in group 1
+// and the definition in group 2. English definitions are matched by the tuned
+// patterns in aiCore.js and patternMatcher.js.
+const DEFINITION_PATTERNS = Object.freeze({
+  en: [],
+  es: [
+    /^(?:(?:el|la|los|las|un|una)\s+)?(\p{L}[^.!?:\n]{2,50}?)\s+(?:se define como|se denomina|se llama|se refiere a|consiste en|significa|es|son)\s+([^.!?\n]{10,200}?)[.!?]/gimu,
+    /^(\p{L}[^.!?:\n]{2,50}?):\s+([^.!?\n]{10,200}?)[.!?]/gimu,
+  ],
+  fr: [
+    /^(?:(?:le|la|les|un|une|des)\s+|l['’])?(\p{L}[^.!?:\n]{2,50}?)\s+(?:est définie? comme|sont définis comme|se définit comme|désigne|désignent|signifie|correspond à|consiste à|est|sont)\s+([^.!?\n]{10,200}?)[.!?]/gimu,
+    /^on appelle\s+(\p{L}[^.!?:\n]{2,50}?)\s+((?:un|une|le|la|les|l['’])[^.!?\n]{10,200}?)[.!?]/gimu,
+    /^(\p{L}[^.!?:\n]{2,50}?)\s*:\s+([^.!?\n]{10,200}?)[.!?]/gimu,
+  ],
+  de: [
+    /^(?:(?:der|die|das|ein|eine)\s+)?(\p{L}[^.!?:\n]{2,50}?)\s+(?:ist|sind|bezeichnet|bedeutet|beschreibt)\s+([^.!?\n]{10,200}?)[.!?]/gimu,
+    /^(?:als|unter)\s+(\p{L}[^.!?:\n]{2,50}?)\s+(?:bezeichnet|versteht)\s+man\s+([^.!?\n]{10,200}?)[.!?]/gimu,
+    /^(\p{L}[^.!?:\n]{2,50}?):\s+([^.!?\n]{10,200}?)[.!?]/gimu,
+  ],
+});
+
+// Reading-ease formulas from average sentence length (words) and average
+// syllables per word. All score roughly 0 (hard) to 100 (easy).
+const READING_EASE = Object.freeze({
+  en: {
+    formula: 'Flesch',
+    score: (asl, asw) => 206.835 - 1.015 * asl - 84.6 * asw,
+  },
+  es: {
+    // Fernández Huerta: syllables and sentences per 100 words
+    formula: 'Fernández Huerta',
+    score: (asl, asw) => 206.84 - 0.6 * (asw * 100) - 1.02 * (100 / asl),
+  },
+  fr: {
+    formula: 'Kandel–Moles',
+    score: (asl, asw) => 207 - 1.015 * asl - 73.6 * asw,
+  },
+  de: {
+    formula: 'Amstad',
+    score: (asl, asw) => 180 - asl - 58.5 * asw,
+  },
+});
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’]\p{L}+)*/gu;
+const ELISION_PATTERN =
+  /(^|[^\p{L}])(qu|jusqu|lorsqu|puisqu|[cdjlmnst])['’](?=\p{L})/giu;
+
+/**
+ * A supported language code, or English for anything else
+ * @param {string} language - Language code such as 'es'
+ * @returns {string}
+ */
+export function normalizeLanguage(language) {
+  return SUPPORTED_LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * The supported language a Tesseract code reads, or null for mixed codes
+ * @param {string} code - Tesseract code such as 'deu' or 'eng+spa'
+ * @returns {string|null}
+ */
+export function languageFromOcrCode(code) {
+  const entry = Object.entries(SUPPORTED_LANGUAGES).find(
+    ([, language]) => language.ocr === code
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Write French elisions out in full ("l'atome" → "le atome")
+ * so the article becomes its own (stop) word
+ * @param {string} text
+ * @returns {string}
+ */
+export function expandElisions(text) {
+  return String(text || '').replace(ELISION_PATTERN, '$1$2e ');
+}
+
+/**
+ * Lowercase word tokens, keeping accented letters
+ * @param {string} text - Source text
+ * @param {string} language - Language code
+ * @returns {Array<string>}
+ */
+export function tokenizeWords(text, language = DEFAULT_LANGUAGE) {
+  const source = language === 'fr' ? expandElisions(text) : String(text || '');
+  return source.toLowerCase().match(WORD_PATTERN) || [];
+}
+
+/**
+ * Stop words for a language
+ * @param {string} language - Language code
+ * @returns {Set<string>}
+ */
+export function getStopWords(language) {
+  return STOP_WORDS[normalizeLanguage(language)];
+}
+
+/**
+ * Definition patterns for a language (empty for English)
+ * @param {string} language - Language code
+ * @returns {Array<RegExp>}
+ */
+export function getDefinitionPatterns(language) {
+  return DEFINITION_PATTERNS[normalizeLanguage(language)];
+}
+
+/**
+ * Drop a leading article from a term ("La fotosíntesis" → "fotosíntesis")
+ * @param {string} term
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export function stripArticle(term, language) {
+  const text = String(term || '').trim();
+  const lower = text.toLowerCase();
+  const article = ARTICLES[normalizeLanguage(language)].find((candidate) =>
+    candidate.endsWith("'") || candidate.endsWith('’')
+      ? lower.startsWith(candidate)
+      : lower.startsWith(`${candidate} `)
+  );
+  return article ? text.slice(article.length).trim() : text;
+}
+
+/**
+ * Guess the language of a text
+ * @param {string} text
+ * @returns {string} - Language code, English when unsure
+ */
+export function detectLanguage(text) {
+  const sample = String(text || '').slice(0, DETECTION_SAMPLE_LENGTH);
+  const tokens = tokenizeWords(expandElisions(sample));
+  const lowerSample = sample.toLowerCase();
+
+  let best = DEFAULT_LANGUAGE;
+  let bestScore = 0;
+  Object.keys(SUPPORTED_LANGUAGES).forEach((language) => {
+    const stopWords = STOP_WORDS[language];
+    const letters = LANGUAGE_LETTERS[language];
+    const score =
+      tokens.filter((token) => stopWords.has(token)).length +
+      (letters ? (lowerSample.match(letters) || []).length : 0);
+    // English is checked first and wins ties
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  });
+
+  return bestScore >= MIN_DETECTION_HITS ? best : DEFAULT_LANGUAGE;
+}
+
+// Strong vowels: two in a row are separate syllables in Spanish
+const SPANISH_STRONG = /[aeoáéóíú]/;
+
+/**
+ * Syllables in one lowercase word
+ * @param {string} word
+ * @param {string} language - Language code
+ * @returns {number}
+ */
+function countWordSyllables(word, language) {
+  if (language === 'es') {
+    const groups = word.match(/[aeiouáéíóúü]+/g) || [];
+    const count = groups.reduce((sum, group) => {
+      let nuclei = 1;
+      for (let i = 1; i < group.length; i++) {
+        if (
+          SPANISH_STRONG.test(group[i - 1]) &&
+          SPANISH_STRONG.test(group[i])
+        ) {
+          nuclei++;
+        }
+      }
+      return sum + nuclei;
+    }, 0);
+    return Math.max(1, count);
+  }
+
+  if (language === 'fr') {
+    const vowels = /[aeiouyàâäéèêëîïôöùûüœæ]+/g;
+    const groups = word.match(vowels) || [];
+    // Final "e"/"es" is silent after a consonant ("molécule", "cellules")
+    const silent =
+      groups.length > 1 && /[^aeiouyàâäéèêëîïôöùûüœæ]es?$/.test(word) ? 1 : 0;
+    return Math.max(1, groups.length - silent);
+  }
+
+  if (language === 'de') {
+    return Math.max(1, (word.match(/[aeiouyäöü]+/g) || []).length);
+  }
+
+  const stripped = word
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+  return Math.max(1, (stripped.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+/**
+ * Count the syllables in a text
+ * @param {string} text
+ * @param {string} language - Language code
+ * @returns {number}
+ */
+export function countSyllables(text, language = DEFAULT_LANGUAGE) {
+  const code = normalizeLanguage(language);
+  return tokenizeWords(text, code).reduce(
+    (sum, word) => sum + countWordSyllables(word, code),
+    0
+  );
+}
+
+/**
+ * Reading ease of a text with the formula for its language
+ * @param {string} text
+ * @param {string} language - Language code
+ * @returns {Object|null} - { score, formula, language, words, sentences,
+ *   syllables, avgWordsPerSentence, avgSyllablesPerWord }, null without words
+ */
+export function readingEase(text, language = DEFAULT_LANGUAGE) {
+  const code = normalizeLanguage(language);
+  const tokens = tokenizeWords(text, code);
+  const sentences = String(text || '')
+    .split(/[.!?]+/)
+    .filter((sentence) => sentence.trim().length > 0).length;
+  if (tokens.length === 0 || sentences === 0) return null;
+
+  const syllables = tokens.reduce(
+    (sum, word) => sum + countWordSyllables(word, code),
+    0
+  );
+  const avgWordsPerSentence = tokens.length / sentences;
+  const avgSyllablesPerWord = syllables / tokens.length;
+  const { formula, score } = READING_EASE[code];
+
+  return {
+    score: score(avgWordsPerSentence, avgSyllablesPerWord),
+    formula,
+    language: code,
+    words: tokens.length,
+    sentences,
+    syllables,
+    avgWordsPerSentence,
+    avgSyllablesPerWord,
+  };
+}
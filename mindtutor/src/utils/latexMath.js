@@ -0,0 +1,361 @@
+// latexMath.js - Converts a LaTeX math subset to a MathML element tree
+// Handles what lessons and tutor answers actually use: fractions, roots,
+// scripts, Greek letters, common operators and arrows, \text and accents.
+// Unknown commands are kept as visible text instead of failing. Nodes are
+// { tag, attrs, children } or { text } so React can render them directly.
+
+const GREEK = {
+  alpha: 'α',
+  beta: 'β',
+  gamma: 'γ',
+  delta: 'δ',
+  epsilon: 'ϵ',
+  varepsilon: 'ε',
+  zeta: 'ζ',
+  eta: 'η',
+  theta: 'θ',
+  vartheta: 'ϑ',
+  iota: 'ι',
+  kappa: 'κ',
+  lambda: 'λ',
+  mu: 'μ',
+  nu: 'ν',
+  xi: 'ξ',
+  pi: 'π',
+  rho: 'ρ',
+  sigma: 'σ',
+  tau: 'τ',
+  upsilon: 'υ',
+  phi: 'ϕ',
+  varphi: 'φ',
+  chi: 'χ',
+  psi: 'ψ',
+  omega: 'ω',
+  Gamma: 'Γ',
+  Delta: 'Δ',
+  Theta: 'Θ',
+  Lambda: 'Λ',
+  Xi: 'Ξ',
+  Pi: 'Π',
+  Sigma: 'Σ',
+  Phi: 'Φ',
+  Psi: 'Ψ',
+  Omega: 'Ω',
+};
+
+const OPERATORS = {
+  times: '×',
+  cdot: '⋅',
+  div: '÷',
+  pm: '±',
+  mp: '∓',
+  leq: '≤',
+  le: '≤',
+  geq: '≥',
+  ge: '≥',
+  neq: '≠',
+  ne: '≠',
+  approx: '≈',
+  equiv: '≡',
+  sim: '∼',
+  propto: '∝',
+  infty: '∞',
+  to: '→',
+  rightarrow: '→',
+  leftarrow: '←',
+  Rightarrow: '⇒',
+  Leftarrow: '⇐',
+  leftrightarrow: '↔',
+  Leftrightarrow: '⇔',
+  rightleftharpoons: '⇌',
+  sum: '∑',
+  prod: '∏',
+  int: '∫',
+  oint: '∮',
+  partial: '∂',
+  nabla: '∇',
+  in: '∈',
+  notin: '∉',
+  subset: '⊂',
+  subseteq: '⊆',
+  cup: '∪',
+  cap: '∩',
+  forall: '∀',
+  exists: '∃',
+  neg: '¬',
+  land: '∧',
+  lor: '∨',
+  circ: '∘',
+  degree: '°',
+  ldots: '…',
+  cdots: '⋯',
+  dots: '…',
+  prime: '′',
+  angle: '∠',
+  perp: '⊥',
+  parallel: '∥',
+  emptyset: '∅',
+  langle: '⟨',
+  rangle: '⟩',
+  vert: '|',
+  '{': '{',
+  '}': '}',
+  '%': '%',
+  $: '$',
+  '#': '#',
+  '&': '&',
+  _: '_',
+};
+
+const FUNCTIONS = new Set([
+  'sin',
+  'cos',
+  'tan',
+  'cot',
+  'sec',
+  'csc',
+  'arcsin',
+  'arccos',
+  'arctan',
+  'sinh',
+  'cosh',
+  'tanh',
+  'log',
+  'ln',
+  'exp',
+  'lim',
+  'max',
+  'min',
+  'det',
+  'gcd',
+]);
+
+const ACCENTS = {
+  vec: '→',
+  hat: '^',
+  bar: '¯',
+  overline: '¯',
+  tilde: '~',
+  dot: '˙',
+};
+
+const SPACES = {
+  ',': '0.17em',
+  ':': '0.22em',
+  ';': '0.28em',
+  ' ': '0.25em',
+  quad: '1em',
+  qquad: '2em',
+};
+
+const el = (tag, children = [], attrs = {}) => ({ tag, attrs, children });
+const leaf = (tag, text, attrs = {}) => el(tag, [{ text }], attrs);
+
+function tokenize(tex) {
+  const tokens = [];
+  let i = 0;
+  while (i < tex.length) {
+    const char = tex[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '\\') {
+      const name = tex.slice(i + 1).match(/^([a-zA-Z]+|.)/);
+      const command = name ? name[1] : '';
+      tokens.push({ type: 'command', value: command });
+      i += 1 + command.length;
+    } else if (/[0-9.]/.test(char)) {
+      const number = tex.slice(i).match(/^[0-9]*\.?[0-9]+|^[0-9]+\.?/)[0];
+      tokens.push({ type: 'number', value: number });
+      i += number.length;
+    } else {
+      tokens.push({ type: 'char', value: char });
+      i++;
+    }
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  /**
+   * Parse until a closing token (or end); returns a list of nodes
+   */
+  parseList(until) {
+    const nodes = [];
+    while (this.pos < this.tokens.length) {
+      const token = this.peek();
+      if (until && until(token)) break;
+      if (
+        token.type === 'char' &&
+        (token.value === '^' || token.value === '_')
+      ) {
+        // Script without a base
+        nodes.push(this.parseScripts(el('mrow')));
+        continue;
+      }
+      const atom = this.parseAtom();
+      if (atom) nodes.push(this.parseScripts(atom));
+    }
+    return nodes;
+  }
+
+  /**
+   * A braced group or a single atom, used for arguments and scripts
+   */
+  parseArgument() {
+    const token = this.peek();
+    if (!token) return el('mrow');
+    if (token.type === 'char' && token.value === '{') {
+      this.next();
+      const children = this.parseList(
+        (t) => t.type === 'char' && t.value === '}'
+      );
+      this.next();
+      return children.length === 1 ? children[0] : el('mrow', children);
+    }
+    return this.parseAtom() || el('mrow');
+  }
+
+  readRawGroup() {
+    // \text{...} keeps its contents verbatim
+    if (this.peek()?.value !== '{') return '';
+    this.next();
+    let depth = 1;
+    let text = '';
+    while (this.pos < this.tokens.length) {
+      const token = this.next();
+      if (token.type === 'char' && token.value === '{') depth++;
+      if (token.type === 'char' && token.value === '}' && --depth === 0) break;
+      text +=
+        token.type === 'command' ? OPERATORS[token.value] || ' ' : token.value;
+    }
+    return text;
+  }
+
+  parseScripts(base) {
+    let sub = null;
+    let sup = null;
+    for (;;) {
+      const token = this.peek();
+      if (token?.type === 'char' && token.value === '_' && !sub) {
+        this.next();
+        sub = this.parseArgument();
+      } else if (token?.type === 'char' && token.value === '^' && !sup) {
+        this.next();
+        sup = this.parseArgument();
+      } else if (token?.type === 'char' && token.value === "'") {
+        this.next();
+        sup = leaf('mo', '′');
+      } else {
+        break;
+      }
+    }
+    if (sub && sup) return el('msubsup', [base, sub, sup]);
+    if (sub) return el('msub', [base, sub]);
+    if (sup) return el('msup', [base, sup]);
+    return base;
+  }
+
+  parseAtom() {
+    const token = this.next();
+    if (!token) return null;
+
+    if (token.type === 'number') return leaf('mn', token.value);
+    if (token.type === 'char') {
+      if (token.value === '{') {
+        const children = this.parseList(
+          (t) => t.type === 'char' && t.value === '}'
+        );
+        this.next();
+        return el('mrow', children);
+      }
+      if (token.value === '}') return null;
+      if (/[a-zA-Z]/.test(token.value)) return leaf('mi', token.value);
+      return leaf('mo', token.value);
+    }
+
+    const name = token.value;
+    if (GREEK[name]) return leaf('mi', GREEK[name]);
+    if (OPERATORS[name]) return leaf('mo', OPERATORS[name]);
+    if (FUNCTIONS.has(name)) return leaf('mi', name, { mathvariant: 'normal' });
+    if (SPACES[name]) return el('mspace', [], { width: SPACES[name] });
+    if (ACCENTS[name]) {
+      return el('mover', [this.parseArgument(), leaf('mo', ACCENTS[name])], {
+        accent: 'true',
+      });
+    }
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+        return el('mfrac', [this.parseArgument(), this.parseArgument()]);
+      case 'sqrt': {
+        if (this.peek()?.value === '[') {
+          this.next();
+          const index = this.parseList(
+            (t) => t.type === 'char' && t.value === ']'
+          );
+          this.next();
+          return el('mroot', [this.parseArgument(), el('mrow', index)]);
+        }
+        return el('msqrt', [this.parseArgument()]);
+      }
+      case 'text':
+      case 'textrm':
+      case 'mbox':
+        return leaf('mtext', this.readRawGroup());
+      case 'mathrm':
+      case 'operatorname':
+        return leaf('mi', this.readRawGroup(), { mathvariant: 'normal' });
+      case 'mathbf':
+        return leaf('mi', this.readRawGroup(), { mathvariant: 'bold' });
+      case 'left':
+      case 'right':
+      case 'big':
+      case 'Big':
+      case 'bigg':
+      case 'Bigg': {
+        // Only the delimiter matters; "." means none
+        const delimiter = this.next();
+        if (!delimiter || delimiter.value === '.') return null;
+        const symbol =
+          delimiter.type === 'command'
+            ? OPERATORS[delimiter.value] || delimiter.value
+            : delimiter.value;
+        return leaf('mo', symbol, { stretchy: 'true' });
+      }
+      case '\\':
+        return el('mspace', [], { linebreak: 'newline' });
+      default:
+        // Keep unsupported commands readable rather than dropping them
+        return leaf('mtext', `\\${name}`);
+    }
+  }
+}
+
+/**
+ * Convert LaTeX math to a MathML element tree
+ * @param {string} tex - LaTeX source without delimiters
+ * @param {Object} options - { display: true for block math }
+ * @returns {Object} - <math> element node
+ */
+export function latexToMathTree(tex, options = {}) {
+  const parser = new Parser(tokenize(String(tex || '')));
+  const children = parser.parseList();
+  return el('math', [el('mrow', children)], {
+    display: options.display ? 'block' : 'inline',
+  });
+}
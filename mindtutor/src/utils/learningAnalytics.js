@@ -0,0 +1,330 @@
+// learningAnalytics.js - Learning analytics derived from stored quiz and chat history
+// Builds a throwaway user-model view of the history so the analyzers in
+// userModel.js can run on what the learner actually did.
+
+import { userModelManager } from './userModel.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Below these amounts of data an insight is withheld rather than guessed
+const MIN_ATTEMPTS_FOR_TIMING = 3;
+const MIN_ATTEMPTS_FOR_TREND = 5;
+const MIN_ANSWERS_PER_TYPE = 2;
+const CONSISTENCY_WINDOW_DAYS = 14;
+const TREND_THRESHOLD = 0.02;
+
+const QUESTION_TYPE_STRENGTHS = {
+  mcq: 'recognition',
+  truefalse: 'fact_checking',
+  fillblank: 'recall',
+  shortanswer: 'concise_explanation',
+  explain: 'extended_reasoning',
+};
+const RECOGNITION_TYPES = ['mcq', 'truefalse'];
+
+function average(values) {
+  return values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+}
+
+function byTimestamp(a, b) {
+  return new Date(a.timestamp) - new Date(b.timestamp);
+}
+
+function resultScore(result) {
+  if (typeof result.partialScore === 'number') return result.partialScore / 100;
+  return result.isCorrect ? 1 : 0;
+}
+
+/**
+ * Build a user-model shaped view of stored quiz and chat history
+ * @param {Array} quizHistory - Quiz attempts from loadQuizHistory
+ * @param {Array} chatHistory - Chat messages from loadChatHistory
+ * @returns {Object} - { learningHistory, conceptMastery, chatActivity }
+ */
+export function buildHistoryModel(quizHistory = [], chatHistory = []) {
+  const attempts = quizHistory
+    .filter((attempt) => attempt.timestamp && typeof attempt.score === 'number')
+    .sort(byTimestamp);
+
+  const learningHistory = attempts.map((attempt) => ({
+    timestamp: attempt.timestamp,
+    activity: 'quiz',
+    topic: attempt.topic,
+    performance: attempt.score / 100,
+    timeSpent: attempt.timeSpent || 0,
+    difficulty: attempt.difficulty ? Math.round(attempt.difficulty) : null,
+    questionTypes:
+      attempt.questionTypes ||
+      [...new Set((attempt.results || []).map((r) => r.type))].filter(Boolean),
+  }));
+
+  const conceptMastery = new Map();
+  attempts.forEach((attempt) => {
+    (attempt.results || []).forEach((result) => {
+      const concept = result.conceptTested;
+      if (!concept) return;
+
+      if (!conceptMastery.has(concept)) {
+        conceptMastery.set(concept, {
+          attempts: 0,
+          correct: 0,
+          scores: [],
+          lastAttempt: null,
+          commonErrors: [],
+          masteryLevel: 0,
+        });
+      }
+
+      const mastery = conceptMastery.get(concept);
+      mastery.attempts += 1;
+      mastery.correct += result.isCorrect ? 1 : 0;
+      mastery.scores.push(resultScore(result));
+      mastery.lastAttempt = attempt.timestamp;
+
+      if (!result.isCorrect && result.type) {
+        const existing = mastery.commonErrors.find(
+          (error) => error.type === result.type
+        );
+        if (existing) {
+          existing.count += 1;
+        } else {
+          mastery.commonErrors.push({ type: result.type, count: 1 });
+        }
+      }
+    });
+  });
+
+  conceptMastery.forEach((mastery) => {
+    mastery.averageScore = average(mastery.scores);
+    mastery.masteryLevel = mastery.correct / mastery.attempts;
+    delete mastery.scores;
+  });
+
+  const chatActivity = chatHistory
+    .filter((message) => message.timestamp && message.role === 'user')
+    .map((message) => ({ timestamp: message.timestamp, topic: message.topic }))
+    .sort(byTimestamp);
+
+  return { learningHistory, conceptMastery, chatActivity };
+}
+
+/**
+ * Share of days in the recent window with any quiz or chat activity
+ */
+function calculateStudyConsistency(model, now) {
+  const windowStart = now.getTime() - CONSISTENCY_WINDOW_DAYS * DAY_MS;
+  const activeDays = new Set(
+    [...model.learningHistory, ...model.chatActivity]
+      .map((entry) => new Date(entry.timestamp))
+      .filter((date) => date.getTime() >= windowStart && date <= now)
+      .map((date) => date.toDateString())
+  );
+
+  return activeDays.size / CONSISTENCY_WINDOW_DAYS;
+}
+
+/**
+ * Classify the recent score trend from the learning velocity
+ */
+function calculateTrajectory(history) {
+  if (history.length < MIN_ATTEMPTS_FOR_TREND) return null;
+
+  const velocity = userModelManager.calculateLearningVelocity(history);
+  if (velocity > TREND_THRESHOLD) return 'improving';
+  if (velocity < -TREND_THRESHOLD) return 'declining';
+  return 'stable';
+}
+
+/**
+ * Per-question-type accuracy from graded results
+ */
+function analyzeQuestionTypes(quizHistory) {
+  const typeScores = {};
+
+  quizHistory.forEach((attempt) => {
+    (attempt.results || []).forEach((result) => {
+      if (!result.type) return;
+      if (!typeScores[result.type]) typeScores[result.type] = [];
+      typeScores[result.type].push(resultScore(result));
+    });
+  });
+
+  return Object.entries(typeScores)
+    .filter(([, scores]) => scores.length >= MIN_ANSWERS_PER_TYPE)
+    .map(([type, scores]) => ({
+      type,
+      accuracy: average(scores),
+      answered: scores.length,
+    }))
+    .sort((a, b) => b.accuracy - a.accuracy);
+}
+
+/**
+ * How often a low score (< 60%) is followed by a good one (>= 70%)
+ */
+function calculateRecoveryRate(history) {
+  let lowScores = 0;
+  let recoveries = 0;
+
+  for (let i = 0; i < history.length - 1; i++) {
+    if (history[i].performance < 0.6) {
+      lowScores++;
+      if (history[i + 1].performance >= 0.7) recoveries++;
+    }
+  }
+
+  return lowScores > 0 ? recoveries / lowScores : null;
+}
+
+/**
+ * Headline insights: predicted next score, best study hour, best difficulty
+ * @param {Array} quizHistory - Quiz attempts
+ * @param {Array} chatHistory - Chat messages
+ * @returns {Object|null} - Insights, or null without any quiz attempts
+ */
+export function generateLearningInsights(quizHistory = [], chatHistory = []) {
+  const model = buildHistoryModel(quizHistory, chatHistory);
+  const history = model.learningHistory;
+  if (history.length === 0) return null;
+
+  const recent = history.slice(-5);
+  const prediction = userModelManager.predictPerformance({
+    overallAbility: average(recent.map((entry) => entry.performance)),
+    learningVelocity: userModelManager.calculateLearningVelocity(history),
+  });
+  const trajectory = calculateTrajectory(history);
+
+  const insights = {
+    nextPerformance: {
+      value: prediction,
+      confidence: userModelManager.calculatePredictionConfidence(
+        history,
+        prediction
+      ),
+      basedOn: `Average of your last ${recent.length} quiz${
+        recent.length !== 1 ? 'zes' : ''
+      }${trajectory ? `, adjusted for a ${trajectory} trend` : ''}`,
+    },
+    optimalLearningTime: null,
+    preferredDifficulty: null,
+  };
+
+  if (history.length >= MIN_ATTEMPTS_FOR_TIMING) {
+    const timeOfDay = userModelManager.analyzeTimeOfDayPatterns(model);
+    if (timeOfDay.bestHour !== null) {
+      // analyzeTimeOfDayPatterns looks at the last 30 activities
+      const considered = history.slice(-30);
+      const quizzesAtHour = considered.filter(
+        (entry) => new Date(entry.timestamp).getHours() === timeOfDay.bestHour
+      ).length;
+      insights.optimalLearningTime = {
+        bestHour: timeOfDay.bestHour,
+        reason: `Your average score is highest around ${timeOfDay.bestHour}:00 (${quizzesAtHour} of your last ${considered.length} quizzes)`,
+      };
+    }
+  }
+
+  if (history.some((entry) => entry.difficulty)) {
+    insights.preferredDifficulty = userModelManager.predictPreferredDifficulty({
+      learningHistory: history.filter((entry) => entry.difficulty),
+    });
+  }
+
+  return insights;
+}
+
+/**
+ * Detailed patterns across question types, study times and concepts
+ * @param {Array} quizHistory - Quiz attempts
+ * @param {Array} chatHistory - Chat messages
+ * @param {Date} now - Reference time for the consistency window
+ * @returns {Object|null} - Patterns, or null without any activity
+ */
+export function analyzeLearningPatterns(
+  quizHistory = [],
+  chatHistory = [],
+  now = new Date()
+) {
+  const model = buildHistoryModel(quizHistory, chatHistory);
+  const history = model.learningHistory;
+  if (history.length === 0 && model.chatActivity.length === 0) return null;
+
+  // Cognitive: which kinds of question the learner answers best
+  const typePerformance = analyzeQuestionTypes(quizHistory);
+  let cognitive = null;
+  if (typePerformance.length > 0) {
+    const recognition = typePerformance.filter((t) =>
+      RECOGNITION_TYPES.includes(t.type)
+    );
+    const production = typePerformance.filter(
+      (t) => !RECOGNITION_TYPES.includes(t.type)
+    );
+    const recognitionAccuracy = average(recognition.map((t) => t.accuracy));
+    const productionAccuracy = average(production.map((t) => t.accuracy));
+
+    let learningApproach = 'balanced';
+    if (recognition.length > 0 && production.length > 0) {
+      if (recognitionAccuracy > productionAccuracy + 0.15) {
+        learningApproach = 'recognition_focused';
+      } else if (productionAccuracy > recognitionAccuracy + 0.15) {
+        learningApproach = 'recall_focused';
+      }
+    }
+
+    cognitive = {
+      dominantQuestionType: typePerformance[0].type,
+      learningApproach,
+      cognitiveStrengths: typePerformance
+        .filter((t) => t.accuracy >= 0.75)
+        .map((t) => QUESTION_TYPE_STRENGTHS[t.type] || t.type),
+      questionTypePerformance: typePerformance,
+    };
+  }
+
+  // Temporal: when the learner scores best and how regularly they study
+  const temporalPatterns = userModelManager.analyzeTemporalPatterns(model);
+  const timeOfDay =
+    history.length >= MIN_ATTEMPTS_FOR_TIMING
+      ? userModelManager.analyzeTimeOfDayPatterns(model)
+      : null;
+  const temporal = {
+    optimalStudyHour: timeOfDay ? timeOfDay.bestHour : null,
+    studyConsistency: calculateStudyConsistency(model, now),
+    peakPerformanceHours: temporalPatterns.peakPerformanceHours || [],
+  };
+
+  // Conceptual: per-concept mastery and gaps from graded results
+  const conceptMastery = Array.from(model.conceptMastery.entries())
+    .map(([concept, mastery]) => ({
+      concept,
+      attempts: mastery.attempts,
+      avgPerformance: mastery.averageScore,
+      masteryLevel: mastery.masteryLevel,
+    }))
+    .sort((a, b) => b.masteryLevel - a.masteryLevel);
+  const knowledgeGaps = userModelManager
+    .identifyConceptWeaknesses(model)
+    .filter((gap) => gap.attempts >= MIN_ANSWERS_PER_TYPE);
+  const conceptual = {
+    conceptMastery,
+    learningProgression: {
+      overallTrajectory: calculateTrajectory(history),
+      strengthAreas: conceptMastery
+        .filter((c) => c.masteryLevel >= 0.8)
+        .map((c) => c.concept),
+      improvementAreas: knowledgeGaps.map((gap) => gap.concept),
+    },
+    knowledgeGaps,
+  };
+
+  // Emotional: no mood data is recorded, so only bounce-back is reported
+  const recoveryRate = calculateRecoveryRate(history);
+  const emotional =
+    recoveryRate === null
+      ? null
+      : { emotionalTriggers: [], emotionalResilience: { recoveryRate } };
+
+  return { cognitive, temporal, conceptual, emotional };
+}
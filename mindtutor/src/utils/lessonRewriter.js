@@ -1,76 +1,104 @@
 // lessonRewriter.js - AI-powered lesson rewriting and customization system
+// Lesson text comes from the message catalogues, so lessons are written in
+// the learner's interface language.
+
+import { i18n, t } from './i18n.js';
 
 /**
  * Rewrite a lesson in different styles and formats
  * @param {Object} topic - Topic object with raw text and concepts
  * @param {string} style - Desired writing style
  * @param {Object} options - Additional customization options
+ * @param {string} options.locale - Language to write in, the interface
+ *   language by default
  * @returns {string} - Rewritten lesson content
  */
-export function rewriteLesson(topic, style = 'academic', _options = {}) {
+export function rewriteLesson(topic, style = 'academic', options = {}) {
+  const settings = { ...options, locale: options.locale || i18n.getLocale() };
+
   switch (style.toLowerCase()) {
     case 'story':
     case 'narrative':
-      return rewriteAsStory(topic, _options);
+      return rewriteAsStory(topic, settings);
 
     case 'simple':
     case 'beginner':
-      return rewriteSimply(topic, _options);
+      return rewriteSimply(topic, settings);
 
     case 'advanced':
     case 'expert':
-      return rewriteForExperts(topic, _options);
+      return rewriteForExperts(topic, settings);
 
     case 'concise':
     case 'summary':
-      return rewriteConcise(topic, _options);
+      return rewriteConcise(topic, settings);
 
     case 'practical':
     case 'application':
-      return rewritePractical(topic, _options);
+      return rewritePractical(topic, settings);
 
     case 'visual':
     case 'diagram':
-      return rewriteVisual(topic, _options);
+      return rewriteVisual(topic, settings);
 
     case 'question':
     case 'socratic':
-      return rewriteSocratic(topic, _options);
+      return rewriteSocratic(topic, settings);
 
     default:
-      return rewriteAcademic(topic, _options);
+      return rewriteAcademic(topic, settings);
   }
 }
 
+// Styles in the order the lesson style picker lists them
+const STYLE_IDS = [
+  'academic',
+  'story',
+  'simple',
+  'advanced',
+  'concise',
+  'practical',
+  'visual',
+  'question',
+];
+
+// Concepts the example helpers have tailored analogies for; others get the
+// catalogue's generic wording
+const EXAMPLE_CONCEPTS = ['Cell', 'Nucleus', 'Mitochondria', 'Membrane'];
+
+// German capitalises every noun, so names keep their case mid-sentence
+function inSentence(name, locale) {
+  return locale === 'de' ? name : name.toLowerCase();
+}
+
 /**
  * Rewrite lesson in academic/formal style
  */
-function rewriteAcademic(topic, _options) {
+function rewriteAcademic(topic, { locale }) {
   const { concepts, topic: topicName } = topic;
+  const subject = inSentence(topicName, locale);
 
   let content = `# ${topicName}\n\n`;
 
   // Introduction
-  content += `## Introduction\n\n`;
-  content += `This comprehensive overview explores the fundamental principles and applications of ${topicName.toLowerCase()}. `;
-  content += `Understanding these concepts is essential for developing a thorough comprehension of the subject matter.\n\n`;
+  content += `## ${t('lesson.academic.introduction', {}, locale)}\n\n`;
+  content += `${t('lesson.academic.intro', { topic: subject }, locale)}\n\n`;
 
   // Main concepts
   concepts.forEach((concept) => {
     content += `## ${concept.concept}\n\n`;
     content += `${concept.definition}\n\n`;
 
-    if (concept.difficulty <= 2) {
-      content += `**Key Point:** This concept forms the foundation for more advanced topics in ${topicName.toLowerCase()}.\n\n`;
-    } else {
-      content += `**Advanced Concept:** This represents a more sophisticated application of ${topicName.toLowerCase()} principles.\n\n`;
-    }
+    const note =
+      concept.difficulty <= 2
+        ? 'lesson.academic.keyPoint'
+        : 'lesson.academic.advanced';
+    content += `${t(note, { topic: subject }, locale)}\n\n`;
   });
 
   // Conclusion
-  content += `## Summary\n\n`;
-  content += `The concepts presented in this lesson demonstrate the interconnected nature of ${topicName.toLowerCase()}. `;
-  content += `Mastery of these fundamental principles will facilitate understanding of more complex applications in the field.\n\n`;
+  content += `## ${t('lesson.academic.summary', {}, locale)}\n\n`;
+  content += `${t('lesson.academic.conclusion', { topic: subject }, locale)}\n\n`;
 
   return content;
 }
@@ -78,28 +106,31 @@ function rewriteAcademic(topic, _options) {
 /**
  * Rewrite lesson as an engaging story
  */
-function rewriteAsStory(topic, _options) {
+function rewriteAsStory(topic, { locale }) {
   const { concepts, topic: topicName } = topic;
+  const subject = inSentence(topicName, locale);
 
-  let content = `# The Amazing Journey of ${topicName}\n\n`;
+  let content = `# ${t('lesson.story.title', { topic: topicName }, locale)}\n\n`;
 
-  content += `Imagine embarking on a fascinating expedition through the world of ${topicName.toLowerCase()}. `;
-  content += `What discoveries await? What mysteries will be revealed? Let's begin our adventure!\n\n`;
+  content += `${t('lesson.story.intro', { topic: subject }, locale)}\n\n`;
 
   concepts.forEach((concept) => {
-    const storyElements = getStoryElements(concept.concept);
-
-    content += `## The Mystery of ${concept.concept}\n\n`;
-    content += `As our journey continues, we encounter ${storyElements.setting}. `;
-    content += `Here, we discover that ${concept.concept.toLowerCase()} is like ${storyElements.analogy}.\n\n`;
+    content += `## ${t('lesson.story.mystery', { concept: concept.concept }, locale)}\n\n`;
+    content += `${t(
+      'lesson.story.encounter',
+      {
+        setting: getExample(concept.concept, 'setting', locale),
+        concept: inSentence(concept.concept, locale),
+        analogy: getExample(concept.concept, 'analogy', locale),
+      },
+      locale
+    )}\n\n`;
     content += `"${concept.definition}"\n\n`;
-    content += `This revelation opens up new possibilities in our quest to understand ${topicName.toLowerCase()}!\n\n`;
+    content += `${t('lesson.story.revelation', { topic: subject }, locale)}\n\n`;
   });
 
-  content += `## The Grand Finale\n\n`;
-  content += `Our journey through ${topicName.toLowerCase()} has revealed incredible wonders. `;
-  content += `Each concept we've encountered plays a crucial role in the grand tapestry of knowledge. `;
-  content += `What adventures await in your own exploration of this fascinating subject?\n\n`;
+  content += `## ${t('lesson.story.finale', {}, locale)}\n\n`;
+  content += `${t('lesson.story.ending', { topic: subject }, locale)}\n\n`;
 
   return content;
 }
@@ -107,16 +138,16 @@ function rewriteAsStory(topic, _options) {
 /**
  * Rewrite lesson in simple, beginner-friendly language
  */
-function rewriteSimply(topic, _options) {
+function rewriteSimply(topic, { locale }) {
   const { concepts, topic: topicName } = topic;
+  const subject = inSentence(topicName, locale);
 
-  let content = `# ${topicName} - Made Simple!\n\n`;
+  let content = `# ${t('lesson.simple.title', { topic: topicName }, locale)}\n\n`;
 
-  content += `Hey there! Let's learn about ${topicName.toLowerCase()} together. `;
-  content += `Don't worry if it seems complicated at first - we'll take it step by step.\n\n`;
+  content += `${t('lesson.simple.intro', { topic: subject }, locale)}\n\n`;
 
   concepts.forEach((concept) => {
-    content += `## What is ${concept.concept}?\n\n`;
+    content += `## ${t('lesson.simple.whatIs', { concept: concept.concept }, locale)}\n\n`;
 
     // Simplify the definition
     const simpleDef = concept.definition
@@ -128,14 +159,16 @@ function rewriteSimply(topic, _options) {
 
     content += `${simpleDef}\n\n`;
 
-    content += `**Think of it like:** ${getSimpleAnalogy(concept.concept)}\n\n`;
-    content += `**Why it matters:** This helps us understand how ${topicName.toLowerCase()} works in the real world!\n\n`;
+    content += `${t(
+      'lesson.simple.thinkOfIt',
+      { analogy: getExample(concept.concept, 'simple', locale) },
+      locale
+    )}\n\n`;
+    content += `${t('lesson.simple.whyItMatters', { topic: subject }, locale)}\n\n`;
   });
 
-  content += `## You're Doing Great!\n\n`;
-  content += `You've just learned the basics of ${topicName.toLowerCase()}! `;
-  content += `Remember, learning takes time, and you're making progress with every step. `;
-  content += `Keep exploring and asking questions!\n\n`;
+  content += `## ${t('lesson.simple.doingGreat', {}, locale)}\n\n`;
+  content += `${t('lesson.simple.ending', { topic: subject }, locale)}\n\n`;
 
   return content;
 }
@@ -143,31 +176,33 @@ function rewriteSimply(topic, _options) {
 /**
  * Rewrite for expert/advanced audience
  */
-function rewriteForExperts(topic, _options) {
+function rewriteForExperts(topic, { locale }) {
   const { concepts, topic: topicName } = topic;
+  const subject = inSentence(topicName, locale);
 
-  let content = `# Advanced Analysis: ${topicName}\n\n`;
+  let content = `# ${t('lesson.expert.title', { topic: topicName }, locale)}\n\n`;
 
-  content += `## Theoretical Framework\n\n`;
-  content += `This analysis examines ${topicName.toLowerCase()} through an advanced theoretical lens, `;
-  content += `considering current research paradigms and emerging methodologies.\n\n`;
+  content += `## ${t('lesson.expert.framework', {}, locale)}\n\n`;
+  content += `${t('lesson.expert.intro', { topic: subject }, locale)}\n\n`;
 
   concepts.forEach((concept) => {
-    content += `## ${concept.concept}: Advanced Considerations\n\n`;
+    content += `## ${t('lesson.expert.considerations', { concept: concept.concept }, locale)}\n\n`;
     content += `${concept.definition}\n\n`;
 
-    content += `**Theoretical Implications:**\n`;
-    content += `• Integration with existing ${topicName.toLowerCase()} frameworks\n`;
-    content += `• Potential applications in emerging research domains\n`;
-    content += `• Methodological considerations for empirical validation\n\n`;
+    content += `${t('lesson.expert.implications', {}, locale)}\n`;
+    i18n
+      .list('lesson.expert.implicationPoints', { topic: subject }, locale)
+      .forEach((point) => {
+        content += `• ${point}\n`;
+      });
+    content += `\n`;
 
-    content += `**Research Directions:**\n`;
-    content += `Further investigation into the quantitative aspects and interdisciplinary connections is warranted.\n\n`;
+    content += `${t('lesson.expert.directions', {}, locale)}\n`;
+    content += `${t('lesson.expert.directionsText', {}, locale)}\n\n`;
   });
 
-  content += `## Future Perspectives\n\n`;
-  content += `The concepts explored herein suggest promising avenues for future research in ${topicName.toLowerCase()}. `;
-  content += `Particular attention should be given to the integration of these principles with contemporary technological advancements.\n\n`;
+  content += `## ${t('lesson.expert.future', {}, locale)}\n\n`;
+  content += `${t('lesson.expert.ending', { topic: subject }, locale)}\n\n`;
 
   return content;
 }
@@ -175,17 +210,21 @@ function rewriteForExperts(topic, _options) {
 /**
  * Create a concise summary version
  */
-function rewriteConcise(topic, _options) {
+function rewriteConcise(topic, { locale }) {
   const { concepts, topic: topicName } = topic;
 
-  let content = `# ${topicName} - Quick Reference\n\n`;
+  let content = `# ${t('lesson.concise.title', { topic: topicName }, locale)}\n\n`;
 
   concepts.forEach((concept) => {
     content += `**${concept.concept}:** ${concept.definition.substring(0, 100)}...\n\n`;
   });
 
-  content += `**Key Terms:** ${topic.keywords?.slice(0, 10).join(', ')}\n\n`;
-  content += `*For detailed explanations, refer to the full lesson.*\n\n`;
+  content += `${t(
+    'lesson.concise.keyTerms',
+    { terms: topic.keywords?.slice(0, 10).join(', ') || '' },
+    locale
+  )}\n\n`;
+  content += `${t('lesson.concise.fullLesson', {}, locale)}\n\n`;
 
   return content;
 }
@@ -193,30 +232,31 @@ function rewriteConcise(topic, _options) {
 /**
  * Rewrite focusing on practical applications
  */
-function rewritePractical(topic, _options) {
+function rewritePractical(topic, { locale }) {
   const { concepts, topic: topicName } = topic;
+  const subject = inSentence(topicName, locale);
 
-  let content = `# ${topicName} in Action\n\n`;
+  let content = `# ${t('lesson.practical.title', { topic: topicName }, locale)}\n\n`;
 
-  content += `Let's see how ${topicName.toLowerCase()} works in the real world!\n\n`;
+  content += `${t('lesson.practical.intro', { topic: subject }, locale)}\n\n`;
 
   concepts.forEach((concept) => {
-    content += `## ${concept.concept} - Real World Applications\n\n`;
+    content += `## ${t('lesson.practical.applications', { concept: concept.concept }, locale)}\n\n`;
     content += `${concept.definition}\n\n`;
 
-    content += `**Where you'll see this:**\n`;
-    content += `• ${getPracticalApplication(concept.concept)}\n`;
-    content += `• ${getPracticalApplication(concept.concept)}\n\n`;
+    content += `${t('lesson.practical.whereYoullSee', {}, locale)}\n`;
+    content += `• ${getExample(concept.concept, 'application', locale)}\n`;
+    content += `• ${getExample(concept.concept, 'application', locale)}\n\n`;
 
-    content += `**How to apply it:**\n`;
-    content += `1. Identify the core principle\n`;
-    content += `2. Analyze the specific situation\n`;
-    content += `3. Apply the concept systematically\n\n`;
+    content += `${t('lesson.practical.howToApply', {}, locale)}\n`;
+    i18n.list('lesson.practical.steps', {}, locale).forEach((step, index) => {
+      content += `${index + 1}. ${step}\n`;
+    });
+    content += `\n`;
   });
 
-  content += `## Putting It All Together\n\n`;
-  content += `Now that you understand these practical applications, you can start applying ${topicName.toLowerCase()} `;
-  content += `to solve real-world problems and make informed decisions!\n\n`;
+  content += `## ${t('lesson.practical.together', {}, locale)}\n\n`;
+  content += `${t('lesson.practical.ending', { topic: subject }, locale)}\n\n`;
 
   return content;
 }
@@ -224,12 +264,12 @@ function rewritePractical(topic, _options) {
 /**
  * Create a visual/diagram-focused version
  */
-function rewriteVisual(topic, _options) {
+function rewriteVisual(topic, { locale }) {
   const { concepts, topic: topicName } = topic;
 
-  let content = `# ${topicName} - Visual Guide\n\n`;
+  let content = `# ${t('lesson.visual.title', { topic: topicName }, locale)}\n\n`;
 
-  content += `## Mind Map Overview\n\n`;
+  content += `## ${t('lesson.visual.mindMap', {}, locale)}\n\n`;
   content += `🌟 **${topicName.toUpperCase()}**\n\n`;
 
   concepts.forEach((concept) => {
@@ -247,17 +287,17 @@ function rewriteVisual(topic, _options) {
     content += `\n`;
   });
 
-  content += `## Key Relationships\n\n`;
-  content += `**How it all connects:**\n`;
+  content += `## ${t('lesson.visual.relationships', {}, locale)}\n\n`;
+  content += `${t('lesson.visual.connects', {}, locale)}\n`;
   concepts.forEach((concept) => {
-    content += `• ${concept.concept} → ${getRelatedConcepts(concept.concept, concepts)}\n`;
+    content += `• ${concept.concept} → ${getRelatedConcepts(concept.concept, concepts, locale)}\n`;
   });
 
-  content += `\n## Visual Learning Tips\n\n`;
-  content += `• Start from the center and work outward\n`;
-  content += `• Look for connections between branches\n`;
-  content += `• Use colors to highlight important relationships\n`;
-  content += `• Draw your own diagrams as you learn\n\n`;
+  content += `\n## ${t('lesson.visual.tips', {}, locale)}\n\n`;
+  i18n.list('lesson.visual.tipPoints', {}, locale).forEach((tip) => {
+    content += `• ${tip}\n`;
+  });
+  content += `\n`;
 
   return content;
 }
@@ -265,157 +305,91 @@ function rewriteVisual(topic, _options) {
 /**
  * Create a Socratic question-based version
  */
-function rewriteSocratic(topic, _options) {
+function rewriteSocratic(topic, { locale }) {
   const { concepts, topic: topicName } = topic;
+  const subject = inSentence(topicName, locale);
 
-  let content = `# Exploring ${topicName} Through Questions\n\n`;
+  let content = `# ${t('lesson.socratic.title', { topic: topicName }, locale)}\n\n`;
 
-  content += `Let's discover ${topicName.toLowerCase()} by asking the right questions:\n\n`;
+  content += `${t('lesson.socratic.intro', { topic: subject }, locale)}\n\n`;
 
   concepts.forEach((concept, index) => {
-    content += `## Question Set ${index + 1}: ${concept.concept}\n\n`;
-
-    content += `**What is ${concept.concept.toLowerCase()}?**\n`;
-    content += `${concept.definition}\n\n`;
+    const name = inSentence(concept.concept, locale);
 
-    content += `**Why does ${concept.concept.toLowerCase()} matter?**\n`;
-    content += `Because it helps us understand ${getConceptPurpose(concept.concept)}.\n\n`;
+    content += `## ${t(
+      'lesson.socratic.questionSet',
+      { number: index + 1, concept: concept.concept },
+      locale
+    )}\n\n`;
 
-    content += `**How does ${concept.concept.toLowerCase()} relate to other concepts?**\n`;
-    content += `It connects with ${getRelatedConcepts(concept.concept, concepts)}.\n\n`;
+    content += `${t('lesson.socratic.whatIs', { concept: name }, locale)}\n`;
+    content += `${concept.definition}\n\n`;
 
-    content += `**What would happen without ${concept.concept.toLowerCase()}?**\n`;
-    content += `Consider how ${topicName.toLowerCase()} would function differently.\n\n`;
+    content += `${t('lesson.socratic.whyMatter', { concept: name }, locale)}\n`;
+    content += `${t(
+      'lesson.socratic.because',
+      { purpose: getExample(concept.concept, 'purpose', locale) },
+      locale
+    )}\n\n`;
+
+    content += `${t('lesson.socratic.howRelate', { concept: name }, locale)}\n`;
+    content += `${t(
+      'lesson.socratic.connects',
+      { related: getRelatedConcepts(concept.concept, concepts, locale) },
+      locale
+    )}\n\n`;
+
+    content += `${t('lesson.socratic.without', { concept: name }, locale)}\n`;
+    content += `${t('lesson.socratic.consider', { topic: subject }, locale)}\n\n`;
   });
 
-  content += `## Reflection Questions\n\n`;
-  content += `• How do these concepts work together?\n`;
-  content += `• What real-world situations involve these ideas?\n`;
-  content += `• How might you apply this knowledge?\n`;
-  content += `• What questions do you still have?\n\n`;
+  content += `## ${t('lesson.socratic.reflection', {}, locale)}\n\n`;
+  i18n
+    .list('lesson.socratic.reflectionPoints', {}, locale)
+    .forEach((question) => {
+      content += `• ${question}\n`;
+    });
+  content += `\n`;
 
   return content;
 }
 
 // Helper functions
 
-function getStoryElements(concept) {
-  const storyMap = {
-    Cell: { setting: 'a microscopic world', analogy: 'a bustling city' },
-    Nucleus: {
-      setting: 'the heart of a great kingdom',
-      analogy: 'a wise king ruling from his throne',
-    },
-    Mitochondria: {
-      setting: 'a power plant in a busy factory',
-      analogy: 'tireless workers generating energy',
-    },
-    Membrane: {
-      setting: 'the walls of an ancient fortress',
-      analogy: 'guards protecting the castle',
-    },
-  };
-
-  return (
-    storyMap[concept] || {
-      setting: 'an unknown realm',
-      analogy: 'a mysterious force',
-    }
-  );
-}
-
-function getSimpleAnalogy(concept) {
-  const analogies = {
-    Cell: 'a tiny factory that makes everything needed for life',
-    Nucleus: 'the boss who gives instructions to everyone',
-    Mitochondria: 'the power plant that keeps the lights on',
-    Membrane: 'the security guard who decides who gets in and out',
-  };
-
-  return (
-    analogies[concept] || 'something really important that helps things work'
-  );
+// Setting, analogy, simple analogy, application or purpose for a concept
+function getExample(concept, field, locale) {
+  const key = EXAMPLE_CONCEPTS.includes(concept) ? concept : 'default';
+  return t(`lesson.examples.${key}.${field}`, {}, locale);
 }
 
-function getPracticalApplication(concept) {
-  const applications = {
-    Cell: 'Understanding how medicines work in the body',
-    Nucleus: 'Genetic engineering and biotechnology',
-    Mitochondria: 'Treating diseases related to energy production',
-    Membrane: 'Drug delivery systems and medical treatments',
-  };
-
-  return (
-    applications[concept] ||
-    'Solving real-world problems in science and medicine'
-  );
-}
-
-function getRelatedConcepts(concept, allConcepts) {
+function getRelatedConcepts(concept, allConcepts, locale) {
   // Simple relatedness based on keywords
   const related = allConcepts
     .filter((c) => c.concept !== concept)
     .slice(0, 2)
     .map((c) => c.concept);
 
-  return related.length > 0
-    ? related.join(' and ')
-    : 'other important concepts';
-}
-
-function getConceptPurpose(concept) {
-  const purposes = {
-    Cell: 'how living things are structured and function',
-    Nucleus: 'how genetic information is stored and used',
-    Mitochondria: 'how energy is produced in living organisms',
-    Membrane: 'how cells maintain their internal environment',
-  };
-
-  return purposes[concept] || 'fundamental processes in biology';
+  if (related.length === 0) return t('lesson.otherConcepts', {}, locale);
+  return related.length === 1
+    ? related[0]
+    : t(
+        'lesson.relatedJoin',
+        { first: related[0], second: related[1] },
+        locale
+      );
 }
 
 /**
  * Get available rewriting styles
+ * @param {string} locale - Language of the names, the interface language by
+ *   default
  */
-export function getAvailableStyles() {
-  return [
-    {
-      id: 'academic',
-      name: 'Academic/Formal',
-      description: 'Traditional educational format',
-    },
-    {
-      id: 'story',
-      name: 'Story/Narrative',
-      description: 'Engaging story format',
-    },
-    {
-      id: 'simple',
-      name: 'Simple/Beginner',
-      description: 'Easy to understand language',
-    },
-    {
-      id: 'advanced',
-      name: 'Advanced/Expert',
-      description: 'Technical and in-depth',
-    },
-    { id: 'concise', name: 'Concise/Summary', description: 'Brief overview' },
-    {
-      id: 'practical',
-      name: 'Practical/Application',
-      description: 'Real-world focus',
-    },
-    {
-      id: 'visual',
-      name: 'Visual/Diagram',
-      description: 'Mind maps and diagrams',
-    },
-    {
-      id: 'question',
-      name: 'Socratic/Questions',
-      description: 'Question-based learning',
-    },
-  ];
+export function getAvailableStyles(locale = i18n.getLocale()) {
+  return STYLE_IDS.map((id) => ({
+    id,
+    name: t(`lesson.styles.${id}.name`, {}, locale),
+    description: t(`lesson.styles.${id}.description`, {}, locale),
+  }));
 }
 
 /**
@@ -0,0 +1,470 @@
+/* global AbortController, TextDecoder, clearTimeout */
+// llmProvider.js - Pluggable LLM provider layer for MindTutor
+// Routes chat requests to OpenAI-compatible or Anthropic endpoints using the
+// key saved by AIKeyInput, with retries, timeouts and cancellation.
+
+const API_KEY_STORAGE_KEY = 'mindtutor_apikey';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+
+// Statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+const env = import.meta.env || {};
+const DEFAULT_PROVIDER = env.VITE_DEFAULT_API_PROVIDER || 'openai';
+
+/**
+ * Provider defaults. `format` selects the wire protocol adapter.
+ * VITE_API_BASE_URL overrides the endpoint of OpenAI-compatible providers
+ * so the app can be pointed at a proxy or a self-hosted model server.
+ */
+export const PROVIDER_CONFIGS = {
+  openai: {
+    format: 'openai',
+    baseUrl: env.VITE_API_BASE_URL || 'https://api.openai.com/v1',
+    model: env.VITE_API_MODEL || 'gpt-4o-mini',
+  },
+  grok: {
+    format: 'openai',
+    baseUrl: 'https://api.x.ai/v1',
+    model: 'grok-2-latest',
+  },
+  anthropic: {
+    format: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-haiku-latest',
+  },
+  custom: {
+    format: 'openai',
+    baseUrl: env.VITE_API_BASE_URL || 'http://localhost:11434/v1',
+    model: env.VITE_API_MODEL || 'llama3',
+  },
+};
+
+/**
+ * Wire protocol adapters. Each one knows how to build a request, read a
+ * complete response and read a single server-sent event from a stream.
+ */
+const ADAPTERS = {
+  openai: {
+    buildRequest(config, messages, options, stream) {
+      return {
+        url: `${config.baseUrl}/chat/completions`,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${config.apiKey}`,
+        },
+        body: {
+          model: options.model || config.model,
+          messages,
+          temperature: options.temperature ?? 0.4,
+          max_tokens: options.maxTokens ?? 800,
+          stream,
+        },
+      };
+    },
+    parseResponse(json) {
+      return {
+        content: json.choices?.[0]?.message?.content || '',
+        model: json.model,
+        usage: json.usage || null,
+      };
+    },
+    parseStreamEvent(data) {
+      if (data === '[DONE]') return { done: true };
+      const json = JSON.parse(data);
+      return { delta: json.choices?.[0]?.delta?.content || '' };
+    },
+  },
+
+  anthropic: {
+    buildRequest(config, messages, options, stream) {
+      // Anthropic takes the system prompt separately from the turns
+      const system = messages
+        .filter((m) => m.role === 'system')
+        .map((m) => m.content)
+        .join('\n\n');
+      const turns = messages.filter((m) => m.role !== 'system');
+
+      return {
+        url: `${config.baseUrl}/messages`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true',
+        },
+        body: {
+          model: options.model || config.model,
+          ...(system ? { system } : {}),
+          messages: turns,
+          temperature: options.temperature ?? 0.4,
+          max_tokens: options.maxTokens ?? 800,
+          stream,
+        },
+      };
+    },
+    parseResponse(json) {
+      return {
+        content: (json.content || [])
+          .filter((block) => block.type === 'text')
+          .map((block) => block.text)
+          .join(''),
+        model: json.model,
+        usage: json.usage || null,
+      };
+    },
+    parseStreamEvent(data) {
+      const json = JSON.parse(data);
+      if (json.type === 'message_stop') return { done: true };
+      if (json.type === 'content_block_delta') {
+        return { delta: json.delta?.text || '' };
+      }
+      return { delta: '' };
+    },
+  },
+};
+
+/**
+ * Build an error carrying the HTTP status and whether a retry could help
+ */
+function createProviderError(
+  message,
+  { status = null, retryable = false, cause } = {}
+) {
+  const error = new Error(message);
+  error.name = 'LLMProviderError';
+  error.status = status;
+  error.retryable = retryable;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+function isAbortError(error) {
+  return error && error.name === 'AbortError';
+}
+
+/**
+ * Sleep that wakes up early (and rejects) when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function createAbortError() {
+  const error = new Error('Request was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Compute the delay before the next attempt, honouring Retry-After
+ */
+function getRetryDelay(attempt, baseDelay, retryAfterHeader) {
+  const retryAfter = Number(retryAfterHeader);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  return Math.min(baseDelay * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Create an AbortController that aborts on timeout or when the caller's
+ * signal aborts. Returns the controller plus a cleanup function.
+ */
+function createLinkedController(signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    controller,
+    didTimeOut: () => timedOut,
+    clearTimer: () => clearTimeout(timer),
+    cleanup: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Read the saved key data from localStorage.
+ * Older builds stored the bare key string, so that format is accepted too.
+ * @returns {Object|null} - { key, provider } or null if nothing is saved
+ */
+export function getStoredAPIKeyData() {
+  try {
+    const stored = localStorage.getItem(API_KEY_STORAGE_KEY);
+    if (!stored) return null;
+
+    try {
+      const parsed = JSON.parse(stored);
+      if (parsed && typeof parsed === 'object' && parsed.key) {
+        return {
+          key: parsed.key,
+          provider: parsed.provider || DEFAULT_PROVIDER,
+        };
+      }
+    } catch {
+      // Not JSON - legacy bare key
+    }
+
+    return { key: stored, provider: DEFAULT_PROVIDER };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Chat client for a single provider configuration
+ */
+export class LLMProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - API key sent to the endpoint
+   * @param {string} options.provider - Key of PROVIDER_CONFIGS
+   * @param {string} options.baseUrl - Override the endpoint base URL
+   * @param {string} options.model - Override the default model
+   * @param {number} options.timeoutMs - Per-attempt timeout
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.retryDelayMs - Base delay for exponential backoff
+   * @param {Function} options.fetchImpl - fetch implementation (for tests)
+   */
+  constructor({
+    apiKey,
+    provider = DEFAULT_PROVIDER,
+    baseUrl,
+    model,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    fetchImpl,
+  } = {}) {
+    const defaults = PROVIDER_CONFIGS[provider] || PROVIDER_CONFIGS.custom;
+    const adapter = ADAPTERS[defaults.format];
+
+    this.provider = provider;
+    this.adapter = adapter;
+    this.config = {
+      apiKey,
+      baseUrl: (baseUrl || defaults.baseUrl).replace(/\/+$/, ''),
+      model: model || defaults.model,
+    };
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.fetchImpl = fetchImpl || ((...args) => globalThis.fetch(...args));
+  }
+
+  /**
+   * Send a request, retrying transient failures. Resolves with the Response
+   * once headers arrive; the caller owns the body.
+   */
+  async request(messages, options, stream) {
+    const { url, headers, body } = this.adapter.buildRequest(
+      this.config,
+      messages,
+      options,
+      stream
+    );
+    const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (options.signal?.aborted) throw createAbortError();
+
+      const link = createLinkedController(options.signal, timeoutMs);
+      let retryAfter = null;
+
+      try {
+        const response = await this.fetchImpl(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal: link.controller.signal,
+        });
+
+        if (response.ok) {
+          return { response, link };
+        }
+
+        retryAfter = response.headers.get('retry-after');
+        const detail = await response.text().catch(() => '');
+        lastError = createProviderError(
+          `Provider responded with ${response.status}${detail ? `: ${detail.substring(0, 200)}` : ''}`,
+          {
+            status: response.status,
+            retryable: RETRYABLE_STATUSES.has(response.status),
+          }
+        );
+        link.cleanup();
+      } catch (error) {
+        link.cleanup();
+        if (link.didTimeOut()) {
+          lastError = createProviderError(
+            `Provider did not respond within ${timeoutMs}ms`,
+            { retryable: true, cause: error }
+          );
+        } else if (isAbortError(error) || options.signal?.aborted) {
+          throw createAbortError();
+        } else {
+          // Network failure (offline, DNS, CORS)
+          lastError = createProviderError(`Network error: ${error.message}`, {
+            retryable: true,
+            cause: error,
+          });
+        }
+      }
+
+      if (!lastError.retryable || attempt === this.maxRetries) break;
+      await sleep(
+        getRetryDelay(attempt, this.retryDelayMs, retryAfter),
+        options.signal
+      );
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Request a complete chat response
+   * @param {Array<Object>} messages - [{ role, content }] in OpenAI format
+   * @param {Object} options - { signal, timeoutMs, temperature, maxTokens, model }
+   * @returns {Promise<Object>} - { content, model, usage }
+   */
+  async chat(messages, options = {}) {
+    const { response, link } = await this.request(messages, options, false);
+    try {
+      const json = await response.json();
+      return this.adapter.parseResponse(json);
+    } catch (error) {
+      if (options.signal?.aborted) throw createAbortError();
+      throw createProviderError(`Invalid provider response: ${error.message}`, {
+        cause: error,
+      });
+    } finally {
+      link.cleanup();
+    }
+  }
+
+  /**
+   * Stream a chat response as text deltas
+   * @param {Array<Object>} messages - [{ role, content }] in OpenAI format
+   * @param {Object} options - { signal, timeoutMs, temperature, maxTokens, model }
+   * @yields {string} - Text deltas in arrival order
+   */
+  async *stream(messages, options = {}) {
+    const { response, link } = await this.request(messages, options, true);
+    // The timeout only guards the connection; a long answer may stream longer
+    link.clearTimer();
+
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      // Endpoint ignored stream: true - fall back to the complete body
+      link.cleanup();
+      const json = await response.json();
+      const { content } = this.adapter.parseResponse(json);
+      if (content) yield content;
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        if (options.signal?.aborted) throw createAbortError();
+
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // Server-sent events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+          const data = rawEvent
+            .split(/\r?\n/)
+            .filter((line) => line.startsWith('data:'))
+            .map((line) => line.slice(5).trimStart())
+            .join('\n');
+          if (!data) continue;
+
+          let event;
+          try {
+            event = this.adapter.parseStreamEvent(data);
+          } catch (error) {
+            console.warn('Skipping malformed stream event:', error.message);
+            continue;
+          }
+          if (event.done) return;
+          if (event.delta) yield event.delta;
+        }
+      }
+    } catch (error) {
+      if (isAbortError(error) || options.signal?.aborted) {
+        throw createAbortError();
+      }
+      throw error;
+    } finally {
+      link.cleanup();
+      reader.cancel().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Create a provider from the key saved by AIKeyInput
+ * @param {Object} overrides - Extra LLMProvider options
+ * @returns {LLMProvider|null} - Provider or null when no key is saved
+ */
+export function createProviderFromStorage(overrides = {}) {
+  const keyData = getStoredAPIKeyData();
+  if (!keyData || !keyData.key) return null;
+
+  return new LLMProvider({
+    apiKey: keyData.key,
+    provider: keyData.provider,
+    ...overrides,
+  });
+}
+
+/**
+ * Whether a remote model is configured
+ * @returns {boolean}
+ */
+export function isLLMConfigured() {
+  return !!getStoredAPIKeyData()?.key;
+}
+
+export { isAbortError };
@@ -2,6 +2,46 @@
 
 import * as tf from '@tensorflow/tfjs';
 
+// Bump a model's version when its architecture or features change; models
+// saved under an older tag are then ignored instead of loaded with the wrong
+// input shape.
+export const MODEL_VERSIONS = {
+  performancePrediction: 1,
+  difficultyClassification: 1,
+  userPattern: 1,
+};
+
+/**
+ * IndexedDB location of a model, tagged with its version
+ * @param {string} modelName - Model name
+ * @returns {string} - tf.io URL
+ */
+export function getModelStorageUrl(modelName) {
+  return `indexeddb://mindtutor-${modelName}-v${MODEL_VERSIONS[modelName] || 1}`;
+}
+
+/**
+ * Move models saved to localStorage by older versions to IndexedDB, so they
+ * stop taking up the localStorage quota. Workers have no localStorage, so
+ * this runs on the main thread before the ML worker starts.
+ * @returns {Promise<Array<string>>} - Names of the models moved
+ */
+export async function moveLegacyModels() {
+  const moved = [];
+  for (const modelName of Object.keys(MODEL_VERSIONS)) {
+    try {
+      await tf.io.moveModel(
+        `localstorage://${modelName}`,
+        getModelStorageUrl(modelName)
+      );
+      moved.push(modelName);
+    } catch {
+      // Nothing saved under the old name
+    }
+  }
+  return moved;
+}
+
 /**
  * Machine Learning Manager for MindTutor
  * Handles model training, inference, and management for educational analytics
@@ -175,10 +215,49 @@ export class MLManager {
     return { features, labels };
   }
 
+  /**
+   * Build model.fit callbacks that report progress and honour cancellation
+   * @param {string} modelName - Model being trained
+   * @param {number} epochs - Total epochs
+   * @param {Object} options - { onProgress, shouldStop }
+   */
+  createTrainingCallbacks(modelName, epochs, options = {}) {
+    return {
+      onEpochEnd: async (epoch, logs) => {
+        options.onProgress?.({
+          model: modelName,
+          epoch: epoch + 1,
+          epochs,
+          loss: logs?.loss,
+          accuracy: logs?.acc,
+        });
+        if (options.shouldStop?.()) {
+          this.models.get(modelName).stopTraining = true;
+        }
+        // Yield between epochs so cancel messages can be received
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      },
+    };
+  }
+
+  /**
+   * Throw away a cancelled, half-trained model and go back to the saved one
+   * @param {string} modelName - Model name
+   * @returns {null}
+   */
+  async discardTraining(modelName) {
+    this.models.get(modelName)?.dispose();
+    this.models.delete(modelName);
+    await this.loadModel(modelName);
+    return null;
+  }
+
   /**
    * Train performance prediction model
+   * @param {Array} userHistory - Learning activities, oldest first
+   * @param {Object} options - { onProgress, shouldStop }
    */
-  async trainPerformanceModel(userHistory) {
+  async trainPerformanceModel(userHistory, options = {}) {
     const model = await this.createPerformancePredictionModel();
     const { features, labels } =
       this.preparePerformanceTrainingData(userHistory);
@@ -196,32 +275,33 @@ export class MLManager {
         epochs: 50,
         batchSize: 8,
         validationSplit: 0.2,
-        callbacks: {
-          onEpochEnd: (epoch, logs) => {
-            if (epoch % 10 === 0) {
-              console.log(
-                `Performance model epoch ${epoch}: loss = ${logs.loss.toFixed(4)}`
-              );
-            }
-          },
-        },
+        callbacks: this.createTrainingCallbacks(
+          'performancePrediction',
+          50,
+          options
+        ),
       });
 
-      // Clean up tensors
-      xs.dispose();
-      ys.dispose();
-
+      if (options.shouldStop?.()) {
+        return this.discardTraining('performancePrediction');
+      }
       return model;
     } catch (error) {
       console.error('Error training performance model:', error);
       return null;
+    } finally {
+      // Clean up tensors
+      xs.dispose();
+      ys.dispose();
     }
   }
 
   /**
    * Train difficulty classification model
+   * @param {Array} contentData - { features, difficulty } items
+   * @param {Object} options - { onProgress, shouldStop }
    */
-  async trainDifficultyModel(contentData) {
+  async trainDifficultyModel(contentData, options = {}) {
     const model = await this.createDifficultyClassificationModel();
     const { features, labels } =
       this.prepareDifficultyTrainingData(contentData);
@@ -239,24 +319,23 @@ export class MLManager {
         epochs: 100,
         batchSize: 16,
         validationSplit: 0.2,
-        callbacks: {
-          onEpochEnd: (epoch, logs) => {
-            if (epoch % 20 === 0) {
-              console.log(
-                `Difficulty model epoch ${epoch}: accuracy = ${logs.acc.toFixed(4)}`
-              );
-            }
-          },
-        },
+        callbacks: this.createTrainingCallbacks(
+          'difficultyClassification',
+          100,
+          options
+        ),
       });
 
-      xs.dispose();
-      ys.dispose();
-
+      if (options.shouldStop?.()) {
+        return this.discardTraining('difficultyClassification');
+      }
       return model;
     } catch (error) {
       console.error('Error training difficulty model:', error);
       return null;
+    } finally {
+      xs.dispose();
+      ys.dispose();
     }
   }
 
@@ -523,14 +602,14 @@ export class MLManager {
   }
 
   /**
-   * Save model to local storage
+   * Save model to IndexedDB under its versioned name
    */
   async saveModel(modelName) {
     const model = this.models.get(modelName);
     if (!model) return false;
 
     try {
-      const saveResult = await model.save(`localstorage://${modelName}`);
+      await model.save(getModelStorageUrl(modelName));
       console.log(`Model ${modelName} saved successfully`);
       return true;
     } catch (error) {
@@ -540,15 +619,15 @@ export class MLManager {
   }
 
   /**
-   * Load model from local storage
+   * Load model from IndexedDB
    */
   async loadModel(modelName) {
     try {
-      const model = await tf.loadLayersModel(`localstorage://${modelName}`);
+      const model = await tf.loadLayersModel(getModelStorageUrl(modelName));
       this.models.set(modelName, model);
       console.log(`Model ${modelName} loaded successfully`);
       return model;
-    } catch (error) {
+    } catch {
       console.log(`Model ${modelName} not found in storage`);
       return null;
     }
@@ -563,8 +642,8 @@ export class MLManager {
     this.models.forEach((model, name) => {
       status[name] = {
         loaded: true,
-        layers: model.layers.length,
-        inputShape: model.inputs[0].shape,
+        layers: model.layers?.length || 0,
+        inputShape: model.inputs?.[0]?.shape || null,
       };
     });
 
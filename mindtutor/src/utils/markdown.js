@@ -0,0 +1,622 @@
+// markdown.js - Markdown to a plain syntax tree for safe rendering
+// Covers the CommonMark blocks and inlines the tutor writes, GFM tables,
+// strikethrough, task lists and bare links, plus $...$ / $$...$$ math. The
+// tree only holds node types and text; MarkdownContent.jsx builds React
+// elements from it, so HTML in the source is always shown as text.
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const MATH_OPEN = /^ {0,3}(\$\$|\\\[)(.*)$/;
+const BLOCKQUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const TABLE_DELIMITER =
+  /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const INDENTED_CODE = /^ {4}/;
+
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const SAFE_URL_SCHEME = /^(https?|mailto):/i;
+
+/**
+ * Only http(s), mailto and relative links survive; anything else (such as
+ * javascript: or data: URLs) is dropped. Safe links are returned unchanged.
+ * @param {string} url - Link target from the source
+ * @returns {string|null} - Safe URL or null
+ */
+export function sanitizeUrl(url) {
+  const original = String(url || '');
+  // Browsers ignore control characters and spaces inside a scheme, so the
+  // scheme is checked on a copy without them
+  // eslint-disable-next-line no-control-regex
+  const compact = original.replace(/[\u0000- \u007f]/g, '');
+  if (!compact) return null;
+  if (SAFE_URL_SCHEME.test(compact)) return original;
+  // Relative URL: no scheme before the first path, query or fragment
+  const schemeEnd = compact.search(/[:/?#]/);
+  if (schemeEnd === -1 || compact[schemeEnd] !== ':') return original;
+  return null;
+}
+
+function startsBlock(line, nextLine) {
+  return (
+    ATX_HEADING.test(line) ||
+    THEMATIC_BREAK.test(line) ||
+    FENCE_OPEN.test(line) ||
+    MATH_OPEN.test(line) ||
+    BLOCKQUOTE.test(line) ||
+    LIST_ITEM.test(line) ||
+    isTableStart(line, nextLine)
+  );
+}
+
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (char === '`') {
+      inCode = !inCode;
+      cell += char;
+    } else if (char === '|' && !inCode) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function isTableStart(line, nextLine) {
+  if (!line.includes('|') || !nextLine || !TABLE_DELIMITER.test(nextLine)) {
+    return false;
+  }
+  return splitTableRow(line).length === splitTableRow(nextLine).length;
+}
+
+function parseTable(lines, start) {
+  const header = splitTableRow(lines[start]);
+  const align = splitTableRow(lines[start + 1]).map((cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    const cells = splitTableRow(lines[i]);
+    // Rows are padded or cut to the header width
+    rows.push(header.map((_, c) => parseInline(cells[c] || '')));
+    i++;
+  }
+
+  return {
+    node: {
+      type: 'table',
+      align,
+      header: header.map((cell) => parseInline(cell)),
+      rows,
+    },
+    next: i,
+  };
+}
+
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const ordered = /\d/.test(first[2]);
+  const marker = first[2].slice(-1);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (
+      !match ||
+      /\d/.test(match[2]) !== ordered ||
+      match[2].slice(-1) !== marker
+    ) {
+      break;
+    }
+
+    // Content starts after the marker and up to four spaces of padding
+    const padding = match[3] ? Math.min(match[3].length, 4) : 1;
+    const contentIndent = match[1].length + match[2].length + padding;
+    const itemLines = [match[4] ?? ''];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        // A blank line continues the item only if indented content follows
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const nextLine = lines[next];
+        if (nextLine !== undefined && nextLine.search(/\S/) >= contentIndent) {
+          loose = true;
+          for (; i < next; i++) itemLines.push('');
+          continue;
+        }
+        break;
+      }
+      const indent = line.search(/\S/);
+      if (indent >= contentIndent) {
+        itemLines.push(line.slice(contentIndent));
+      } else if (
+        !startsBlock(line, lines[i + 1]) &&
+        itemLines[itemLines.length - 1].trim()
+      ) {
+        // Lazy paragraph continuation
+        itemLines.push(line.trim());
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    const task = itemLines[0].match(/^\[([ xX])\][ \t]+(.*)$/);
+    if (task) itemLines[0] = task[2];
+
+    items.push({
+      checked: task ? task[1] !== ' ' : null,
+      children: parseBlocks(itemLines),
+    });
+
+    // Blank lines between items make the list loose
+    if (i < lines.length && !lines[i].trim()) {
+      let next = i;
+      while (next < lines.length && !lines[next].trim()) next++;
+      const nextMatch = lines[next]?.match(LIST_ITEM);
+      if (
+        nextMatch &&
+        /\d/.test(nextMatch[2]) === ordered &&
+        nextMatch[2].slice(-1) === marker
+      ) {
+        loose = true;
+        i = next;
+      }
+    }
+  }
+
+  return {
+    node: {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : null,
+      loose,
+      items,
+    },
+    next: i,
+  };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    let match = line.match(FENCE_OPEN);
+    if (match) {
+      const fence = match[2];
+      const closing = new RegExp(
+        `^ {0,3}${fence[0]}{${fence.length},}[ \\t]*$`
+      );
+      const body = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        // Strip the opening fence's indentation from the content
+        body.push(lines[i].replace(new RegExp(`^ {0,${match[1].length}}`), ''));
+        i++;
+      }
+      i++;
+      blocks.push({
+        type: 'code',
+        lang: match[3] || '',
+        text: body.join('\n'),
+      });
+      continue;
+    }
+
+    match = line.match(MATH_OPEN);
+    if (match) {
+      const close = match[1] === '$$' ? '$$' : '\\]';
+      const body = [];
+      const rest = match[2].trimEnd();
+      if (rest.endsWith(close)) {
+        body.push(rest.slice(0, -close.length));
+        i++;
+      } else {
+        body.push(rest);
+        i++;
+        while (i < lines.length && !lines[i].trimEnd().endsWith(close)) {
+          body.push(lines[i]);
+          i++;
+        }
+        if (i < lines.length) {
+          body.push(lines[i].trimEnd().slice(0, -close.length));
+          i++;
+        }
+      }
+      blocks.push({ type: 'math', text: body.join('\n').trim() });
+      continue;
+    }
+
+    match = line.match(ATX_HEADING);
+    if (match) {
+      blocks.push({
+        type: 'heading',
+        level: match[1].length,
+        children: parseInline(match[2] || ''),
+      });
+      i++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      blocks.push({ type: 'thematicBreak' });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(BLOCKQUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { node, next } = parseList(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    if (isTableStart(line, lines[i + 1])) {
+      const { node, next } = parseTable(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    if (INDENTED_CODE.test(line)) {
+      const body = [];
+      while (
+        i < lines.length &&
+        (INDENTED_CODE.test(lines[i]) || !lines[i].trim())
+      ) {
+        body.push(lines[i].slice(4));
+        i++;
+      }
+      while (body.length && !body[body.length - 1].trim()) body.pop();
+      blocks.push({ type: 'code', lang: '', text: body.join('\n') });
+      continue;
+    }
+
+    // Paragraph, possibly turned into a heading by a setext underline
+    const paragraph = [line.trim()];
+    i++;
+    let setextLevel = 0;
+    while (i < lines.length && lines[i].trim()) {
+      const underline = lines[i].match(SETEXT_UNDERLINE);
+      if (underline) {
+        setextLevel = underline[1][0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (startsBlock(lines[i], lines[i + 1])) break;
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+
+    const children = parseInline(paragraph.join('\n'));
+    blocks.push(
+      setextLevel
+        ? { type: 'heading', level: setextLevel, children }
+        : { type: 'paragraph', children }
+    );
+  }
+
+  return blocks;
+}
+
+function isWhitespace(char) {
+  return char === undefined || /\s/.test(char);
+}
+
+function isWordChar(char) {
+  return char !== undefined && /[\p{L}\p{N}]/u.test(char);
+}
+
+/**
+ * Index of the closing delimiter run for an emphasis opener, or -1
+ */
+function findClosing(text, from, delim) {
+  const char = delim[0];
+  let j = from;
+  while (j < text.length) {
+    if (text[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (text[j] === '`') {
+      const run = text.slice(j).match(/^`+/)[0];
+      const end = text.indexOf(run, j + run.length);
+      j = end === -1 ? j + run.length : end + run.length;
+      continue;
+    }
+    if (text[j] === char) {
+      let runLength = 1;
+      while (text[j + runLength] === char) runLength++;
+      const closeAt = j + runLength - delim.length;
+      if (
+        runLength >= delim.length &&
+        (runLength === delim.length || delim.length > 1) &&
+        !isWhitespace(text[closeAt - 1]) &&
+        closeAt > from &&
+        (char !== '_' || !isWordChar(text[j + runLength]))
+      ) {
+        return closeAt;
+      }
+      j += runLength;
+      continue;
+    }
+    j++;
+  }
+  return -1;
+}
+
+function findBracketEnd(text, open) {
+  let depth = 0;
+  for (let j = open; j < text.length; j++) {
+    if (text[j] === '\\') {
+      j++;
+    } else if (text[j] === '[') {
+      depth++;
+    } else if (text[j] === ']') {
+      depth--;
+      if (depth === 0) return j;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse `(url "title")` after a link label
+ */
+function parseLinkDestination(text, start) {
+  const match = text
+    .slice(start)
+    .match(
+      /^\(\s*(<[^<>\n]*>|[^\s()<>]*(?:\([^\s()<>]*\)[^\s()<>]*)*)(?:\s+("[^"]*"|'[^']*'))?\s*\)/
+    );
+  if (!match) return null;
+  const url = match[1].replace(/^<|>$/g, '');
+  return {
+    url,
+    title: match[2] ? match[2].slice(1, -1) : null,
+    end: start + match[0].length,
+  };
+}
+
+const EMPHASIS = [
+  {
+    delim: '***',
+    wrap: (children) => [
+      { type: 'strong', children: [{ type: 'emphasis', children }] },
+    ],
+  },
+  {
+    delim: '___',
+    wrap: (children) => [
+      { type: 'strong', children: [{ type: 'emphasis', children }] },
+    ],
+  },
+  { delim: '**', wrap: (children) => [{ type: 'strong', children }] },
+  { delim: '__', wrap: (children) => [{ type: 'strong', children }] },
+  { delim: '~~', wrap: (children) => [{ type: 'delete', children }] },
+  { delim: '*', wrap: (children) => [{ type: 'emphasis', children }] },
+  { delim: '_', wrap: (children) => [{ type: 'emphasis', children }] },
+];
+
+/**
+ * Parse inline Markdown into nodes
+ * @param {string} text - Inline source (may contain newlines)
+ * @returns {Array} - Inline nodes
+ */
+export function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+  const push = (...newNodes) => {
+    flush();
+    nodes.push(...newNodes);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    // Line breaks: every newline breaks the line, as the tutor's plain-text
+    // answers expect; trailing spaces are dropped
+    if (char === '\n') {
+      buffer = buffer.replace(/[ \t]+$/, '');
+      push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (char === '\\') {
+      const math = rest.match(/^\\\(([\s\S]+?)\\\)/);
+      if (math) {
+        push({ type: 'inlineMath', text: math[1].trim() });
+        i += math[0].length;
+        continue;
+      }
+      if (text[i + 1] === '\n') {
+        push({ type: 'break' });
+        i += 2;
+        continue;
+      }
+      if (ESCAPABLE.test(text[i + 1] || '')) {
+        buffer += text[i + 1];
+        i += 2;
+        continue;
+      }
+    }
+
+    if (char === '`') {
+      const run = rest.match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end !== -1 && text[end + run.length] !== '`') {
+        let code = text.slice(i + run.length, end).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+        push({ type: 'inlineCode', text: code });
+        i = end + run.length;
+        continue;
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    if (char === '$') {
+      const display = rest.match(/^\$\$([\s\S]+?)\$\$/);
+      if (display) {
+        push({ type: 'inlineMath', display: true, text: display[1].trim() });
+        i += display[0].length;
+        continue;
+      }
+      // Pandoc rules keep prices like "$5 and $10" as text
+      const inline = rest.match(
+        /^\$(?![\s$])((?:\\.|[^$\\\n])+?)(?<!\s)\$(?!\d)/
+      );
+      if (inline) {
+        push({ type: 'inlineMath', text: inline[1] });
+        i += inline[0].length;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const autolink = rest.match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i);
+      if (autolink) {
+        push({
+          type: 'link',
+          href: sanitizeUrl(autolink[1]),
+          children: [
+            { type: 'text', text: autolink[1].replace(/^mailto:/i, '') },
+          ],
+        });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+      const image = char === '!';
+      const open = image ? i + 1 : i;
+      const close = findBracketEnd(text, open);
+      const destination = close !== -1 && parseLinkDestination(text, close + 1);
+      if (destination) {
+        const label = text.slice(open + 1, close);
+        push(
+          image
+            ? { type: 'image', src: sanitizeUrl(destination.url), alt: label }
+            : {
+                type: 'link',
+                href: sanitizeUrl(destination.url),
+                title: destination.title,
+                children: parseInline(label),
+              }
+        );
+        i = destination.end;
+        continue;
+      }
+    }
+
+    if (
+      (char === 'h' || char === 'H') &&
+      !isWordChar(text[i - 1]) &&
+      /^https?:\/\//i.test(rest)
+    ) {
+      const url = rest.match(/^https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/i);
+      if (url) {
+        push({
+          type: 'link',
+          href: sanitizeUrl(url[0]),
+          children: [{ type: 'text', text: url[0] }],
+        });
+        i += url[0].length;
+        continue;
+      }
+    }
+
+    if (char === '*' || char === '_' || char === '~') {
+      const emphasis = EMPHASIS.find(({ delim }) => rest.startsWith(delim));
+      const canOpen =
+        emphasis &&
+        !isWhitespace(text[i + emphasis.delim.length]) &&
+        (char !== '_' || !isWordChar(text[i - 1]));
+      if (canOpen) {
+        const start = i + emphasis.delim.length;
+        const end = findClosing(text, start, emphasis.delim);
+        if (end !== -1) {
+          push(...emphasis.wrap(parseInline(text.slice(start, end))));
+          i = end + emphasis.delim.length;
+          continue;
+        }
+      }
+      const run = rest.match(/^([*_~])\1*/)[0];
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Parse Markdown into a block tree
+ * @param {string} source - Markdown text (untrusted)
+ * @returns {Array} - Block nodes
+ */
+export function markdownToAst(source) {
+  const lines = String(source ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .split('\n');
+  return parseBlocks(lines);
+}
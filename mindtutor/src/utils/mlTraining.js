@@ -1,48 +1,112 @@
 // mlTraining.js - ML model training and evaluation utilities
 
-import { mlManager, MLUtils } from './machineLearning.js';
+import { MLUtils } from './machineLearning.js';
+import { mlWorkerClient } from './mlWorkerClient.js';
 import { userModelManager } from './userModel.js';
-import { loadTopics } from './storage.js';
+import { loadAllTopics } from './storage.js';
+
+const TRAINING_HISTORY_KEY = 'mindtutor_ml_training_history';
+const MAX_STORED_SESSIONS = 20;
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const error = new Error('ML training cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+function isAbort(error) {
+  return error?.name === 'AbortError';
+}
 
 /**
  * ML Training and Evaluation Utilities for MindTutor
+ * Models are trained in the ML worker; this class only gathers data on the
+ * main thread and keeps the history of training sessions.
  */
 export class MLTrainingManager {
-  constructor() {
-    this.trainingHistory = [];
+  constructor(engine = mlWorkerClient) {
+    this.engine = engine;
+    this.trainingHistory = this.loadTrainingHistory();
     this.evaluationResults = [];
   }
 
+  /**
+   * Training sessions from earlier visits, so weekly retraining survives
+   * page reloads
+   * @returns {Array}
+   */
+  loadTrainingHistory() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(TRAINING_HISTORY_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  saveTrainingHistory() {
+    try {
+      localStorage.setItem(
+        TRAINING_HISTORY_KEY,
+        JSON.stringify(this.trainingHistory.slice(-MAX_STORED_SESSIONS))
+      );
+    } catch (error) {
+      console.error('Error saving ML training history:', error);
+    }
+  }
+
   /**
    * Comprehensive ML training pipeline
+   * @param {Object} options - { onProgress, signal }; onProgress receives
+   *   { stage } between steps and { stage, model, epoch, epochs, loss } while
+   *   a model trains. Aborting the signal stops training after the current
+   *   epoch and rejects with an AbortError.
    */
-  async runFullTrainingPipeline() {
+  async runFullTrainingPipeline(options = {}) {
+    const { onProgress, signal } = options;
+    const stageOptions = (stage) => ({
+      signal,
+      onProgress: (progress) => onProgress?.({ stage, ...progress }),
+    });
     console.log('🚀 Starting ML training pipeline...');
 
     try {
       // Initialize ML components
-      await mlManager.initialize();
+      await this.engine.initialize();
       await userModelManager.initializeML();
 
       // Step 1: Prepare training data
       console.log('📊 Preparing training data...');
+      onProgress?.({ stage: 'preparing' });
       const trainingData = await this.prepareTrainingData();
+      throwIfAborted(signal);
+
+      // Step 2: Evaluate models on a held-out split
+      console.log('📈 Evaluating models...');
+      onProgress?.({ stage: 'evaluating' });
+      const evaluationResults = await this.evaluateModels(
+        trainingData,
+        stageOptions('evaluating')
+      );
+      throwIfAborted(signal);
 
-      // Step 2: Train performance prediction model
+      // Step 3: Train performance prediction model on all data
       console.log('🎯 Training performance prediction model...');
       const performanceResult = await this.trainPerformanceModel(
-        trainingData.performanceData
+        trainingData.performanceData,
+        stageOptions('performance')
       );
+      throwIfAborted(signal);
 
-      // Step 3: Train difficulty classification model
+      // Step 4: Train difficulty classification model on all data
       console.log('📏 Training difficulty classification model...');
       const difficultyResult = await this.trainDifficultyModel(
-        trainingData.difficultyData
+        trainingData.difficultyData,
+        stageOptions('difficulty')
       );
-
-      // Step 4: Evaluate models
-      console.log('📈 Evaluating models...');
-      const evaluationResults = await this.evaluateModels(trainingData);
+      throwIfAborted(signal);
 
       // Step 5: Save training results
       const trainingSession = {
@@ -59,11 +123,15 @@ export class MLTrainingManager {
       };
 
       this.trainingHistory.push(trainingSession);
+      this.saveTrainingHistory();
 
       console.log('✅ ML training pipeline completed successfully!');
+      onProgress?.({ stage: 'done' });
       return trainingSession;
     } catch (error) {
-      console.error('❌ ML training pipeline failed:', error);
+      if (!isAbort(error)) {
+        console.error('❌ ML training pipeline failed:', error);
+      }
       throw error;
     }
   }
@@ -93,18 +161,18 @@ export class MLTrainingManager {
 
     // Collect content data
     try {
-      const topics = await loadTopics();
-      topics.forEach((topic) => {
-        if (topic.raw && topic.difficulty) {
-          contentCount++;
-
-          // Extract features and create training sample
-          const features = mlManager.extractContentFeatures(topic.raw);
-          difficultyData.push({
-            features: Object.values(features),
-            label: topic.difficulty,
-          });
-        }
+      const topics = Object.values(await loadAllTopics()).filter(
+        (topic) => topic.raw && topic.difficulty
+      );
+      const features = await this.engine.extractFeatures(
+        topics.map((topic) => topic.raw)
+      );
+      topics.forEach((topic, index) => {
+        contentCount++;
+        difficultyData.push({
+          features: features[index],
+          label: topic.difficulty,
+        });
       });
     } catch (error) {
       console.warn('Could not load topics for training:', error);
@@ -121,36 +189,34 @@ export class MLTrainingManager {
   /**
    * Train performance prediction model
    */
-  async trainPerformanceModel(performanceData) {
+  async trainPerformanceModel(performanceData, options = {}) {
     if (performanceData.length < 20) {
       console.warn('Insufficient performance data for training');
       return { success: false, reason: 'insufficient_data' };
     }
 
     try {
-      // Prepare data for TensorFlow
-      const features = performanceData.map((d) => d.features);
-      const labels = performanceData.map((d) => [d.label]);
-
-      // Create and train model
-      const result = await mlManager.trainPerformanceModel(
+      const result = await this.engine.train(
+        'performancePrediction',
         performanceData.map((d) => ({
           performance: d.label,
           timeSpent: d.features[1] || 30,
           difficulty: 3,
-        }))
+        })),
+        options
       );
 
-      if (result) {
+      if (result.trained) {
         return {
           success: true,
           samples: performanceData.length,
-          modelSaved: true,
+          modelSaved: result.saved,
         };
       } else {
         return { success: false, reason: 'training_failed' };
       }
     } catch (error) {
+      if (isAbort(error)) throw error;
       console.error('Performance model training error:', error);
       return { success: false, reason: 'error', error: error.message };
     }
@@ -159,7 +225,7 @@ export class MLTrainingManager {
   /**
    * Train difficulty classification model
    */
-  async trainDifficultyModel(difficultyData) {
+  async trainDifficultyModel(difficultyData, options = {}) {
     if (difficultyData.length < 10) {
       console.warn('Insufficient difficulty data for training');
       return { success: false, reason: 'insufficient_data' };
@@ -172,18 +238,23 @@ export class MLTrainingManager {
         difficulty: d.label,
       }));
 
-      const result = await mlManager.trainDifficultyModel(contentObjects);
+      const result = await this.engine.train(
+        'difficultyClassification',
+        contentObjects,
+        options
+      );
 
-      if (result) {
+      if (result.trained) {
         return {
           success: true,
           samples: difficultyData.length,
-          modelSaved: true,
+          modelSaved: result.saved,
         };
       } else {
         return { success: false, reason: 'training_failed' };
       }
     } catch (error) {
+      if (isAbort(error)) throw error;
       console.error('Difficulty model training error:', error);
       return { success: false, reason: 'error', error: error.message };
     }
@@ -192,7 +263,7 @@ export class MLTrainingManager {
   /**
    * Evaluate trained models
    */
-  async evaluateModels(trainingData) {
+  async evaluateModels(trainingData, options = {}) {
     const results = {
       performanceModel: null,
       difficultyModel: null,
@@ -202,14 +273,16 @@ export class MLTrainingManager {
     // Evaluate performance model
     if (trainingData.performanceData.length >= 10) {
       results.performanceModel = await this.evaluatePerformanceModel(
-        trainingData.performanceData
+        trainingData.performanceData,
+        options
       );
     }
 
     // Evaluate difficulty model
     if (trainingData.difficultyData.length >= 5) {
       results.difficultyModel = await this.evaluateDifficultyModel(
-        trainingData.difficultyData
+        trainingData.difficultyData,
+        options
       );
     }
 
@@ -227,7 +300,7 @@ export class MLTrainingManager {
   /**
    * Evaluate performance prediction model
    */
-  async evaluatePerformanceModel(performanceData) {
+  async evaluatePerformanceModel(performanceData, options = {}) {
     const testSize = Math.floor(performanceData.length * 0.2);
     const testData = performanceData.slice(-testSize);
     const trainData = performanceData.slice(0, -testSize);
@@ -235,13 +308,15 @@ export class MLTrainingManager {
     if (testData.length < 3) return null;
 
     try {
-      // Train on subset
-      await mlManager.trainPerformanceModel(
+      // Train on subset; the final model is trained on everything later
+      await this.engine.train(
+        'performancePrediction',
         trainData.map((d) => ({
           performance: d.label,
           timeSpent: d.features[1] || 30,
           difficulty: 3,
-        }))
+        })),
+        { ...options, save: false }
       );
 
       // Test predictions
@@ -277,7 +352,7 @@ export class MLTrainingManager {
           },
         ];
 
-        const prediction = await mlManager.predictPerformance(mockHistory);
+        const prediction = await this.engine.predictPerformance(mockHistory);
         if (prediction !== null) {
           predictions.push(prediction);
           actuals.push(testSample.label);
@@ -300,6 +375,7 @@ export class MLTrainingManager {
         };
       }
     } catch (error) {
+      if (isAbort(error)) throw error;
       console.error('Performance model evaluation error:', error);
     }
 
@@ -309,7 +385,7 @@ export class MLTrainingManager {
   /**
    * Evaluate difficulty classification model
    */
-  async evaluateDifficultyModel(difficultyData) {
+  async evaluateDifficultyModel(difficultyData, options = {}) {
     const testSize = Math.floor(difficultyData.length * 0.2);
     const testData = difficultyData.slice(-testSize);
     const trainData = difficultyData.slice(0, -testSize);
@@ -317,12 +393,14 @@ export class MLTrainingManager {
     if (testData.length < 2) return null;
 
     try {
-      // Train on subset
-      await mlManager.trainDifficultyModel(
+      // Train on subset; the final model is trained on everything later
+      await this.engine.train(
+        'difficultyClassification',
         trainData.map((d) => ({
           features: d.features,
           difficulty: d.label,
-        }))
+        })),
+        { ...options, save: false }
       );
 
       // Test predictions
@@ -330,7 +408,7 @@ export class MLTrainingManager {
       let total = 0;
 
       for (const testSample of testData) {
-        const prediction = await mlManager.classifyDifficulty(
+        const prediction = await this.engine.classifyDifficulty(
           testSample.features
         );
         if (prediction !== null) {
@@ -350,6 +428,7 @@ export class MLTrainingManager {
         };
       }
     } catch (error) {
+      if (isAbort(error)) throw error;
       console.error('Difficulty model evaluation error:', error);
     }
 
@@ -544,16 +623,19 @@ export const MLTrainingUtils = {
 
   /**
    * Run automated training if conditions are met
+   * @param {Object} options - { onProgress, signal } for the pipeline
    */
-  async runAutomatedTraining() {
+  async runAutomatedTraining(options = {}) {
     if (this.shouldTriggerTraining()) {
       console.log('🤖 Running automated ML training...');
       try {
-        const result = await mlTrainingManager.runFullTrainingPipeline();
+        const result = await mlTrainingManager.runFullTrainingPipeline(options);
         console.log('✅ Automated training completed:', result);
         return result;
       } catch (error) {
-        console.error('❌ Automated training failed:', error);
+        if (!isAbort(error)) {
+          console.error('❌ Automated training failed:', error);
+        }
         return null;
       }
     } else {
@@ -0,0 +1,97 @@
+/* global self, WorkerGlobalScope */
+// mlWorker.js - Dedicated worker running TensorFlow.js off the main thread
+// Messages in:  { id, type, payload } or { id, type: 'cancel' }
+// Messages out: { id, status: 'progress' | 'done' | 'error' | 'cancelled', ... }
+
+import { MLManager } from './machineLearning.js';
+
+const TRAINABLE_MODELS = ['performancePrediction', 'difficultyClassification'];
+
+/**
+ * Create the message handler used inside the worker
+ * Kept separate from the worker global so the main thread can run the same
+ * code when workers are unavailable.
+ * @param {MLManager} manager - Model owner
+ * @param {Function} post - Receives every outgoing message
+ * @returns {Function} - (message) => Promise
+ */
+export function createMLMessageHandler(manager, post) {
+  const cancelled = new Set();
+
+  const jobs = {
+    async initialize() {
+      await manager.initialize();
+      await Promise.all(
+        TRAINABLE_MODELS.map((name) =>
+          manager.models.has(name) ? null : manager.loadModel(name)
+        )
+      );
+      return manager.getModelStatus();
+    },
+
+    extractFeatures({ texts }) {
+      return texts.map((text) => manager.extractContentFeatures(text || ''));
+    },
+
+    predictPerformance({ history }) {
+      return manager.predictPerformance(history);
+    },
+
+    classifyDifficulty({ features }) {
+      return manager.classifyDifficulty(features);
+    },
+
+    async train({ model, data, save = true }, id) {
+      const options = {
+        onProgress: (progress) => post({ id, status: 'progress', progress }),
+        shouldStop: () => cancelled.has(id),
+      };
+      const trained =
+        model === 'performancePrediction'
+          ? await manager.trainPerformanceModel(data, options)
+          : await manager.trainDifficultyModel(data, options);
+      if (cancelled.has(id)) return null;
+      const saved = trained && save ? await manager.saveModel(model) : false;
+      return { trained: Boolean(trained), saved };
+    },
+
+    getModelStatus() {
+      return manager.getModelStatus();
+    },
+  };
+
+  return async ({ id, type, payload = {} }) => {
+    if (type === 'cancel') {
+      cancelled.add(id);
+      return;
+    }
+    if (!jobs[type]) {
+      post({ id, status: 'error', error: `Unknown ML job: ${type}` });
+      return;
+    }
+
+    try {
+      const result = await jobs[type](payload, id);
+      post(
+        cancelled.has(id)
+          ? { id, status: 'cancelled' }
+          : { id, status: 'done', result, models: manager.getModelStatus() }
+      );
+    } catch (error) {
+      post({ id, status: 'error', error: error.message });
+    } finally {
+      cancelled.delete(id);
+    }
+  };
+}
+
+// Only wire up the global handler when actually running as a worker
+if (
+  typeof WorkerGlobalScope !== 'undefined' &&
+  self instanceof WorkerGlobalScope
+) {
+  const handle = createMLMessageHandler(new MLManager(), (message) =>
+    self.postMessage(message)
+  );
+  self.onmessage = (event) => handle(event.data);
+}
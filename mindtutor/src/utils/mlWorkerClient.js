@@ -0,0 +1,178 @@
+/* global Worker, URL */
+// mlWorkerClient.js - Main-thread proxy for the TensorFlow.js worker
+// Every call becomes a job message; the model code itself never runs on the
+// UI thread unless the browser cannot start workers.
+
+// tf.io's localstorage:// medium keeps models under keys with this prefix
+const LEGACY_MODEL_KEY_PREFIX = 'tensorflowjs_models/';
+
+/**
+ * Move models older versions saved to localStorage into IndexedDB, where the
+ * worker loads them from. TensorFlow.js is only loaded when there is
+ * something to move.
+ */
+export async function migrateLegacyModels() {
+  try {
+    const hasLegacyModels = Object.keys(localStorage).some((key) =>
+      key.startsWith(LEGACY_MODEL_KEY_PREFIX)
+    );
+    if (!hasLegacyModels) return [];
+    const { moveLegacyModels } = await import('./machineLearning.js');
+    return await moveLegacyModels();
+  } catch (error) {
+    console.error('Error moving saved models to IndexedDB:', error);
+    return [];
+  }
+}
+
+function abortError() {
+  const error = new Error('ML job cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export class MLWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.fallbackHandler = null;
+    this.jobs = new Map();
+    this.nextJobId = 1;
+    this.modelStatus = {};
+    this.migration = null;
+  }
+
+  /**
+   * Start the worker, or prepare an in-thread handler when workers are missing
+   * @returns {Promise<Function>} - Sends one message to the handler
+   */
+  async getTransport() {
+    if (this.worker) return (message) => this.worker.postMessage(message);
+    if (this.fallbackHandler) return this.fallbackHandler;
+
+    // Before the worker looks for saved models in IndexedDB
+    if (!this.migration) this.migration = migrateLegacyModels();
+    await this.migration;
+
+    if (typeof Worker !== 'undefined') {
+      try {
+        this.worker = new Worker(new URL('./mlWorker.js', import.meta.url), {
+          type: 'module',
+        });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+          // A crashed worker fails every pending job; the next call restarts it
+          this.failAll(new Error(event.message || 'ML worker crashed'));
+          this.worker.terminate();
+          this.worker = null;
+        };
+        return (message) => this.worker.postMessage(message);
+      } catch (error) {
+        console.warn('ML worker unavailable, running models in page:', error);
+      }
+    }
+
+    const [{ createMLMessageHandler }, { mlManager }] = await Promise.all([
+      import('./mlWorker.js'),
+      import('./machineLearning.js'),
+    ]);
+    this.fallbackHandler = createMLMessageHandler(mlManager, (message) =>
+      this.handleMessage(message)
+    );
+    return this.fallbackHandler;
+  }
+
+  handleMessage({ id, status, ...data }) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    if (status === 'progress') {
+      job.onProgress?.(data.progress);
+      return;
+    }
+
+    this.jobs.delete(id);
+    job.signal?.removeEventListener('abort', job.onAbort);
+    if (data.models) this.modelStatus = data.models;
+    if (status === 'done') job.resolve(data.result);
+    else if (status === 'cancelled') job.reject(abortError());
+    else job.reject(new Error(data.error || 'ML job failed'));
+  }
+
+  failAll(error) {
+    this.jobs.forEach((job) => job.reject(error));
+    this.jobs.clear();
+  }
+
+  /**
+   * Run a job in the worker
+   * @param {string} type - Job type (see mlWorker.js)
+   * @param {Object} payload - Job input, structured-cloneable
+   * @param {Object} options - { onProgress, signal }
+   * @returns {Promise} - Job result; rejects with AbortError when cancelled
+   */
+  async run(type, payload = {}, options = {}) {
+    const { onProgress, signal } = options;
+    if (signal?.aborted) throw abortError();
+
+    const send = await this.getTransport();
+    const id = this.nextJobId++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => send({ id, type: 'cancel' });
+      this.jobs.set(id, { resolve, reject, onProgress, signal, onAbort });
+      signal?.addEventListener('abort', onAbort);
+      send({ id, type, payload });
+    });
+  }
+
+  /**
+   * Load saved models into the worker
+   * @returns {Promise<Object>} - Model status
+   */
+  initialize() {
+    return this.run('initialize');
+  }
+
+  /**
+   * Extract ML features from several texts at once
+   * @param {Array<string>} texts - Source texts
+   * @returns {Promise<Array<Object>>}
+   */
+  extractFeatures(texts) {
+    return this.run('extractFeatures', { texts });
+  }
+
+  predictPerformance(history) {
+    return this.run('predictPerformance', { history });
+  }
+
+  classifyDifficulty(features) {
+    return this.run('classifyDifficulty', { features });
+  }
+
+  /**
+   * Train a model in the worker and save it to IndexedDB
+   * @param {string} model - 'performancePrediction' or 'difficultyClassification'
+   * @param {Array} data - Training data for that model
+   * @param {Object} options - { onProgress, signal, save }
+   * @returns {Promise<Object>} - { trained, saved }
+   */
+  train(model, data, options = {}) {
+    return this.run(
+      'train',
+      { model, data, save: options.save !== false },
+      options
+    );
+  }
+
+  /**
+   * Last model status reported by the worker
+   * @returns {Object}
+   */
+  getModelStatus() {
+    return this.modelStatus;
+  }
+}
+
+// Create singleton instance
+export const mlWorkerClient = new MLWorkerClient();
@@ -0,0 +1,404 @@
+// passageIndex.js - Passage-level retrieval index across all imported topics
+// Topics are split into short passages scored with BM25. Optionally each
+// passage also gets a fuzzy word-similarity vector (hashed character
+// trigrams, computed with TF.js) so that inflections and misspellings still
+// find their passage. These vectors compare spelling, not meaning. Passages
+// persist in IndexedDB through the storage functions handed to the index,
+// and only topics that are new or re-imported are (re)indexed.
+
+import { splitText } from './topicChunks.js';
+import { tokenizeTerms } from './domainVocabulary.js';
+import {
+  loadSearchPassages,
+  saveSearchPassages,
+  clearSearchPassages,
+  loadTopicChunks,
+  getTopic,
+} from './storage.js';
+
+const EMBEDDINGS_PREF_KEY = 'mindtutor_semantic_search';
+
+// Characters per passage
+export const PASSAGE_SIZE = 1200;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Share of the final score taken by embedding similarity when enabled
+const EMBEDDING_WEIGHT = 0.4;
+// Embedding-only matches below this cosine similarity are ignored
+const MIN_EMBEDDING_SIMILARITY = 0.35;
+const EMBEDDING_BATCH_SIZE = 64;
+
+/**
+ * Version stamp of a topic; a changed stamp means the topic was re-imported
+ */
+function topicVersion(topic) {
+  return String(topic?.createdAt || '');
+}
+
+function countTerms(text) {
+  const termFreq = {};
+  let length = 0;
+  tokenizeTerms(text).forEach((term) => {
+    termFreq[term] = (termFreq[term] || 0) + 1;
+    length += 1;
+  });
+  return { termFreq, length };
+}
+
+/**
+ * Split a topic's stored chunks into index passages
+ * @param {string} topicName - Name of the topic
+ * @param {Object} topic - Topic object (for its version and page labels)
+ * @param {Array} chunks - [{ index, text, pageNumber? }]
+ * @returns {Array} - Passage records
+ */
+export function buildPassages(topicName, topic, chunks) {
+  const pageLabels = new Map(
+    (topic?.sourcePages || []).map((page) => [page.pageNumber, page.pageLabel])
+  );
+  const version = topicVersion(topic);
+  const passages = [];
+
+  chunks.forEach((chunk) => {
+    splitText(chunk.text, PASSAGE_SIZE).forEach((text) => {
+      if (!text.trim()) return;
+      const index = passages.length;
+      passages.push({
+        id: `${topicName}::${index}`,
+        topic: topicName,
+        index,
+        text: text.trim(),
+        pageNumber: chunk.pageNumber ?? null,
+        pageLabel: pageLabels.get(chunk.pageNumber) || null,
+        version,
+        ...countTerms(text),
+      });
+    });
+  });
+  return passages;
+}
+
+/**
+ * Character trigram counts hashed into a fixed number of buckets
+ * @param {string} text - Source text
+ * @param {number} dimensions - Number of buckets
+ * @returns {Float32Array}
+ */
+export function hashTrigrams(text, dimensions) {
+  const vector = new Float32Array(dimensions);
+  tokenizeTerms(text).forEach((term) => {
+    const padded = `#${term}#`;
+    for (let i = 0; i < padded.length - 2; i++) {
+      // FNV-1a
+      let hash = 0x811c9dc5;
+      for (let j = i; j < i + 3; j++) {
+        hash ^= padded.charCodeAt(j);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      vector[(hash >>> 0) % dimensions] += 1;
+    }
+  });
+  return vector;
+}
+
+/**
+ * Fuzzy word-similarity vectors computed in the browser with TF.js from
+ * hashed character trigrams. Texts sharing word stems or spellings score as
+ * similar; synonyms and paraphrases do not. It needs no model download; a
+ * real sentence-embedding model with the same shape ({ id, embed(texts) })
+ * can be passed to passageIndex.setEmbedder instead.
+ * @param {number} dimensions - Embedding size
+ * @returns {Object} - { id, embed(texts) -> Promise<Array<Array<number>>> }
+ */
+export function createTrigramEmbedder(dimensions = 256) {
+  return {
+    id: `trigram-${dimensions}`,
+    async embed(texts) {
+      if (texts.length === 0) return [];
+      const tf = await import('@tensorflow/tfjs');
+      const flat = new Float32Array(texts.length * dimensions);
+      texts.forEach((text, i) =>
+        flat.set(hashTrigrams(text, dimensions), i * dimensions)
+      );
+
+      return tf.tidy(() => {
+        // Sublinear counts, then unit length so dot product = cosine
+        const counts = tf.tensor2d(flat, [texts.length, dimensions]).log1p();
+        const norms = counts.norm('euclidean', 1, true).maximum(1e-8);
+        return counts.div(norms).arraySync();
+      });
+    },
+  };
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * In-memory BM25 index mirrored to the searchPassages store
+ */
+export class PassageIndex {
+  /**
+   * @param {Object} store - Persistence functions: { loadPassages(),
+   *   savePassages(topicName, passages), clearPassages(topicName),
+   *   loadChunks(topicName), getTopic(topicName) }
+   */
+  constructor(store) {
+    this.store = store;
+    this.passages = new Map(); // id -> passage
+    this.topicVersions = new Map(); // topic -> version
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+    this.loadPromise = null;
+    this.syncQueue = Promise.resolve();
+    this.embedder = null;
+  }
+
+  /**
+   * Read persisted passages once
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.store.loadPassages().then((stored) => {
+        stored.forEach((passage) => this.addPassage(passage));
+      });
+    }
+    return this.loadPromise;
+  }
+
+  addPassage(passage) {
+    this.passages.set(passage.id, passage);
+    this.topicVersions.set(passage.topic, passage.version);
+    this.totalLength += passage.length;
+    Object.keys(passage.termFreq).forEach((term) => {
+      this.documentFrequency.set(
+        term,
+        (this.documentFrequency.get(term) || 0) + 1
+      );
+    });
+  }
+
+  removeTopicPassages(topicName) {
+    for (const passage of [...this.passages.values()]) {
+      if (passage.topic !== topicName) continue;
+      this.passages.delete(passage.id);
+      this.totalLength -= passage.length;
+      Object.keys(passage.termFreq).forEach((term) => {
+        const df = this.documentFrequency.get(term) - 1;
+        if (df > 0) this.documentFrequency.set(term, df);
+        else this.documentFrequency.delete(term);
+      });
+    }
+    this.topicVersions.delete(topicName);
+  }
+
+  /**
+   * Use embeddings alongside BM25; null turns them off
+   * @param {Object|null} embedder - From createTrigramEmbedder or compatible
+   */
+  setEmbedder(embedder) {
+    this.embedder = embedder;
+  }
+
+  /**
+   * Whether the learner turned on fuzzy search (saved in localStorage)
+   * @returns {boolean}
+   */
+  getEmbeddingsEnabled() {
+    try {
+      return localStorage.getItem(EMBEDDINGS_PREF_KEY) === 'on';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Turn fuzzy search on or off and remember the choice
+   * @param {boolean} enabled
+   */
+  setEmbeddingsEnabled(enabled) {
+    try {
+      localStorage.setItem(EMBEDDINGS_PREF_KEY, enabled ? 'on' : 'off');
+    } catch {
+      // Preference is not saved, but still applies to this session
+    }
+    this.setEmbedder(enabled ? createTrigramEmbedder() : null);
+  }
+
+  /**
+   * Turn fuzzy search back on if the learner left it on last time
+   */
+  restoreEmbeddingsPreference() {
+    if (this.getEmbeddingsEnabled()) this.setEmbedder(createTrigramEmbedder());
+  }
+
+  /**
+   * Add embeddings from the current embedder to passages missing them
+   * @param {Array} passages - Passage records (updated in place)
+   * @returns {boolean} - Whether any passage changed
+   */
+  async embedPassages(passages) {
+    const embedder = this.embedder;
+    if (!embedder) return false;
+    const missing = passages.filter((p) => p.embedderId !== embedder.id);
+
+    for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const vectors = await embedder.embed(batch.map((p) => p.text));
+      batch.forEach((passage, j) => {
+        passage.embedding = vectors[j];
+        passage.embedderId = embedder.id;
+      });
+    }
+    return missing.length > 0;
+  }
+
+  /**
+   * (Re)index one topic from its stored chunks
+   * @param {string} topicName - Name of the topic
+   * @param {Object} topic - Topic object
+   */
+  async indexTopic(topicName, topic) {
+    let chunks = await this.store.loadChunks(topicName);
+    if (chunks.length === 0) {
+      // Topics saved before chunked storage only have their preview text
+      const text = topic?.raw || topic?.explanation || '';
+      chunks = text ? [{ index: 0, text }] : [];
+    }
+
+    const passages = buildPassages(topicName, topic, chunks);
+    await this.embedPassages(passages);
+
+    this.removeTopicPassages(topicName);
+    passages.forEach((passage) => this.addPassage(passage));
+    await this.store.savePassages(topicName, passages);
+  }
+
+  /**
+   * Bring the index in line with the current topics: index new or
+   * re-imported topics and drop deleted ones. Calls run one after another.
+   * Passages of stored topics left out of the map are kept.
+   * @param {Object} topics - Topics keyed by name
+   * @returns {Promise}
+   */
+  sync(topics) {
+    this.syncQueue = this.syncQueue
+      .then(() => this.syncNow(topics || {}))
+      .catch((error) => console.error('Error syncing search index:', error));
+    return this.syncQueue;
+  }
+
+  async syncNow(topics) {
+    await this.load();
+
+    // A topic missing from the map may only be hidden from the active
+    // profile, so keep its passages unless the topic itself is gone
+    for (const topicName of [...this.topicVersions.keys()]) {
+      if (!topics[topicName] && !(await this.store.getTopic(topicName))) {
+        this.removeTopicPassages(topicName);
+        await this.store.clearPassages(topicName);
+      }
+    }
+
+    for (const [topicName, topic] of Object.entries(topics)) {
+      if (this.topicVersions.get(topicName) !== topicVersion(topic)) {
+        await this.indexTopic(topicName, topic);
+      }
+    }
+
+    if (this.embedder) {
+      for (const topicName of this.topicVersions.keys()) {
+        const passages = [...this.passages.values()].filter(
+          (passage) => passage.topic === topicName
+        );
+        if (await this.embedPassages(passages)) {
+          await this.store.savePassages(topicName, passages);
+        }
+      }
+    }
+  }
+
+  /**
+   * Top passages across all topics for a query
+   * @param {string} query - Search text
+   * @param {Object} options - { limit, topics: names to search within }
+   * @returns {Array} - [{ id, topic, text, pageNumber, pageLabel, score }]
+   */
+  async search(query, options = {}) {
+    const { limit = 5, topics = null } = options;
+    await this.syncQueue;
+
+    const terms = [...new Set(tokenizeTerms(query))];
+    const passageCount = this.passages.size;
+    if (passageCount === 0 || terms.length === 0) return [];
+
+    const averageLength = this.totalLength / passageCount || 1;
+    const allowed = topics ? new Set(topics) : null;
+    const candidates = [...this.passages.values()].filter(
+      (passage) => !allowed || allowed.has(passage.topic)
+    );
+
+    const bm25 = candidates.map((passage) => {
+      let score = 0;
+      terms.forEach((term) => {
+        const tf = passage.termFreq[term];
+        if (!tf) return;
+        const df = this.documentFrequency.get(term) || 0;
+        const idf = Math.log(1 + (passageCount - df + 0.5) / (df + 0.5));
+        score +=
+          (idf * tf * (BM25_K1 + 1)) /
+          (tf +
+            BM25_K1 * (1 - BM25_B + (BM25_B * passage.length) / averageLength));
+      });
+      return score;
+    });
+    const maxBm25 = Math.max(0, ...bm25);
+
+    let similarity = null;
+    if (this.embedder) {
+      const [queryVector] = await this.embedder.embed([query]);
+      similarity = candidates.map((passage) =>
+        passage.embedderId === this.embedder.id
+          ? Math.max(0, dot(queryVector, passage.embedding))
+          : 0
+      );
+    }
+
+    return candidates
+      .map((passage, i) => {
+        const lexical = maxBm25 > 0 ? bm25[i] / maxBm25 : 0;
+        let score = lexical;
+        if (similarity) {
+          const semantic =
+            similarity[i] >= MIN_EMBEDDING_SIMILARITY || lexical > 0
+              ? similarity[i]
+              : 0;
+          score =
+            lexical * (1 - EMBEDDING_WEIGHT) + semantic * EMBEDDING_WEIGHT;
+        }
+        return { passage, score };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ passage, score }) => ({
+        id: passage.id,
+        topic: passage.topic,
+        text: passage.text,
+        pageNumber: passage.pageNumber,
+        pageLabel: passage.pageLabel,
+        score,
+      }));
+  }
+}
+
+export const passageIndex = new PassageIndex({
+  loadPassages: loadSearchPassages,
+  savePassages: saveSearchPassages,
+  clearPassages: clearSearchPassages,
+  loadChunks: loadTopicChunks,
+  getTopic,
+});
@@ -1,6 +1,11 @@
 // patternMatcher.js - Pattern matching engine for topic detection
 
 import { tokenize } from './utils.js';
+import {
+  DEFAULT_LANGUAGE,
+  getDefinitionPatterns,
+  getStopWords,
+} from './languages.js';
 // Constants for improved matching
 const stopWords = new Set(['the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'can', 'shall', 'and', 'or', 'but', 'if', 'then', 'else', 'when', 'where', 'what', 'how', 'why', 'who', 'which', 'that', 'this', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them']);
 
@@ -54,11 +59,12 @@ const definitionPatterns = [
 ];
 
 // Advanced definition extraction with context
-function extractDefinitions(text) {
+// Non-English text is also matched with its language's definition patterns
+function extractDefinitions(text, language) {
   const definitions = [];
   const lowerText = text.toLowerCase();
 
-  definitionPatterns.forEach(pattern => {
+  [...definitionPatterns, ...getDefinitionPatterns(language)].forEach(pattern => {
     let match;
     while ((match = pattern.exec(text)) !== null) {
       // Extract term and definition based on pattern structure
@@ -208,10 +214,11 @@ function getTopicTokens(topicName, topicData) {
   if (topicTokenCache.has(cacheKey)) {
     return topicTokenCache.get(cacheKey);
   }
+  const options = { language: topicData.language };
   const tokens = [
-    ...tokenize(topicName),
+    ...tokenize(topicName, options),
     ...(topicData.keywords || []),
-    ...(topicData.concepts || []).map((c) => tokenize(c.concept)).flat(),
+    ...(topicData.concepts || []).map((c) => tokenize(c.concept, options)).flat(),
   ];
   topicTokenCache.set(cacheKey, tokens);
   return tokens;
@@ -221,14 +228,21 @@ function getTopicTokens(topicName, topicData) {
  * Calculate similarity score between two sets of tokens
  * @param {Array<string>} tokens1 - First set of tokens
  * @param {Array<string>} tokens2 - Second set of tokens
+ * @param {string} language - Topic language; its stop words are dropped too
  * @returns {number} - Similarity score (0-1)
  */
-function calculateSimilarity(tokens1, tokens2) {
+function calculateSimilarity(tokens1, tokens2, language) {
   if (tokens1.length === 0 || tokens2.length === 0) return 0;
 
   // Process tokens: filter stop words, normalize, expand synonyms
+  // (topics in other languages drop that language's stop words as well)
+  const languageStopWords = language && language !== DEFAULT_LANGUAGE
+    ? getStopWords(language)
+    : new Set();
   const processTokens = (tokens) => {
-    let processed = tokens.filter(token => !stopWords.has(token.toLowerCase()));
+    let processed = tokens.filter(token =>
+      !stopWords.has(token.toLowerCase()) && !languageStopWords.has(token.toLowerCase())
+    );
     processed = processed.map(normalizeToken);
     processed = expandTokensWithSynonyms(processed);
     return processed;
@@ -303,7 +317,7 @@ export function findBestMatch(query, topics) {
   Object.entries(topics).forEach(([topicName, topicData]) => {
     const topicTokens = getTopicTokens(topicName, topicData);
 
-    const score = calculateSimilarity(queryTokens, topicTokens);
+    const score = calculateSimilarity(queryTokens, topicTokens, topicData.language);
 
     // Boost score if query contains exact topic name
     const queryLower = query.toLowerCase();
@@ -407,7 +421,7 @@ export function getRankedTopics(query, topics, limit = 5) {
   Object.entries(topics).forEach(([topicName, topicData]) => {
     const topicTokens = getTopicTokens(topicName, topicData);
 
-    const score = calculateSimilarity(queryTokens, topicTokens);
+    const score = calculateSimilarity(queryTokens, topicTokens, topicData.language);
 
     results.push({ topicName, score, topic: topicData });
   });
@@ -464,7 +478,7 @@ export function findBestMatchWithDefinitions(query, topics) {
   }
 
   // Extract definitions from the matched topic
-  const definitions = extractDefinitions(baseMatch.topic.raw);
+  const definitions = extractDefinitions(baseMatch.topic.raw, baseMatch.topic.language);
 
   // Find definitions relevant to the query
   const queryTokens = tokenize(query);
@@ -0,0 +1,442 @@
+// pdfLayout.js - Rebuild reading structure from pdf.js text items
+// Uses font sizes and positions to recover headings, paragraphs, lists,
+// figure captions and two-column reading order, keeping page numbers on
+// every block so answers can cite "p. 12".
+
+import { blocksToStructure } from './documentStructure.js';
+
+// Share of the page height treated as header/footer margin
+const MARGIN_RATIO = 0.08;
+// Horizontal gap (in font sizes) that splits a baseline into separate lines
+const COLUMN_GAP_FACTOR = 1.5;
+// Vertical gap (in font sizes) that starts a new paragraph
+const PARAGRAPH_GAP_FACTOR = 1.8;
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 150;
+const MAX_PAGE_TEXT_LENGTH = 2000;
+// Pages with fewer non-space characters are treated as scanned images
+const MIN_TEXT_LAYER_CHARS = 16;
+
+const BULLET_PATTERN = /^([•●○◦▪■‣·*\-–—]|\(?\d{1,2}[.)]|\(?[a-z][.)])\s+/;
+const ORDERED_PATTERN = /^\(?(\d{1,2}|[a-z])[.)]\s+/;
+const CAPTION_PATTERN =
+  /^(figure|fig\.|table|diagram|chart)\s*\d+(\.\d+)*[:.]?\s/i;
+const PAGE_NUMBER_PATTERN =
+  /^(?:page\s+)?(\d{1,4}|[ivxlc]{1,6})(?:\s+of\s+\d+)?$/i;
+
+function roundSize(size) {
+  return Math.round(size * 2) / 2;
+}
+
+function joinFragment(text, fragment, gap, size) {
+  if (!text) return fragment;
+  if (text.endsWith(' ') || fragment.startsWith(' ') || gap < size * 0.15) {
+    return text + fragment;
+  }
+  return `${text} ${fragment}`;
+}
+
+/**
+ * Group pdf.js text items into positioned lines
+ * Items on one baseline separated by a wide gap (a column gutter) become
+ * separate lines.
+ * @param {Array} items - textContent.items from pdf.js
+ * @param {Object} styles - textContent.styles, used to spot bold fonts
+ * @returns {Array} - [{ text, x, endX, y, size, bold }]
+ */
+export function groupTextLines(items, styles = {}) {
+  const fragments = items
+    .filter((item) => item.str && item.str.trim())
+    .map((item) => {
+      const [, , c, d, x, y] = item.transform;
+      const size = Math.hypot(c, d) || item.height || 10;
+      const family = `${item.fontName || ''} ${styles[item.fontName]?.fontFamily || ''}`;
+      return {
+        text: item.str,
+        x,
+        y,
+        endX: x + (item.width || 0),
+        size,
+        bold: /bold|black|heavy|semibold/i.test(family),
+      };
+    })
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  let line = null;
+
+  fragments.forEach((fragment) => {
+    const sameBaseline =
+      line &&
+      Math.abs(line.y - fragment.y) <= Math.max(line.size, fragment.size) * 0.5;
+    const gap = line ? fragment.x - line.endX : 0;
+
+    if (
+      sameBaseline &&
+      gap < Math.max(line.size, fragment.size) * COLUMN_GAP_FACTOR
+    ) {
+      line.text = joinFragment(line.text, fragment.text, gap, fragment.size);
+      line.endX = Math.max(line.endX, fragment.endX);
+      line.size = Math.max(line.size, fragment.size);
+      line.bold = line.bold && fragment.bold;
+      return;
+    }
+
+    line = { ...fragment };
+    lines.push(line);
+  });
+
+  return lines.map((l) => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() }));
+}
+
+/**
+ * Remove printed page numbers from the top/bottom margins
+ * @returns {Object} - { lines, pageLabel }
+ */
+function stripPageNumbers(lines, pageHeight) {
+  let pageLabel = null;
+  const margin = pageHeight * MARGIN_RATIO;
+
+  const kept = lines.filter((line) => {
+    const inMargin = line.y < margin || line.y > pageHeight - margin;
+    const match = inMargin && line.text.match(PAGE_NUMBER_PATTERN);
+    if (match) {
+      pageLabel = pageLabel || match[1];
+      return false;
+    }
+    return true;
+  });
+
+  return { lines: kept, pageLabel };
+}
+
+/**
+ * Put lines in reading order, detecting a two-column layout
+ * @returns {Object} - { lines, columns }
+ */
+function orderColumns(lines, pageWidth) {
+  const mid = pageWidth / 2;
+  const isLeft = (line) => line.endX <= mid + line.size;
+  const isRight = (line) => line.x >= mid - line.size;
+  const left = lines.filter((line) => isLeft(line) && !isRight(line));
+  const right = lines.filter((line) => isRight(line) && !isLeft(line));
+
+  const twoColumns =
+    left.length >= 3 && right.length >= 3 && right.length >= lines.length * 0.2;
+  if (!twoColumns) return { lines, columns: 1 };
+
+  const columnTop = Math.max(...[...left, ...right].map((line) => line.y));
+  const spanning = lines.filter(
+    (line) => !left.includes(line) && !right.includes(line)
+  );
+  const above = spanning.filter((line) => line.y > columnTop);
+  const below = spanning.filter((line) => line.y <= columnTop);
+
+  return { lines: [...above, ...left, ...right, ...below], columns: 2 };
+}
+
+/**
+ * Most common font size by amount of text, i.e. the body text size
+ */
+export function findBodySize(lines) {
+  const weights = new Map();
+  lines.forEach((line) => {
+    const size = roundSize(line.size);
+    weights.set(size, (weights.get(size) || 0) + line.text.length);
+  });
+
+  let bodySize = 0;
+  let best = -1;
+  weights.forEach((weight, size) => {
+    if (weight > best) {
+      best = weight;
+      bodySize = size;
+    }
+  });
+  return bodySize;
+}
+
+/**
+ * Rank heading font sizes (largest first) across the whole document
+ */
+function rankHeadingSizes(lines, bodySize) {
+  return [
+    ...new Set(
+      lines
+        .filter(
+          (line) =>
+            line.size >= bodySize * HEADING_SIZE_RATIO &&
+            line.text.length <= MAX_HEADING_LENGTH
+        )
+        .map((line) => roundSize(line.size))
+    ),
+  ].sort((a, b) => b - a);
+}
+
+function headingLevel(line, bodySize, headingSizes) {
+  if (line.text.length > MAX_HEADING_LENGTH || !/[a-z]/i.test(line.text)) {
+    return null;
+  }
+  const rank = headingSizes.indexOf(roundSize(line.size));
+  if (rank !== -1) return Math.min(rank + 1, 6);
+
+  // Short bold body-size lines without a full stop read as minor headings
+  if (
+    line.bold &&
+    line.size >= bodySize * 0.95 &&
+    line.text.length <= 80 &&
+    !/[.,;:]$/.test(line.text)
+  ) {
+    return Math.min(headingSizes.length + 1, 6);
+  }
+  return null;
+}
+
+/**
+ * Turn ordered lines of one page into heading/paragraph/list blocks
+ */
+function linesToBlocks(lines, pageNumber, bodySize, headingSizes) {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+  let listX = 0;
+  let previous = null;
+
+  const flush = () => {
+    if (paragraph) blocks.push(paragraph);
+    if (list) blocks.push(list);
+    paragraph = null;
+    list = null;
+  };
+
+  const appendText = (text, addition) =>
+    text.endsWith('-') && /^[a-z]/.test(addition)
+      ? `${text.slice(0, -1)}${addition}`
+      : `${text} ${addition}`;
+
+  lines.forEach((line) => {
+    const gap = previous ? previous.y - line.y : 0;
+    // Moving up the page means a new column started
+    const breaks =
+      !previous || gap < 0 || gap > line.size * PARAGRAPH_GAP_FACTOR;
+    previous = line;
+
+    const level = headingLevel(line, bodySize, headingSizes);
+    if (level !== null) {
+      flush();
+      const last = blocks[blocks.length - 1];
+      // Headings that wrap onto a second line
+      if (last?.type === 'heading' && last.level === level && !breaks) {
+        last.text = `${last.text} ${line.text}`;
+      } else {
+        blocks.push({ type: 'heading', level, text: line.text, pageNumber });
+      }
+      return;
+    }
+
+    if (CAPTION_PATTERN.test(line.text)) {
+      flush();
+      paragraph = {
+        type: 'paragraph',
+        text: line.text,
+        figure: true,
+        pageNumber,
+      };
+      return;
+    }
+
+    const bullet = line.text.match(BULLET_PATTERN);
+    if (bullet) {
+      if (paragraph) {
+        blocks.push(paragraph);
+        paragraph = null;
+      }
+      const ordered = ORDERED_PATTERN.test(line.text);
+      if (!list || list.ordered !== ordered) {
+        if (list) blocks.push(list);
+        list = { type: 'list', ordered, items: [], pageNumber };
+        listX = line.x;
+      }
+      list.items.push(line.text.slice(bullet[0].length));
+      return;
+    }
+
+    // Indented lines right after a bullet continue that item
+    if (list && !breaks && line.x > listX + line.size * 0.5) {
+      const last = list.items.length - 1;
+      list.items[last] = appendText(list.items[last], line.text);
+      return;
+    }
+
+    if (paragraph && !breaks && !paragraph.figure) {
+      paragraph.text = appendText(paragraph.text, line.text);
+      return;
+    }
+
+    flush();
+    paragraph = { type: 'paragraph', text: line.text, pageNumber };
+  });
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Whether a page lacks a usable text layer (e.g. a scanned worksheet)
+ * @param {Array} items - textContent.items from pdf.js
+ * @returns {boolean}
+ */
+export function isImageOnlyPage(items = []) {
+  const characters = items.reduce(
+    (sum, item) => sum + (item.str || '').replace(/\s/g, '').length,
+    0
+  );
+  return characters < MIN_TEXT_LAYER_CHARS;
+}
+
+/**
+ * Turn OCR output for one page into paragraph and list blocks
+ * OCR text has no font information, so only blank lines and bullets are used.
+ * @param {string} text - Recognized text
+ * @param {number} pageNumber - PDF page number
+ * @returns {Array} - Blocks tagged with the page number
+ */
+export function ocrTextToBlocks(text, pageNumber) {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  const flush = () => {
+    if (paragraph) blocks.push(paragraph);
+    if (list) blocks.push(list);
+    paragraph = null;
+    list = null;
+  };
+
+  text.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) {
+      flush();
+      return;
+    }
+
+    const bullet = line.match(BULLET_PATTERN);
+    if (bullet) {
+      if (paragraph) blocks.push(paragraph);
+      paragraph = null;
+      const ordered = ORDERED_PATTERN.test(line);
+      if (!list || list.ordered !== ordered) {
+        if (list) blocks.push(list);
+        list = { type: 'list', ordered, items: [], pageNumber };
+      }
+      list.items.push(line.slice(bullet[0].length));
+    } else if (paragraph) {
+      paragraph.text = paragraph.text.endsWith('-')
+        ? `${paragraph.text.slice(0, -1)}${line}`
+        : `${paragraph.text} ${line}`;
+    } else {
+      if (list) blocks.push(list);
+      list = null;
+      paragraph = { type: 'paragraph', text: line, pageNumber };
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Rebuild the structure of a whole PDF from its pages' text items
+ * Pages recognized by OCR pass { ocr: { text, confidence } } instead of
+ * items and are merged in page order with the digital pages.
+ * @param {Array} pages - [{ pageNumber, width, height, items, styles, ocr? }]
+ * @returns {Object} - { content, sections, outline, pages }
+ *   pages: [{ pageNumber, pageLabel, columns, headings, figures, text,
+ *             source, ocrConfidence }]
+ */
+export function layoutPdfPages(pages) {
+  const prepared = pages.map((page) => {
+    if (page.ocr) return { ...page, pageLabel: null, lines: [], columns: 1 };
+    const grouped = groupTextLines(page.items || [], page.styles);
+    const { lines, pageLabel } = stripPageNumbers(grouped, page.height);
+    return { ...page, pageLabel, ...orderColumns(lines, page.width) };
+  });
+
+  // Font statistics come from digital pages only
+  const allLines = prepared.flatMap((page) => page.lines);
+  const bodySize = findBodySize(allLines);
+  const headingSizes = rankHeadingSizes(allLines, bodySize);
+
+  const blocks = [];
+  const pageSummaries = prepared.map((page) => {
+    const pageBlocks = page.ocr
+      ? ocrTextToBlocks(page.ocr.text || '', page.pageNumber)
+      : linesToBlocks(page.lines, page.pageNumber, bodySize, headingSizes);
+    blocks.push(...pageBlocks);
+
+    const text = blocksToStructure(pageBlocks).content;
+    return {
+      pageNumber: page.pageNumber,
+      pageLabel: page.pageLabel,
+      columns: page.columns,
+      headings: pageBlocks
+        .filter((b) => b.type === 'heading')
+        .map((b) => b.text),
+      figures: pageBlocks.filter((b) => b.figure).map((b) => b.text),
+      text,
+      wordCount: text.split(/\s+/).filter((w) => w.length > 0).length,
+      source: page.ocr ? 'ocr' : 'text',
+      ocrConfidence: page.ocr ? page.ocr.confidence : null,
+    };
+  });
+
+  return { ...blocksToStructure(blocks), pages: pageSummaries };
+}
+
+/**
+ * Citation text for a page, preferring the number printed on the page
+ * @param {Object} page - { pageNumber, pageLabel }
+ * @returns {string} - e.g. "p. 12"
+ */
+export function formatPageCitation(page) {
+  return `p. ${page.pageLabel || page.pageNumber}`;
+}
+
+/**
+ * Compact per-page text kept on a topic for citations
+ * @param {Array} pages - Page summaries from layoutPdfPages
+ * @returns {Array} - [{ pageNumber, pageLabel, headings, text }]
+ */
+export function buildSourcePages(pages) {
+  return pages
+    .filter((page) => page.text)
+    .map((page) => ({
+      pageNumber: page.pageNumber,
+      pageLabel: page.pageLabel || null,
+      headings: page.headings || [],
+      text: page.text.substring(0, MAX_PAGE_TEXT_LENGTH),
+    }));
+}
+
+/**
+ * Pages that best match a question or concept, by shared word count
+ * @param {Array} sourcePages - Topic source pages
+ * @param {string} text - Question, concept or answer text
+ * @param {number} limit - Maximum pages returned
+ * @returns {Array} - Matching pages, best first
+ */
+export function findCitedPages(sourcePages = [], text = '', limit = 2) {
+  const terms = [...new Set(text.toLowerCase().match(/[a-zÀ-ɏ]{4,}/g) || [])];
+  if (terms.length === 0) return [];
+
+  return sourcePages
+    .map((page) => {
+      const pageText = `${page.headings.join(' ')} ${page.text}`.toLowerCase();
+      const score = terms.filter((term) => pageText.includes(term)).length;
+      return { page, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.page.pageNumber - b.page.pageNumber)
+    .slice(0, limit)
+    .map(({ page }) => page);
+}
@@ -0,0 +1,297 @@
+/* global crypto, TextEncoder */
+// profiles.js - Learner profiles for devices shared by a family or class
+// Each profile has its own chat, quiz history, diagnostics and learner model.
+// A profile either works in the shared topic library or keeps a private one.
+// PINs only stop others from switching in casually: stored data is not
+// encrypted and stays readable to anyone with access to the browser.
+
+// Data saved before profiles existed belongs to the first profile, which
+// keeps the learner id the app used until then
+export const DEFAULT_PROFILE_ID = 'default';
+
+export const TOPIC_LIBRARIES = ['shared', 'private'];
+
+const PROFILES_STORAGE_KEY = 'mindtutor_profiles';
+const MAX_NAME_LENGTH = 40;
+const PIN_PATTERN = /^\d{4,8}$/;
+
+/**
+ * Id of a profile's record in stores that hold one record per learner (chat
+ * history, diagnostics). The default profile keeps the ids used before
+ * profiles existed.
+ * @param {string} baseId - Record id, e.g. 'history'
+ * @param {string} profileId - Profile id
+ * @returns {string}
+ */
+export function profileRecordId(baseId, profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? baseId : `${baseId}::${profileId}`;
+}
+
+/**
+ * Profile a per-learner record id belongs to
+ * @param {string} recordId - From profileRecordId
+ * @returns {string} - Profile id
+ */
+export function profileFromRecordId(recordId) {
+  const separator = String(recordId).indexOf('::');
+  return separator >= 0
+    ? String(recordId).slice(separator + 2)
+    : DEFAULT_PROFILE_ID;
+}
+
+// Salted with the profile id so equal PINs do not give equal hashes
+async function hashPin(profileId, pin) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`mindtutor:${profileId}:${pin}`)
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+}
+
+function defaultState() {
+  return {
+    profiles: [
+      {
+        id: DEFAULT_PROFILE_ID,
+        name: 'Learner',
+        topicLibrary: 'shared',
+        createdAt: new Date().toISOString(),
+      },
+    ],
+    activeId: DEFAULT_PROFILE_ID,
+  };
+}
+
+/**
+ * Profiles on this device and which one is in use
+ */
+export class ProfileManager {
+  constructor() {
+    this.state = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Profiles and the active id, read once from localStorage
+   * @returns {Object} - { profiles: [{ id, name, topicLibrary, pinHash?,
+   *   createdAt }], activeId }
+   */
+  getState() {
+    if (this.state) return this.state;
+    this.state = defaultState();
+    try {
+      const stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+      if (Array.isArray(stored?.profiles) && stored.profiles.length > 0) {
+        this.state = {
+          profiles: stored.profiles,
+          activeId: stored.profiles.some((p) => p.id === stored.activeId)
+            ? stored.activeId
+            : stored.profiles[0].id,
+        };
+      }
+    } catch {
+      // Nothing stored or unreadable JSON - start with the default profile
+    }
+    return this.state;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      console.error('Error saving profiles:', error);
+    }
+  }
+
+  /**
+   * Be told when the active profile or the profile list changes
+   * @param {Function} listener - Called with the active profile id
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this.getActiveId()));
+  }
+
+  findProfile(profileId) {
+    const profile = this.getState().profiles.find((p) => p.id === profileId);
+    if (!profile) throw new Error('Profile not found');
+    return profile;
+  }
+
+  /**
+   * All profiles, without their PIN hashes
+   * @returns {Array} - [{ id, name, topicLibrary, hasPin, createdAt }]
+   */
+  getProfiles() {
+    return this.getState().profiles.map(({ pinHash, ...profile }) => ({
+      ...profile,
+      hasPin: Boolean(pinHash),
+    }));
+  }
+
+  getActiveId() {
+    return this.getState().activeId;
+  }
+
+  getActiveProfile() {
+    return this.getProfiles().find(
+      (profile) => profile.id === this.getActiveId()
+    );
+  }
+
+  checkName(name, exceptId = null) {
+    const trimmed = String(name || '')
+      .trim()
+      .slice(0, MAX_NAME_LENGTH);
+    if (!trimmed) throw new Error('Profile name is required');
+    const taken = this.getState().profiles.some(
+      (profile) =>
+        profile.id !== exceptId &&
+        profile.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (taken) throw new Error(`There is already a profile called ${trimmed}`);
+    return trimmed;
+  }
+
+  /**
+   * Add a profile
+   * @param {string} name - Display name
+   * @param {Object} options - { topicLibrary: 'shared'|'private', pin }
+   * @returns {Object} - The new profile
+   */
+  async createProfile(name, { topicLibrary = 'shared', pin = '' } = {}) {
+    const state = this.getState();
+    if (!TOPIC_LIBRARIES.includes(topicLibrary)) {
+      throw new Error(`Unknown topic library: ${topicLibrary}`);
+    }
+    const profile = {
+      id: `profile-${Date.now().toString(36)}`,
+      name: this.checkName(name),
+      topicLibrary,
+      createdAt: new Date().toISOString(),
+    };
+    while (state.profiles.some((p) => p.id === profile.id)) {
+      profile.id = `${profile.id}x`;
+    }
+    if (pin) {
+      if (!PIN_PATTERN.test(pin)) throw new Error('PIN must be 4 to 8 digits');
+      profile.pinHash = await hashPin(profile.id, pin);
+    }
+
+    state.profiles.push(profile);
+    this.save();
+    this.notify();
+    return this.getProfiles().find((p) => p.id === profile.id);
+  }
+
+  renameProfile(profileId, name) {
+    const profile = this.findProfile(profileId);
+    profile.name = this.checkName(name, profileId);
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Set or remove a profile's PIN
+   * @param {string} profileId - Profile id
+   * @param {string} pin - 4 to 8 digits, or empty to remove the PIN
+   */
+  async setPin(profileId, pin) {
+    const profile = this.findProfile(profileId);
+    if (!pin) {
+      delete profile.pinHash;
+    } else if (!PIN_PATTERN.test(pin)) {
+      throw new Error('PIN must be 4 to 8 digits');
+    } else {
+      profile.pinHash = await hashPin(profileId, pin);
+    }
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Whether a PIN opens a profile (always true without a PIN)
+   * @param {string} profileId - Profile id
+   * @param {string} pin - Entered PIN
+   * @returns {boolean}
+   */
+  async verifyPin(profileId, pin) {
+    const profile = this.findProfile(profileId);
+    if (!profile.pinHash) return true;
+    return (await hashPin(profileId, String(pin || ''))) === profile.pinHash;
+  }
+
+  /**
+   * Make a profile the active one
+   * @param {string} profileId - Profile id
+   * @param {string} pin - Needed when the profile has a PIN
+   * @throws {Error} - For unknown profiles and wrong PINs
+   */
+  async switchProfile(profileId, pin = '') {
+    if (!(await this.verifyPin(profileId, pin))) throw new Error('Wrong PIN');
+    this.getState().activeId = profileId;
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Remove a profile from the list; storage.deleteProfileData removes what
+   * it saved. Deleting the active profile switches to the first one left.
+   * @param {string} profileId - Profile id
+   * @param {string} pin - Needed when the profile has a PIN
+   * @throws {Error} - For the last profile and wrong PINs
+   */
+  async deleteProfile(profileId, pin = '') {
+    const state = this.getState();
+    if (state.profiles.length === 1) {
+      throw new Error('The last profile cannot be deleted');
+    }
+    if (!(await this.verifyPin(profileId, pin))) throw new Error('Wrong PIN');
+
+    state.profiles = state.profiles.filter((p) => p.id !== profileId);
+    if (state.activeId === profileId) state.activeId = state.profiles[0].id;
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Owner to record on topics a profile saves: its id for a private
+   * library, null for the shared one
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {string|null}
+   */
+  getTopicOwner(profileId = this.getActiveId()) {
+    const profile = this.getState().profiles.find((p) => p.id === profileId);
+    return profile?.topicLibrary === 'private' ? profileId : null;
+  }
+
+  /**
+   * Whether a topic is in a profile's library
+   * @param {Object} topic - Topic record
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {boolean}
+   */
+  isTopicVisible(topic, profileId = this.getActiveId()) {
+    return (topic?.ownerId || null) === this.getTopicOwner(profileId);
+  }
+
+  /**
+   * Whether a per-learner record (quiz attempt, chat message) belongs to a
+   * profile. Records saved before profiles existed belong to the default one.
+   * @param {Object} record - Record with an optional profileId
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {boolean}
+   */
+  ownsRecord(record, profileId = this.getActiveId()) {
+    return (record?.profileId || DEFAULT_PROFILE_ID) === profileId;
+  }
+}
+
+export const profileManager = new ProfileManager();
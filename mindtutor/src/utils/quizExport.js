@@ -0,0 +1,589 @@
+// quizExport.js - Export quizzes for learning management systems and print
+// Works on a generated quiz (an array of questions from quizGenerator.js) or
+// on a saved quiz attempt. Attempts saved with their questions export in full;
+// older attempts only kept results, so their multiple-choice questions lose
+// the wrong options and are exported as open questions with the right answer.
+// Formats: Moodle XML, GIFT, an IMS QTI 2.1 package (zip) and printable HTML
+// worksheets with a separate answer key.
+
+import { createZip } from './zipArchive.js';
+
+export const QUIZ_EXPORT_FORMATS = [
+  { id: 'moodle', label: 'Moodle XML' },
+  { id: 'gift', label: 'GIFT' },
+  { id: 'qti', label: 'QTI 2.1' },
+  { id: 'worksheet', label: 'Worksheet' },
+  { id: 'answerKey', label: 'Answer key' },
+];
+
+const BLANK_PATTERN = /_{3,}/;
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+// Lines left for a written answer on the worksheet
+const ANSWER_LINES = { shortanswer: 4, explain: 8 };
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// HTML inside an XML element, kept readable in the exported file
+function cdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function escapeGift(text) {
+  return String(text ?? '')
+    .replace(/([~=#{}:\\])/g, '\\$1')
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+function isTrueAnswer(answer) {
+  return answer === true || String(answer).toLowerCase() === 'true';
+}
+
+/**
+ * Rebuild a question from a saved result (attempts saved before questions
+ * were stored alongside them)
+ */
+function questionFromResult(result, index) {
+  const hasOptions = Array.isArray(result.options) && result.options.length;
+  return {
+    id: result.questionId || `q_${index + 1}`,
+    type: result.type === 'mcq' && !hasOptions ? 'shortanswer' : result.type,
+    question: result.question,
+    options: result.options,
+    answer: result.correctAnswer,
+    conceptTested: result.conceptTested,
+  };
+}
+
+function normalizeQuestion(question, index) {
+  const rubric = question.rubric;
+  return {
+    id: String(question.id || `q_${index + 1}`),
+    type: question.type,
+    text: String(question.question || ''),
+    options: question.type === 'mcq' ? question.options || [] : [],
+    answer: question.answer,
+    explanation: question.explanation || '',
+    keyIdeas: rubric?.keyIdeas?.map((idea) => idea.text) || [],
+    requiredTerms:
+      rubric?.requiredTerms?.map(({ term, synonyms }) =>
+        synonyms?.length ? `${term} (or ${synonyms.join(', ')})` : term
+      ) || [],
+  };
+}
+
+/**
+ * Questions to export from a generated quiz or a saved attempt
+ * @param {Array|Object} source - Question array, or a quizHistory attempt
+ * @returns {Array} - Normalized questions: { id, type, text, options, answer,
+ *   explanation, keyIdeas, requiredTerms }
+ */
+export function getExportQuestions(source) {
+  let questions = [];
+  if (Array.isArray(source)) questions = source;
+  else if (Array.isArray(source?.questions)) questions = source.questions;
+  else if (Array.isArray(source?.results)) {
+    questions = source.results.map(questionFromResult);
+  }
+  return questions
+    .filter((question) => question && question.question)
+    .map(normalizeQuestion);
+}
+
+// Plain-text model answer with the rubric, for graders
+function graderNotes(question) {
+  const lines = [`Model answer: ${question.answer || ''}`];
+  if (question.keyIdeas.length) {
+    lines.push(`Key ideas: ${question.keyIdeas.join('; ')}`);
+  }
+  if (question.requiredTerms.length) {
+    lines.push(`Required terms: ${question.requiredTerms.join('; ')}`);
+  }
+  return lines;
+}
+
+/**
+ * Moodle XML question bank
+ * @param {Array|Object} source - Quiz or attempt
+ * @param {string} title - Category name
+ * @returns {string}
+ */
+export function toMoodleXML(source, title = 'MindTutor quiz') {
+  const questions = getExportQuestions(source);
+  const text = (value) => `<text>${cdata(escapeXml(value))}</text>`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<quiz>',
+    '  <question type="category">',
+    `    <category><text>${escapeXml(`$course$/MindTutor/${title}`)}</text></category>`,
+    '  </question>',
+  ];
+
+  questions.forEach((question, index) => {
+    const open = (type) => {
+      lines.push(`  <question type="${type}">`);
+      lines.push(`    <name><text>${escapeXml(`Q${index + 1}`)}</text></name>`);
+      lines.push(
+        `    <questiontext format="html">${text(question.text)}</questiontext>`
+      );
+      if (question.explanation) {
+        lines.push(
+          `    <generalfeedback format="html">${text(question.explanation)}</generalfeedback>`
+        );
+      }
+      lines.push('    <defaultgrade>1</defaultgrade>');
+    };
+    const answer = (fraction, value, format = 'html') =>
+      lines.push(
+        `    <answer fraction="${fraction}" format="${format}">${
+          format === 'html' ? text(value) : `<text>${escapeXml(value)}</text>`
+        }</answer>`
+      );
+
+    switch (question.type) {
+      case 'mcq':
+        open('multichoice');
+        lines.push('    <single>true</single>');
+        lines.push('    <shuffleanswers>true</shuffleanswers>');
+        lines.push('    <answernumbering>abc</answernumbering>');
+        question.options.forEach((option) =>
+          answer(option === question.answer ? 100 : 0, option)
+        );
+        break;
+      case 'truefalse':
+        open('truefalse');
+        answer(
+          isTrueAnswer(question.answer) ? 100 : 0,
+          'true',
+          'moodle_auto_format'
+        );
+        answer(
+          isTrueAnswer(question.answer) ? 0 : 100,
+          'false',
+          'moodle_auto_format'
+        );
+        break;
+      case 'fillblank':
+        open('shortanswer');
+        lines.push('    <usecase>0</usecase>');
+        answer(100, question.answer, 'moodle_auto_format');
+        break;
+      default:
+        // Open answers are graded by the teacher against the rubric
+        open('essay');
+        lines.push('    <responseformat>editor</responseformat>');
+        lines.push('    <responserequired>1</responserequired>');
+        lines.push(
+          `    <responsefieldlines>${question.type === 'explain' ? 15 : 5}</responsefieldlines>`
+        );
+        lines.push('    <attachments>0</attachments>');
+        lines.push(
+          `    <graderinfo format="html"><text>${cdata(
+            graderNotes(question)
+              .map((line) => `<p>${escapeXml(line)}</p>`)
+              .join('')
+          )}</text></graderinfo>`
+        );
+        lines.push(
+          '    <responsetemplate format="html"><text></text></responsetemplate>'
+        );
+    }
+    lines.push('  </question>');
+  });
+
+  lines.push('</quiz>');
+  return lines.join('\n');
+}
+
+/**
+ * GIFT text format
+ * @param {Array|Object} source - Quiz or attempt
+ * @param {string} title - Category name
+ * @returns {string}
+ */
+export function toGIFT(source, title = 'MindTutor quiz') {
+  const questions = getExportQuestions(source);
+  const blocks = [`$CATEGORY: MindTutor/${title.replace(/\n/g, ' ')}`];
+
+  questions.forEach((question, index) => {
+    const name = `::Q${index + 1}::`;
+    const feedback = question.explanation
+      ? ` ####${escapeGift(question.explanation)}`
+      : '';
+
+    switch (question.type) {
+      case 'mcq': {
+        const lines = question.options.map(
+          (option) =>
+            `  ${option === question.answer ? '=' : '~'}${escapeGift(option)}`
+        );
+        if (feedback) lines.push(`  ${feedback.trim()}`);
+        blocks.push(
+          `${name}${escapeGift(question.text)} {\n${lines.join('\n')}\n}`
+        );
+        break;
+      }
+      case 'truefalse':
+        blocks.push(
+          `${name}${escapeGift(question.text)} {${
+            isTrueAnswer(question.answer) ? 'TRUE' : 'FALSE'
+          }${feedback}}`
+        );
+        break;
+      case 'fillblank': {
+        // Missing-word format: the answer braces replace the blank
+        const [before, ...after] = question.text.split(BLANK_PATTERN);
+        const answer = `{=${escapeGift(question.answer)}${feedback}}`;
+        blocks.push(
+          after.length
+            ? `${name}${escapeGift(before)}${answer}${escapeGift(after.join('_____'))}`
+            : `${name}${escapeGift(question.text)} ${answer}`
+        );
+        break;
+      }
+      default:
+        // Essay; the model answer goes to graders as general feedback
+        blocks.push(
+          `${name}${escapeGift(question.text)} {####${escapeGift(
+            graderNotes(question).join(' ')
+          )}}`
+        );
+    }
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function qtiItem(question, identifier, title) {
+  const header = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd" identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">`,
+  ];
+  const score =
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>';
+  const template = (name) =>
+    `  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/${name}"/>`;
+  let body;
+
+  switch (question.type) {
+    case 'mcq':
+    case 'truefalse': {
+      const choices =
+        question.type === 'mcq'
+          ? question.options.map((option, index) => ({
+              id: `choice_${index + 1}`,
+              label: option,
+              correct: option === question.answer,
+            }))
+          : [
+              {
+                id: 'choice_true',
+                label: 'True',
+                correct: isTrueAnswer(question.answer),
+              },
+              {
+                id: 'choice_false',
+                label: 'False',
+                correct: !isTrueAnswer(question.answer),
+              },
+            ];
+      const correct = choices.find((choice) => choice.correct);
+      body = [
+        `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier"><correctResponse><value>${correct?.id || ''}</value></correctResponse></responseDeclaration>`,
+        score,
+        '  <itemBody>',
+        `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type === 'mcq'}" maxChoices="1">`,
+        `      <prompt>${escapeXml(question.text)}</prompt>`,
+        ...choices.map(
+          (choice) =>
+            `      <simpleChoice identifier="${choice.id}">${escapeXml(choice.label)}</simpleChoice>`
+        ),
+        '    </choiceInteraction>',
+        '  </itemBody>',
+        template('match_correct'),
+      ];
+      break;
+    }
+    case 'fillblank': {
+      const [before, ...after] = question.text.split(BLANK_PATTERN);
+      const entry = `<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(
+        10,
+        String(question.answer).length + 5
+      )}"/>`;
+      body = [
+        `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"><correctResponse><value>${escapeXml(question.answer)}</value></correctResponse><mapping defaultValue="0"><mapEntry mapKey="${escapeXml(question.answer)}" mappedValue="1" caseSensitive="false"/></mapping></responseDeclaration>`,
+        score,
+        '  <itemBody>',
+        after.length
+          ? `    <p>${escapeXml(before)}${entry}${escapeXml(after.join('_____'))}</p>`
+          : `    <p>${escapeXml(question.text)} ${entry}</p>`,
+        '  </itemBody>',
+        template('map_response'),
+      ];
+      break;
+    }
+    default:
+      // Scored by a person; the rubric block is only shown to scorers
+      body = [
+        '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+        score,
+        '  <itemBody>',
+        '    <rubricBlock view="scorer">',
+        ...graderNotes(question).map(
+          (line) => `      <p>${escapeXml(line)}</p>`
+        ),
+        '    </rubricBlock>',
+        `    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="${ANSWER_LINES[question.type] || 4}">`,
+        `      <prompt>${escapeXml(question.text)}</prompt>`,
+        '    </extendedTextInteraction>',
+        '  </itemBody>',
+      ];
+  }
+
+  return [...header, ...body, '</assessmentItem>'].join('\n');
+}
+
+/**
+ * IMS QTI 2.1 content package: one item file per question, an assessment
+ * test that orders them and the imsmanifest.xml
+ * @param {Array|Object} source - Quiz or attempt
+ * @param {string} title - Test title
+ * @returns {Uint8Array} - Zip archive bytes
+ */
+export function toQTIPackage(source, title = 'MindTutor quiz') {
+  const questions = getExportQuestions(source);
+  const items = questions.map((question, index) => ({
+    identifier: `item_${index + 1}`,
+    href: `items/item_${index + 1}.xml`,
+    xml: qtiItem(question, `item_${index + 1}`, `Q${index + 1}`),
+  }));
+
+  const test = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd" identifier="test" title="${escapeXml(title)}">`,
+    '  <testPart identifier="part_1" navigationMode="nonlinear" submissionMode="simultaneous">',
+    `    <assessmentSection identifier="section_1" title="${escapeXml(title)}" visible="true">`,
+    ...items.map(
+      (item) =>
+        `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`
+    ),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>',
+  ].join('\n');
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd" identifier="MANIFEST_1">',
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">',
+    '      <file href="assessmentTest.xml"/>',
+    ...items.map(
+      (item) => `      <dependency identifierref="${item.identifier}"/>`
+    ),
+    '    </resource>',
+    ...items.map((item) =>
+      [
+        `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">`,
+        `      <file href="${item.href}"/>`,
+        '    </resource>',
+      ].join('\n')
+    ),
+    '  </resources>',
+    '</manifest>',
+  ].join('\n');
+
+  return createZip({
+    'imsmanifest.xml': manifest,
+    'assessmentTest.xml': test,
+    ...Object.fromEntries(items.map((item) => [item.href, item.xml])),
+  });
+}
+
+const WORKSHEET_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .meta { display: flex; gap: 2rem; margin-bottom: 1.5rem; font-size: 0.95rem; }
+  .meta span { flex: 1; border-bottom: 1px solid #111; padding-bottom: 0.25rem; }
+  ol.questions > li { margin-bottom: 1.25rem; break-inside: avoid; page-break-inside: avoid; }
+  ol.options { list-style: upper-alpha; margin: 0.5rem 0 0; }
+  .line { border-bottom: 1px solid #999; height: 1.8rem; }
+  .choice { margin-right: 2rem; }
+  .answer { font-weight: bold; }
+  .notes { color: #333; font-size: 0.9rem; margin: 0.25rem 0 0; }
+  @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+function htmlDocument(title, body) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeXml(title)}</title>`,
+    `<style>${WORKSHEET_STYLES}</style>`,
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+  ].join('\n');
+}
+
+/**
+ * Printable worksheet without answers
+ * @param {Array|Object} source - Quiz or attempt
+ * @param {string} title - Worksheet heading
+ * @returns {string} - HTML document
+ */
+export function toWorksheetHTML(source, title = 'MindTutor quiz') {
+  const questions = getExportQuestions(source);
+  const items = questions.map((question) => {
+    const parts = [`<p>${escapeXml(question.text)}</p>`];
+    switch (question.type) {
+      case 'mcq':
+        parts.push(
+          `<ol class="options">${question.options
+            .map((option) => `<li>${escapeXml(option)}</li>`)
+            .join('')}</ol>`
+        );
+        break;
+      case 'truefalse':
+        parts.push(
+          '<p><span class="choice">☐ True</span><span class="choice">☐ False</span></p>'
+        );
+        break;
+      case 'fillblank':
+        if (!BLANK_PATTERN.test(question.text)) {
+          parts.push('<div class="line"></div>');
+        }
+        break;
+      default:
+        parts.push(
+          '<div class="line"></div>'.repeat(
+            ANSWER_LINES[question.type] || ANSWER_LINES.shortanswer
+          )
+        );
+    }
+    return `<li>${parts.join('\n')}</li>`;
+  });
+
+  return htmlDocument(
+    `${title} – Worksheet`,
+    [
+      `<h1>${escapeXml(title)}</h1>`,
+      '<div class="meta"><span>Name:</span><span>Date:</span></div>',
+      `<ol class="questions">\n${items.join('\n')}\n</ol>`,
+    ].join('\n')
+  );
+}
+
+/**
+ * Answer key matching toWorksheetHTML, question for question
+ * @param {Array|Object} source - Quiz or attempt
+ * @param {string} title - Worksheet heading
+ * @returns {string} - HTML document
+ */
+export function toAnswerKeyHTML(source, title = 'MindTutor quiz') {
+  const questions = getExportQuestions(source);
+  const items = questions.map((question) => {
+    const parts = [`<p>${escapeXml(question.text)}</p>`];
+    switch (question.type) {
+      case 'mcq': {
+        const index = question.options.indexOf(question.answer);
+        const letter = index >= 0 ? `${String.fromCharCode(65 + index)}. ` : '';
+        parts.push(
+          `<p class="answer">${letter}${escapeXml(question.answer)}</p>`
+        );
+        break;
+      }
+      case 'truefalse':
+        parts.push(
+          `<p class="answer">${isTrueAnswer(question.answer) ? 'True' : 'False'}</p>`
+        );
+        break;
+      case 'fillblank':
+        parts.push(`<p class="answer">${escapeXml(question.answer)}</p>`);
+        break;
+      default: {
+        const [modelAnswer, ...notes] = graderNotes(question);
+        parts.push(`<p class="answer">${escapeXml(modelAnswer)}</p>`);
+        notes.forEach((note) =>
+          parts.push(`<p class="notes">${escapeXml(note)}</p>`)
+        );
+      }
+    }
+    if (question.explanation) {
+      parts.push(`<p class="notes">${escapeXml(question.explanation)}</p>`);
+    }
+    return `<li>${parts.join('\n')}</li>`;
+  });
+
+  return htmlDocument(
+    `${title} – Answer key`,
+    [
+      `<h1>${escapeXml(title)} – Answer key</h1>`,
+      `<ol class="questions">\n${items.join('\n')}\n</ol>`,
+    ].join('\n')
+  );
+}
+
+/**
+ * Build the file for one export format
+ * @param {Array|Object} source - Quiz or attempt
+ * @param {string} format - Id from QUIZ_EXPORT_FORMATS
+ * @param {string} title - Quiz title, also used for the file name
+ * @returns {Object} - { filename, content, mimeType }
+ * @throws {Error} - For unknown formats or quizzes without questions
+ */
+export function exportQuiz(source, format, title = 'MindTutor quiz') {
+  if (getExportQuestions(source).length === 0) {
+    throw new Error('This quiz has no questions to export');
+  }
+  const base = title.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'quiz';
+
+  switch (format) {
+    case 'moodle':
+      return {
+        filename: `${base}_moodle.xml`,
+        content: toMoodleXML(source, title),
+        mimeType: 'application/xml',
+      };
+    case 'gift':
+      return {
+        filename: `${base}_gift.txt`,
+        content: toGIFT(source, title),
+        mimeType: 'text/plain',
+      };
+    case 'qti':
+      return {
+        filename: `${base}_qti21.zip`,
+        content: toQTIPackage(source, title),
+        mimeType: 'application/zip',
+      };
+    case 'worksheet':
+      return {
+        filename: `${base}_worksheet.html`,
+        content: toWorksheetHTML(source, title),
+        mimeType: 'text/html',
+      };
+    case 'answerKey':
+      return {
+        filename: `${base}_answer_key.html`,
+        content: toAnswerKeyHTML(source, title),
+        mimeType: 'text/html',
+      };
+    default:
+      throw new Error(`Unknown quiz export format: ${format}`);
+  }
+}
@@ -1,6 +1,8 @@
 // quizGenerator.js - Quiz generation engine for MindTutor
 
 import { tokenize } from './utils.js';
+import { buildRubric, gradeWithRubric } from './rubricGrading.js';
+import { generateDistractors, trimOption } from './distractorEngine.js';
 
 /**
  * Generate an adaptive quiz based on user performance and weaknesses
@@ -91,8 +93,21 @@ function analyzeUserPerformance(userModel, concepts) {
     });
   });
 
-  // Analyze learning history
-  if (userModel.learningHistory) {
+  // Per-concept mastery recorded by userModelManager is the most precise signal
+  const conceptMastery = userModel?.conceptMastery;
+  if (conceptMastery instanceof Map && conceptMastery.size > 0) {
+    concepts.forEach((concept) => {
+      const mastery = conceptMastery.get(concept.concept);
+      if (mastery && mastery.attempts > 0) {
+        const current = conceptPerformance.get(concept.concept);
+        current.attempts = mastery.attempts;
+        current.correct = mastery.correct;
+        current.averageScore = mastery.averageScore;
+        current.lastAttempt = mastery.lastAttempt;
+      }
+    });
+  } else if (userModel?.learningHistory) {
+    // Fall back to matching activity topics against concept names
     userModel.learningHistory.forEach((activity) => {
       if (activity.topic && activity.performance !== undefined) {
         concepts.forEach((concept) => {
@@ -176,6 +191,17 @@ function calculateQuestionDistribution(performanceAnalysis, totalQuestions) {
   // Fill remaining with advancement questions
   advancementQuestions = totalQuestions - weaknessQuestions - reviewQuestions;
 
+  // Without strengths there is nothing to advance on yet, so the remainder
+  // goes to whichever bucket has concepts to draw from
+  if (strengths.length === 0 && advancementQuestions > 0) {
+    if (needsReview.length > 0) {
+      reviewQuestions += advancementQuestions;
+    } else {
+      weaknessQuestions += advancementQuestions;
+    }
+    advancementQuestions = 0;
+  }
+
   return {
     weaknessQuestions,
     reviewQuestions,
@@ -222,13 +248,15 @@ function generateQuestionsForWeaknesses(
           question = generateFillBlank(concept, topicName);
           break;
         case 'shortanswer':
-          question = generateShortAnswer(concept, topicName);
+          question = generateShortAnswer(concept, concepts, topicName);
           break;
       }
 
       if (question) {
         questions.push({
           ...question,
+          difficulty: concept.difficulty || 2,
+          conceptTested: concept.concept,
           focus: 'weakness_remediation',
           conceptDifficulty: 'basic',
           hints: generateRemediationHints(
@@ -277,16 +305,18 @@ function generateReviewQuestions(concepts, needsReview, count, topicName) {
           question = generateFillBlank(concept, topicName);
           break;
         case 'shortanswer':
-          question = generateShortAnswer(concept, topicName);
+          question = generateShortAnswer(concept, concepts, topicName);
           break;
         case 'explain':
-          question = generateExplainQuestion(concept, topicName);
+          question = generateExplainQuestion(concept, concepts, topicName);
           break;
       }
 
       if (question) {
         questions.push({
           ...question,
+          difficulty: concept.difficulty || 2,
+          conceptTested: concept.concept,
           focus: 'review',
           conceptDifficulty: 'intermediate',
         });
@@ -319,16 +349,18 @@ function generateAdvancementQuestions(concepts, strengths, count, topicName) {
           question = generateMCQ(concept, concepts, topicName);
           break;
         case 'shortanswer':
-          question = generateShortAnswer(concept, topicName);
+          question = generateShortAnswer(concept, concepts, topicName);
           break;
         case 'explain':
-          question = generateExplainQuestion(concept, topicName);
+          question = generateExplainQuestion(concept, concepts, topicName);
           break;
       }
 
       if (question) {
         questions.push({
           ...question,
+          difficulty: concept.difficulty || 2,
+          conceptTested: concept.concept,
           focus: 'advancement',
           conceptDifficulty: 'advanced',
           challengeLevel: 'high',
@@ -469,11 +501,7 @@ function analyzeAdaptivePerformance(questions, userAnswers, userModel) {
 
   questions.forEach((question, index) => {
     const userAnswer = userAnswers[index];
-    const isCorrect =
-      userAnswer &&
-      (question.type === 'mcq' || question.type === 'truefalse'
-        ? userAnswer === question.answer
-        : calculateAnswerSimilarity(userAnswer, question.answer) > 0.7);
+    const isCorrect = calculateQuestionPerformance(question, userAnswer) > 0.7;
 
     // Track concept performance
     const concept = question.conceptTested;
@@ -589,11 +617,22 @@ function calculateQuestionPerformance(question, userAnswer) {
 
   switch (question.type) {
     case 'mcq':
-    case 'truefalse':
       return userAnswer === question.answer ? 1 : 0;
-    case 'fillblank':
+    case 'truefalse': {
+      // Radio inputs submit "true"/"false" strings
+      const normalized =
+        typeof userAnswer === 'string'
+          ? userAnswer.toLowerCase() === 'true'
+          : userAnswer;
+      return normalized === question.answer ? 1 : 0;
+    }
     case 'shortanswer':
     case 'explain':
+      if (question.rubric) {
+        return gradeWithRubric(userAnswer, question.rubric).score;
+      }
+      return calculateAnswerSimilarity(userAnswer, question.answer);
+    case 'fillblank':
       return calculateAnswerSimilarity(userAnswer, question.answer);
     default:
       return 0;
@@ -662,10 +701,10 @@ export function generateQuiz(topic, questionCount = 10) {
         question = generateFillBlank(concept, topicName);
         break;
       case 'shortanswer':
-        question = generateShortAnswer(concept, topicName);
+        question = generateShortAnswer(concept, concepts, topicName);
         break;
       case 'explain':
-        question = generateExplainQuestion(concept, topicName);
+        question = generateExplainQuestion(concept, concepts, topicName);
         break;
       default:
         question = generateMCQ(concept, concepts, topicName);
@@ -701,38 +740,19 @@ function generateMCQ(concept, allConcepts, topicName) {
   const question =
     questionStems[Math.floor(Math.random() * questionStems.length)];
 
-  // Correct answer
-  const correctAnswer =
-    definition.substring(0, 100) + (definition.length > 100 ? '...' : '');
-
-  // Generate distractors
-  const distractors = [];
-
-  // Use other concepts as basis for distractors
-  const otherConcepts = allConcepts.filter((c) => c.concept !== conceptName);
-
-  if (otherConcepts.length >= 3) {
-    for (let i = 0; i < 3; i++) {
-      const distractor =
-        otherConcepts[i].definition.substring(0, 100) +
-        (otherConcepts[i].definition.length > 100 ? '...' : '');
-      distractors.push(distractor);
-    }
-  } else {
-    // Generate synthetic distractors
-    distractors.push(`A process unrelated to ${conceptName}`);
-    distractors.push(`The opposite of what ${conceptName} represents`);
-    distractors.push(`A common misconception about ${conceptName}`);
-  }
+  // Distractors are ranked against the key and trimmed to similar lengths
+  const correctAnswer = trimOption(definition);
+  const distractors = generateDistractors(concept, allConcepts, { topicName });
 
   // Shuffle options
-  const options = [correctAnswer, ...distractors];
+  const options = [correctAnswer, ...distractors.map(({ text }) => text)];
   shuffleArray(options);
 
   return {
     type: 'mcq',
     question,
     options,
+    distractors: distractors.map(({ text, source }) => ({ text, source })),
     answer: correctAnswer,
   };
 }
@@ -797,9 +817,9 @@ function generateFillBlank(concept, topicName) {
 }
 
 /**
- * Generate a short answer question
+ * Generate a short answer question, graded against a rubric
  */
-function generateShortAnswer(concept, topicName) {
+function generateShortAnswer(concept, allConcepts, topicName) {
   const { concept: conceptName } = concept;
 
   const questions = [
@@ -816,13 +836,14 @@ function generateShortAnswer(concept, topicName) {
     question,
     answer: concept.definition,
     guidance: 'Your answer should include the main definition and key points.',
+    rubric: buildRubric(concept, allConcepts, 'shortanswer'),
   };
 }
 
 /**
- * Generate an explanation question
+ * Generate an explanation question, graded against a rubric
  */
-function generateExplainQuestion(concept, topicName) {
+function generateExplainQuestion(concept, allConcepts, topicName) {
   const { concept: conceptName } = concept;
 
   const questions = [
@@ -839,6 +860,7 @@ function generateExplainQuestion(concept, topicName) {
     answer: concept.definition,
     guidance:
       'Your answer should be detailed and include examples, applications, and connections to other concepts.',
+    rubric: buildRubric(concept, allConcepts, 'explain'),
   };
 }
 
@@ -868,6 +890,8 @@ export function gradeQuiz(questions, userAnswers) {
     const userAnswer = userAnswers[index];
     let isCorrect = false;
     let partialScore = 0;
+    let rubricResult = null;
+    let chosenDistractor = null;
 
     // Check if answer was provided
     const isAnswered =
@@ -877,6 +901,7 @@ export function gradeQuiz(questions, userAnswers) {
       // No answer provided
       results.push({
         questionId: question.id,
+        type: question.type,
         question: question.question,
         userAnswer: '(No answer provided)',
         correctAnswer: question.answer,
@@ -891,13 +916,21 @@ export function gradeQuiz(questions, userAnswers) {
       case 'mcq': {
         isCorrect = userAnswer === question.answer;
         partialScore = isCorrect ? 1 : 0;
+        // Which wrong option was chosen, for the misconception bank
+        if (!isCorrect) {
+          chosenDistractor =
+            question.distractors?.find(({ text }) => text === userAnswer) ||
+            null;
+        }
         break;
       }
 
       case 'truefalse': {
         // Handle both string and boolean answers for compatibility
-        const normalizedUserAnswer = typeof userAnswer === 'string' ?
-          userAnswer.toLowerCase() === 'true' : userAnswer;
+        const normalizedUserAnswer =
+          typeof userAnswer === 'string'
+            ? userAnswer.toLowerCase() === 'true'
+            : userAnswer;
         isCorrect = normalizedUserAnswer === question.answer;
         partialScore = isCorrect ? 1 : 0;
         break;
@@ -939,6 +972,15 @@ export function gradeQuiz(questions, userAnswers) {
       }
 
       case 'shortanswer': {
+        // Questions generated with a rubric are scored item by item; token
+        // overlap remains for quizzes saved before rubrics existed
+        if (question.rubric) {
+          rubricResult = gradeWithRubric(userAnswer, question.rubric);
+          isCorrect = rubricResult.isCorrect;
+          partialScore = rubricResult.score;
+          break;
+        }
+
         // Improved grading for short answers
         const answerTokens = tokenize(question.answer);
         const userTokens = tokenize(userAnswer || '');
@@ -969,6 +1011,13 @@ export function gradeQuiz(questions, userAnswers) {
       }
 
       case 'explain': {
+        if (question.rubric) {
+          rubricResult = gradeWithRubric(userAnswer, question.rubric);
+          isCorrect = rubricResult.isCorrect;
+          partialScore = rubricResult.score;
+          break;
+        }
+
         // Comprehensive grading for explanation questions
         const explainTokens = tokenize(question.answer);
         const userExplainTokens = tokenize(userAnswer || '');
@@ -1008,12 +1057,19 @@ export function gradeQuiz(questions, userAnswers) {
 
     results.push({
       questionId: question.id,
+      type: question.type,
       question: question.question,
       userAnswer,
       correctAnswer: question.answer,
       isCorrect,
       conceptTested: question.conceptTested,
       partialScore: Math.round(partialScore * 100),
+      ...(chosenDistractor && { chosenDistractor }),
+      ...(rubricResult && {
+        feedback: rubricResult.feedback,
+        rubricItems: rubricResult.items,
+        misconceptions: rubricResult.misconceptions,
+      }),
     });
   });
 
@@ -0,0 +1,496 @@
+// rubricGrading.js - Rubrics for short-answer and explain questions
+// A rubric is built from the concept definition when the question is
+// generated: the definition's clauses become key ideas, its most distinctive
+// words become required terms (with synonyms), and antonyms of those words or
+// the definitions of sibling concepts become misconceptions. Answers are
+// matched on word stems, so a paraphrase earns credit and a garbled copy of
+// the definition does not. Feedback names each key idea by a short label and
+// never quotes the definition; labels and feedback are worded in the
+// interface language.
+
+import { tokenizeTerms } from './domainVocabulary.js';
+import { feedbackGenerator } from './feedbackSystem.js';
+import { detectLanguage, getStopWords, tokenizeWords } from './languages.js';
+import { t } from './i18n.js';
+
+// Words (or phrases) that count as the same idea in an answer
+const SYNONYM_GROUPS = [
+  ['produce', 'make', 'create', 'generate', 'form'],
+  ['release', 'emit', 'give off', 'liberate'],
+  ['absorb', 'take in', 'take up'],
+  ['break down', 'decompose', 'split', 'digest'],
+  ['combine', 'join', 'bond', 'bind'],
+  ['move', 'movement', 'travel', 'flow', 'spread', 'pass'],
+  ['transport', 'carry', 'convey'],
+  ['increase', 'rise', 'grow'],
+  ['decrease', 'fall', 'drop', 'reduce', 'decline'],
+  ['large', 'big', 'great'],
+  ['small', 'tiny', 'little'],
+  ['high', 'higher', 'greater', 'more'],
+  ['low', 'lower', 'less', 'fewer'],
+  ['region', 'area', 'side', 'zone'],
+  ['molecule', 'particle'],
+  ['fast', 'quick', 'rapid'],
+  ['use', 'utilize', 'consume'],
+  ['control', 'regulate'],
+  ['change', 'convert', 'transform'],
+  ['contain', 'hold', 'store', 'house'],
+  ['protect', 'defend', 'guard'],
+  ['required', 'needed', 'essential', 'necessary'],
+  ['basic', 'fundamental'],
+  ['unit', 'building block'],
+  ['substance', 'material', 'matter'],
+  ['outside', 'external'],
+  ['inside', 'internal', 'within'],
+  ['cause', 'lead to', 'result in'],
+  ['surround', 'enclose'],
+  ['same', 'identical', 'equal'],
+  ['different', 'distinct'],
+  ['water', 'h2o'],
+  ['carbon dioxide', 'co2'],
+];
+
+// Saying one of these where the definition says the other is a misconception
+const ANTONYM_PAIRS = [
+  ['increase', 'decrease'],
+  ['active', 'passive'],
+  ['high', 'low'],
+  ['gain', 'lose'],
+  ['inside', 'outside'],
+  ['internal', 'external'],
+  ['absorb', 'release'],
+  ['positive', 'negative'],
+  ['large', 'small'],
+  ['fast', 'slow'],
+  ['produce', 'consume'],
+  ['attract', 'repel'],
+  ['hot', 'cold'],
+];
+
+const MAX_KEY_IDEAS = 4;
+const MIN_IDEA_TERMS = 2;
+const MAX_REQUIRED_TERMS = 3;
+const MIN_TERM_LENGTH = 4;
+// Most words an idea's label takes from its clause
+const MAX_LABEL_WORDS = 2;
+// Share of an idea's words (or synonyms) an answer needs for the idea to count
+const IDEA_COVERAGE = 0.5;
+// Sibling definitions need this many distinctive words in an answer to count
+const MIN_CONFUSION_TERMS = 2;
+const MISCONCEPTION_PENALTY = 0.25;
+
+const PASS_MARKS = { shortanswer: 0.7, explain: 0.6 };
+const EXAMPLE_PATTERN =
+  /\b(for example|for instance|e\.g\.|such as|like when)\b/i;
+
+/**
+ * Reduce a word to a crude stem so "releases", "released" and "releasing"
+ * compare equal. Only needs to be consistent, not linguistically correct.
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+export function stemWord(word) {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ss|sh|ch|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('e')) return word.slice(0, -1);
+  if (word.endsWith('s') && !word.endsWith('ss')) {
+    return stemWord(word.slice(0, -1));
+  }
+  return word;
+}
+
+/**
+ * Stems of the content words in a text
+ * @param {string} text - Source text
+ * @returns {Array<string>}
+ */
+export const stems = (text) => tokenizeTerms(text).map(stemWord);
+
+// Stems of every word, stop words included, for matching phrases in answers
+const wordStems = (text) => tokenizeWords(text).map(stemWord);
+
+// stem -> list of stemmed phrases (each an array of stems) meaning the same
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach((group) => {
+  const phrases = group.map(wordStems).filter((phrase) => phrase.length > 0);
+  phrases.forEach((phrase) => {
+    if (phrase.length !== 1) return;
+    SYNONYMS.set(
+      phrase[0],
+      phrases.filter((other) => other !== phrase)
+    );
+  });
+});
+
+const ANTONYMS = new Map();
+ANTONYM_PAIRS.forEach(([a, b]) => {
+  ANTONYMS.set(stemWord(a), b);
+  ANTONYMS.set(stemWord(b), a);
+});
+
+/**
+ * Opposite of a word, if it is in the antonym table
+ * @param {string} word - Any form of the word ("increases")
+ * @returns {string|null} - Base form of the antonym ("decrease")
+ */
+export function getAntonym(word) {
+  return ANTONYMS.get(stemWord(word.toLowerCase())) || null;
+}
+
+// "from high concentration to low concentration" -> ['high', 'low']
+function findDirection(text) {
+  const match = text.match(
+    /\bfrom\s+(?:an?\s+|the\s+)?([a-z]+)\b[^,.;]*?\bto\s+(?:an?\s+|the\s+)?([a-z]+)/i
+  );
+  if (!match) return null;
+  const [from, to] = [match[1], match[2]].map((word) =>
+    stemWord(word.toLowerCase())
+  );
+  return from === to ? null : [from, to];
+}
+
+function containsPhrase(answerStems, phrase) {
+  for (let i = 0; i + phrase.length <= answerStems.length; i++) {
+    if (phrase.every((stem, offset) => answerStems[i + offset] === stem)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether a stem, or one of its synonyms, appears in a list of stems
+ * @param {Array<string>} answerStems - Stems of the text being checked
+ * @param {string} stem - Stem to look for
+ * @returns {boolean}
+ */
+export function mentions(answerStems, stem) {
+  if (answerStems.includes(stem)) return true;
+  return (SYNONYMS.get(stem) || []).some((phrase) =>
+    containsPhrase(answerStems, phrase)
+  );
+}
+
+/**
+ * Stems that carry an idea: content words without the stop words of the
+ * definition's language or the words of the concept's own name
+ * @param {string} definition - Concept definition
+ * @param {string} name - Concept name
+ * @returns {Function} - text -> unique stems
+ */
+function ideaTermsFor(definition, name) {
+  const stopWords = getStopWords(detectLanguage(definition));
+  const nameStems = new Set(stems(name || ''));
+  return (text) => [
+    ...new Set(
+      tokenizeTerms(text)
+        .filter((word) => !stopWords.has(word))
+        .map(stemWord)
+        .filter((stem) => !nameStems.has(stem))
+    ),
+  ];
+}
+
+// Split a definition into clauses, one key idea each: at punctuation,
+// conjunctions and the prepositions that open a new part of a one-sentence
+// definition ("... across a membrane from a region of ..."). A clause with a
+// single content word ("Organelles that ...") stays attached to the next one.
+function splitIdeas(definition, ideaTerms) {
+  const parts = definition.split(
+    /([,;:()]|\b(?:and|which|that|while|whereas|because|so|across|through|from|into|via|using|towards?|within|during|by)\b)/i
+  );
+  const clauses = [];
+  let pending = '';
+  parts.forEach((part, index) => {
+    const isSeparator = index % 2 === 1;
+    if (isSeparator && ideaTerms(pending).length >= MIN_IDEA_TERMS) {
+      clauses.push(pending);
+      pending = '';
+    } else {
+      pending += part;
+    }
+  });
+  if (ideaTerms(pending).length >= MIN_IDEA_TERMS || clauses.length === 0) {
+    clauses.push(pending);
+  } else {
+    clauses[clauses.length - 1] += pending;
+  }
+
+  return clauses
+    .map((clause) =>
+      clause
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^(?:and|which|that)\s+/i, '')
+        .replace(/[.!?,;:]+$/, '')
+    )
+    .filter((clause) => ideaTerms(clause).length > 0)
+    .slice(0, MAX_KEY_IDEAS);
+}
+
+// Name an idea by its last run of content words ("water molecules"), so
+// feedback can list it without quoting the model answer
+function ideaLabel(clause, ideaTerms) {
+  const words = tokenizeWords(clause);
+  let end = words.length - 1;
+  while (end >= 0 && ideaTerms(words[end]).length === 0) end--;
+  let start = end;
+  while (
+    start > 0 &&
+    end - start + 1 < MAX_LABEL_WORDS &&
+    ideaTerms(words[start - 1]).length > 0
+  ) {
+    start--;
+  }
+  return t('rubric.ideaLabel', {
+    words: words.slice(start, end + 1).join(' '),
+  });
+}
+
+/**
+ * Build the rubric for a short-answer or explain question
+ * @param {Object} concept - { concept, definition }
+ * @param {Array} allConcepts - Every concept in the topic, for misconceptions
+ * @param {string} type - 'shortanswer' or 'explain'
+ * @returns {Object|null} - Rubric, or null when the definition is empty
+ */
+export function buildRubric(concept, allConcepts = [], type = 'shortanswer') {
+  const definition = (concept?.definition || '').trim();
+  const definitionStems = stems(definition);
+  if (definitionStems.length === 0) return null;
+
+  const nameStems = new Set(stems(concept.concept));
+  const ideaTerms = ideaTermsFor(definition, concept.concept);
+  const siblings = allConcepts.filter(
+    (other) => other.concept !== concept.concept && other.definition
+  );
+  const siblingStems = new Set(
+    siblings.flatMap((other) => stems(other.definition))
+  );
+
+  const keyIdeas = splitIdeas(definition, ideaTerms).map((text, index) => ({
+    id: `idea_${index + 1}`,
+    text,
+    label: ideaLabel(text, ideaTerms),
+    terms: ideaTerms(text),
+  }));
+  // A definition that only restates the name still needs one idea to grade
+  if (keyIdeas.length === 0) {
+    keyIdeas.push({
+      id: 'idea_1',
+      text: definition,
+      label: t('rubric.wholeDefinition'),
+      terms: [...new Set(definitionStems)],
+    });
+  }
+
+  // Distinctive words first: not shared with sibling definitions, then the
+  // ones the definition repeats, then longest
+  const counts = new Map();
+  definitionStems.forEach((stem) => {
+    counts.set(stem, (counts.get(stem) || 0) + 1);
+  });
+  const seen = new Set();
+  const requiredTerms = tokenizeTerms(definition)
+    .filter((word) => word.length >= MIN_TERM_LENGTH)
+    .map((word) => ({ word, stem: stemWord(word) }))
+    .filter(({ stem }) => {
+      if (nameStems.has(stem) || seen.has(stem)) return false;
+      seen.add(stem);
+      return true;
+    })
+    .sort(
+      (a, b) =>
+        Number(siblingStems.has(a.stem)) - Number(siblingStems.has(b.stem)) ||
+        counts.get(b.stem) - counts.get(a.stem) ||
+        b.word.length - a.word.length
+    )
+    .slice(0, MAX_REQUIRED_TERMS)
+    .map(({ word, stem }) => ({
+      term: word,
+      stem,
+      synonyms:
+        SYNONYM_GROUPS.find((group) =>
+          group.some((entry) => stemWord(entry) === stem)
+        )?.filter((entry) => stemWord(entry) !== stem) || [],
+    }));
+
+  const misconceptions = [];
+  tokenizeTerms(definition).forEach((word) => {
+    const stem = stemWord(word);
+    const antonym = ANTONYMS.get(stem);
+    if (!antonym || misconceptions.some((m) => m.id === `antonym_${stem}`)) {
+      return;
+    }
+    misconceptions.push({
+      id: `antonym_${stem}`,
+      kind: 'antonym',
+      terms: [stemWord(antonym)],
+      unless: [stem],
+      description: t('rubric.misconceptions.antonym', { antonym, word }),
+    });
+  });
+  const direction = findDirection(definition);
+  if (direction) {
+    misconceptions.push({
+      id: 'reversed',
+      kind: 'reversed',
+      direction: [direction[1], direction[0]],
+      description: t('rubric.misconceptions.reversed'),
+    });
+  }
+  siblings.forEach((other) => {
+    const distinctive = ideaTerms(other.definition).filter(
+      (stem) => !definitionStems.includes(stem)
+    );
+    if (distinctive.length < MIN_CONFUSION_TERMS) return;
+    misconceptions.push({
+      id: `confused_${other.concept}`,
+      kind: 'confusion',
+      terms: distinctive,
+      minMatches: Math.max(
+        MIN_CONFUSION_TERMS,
+        Math.ceil(distinctive.length / 2)
+      ),
+      description: t('rubric.misconceptions.confusion', {
+        other: other.concept,
+        concept: concept.concept,
+      }),
+    });
+  });
+
+  return {
+    type,
+    modelAnswer: definition,
+    keyIdeas,
+    requiredTerms,
+    misconceptions,
+    requiresExample: type === 'explain',
+    passMark: PASS_MARKS[type] || PASS_MARKS.shortanswer,
+  };
+}
+
+function joinLabels(labels) {
+  if (labels.length <= 1) return labels.join('');
+  return t('rubric.listJoin', {
+    rest: labels.slice(0, -1).join(', '),
+    last: labels.at(-1),
+  });
+}
+
+/**
+ * Score an answer against a rubric, item by item
+ * @param {string} answer - Learner's answer
+ * @param {Object} rubric - From buildRubric
+ * @returns {Object} - { score (0-1), isCorrect, items, mentioned, missed,
+ *   misconceptions, errorType, feedback }
+ */
+export function gradeWithRubric(answer, rubric) {
+  const text = String(answer || '');
+  const answerStems = wordStems(text);
+
+  const ideaWeight = rubric.requiredTerms.length ? 0.6 : 1;
+  const exampleWeight = rubric.requiresExample ? 0.15 : 0;
+  const termWeight = 1 - ideaWeight;
+
+  const items = [
+    ...rubric.keyIdeas.map((idea) => {
+      const covered = idea.terms.filter((stem) =>
+        mentions(answerStems, stem)
+      ).length;
+      const coverage = covered / idea.terms.length;
+      return {
+        id: idea.id,
+        kind: 'idea',
+        label: idea.label,
+        weight: (ideaWeight - exampleWeight) / rubric.keyIdeas.length,
+        credit: coverage >= IDEA_COVERAGE ? coverage : 0,
+      };
+    }),
+    ...rubric.requiredTerms.map((term) => ({
+      id: `term_${term.stem}`,
+      kind: 'term',
+      label: term.term,
+      weight: termWeight / rubric.requiredTerms.length,
+      credit: mentions(answerStems, term.stem) ? 1 : 0,
+    })),
+  ];
+  if (rubric.requiresExample) {
+    items.push({
+      id: 'example',
+      kind: 'example',
+      label: t('rubric.example'),
+      weight: exampleWeight,
+      credit: EXAMPLE_PATTERN.test(text) ? 1 : 0,
+    });
+  }
+  items.forEach((item) => {
+    item.met = item.credit > 0;
+  });
+
+  const answerDirection = findDirection(text);
+  const misconceptions = rubric.misconceptions.filter((misconception) => {
+    if (misconception.kind === 'reversed') {
+      return (
+        answerDirection?.[0] === misconception.direction[0] &&
+        answerDirection?.[1] === misconception.direction[1]
+      );
+    }
+    if (misconception.unless?.some((stem) => answerStems.includes(stem))) {
+      return false;
+    }
+    const matches = misconception.terms.filter((stem) =>
+      answerStems.includes(stem)
+    ).length;
+    return matches >= (misconception.minMatches || 1);
+  });
+
+  const earned = items.reduce(
+    (sum, item) => sum + item.weight * item.credit,
+    0
+  );
+  const score = Math.max(
+    0,
+    Math.min(1, earned - misconceptions.length * MISCONCEPTION_PENALTY)
+  );
+
+  const mentioned = items.filter((item) => item.met).map((item) => item.label);
+  const missed = items.filter((item) => !item.met).map((item) => item.label);
+  // The generic error type only describes what is missing
+  const errorType = missed.length
+    ? feedbackGenerator.analyzeTextResponse(text, rubric.modelAnswer)
+    : null;
+
+  const feedback = [];
+  if (errorType) {
+    feedback.push(t(`rubric.openers.${errorType}`));
+    feedback.push(
+      mentioned.length
+        ? t('rubric.mentionedButMissed', {
+            mentioned: joinLabels(mentioned),
+            missed: joinLabels(missed),
+          })
+        : t('rubric.missed', { missed: joinLabels(missed) })
+    );
+  } else {
+    feedback.push(t('rubric.complete'));
+  }
+  misconceptions.forEach(({ description }) => {
+    feedback.push(t('rubric.careful', { description }));
+  });
+
+  return {
+    score,
+    // A misconception keeps an otherwise complete answer from passing
+    isCorrect: score >= rubric.passMark && misconceptions.length === 0,
+    items,
+    mentioned,
+    missed,
+    misconceptions: misconceptions.map((m) => m.description),
+    errorType,
+    feedback: feedback.join(' '),
+  };
+}
@@ -0,0 +1,194 @@
+// spacedRepetition.js - SM-2 review scheduling for MindTutor
+// Pure functions only: every result depends on the card, the grade and the
+// `now` passed in, so interval math can be unit tested without a clock or DB.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+// SM-2 quality grades (0-5); anything below PASSING_GRADE is a lapse
+export const REVIEW_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+const PASSING_GRADE = 3;
+
+/**
+ * Build the id a concept's review card is stored under
+ * @param {string} topic - Topic name
+ * @param {string} concept - Concept name
+ * @returns {string} - Card id
+ */
+export function getReviewCardId(topic, concept) {
+  return `${topic}::${concept}`;
+}
+
+/**
+ * Create a new, immediately due review card for a concept
+ * @param {string} topic - Topic name
+ * @param {string} concept - Concept name
+ * @param {Date} now - Current time
+ * @returns {Object} - Review card
+ */
+export function createReviewCard(topic, concept, now = new Date()) {
+  return {
+    id: getReviewCardId(topic, concept),
+    topic,
+    concept,
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    due: now.toISOString(),
+    lastReviewed: null,
+    lastGrade: null,
+    createdAt: now.toISOString(),
+  };
+}
+
+/**
+ * Convert a 0-1 score (quiz partial credit, flashcard result) to an SM-2 grade
+ * @param {number} score - Score between 0 and 1
+ * @returns {number} - Grade between 0 and 5
+ */
+export function scoreToGrade(score) {
+  if (typeof score !== 'number' || Number.isNaN(score)) return 0;
+  const clamped = Math.min(Math.max(score, 0), 1);
+  if (clamped >= 0.95) return REVIEW_GRADES.easy;
+  if (clamped >= 0.7) return REVIEW_GRADES.good;
+  if (clamped >= 0.5) return REVIEW_GRADES.hard;
+  if (clamped > 0) return 2;
+  return REVIEW_GRADES.again;
+}
+
+/**
+ * Apply one review to a card using the SM-2 algorithm
+ * @param {Object} card - Review card
+ * @param {number} grade - SM-2 grade between 0 and 5
+ * @param {Date} now - Review time
+ * @returns {Object} - Updated copy of the card
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  const quality = Math.min(Math.max(Math.round(grade), 0), 5);
+  let { ease, interval, repetitions, lapses } = card;
+
+  if (quality < PASSING_GRADE) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * ease);
+    }
+  }
+
+  // Ease moves after every review, failing ones included
+  ease = Math.max(
+    MIN_EASE,
+    ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    ...card,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewed: now.toISOString(),
+    lastGrade: quality,
+  };
+}
+
+/**
+ * Apply a batch of scored reviews, creating cards for unseen concepts
+ * @param {Array} cards - Existing review cards
+ * @param {Array} reviews - [{topic, concept, score}] with score between 0 and 1
+ * @param {Date} now - Review time
+ * @returns {Array} - The cards that were created or updated
+ */
+export function applyReviewResults(cards, reviews, now = new Date()) {
+  const byId = new Map(cards.map((card) => [card.id, card]));
+  const updated = new Map();
+
+  reviews.forEach(({ topic, concept, score }) => {
+    if (!topic || !concept) return;
+    const id = getReviewCardId(topic, concept);
+    const card =
+      updated.get(id) || byId.get(id) || createReviewCard(topic, concept, now);
+    updated.set(id, scheduleReview(card, scoreToGrade(score), now));
+  });
+
+  return [...updated.values()];
+}
+
+/**
+ * Check whether a card is due on or before the end of the current day
+ * @param {Object} card - Review card
+ * @param {Date} now - Current time
+ * @returns {boolean} - Whether the card is due today
+ */
+export function isDueToday(card, now = new Date()) {
+  const endOfDay = new Date(now);
+  endOfDay.setHours(23, 59, 59, 999);
+  return new Date(card.due) <= endOfDay;
+}
+
+/**
+ * Build today's review queue, interleaving topics so no single topic dominates
+ * @param {Array} cards - All review cards
+ * @param {Date} now - Current time
+ * @param {number} limit - Maximum number of cards to return
+ * @returns {Array} - Due cards, most overdue first within each topic
+ */
+export function getDueQueue(cards, now = new Date(), limit = 50) {
+  const byTopic = new Map();
+
+  cards
+    .filter((card) => isDueToday(card, now))
+    .sort(
+      (a, b) => new Date(a.due) - new Date(b.due) || a.id.localeCompare(b.id)
+    )
+    .forEach((card) => {
+      if (!byTopic.has(card.topic)) byTopic.set(card.topic, []);
+      byTopic.get(card.topic).push(card);
+    });
+
+  const queue = [];
+  const topicQueues = [...byTopic.values()];
+  while (queue.length < limit && topicQueues.some((q) => q.length > 0)) {
+    topicQueues.forEach((topicQueue) => {
+      if (topicQueue.length > 0 && queue.length < limit) {
+        queue.push(topicQueue.shift());
+      }
+    });
+  }
+
+  return queue;
+}
+
+/**
+ * Summarise the review workload
+ * @param {Array} cards - All review cards
+ * @param {Date} now - Current time
+ * @returns {Object} - Counts of total, due today, overdue and learning cards
+ */
+export function getReviewStats(cards, now = new Date()) {
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  return {
+    total: cards.length,
+    dueToday: cards.filter((card) => isDueToday(card, now)).length,
+    overdue: cards.filter((card) => new Date(card.due) < startOfDay).length,
+    learning: cards.filter((card) => card.repetitions < 2).length,
+  };
+}
@@ -1,7 +1,21 @@
 // storage.js - IndexedDB management for MindTutor with localStorage fallback
 
+import { applyReviewResults, getReviewCardId } from './spacedRepetition.js';
+import { summarizeStoredContent } from './topicChunks.js';
+import {
+  BACKUP_PREFERENCE_KEYS,
+  assignBackupToProfile,
+  createBackup,
+  planBackupImport,
+  readBackup,
+  toConversations,
+  toRecords,
+} from './backupFormat.js';
+import { profileManager, profileRecordId } from './profiles.js';
+import { appearance } from './appearance.js';
+
 const DB_NAME = 'MindTutorDB';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 
 // Store names
 const TOPICS_STORE = 'topics';
@@ -9,12 +23,20 @@ const QUIZ_HISTORY_STORE = 'quizHistory';
 const CHAT_HISTORY_STORE = 'chatHistory';
 const DIAGNOSTICS_STORE = 'diagnostics';
 const USER_MODEL_STORE = 'userModel';
+const REVIEW_CARDS_STORE = 'reviewCards';
+const TOPIC_CHUNKS_STORE = 'topicChunks';
+const SEARCH_PASSAGES_STORE = 'searchPassages';
+const STUDY_PLANS_STORE = 'studyPlans';
 
 // Legacy localStorage keys for fallback
 const TOPICS_KEY = 'mindtutor_topics';
 const QUIZ_HISTORY_KEY = 'mindtutor_quiz_history';
 const CHAT_HISTORY_KEY = 'mindtutor_chat_history';
 const DIAGNOSTICS_KEY = 'mindtutor_diagnostics';
+const REVIEW_CARDS_KEY = 'mindtutor_review_cards';
+const TOPIC_CHUNKS_KEY = 'mindtutor_topic_chunks';
+const SEARCH_PASSAGES_KEY = 'mindtutor_search_passages';
+const STUDY_PLANS_KEY = 'mindtutor_study_plans';
 
 // IndexedDB connection
 let dbPromise = null;
@@ -81,6 +103,32 @@ function initDB() {
       if (!db.objectStoreNames.contains(USER_MODEL_STORE)) {
         db.createObjectStore(USER_MODEL_STORE, { keyPath: 'userId' });
       }
+
+      if (!db.objectStoreNames.contains(REVIEW_CARDS_STORE)) {
+        const reviewStore = db.createObjectStore(REVIEW_CARDS_STORE, {
+          keyPath: 'id',
+        });
+        reviewStore.createIndex('topic', 'topic', { unique: false });
+        reviewStore.createIndex('due', 'due', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(TOPIC_CHUNKS_STORE)) {
+        const chunkStore = db.createObjectStore(TOPIC_CHUNKS_STORE, {
+          keyPath: 'id',
+        });
+        chunkStore.createIndex('topic', 'topic', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(SEARCH_PASSAGES_STORE)) {
+        const passageStore = db.createObjectStore(SEARCH_PASSAGES_STORE, {
+          keyPath: 'id',
+        });
+        passageStore.createIndex('topic', 'topic', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(STUDY_PLANS_STORE)) {
+        db.createObjectStore(STUDY_PLANS_STORE, { keyPath: 'id' });
+      }
     };
   });
 
@@ -146,6 +194,10 @@ function performLocalStorageOperation(storeName, operation, data) {
     [QUIZ_HISTORY_STORE]: QUIZ_HISTORY_KEY,
     [CHAT_HISTORY_STORE]: CHAT_HISTORY_KEY,
     [DIAGNOSTICS_STORE]: DIAGNOSTICS_KEY,
+    [REVIEW_CARDS_STORE]: REVIEW_CARDS_KEY,
+    [TOPIC_CHUNKS_STORE]: TOPIC_CHUNKS_KEY,
+    [SEARCH_PASSAGES_STORE]: SEARCH_PASSAGES_KEY,
+    [STUDY_PLANS_STORE]: STUDY_PLANS_KEY,
   };
 
   const key = keyMap[storeName];
@@ -155,19 +207,23 @@ function performLocalStorageOperation(storeName, operation, data) {
     switch (operation) {
       case 'getAll': {
         if (storeName === CHAT_HISTORY_STORE) {
-          const stored = localStorage.getItem(key);
-          if (stored) {
-            const parsed = JSON.parse(stored);
-            return parsed.messages ? parsed.messages : [];
-          }
-          return [];
+          // One record per conversation, each under its own key
+          return Object.keys(localStorage)
+            .filter((name) => name === key || name.startsWith(`${key}::`))
+            .map((name) => JSON.parse(localStorage.getItem(name)))
+            .filter((record) => record && record.messages);
         }
         const stored = localStorage.getItem(key);
-        return stored ? JSON.parse(stored) : {};
+        const parsed = stored ? JSON.parse(stored) : {};
+        // Diagnostics used to be stored as the single record itself
+        if (storeName === DIAGNOSTICS_STORE && parsed.id) {
+          return { [parsed.id]: parsed };
+        }
+        return parsed;
       }
       case 'get': {
-        if (storeName === CHAT_HISTORY_STORE && data === 'history') {
-          const stored = localStorage.getItem(key);
+        if (storeName === CHAT_HISTORY_STORE) {
+          const stored = localStorage.getItem(chatStorageKey(data));
           return stored ? JSON.parse(stored) : null;
         }
         const all = performLocalStorageOperation(storeName, 'getAll');
@@ -178,32 +234,66 @@ function performLocalStorageOperation(storeName, operation, data) {
           const all = performLocalStorageOperation(storeName, 'getAll');
           all[data.name] = { ...data, lastUpdated: new Date().toISOString() };
           localStorage.setItem(key, JSON.stringify(all));
+        } else if (
+          storeName === DIAGNOSTICS_STORE ||
+          storeName === REVIEW_CARDS_STORE ||
+          storeName === TOPIC_CHUNKS_STORE ||
+          storeName === SEARCH_PASSAGES_STORE ||
+          storeName === STUDY_PLANS_STORE
+        ) {
+          const all = performLocalStorageOperation(storeName, 'getAll');
+          all[data.id] = data;
+          localStorage.setItem(key, JSON.stringify(all));
         } else if (storeName === QUIZ_HISTORY_STORE) {
-          const all = performLocalStorageOperation(storeName, 'getAll') || [];
-          all.push({
+          const all = toRecords(
+            performLocalStorageOperation(storeName, 'getAll')
+          );
+          // Keep the id and time of attempts restored from a backup
+          const attempt = {
             ...data,
-            id: Date.now(),
-            timestamp: new Date().toISOString(),
-          });
+            id: data.id ?? Date.now(),
+            timestamp: data.timestamp || new Date().toISOString(),
+          };
+          const index = all.findIndex((saved) => saved.id === attempt.id);
+          if (index >= 0) all[index] = attempt;
+          else all.push(attempt);
           localStorage.setItem(key, JSON.stringify(all));
-        } else if (storeName === CHAT_HISTORY_STORE && data.id === 'history') {
-          // Save the entire history object
-          localStorage.setItem(key, JSON.stringify(data));
+        } else if (storeName === CHAT_HISTORY_STORE && data.messages) {
+          localStorage.setItem(chatStorageKey(data.id), JSON.stringify(data));
         } else {
           localStorage.setItem(key, JSON.stringify(data));
         }
         return data;
       }
       case 'delete': {
-        if (storeName === TOPICS_STORE) {
+        if (
+          storeName === TOPICS_STORE ||
+          storeName === DIAGNOSTICS_STORE ||
+          storeName === REVIEW_CARDS_STORE ||
+          storeName === TOPIC_CHUNKS_STORE ||
+          storeName === SEARCH_PASSAGES_STORE ||
+          storeName === STUDY_PLANS_STORE
+        ) {
           const all = performLocalStorageOperation(storeName, 'getAll');
           delete all[data];
           localStorage.setItem(key, JSON.stringify(all));
+        } else if (storeName === QUIZ_HISTORY_STORE) {
+          const all = toRecords(
+            performLocalStorageOperation(storeName, 'getAll')
+          );
+          localStorage.setItem(
+            key,
+            JSON.stringify(all.filter((attempt) => attempt.id !== data))
+          );
+        } else if (storeName === CHAT_HISTORY_STORE) {
+          localStorage.removeItem(chatStorageKey(data));
         }
         break;
       }
       case 'clear': {
-        localStorage.removeItem(key);
+        Object.keys(localStorage)
+          .filter((name) => name === key || name.startsWith(`${key}::`))
+          .forEach((name) => localStorage.removeItem(name));
         break;
       }
     }
@@ -214,18 +304,27 @@ function performLocalStorageOperation(storeName, operation, data) {
   return null;
 }
 
+// The default profile's chat from before conversations existed keeps the
+// key used then; other profiles' old chat and every conversation get their own
+function chatStorageKey(recordId) {
+  const id = String(recordId).replace(/^history::/, '');
+  return id === 'history' ? CHAT_HISTORY_KEY : `${CHAT_HISTORY_KEY}::${id}`;
+}
+
 /**
- * Load all topics from IndexedDB with localStorage fallback
- * @returns {Object} - All topics keyed by topic name
+ * Load the topics in the active profile's library
+ * @returns {Object} - Topics keyed by topic name
  */
 export async function loadAllTopics() {
   try {
-    const topics = (await performDBOperation(TOPICS_STORE, 'getAll')) || [];
+    const topics = toRecords(await performDBOperation(TOPICS_STORE, 'getAll'));
     // Convert array to object keyed by name
     const topicsObject = {};
-    topics.forEach((topic) => {
-      topicsObject[topic.name] = topic;
-    });
+    topics
+      .filter((topic) => profileManager.isTopicVisible(topic))
+      .forEach((topic) => {
+        topicsObject[topic.name] = topic;
+      });
     return topicsObject;
   } catch (e) {
     console.error('Error loading topics:', e);
@@ -235,10 +334,35 @@ export async function loadAllTopics() {
 
 /**
  * Save a single topic to IndexedDB with compression and fallback
+ * Full text arriving as `chunks` goes to the topic chunk store; the topic
+ * record keeps the preview and a report of how much was stored. Topics go
+ * into the active profile's library.
  * @param {string} topicName - Name of the topic
- * @param {Object} topicData - Topic data object
+ * @param {Object} topic - Topic data object
+ * @returns {Object|null} - contentStats for the stored chunks, if any
+ * @throws {Error} - When another library already has a topic of that name
  */
-export async function saveTopic(topicName, topicData) {
+export async function saveTopic(topicName, topic) {
+  const { chunks, ...topicData } = topic;
+  // Names are unique across libraries, which share the topics store
+  const ownerId = profileManager.getTopicOwner();
+  const current = await getTopic(topicName);
+  if (current && (current.ownerId || null) !== ownerId) {
+    throw new Error(
+      `The name "${topicName}" is already used by a topic in another profile's library`
+    );
+  }
+  if (ownerId) topicData.ownerId = ownerId;
+  else delete topicData.ownerId;
+  if (Array.isArray(chunks)) {
+    const storedChunks = await saveTopicChunks(topicName, chunks);
+    topicData.contentStats = summarizeStoredContent(
+      topicData.contentStats?.totalCharacters ??
+        chunks.reduce((sum, chunk) => sum + chunk.text.length, 0),
+      storedChunks
+    );
+  }
+
   try {
     // Compress large content if needed
     const compressedData = compressTopicData(topicData);
@@ -281,6 +405,7 @@ export async function saveTopic(topicName, topicData) {
           topic: topicData.topic,
           keywords: topicData.keywords || [],
           concepts: (topicData.concepts || []).slice(0, 5),
+          ...(ownerId && { ownerId }),
           lastUpdated: new Date().toISOString(),
           compressed: true,
           storageWarning: 'Content compressed due to size limits',
@@ -291,6 +416,138 @@ export async function saveTopic(topicName, topicData) {
       console.error('Error saving topic even with compression:', e3);
     }
   }
+
+  return topicData.contentStats || null;
+}
+
+/**
+ * Replace the stored chunks of a topic
+ * Stops at the first chunk that cannot be written (e.g. quota exceeded).
+ * @param {string} topicName - Name of the topic
+ * @param {Array} chunks - [{ index, text, pageNumber? }]
+ * @returns {Array} - The chunks that were stored
+ */
+export async function saveTopicChunks(topicName, chunks) {
+  await clearTopicChunks(topicName);
+
+  const stored = [];
+  try {
+    for (const chunk of chunks) {
+      const saved = await performDBOperation(TOPIC_CHUNKS_STORE, 'put', {
+        ...chunk,
+        id: `${topicName}::${chunk.index}`,
+        topic: topicName,
+      });
+      // The localStorage fallback reports a failed write as null
+      if (saved == null) break;
+      stored.push(chunk);
+    }
+  } catch (e) {
+    console.error(
+      `Error saving topic chunks (${stored.length} of ${chunks.length} stored):`,
+      e
+    );
+  }
+  return stored;
+}
+
+/**
+ * Load the stored chunks of a topic in document order
+ * @param {string} topicName - Name of the topic
+ * @returns {Array} - [{ index, text, pageNumber? }]
+ */
+export async function loadTopicChunks(topicName) {
+  try {
+    const stored = await performDBOperation(TOPIC_CHUNKS_STORE, 'getAll');
+    // The localStorage fallback keeps chunks in an object keyed by id
+    const chunks = Array.isArray(stored) ? stored : Object.values(stored || {});
+    return chunks
+      .filter((chunk) => chunk.topic === topicName)
+      .sort((a, b) => a.index - b.index);
+  } catch (e) {
+    console.error('Error loading topic chunks:', e);
+    return [];
+  }
+}
+
+/**
+ * Full text of a topic, rebuilt from its chunks
+ * Topics saved before chunked storage fall back to their raw text.
+ * @param {string} topicName - Name of the topic
+ * @param {Object} topic - Topic object, used for the fallback
+ * @returns {string}
+ */
+export async function loadTopicContent(topicName, topic = null) {
+  const chunks = await loadTopicChunks(topicName);
+  if (chunks.length > 0) return chunks.map((chunk) => chunk.text).join('');
+  return topic?.raw || '';
+}
+
+/**
+ * Delete all stored chunks of a topic
+ * @param {string} topicName - Name of the topic
+ */
+export async function clearTopicChunks(topicName) {
+  try {
+    const chunks = await loadTopicChunks(topicName);
+    for (const chunk of chunks) {
+      await performDBOperation(
+        TOPIC_CHUNKS_STORE,
+        'delete',
+        `${topicName}::${chunk.index}`
+      );
+    }
+  } catch (e) {
+    console.error('Error clearing topic chunks:', e);
+  }
+}
+
+/**
+ * Load every passage of the search index
+ * @returns {Array} - Passage records from passageIndex.js
+ */
+export async function loadSearchPassages() {
+  try {
+    const stored = await performDBOperation(SEARCH_PASSAGES_STORE, 'getAll');
+    // The localStorage fallback keeps passages in an object keyed by id
+    return Array.isArray(stored) ? stored : Object.values(stored || {});
+  } catch (e) {
+    console.error('Error loading search passages:', e);
+    return [];
+  }
+}
+
+/**
+ * Replace the search index passages of a topic
+ * @param {string} topicName - Name of the topic
+ * @param {Array} passages - Passage records with unique ids
+ */
+export async function saveSearchPassages(topicName, passages) {
+  await clearSearchPassages(topicName);
+  try {
+    for (const passage of passages) {
+      await performDBOperation(SEARCH_PASSAGES_STORE, 'put', passage);
+    }
+  } catch (e) {
+    console.error('Error saving search passages:', e);
+  }
+}
+
+/**
+ * Delete the search index passages of a topic
+ * @param {string} topicName - Name of the topic
+ */
+export async function clearSearchPassages(topicName) {
+  try {
+    const passages = await loadSearchPassages();
+    for (const passage of passages) {
+      if (passage.topic === topicName) {
+        await performDBOperation(SEARCH_PASSAGES_STORE, 'delete', passage.id);
+      }
+    }
+  } catch (e) {
+    console.error('Error clearing search passages:', e);
+  }
 }
 
 /**
@@ -301,8 +558,11 @@ export async function deleteTopic(topicName) {
   try {
     await performDBOperation(TOPICS_STORE, 'delete', topicName);
     // Also clear related data
-    await clearChatHistoryForTopic(topicName);
+    await clearChatHistoryForTopic(topicName, null);
     await clearQuizHistoryForTopic(topicName);
+    await clearReviewCardsForTopic(topicName);
+    await clearTopicChunks(topicName);
+    await clearSearchPassages(topicName);
   } catch (e) {
     console.error('Error deleting topic:', e);
   }
@@ -343,8 +603,8 @@ function compressTopicData(topicData) {
   }
 
   // Compress concepts array if too large
-  if (compressed.concepts && compressed.concepts.length > 20) {
-    compressed.concepts = compressed.concepts.slice(0, 20);
+  if (compressed.concepts && compressed.concepts.length > 100) {
+    compressed.concepts = compressed.concepts.slice(0, 100);
     compressed.additionalConcepts = true;
   }
 
@@ -369,131 +629,121 @@ export async function saveChatMessage(message) {
 }
 
 /**
- * Load chat history from IndexedDB
- * @param {string} topicName - Optional topic filter
- * @param {number} limit - Maximum number of messages to load
- * @returns {Array} - Array of chat messages
+ * Load a profile's conversations, most recently active first. Chat saved
+ * before conversations existed is moved into an 'Earlier chat' conversation
+ * the first time it is loaded.
+ * @param {string} profileId - Defaults to the active profile
+ * @returns {Array} - Conversations: { id, profileId, title, topic, createdAt,
+ *   updatedAt, messages }
  */
-export async function loadChatHistory(topicName = null, limit = 100) {
+export async function loadConversations(
+  profileId = profileManager.getActiveId()
+) {
   try {
-    const db = await initDB();
-    if (!db) {
-      return performLocalStorageOperation(CHAT_HISTORY_STORE, 'getAll') || [];
-    }
-
-    // First try to load the saved history array
-    const savedHistory = await performDBOperation(
-      CHAT_HISTORY_STORE,
-      'get',
-      'history'
+    const records = toRecords(
+      await performDBOperation(CHAT_HISTORY_STORE, 'getAll')
     );
-    if (savedHistory && savedHistory.messages) {
-      let messages = savedHistory.messages;
-
-      // Filter by topic if specified
-      if (topicName) {
-        messages = messages.filter((msg) => msg.topic === topicName);
-      }
-
-      // Sort by timestamp (newest first) and limit
-      messages.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      return messages.slice(0, limit);
+    const legacy = records.filter((record) => typeof record.title !== 'string');
+    for (const conversation of toConversations(legacy)) {
+      await performDBOperation(CHAT_HISTORY_STORE, 'put', conversation);
+    }
+    for (const record of legacy) {
+      await performDBOperation(CHAT_HISTORY_STORE, 'delete', record.id);
     }
 
-    // Fallback to loading individual messages (old format)
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction([CHAT_HISTORY_STORE], 'readonly');
-      const store = transaction.objectStore(CHAT_HISTORY_STORE);
-      const request = store.getAll();
-
-      request.onsuccess = () => {
-        let messages = request.result || [];
-
-        // Filter by topic if specified
-        if (topicName) {
-          messages = messages.filter((msg) => msg.topic === topicName);
-        }
-
-        // Sort by timestamp (newest first) and limit
-        messages.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        resolve(messages.slice(0, limit));
-      };
-
-      request.onerror = () => reject(request.error);
-    });
+    return toConversations(records)
+      .filter((conversation) =>
+        profileManager.ownsRecord(conversation, profileId)
+      )
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
   } catch (e) {
-    console.error('Error loading chat history:', e);
+    console.error('Error loading conversations:', e);
     return [];
   }
 }
 
 /**
- * Clear chat history for a specific topic
- * @param {string} topicName - Name of the topic
+ * Save a conversation for the active profile
+ * @param {Object} conversation - From createConversation in conversations.js
+ * @returns {Object} - The saved record
  */
-export async function clearChatHistoryForTopic(topicName) {
+export async function saveConversation(conversation) {
   try {
-    const db = await initDB();
-    if (!db) {
-      // Fallback implementation would be complex, so we'll skip for now
-      return;
-    }
-
-    const transaction = db.transaction([CHAT_HISTORY_STORE], 'readwrite');
-    const store = transaction.objectStore(CHAT_HISTORY_STORE);
-    const index = store.index('topic');
-    const request = index.openCursor(
-      window.IDBKeyRange ? window.IDBKeyRange.only(topicName) : null
-    );
-
-    request.onsuccess = (event) => {
-      const cursor = event.target.result;
-      if (cursor) {
-        cursor.delete();
-        cursor.continue();
-      }
+    const record = {
+      profileId: profileManager.getActiveId(),
+      ...conversation,
+      updatedAt: conversation.updatedAt || new Date().toISOString(),
     };
+    await performDBOperation(CHAT_HISTORY_STORE, 'put', record);
+    return record;
   } catch (e) {
-    console.error('Error clearing chat history for topic:', e);
+    console.error('Error saving conversation:', e);
+    return null;
   }
 }
 
 /**
- * Save chat history (array of messages)
- * @param {Array} messages - Array of chat messages
+ * Delete a conversation
+ * @param {string} conversationId - Conversation id
  */
-export async function saveChatHistory(messages) {
+export async function deleteConversation(conversationId) {
   try {
-    // For simplicity, we'll save the entire array as one entry
-    // In a real app, you might want to save each message individually
-    await performDBOperation(CHAT_HISTORY_STORE, 'put', {
-      id: 'history',
-      messages: messages,
-      timestamp: new Date().toISOString(),
-    });
+    await performDBOperation(CHAT_HISTORY_STORE, 'delete', conversationId);
   } catch (e) {
-    console.error('Error saving chat history:', e);
+    console.error('Error deleting conversation:', e);
   }
 }
 
 /**
- * Clear all chat history
+ * Load the active profile's chat messages across all conversations
+ * @param {string} topicName - Optional topic filter
+ * @param {number} limit - Maximum number of messages to load
+ * @returns {Array} - Chat messages, newest first
+ */
+export async function loadChatHistory(topicName = null, limit = 100) {
+  const messages = (await loadConversations())
+    .flatMap((conversation) => conversation.messages)
+    .filter((message) => !topicName || message.topic === topicName);
+  messages.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return messages.slice(0, limit);
+}
+
+/**
+ * Delete a profile's conversations pinned to a topic
+ * Other learners' conversations about the topic are kept, unless profileId
+ * is null: deleting the topic itself removes every profile's conversations.
+ * @param {string} topicName - Name of the topic
+ * @param {string|null} profileId - Defaults to the active profile
  */
-export async function clearAllChatHistory() {
+export async function clearChatHistoryForTopic(
+  topicName,
+  profileId = profileManager.getActiveId()
+) {
   try {
-    await performDBOperation(CHAT_HISTORY_STORE, 'clear');
+    const records = toRecords(
+      await performDBOperation(CHAT_HISTORY_STORE, 'getAll')
+    );
+    for (const record of records) {
+      if (
+        record.topic === topicName &&
+        (profileId === null || profileManager.ownsRecord(record, profileId))
+      ) {
+        await performDBOperation(CHAT_HISTORY_STORE, 'delete', record.id);
+      }
+    }
   } catch (e) {
-    console.error('Error clearing all chat history:', e);
+    console.error('Error clearing chat history for topic:', e);
   }
 }
 
 /**
- * Save quiz attempt to IndexedDB
+ * Save quiz attempt to IndexedDB for the active profile
  * @param {Object} quizAttempt - Quiz attempt data
  */
 export async function saveQuizAttempt(quizAttempt) {
   try {
     const attemptToSave = {
+      profileId: profileManager.getActiveId(),
       ...quizAttempt,
       timestamp: quizAttempt.timestamp || new Date().toISOString(),
       id: quizAttempt.id || Date.now(),
@@ -505,7 +755,7 @@ export async function saveQuizAttempt(quizAttempt) {
 }
 
 /**
- * Load quiz history from IndexedDB
+ * Load the active profile's quiz history from IndexedDB
  * @param {string} topicName - Optional topic filter
  * @param {number} limit - Maximum number of attempts to load
  * @returns {Array} - Array of quiz attempts
@@ -514,7 +764,9 @@ export async function loadQuizHistory(topicName = null, limit = 50) {
   try {
     const db = await initDB();
     if (!db) {
-      return performLocalStorageOperation(QUIZ_HISTORY_STORE, 'getAll') || [];
+      return toRecords(
+        performLocalStorageOperation(QUIZ_HISTORY_STORE, 'getAll')
+      ).filter((attempt) => profileManager.ownsRecord(attempt));
     }
 
     return new Promise((resolve, reject) => {
@@ -523,7 +775,9 @@ export async function loadQuizHistory(topicName = null, limit = 50) {
       const request = store.getAll();
 
       request.onsuccess = () => {
-        let attempts = request.result || [];
+        let attempts = (request.result || []).filter((attempt) =>
+          profileManager.ownsRecord(attempt)
+        );
 
         // Filter by topic if specified
         if (topicName) {
@@ -572,14 +826,14 @@ export async function clearQuizHistoryForTopic(topicName) {
 }
 
 /**
- * Save diagnostics data to IndexedDB
+ * Save the active profile's diagnostics data to IndexedDB
  * @param {Object} diagnostics - Diagnostics data
  */
 export async function saveDiagnostics(diagnostics) {
   try {
     const diagnosticsToSave = {
-      id: 'main',
       ...diagnostics,
+      id: profileRecordId('main', profileManager.getActiveId()),
       lastUpdated: new Date().toISOString(),
     };
     await performDBOperation(DIAGNOSTICS_STORE, 'put', diagnosticsToSave);
@@ -589,7 +843,7 @@ export async function saveDiagnostics(diagnostics) {
 }
 
 /**
- * Load diagnostics data from IndexedDB
+ * Load the active profile's diagnostics data from IndexedDB
  * @returns {Object} - Diagnostics data
  */
 export async function loadDiagnostics() {
@@ -597,7 +851,7 @@ export async function loadDiagnostics() {
     const diagnostics = await performDBOperation(
       DIAGNOSTICS_STORE,
       'get',
-      'main'
+      profileRecordId('main', profileManager.getActiveId())
     );
     return (
       diagnostics || {
@@ -665,6 +919,161 @@ export async function loadUserModel(userId) {
   }
 }
 
+// Review cards keep their topic::concept id in the app; each profile's
+// schedule is stored under profileRecordId of that id
+function reviewCardRecordId(card, profileId) {
+  return profileRecordId(getReviewCardId(card.topic, card.concept), profileId);
+}
+
+async function loadStoredReviewCards() {
+  const stored = await performDBOperation(REVIEW_CARDS_STORE, 'getAll');
+  // The localStorage fallback keeps cards in an object keyed by id
+  return Array.isArray(stored) ? stored : Object.values(stored || {});
+}
+
+/**
+ * Load a profile's spaced-repetition review cards
+ * @param {string} topicName - Optional topic filter
+ * @param {string} profileId - Defaults to the active profile
+ * @returns {Array} - Array of review cards
+ */
+export async function loadReviewCards(
+  topicName = null,
+  profileId = profileManager.getActiveId()
+) {
+  try {
+    return (await loadStoredReviewCards())
+      .filter(
+        (card) =>
+          profileManager.ownsRecord(card, profileId) &&
+          (!topicName || card.topic === topicName)
+      )
+      .map((card) => ({
+        ...card,
+        id: getReviewCardId(card.topic, card.concept),
+      }));
+  } catch (e) {
+    console.error('Error loading review cards:', e);
+    return [];
+  }
+}
+
+/**
+ * Save spaced-repetition review cards for the active profile
+ * @param {Array} cards - Review cards to save
+ */
+export async function saveReviewCards(cards) {
+  try {
+    const profileId = profileManager.getActiveId();
+    for (const card of cards) {
+      await performDBOperation(REVIEW_CARDS_STORE, 'put', {
+        ...card,
+        id: reviewCardRecordId(card, profileId),
+        profileId,
+      });
+    }
+  } catch (e) {
+    console.error('Error saving review cards:', e);
+  }
+}
+
+/**
+ * Schedule the active profile's next review for each concept from a batch
+ * of results
+ * @param {Array} reviews - [{topic, concept, score}] with score between 0 and 1
+ * @returns {Array} - The updated review cards
+ */
+export async function recordReviewResults(reviews) {
+  if (!reviews || reviews.length === 0) return [];
+
+  try {
+    const cards = await loadReviewCards();
+    const updated = applyReviewResults(cards, reviews, new Date());
+    await saveReviewCards(updated);
+    return updated;
+  } catch (e) {
+    console.error('Error recording review results:', e);
+    return [];
+  }
+}
+
+/**
+ * Clear every profile's review cards for a specific topic
+ * @param {string} topicName - Name of the topic
+ */
+export async function clearReviewCardsForTopic(topicName) {
+  try {
+    for (const card of await loadStoredReviewCards()) {
+      if (card.topic === topicName) {
+        await performDBOperation(REVIEW_CARDS_STORE, 'delete', card.id);
+      }
+    }
+  } catch (e) {
+    console.error('Error clearing review cards for topic:', e);
+  }
+}
+
+/**
+ * Load one of a profile's study plans
+ * @param {string} planId - Plan id (the Planner tab keeps one 'current' plan)
+ * @param {string} profileId - Defaults to the active profile
+ * @returns {Object|null} - Plan from studyPlanner.js or null
+ */
+export async function loadStudyPlan(
+  planId = 'current',
+  profileId = profileManager.getActiveId()
+) {
+  try {
+    const record = await performDBOperation(
+      STUDY_PLANS_STORE,
+      'get',
+      profileRecordId(planId, profileId)
+    );
+    return record ? { ...record, id: planId } : null;
+  } catch (e) {
+    console.error('Error loading study plan:', e);
+    return null;
+  }
+}
+
+/**
+ * Save a study plan for the active profile
+ * @param {Object} plan - Plan with an id
+ */
+export async function saveStudyPlan(plan) {
+  try {
+    const profileId = profileManager.getActiveId();
+    await performDBOperation(STUDY_PLANS_STORE, 'put', {
+      ...plan,
+      id: profileRecordId(plan.id, profileId),
+      profileId,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (e) {
+    console.error('Error saving study plan:', e);
+  }
+}
+
+/**
+ * Delete one of a profile's study plans
+ * @param {string} planId - Plan id
+ * @param {string} profileId - Defaults to the active profile
+ */
+export async function deleteStudyPlan(
+  planId = 'current',
+  profileId = profileManager.getActiveId()
+) {
+  try {
+    await performDBOperation(
+      STUDY_PLANS_STORE,
+      'delete',
+      profileRecordId(planId, profileId)
+    );
+  } catch (e) {
+    console.error('Error deleting study plan:', e);
+  }
+}
+
 /**
  * Get storage statistics
  * @returns {Object} - Storage usage statistics
@@ -689,8 +1098,9 @@ export async function getStorageStats() {
     stats.topicsCount = topics.length;
 
     // Count chat messages
-    const chatMessages =
-      (await performDBOperation(CHAT_HISTORY_STORE, 'getAll')) || [];
+    const chatMessages = toConversations(
+      await performDBOperation(CHAT_HISTORY_STORE, 'getAll')
+    ).flatMap((conversation) => conversation.messages);
     stats.chatMessagesCount = chatMessages.length;
 
     // Count quiz attempts
@@ -723,6 +1133,10 @@ export async function clearAllData() {
       CHAT_HISTORY_STORE,
       DIAGNOSTICS_STORE,
       USER_MODEL_STORE,
+      REVIEW_CARDS_STORE,
+      TOPIC_CHUNKS_STORE,
+      SEARCH_PASSAGES_STORE,
+      STUDY_PLANS_STORE,
     ];
     await Promise.all(
       stores.map((store) => performDBOperation(store, 'clear'))
@@ -735,6 +1149,10 @@ export async function clearAllData() {
       localStorage.removeItem(QUIZ_HISTORY_KEY);
       localStorage.removeItem(CHAT_HISTORY_KEY);
       localStorage.removeItem(DIAGNOSTICS_KEY);
+      localStorage.removeItem(REVIEW_CARDS_KEY);
+      localStorage.removeItem(TOPIC_CHUNKS_KEY);
+      localStorage.removeItem(SEARCH_PASSAGES_KEY);
+      localStorage.removeItem(STUDY_PLANS_KEY);
     } catch (e2) {
       console.error('Error clearing localStorage data:', e2);
     }
@@ -742,84 +1160,244 @@ export async function clearAllData() {
 }
 
 /**
- * Export all data for backup
- * @returns {Object} - All stored data
+ * Export all data for backup, or just one profile's
+ * A profile's export holds its topic library, history, review cards, study
+ * plans, diagnostics and learner model, but not the settings shared by
+ * everyone on the device.
+ * @param {Object} options - { profileId: export only this profile }
+ * @returns {Object} - Backup in the current format from backupFormat.js
  */
-export async function exportAllData() {
+export async function exportAllData({ profileId = null } = {}) {
   try {
-    const [topics, chatHistory, quizHistory, diagnostics, userModels] =
-      await Promise.all([
-        performDBOperation(TOPICS_STORE, 'getAll'),
-        performDBOperation(CHAT_HISTORY_STORE, 'getAll'),
-        performDBOperation(QUIZ_HISTORY_STORE, 'getAll'),
-        performDBOperation(DIAGNOSTICS_STORE, 'getAll'),
-        performDBOperation(USER_MODEL_STORE, 'getAll'),
-      ]);
+    const [
+      topics,
+      chatHistory,
+      quizHistory,
+      diagnostics,
+      userModels,
+      reviewCards,
+      topicChunks,
+      studyPlans,
+    ] = await Promise.all([
+      performDBOperation(TOPICS_STORE, 'getAll'),
+      performDBOperation(CHAT_HISTORY_STORE, 'getAll'),
+      performDBOperation(QUIZ_HISTORY_STORE, 'getAll'),
+      performDBOperation(DIAGNOSTICS_STORE, 'getAll'),
+      performDBOperation(USER_MODEL_STORE, 'getAll'),
+      loadStoredReviewCards(),
+      performDBOperation(TOPIC_CHUNKS_STORE, 'getAll'),
+      performDBOperation(STUDY_PLANS_STORE, 'getAll'),
+    ]);
+
+    if (!profileId) {
+      return createBackup(
+        {
+          topics,
+          chatHistory,
+          quizHistory,
+          diagnostics,
+          userModels,
+          reviewCards,
+          topicChunks,
+          studyPlans,
+        },
+        readBackupPreferences()
+      );
+    }
 
-    return {
-      topics: topics || [],
-      chatHistory: chatHistory || [],
-      quizHistory: quizHistory || [],
-      diagnostics: diagnostics || [],
-      userModels: userModels || [],
-      exportDate: new Date().toISOString(),
-      version: '1.0',
-    };
+    const library = toRecords(topics).filter((topic) =>
+      profileManager.isTopicVisible(topic, profileId)
+    );
+    const topicNames = new Set(library.map((topic) => topic.name));
+    const inLibrary = (record) => topicNames.has(record.topic);
+    const profile = profileManager
+      .getProfiles()
+      .find((candidate) => candidate.id === profileId);
+
+    return createBackup(
+      {
+        topics: library,
+        topicChunks: toRecords(topicChunks).filter(inLibrary),
+        reviewCards: reviewCards.filter(
+          (card) =>
+            inLibrary(card) && profileManager.ownsRecord(card, profileId)
+        ),
+        quizHistory: toRecords(quizHistory).filter((attempt) =>
+          profileManager.ownsRecord(attempt, profileId)
+        ),
+        chatHistory: toConversations(chatHistory).filter((conversation) =>
+          profileManager.ownsRecord(conversation, profileId)
+        ),
+        diagnostics: toRecords(diagnostics).filter(
+          (record) => record.id === profileRecordId('main', profileId)
+        ),
+        userModels: toRecords(userModels).filter(
+          (model) => model.userId === profileId
+        ),
+        studyPlans: toRecords(studyPlans).filter((plan) =>
+          profileManager.ownsRecord(plan, profileId)
+        ),
+      },
+      {},
+      { id: profileId, name: profile?.name || profileId }
+    );
   } catch (e) {
     console.error('Error exporting data:', e);
     return null;
   }
 }
 
+function readBackupPreferences() {
+  const preferences = {};
+  BACKUP_PREFERENCE_KEYS.forEach((key) => {
+    try {
+      const value = localStorage.getItem(key);
+      if (value !== null) preferences[key] = value;
+    } catch (e) {
+      console.error(`Error reading preference ${key}:`, e);
+    }
+  });
+  return preferences;
+}
+
+// Everything an import could clash with
+async function loadImportTargets() {
+  const [
+    topics,
+    chatHistory,
+    quizHistory,
+    diagnostics,
+    userModels,
+    studyPlans,
+  ] = await Promise.all([
+    performDBOperation(TOPICS_STORE, 'getAll'),
+    performDBOperation(CHAT_HISTORY_STORE, 'getAll'),
+    performDBOperation(QUIZ_HISTORY_STORE, 'getAll'),
+    performDBOperation(DIAGNOSTICS_STORE, 'getAll'),
+    performDBOperation(USER_MODEL_STORE, 'getAll'),
+    performDBOperation(STUDY_PLANS_STORE, 'getAll'),
+  ]);
+
+  return {
+    topics: toRecords(topics),
+    chatHistory: toConversations(chatHistory),
+    quizHistory: toRecords(quizHistory),
+    reviewCards: await loadStoredReviewCards(),
+    diagnostics: toRecords(diagnostics),
+    userModels: toRecords(userModels),
+    studyPlans: toRecords(studyPlans),
+    preferences: readBackupPreferences(),
+  };
+}
+
+const IMPORT_STORES = {
+  topics: TOPICS_STORE,
+  topicChunks: TOPIC_CHUNKS_STORE,
+  reviewCards: REVIEW_CARDS_STORE,
+  quizHistory: QUIZ_HISTORY_STORE,
+  chatHistory: CHAT_HISTORY_STORE,
+  diagnostics: DIAGNOSTICS_STORE,
+  userModels: USER_MODEL_STORE,
+  studyPlans: STUDY_PLANS_STORE,
+};
+
 /**
- * Import data from backup
- * @param {Object} data - Exported data to import
- * @returns {boolean} - Success status
+ * Import data from a backup, or preview the import
+ * Older backup versions are migrated and the result is validated before
+ * anything is written. Nothing is written on a dry run.
+ * @param {Object|string} data - Backup object or its JSON text
+ * @param {Object} options - planBackupImport options plus dryRun
+ * @returns {Object} - The import plan: { operations, renamedTopics, summary }
+ * @throws {Error} - When the backup cannot be read or fails validation
  */
-export async function importAllData(data) {
-  try {
-    if (!data || !data.version) {
-      throw new Error('Invalid data format');
+export async function importAllData(data, options = {}) {
+  let backup = readBackup(data);
+  // A single profile's export is imported into the active profile
+  if (backup.profile) {
+    backup = assignBackupToProfile(
+      backup,
+      profileManager.getActiveId(),
+      profileManager.getTopicOwner()
+    );
+  }
+  const existing = await loadImportTargets();
+  const plan = planBackupImport(backup, existing, options);
+  if (options.dryRun) return plan;
+
+  const writes = plan.operations.filter(
+    (operation) => operation.record !== null
+  );
+
+  // A replaced topic's old text must not outlive it
+  for (const { store, action, key } of writes) {
+    if (store === 'topics' && action === 'replace') {
+      await clearTopicChunks(key);
+      await clearSearchPassages(key);
     }
+  }
 
-    // Import topics
-    if (data.topics) {
-      for (const topic of data.topics) {
-        await performDBOperation(TOPICS_STORE, 'put', topic);
+  for (const { store, record, key } of writes) {
+    if (IMPORT_STORES[store]) {
+      await performDBOperation(IMPORT_STORES[store], 'put', record);
+    } else if (store === 'preferences') {
+      try {
+        localStorage.setItem(key, record);
+      } catch (e) {
+        console.error(`Error importing preference ${key}:`, e);
       }
     }
+  }
 
-    // Import chat history
-    if (data.chatHistory) {
-      for (const message of data.chatHistory) {
-        await performDBOperation(CHAT_HISTORY_STORE, 'put', message);
-      }
-    }
+  return plan;
+}
 
-    // Import quiz history
-    if (data.quizHistory) {
-      for (const attempt of data.quizHistory) {
-        await performDBOperation(QUIZ_HISTORY_STORE, 'put', attempt);
+/**
+ * Delete what a profile saved: its chat and quiz history, review cards,
+ * study plans, diagnostics, learner model, private topics, appearance
+ * settings and prerequisite edits
+ * @param {string} profileId - Profile id
+ */
+export async function deleteProfileData(profileId) {
+  try {
+    const [topics, quizHistory, conversations, reviewCards, studyPlans] =
+      await Promise.all([
+        performDBOperation(TOPICS_STORE, 'getAll'),
+        performDBOperation(QUIZ_HISTORY_STORE, 'getAll'),
+        loadConversations(profileId),
+        loadStoredReviewCards(),
+        performDBOperation(STUDY_PLANS_STORE, 'getAll'),
+      ]);
+    for (const topic of toRecords(topics)) {
+      if (topic.ownerId === profileId) await deleteTopic(topic.name);
+    }
+    for (const attempt of toRecords(quizHistory)) {
+      if (profileManager.ownsRecord(attempt, profileId)) {
+        await performDBOperation(QUIZ_HISTORY_STORE, 'delete', attempt.id);
       }
     }
-
-    // Import diagnostics
-    if (data.diagnostics) {
-      for (const diagnostic of data.diagnostics) {
-        await performDBOperation(DIAGNOSTICS_STORE, 'put', diagnostic);
+    for (const conversation of conversations) {
+      await deleteConversation(conversation.id);
+    }
+    for (const card of reviewCards) {
+      if (profileManager.ownsRecord(card, profileId)) {
+        await performDBOperation(REVIEW_CARDS_STORE, 'delete', card.id);
       }
     }
-
-    // Import user models
-    if (data.userModels) {
-      for (const model of data.userModels) {
-        await performDBOperation(USER_MODEL_STORE, 'put', model);
+    await performDBOperation(
+      DIAGNOSTICS_STORE,
+      'delete',
+      profileRecordId('main', profileId)
+    );
+    for (const plan of toRecords(studyPlans)) {
+      if (profileManager.ownsRecord(plan, profileId)) {
+        await performDBOperation(STUDY_PLANS_STORE, 'delete', plan.id);
       }
     }
-
-    return true;
+    await performDBOperation(USER_MODEL_STORE, 'delete', profileId);
+    appearance.remove(profileId);
+    const { curriculumPlanner } = await import('./curriculumLogic.js');
+    curriculumPlanner.removeEdits(profileId);
   } catch (e) {
-    console.error('Error importing data:', e);
-    return false;
+    console.error('Error deleting profile data:', e);
   }
 }
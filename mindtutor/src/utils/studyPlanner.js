@@ -0,0 +1,544 @@
+/* global TextEncoder */
+// studyPlanner.js - Exam study plans built on LearningPlanner
+// A plan fills the learner's weekly study slots between today and the exam:
+// one learning session per topic (ordered by generateOptimalLearningPath),
+// spaced reviews in the slots left over and a final review last. Dates and
+// milestones come from generateStudySchedule. Missed sessions are re-planned
+// into the remaining slots, and plans export to iCalendar (.ics). Labels,
+// milestones and errors are worded in the interface language.
+
+import { LearningPlanner } from './advancedAI.js';
+import { t } from './i18n.js';
+
+const learningPlanner = new LearningPlanner();
+
+export const WEEKDAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+// Slots are never searched further ahead than this
+const MAX_PLAN_DAYS = 366;
+const MINUTE = 60000;
+
+const SESSION_KINDS = ['learn', 'review', 'final_review'];
+const MILESTONE_TYPES = [
+  'weekly_review',
+  'concept_mastery',
+  'course_completion',
+];
+
+/**
+ * Local midnight at the start of the exam day; sessions must start before it
+ * @param {string} examDate - 'YYYY-MM-DD'
+ * @returns {Date}
+ */
+export function examDayStart(examDate) {
+  const [year, month, day] = String(examDate || '')
+    .slice(0, 10)
+    .split('-')
+    .map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Every weekly study slot between two dates
+ * @param {Array} availability - [{ day: 0-6 (Sunday first), start: 'HH:MM', minutes }]
+ * @param {Date} startDate - Earliest slot start
+ * @param {Date} endDate - Slots must start before this
+ * @returns {Array} - [{ start: Date, minutes }]
+ */
+export function listStudySlots(availability, startDate, endDate) {
+  const limit = new Date(
+    Math.min(
+      new Date(endDate).getTime(),
+      new Date(startDate).getTime() + MAX_PLAN_DAYS * 24 * 60 * MINUTE
+    )
+  );
+  const slots = [];
+  let cursor = new Date(startDate);
+
+  for (;;) {
+    const slot = learningPlanner.findAvailableSlot(cursor, availability);
+    if (!slot || slot.start >= limit) break;
+    slots.push(slot);
+    cursor = new Date(slot.start.getTime() + slot.minutes * MINUTE);
+  }
+  return slots;
+}
+
+/**
+ * Topic order from the learning path planner; topics it leaves out follow in
+ * the order chosen by the learner
+ */
+async function orderTopics(topicNames, topics, userModel) {
+  const availableContent = topicNames.map((name) => ({
+    concept: name,
+    title: name,
+    difficulty: topics[name]?.difficulty ?? 3,
+    skills: topics[name]?.keywords || [],
+  }));
+
+  let path = [];
+  try {
+    const plan = await learningPlanner.generateOptimalLearningPath(
+      userModel,
+      availableContent,
+      { timeAvailable: 60, sessionsPerWeek: topicNames.length }
+    );
+    path = plan.sessions.map((session) => session.concept);
+  } catch (error) {
+    console.warn('Learning path planning failed, keeping topic order:', error);
+  }
+
+  return [...new Set([...path, ...topicNames])].filter((name) =>
+    topicNames.includes(name)
+  );
+}
+
+/**
+ * Split a list into a number of contiguous groups of near-equal size
+ */
+function splitIntoGroups(items, groupCount) {
+  const groups = [];
+  let index = 0;
+  for (let g = 0; g < groupCount; g++) {
+    const size = Math.ceil((items.length - index) / (groupCount - g));
+    groups.push(items.slice(index, index + size));
+    index += size;
+  }
+  return groups;
+}
+
+/**
+ * Decide what each of the available slots is used for
+ */
+function allocateSessions(order, learned, slotCount) {
+  if (slotCount === 0) return [];
+
+  const toLearn = order.filter((name) => !learned.has(name));
+  const finalReview =
+    slotCount >= 2 && slotCount > toLearn.length && order.length > 0;
+  const learnSlots = Math.min(
+    toLearn.length,
+    finalReview ? slotCount - 1 : slotCount
+  );
+
+  // When slots are short, several topics share one learning session
+  const sessions = splitIntoGroups(toLearn, learnSlots).map((group) => ({
+    kind: 'learn',
+    topics: group,
+  }));
+
+  const reviewSlots = slotCount - learnSlots - (finalReview ? 1 : 0);
+  for (let i = 0; i < reviewSlots; i++) {
+    sessions.push({ kind: 'review', topics: [order[i % order.length]] });
+  }
+
+  if (finalReview) sessions.push({ kind: 'final_review', topics: order });
+  return sessions;
+}
+
+function sessionConcept(session) {
+  return session.kind === 'final_review'
+    ? t('planner.allTopics')
+    : session.topics.join(' & ');
+}
+
+/**
+ * Create a dated session plan for an exam
+ * @param {Object} options
+ * @param {Array} options.topicNames - Topics to cover
+ * @param {Object} options.topics - Topic objects keyed by name (for keywords)
+ * @param {string} options.examDate - 'YYYY-MM-DD'
+ * @param {Array} options.availability - Weekly slots, see listStudySlots
+ * @param {Date} options.startDate - Plan from this moment (default now)
+ * @param {Object} options.userModel - Weaknesses and skills for ordering
+ * @param {Array} options.learned - Topics that only need reviews
+ * @param {Array} options.priority - Topics to learn first (e.g. missed ones)
+ * @param {number} options.firstSessionId - Id of the first new session
+ * @returns {Object} - Plan with sessions, milestones and unscheduled topics
+ */
+export async function createStudyPlan({
+  topicNames,
+  topics = {},
+  examDate,
+  availability,
+  startDate = new Date(),
+  userModel = {},
+  learned = [],
+  priority = [],
+  firstSessionId = 1,
+}) {
+  if (!topicNames || topicNames.length === 0) {
+    throw new Error(t('planner.errors.noTopics'));
+  }
+  const examStart = examDayStart(examDate);
+  if (Number.isNaN(examStart.getTime())) {
+    throw new Error(t('planner.errors.noExamDate'));
+  }
+  if (examStart <= startDate) {
+    throw new Error(t('planner.errors.examPassed'));
+  }
+  const weeklySlots = (availability || []).filter((slot) => slot.minutes > 0);
+  if (weeklySlots.length === 0) {
+    throw new Error(t('planner.errors.noSlots'));
+  }
+
+  const path = await orderTopics(topicNames, topics, userModel);
+  const order = [
+    ...priority.filter((name) => path.includes(name)),
+    ...path.filter((name) => !priority.includes(name)),
+  ];
+  const slots = listStudySlots(weeklySlots, startDate, examStart);
+  const allocated = allocateSessions(order, new Set(learned), slots.length);
+
+  const userState = learningPlanner.analyzeUserState(userModel);
+  const learningPlan = {
+    type: 'exam_plan',
+    sessions: allocated.map((session, i) => ({
+      concept: sessionConcept(session),
+      duration: slots[i].minutes,
+      activities: learningPlanner.generateSessionActivities(
+        sessionConcept(session),
+        userState
+      ),
+      learningObjectives: learningPlanner.generateLearningObjectives(
+        sessionConcept(session)
+      ),
+    })),
+    totalTime: slots.reduce((total, slot) => total + slot.minutes, 0),
+  };
+
+  const schedule = learningPlanner.generateStudySchedule(learningPlan, {
+    startDate,
+    availability: weeklySlots,
+    endDate: examStart,
+  });
+
+  const sessions = schedule.sessions.map((scheduled, i) => ({
+    id: firstSessionId + i,
+    start: scheduled.date.toISOString(),
+    end: new Date(
+      scheduled.date.getTime() + scheduled.duration * MINUTE
+    ).toISOString(),
+    duration: scheduled.duration,
+    kind: allocated[i].kind,
+    topics: allocated[i].topics,
+    concept: scheduled.concept,
+    activities: scheduled.activities,
+    objectives: scheduled.objectives,
+    status: 'planned',
+  }));
+
+  const milestones = schedule.milestones
+    .map((milestone) => {
+      const session = sessions[milestone.sessionNumber - 1];
+      return session
+        ? {
+            type: milestone.type,
+            description: MILESTONE_TYPES.includes(milestone.type)
+              ? t(`planner.milestones.${milestone.type}`, {
+                  count: milestone.sessionNumber,
+                  concept: milestone.concept,
+                })
+              : milestone.description,
+            sessionId: session.id,
+            date: session.end,
+          }
+        : null;
+    })
+    .filter(Boolean);
+
+  const toLearn = order.filter((name) => !learned.includes(name));
+  return {
+    id: 'current',
+    examDate,
+    availability: weeklySlots,
+    topicNames: [...topicNames],
+    createdAt: new Date().toISOString(),
+    revision: 0,
+    sessions,
+    milestones,
+    // Topics that got no learning session because no slot is left
+    unscheduled: sessions.length === 0 ? toLearn : [],
+    cancelledSessions: [],
+  };
+}
+
+/**
+ * Record the outcome of a session
+ * @param {Object} plan - Study plan
+ * @param {number} sessionId - Session id
+ * @param {string} status - 'done', 'missed' or 'planned'
+ * @returns {Object} - Updated plan
+ */
+export function markSession(plan, sessionId, status) {
+  return {
+    ...plan,
+    sessions: plan.sessions.map((session) =>
+      session.id === sessionId ? { ...session, status } : session
+    ),
+  };
+}
+
+function isMissed(session, now) {
+  return (
+    session.status === 'missed' ||
+    (session.status === 'planned' && new Date(session.end) <= now)
+  );
+}
+
+/**
+ * Sessions skipped or not marked done in time that no re-plan has covered yet
+ * @param {Object} plan - Study plan
+ * @param {Date} now - Current time
+ * @returns {Array} - Sessions
+ */
+export function findMissedSessions(plan, now = new Date()) {
+  return (plan?.sessions || []).filter(
+    (session) => isMissed(session, now) && !session.replanned
+  );
+}
+
+/**
+ * Rebuild the rest of a plan after missed sessions. Finished and running
+ * sessions are kept; topics whose learning session was missed come first.
+ * @param {Object} plan - Study plan
+ * @param {Object} options - { topics, now, userModel }
+ * @returns {Object} - Re-planned study plan
+ */
+export async function replanStudyPlan(plan, options = {}) {
+  const { topics = {}, now = new Date(), userModel = {} } = options;
+
+  const kept = [];
+  const dropped = [];
+  plan.sessions.forEach((session) => {
+    if (new Date(session.start) > now && session.status === 'planned') {
+      dropped.push(session);
+    } else if (isMissed(session, now)) {
+      kept.push({ ...session, status: 'missed', replanned: true });
+    } else {
+      kept.push(session);
+    }
+  });
+
+  const learnSessions = kept.filter((session) => session.kind === 'learn');
+  const learned = learnSessions
+    .filter((session) => session.status !== 'missed')
+    .flatMap((session) => session.topics);
+  const missed = learnSessions
+    .filter((session) => session.status === 'missed')
+    .flatMap((session) => session.topics)
+    .filter((name) => !learned.includes(name));
+
+  // A session still running finishes before the new schedule starts
+  const startDate = new Date(
+    Math.max(now.getTime(), ...kept.map((s) => new Date(s.end).getTime()))
+  );
+  const firstSessionId =
+    Math.max(
+      0,
+      ...plan.sessions.map((s) => s.id),
+      ...(plan.cancelledSessions || []).map((s) => s.id)
+    ) + 1;
+
+  const next = await createStudyPlan({
+    topicNames: plan.topicNames,
+    topics,
+    examDate: plan.examDate,
+    availability: plan.availability,
+    startDate,
+    userModel,
+    learned,
+    priority: missed,
+    firstSessionId,
+  });
+
+  return {
+    ...next,
+    id: plan.id,
+    createdAt: plan.createdAt,
+    revision: (plan.revision || 0) + 1,
+    replannedAt: now.toISOString(),
+    sessions: [...kept, ...next.sessions],
+    milestones: [
+      ...plan.milestones.filter((m) => kept.some((s) => s.id === m.sessionId)),
+      ...next.milestones,
+    ],
+    cancelledSessions: [
+      ...(plan.cancelledSessions || []),
+      ...dropped.map(({ id, start, end, concept }) => ({
+        id,
+        start,
+        end,
+        concept,
+      })),
+    ],
+  };
+}
+
+/**
+ * Counts of sessions by status and the next planned session
+ * @param {Object} plan - Study plan
+ * @param {Date} now - Current time
+ * @returns {Object} - { total, done, missed, planned, nextSession }
+ */
+export function summarizePlan(plan, now = new Date()) {
+  const sessions = plan?.sessions || [];
+  return {
+    total: sessions.length,
+    done: sessions.filter((s) => s.status === 'done').length,
+    missed: sessions.filter((s) => isMissed(s, now)).length,
+    planned: sessions.filter(
+      (s) => s.status === 'planned' && new Date(s.end) > now
+    ).length,
+    nextSession:
+      sessions.find((s) => s.status === 'planned' && new Date(s.end) > now) ||
+      null,
+  };
+}
+
+/**
+ * Label for a session kind
+ * @param {string} kind - 'learn', 'review' or 'final_review'
+ * @returns {string}
+ */
+export function describeSessionKind(kind) {
+  return SESSION_KINDS.includes(kind) ? t(`planner.kinds.${kind}`) : kind;
+}
+
+function formatICSDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').slice(0, 15) + 'Z';
+}
+
+function formatICSDay(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+function escapeICSText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets (RFC 5545 section 3.1)
+ */
+function foldICSLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function sessionDescription(plan, session) {
+  const lines = [
+    `${describeSessionKind(session.kind)}: ${session.topics.join(', ')}`,
+    '',
+    ...(session.activities || []).map(
+      (activity) => `• ${activity.description} (${activity.duration} min)`
+    ),
+  ];
+  const milestones = plan.milestones.filter((m) => m.sessionId === session.id);
+  if (milestones.length > 0) {
+    lines.push('', ...milestones.map((m) => `🏁 ${m.description}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Export a study plan as an iCalendar file
+ * Missed and re-planned sessions are included as cancelled events so that
+ * calendars which already imported the plan drop them.
+ * @param {Object} plan - Study plan
+ * @param {Date} now - Timestamp for DTSTAMP
+ * @returns {string} - .ics file content
+ */
+export function exportPlanToICS(plan, now = new Date()) {
+  const stamp = formatICSDateTime(now);
+  const uid = (id) => `mindtutor-${plan.id}-session-${id}@mindtutor`;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MindTutor//Study Planner//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:MindTutor study plan',
+  ];
+
+  const event = (fields) => {
+    lines.push('BEGIN:VEVENT', ...fields, 'END:VEVENT');
+  };
+
+  plan.sessions.forEach((session) => {
+    event([
+      `UID:${uid(session.id)}`,
+      `DTSTAMP:${stamp}`,
+      `SEQUENCE:${plan.revision || 0}`,
+      `DTSTART:${formatICSDateTime(session.start)}`,
+      `DTEND:${formatICSDateTime(session.end)}`,
+      `SUMMARY:${escapeICSText(
+        `${describeSessionKind(session.kind)}: ${session.concept}`
+      )}`,
+      `DESCRIPTION:${escapeICSText(sessionDescription(plan, session))}`,
+      'CATEGORIES:Study',
+      `STATUS:${session.status === 'missed' ? 'CANCELLED' : 'CONFIRMED'}`,
+    ]);
+  });
+
+  (plan.cancelledSessions || []).forEach((session) => {
+    event([
+      `UID:${uid(session.id)}`,
+      `DTSTAMP:${stamp}`,
+      `SEQUENCE:${plan.revision || 0}`,
+      `DTSTART:${formatICSDateTime(session.start)}`,
+      `DTEND:${formatICSDateTime(session.end)}`,
+      `SUMMARY:${escapeICSText(
+        t('planner.calendar.study', { concept: session.concept })
+      )}`,
+      'STATUS:CANCELLED',
+    ]);
+  });
+
+  const examDay = examDayStart(plan.examDate);
+  const dayAfter = new Date(examDay);
+  dayAfter.setDate(dayAfter.getDate() + 1);
+  event([
+    `UID:mindtutor-${plan.id}-exam@mindtutor`,
+    `DTSTAMP:${stamp}`,
+    `SEQUENCE:${plan.revision || 0}`,
+    `DTSTART;VALUE=DATE:${formatICSDay(examDay)}`,
+    `DTEND;VALUE=DATE:${formatICSDay(dayAfter)}`,
+    `SUMMARY:${escapeICSText(
+      t('planner.calendar.exam', { topics: plan.topicNames.join(', ') })
+    )}`,
+    'CATEGORIES:Exam',
+    'TRANSP:TRANSPARENT',
+  ]);
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
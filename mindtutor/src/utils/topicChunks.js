@@ -0,0 +1,118 @@
+// topicChunks.js - Split topic text into ordered chunks for storage
+// Chunks concatenate back to the exact source text, so nothing is lost when a
+// long document is stored piece by piece.
+
+// Characters per stored chunk
+export const TOPIC_CHUNK_SIZE = 8000;
+// Characters kept inline as topic.raw for quick previews and legacy readers
+export const RAW_PREVIEW_LENGTH = 10000;
+
+// Preferred break points, best first
+const BREAK_PATTERNS = [/\n\s*\n/g, /\n/g, /[.!?]\s+/g, /\s+/g];
+
+/**
+ * Find the last natural break at or before maxLength
+ */
+function findBreak(text, maxLength) {
+  const minLength = Math.floor(maxLength / 2);
+
+  for (const pattern of BREAK_PATTERNS) {
+    let breakAt = -1;
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+      if (end > maxLength) break;
+      if (end >= minLength) breakAt = end;
+    }
+    if (breakAt !== -1) return breakAt;
+  }
+  return maxLength;
+}
+
+/**
+ * Split text into pieces of at most maxLength, breaking at paragraphs,
+ * lines, sentences or words where possible
+ * @param {string} text - Source text
+ * @param {number} maxLength - Maximum piece length
+ * @returns {Array<string>} - Pieces whose concatenation equals the input
+ */
+export function splitText(text, maxLength = TOPIC_CHUNK_SIZE) {
+  const pieces = [];
+  let rest = text || '';
+
+  while (rest.length > maxLength) {
+    const breakAt = findBreak(rest, maxLength);
+    pieces.push(rest.slice(0, breakAt));
+    rest = rest.slice(breakAt);
+  }
+  if (rest) pieces.push(rest);
+
+  return pieces;
+}
+
+/**
+ * Build the ordered chunks stored for a topic
+ * PDFs are chunked page by page so each chunk keeps its page number.
+ * @param {string} content - Full topic text
+ * @param {Array} pages - Optional [{ pageNumber, text }] from a PDF
+ * @returns {Array} - [{ index, text, pageNumber? }]
+ */
+export function buildTopicChunks(content, pages = null) {
+  const pagesWithText = Array.isArray(pages)
+    ? pages.filter((page) => page.text)
+    : [];
+
+  const pieces =
+    pagesWithText.length > 0
+      ? pagesWithText.flatMap((page, i) => {
+          // Page texts were joined by blank lines to form the content
+          const text =
+            i < pagesWithText.length - 1 ? `${page.text}\n\n` : page.text;
+          return splitText(text).map((piece) => ({
+            text: piece,
+            pageNumber: page.pageNumber,
+          }));
+        })
+      : splitText(content).map((piece) => ({ text: piece }));
+
+  return pieces.map((piece, index) => ({ index, ...piece }));
+}
+
+/**
+ * How much of an import was kept, for reporting back to the learner
+ * @param {number} totalCharacters - Characters in the source
+ * @param {Array} chunks - Chunks that were stored
+ * @returns {Object} - { totalCharacters, storedCharacters, chunkCount, complete }
+ */
+export function summarizeStoredContent(totalCharacters, chunks) {
+  const storedCharacters = chunks.reduce(
+    (sum, chunk) => sum + chunk.text.length,
+    0
+  );
+  return {
+    totalCharacters,
+    storedCharacters,
+    chunkCount: chunks.length,
+    complete: storedCharacters >= totalCharacters,
+  };
+}
+
+/**
+ * One-line report of how much content a topic kept
+ * @param {Object} stats - From summarizeStoredContent
+ * @returns {string}
+ */
+export function describeStoredContent(stats) {
+  if (!stats) return '';
+  const total = stats.totalCharacters.toLocaleString();
+  const chunks = `${stats.chunkCount} chunk${stats.chunkCount === 1 ? '' : 's'}`;
+
+  if (stats.complete) {
+    return `Kept all ${total} characters (${chunks})`;
+  }
+  const percent = Math.round(
+    (stats.storedCharacters / Math.max(stats.totalCharacters, 1)) * 100
+  );
+  return `Kept ${stats.storedCharacters.toLocaleString()} of ${total} characters (${percent}%, ${chunks})`;
+}
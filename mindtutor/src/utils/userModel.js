@@ -1,6 +1,6 @@
 // userModel.js - Advanced user modeling for adaptive learning with ML integration
 
-import { mlManager } from './machineLearning.js';
+import { mlWorkerClient } from './mlWorkerClient.js';
 import {
   advancedAISystem,
   NLPEngine,
@@ -32,21 +32,41 @@ export class UserModelManager {
   // Initialize or load user model
   async getUserModel(userId) {
     if (!this.models.has(userId)) {
-      const model = this.createDefaultModel(userId);
+      const stored = await this.loadPersistedModel(userId);
+      const model = stored
+        ? { ...this.createDefaultModel(userId), ...stored }
+        : this.createDefaultModel(userId);
       this.models.set(userId, model);
     }
     return this.models.get(userId);
   }
 
+  // Load a previously saved model so adaptation survives page reloads
+  async loadPersistedModel(userId) {
+    try {
+      // Import storage functions dynamically to avoid circular dependencies
+      const { loadUserModel } = await import('./storage.js');
+      const stored = await loadUserModel(userId);
+      if (!stored) return null;
+
+      // Maps survive IndexedDB but not a JSON round trip (backups, fallback)
+      if (stored.conceptMastery && !(stored.conceptMastery instanceof Map)) {
+        stored.conceptMastery = new Map(Object.entries(stored.conceptMastery));
+      }
+      return stored;
+    } catch (error) {
+      console.warn('Failed to load persisted user model:', error);
+      return null;
+    }
+  }
+
   // Initialize ML components
   async initializeML() {
     if (this.mlInitialized) return;
 
     try {
-      await mlManager.initialize();
-      // Try to load existing models
-      await mlManager.loadModel('performancePrediction');
-      await mlManager.loadModel('difficultyClassification');
+      // Loads any saved models into the ML worker
+      await mlWorkerClient.initialize();
       this.mlInitialized = true;
       console.log('ML components initialized successfully');
     } catch (error) {
@@ -177,7 +197,8 @@ export class UserModelManager {
         model,
         activityData.conceptsTested,
         activityData.score,
-        activityData.errors
+        activityData.errors,
+        activityData.conceptScores
       );
     }
 
@@ -338,7 +359,13 @@ export class UserModelManager {
     }
   }
 
-  updateConceptMastery(model, conceptsTested, overallScore, errors) {
+  updateConceptMastery(
+    model,
+    conceptsTested,
+    overallScore,
+    errors,
+    conceptScores = {}
+  ) {
     if (!model.conceptMastery) {
       model.conceptMastery = new Map();
     }
@@ -355,28 +382,32 @@ export class UserModelManager {
         });
       }
 
+      // Prefer the concept's own score over the whole activity's score
+      const score = conceptScores[concept] ?? overallScore;
       const mastery = model.conceptMastery.get(concept);
       mastery.attempts += 1;
-      mastery.correct += overallScore >= 0.7 ? 1 : 0;
-      mastery.averageScore = (mastery.averageScore + overallScore) / 2;
+      mastery.correct += score >= 0.7 ? 1 : 0;
+      mastery.averageScore = (mastery.averageScore + score) / 2;
       mastery.lastAttempt = new Date().toISOString();
 
-      // Track common errors
+      // Track common errors (errors tagged with a concept only count there)
       if (errors && errors.length > 0) {
-        errors.forEach((error) => {
-          const existingError = mastery.commonErrors.find(
-            (e) => e.type === error.type
-          );
-          if (existingError) {
-            existingError.count += 1;
-          } else {
-            mastery.commonErrors.push({
-              type: error.type,
-              count: 1,
-              description: error.description,
-            });
-          }
-        });
+        errors
+          .filter((error) => !error.concept || error.concept === concept)
+          .forEach((error) => {
+            const existingError = mastery.commonErrors.find(
+              (e) => e.type === error.type
+            );
+            if (existingError) {
+              existingError.count += 1;
+            } else {
+              mastery.commonErrors.push({
+                type: error.type,
+                count: 1,
+                description: error.description,
+              });
+            }
+          });
       }
 
       // Calculate mastery level
@@ -964,7 +995,7 @@ export class UserModelManager {
       const predictions = {};
 
       // Predict next performance
-      const performancePrediction = await mlManager.predictPerformance(
+      const performancePrediction = await mlWorkerClient.predictPerformance(
         model.learningHistory
       );
       if (performancePrediction !== null) {
@@ -1215,16 +1246,14 @@ export class UserModelManager {
         console.log(
           `Training performance model with ${allUserHistories.length} data points`
         );
-        await mlManager.trainPerformanceModel(allUserHistories);
-        await mlManager.saveModel('performancePrediction');
+        await mlWorkerClient.train('performancePrediction', allUserHistories);
       }
 
       if (contentData.length >= 20) {
         console.log(
           `Training difficulty model with ${contentData.length} content items`
         );
-        await mlManager.trainDifficultyModel(contentData);
-        await mlManager.saveModel('difficultyClassification');
+        await mlWorkerClient.train('difficultyClassification', contentData);
       }
 
       return {
@@ -1242,7 +1271,7 @@ export class UserModelManager {
   getMLStatus() {
     return {
       initialized: this.mlInitialized,
-      models: mlManager.getModelStatus(),
+      models: mlWorkerClient.getModelStatus(),
       trainingDataAvailable: this.models.size > 0,
     };
   }
@@ -7,6 +7,12 @@
  * - Ensure consistent code style and indentation
  */
 
+import {
+  DEFAULT_LANGUAGE,
+  expandElisions,
+  getStopWords,
+} from './languages.js';
+
 // Common English stopwords to filter out
 const STOPWORDS = new Set([
   'a',
@@ -292,7 +298,7 @@ export const validateTextInput = function (input) {
 /**
  * Enhanced tokenization with better word capture and compound word handling
  * @param {string} text - Input text
- * @param {Object} options - Tokenization options
+ * @param {Object} options - Tokenization options, including the text's language
  * @returns {Array<string>} - Array of cleaned tokens
  */
 export function tokenize(text, options = {}) {
@@ -308,11 +314,17 @@ export function tokenize(text, options = {}) {
     maxLength = 50, // Default max length to prevent very long words
     stemWords = false,
     preserveCase = false,
-    removePunctuation = true
+    removePunctuation = true,
+    language = DEFAULT_LANGUAGE
   } = options;
 
   let processedText = text;
 
+  // French elisions become separate words ("l'atome" -> "le atome")
+  if (language === 'fr') {
+    processedText = expandElisions(processedText);
+  }
+
   // Handle contractions if requested
   if (handleContractions) {
     processedText = processedText
@@ -355,7 +367,7 @@ export function tokenize(text, options = {}) {
   // Handle hyphenated terms if requested
   if (includeHyphenated) {
     // Preserve hyphens in compound words
-    processedText = processedText.replace(/([a-zA-Z])-([a-zA-Z])/g, '$1_$2');
+    processedText = processedText.replace(/(\p{L})-(\p{L})/gu, '$1_$2');
   }
 
   // Remove punctuation if requested (but preserve special characters for units, emails, and domains)
@@ -378,8 +390,8 @@ export function tokenize(text, options = {}) {
       });
     });
 
-    // Remove punctuation
-    processedText = processedText.replace(/[^\w\s\-'_\/°]/g, ' ');
+    // Remove punctuation (accented letters are kept)
+    processedText = processedText.replace(/[^\p{L}\p{N}\s\-'_\/°]/gu, ' ');
 
     // Restore emails and domains
     placeholders.forEach(({ placeholder, original }) => {
@@ -438,11 +450,12 @@ export function tokenize(text, options = {}) {
 
   // Remove stopwords if requested (but not when handling contractions)
   if (removeStopwords && !handleContractions) {
-    tokens = tokens.filter(word => !STOPWORDS.has(word.toLowerCase()));
+    const stopwords = language === DEFAULT_LANGUAGE ? STOPWORDS : getStopWords(language);
+    tokens = tokens.filter(word => !stopwords.has(word.toLowerCase()));
   }
 
-  // Apply stemming if requested
-  if (stemWords) {
+  // Apply stemming if requested (the suffix rules are English)
+  if (stemWords && language === DEFAULT_LANGUAGE) {
     tokens = tokens.map(word => basicStem(word));
   }
 
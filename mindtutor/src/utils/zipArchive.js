@@ -0,0 +1,208 @@
+/* global DecompressionStream, Response, TextDecoder, TextEncoder */
+// zipArchive.js - Minimal ZIP reader and writer for container formats
+// Reads DOCX and EPUB using the browser's DecompressionStream for deflate, and
+// writes uncompressed archives (QTI packages), so no library is needed.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const MAX_EOCD_SEARCH = 65557; // 22-byte record + maximum comment length
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+function findEndOfCentralDirectory(view) {
+  const stop = Math.max(0, view.byteLength - MAX_EOCD_SEARCH);
+  for (let offset = view.byteLength - 22; offset >= stop; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Response(bytes).body.pipeThrough(
+    new DecompressionStream('deflate-raw')
+  );
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Open a ZIP archive held in memory
+ * @param {ArrayBuffer} buffer - Archive bytes
+ * @returns {Object} - { names, has(name), readBytes(name), readText(name) }
+ */
+export function openZip(buffer) {
+  const view = new DataView(buffer);
+  const eocdOffset = findEndOfCentralDirectory(view);
+  if (eocdOffset < 0) {
+    throw new Error('Not a ZIP archive (end of central directory not found)');
+  }
+
+  const entryCount = view.getUint16(eocdOffset + 10, true);
+  let offset = view.getUint32(eocdOffset + 16, true);
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder('utf-8');
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(
+      new Uint8Array(buffer, offset + 46, nameLength)
+    );
+
+    entries.set(name, {
+      encrypted: (flags & 0x1) !== 0,
+      method,
+      compressedSize,
+      localOffset,
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const readBytes = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`File not found in archive: ${name}`);
+    if (entry.encrypted) throw new Error(`Encrypted entry: ${name}`);
+
+    const local = entry.localOffset;
+    if (view.getUint32(local, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt local header for ${name}`);
+    }
+    // Local extra field length can differ from the central directory copy
+    const dataStart =
+      local +
+      30 +
+      view.getUint16(local + 26, true) +
+      view.getUint16(local + 28, true);
+    const data = new Uint8Array(buffer, dataStart, entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) return data.slice();
+    if (entry.method === METHOD_DEFLATE) return inflateRaw(data);
+    throw new Error(`Unsupported compression method ${entry.method}`);
+  };
+
+  return {
+    names: [...entries.keys()],
+    has: (name) => entries.has(name),
+    readBytes,
+    readText: async (name) => decoder.decode(await readBytes(name)),
+  };
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive with stored (uncompressed) entries
+ * @param {Object} files - { [path]: string | Uint8Array }, written in order
+ * @param {Date} modified - Modification time recorded for every entry
+ * @returns {Uint8Array} - Archive bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data =
+      typeof content === 'string' ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    locals.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const directorySize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const entryCount = centrals.length / 2;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, EOCD_SIGNATURE, true);
+  end.setUint16(8, entryCount, true);
+  end.setUint16(10, entryCount, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  );
+  let position = 0;
+  parts.forEach((part) => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive;
+}
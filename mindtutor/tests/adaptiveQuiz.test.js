@@ -0,0 +1,156 @@
+/**
+ * Tests for the adaptive quiz engine and the user model it reads from
+ * Covers question distribution, concept mastery targeting and grading
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  generateAdaptiveQuiz,
+  gradeAdaptiveQuiz,
+} from '../src/utils/quizGenerator.js';
+import { userModelManager } from '../src/utils/userModel.js';
+
+const topic = {
+  topic: 'Cell Biology',
+  concepts: [
+    {
+      concept: 'Mitochondria',
+      definition:
+        'Mitochondria are organelles that produce energy for the cell through respiration',
+      keywords: ['energy', 'respiration', 'organelle'],
+      difficulty: 2,
+    },
+    {
+      concept: 'Ribosome',
+      definition:
+        'A ribosome is a molecular machine that synthesizes proteins from amino acids',
+      keywords: ['protein', 'synthesis', 'amino acids'],
+      difficulty: 2,
+    },
+    {
+      concept: 'Nucleus',
+      definition:
+        'The nucleus is the control centre of the cell that stores genetic material',
+      keywords: ['DNA', 'genetic', 'control'],
+      difficulty: 1,
+    },
+  ],
+};
+
+function masteryModel(entries) {
+  return {
+    conceptMastery: new Map(
+      Object.entries(entries).map(([concept, [attempts, correct]]) => [
+        concept,
+        {
+          attempts,
+          correct,
+          averageScore: correct / attempts,
+          lastAttempt: null,
+          commonErrors: [],
+          masteryLevel: correct / attempts,
+        },
+      ])
+    ),
+  };
+}
+
+describe('Adaptive Quiz', () => {
+  describe('generateAdaptiveQuiz', () => {
+    it('should fill the requested count for a learner with no history', () => {
+      const questions = generateAdaptiveQuiz(topic, null, 6);
+
+      expect(questions).toHaveLength(6);
+      questions.forEach((q) => {
+        expect(q.focus).toBe('review');
+        expect(q.conceptTested).toBeTruthy();
+        expect(q.difficulty).toBeGreaterThan(0);
+      });
+    });
+
+    it('should target weak concepts from the user model with hints', () => {
+      const model = masteryModel({
+        Mitochondria: [5, 1],
+        Ribosome: [5, 5],
+        Nucleus: [4, 3],
+      });
+
+      const questions = generateAdaptiveQuiz(topic, model, 6);
+      const weak = questions.filter((q) => q.focus === 'weakness_remediation');
+
+      expect(weak.length).toBeGreaterThan(0);
+      weak.forEach((q) => {
+        expect(q.conceptTested).toBe('Mitochondria');
+        expect(q.hints.length).toBeGreaterThan(0);
+      });
+      expect(
+        questions.some(
+          (q) => q.focus === 'advancement' && q.conceptTested === 'Ribosome'
+        )
+      ).toBe(true);
+    });
+
+    it('should return no questions for a topic without concepts', () => {
+      expect(
+        generateAdaptiveQuiz({ topic: 'Empty', concepts: [] }, null)
+      ).toEqual([]);
+    });
+  });
+
+  describe('gradeAdaptiveQuiz', () => {
+    it('should grade true/false string answers and report concept progress', () => {
+      const questions = [
+        {
+          id: 'q1',
+          type: 'truefalse',
+          question: 'Mitochondria produce energy.',
+          answer: true,
+          conceptTested: 'Mitochondria',
+        },
+        {
+          id: 'q2',
+          type: 'mcq',
+          question: 'Which organelle makes proteins?',
+          options: ['Ribosome', 'Nucleus'],
+          answer: 'Ribosome',
+          conceptTested: 'Ribosome',
+        },
+      ];
+
+      const results = gradeAdaptiveQuiz(questions, ['true', 'Nucleus'], null);
+
+      expect(results.correct).toBe(1);
+      expect(results.skillProgress.mitochondria.averagePerformance).toBe(1);
+      expect(results.skillProgress.ribosome.averagePerformance).toBe(0);
+      expect(
+        results.adaptiveInsights.strengths.map((s) => s.concept)
+      ).toContain('Mitochondria');
+      expect(
+        results.recommendedActions.some(
+          (a) => a.type === 'remediation' && a.concept === 'Ribosome'
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('userModelManager concept mastery', () => {
+    it('should score each concept with its own result', () => {
+      const model = { conceptMastery: new Map() };
+
+      userModelManager.updateConceptMastery(
+        model,
+        ['Mitochondria', 'Ribosome'],
+        0.5,
+        [{ type: 'mcq', concept: 'Ribosome', description: 'Missed mcq' }],
+        { Mitochondria: 1, Ribosome: 0 }
+      );
+
+      const mitochondria = model.conceptMastery.get('Mitochondria');
+      const ribosome = model.conceptMastery.get('Ribosome');
+      expect(mitochondria.masteryLevel).toBe(1);
+      expect(mitochondria.commonErrors).toHaveLength(0);
+      expect(ribosome.masteryLevel).toBe(0);
+      expect(ribosome.commonErrors[0].type).toBe('mcq');
+    });
+  });
+});
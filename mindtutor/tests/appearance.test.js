@@ -0,0 +1,136 @@
+/**
+ * Tests for per-profile themes and reading preferences
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  AppearanceManager,
+  DEFAULT_APPEARANCE,
+} from '../src/utils/appearance.js';
+import { profileManager } from '../src/utils/profiles.js';
+
+// matchMedia stand-in answering the given media queries with true
+function mockMediaQueries(matching = []) {
+  const listeners = [];
+  window.matchMedia = vi.fn((query) => ({
+    matches: matching.includes(query),
+    addEventListener: (_type, listener) => listeners.push(listener),
+    removeEventListener: (_type, listener) =>
+      listeners.splice(listeners.indexOf(listener), 1),
+  }));
+  return listeners;
+}
+
+describe('AppearanceManager', () => {
+  afterEach(() => {
+    delete window.matchMedia;
+    document.documentElement.className = '';
+    document.documentElement.removeAttribute('style');
+    localStorage.clear();
+  });
+
+  it('should keep separate settings per profile and validate changes', () => {
+    const appearance = new AppearanceManager();
+    expect(appearance.getSettings('a')).toEqual(DEFAULT_APPEARANCE);
+
+    appearance.update({ theme: 'dark', font: 'dyslexic' }, 'a');
+    appearance.update({ fontSize: 'x-large' }, 'b');
+    expect(appearance.getSettings('a')).toMatchObject({
+      theme: 'dark',
+      font: 'dyslexic',
+      fontSize: 'medium',
+    });
+    expect(appearance.getSettings('b')).toMatchObject({
+      theme: 'system',
+      fontSize: 'x-large',
+    });
+
+    expect(() => appearance.update({ theme: 'sepia' }, 'a')).toThrow(
+      'Unsupported theme: sepia'
+    );
+    expect(() => appearance.update({ colour: 'red' }, 'a')).toThrow(
+      'Unknown appearance setting'
+    );
+
+    // A fresh instance reads the saved choices
+    const reloaded = new AppearanceManager();
+    expect(reloaded.getSettings('a').theme).toBe('dark');
+    reloaded.remove('a');
+    expect(new AppearanceManager().getSettings('a')).toEqual(
+      DEFAULT_APPEARANCE
+    );
+  });
+
+  it('should resolve the system theme from the media queries', () => {
+    const appearance = new AppearanceManager();
+    expect(appearance.resolveTheme()).toBe('light');
+
+    mockMediaQueries(['(prefers-color-scheme: dark)']);
+    expect(appearance.resolveTheme()).toBe('dark');
+    expect(appearance.isDark()).toBe(true);
+
+    mockMediaQueries(['(prefers-contrast: more)']);
+    expect(appearance.resolveTheme()).toBe('high-contrast');
+
+    // An explicit choice wins over the operating system
+    appearance.update({ theme: 'light' });
+    expect(appearance.resolveTheme()).toBe('light');
+  });
+
+  it('should apply theme classes and reading variables to the page', () => {
+    const appearance = new AppearanceManager();
+    const root = document.documentElement;
+
+    appearance.update({
+      theme: 'high-contrast',
+      font: 'dyslexic',
+      fontSize: 'large',
+      lineSpacing: 'loose',
+      motion: 'reduce',
+    });
+    expect(root.classList.contains('dark')).toBe(true);
+    expect(root.classList.contains('high-contrast')).toBe(true);
+    expect(root.classList.contains('reduce-motion')).toBe(true);
+    expect(root.dataset.theme).toBe('high-contrast');
+    expect(root.style.getPropertyValue('--reading-font')).toContain(
+      'OpenDyslexic'
+    );
+    expect(root.style.getPropertyValue('--reading-scale')).toBe('1.15');
+    expect(root.style.getPropertyValue('--reading-line-height')).toBe('2.1');
+
+    appearance.update({ theme: 'light', motion: 'allow' });
+    expect(root.classList.contains('dark')).toBe(false);
+    expect(root.classList.contains('high-contrast')).toBe(false);
+    expect(root.classList.contains('reduce-motion')).toBe(false);
+  });
+
+  it('should follow profile switches and system changes once started', async () => {
+    const appearance = new AppearanceManager();
+    const root = document.documentElement;
+    const listeners = mockMediaQueries();
+    const listener = vi.fn();
+    appearance.subscribe(listener);
+
+    const other = await profileManager.createProfile('Appearance Tester');
+    appearance.update({ theme: 'dark' }, other.id);
+
+    const stop = appearance.start();
+    expect(root.classList.contains('dark')).toBe(false);
+
+    await profileManager.switchProfile(other.id);
+    expect(root.classList.contains('dark')).toBe(true);
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ theme: 'dark' })
+    );
+
+    // The system theme changing reapplies a profile that follows it
+    await profileManager.switchProfile('default');
+    mockMediaQueries(['(prefers-color-scheme: dark)']);
+    listeners.forEach((refresh) => refresh());
+    expect(root.classList.contains('dark')).toBe(true);
+
+    stop();
+    expect(listeners).toHaveLength(0);
+    await profileManager.deleteProfile(other.id);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for the versioned backup format, migrations and import planning
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  BACKUP_VERSION,
+  createBackup,
+  planBackupImport,
+  readBackup,
+} from '../src/utils/backupFormat.js';
+import {
+  exportAllData,
+  importAllData,
+  loadQuizHistory,
+} from '../src/utils/storage.js';
+
+const LEGACY_BACKUP = {
+  version: '1.0',
+  exportDate: '2024-03-01T10:00:00.000Z',
+  topics: [{ name: 'Cells', concepts: [{ concept: 'Nucleus' }] }],
+  topicChunks: [{ id: 'Cells::0', topic: 'Cells', index: 0, text: 'Cells…' }],
+  chatHistory: [
+    {
+      id: 'history',
+      messages: [{ role: 'user', content: 'What is a cell?', topic: 'Cells' }],
+    },
+  ],
+  quizHistory: [
+    { id: 1, topic: 'Cells', score: 80, timestamp: '2024-03-01T09:00:00Z' },
+  ],
+  diagnostics: [],
+  userModels: [{ userId: 'default_user', level: 2 }],
+  reviewCards: [
+    { id: 'Cells::Nucleus', topic: 'Cells', concept: 'Nucleus', due: 'x' },
+  ],
+};
+
+describe('Backup format', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should migrate 1.0 exports and validate them', () => {
+    const backup = readBackup(JSON.stringify(LEGACY_BACKUP));
+
+    expect(backup.version).toBe(BACKUP_VERSION);
+    expect(backup.stores.chatHistory).toMatchObject([
+      {
+        id: 'conversation-earlier',
+        title: 'Earlier chat',
+        topic: null,
+        messages: [
+          { role: 'user', content: 'What is a cell?', topic: 'Cells' },
+        ],
+      },
+    ]);
+    expect(backup.stores.studyPlans).toEqual([]);
+
+    expect(() => readBackup('{')).toThrow('not valid JSON');
+    expect(() => readBackup({ hello: 'world' })).toThrow(
+      'Not a MindTutor backup'
+    );
+    expect(() =>
+      readBackup({ format: 'mindtutor-backup', version: BACKUP_VERSION + 1 })
+    ).toThrow('newer');
+    expect(() =>
+      readBackup({ ...LEGACY_BACKUP, topics: [{ name: '' }, { title: 'x' }] })
+    ).toThrow(
+      'Invalid backup: backup.stores.topics[0].name must not be empty; backup.stores.topics[1].name is required'
+    );
+  });
+
+  it('should plan skip, overwrite and keep-both imports', () => {
+    const backup = readBackup(LEGACY_BACKUP);
+    const existing = {
+      topics: [{ name: 'Cells', concepts: [] }],
+      quizHistory: [
+        { id: 1, topic: 'Cells', score: 40, timestamp: '2024-02-01T09:00:00Z' },
+      ],
+      chatHistory: [
+        { role: 'user', content: 'What is a cell?', topic: 'Cells' },
+      ],
+      userModels: [{ userId: 'default_user', level: 1 }],
+    };
+
+    const skip = planBackupImport(backup, existing, { strategy: 'skip' });
+    expect(skip.summary.topics).toMatchObject({ skip: 1 });
+    expect(skip.summary.topicChunks).toBeUndefined();
+    expect(skip.summary.quizHistory).toMatchObject({ skip: 1 });
+    expect(skip.summary.chatHistory).toMatchObject({ unchanged: 1 });
+    expect(skip.summary.userModels).toMatchObject({ skip: 1 });
+
+    const overwrite = planBackupImport(backup, existing, {
+      strategy: 'overwrite',
+    });
+    expect(overwrite.summary.topics).toMatchObject({ replace: 1 });
+    expect(overwrite.summary.topicChunks).toMatchObject({ add: 1 });
+    expect(overwrite.summary.userModels).toMatchObject({ replace: 1 });
+
+    const keepBoth = planBackupImport(backup, existing, {
+      strategy: 'keepBoth',
+    });
+    expect(keepBoth.renamedTopics).toEqual({ Cells: 'Cells (imported)' });
+    const write = (store) =>
+      keepBoth.operations.find((op) => op.store === store && op.record);
+    expect(write('topicChunks').record).toMatchObject({
+      id: 'Cells (imported)::0',
+      topic: 'Cells (imported)',
+    });
+    expect(write('reviewCards').key).toBe('Cells (imported)::Nucleus');
+    expect(write('quizHistory')).toMatchObject({
+      action: 'rename',
+      key: 2,
+      from: 1,
+      record: { topic: 'Cells (imported)' },
+    });
+  });
+
+  it('should import only the chosen topics and parts', () => {
+    const backup = readBackup({
+      ...LEGACY_BACKUP,
+      topics: [...LEGACY_BACKUP.topics, { name: 'Atoms' }],
+      quizHistory: [
+        ...LEGACY_BACKUP.quizHistory,
+        { id: 7, topic: 'Atoms', score: 50 },
+      ],
+    });
+    const plan = planBackupImport(
+      backup,
+      {},
+      { topics: ['Atoms'], progress: false, preferences: false }
+    );
+
+    expect(plan.operations.map((op) => `${op.store}:${op.key}`)).toEqual([
+      'topics:Atoms',
+      'quizHistory:7',
+    ]);
+  });
+
+  it('should round-trip a backup through storage with a dry run first', async () => {
+    localStorage.setItem('mindtutor_semantic_search', 'on');
+    await importAllData(
+      createBackup({
+        topics: LEGACY_BACKUP.topics,
+        quizHistory: LEGACY_BACKUP.quizHistory,
+      })
+    );
+    const exported = await exportAllData();
+
+    expect(exported.stores.topics.map((topic) => topic.name)).toEqual([
+      'Cells',
+    ]);
+    expect(exported.preferences).toEqual({ mindtutor_semantic_search: 'on' });
+
+    localStorage.clear();
+    const preview = await importAllData(exported, { dryRun: true });
+    expect(preview.summary.topics).toMatchObject({ add: 1 });
+    expect(await loadQuizHistory()).toEqual([]);
+
+    await importAllData(exported);
+    expect(await loadQuizHistory()).toMatchObject([
+      { id: 1, score: 80, timestamp: '2024-03-01T09:00:00Z' },
+    ]);
+    expect(localStorage.getItem('mindtutor_semantic_search')).toBe('on');
+
+    const again = await importAllData(exported, { dryRun: true });
+    expect(again.summary.quizHistory).toMatchObject({ unchanged: 1 });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for concept map building, layout and SVG export
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildConceptMap,
+  layoutConceptMap,
+  conceptMapToSVG,
+  getMasteryBand,
+  MAP_WIDTH,
+  MAP_HEIGHT,
+} from '../src/utils/conceptMap.js';
+
+const TOPIC = {
+  raw: 'The cell contains a nucleus. Mitochondria produce ATP. The nucleus stores DNA.',
+  concepts: [
+    { concept: 'Cell', definition: 'The basic unit of life' },
+    { concept: 'Nucleus', definition: 'Holds the DNA' },
+    { concept: 'Mitochondria', definition: 'Release energy' },
+    { concept: 'ATP', definition: 'Energy currency' },
+    { concept: 'DNA (genes)', definition: 'Genetic code' },
+  ],
+};
+
+describe('Concept map', () => {
+  it('should link concepts named together with typed relationships', () => {
+    const map = buildConceptMap('Biology', TOPIC, (concept) =>
+      concept === 'ATP' ? 0.9 : null
+    );
+
+    expect(map.nodes).toHaveLength(6);
+    expect(map.nodes.find((n) => n.id === 'ATP').mastery).toBe(0.9);
+    expect(map.edges.filter((e) => e.type === 'topic')).toHaveLength(5);
+    expect(map.edges).toContainEqual(
+      expect.objectContaining({
+        source: 'Nucleus',
+        target: 'Cell',
+        type: 'part_of',
+      })
+    );
+    expect(map.edges).toContainEqual(
+      expect.objectContaining({
+        source: 'Mitochondria',
+        target: 'ATP',
+        type: 'causes',
+      })
+    );
+  });
+
+  it('should lay out deterministically inside the canvas', () => {
+    const map = buildConceptMap('Biology', TOPIC);
+    const first = layoutConceptMap(map);
+
+    expect(layoutConceptMap(map)).toEqual(first);
+    expect(first.Biology).toEqual({ x: MAP_WIDTH / 2, y: MAP_HEIGHT / 2 });
+    Object.values(first).forEach(({ x, y }) => {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThanOrEqual(MAP_WIDTH);
+      expect(y).toBeGreaterThanOrEqual(0);
+      expect(y).toBeLessThanOrEqual(MAP_HEIGHT);
+    });
+  });
+
+  it('should export a standalone SVG with escaped labels and mastery colours', () => {
+    const map = buildConceptMap('Cells & <Life>', TOPIC, () => 0.1);
+    const svg = conceptMapToSVG(map, layoutConceptMap(map));
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(
+      true
+    );
+    expect(svg).toContain('Cells &amp; &lt;Life&gt;');
+    expect(svg).not.toContain('var(--');
+    expect(svg).toContain(`fill="${getMasteryBand(0.1).color}"`);
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Tests for named chat conversations: helpers, exports, storage and the
+ * backup migration from a flat message list
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  NEW_CONVERSATION_TITLE,
+  conversationToHTML,
+  conversationToMarkdown,
+  createConversation,
+  messageToFlashcard,
+  searchConversations,
+  suggestConversationTitle,
+} from '../src/utils/conversations.js';
+import {
+  BACKUP_VERSION,
+  planBackupImport,
+  readBackup,
+} from '../src/utils/backupFormat.js';
+import {
+  clearChatHistoryForTopic,
+  deleteConversation,
+  deleteTopic,
+  loadChatHistory,
+  loadConversations,
+  saveConversation,
+} from '../src/utils/storage.js';
+import { profileManager } from '../src/utils/profiles.js';
+
+const conversation = (overrides = {}) => ({
+  ...createConversation(),
+  ...overrides,
+});
+
+const CELLS_CHAT = conversation({
+  id: 'conversation-cells',
+  title: 'Cell biology',
+  topic: 'Cells',
+  updatedAt: '2024-03-02T10:00:00.000Z',
+  messages: [
+    {
+      role: 'user',
+      content: 'What is a <cell>?',
+      timestamp: '2024-03-02T09:00:00.000Z',
+    },
+    {
+      role: 'assistant',
+      content:
+        '**Cells** are the basic units of life. Every organism has them.\n\nThe energy is $E = mc^2$.',
+      topic: 'Cells',
+      citations: ['p. 4'],
+      timestamp: '2024-03-02T09:00:05.000Z',
+    },
+  ],
+});
+
+describe('Conversations', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    profileManager.state = null;
+  });
+
+  it('should create and title conversations', () => {
+    const created = createConversation({ topic: 'Cells' });
+    expect(created).toMatchObject({
+      title: NEW_CONVERSATION_TITLE,
+      topic: 'Cells',
+      messages: [],
+    });
+    expect(created.id).not.toBe(createConversation().id);
+
+    expect(suggestConversationTitle('  How do\ncells divide? ')).toBe(
+      'How do cells divide?'
+    );
+    const long = suggestConversationTitle(
+      'Can you explain the difference between mitosis and meiosis in plain words please'
+    );
+    expect(long.length).toBeLessThanOrEqual(61);
+    expect(long).toMatch(/ meiosis…$/);
+  });
+
+  it('should search every word across conversations', () => {
+    const atoms = conversation({
+      id: 'conversation-atoms',
+      title: 'Atoms',
+      updatedAt: '2024-03-01T10:00:00.000Z',
+      messages: [{ role: 'user', content: 'Are atoms the units of life?' }],
+    });
+
+    const results = searchConversations([atoms, CELLS_CHAT], 'units life');
+    expect(results.map((r) => [r.conversationId, r.index])).toEqual([
+      ['conversation-cells', 1],
+      ['conversation-atoms', 0],
+    ]);
+    // Markdown is searched and shown as text
+    expect(results[0].snippet).toContain('Cells are the basic units');
+    expect(searchConversations([atoms, CELLS_CHAT], 'units mitosis')).toEqual(
+      []
+    );
+    expect(searchConversations([CELLS_CHAT], 'biology')).toMatchObject([
+      { conversationId: 'conversation-cells', index: null },
+    ]);
+    expect(searchConversations([CELLS_CHAT], '  ')).toEqual([]);
+  });
+
+  it('should turn an answer into a flashcard', () => {
+    expect(
+      messageToFlashcard(CELLS_CHAT.messages[1].content, 'What is a cell?')
+    ).toEqual({
+      concept: 'Cell',
+      definition:
+        'Cells are the basic units of life. Every organism has them. The energy is E = mc^2.',
+    });
+    expect(
+      messageToFlashcard('Osmosis moves water.', 'Explain osmosis please?')
+        .concept
+    ).toBe('Osmosis');
+  });
+
+  it('should export a conversation to Markdown and HTML', () => {
+    const markdown = conversationToMarkdown(CELLS_CHAT);
+    expect(markdown).toMatch(/^# Cell biology\n\n_Topic: Cells_/);
+    expect(markdown).toContain('**Cells** are the basic units');
+    expect(markdown).toContain('_Sources: p. 4_');
+
+    const html = conversationToHTML(CELLS_CHAT);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Cell biology</title>');
+    expect(html).toContain('What is a &lt;cell&gt;?');
+    expect(html).toContain('<strong>Cells</strong> are the basic units');
+    expect(html).toContain('<math display="inline">');
+    expect(html).toContain('Sources: p. 4');
+
+    const unsafe = conversationToHTML(
+      conversation({
+        messages: [
+          {
+            role: 'assistant',
+            content: '<img src=x onerror=alert(1)> [link](javascript:alert(1))',
+          },
+        ],
+      })
+    );
+    expect(unsafe).not.toContain('<img');
+    expect(unsafe).not.toContain('javascript:');
+  });
+
+  it('should save, load and delete conversations', async () => {
+    await saveConversation(CELLS_CHAT);
+    const general = await saveConversation(
+      conversation({
+        title: 'General',
+        messages: [{ role: 'user', content: 'Hi', timestamp: '2024-03-03' }],
+      })
+    );
+
+    const loaded = await loadConversations();
+    expect(loaded.map((c) => c.title)).toEqual(['General', 'Cell biology']);
+    expect(loaded[0].profileId).toBe('default');
+    expect((await loadChatHistory('Cells')).map((m) => m.role)).toEqual([
+      'assistant',
+    ]);
+
+    await clearChatHistoryForTopic('Cells');
+    expect((await loadConversations()).map((c) => c.id)).toEqual([general.id]);
+    await deleteConversation(general.id);
+    expect(await loadConversations()).toEqual([]);
+  });
+
+  it("should clear the active profile's chat about a topic, and everyone's with the topic", async () => {
+    await saveConversation(CELLS_CHAT);
+    const other = await profileManager.createProfile('Chat Tester');
+    await profileManager.switchProfile(other.id);
+    const theirs = await saveConversation(
+      conversation({ title: 'Their cells chat', topic: 'Cells' })
+    );
+
+    await profileManager.switchProfile('default');
+    await clearChatHistoryForTopic('Cells');
+    expect(await loadConversations()).toEqual([]);
+    expect((await loadConversations(other.id)).map((c) => c.id)).toEqual([
+      theirs.id,
+    ]);
+
+    // Deleting the topic removes everyone's conversations about it
+    await saveConversation(CELLS_CHAT);
+    await deleteTopic('Cells');
+    expect(await loadConversations()).toEqual([]);
+    expect(await loadConversations(other.id)).toEqual([]);
+    await profileManager.deleteProfile(other.id);
+  });
+
+  it('should move chat from before conversations into an earlier chat', async () => {
+    localStorage.setItem(
+      'mindtutor_chat_history',
+      JSON.stringify({
+        id: 'history',
+        messages: [
+          { role: 'user', content: 'Old question', timestamp: '2024-01-01' },
+          { role: 'assistant', content: 'Old answer', timestamp: '2024-01-02' },
+        ],
+      })
+    );
+
+    const [earlier] = await loadConversations();
+    expect(earlier).toMatchObject({
+      title: 'Earlier chat',
+      topic: null,
+      createdAt: '2024-01-01',
+      updatedAt: '2024-01-02',
+    });
+    expect(earlier.messages.map((m) => m.content)).toEqual([
+      'Old question',
+      'Old answer',
+    ]);
+    expect(localStorage.getItem('mindtutor_chat_history')).toBeNull();
+    expect(await loadConversations()).toEqual([earlier]);
+  });
+
+  it('should migrate version 2 backups and plan conversation imports', () => {
+    const backup = readBackup({
+      format: 'mindtutor-backup',
+      version: 2,
+      exportDate: '2024-03-01T10:00:00.000Z',
+      stores: {
+        topics: [],
+        topicChunks: [],
+        reviewCards: [],
+        quizHistory: [],
+        chatHistory: [
+          { role: 'user', content: 'Hello', timestamp: '2024-02-01' },
+          { role: 'user', content: 'Hey', profileId: 'profile-kim' },
+        ],
+        diagnostics: [],
+        userModels: [],
+        studyPlans: [],
+      },
+    });
+
+    expect(backup.version).toBe(BACKUP_VERSION);
+    expect(backup.stores.chatHistory).toMatchObject([
+      {
+        id: 'conversation-earlier',
+        profileId: 'default',
+        messages: [{ role: 'user', content: 'Hello' }],
+      },
+      {
+        id: 'conversation-earlier::profile-kim',
+        profileId: 'profile-kim',
+        messages: [{ role: 'user', content: 'Hey' }],
+      },
+    ]);
+
+    const existing = {
+      chatHistory: [
+        {
+          ...backup.stores.chatHistory[0],
+          messages: [{ role: 'user', content: 'Changed' }],
+        },
+      ],
+    };
+    const plan = (strategy) =>
+      planBackupImport(backup, existing, { strategy }).operations.map(
+        (op) => `${op.action}:${op.key}`
+      );
+    expect(plan('skip')).toEqual([
+      'skip:conversation-earlier',
+      'add:conversation-earlier::profile-kim',
+    ]);
+    expect(plan('overwrite')[0]).toBe('replace:conversation-earlier');
+    expect(plan('keepBoth')[0]).toBe('rename:conversation-earlier-imported');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for the prerequisite graph built from imported topics
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  CurriculumPlanner,
+  inferPrerequisiteEdges,
+} from '../src/utils/curriculumLogic.js';
+import { profileManager } from '../src/utils/profiles.js';
+import { deleteProfileData } from '../src/utils/storage.js';
+
+const concept = (name, definition = '') => ({ concept: name, definition });
+
+const TOPICS = {
+  Cells: {
+    subject: 'biology',
+    raw: 'Cells are surrounded by a membrane and contain a nucleus and cytoplasm.',
+    concepts: [
+      concept('Membrane', 'The boundary of the cell'),
+      concept('Nucleus', 'Holds the genetic material'),
+      concept('Cytoplasm', 'Fluid inside the cell'),
+    ],
+  },
+  Genetics: {
+    subject: 'biology',
+    raw: 'Genes sit on chromosomes inside the nucleus. During mitosis the membrane of the nucleus breaks down and the cytoplasm divides.',
+    concepts: [
+      concept('Genes', 'Units of heredity'),
+      concept('Chromosomes', 'Strands of DNA'),
+    ],
+  },
+  Poetry: {
+    subject: 'literature',
+    raw: 'Sonnets have fourteen lines and a volta.',
+    concepts: [concept('Sonnet'), concept('Volta')],
+  },
+};
+
+describe('CurriculumPlanner', () => {
+  let planner;
+
+  beforeEach(() => {
+    localStorage.clear();
+    planner = new CurriculumPlanner().buildFromTopics(TOPICS);
+  });
+
+  it('should infer a prerequisite from borrowed concepts', () => {
+    expect(inferPrerequisiteEdges(TOPICS)).toEqual([
+      { from: 'Cells', to: 'Genetics', score: 0.75 },
+    ]);
+    expect(planner.topics.Genetics.prerequisites).toEqual(['Cells']);
+    expect(planner.topics.Genetics.skills).toEqual([
+      'Genetics::Genes',
+      'Genetics::Chromosomes',
+    ]);
+    expect(planner.topicClusters.get('biology').topics).toEqual([
+      'Cells',
+      'Genetics',
+    ]);
+  });
+
+  it('should reject edits that would create a cycle', () => {
+    planner.addPrerequisite('Genetics', 'Poetry');
+
+    expect(() => planner.addPrerequisite('Poetry', 'Cells')).toThrow(
+      /Poetry → Genetics → Cells/
+    );
+    expect(planner.findCycles()).toEqual([]);
+  });
+
+  it('should persist added and removed edges across rebuilds', () => {
+    planner.removePrerequisite('Cells', 'Genetics');
+    planner.addPrerequisite('Poetry', 'Cells');
+
+    const rebuilt = new CurriculumPlanner().buildFromTopics(TOPICS);
+    expect(rebuilt.topics.Genetics.prerequisites).toEqual([]);
+    expect(rebuilt.topics.Cells.prerequisites).toEqual(['Poetry']);
+    expect(rebuilt.topics.Cells.prerequisiteSources.Poetry).toBe('user');
+  });
+
+  it('should keep prerequisite edits per profile', async () => {
+    // Edits saved before profiles belong to the default profile
+    localStorage.setItem(
+      'mindtutor_prerequisite_edits',
+      JSON.stringify({ added: [['Poetry', 'Cells']], removed: [] })
+    );
+    const rebuild = () => new CurriculumPlanner().buildFromTopics(TOPICS);
+    expect(rebuild().topics.Cells.prerequisites).toEqual(['Poetry']);
+
+    const other = await profileManager.createProfile('Path Tester');
+    await profileManager.switchProfile(other.id);
+    expect(rebuild().topics.Cells.prerequisites).toEqual([]);
+    rebuild().removePrerequisite('Cells', 'Genetics');
+    expect(rebuild().topics.Genetics.prerequisites).toEqual([]);
+
+    await profileManager.switchProfile('default');
+    expect(rebuild().topics.Genetics.prerequisites).toEqual(['Cells']);
+
+    await deleteProfileData(other.id);
+    await profileManager.deleteProfile(other.id);
+    expect(
+      Object.keys(
+        JSON.parse(localStorage.getItem('mindtutor_prerequisite_edits'))
+      )
+    ).toEqual(['default']);
+  });
+
+  it('should order the study path by prerequisites and mastery', () => {
+    const mastered = ['Membrane', 'Nucleus', 'Cytoplasm'].map((name) => ({
+      id: `Cells::${name}`,
+      repetitions: 3,
+      lastGrade: 4,
+      lastReviewed: '2026-01-01T00:00:00.000Z',
+    }));
+
+    const fresh = planner.getStudyPath();
+    expect(fresh.map((entry) => entry.topic.id)).toEqual([
+      'Cells',
+      'Poetry',
+      'Genetics',
+    ]);
+    expect(fresh[2]).toMatchObject({ status: 'blocked', blockedBy: ['Cells'] });
+
+    planner.buildFromTopics(TOPICS, mastered);
+    const statuses = Object.fromEntries(
+      planner.getStudyPath().map((entry) => [entry.topic.id, entry.status])
+    );
+    expect(statuses).toEqual({
+      Cells: 'mastered',
+      Genetics: 'ready',
+      Poetry: 'ready',
+    });
+  });
+
+  it('should report cycles and still order every topic', () => {
+    planner.topics.Cells.prerequisites.push('Genetics');
+
+    expect(planner.findCycles()).toEqual([['Cells', 'Genetics', 'Cells']]);
+    expect(
+      planner.sortTopicsByOptimalOrder(['Genetics', 'Cells', 'Poetry'])
+    ).toHaveLength(3);
+  });
+});
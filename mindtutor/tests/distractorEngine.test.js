@@ -0,0 +1,120 @@
+/**
+ * Tests for MCQ distractor generation and the misconception bank
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  generateDistractors,
+  mutateDefinition,
+  trimOption,
+  MisconceptionBank,
+} from '../src/utils/distractorEngine.js';
+import { gradeQuiz } from '../src/utils/quizGenerator.js';
+
+const CONCEPTS = [
+  {
+    concept: 'Diffusion',
+    definition:
+      'The net movement of particles from high concentration to low concentration.',
+  },
+  {
+    concept: 'Osmosis',
+    definition:
+      'The movement of water molecules across a partially permeable membrane.',
+  },
+  {
+    concept: 'Active transport',
+    definition:
+      'Movement of particles against a concentration gradient using energy from respiration.',
+  },
+  {
+    concept: 'Microscope',
+    definition: 'An instrument for viewing small objects.',
+  },
+];
+
+describe('Distractor engine', () => {
+  let bank;
+
+  beforeEach(() => {
+    localStorage.clear();
+    bank = new MisconceptionBank();
+  });
+
+  it('should mutate antonyms, numbers and directions', () => {
+    expect(mutateDefinition('Heat makes the pressure increase.')).toContain(
+      'Heat makes the pressure decrease.'
+    );
+    expect(mutateDefinition('Humans have 23 pairs of chromosomes.')).toContain(
+      'Humans have 46 pairs of chromosomes.'
+    );
+    expect(mutateDefinition(CONCEPTS[0].definition)).toContain(
+      'The net movement of particles from low concentration to high concentration.'
+    );
+  });
+
+  it('should prefer close candidates and mix their sources', () => {
+    const distractors = generateDistractors(CONCEPTS[0], CONCEPTS, { bank });
+    const texts = distractors.map((d) => d.text);
+
+    expect(distractors).toHaveLength(3);
+    expect(texts).not.toContain(CONCEPTS[3].definition);
+    expect(texts).toContain(
+      'The net movement of particles from low concentration to high concentration.'
+    );
+    expect(new Set(distractors.map((d) => d.source)).size).toBeGreaterThan(1);
+  });
+
+  it('should trim long options on clause or word boundaries', () => {
+    expect(
+      trimOption(
+        'Eukaryotic cells divide by mitosis, which produces two identical cells',
+        40
+      )
+    ).toBe('Eukaryotic cells divide by mitosis');
+    expect(
+      trimOption(
+        'Photosynthesis converts light energy into chemical energy',
+        40
+      )
+    ).toBe('Photosynthesis converts light energy...');
+    expect(trimOption('Short option.')).toBe('Short option.');
+  });
+
+  it('should record picked distractors and offer them again', () => {
+    const question = {
+      id: 'q_1',
+      type: 'mcq',
+      question: 'Which statement best describes Osmosis?',
+      answer: CONCEPTS[1].definition,
+      options: [CONCEPTS[1].definition, 'Water moves by active transport.'],
+      distractors: [
+        { text: 'Water moves by active transport.', source: 'mutation' },
+      ],
+      conceptTested: 'Osmosis',
+    };
+    const { results } = gradeQuiz(
+      [question],
+      ['Water moves by active transport.']
+    );
+    expect(results[0].chosenDistractor).toEqual(question.distractors[0]);
+
+    expect(bank.recordPicks('Biology', 'learner_1', results)).toBe(1);
+    expect(bank.getPicks({ userId: 'learner_1' })).toMatchObject([
+      { topic: 'Biology', concept: 'Osmosis', source: 'mutation' },
+    ]);
+
+    const reloaded = new MisconceptionBank();
+    expect(reloaded.getMisconceptions('Biology', 'Osmosis')[0].picks).toBe(1);
+    const distractors = generateDistractors(CONCEPTS[1], CONCEPTS, {
+      topicName: 'Biology',
+      bank: reloaded,
+    });
+    expect(distractors).toContainEqual(
+      expect.objectContaining({
+        text: 'Water moves by active transport.',
+        source: 'misconception',
+      })
+    );
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Tests for DOCX, EPUB, Markdown and HTML import
+ * Covers heading sections, lists, markup stripping and ZIP containers
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Buffer } from 'buffer';
+import { deflateRawSync } from 'zlib';
+import {
+  parseMarkdown,
+  parseHTML,
+  parseDocxXml,
+  extractDocx,
+  extractEpub,
+} from '../src/utils/documentStructure.js';
+import { openZip } from '../src/utils/zipArchive.js';
+import { multimodalProcessor } from '../src/utils/documentProcessor.js';
+import { buildTopicObject } from '../src/utils/aiCore.js';
+
+/**
+ * Build an in-memory ZIP archive (deflated entries, CRC left blank)
+ */
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = Buffer.from(name);
+    const data = deflateRawSync(Buffer.from(text));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(text), 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(text), 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  const bytes = Buffer.concat([...locals, directory, end]);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+}
+
+function wordParagraph(text, properties = '') {
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+}
+
+function wordDocument(body) {
+  return `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`;
+}
+
+describe('Document Structure Import', () => {
+  describe('parseMarkdown', () => {
+    it('should split content into heading sections with lists', () => {
+      const result = parseMarkdown(
+        [
+          '---',
+          'title: Notes',
+          '---',
+          'Intro paragraph.',
+          '',
+          '# Cells',
+          'Cells are the **basic unit** of [life](http://x.test).',
+          '',
+          '## Organelles',
+          '- Nucleus',
+          '- Mitochondria',
+          '',
+          'Transport',
+          '---------',
+          '1. Diffusion',
+          '2. Osmosis',
+        ].join('\n')
+      );
+
+      expect(result.outline).toEqual([
+        { title: 'Cells', level: 1 },
+        { title: 'Organelles', level: 2 },
+        { title: 'Transport', level: 2 },
+      ]);
+      expect(result.sections[0]).toMatchObject({
+        title: null,
+        content: 'Intro paragraph.',
+      });
+      expect(result.sections[1].content).toBe(
+        'Cells are the basic unit of life.'
+      );
+      expect(result.sections[2].lists).toEqual([
+        { ordered: false, items: ['Nucleus', 'Mitochondria'] },
+      ]);
+      expect(result.sections[3].lists[0].ordered).toBe(true);
+      expect(result.content).toContain('- Nucleus\n- Mitochondria');
+      expect(result.content).not.toContain('title: Notes');
+    });
+
+    it('should keep fenced code as a single block', () => {
+      const result = parseMarkdown('# Code\n```\n# not a heading\nx = 1\n```');
+
+      expect(result.outline).toHaveLength(1);
+      expect(result.sections[0].content).toBe('# not a heading\nx = 1');
+    });
+  });
+
+  describe('parseHTML', () => {
+    it('should read headings, paragraphs and nested lists as text only', () => {
+      const result = parseHTML(`
+        <html><head><title>Photosynthesis</title>
+        <script>alert('x')</script></head>
+        <body>
+          <nav>Home | About</nav>
+          <h1>Light reactions</h1>
+          <p>Chlorophyll <b>absorbs</b> light.</p>
+          <ul><li>Photosystem I<ul><li>P700</li></ul></li><li>Photosystem II</li></ul>
+          <div><section><h2>Calvin cycle</h2><p>Fixes <img src=x onerror="alert(1)">carbon.</p></section></div>
+        </body></html>`);
+
+      expect(result.title).toBe('Photosynthesis');
+      expect(result.outline.map((h) => h.title)).toEqual([
+        'Light reactions',
+        'Calvin cycle',
+      ]);
+      expect(result.sections[0].lists[0].items).toEqual([
+        'Photosystem I',
+        '  P700',
+        'Photosystem II',
+      ]);
+      expect(result.content).not.toMatch(/alert|Home|</);
+      expect(result.sections[1].content).toBe('Fixes carbon.');
+    });
+  });
+
+  describe('parseDocxXml', () => {
+    it('should map heading styles and numbered paragraphs', () => {
+      const numbering = `<w:numbering xmlns:w="x">
+        <w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>
+        <w:num w:numId="5"><w:abstractNumId w:val="0"/></w:num>
+      </w:numbering>`;
+      const listItem =
+        '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="5"/></w:numPr>';
+
+      const result = parseDocxXml(
+        wordDocument(
+          wordParagraph('Genetics', '<w:pStyle w:val="Title"/>') +
+            wordParagraph('DNA', '<w:pStyle w:val="Heading2"/>') +
+            wordParagraph('DNA stores genetic information.') +
+            wordParagraph('Adenine', listItem) +
+            wordParagraph('Thymine', listItem) +
+            wordParagraph('Replication', '<w:outlineLvl w:val="1"/>')
+        ),
+        null,
+        numbering
+      );
+
+      expect(result.outline).toEqual([
+        { title: 'Genetics', level: 1 },
+        { title: 'DNA', level: 2 },
+        { title: 'Replication', level: 2 },
+      ]);
+      expect(result.sections[1].lists).toEqual([
+        { ordered: true, items: ['Adenine', 'Thymine'] },
+      ]);
+    });
+
+    it('should resolve localized heading styles from styles.xml', () => {
+      const styles = `<w:styles xmlns:w="x"><w:style w:styleId="berschrift1"><w:name w:val="heading 1"/></w:style></w:styles>`;
+
+      const result = parseDocxXml(
+        wordDocument(
+          wordParagraph('Zellen', '<w:pStyle w:val="berschrift1"/>') +
+            wordParagraph('Text')
+        ),
+        styles
+      );
+
+      expect(result.outline).toEqual([{ title: 'Zellen', level: 1 }]);
+    });
+  });
+
+  describe('ZIP containers', () => {
+    it('should read deflated entries', async () => {
+      const zip = openZip(makeZip({ 'a.txt': 'hello hello hello' }));
+
+      expect(zip.names).toEqual(['a.txt']);
+      expect(await zip.readText('a.txt')).toBe('hello hello hello');
+      expect(() => openZip(new ArrayBuffer(10))).toThrow(/Not a ZIP/);
+    });
+
+    it('should extract a .docx file', async () => {
+      const buffer = makeZip({
+        'word/document.xml': wordDocument(
+          wordParagraph('Ecology', '<w:pStyle w:val="Heading1"/>') +
+            wordParagraph('Ecosystems cycle energy.')
+        ),
+      });
+
+      const result = await extractDocx(buffer);
+
+      expect(result.content).toBe('Ecology\n\nEcosystems cycle energy.');
+    });
+
+    it('should extract EPUB chapters in spine order', async () => {
+      const chapter = (title, text) =>
+        `<html xmlns="http://www.w3.org/1999/xhtml"><body><h1>${title}</h1><p>${text}</p></body></html>`;
+      const buffer = makeZip({
+        'META-INF/container.xml':
+          '<container><rootfiles><rootfile full-path="OEBPS/book.opf"/></rootfiles></container>',
+        'OEBPS/book.opf': `<package xmlns:dc="http://purl.org/dc/elements/1.1/">
+          <metadata><dc:title>Field Guide</dc:title></metadata>
+          <manifest>
+            <item id="c1" href="text/one.xhtml" media-type="application/xhtml+xml"/>
+            <item id="c2" href="text/two%20b.xhtml" media-type="application/xhtml+xml"/>
+            <item id="css" href="style.css" media-type="text/css"/>
+          </manifest>
+          <spine><itemref idref="c2"/><itemref idref="c1"/></spine>
+        </package>`,
+        'OEBPS/text/one.xhtml': chapter('Birds', 'Birds have feathers.'),
+        'OEBPS/text/two b.xhtml': chapter('Trees', 'Trees have bark.'),
+      });
+
+      const result = await extractEpub(buffer);
+
+      expect(result.title).toBe('Field Guide');
+      expect(result.outline.map((h) => h.title)).toEqual(['Trees', 'Birds']);
+    });
+  });
+
+  describe('MultimodalProcessor integration', () => {
+    it('should detect structured formats by extension or MIME type', () => {
+      const detect = (name, type = '') =>
+        multimodalProcessor.detectFileType({ name, type });
+
+      expect(detect('notes.md')).toBe('markdown');
+      expect(detect('book.EPUB')).toBe('epub');
+      expect(detect('page.htm')).toBe('html');
+      expect(
+        detect(
+          'x',
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        )
+      ).toBe('docx');
+      expect(detect('plain.txt')).toBe('text');
+      expect(detect('archive.zip')).toBe('unknown');
+    });
+
+    it('should file topic concepts under their document sections', () => {
+      const structure = parseMarkdown(
+        [
+          '# Cell Structure',
+          'The nucleus is the control center of the cell. The nucleus contains DNA.',
+          '',
+          '# Energy',
+          'Mitochondria is the powerhouse of the cell. Mitochondria produce ATP.',
+        ].join('\n')
+      );
+
+      const topic = buildTopicObject('Cells', {
+        type: 'markdown',
+        content: structure.content,
+        metadata: {},
+        structure,
+      });
+
+      expect(topic.sections.map((s) => s.title)).toEqual([
+        'Cell Structure',
+        'Energy',
+      ]);
+      topic.concepts.forEach((concept) => {
+        expect(['Cell Structure', 'Energy', null]).toContain(concept.section);
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for subject detection, TF-IDF keyword ranking and vocabulary packs
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DomainVocabulary,
+  validateVocabularyPack,
+} from '../src/utils/domainVocabulary.js';
+import { buildTopicObject } from '../src/utils/aiCore.js';
+
+const ECONOMICS_PACK = {
+  id: 'economics',
+  name: 'Economics',
+  terms: ['inflation', 'supply', 'demand', 'market', 'price', 'tariff'],
+};
+
+const MARKET_TEXT =
+  'When demand rises faster than supply, the market price climbs. ' +
+  'Sustained price rises are called inflation. A tariff raises the price ' +
+  'of imports and shifts demand toward local supply.';
+
+describe('Domain Vocabulary', () => {
+  let vocabulary;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vocabulary = new DomainVocabulary();
+  });
+
+  describe('validateVocabularyPack', () => {
+    it('should normalise ids and terms', () => {
+      const pack = validateVocabularyPack({
+        id: ' Economics ',
+        name: 'Economics',
+        terms: ['Supply', 'supply ', 'Demand', 'Market', 42],
+      });
+
+      expect(pack.id).toBe('economics');
+      expect(pack.terms).toEqual(['supply', 'demand', 'market']);
+    });
+
+    it('should reject packs without enough terms', () => {
+      expect(() =>
+        validateVocabularyPack({ id: 'x', name: 'X', terms: ['a'] })
+      ).toThrow('at least 3 terms');
+      expect(() => validateVocabularyPack({ name: 'X', terms: [] })).toThrow(
+        '"id"'
+      );
+    });
+  });
+
+  describe('packs', () => {
+    it('should persist installed packs and keep built-ins', () => {
+      vocabulary.installPack(ECONOMICS_PACK);
+
+      const reloaded = new DomainVocabulary();
+      const ids = reloaded.getPacks().map((pack) => pack.id);
+
+      expect(ids).toEqual(['biology', 'chemistry', 'physics', 'economics']);
+
+      reloaded.removePack('economics');
+      expect(new DomainVocabulary().getInstalledPacks()).toEqual([]);
+    });
+  });
+
+  describe('detectSubject', () => {
+    it('should detect a subject from content, not the topic name', () => {
+      expect(vocabulary.detectSubject(MARKET_TEXT, 'Week 3')).toBeNull();
+
+      vocabulary.installPack(ECONOMICS_PACK);
+      const subject = vocabulary.detectSubject(MARKET_TEXT, 'Week 3');
+
+      expect(subject.id).toBe('economics');
+      expect(subject.confidence).toBe(1);
+      expect(subject.matchedTerms[0]).toBe('price');
+    });
+  });
+
+  describe('rankKeywords', () => {
+    it('should demote terms every stored topic shares', () => {
+      vocabulary.setCorpus({
+        A: { raw: 'chapter summary volcano', keywords: [] },
+        B: { raw: 'chapter summary glacier', keywords: [] },
+      });
+
+      const ranked = vocabulary.rankKeywords(
+        'chapter summary chapter summary magma',
+        ['chapter', 'summary', 'magma'],
+        { topN: 3 }
+      );
+
+      expect(ranked[0]).toBe('magma');
+    });
+
+    it('should not count the topic being rebuilt against itself', () => {
+      vocabulary.setCorpus({ Rocks: { raw: 'magma', keywords: [] } });
+
+      expect(vocabulary.inverseDocumentFrequency('magma', 'Rocks')).toBe(
+        vocabulary.inverseDocumentFrequency('magma')
+      );
+      expect(vocabulary.inverseDocumentFrequency('magma')).toBeLessThan(
+        vocabulary.inverseDocumentFrequency('basalt')
+      );
+    });
+  });
+
+  describe('buildTopicObject', () => {
+    it('should keep keywords outside the subject vocabulary', () => {
+      const content = [
+        'The history of chemistry begins with alchemy in Alexandria.',
+        'Alchemists searched for the philosopher stone and studied metals.',
+        'Lavoisier later described oxidation and named the element oxygen.',
+        'Alchemy laboratories in Alexandria copied manuscripts by hand.',
+      ].join(' ');
+
+      const topic = buildTopicObject('Chemistry - History', content);
+
+      expect(topic.subject?.id).toBe('chemistry');
+      expect(topic.keywords).toEqual(
+        expect.arrayContaining(['alchemy', 'alexandria'])
+      );
+    });
+  });
+});
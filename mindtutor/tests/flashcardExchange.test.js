@@ -0,0 +1,146 @@
+/**
+ * Tests for Anki flashcard export and CSV/TSV flashcard import
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildTopicFlashcards,
+  flashcardsToDelimited,
+  parseDelimited,
+  parseFlashcardFile,
+  flashcardsToTopic,
+} from '../src/utils/flashcardExchange.js';
+
+const TOPIC = {
+  concepts: [
+    {
+      concept: 'Ribosome',
+      definition:
+        'Structure responsible for protein synthesis, made of RNA and protein.',
+    },
+    {
+      concept: 'Nucleus',
+      definition: 'Holds the cell\'s DNA, "the control centre".',
+    },
+    { concept: 'Empty', definition: '' },
+  ],
+};
+
+describe('Flashcard exchange', () => {
+  it('should build term cards and question variations with tags', () => {
+    const cards = buildTopicFlashcards('Cell Biology', TOPIC);
+
+    expect(cards[0]).toEqual({
+      front: 'Ribosome',
+      back: TOPIC.concepts[0].definition,
+      tags: ['MindTutor::Cell_Biology', 'concept::Ribosome', 'term'],
+    });
+    expect(cards.map((card) => card.front)).toContain(
+      'What is the structure of Ribosome?'
+    );
+    expect(cards.some((card) => card.front === 'Empty')).toBe(false);
+    expect(
+      buildTopicFlashcards('Cell Biology', TOPIC, { variations: false })
+    ).toHaveLength(2);
+  });
+
+  it('should write Anki headers and quote special fields', () => {
+    const cards = buildTopicFlashcards('Cell Biology', TOPIC, {
+      variations: false,
+    });
+    const csv = flashcardsToDelimited(cards, {
+      format: 'csv',
+      deck: 'MindTutor::Cell Biology',
+    });
+
+    expect(csv.split('\n').slice(0, 4)).toEqual([
+      '#separator:comma',
+      '#html:false',
+      '#tags column:3',
+      '#deck:MindTutor::Cell Biology',
+    ]);
+    expect(csv).toContain(
+      'Nucleus,"Holds the cell\'s DNA, ""the control centre""."'
+    );
+    expect(flashcardsToDelimited(cards)).toContain(
+      `Ribosome\t${TOPIC.concepts[0].definition}\tMindTutor::Cell_Biology`
+    );
+  });
+
+  it('should round-trip exported cards through the importer', () => {
+    const cards = buildTopicFlashcards('Cell Biology', TOPIC);
+    const { cards: imported } = parseFlashcardFile(
+      flashcardsToDelimited(cards, { format: 'csv' })
+    );
+
+    expect(imported).toHaveLength(cards.length);
+    expect(imported[1]).toEqual({
+      term: cards[1].front,
+      definition: cards[1].back,
+      tags: cards[1].tags,
+    });
+  });
+
+  it('should import Quizlet TSV and headed CSV files', () => {
+    const quizlet = parseFlashcardFile(
+      'Osmosis\tMovement of water across a membrane\r\nDiffusion\tSpreading of particles\r\nosmosis\tDuplicate\r\n',
+      'set.txt'
+    );
+    expect(quizlet.cards.map((card) => card.term)).toEqual([
+      'Osmosis',
+      'Diffusion',
+    ]);
+    expect(quizlet.skipped).toBe(1);
+
+    const headed = parseFlashcardFile(
+      'Definition;Term\n"Particles spread out; from high to low";Diffusion\n'
+    );
+    expect(headed.cards).toEqual([
+      {
+        term: 'Diffusion',
+        definition: 'Particles spread out; from high to low',
+        tags: [],
+      },
+    ]);
+
+    const anki = parseFlashcardFile(
+      '#separator:tab\n#html:true\nAtom\tSmallest unit<br>of an &amp; element\n'
+    );
+    expect(anki.cards[0].definition).toBe('Smallest unit of an & element');
+
+    expect(() => parseFlashcardFile('just one column\n')).toThrow(
+      'No term/definition pairs'
+    );
+  });
+
+  it('should parse quoted fields with line breaks', () => {
+    expect(parseDelimited('a,"b\nc",d\n\ne,f', ',')).toEqual([
+      ['a', 'b\nc', 'd'],
+      ['e', 'f'],
+    ]);
+  });
+
+  it('should turn imported cards into topic concepts in file order', () => {
+    const topic = flashcardsToTopic('Cells', [
+      { term: 'Osmosis', definition: 'Movement of water', tags: ['bio'] },
+      { term: 'Diffusion', definition: 'Spreading of particles', tags: [] },
+    ]);
+
+    expect(topic.concepts).toEqual([
+      {
+        concept: 'Osmosis',
+        definition: 'Movement of water',
+        importance: 2,
+        tags: ['bio'],
+      },
+      {
+        concept: 'Diffusion',
+        definition: 'Spreading of particles',
+        importance: 1,
+      },
+    ]);
+    expect(topic.chunks[0].text).toContain('Osmosis: Movement of water');
+    expect(topic.keywords).toEqual(['osmosis', 'diffusion']);
+    expect(topic.sourceType).toBe('flashcards');
+  });
+});
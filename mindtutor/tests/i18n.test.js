@@ -0,0 +1,132 @@
+/**
+ * Tests for the interface language, message catalogues and localised
+ * generated text
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { I18n, i18n, t, LOCALES, localeName } from '../src/utils/i18n.js';
+import {
+  rewriteLesson,
+  getAvailableStyles,
+} from '../src/utils/lessonRewriter.js';
+import { feedbackGenerator } from '../src/utils/feedbackSystem.js';
+import { generateSummaryResponse } from '../src/utils/aiCore.js';
+
+const TOPIC = {
+  topic: 'Biology',
+  keywords: ['cell', 'nucleus'],
+  concepts: [
+    {
+      concept: 'Cell',
+      definition: 'The basic unit of life that makes up every organism.',
+      difficulty: 1,
+    },
+    {
+      concept: 'Nucleus',
+      definition: 'The control centre of the cell that holds its DNA.',
+      difficulty: 3,
+    },
+  ],
+};
+
+describe('i18n', () => {
+  afterEach(() => {
+    i18n.setLocale('en');
+    localStorage.clear();
+  });
+
+  it('should interpolate, pluralise and fall back to English', () => {
+    expect(LOCALES).toEqual(['en', 'es', 'fr', 'de']);
+    expect(localeName('fr')).toBe('Français');
+
+    expect(t('app.topicsLoaded', { count: 1 })).toBe('topic loaded');
+    expect(t('app.topicsLoaded', { count: 3 })).toBe('topics loaded');
+    expect(t('chat.moreTopics', { list: 'A', count: 1 }, 'fr')).toBe(
+      'A et 1 autre'
+    );
+    expect(t('chat.moreTopics', { list: 'A', count: 2 }, 'fr')).toBe(
+      'A et 2 autres'
+    );
+    expect(t('lesson.story.mystery', { concept: 'Zelle' }, 'de')).toBe(
+      'Das Geheimnis: Zelle'
+    );
+    // Numbers are formatted for the locale
+    expect(t('chat.moreTopics', { list: 'A', count: 1200 }, 'de')).toBe(
+      'A und 1.200 weitere'
+    );
+    // Unknown placeholders stay, unknown keys come back as the key
+    expect(t('lesson.story.mystery', {}, 'es')).toBe(
+      'El misterio de {concept}'
+    );
+    expect(t('no.such.key')).toBe('no.such.key');
+    expect(i18n.list('feedback.good', {}, 'es')).toHaveLength(3);
+  });
+
+  it('should format numbers and dates for the locale', () => {
+    const date = new Date(2026, 2, 5);
+    expect(i18n.formatNumber(1234.5, {}, 'de')).toBe('1.234,5');
+    expect(i18n.formatNumber(1234.5, {}, 'en')).toBe('1,234.5');
+    expect(i18n.formatDate(date, { month: 'long' }, 'es')).toBe('marzo');
+    expect(i18n.formatDate(date, { month: 'long' }, 'fr')).toBe('mars');
+  });
+
+  it('should remember the chosen locale and notify subscribers', () => {
+    const listener = vi.fn();
+    const unsubscribe = i18n.subscribe(listener);
+
+    i18n.setLocale('es');
+    expect(listener).toHaveBeenCalledWith('es');
+    expect(i18n.getLocale()).toBe('es');
+    expect(t('quiz.selectTopicFirst')).toBe('Primero elige un tema');
+    expect(document.documentElement.lang).toBe('es');
+
+    // A fresh instance reads the saved choice
+    expect(new I18n().getLocale()).toBe('es');
+    expect(() => i18n.setLocale('xx')).toThrow('Unsupported locale');
+
+    unsubscribe();
+    i18n.setLocale('fr');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should write lessons in the learner’s language', () => {
+    const english = rewriteLesson(TOPIC, 'story');
+    expect(english).toContain('# The Amazing Journey of Biology');
+    expect(english).toContain('a bustling city');
+
+    i18n.setLocale('es');
+    const spanish = rewriteLesson(TOPIC, 'socratic');
+    expect(spanish).toContain('# Explorar Biology con preguntas');
+    expect(spanish).toContain('**¿Qué es cell?**');
+    expect(spanish).toContain('Se conecta con Nucleus.');
+    expect(getAvailableStyles()[0].name).toBe('Académico/Formal');
+
+    // German keeps the capitals of nouns mid-sentence
+    const german = rewriteLesson(
+      { ...TOPIC, topic: 'Zellbiologie' },
+      'simple',
+      { locale: 'de' }
+    );
+    expect(german).toContain('Lass uns gemeinsam Zellbiologie kennenlernen');
+    expect(rewriteLesson(TOPIC, 'practical', { locale: 'fr' })).toContain(
+      '1. Identifie le principe de base'
+    );
+  });
+
+  it('should localise feedback and tutor section headers', () => {
+    i18n.setLocale('de');
+    expect(feedbackGenerator.feedbackTemplates.excellent[0]).toContain(
+      'Hervorragend'
+    );
+
+    const summary = generateSummaryResponse(
+      'Biologie',
+      TOPIC.concepts,
+      TOPIC.keywords,
+      'Cells are the basic unit of life and every organism is made of them.'
+    );
+    expect(summary).toContain('# Biologie – Überblick');
+    expect(summary).toContain('## Grundbegriffe und Definitionen');
+    expect(summary).toContain('## 🎯 Das Wichtigste');
+  });
+});
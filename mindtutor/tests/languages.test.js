@@ -0,0 +1,139 @@
+/**
+ * Tests for language detection and the per-language text pipeline
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  countSyllables,
+  detectLanguage,
+  languageFromOcrCode,
+  readingEase,
+  stripArticle,
+  tokenizeWords,
+  ALL_OCR_LANGUAGES,
+} from '../src/utils/languages.js';
+import {
+  buildTopicObject,
+  extractConcepts,
+  tokenize,
+} from '../src/utils/aiCore.js';
+import { tokenize as tokenizeUtils } from '../src/utils/utils.js';
+import { flashcardsToTopic } from '../src/utils/flashcardExchange.js';
+
+const SPANISH = `La fotosíntesis es el proceso por el cual las plantas producen su propio alimento.
+Las células son las unidades básicas de la vida y tienen un núcleo.
+La mitosis es la división de una célula en dos células hijas idénticas.`;
+
+const FRENCH = `La photosynthèse est le processus par lequel les plantes fabriquent leur nourriture.
+On appelle mitose la division d'une cellule en deux cellules filles.
+L'osmose est la diffusion de l'eau à travers une membrane.`;
+
+const GERMAN = `Die Photosynthese ist der Vorgang, bei dem Pflanzen aus Licht Zucker herstellen.
+Unter Osmose versteht man die Diffusion von Wasser durch eine Membran.
+Die Zellmembran ist eine dünne Hülle, die jede Zelle umgibt.`;
+
+const ENGLISH =
+  'Photosynthesis is the process by which plants make their food. The nucleus controls the activities of the cell.';
+
+describe('Languages', () => {
+  it('should detect the language of a text', () => {
+    expect(detectLanguage(SPANISH)).toBe('es');
+    expect(detectLanguage(FRENCH)).toBe('fr');
+    expect(detectLanguage(GERMAN)).toBe('de');
+    expect(detectLanguage(ENGLISH)).toBe('en');
+    // Too short to tell
+    expect(detectLanguage('Mitose')).toBe('en');
+    expect(languageFromOcrCode('deu')).toBe('de');
+    expect(languageFromOcrCode(ALL_OCR_LANGUAGES)).toBeNull();
+  });
+
+  it('should tokenize accented words and French elisions', () => {
+    expect(tokenizeWords("L'atome d'hydrogène", 'fr')).toEqual([
+      'le',
+      'atome',
+      'de',
+      'hydrogène',
+    ]);
+    expect(tokenize('La célula tiene un núcleo.', { language: 'es' })).toEqual([
+      'célula',
+      'núcleo',
+    ]);
+    expect(
+      tokenizeUtils("L'énergie de la cellule", { language: 'fr' })
+    ).toEqual(['énergie', 'cellule']);
+    expect(tokenize('Die Größe der Zelle', { language: 'de' })).toEqual([
+      'größe',
+      'zelle',
+    ]);
+  });
+
+  it('should strip articles and count syllables per language', () => {
+    expect(stripArticle('La fotosíntesis', 'es')).toBe('fotosíntesis');
+    expect(stripArticle("l'osmose", 'fr')).toBe('osmose');
+    expect(stripArticle('Die Zelle', 'de')).toBe('Zelle');
+    expect(stripArticle('A cell', 'en')).toBe('A cell');
+
+    expect(countSyllables('poeta', 'es')).toBe(3);
+    expect(countSyllables('molécule', 'fr')).toBe(3);
+    expect(countSyllables('Photosynthese', 'de')).toBe(5);
+    expect(countSyllables('make', 'en')).toBe(1);
+  });
+
+  it('should score reading ease with the formula for each language', () => {
+    expect(readingEase(ENGLISH, 'en').formula).toBe('Flesch');
+    expect(readingEase(SPANISH, 'es').formula).toBe('Fernández Huerta');
+    expect(readingEase(FRENCH, 'fr').formula).toBe('Kandel–Moles');
+    const german = readingEase(GERMAN, 'de');
+    expect(german).toMatchObject({ formula: 'Amstad', sentences: 3 });
+    expect(german.score).toBeCloseTo(
+      180 - german.avgWordsPerSentence - 58.5 * german.avgSyllablesPerWord
+    );
+    expect(readingEase('', 'en')).toBeNull();
+  });
+
+  it('should extract concepts with each language’s definition patterns', () => {
+    const names = (text, language) =>
+      extractConcepts(text, { language }).map((c) => c.concept);
+
+    expect(names(SPANISH, 'es')).toEqual(
+      expect.arrayContaining(['Fotosíntesis', 'Células', 'Mitosis'])
+    );
+    expect(names(FRENCH, 'fr')).toEqual(
+      expect.arrayContaining(['Photosynthèse', 'Mitose', 'Osmose'])
+    );
+    // German nouns keep their capitals
+    expect(names(GERMAN, 'de')).toEqual(
+      expect.arrayContaining(['Photosynthese', 'Osmose', 'Zellmembran'])
+    );
+    expect(
+      extractConcepts(SPANISH, { language: 'es' }).find(
+        (c) => c.concept === 'Fotosíntesis'
+      ).definition
+    ).toBe('el proceso por el cual las plantas producen su propio alimento');
+  });
+
+  it('should record the language on imported topics', () => {
+    const topic = buildTopicObject('Biología', SPANISH);
+    expect(topic.language).toBe('es');
+    expect(topic.concepts.map((c) => c.concept)).toContain('Fotosíntesis');
+    expect(topic.keywords).not.toContain('las');
+
+    expect(buildTopicObject('Notes', ENGLISH).language).toBe('en');
+    expect(
+      buildTopicObject('Biologie', SPANISH, { language: 'fr' }).language
+    ).toBe('fr');
+    expect(
+      buildTopicObject('Scan', { content: GERMAN, language: 'de' }).language
+    ).toBe('de');
+    expect(
+      flashcardsToTopic('Vokabeln', [
+        {
+          term: 'Zelle',
+          definition:
+            'Die kleinste Einheit des Lebens, die sich selbst vermehren kann',
+          tags: [],
+        },
+      ]).language
+    ).toBe('de');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for learning analytics derived from quiz and chat history
+ * Covers study-time detection, trends, concept gaps and data thresholds
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildHistoryModel,
+  generateLearningInsights,
+  analyzeLearningPatterns,
+} from '../src/utils/learningAnalytics.js';
+
+function attempt(day, hour, score, results = []) {
+  return {
+    topic: 'Biology',
+    score,
+    timestamp: new Date(2024, 0, day, hour, 15).toISOString(),
+    results,
+  };
+}
+
+function result(concept, isCorrect, type = 'mcq') {
+  return {
+    conceptTested: concept,
+    isCorrect,
+    type,
+    partialScore: isCorrect ? 100 : 0,
+  };
+}
+
+describe('Learning Analytics', () => {
+  describe('buildHistoryModel', () => {
+    it('should order attempts chronologically and aggregate concept mastery', () => {
+      const model = buildHistoryModel([
+        attempt(3, 9, 50, [result('Osmosis', false)]),
+        attempt(1, 9, 100, [result('Osmosis', true), result('Mitosis', true)]),
+      ]);
+
+      expect(model.learningHistory.map((h) => h.performance)).toEqual([1, 0.5]);
+      const osmosis = model.conceptMastery.get('Osmosis');
+      expect(osmosis.attempts).toBe(2);
+      expect(osmosis.masteryLevel).toBe(0.5);
+      expect(osmosis.commonErrors).toEqual([{ type: 'mcq', count: 1 }]);
+    });
+  });
+
+  describe('generateLearningInsights', () => {
+    it('should return null without quiz history', () => {
+      expect(generateLearningInsights([], [])).toBeNull();
+    });
+
+    it('should find the hour with the highest average score', () => {
+      const history = [
+        attempt(1, 9, 90),
+        attempt(2, 9, 80),
+        attempt(3, 20, 40),
+        attempt(4, 20, 50),
+      ];
+
+      const insights = generateLearningInsights(history, []);
+
+      expect(insights.optimalLearningTime.bestHour).toBe(9);
+      expect(insights.optimalLearningTime.reason).toContain('2 of your last 4');
+    });
+
+    it('should withhold the study time with too few quizzes', () => {
+      const insights = generateLearningInsights(
+        [attempt(1, 9, 90), attempt(2, 10, 80)],
+        []
+      );
+
+      expect(insights.optimalLearningTime).toBeNull();
+      expect(insights.nextPerformance.value).toBeCloseTo(0.85);
+    });
+  });
+
+  describe('analyzeLearningPatterns', () => {
+    it('should report an improving trajectory from rising scores', () => {
+      const history = [40, 50, 60, 70, 80, 90].map((score, i) =>
+        attempt(i + 1, 10, score)
+      );
+
+      const patterns = analyzeLearningPatterns(history, []);
+
+      expect(patterns.conceptual.learningProgression.overallTrajectory).toBe(
+        'improving'
+      );
+    });
+
+    it('should report a declining trajectory from falling scores', () => {
+      const history = [90, 80, 70, 60, 50].map((score, i) =>
+        attempt(i + 1, 10, score)
+      );
+
+      const patterns = analyzeLearningPatterns(history, []);
+
+      expect(patterns.conceptual.learningProgression.overallTrajectory).toBe(
+        'declining'
+      );
+    });
+
+    it('should not guess a trajectory from sparse data', () => {
+      const patterns = analyzeLearningPatterns([attempt(1, 10, 90)], []);
+
+      expect(
+        patterns.conceptual.learningProgression.overallTrajectory
+      ).toBeNull();
+      expect(patterns.temporal.optimalStudyHour).toBeNull();
+    });
+
+    it('should list repeatedly missed concepts as knowledge gaps', () => {
+      const history = [
+        attempt(1, 10, 50, [result('Osmosis', false), result('Mitosis', true)]),
+        attempt(2, 10, 50, [result('Osmosis', false), result('Mitosis', true)]),
+      ];
+
+      const patterns = analyzeLearningPatterns(history, []);
+
+      expect(patterns.conceptual.knowledgeGaps.map((g) => g.concept)).toEqual([
+        'Osmosis',
+      ]);
+      expect(patterns.conceptual.learningProgression.strengthAreas).toEqual([
+        'Mitosis',
+      ]);
+    });
+
+    it('should compare recognition and recall question types', () => {
+      const history = [
+        attempt(1, 10, 50, [
+          result('A', true, 'mcq'),
+          result('B', true, 'mcq'),
+          result('C', false, 'shortanswer'),
+          result('D', false, 'shortanswer'),
+        ]),
+      ];
+
+      const { cognitive } = analyzeLearningPatterns(history, []);
+
+      expect(cognitive.dominantQuestionType).toBe('mcq');
+      expect(cognitive.learningApproach).toBe('recognition_focused');
+      expect(cognitive.cognitiveStrengths).toEqual(['recognition']);
+    });
+
+    it('should count chat activity toward study consistency', () => {
+      const now = new Date(2024, 0, 14, 18, 0);
+      const chat = [
+        { role: 'user', timestamp: new Date(2024, 0, 12, 9).toISOString() },
+        { role: 'assistant', timestamp: new Date(2024, 0, 11).toISOString() },
+      ];
+
+      const patterns = analyzeLearningPatterns(
+        [attempt(13, 10, 80)],
+        chat,
+        now
+      );
+
+      expect(patterns.temporal.studyConsistency).toBeCloseTo(2 / 14);
+    });
+
+    it('should only report bounce-back after a low score', () => {
+      expect(
+        analyzeLearningPatterns([attempt(1, 10, 80)], []).emotional
+      ).toBeNull();
+
+      const patterns = analyzeLearningPatterns(
+        [attempt(1, 10, 40), attempt(2, 10, 90)],
+        []
+      );
+      expect(patterns.emotional.emotionalResilience.recoveryRate).toBe(1);
+    });
+  });
+});
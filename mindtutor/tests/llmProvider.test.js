@@ -0,0 +1,233 @@
+// @vitest-environment node
+/**
+ * Tests for llmProvider.js against a local mock HTTP server
+ * Covers chat, streaming, retries, timeouts and cancellation
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'node:http';
+import { LLMProvider } from '../src/utils/llmProvider.js';
+
+let server;
+let baseUrl;
+let handler;
+let requests;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ url: req.url, headers: req.headers, body: parsed });
+      handler(req, res, parsed);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections?.();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+function sendJSON(res, status, json) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(json));
+}
+
+function createProvider(options = {}) {
+  return new LLMProvider({
+    apiKey: 'sk-test-key',
+    provider: 'openai',
+    baseUrl,
+    retryDelayMs: 5,
+    ...options,
+  });
+}
+
+describe('LLMProvider', () => {
+  describe('chat', () => {
+    it('should send an OpenAI-compatible request and return the content', async () => {
+      handler = (req, res) =>
+        sendJSON(res, 200, {
+          model: 'test-model',
+          choices: [
+            { message: { role: 'assistant', content: 'Osmosis is...' } },
+          ],
+          usage: { total_tokens: 12 },
+        });
+
+      const result = await createProvider().chat([
+        { role: 'user', content: 'What is osmosis?' },
+      ]);
+
+      expect(result.content).toBe('Osmosis is...');
+      expect(result.usage.total_tokens).toBe(12);
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].headers.authorization).toBe('Bearer sk-test-key');
+      expect(requests[0].body.messages[0].content).toBe('What is osmosis?');
+      expect(requests[0].body.stream).toBe(false);
+    });
+
+    it('should use the Anthropic message format for the anthropic provider', async () => {
+      handler = (req, res) =>
+        sendJSON(res, 200, {
+          model: 'claude',
+          content: [{ type: 'text', text: 'Hello from Claude' }],
+        });
+
+      const provider = createProvider({ provider: 'anthropic' });
+      const result = await provider.chat([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+      ]);
+
+      expect(result.content).toBe('Hello from Claude');
+      expect(requests[0].url).toBe('/v1/messages');
+      expect(requests[0].headers['x-api-key']).toBe('sk-test-key');
+      expect(requests[0].body.system).toBe('Be brief.');
+      expect(requests[0].body.messages).toEqual([
+        { role: 'user', content: 'Hi' },
+      ]);
+    });
+
+    it('should retry transient server errors', async () => {
+      let calls = 0;
+      handler = (req, res) => {
+        calls++;
+        if (calls < 3) {
+          sendJSON(res, 503, { error: 'busy' });
+          return;
+        }
+        sendJSON(res, 200, { choices: [{ message: { content: 'ok' } }] });
+      };
+
+      const result = await createProvider().chat([
+        { role: 'user', content: 'x' },
+      ]);
+
+      expect(result.content).toBe('ok');
+      expect(calls).toBe(3);
+    });
+
+    it('should not retry client errors', async () => {
+      handler = (req, res) => sendJSON(res, 401, { error: 'bad key' });
+
+      await expect(
+        createProvider().chat([{ role: 'user', content: 'x' }])
+      ).rejects.toMatchObject({ name: 'LLMProviderError', status: 401 });
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should give up after maxRetries attempts', async () => {
+      handler = (req, res) => sendJSON(res, 500, { error: 'down' });
+
+      await expect(
+        createProvider({ maxRetries: 1 }).chat([{ role: 'user', content: 'x' }])
+      ).rejects.toMatchObject({ status: 500 });
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should time out slow responses', async () => {
+      handler = (req, res) => {
+        setTimeout(() => sendJSON(res, 200, { choices: [] }), 500);
+      };
+
+      await expect(
+        createProvider({ timeoutMs: 50, maxRetries: 0 }).chat([
+          { role: 'user', content: 'x' },
+        ])
+      ).rejects.toThrow(/did not respond within 50ms/);
+    });
+
+    it('should reject with an AbortError when cancelled', async () => {
+      handler = (req, res) => {
+        setTimeout(() => sendJSON(res, 200, { choices: [] }), 500);
+      };
+
+      const controller = new AbortController();
+      const pending = createProvider().chat([{ role: 'user', content: 'x' }], {
+        signal: controller.signal,
+      });
+      setTimeout(() => controller.abort(), 20);
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  describe('stream', () => {
+    it('should yield OpenAI server-sent event deltas in order', async () => {
+      handler = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const text of ['Cells ', 'are ', 'small.']) {
+          res.write(
+            `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`
+          );
+        }
+        res.end('data: [DONE]\n\n');
+      };
+
+      const deltas = [];
+      for await (const delta of createProvider().stream([
+        { role: 'user', content: 'x' },
+      ])) {
+        deltas.push(delta);
+      }
+
+      expect(deltas).toEqual(['Cells ', 'are ', 'small.']);
+      expect(requests[0].body.stream).toBe(true);
+    });
+
+    it('should yield Anthropic content_block_delta events', async () => {
+      handler = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('event: message_start\ndata: {"type":"message_start"}\n\n');
+        res.write(
+          'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n\n'
+        );
+        res.end('event: message_stop\ndata: {"type":"message_stop"}\n\n');
+      };
+
+      const deltas = [];
+      for await (const delta of createProvider({
+        provider: 'anthropic',
+      }).stream([{ role: 'user', content: 'x' }])) {
+        deltas.push(delta);
+      }
+
+      expect(deltas).toEqual(['Hi']);
+    });
+
+    it('should stop streaming when cancelled', async () => {
+      handler = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(
+          `data: ${JSON.stringify({ choices: [{ delta: { content: 'first' } }] })}\n\n`
+        );
+        // Never finishes on its own
+      };
+
+      const controller = new AbortController();
+      const deltas = [];
+      const consume = async () => {
+        for await (const delta of createProvider().stream(
+          [{ role: 'user', content: 'x' }],
+          { signal: controller.signal }
+        )) {
+          deltas.push(delta);
+          controller.abort();
+        }
+      };
+
+      await expect(consume()).rejects.toMatchObject({ name: 'AbortError' });
+      expect(deltas).toEqual(['first']);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the Markdown parser, LaTeX conversion and safe rendering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import {
+  markdownToAst,
+  parseInline,
+  sanitizeUrl,
+} from '../src/utils/markdown.js';
+import { latexToMathTree } from '../src/utils/latexMath.js';
+import MarkdownContent from '../src/components/MarkdownContent';
+
+describe('Markdown', () => {
+  describe('markdownToAst', () => {
+    it('should parse headings, nested lists and code blocks', () => {
+      const ast = markdownToAst(
+        '## Cells\n\n- Nucleus\n  1. DNA\n- Membrane\n\n```js\nconst a = 1;\n```'
+      );
+
+      expect(ast.map((block) => block.type)).toEqual([
+        'heading',
+        'list',
+        'code',
+      ]);
+      expect(ast[1].items[0].children[1]).toMatchObject({
+        type: 'list',
+        ordered: true,
+      });
+      expect(ast[2]).toEqual({
+        type: 'code',
+        lang: 'js',
+        text: 'const a = 1;',
+      });
+    });
+
+    it('should parse GFM tables with alignment', () => {
+      const [table] = markdownToAst(
+        '| Planet | Moons |\n|:--|--:|\n| Mars | 2 |\n| Earth |'
+      );
+
+      expect(table.type).toBe('table');
+      expect(table.align).toEqual(['left', 'right']);
+      expect(table.rows).toHaveLength(2);
+      expect(table.rows[1][1]).toEqual([]);
+    });
+
+    it('should keep prices as text but parse inline and block math', () => {
+      const [paragraph, block] = markdownToAst(
+        'It costs $5 or $10, and $E=mc^2$.\n\n$$\n\\frac{a}{b}\n$$'
+      );
+
+      expect(paragraph.children.filter((n) => n.type === 'inlineMath')).toEqual(
+        [{ type: 'inlineMath', text: 'E=mc^2' }]
+      );
+      expect(block).toEqual({ type: 'math', text: '\\frac{a}{b}' });
+    });
+  });
+
+  describe('parseInline', () => {
+    it('should leave intraword underscores alone', () => {
+      expect(parseInline('snake_case_name and _this_')).toEqual([
+        { type: 'text', text: 'snake_case_name and ' },
+        { type: 'emphasis', children: [{ type: 'text', text: 'this' }] },
+      ]);
+    });
+  });
+
+  describe('sanitizeUrl', () => {
+    it('should allow web, mail and relative links only', () => {
+      expect(sanitizeUrl('https://example.com/a')).toBe(
+        'https://example.com/a'
+      );
+      expect(sanitizeUrl('mailto:tutor@example.com')).toBeTruthy();
+      expect(sanitizeUrl('#notes')).toBe('#notes');
+      expect(sanitizeUrl('javascript:alert(1)')).toBeNull();
+      expect(sanitizeUrl(' java\tscript:alert(1)')).toBeNull();
+      expect(sanitizeUrl('data:text/html,<b>x</b>')).toBeNull();
+    });
+
+    it('should return safe links unchanged', () => {
+      expect(sanitizeUrl('https://example.com/a b')).toBe(
+        'https://example.com/a b'
+      );
+      expect(sanitizeUrl('notes\tpage.html')).toBe('notes\tpage.html');
+    });
+  });
+
+  describe('latexToMathTree', () => {
+    it('should build fractions, scripts and symbols', () => {
+      const math = latexToMathTree('\\frac{\\alpha}{x^2}', { display: true });
+      const [fraction] = math.children[0].children;
+
+      expect(math.attrs.display).toBe('block');
+      expect(fraction.tag).toBe('mfrac');
+      expect(fraction.children[0].children[0].text).toBe('α');
+      expect(fraction.children[1].tag).toBe('msup');
+    });
+  });
+
+  describe('MarkdownContent', () => {
+    it('should render HTML in the source as text', () => {
+      const { container } = render(
+        <MarkdownContent
+          content={
+            '<script>alert(1)</script> <img src=x onerror=alert(1)>\n\n' +
+            '[click](javascript:alert(1)) **safe**'
+          }
+        />
+      );
+
+      expect(container.querySelector('script')).toBeNull();
+      expect(container.querySelector('img')).toBeNull();
+      expect(container.querySelector('a')).toBeNull();
+      expect(container.textContent).toContain('<script>alert(1)</script>');
+      expect(container.querySelector('strong').textContent).toBe('safe');
+    });
+
+    it('should render tables and math elements', () => {
+      const { container } = render(
+        <MarkdownContent content={'| a | b |\n|---|---|\n| 1 | $x^2$ |'} />
+      );
+
+      expect(container.querySelectorAll('td')).toHaveLength(2);
+      expect(container.querySelector('td math msup')).not.toBeNull();
+    });
+  });
+});
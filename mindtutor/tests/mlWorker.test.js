@@ -0,0 +1,120 @@
+/* global AbortController */
+/**
+ * Tests for the ML worker protocol, its client and versioned model storage
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as tf from '@tensorflow/tfjs';
+import { createMLMessageHandler } from '../src/utils/mlWorker.js';
+import {
+  MLWorkerClient,
+  migrateLegacyModels,
+} from '../src/utils/mlWorkerClient.js';
+import {
+  getModelStorageUrl,
+  MODEL_VERSIONS,
+} from '../src/utils/machineLearning.js';
+
+// Trains for five "epochs", yielding between them like model.fit does
+function createSlowTrainer() {
+  return {
+    models: new Map(),
+    getModelStatus: () => ({}),
+    saveModel: async () => true,
+    async trainPerformanceModel(_data, options) {
+      for (let epoch = 1; epoch <= 5; epoch++) {
+        options.onProgress({
+          model: 'performancePrediction',
+          epoch,
+          epochs: 5,
+        });
+        if (options.shouldStop()) return null;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+      return {};
+    },
+  };
+}
+
+describe('ML worker', () => {
+  it('should report progress and save the trained model', async () => {
+    const messages = [];
+    const handle = createMLMessageHandler(createSlowTrainer(), (message) =>
+      messages.push(message)
+    );
+
+    await handle({
+      id: 1,
+      type: 'train',
+      payload: { model: 'performancePrediction', data: [] },
+    });
+
+    expect(messages.filter((m) => m.status === 'progress')).toHaveLength(5);
+    expect(messages.at(-1)).toMatchObject({
+      id: 1,
+      status: 'done',
+      result: { trained: true, saved: true },
+    });
+  });
+
+  it('should stop training when the job is cancelled', async () => {
+    const messages = [];
+    const handle = createMLMessageHandler(createSlowTrainer(), (message) => {
+      messages.push(message);
+      if (message.progress?.epoch === 2) handle({ id: 7, type: 'cancel' });
+    });
+
+    await handle({
+      id: 7,
+      type: 'train',
+      payload: { model: 'performancePrediction', data: [] },
+    });
+
+    expect(messages.filter((m) => m.status === 'progress')).toHaveLength(2);
+    expect(messages.at(-1)).toEqual({ id: 7, status: 'cancelled' });
+  });
+
+  it('should run jobs in the page when workers are unavailable', async () => {
+    const client = new MLWorkerClient();
+    const [features] = await client.extractFeatures([
+      'An atom is small. What is a cell?',
+    ]);
+
+    expect(features).toMatchObject({ wordCount: 8, questionCount: 1 });
+    await expect(client.run('unknownJob')).rejects.toThrow(/Unknown ML job/);
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      client.run(
+        'extractFeatures',
+        { texts: [] },
+        { signal: controller.signal }
+      )
+    ).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('should store models in IndexedDB under a version tag', () => {
+    expect(getModelStorageUrl('performancePrediction')).toBe(
+      `indexeddb://mindtutor-performancePrediction-v${MODEL_VERSIONS.performancePrediction}`
+    );
+  });
+
+  it('should move models saved to localStorage before the worker starts', async () => {
+    localStorage.clear();
+    expect(await migrateLegacyModels()).toEqual([]);
+    expect(tf.io.moveModel).not.toHaveBeenCalled();
+
+    localStorage.setItem(
+      'tensorflowjs_models/performancePrediction/info',
+      '{}'
+    );
+    tf.io.moveModel.mockResolvedValueOnce({});
+    expect(await migrateLegacyModels()).toEqual(['performancePrediction']);
+    expect(tf.io.moveModel).toHaveBeenCalledWith(
+      'localstorage://performancePrediction',
+      getModelStorageUrl('performancePrediction')
+    );
+    localStorage.clear();
+  });
+});
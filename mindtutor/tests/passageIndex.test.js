@@ -0,0 +1,182 @@
+/**
+ * Tests for the cross-topic passage index used to route chat questions
+ * Covers passage splitting, BM25 ranking, incremental sync and embeddings
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  PassageIndex,
+  buildPassages,
+  hashTrigrams,
+  PASSAGE_SIZE,
+} from '../src/utils/passageIndex.js';
+import {
+  clearSearchPassages,
+  getTopic,
+  loadSearchPassages,
+  loadTopicChunks,
+  saveSearchPassages,
+  saveTopic,
+  saveTopicChunks,
+} from '../src/utils/storage.js';
+
+const STORE = {
+  loadPassages: loadSearchPassages,
+  savePassages: saveSearchPassages,
+  clearPassages: clearSearchPassages,
+  loadChunks: loadTopicChunks,
+  getTopic,
+};
+
+const TOPICS = {
+  Volcanoes: {
+    createdAt: '2024-01-01',
+    raw: 'Magma rises through the crust and erupts as lava. Basalt forms when lava cools quickly.',
+  },
+  Glaciers: {
+    createdAt: '2024-01-02',
+    raw: 'Glaciers carve U-shaped valleys. Moraines are ridges of debris left by retreating ice.',
+  },
+  Markets: {
+    createdAt: '2024-01-03',
+    raw: 'Prices rise when demand exceeds supply. Inflation is a sustained rise in prices.',
+  },
+};
+
+describe('Passage Index', () => {
+  let index;
+
+  beforeEach(() => {
+    localStorage.clear();
+    index = new PassageIndex(STORE);
+  });
+
+  describe('buildPassages', () => {
+    it('should split chunks into passages that keep page numbers', () => {
+      const longPage = 'Lava flows downhill. '.repeat(120);
+      const passages = buildPassages(
+        'Volcanoes',
+        { createdAt: 'v1', sourcePages: [{ pageNumber: 4, pageLabel: 'iv' }] },
+        [{ index: 0, text: longPage, pageNumber: 4 }]
+      );
+
+      expect(passages.length).toBeGreaterThan(1);
+      expect(passages.every((p) => p.text.length <= PASSAGE_SIZE)).toBe(true);
+      expect(passages[1]).toMatchObject({
+        id: 'Volcanoes::1',
+        pageNumber: 4,
+        pageLabel: 'iv',
+        version: 'v1',
+      });
+      expect(passages[0].termFreq.lava).toBeGreaterThan(1);
+    });
+  });
+
+  describe('search', () => {
+    it('should find the best passages across topics', async () => {
+      await index.sync(TOPICS);
+
+      const results = await index.search('Why does inflation push prices up?');
+
+      expect(results[0].topic).toBe('Markets');
+      expect(results.map((r) => r.topic)).not.toContain('Glaciers');
+    });
+
+    it('should restrict results to the given topics', async () => {
+      await index.sync(TOPICS);
+
+      const results = await index.search('lava and ice', {
+        topics: ['Glaciers'],
+      });
+
+      expect(results.map((r) => r.topic)).toEqual(['Glaciers']);
+    });
+
+    it('should index stored chunks rather than the raw preview', async () => {
+      await saveTopicChunks('Volcanoes', [
+        { index: 0, text: 'Preview text.' },
+        { index: 1, text: 'Pyroclastic flows are fast clouds of hot gas.' },
+      ]);
+      await index.sync({ Volcanoes: TOPICS.Volcanoes });
+
+      const [result] = await index.search('pyroclastic');
+
+      expect(result.text).toContain('Pyroclastic flows');
+    });
+  });
+
+  describe('sync', () => {
+    it('should reindex re-imported topics and drop deleted ones', async () => {
+      await index.sync(TOPICS);
+
+      await index.sync({
+        Volcanoes: {
+          createdAt: '2024-02-01',
+          raw: 'Calderas form when a magma chamber empties.',
+        },
+      });
+
+      expect(await index.search('basalt')).toEqual([]);
+      expect((await index.search('caldera calderas'))[0].topic).toBe(
+        'Volcanoes'
+      );
+
+      const stored = await loadSearchPassages();
+      expect(new Set(stored.map((p) => p.topic))).toEqual(
+        new Set(['Volcanoes'])
+      );
+
+      // A fresh index picks up the persisted passages without reindexing
+      const reloaded = new PassageIndex(STORE);
+      await reloaded.load();
+      expect((await reloaded.search('calderas'))[0].topic).toBe('Volcanoes');
+    });
+
+    it('should keep passages of stored topics missing from the map', async () => {
+      for (const [topicName, topic] of Object.entries(TOPICS)) {
+        await saveTopic(topicName, { ...topic, name: topicName });
+      }
+      await index.sync(TOPICS);
+
+      // Before the library has loaded, and while another profile is active
+      await index.sync({});
+      await index.sync({ Markets: TOPICS.Markets });
+
+      const stored = await loadSearchPassages();
+      expect(new Set(stored.map((p) => p.topic))).toEqual(
+        new Set(Object.keys(TOPICS))
+      );
+      expect((await index.search('moraines'))[0].topic).toBe('Glaciers');
+    });
+  });
+
+  describe('embeddings', () => {
+    it('should turn fuzzy search back on only when asked', () => {
+      localStorage.setItem('mindtutor_semantic_search', 'on');
+      expect(index.embedder).toBeNull();
+
+      index.restoreEmbeddingsPreference();
+
+      expect(index.embedder.id).toBe('trigram-256');
+    });
+
+    it('should match inflected words through trigram embeddings', async () => {
+      // Same vectors as createTrigramEmbedder, without TF.js (mocked in tests)
+      index.setEmbedder({
+        id: 'trigram-test',
+        embed: async (texts) =>
+          texts.map((text) => {
+            const counts = Array.from(hashTrigrams(text, 128), Math.log1p);
+            const norm = Math.hypot(...counts) || 1;
+            return counts.map((count) => count / norm);
+          }),
+      });
+      await index.sync(TOPICS);
+
+      // No exact term in common with any passage
+      const results = await index.search('glacial morainal');
+
+      expect(results[0].topic).toBe('Glaciers');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Tests for PDF layout reconstruction from pdf.js text items
+ * Covers headings, lists, columns, page labels, citations and OCR pages
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  groupTextLines,
+  layoutPdfPages,
+  isImageOnlyPage,
+  ocrTextToBlocks,
+  formatPageCitation,
+  buildSourcePages,
+  findCitedPages,
+} from '../src/utils/pdfLayout.js';
+import { PDFProcessor } from '../src/utils/documentProcessor.js';
+
+const PAGE = { width: 600, height: 800 };
+
+/**
+ * A pdf.js-style text item; width is estimated from the font size
+ */
+function item(str, x, y, size = 10, fontName = 'F1') {
+  return {
+    str,
+    transform: [size, 0, 0, size, x, y],
+    width: str.length * size * 0.5,
+    height: size,
+    fontName,
+  };
+}
+
+function page(pageNumber, items) {
+  return { pageNumber, ...PAGE, items, styles: {} };
+}
+
+describe('PDF Layout', () => {
+  describe('groupTextLines', () => {
+    it('should join items on a baseline and split at a column gutter', () => {
+      const lines = groupTextLines([
+        item('Cells are', 50, 700),
+        item('small.', 100, 700),
+        item('Energy flows', 320, 700),
+      ]);
+
+      expect(lines.map((l) => l.text)).toEqual([
+        'Cells are small.',
+        'Energy flows',
+      ]);
+    });
+
+    it('should mark lines set in a bold font', () => {
+      const [line] = groupTextLines([item('Summary', 50, 700, 10, 'F2')], {
+        F2: { fontFamily: 'Helvetica-Bold' },
+      });
+
+      expect(line.bold).toBe(true);
+    });
+  });
+
+  describe('layoutPdfPages', () => {
+    it('should rebuild headings, paragraphs and lists with page numbers', () => {
+      const layout = layoutPdfPages([
+        page(1, [
+          item('Cell Biology', 50, 740, 20),
+          item('Organelles', 50, 700, 14),
+          item('Cells contain many organelles that', 50, 680),
+          item('carry out special-', 50, 668),
+          item('ized jobs.', 50, 656),
+          item('• Nucleus', 50, 620),
+          item('• Mitochondria', 50, 608),
+          item('12', 295, 30),
+        ]),
+        page(2, [
+          item('Transport', 50, 740, 14),
+          item('Figure 2.1 Osmosis across a membrane', 50, 700),
+          item('Water moves by osmosis.', 50, 660),
+        ]),
+      ]);
+
+      expect(layout.outline).toEqual([
+        { title: 'Cell Biology', level: 1, page: 1 },
+        { title: 'Organelles', level: 2, page: 1 },
+        { title: 'Transport', level: 2, page: 2 },
+      ]);
+      expect(layout.sections[1].content).toContain(
+        'Cells contain many organelles that carry out specialized jobs.'
+      );
+      expect(layout.sections[1].lists).toEqual([
+        { ordered: false, items: ['Nucleus', 'Mitochondria'] },
+      ]);
+      expect(layout.sections[2]).toMatchObject({ startPage: 2, endPage: 2 });
+
+      expect(layout.pages[0].pageLabel).toBe('12');
+      expect(layout.pages[0].text).not.toMatch(/\b12\b/);
+      expect(layout.pages[1].figures).toEqual([
+        'Figure 2.1 Osmosis across a membrane',
+      ]);
+    });
+
+    it('should read a two-column page left column first', () => {
+      const rows = [700, 688, 676];
+      const layout = layoutPdfPages([
+        page(1, [
+          ...rows.map((y, i) => item(`Left line ${i + 1}`, 50, y)),
+          ...rows.map((y, i) => item(`Right line ${i + 1}`, 320, y)),
+        ]),
+      ]);
+
+      expect(layout.pages[0].columns).toBe(2);
+      expect(layout.content).toBe(
+        'Left line 1 Left line 2 Left line 3\n\nRight line 1 Right line 2 Right line 3'
+      );
+    });
+  });
+
+  describe('citations', () => {
+    const sourcePages = buildSourcePages([
+      {
+        pageNumber: 3,
+        pageLabel: '12',
+        headings: ['Osmosis'],
+        text: 'Water crosses membranes by osmosis.',
+      },
+      {
+        pageNumber: 4,
+        pageLabel: null,
+        headings: [],
+        text: 'Mitochondria release energy from glucose.',
+      },
+      { pageNumber: 5, pageLabel: null, headings: [], text: '' },
+    ]);
+
+    it('should prefer the printed page label', () => {
+      expect(formatPageCitation(sourcePages[0])).toBe('p. 12');
+      expect(formatPageCitation(sourcePages[1])).toBe('p. 4');
+      expect(sourcePages).toHaveLength(2);
+    });
+
+    it('should rank pages by shared words', () => {
+      const cited = findCitedPages(
+        sourcePages,
+        'How does water move by osmosis?'
+      );
+
+      expect(cited.map((p) => p.pageNumber)).toEqual([3]);
+      expect(findCitedPages(sourcePages, 'a b')).toEqual([]);
+      expect(findCitedPages(undefined, 'osmosis')).toEqual([]);
+    });
+  });
+
+  describe('scanned pages', () => {
+    it('should treat pages without a text layer as image-only', () => {
+      expect(isImageOnlyPage([])).toBe(true);
+      expect(isImageOnlyPage([item('  ', 0, 0), item('12', 0, 0)])).toBe(true);
+      expect(isImageOnlyPage([item('Photosynthesis makes sugar', 0, 0)])).toBe(
+        false
+      );
+    });
+
+    it('should split OCR text into paragraphs and lists', () => {
+      const blocks = ocrTextToBlocks(
+        'Worksheet 3\nName the parts of a cell.\n\n1. Nucleus\n2. Membrane\nLabel the diagram be-\nlow.',
+        4
+      );
+
+      expect(blocks).toEqual([
+        {
+          type: 'paragraph',
+          text: 'Worksheet 3 Name the parts of a cell.',
+          pageNumber: 4,
+        },
+        {
+          type: 'list',
+          ordered: true,
+          items: ['Nucleus', 'Membrane'],
+          pageNumber: 4,
+        },
+        { type: 'paragraph', text: 'Label the diagram below.', pageNumber: 4 },
+      ]);
+    });
+
+    it('should merge OCR and digital pages in page order', async () => {
+      const textPage = (str) => ({
+        getViewport: () => ({ width: 600, height: 800 }),
+        getTextContent: async () => ({
+          items: [item(str, 50, 700)],
+          styles: {},
+        }),
+      });
+      const scannedPage = {
+        getViewport: () => ({ width: 600, height: 800 }),
+        getTextContent: async () => ({ items: [], styles: {} }),
+      };
+      const pdfPages = [
+        textPage('Digital page one text'),
+        scannedPage,
+        textPage('Digital page three text'),
+      ];
+
+      const processor = new PDFProcessor();
+      processor.pdfDocument = {
+        numPages: 3,
+        getPage: async (n) => pdfPages[n - 1],
+        getMetadata: async () => ({ info: {} }),
+      };
+      const recognize = vi
+        .spyOn(processor, 'recognizePage')
+        .mockResolvedValue({ text: 'Scanned worksheet text', confidence: 87 });
+      const progress = [];
+
+      const result = await processor.extractStructure({
+        onProgress: (p) => progress.push(`${p.pageIndex}:${p.stage}`),
+      });
+
+      expect(recognize).toHaveBeenCalledTimes(1);
+      expect(result.content).toBe(
+        'Digital page one text\n\nScanned worksheet text\n\nDigital page three text'
+      );
+      expect(result.pages.map((p) => p.source)).toEqual([
+        'text',
+        'ocr',
+        'text',
+      ]);
+      expect(result.pages[1].ocrConfidence).toBe(87);
+      expect(result.ocrPages).toEqual([
+        { pageNumber: 2, confidence: 87, error: null },
+      ]);
+      expect(progress).toEqual(['1:text', '2:ocr', '2:ocr_done', '3:text']);
+    });
+  });
+});
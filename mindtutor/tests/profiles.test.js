@@ -0,0 +1,210 @@
+/**
+ * Tests for learner profiles and the per-profile partitioning of storage
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_PROFILE_ID,
+  profileManager,
+  profileRecordId,
+} from '../src/utils/profiles.js';
+import {
+  deleteProfileData,
+  exportAllData,
+  importAllData,
+  loadAllTopics,
+  loadChatHistory,
+  loadDiagnostics,
+  loadQuizHistory,
+  loadReviewCards,
+  loadStudyPlan,
+  recordReviewResults,
+  saveConversation,
+  saveDiagnostics,
+  saveQuizAttempt,
+  saveStudyPlan,
+  saveTopic,
+} from '../src/utils/storage.js';
+import { createConversation } from '../src/utils/conversations.js';
+
+const chat = (content, topic = null) =>
+  saveConversation({
+    ...createConversation({ topic }),
+    messages: [{ role: 'user', content, topic }],
+  });
+
+describe('Learner profiles', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    profileManager.state = null;
+  });
+
+  it('should start with the default profile and manage others', async () => {
+    expect(profileManager.getActiveId()).toBe(DEFAULT_PROFILE_ID);
+
+    const sam = await profileManager.createProfile('  Sam ', { pin: '1234' });
+    expect(sam).toMatchObject({ name: 'Sam', hasPin: true });
+    expect(JSON.parse(localStorage.getItem('mindtutor_profiles'))).toEqual(
+      expect.objectContaining({ activeId: DEFAULT_PROFILE_ID })
+    );
+    await expect(profileManager.createProfile('sam')).rejects.toThrow(
+      'already a profile called sam'
+    );
+    await expect(
+      profileManager.createProfile('Kim', { pin: '12' })
+    ).rejects.toThrow('4 to 8 digits');
+
+    await expect(profileManager.switchProfile(sam.id, '9999')).rejects.toThrow(
+      'Wrong PIN'
+    );
+    await profileManager.switchProfile(sam.id, '1234');
+    profileManager.renameProfile(sam.id, 'Samira');
+    expect(profileManager.getActiveProfile().name).toBe('Samira');
+
+    // Read back from localStorage
+    profileManager.state = null;
+    expect(profileManager.getActiveId()).toBe(sam.id);
+
+    await expect(profileManager.deleteProfile(sam.id)).rejects.toThrow(
+      'Wrong PIN'
+    );
+    await profileManager.deleteProfile(sam.id, '1234');
+    expect(profileManager.getActiveId()).toBe(DEFAULT_PROFILE_ID);
+    await expect(
+      profileManager.deleteProfile(DEFAULT_PROFILE_ID)
+    ).rejects.toThrow('last profile');
+  });
+
+  it('should keep history, diagnostics and chat apart per profile', async () => {
+    await saveQuizAttempt({ topic: 'Cells', score: 90 });
+    await chat('Hi');
+    await saveDiagnostics({ weaknesses: ['Cells'] });
+
+    const kim = await profileManager.createProfile('Kim');
+    await profileManager.switchProfile(kim.id);
+    expect(await loadQuizHistory()).toEqual([]);
+    expect(await loadChatHistory()).toEqual([]);
+    expect((await loadDiagnostics()).weaknesses).toEqual([]);
+
+    await saveQuizAttempt({ topic: 'Atoms', score: 40 });
+    await chat('Hello');
+    expect(await loadQuizHistory()).toMatchObject([
+      { topic: 'Atoms', profileId: kim.id },
+    ]);
+
+    await profileManager.switchProfile(DEFAULT_PROFILE_ID);
+    expect((await loadQuizHistory()).map((a) => a.topic)).toEqual(['Cells']);
+    expect((await loadChatHistory()).map((m) => m.content)).toEqual(['Hi']);
+    expect((await loadDiagnostics()).weaknesses).toEqual(['Cells']);
+
+    await deleteProfileData(kim.id);
+    await profileManager.switchProfile(kim.id);
+    expect(await loadQuizHistory()).toEqual([]);
+    expect(await loadChatHistory()).toEqual([]);
+  });
+
+  it('should schedule review cards per profile on shared topics', async () => {
+    await saveTopic('Cells', { topic: 'Cells', concepts: [] });
+    await recordReviewResults([
+      { topic: 'Cells', concept: 'Osmosis', score: 1 },
+    ]);
+
+    const kim = await profileManager.createProfile('Kim');
+    await profileManager.switchProfile(kim.id);
+    expect(await loadReviewCards()).toEqual([]);
+    await recordReviewResults([
+      { topic: 'Cells', concept: 'Osmosis', score: 0 },
+    ]);
+    const [kimCard] = await loadReviewCards('Cells');
+    expect(kimCard).toMatchObject({
+      id: 'Cells::Osmosis',
+      profileId: kim.id,
+      repetitions: 0,
+      lapses: 1,
+    });
+
+    // Kim's lapse leaves the default profile's schedule alone
+    await profileManager.switchProfile(DEFAULT_PROFILE_ID);
+    expect(await loadReviewCards()).toMatchObject([
+      { id: 'Cells::Osmosis', repetitions: 1, lapses: 0 },
+    ]);
+    const exported = await exportAllData({ profileId: DEFAULT_PROFILE_ID });
+    expect(exported.stores.reviewCards).toHaveLength(1);
+    expect(exported.stores.reviewCards[0].profileId).toBe(DEFAULT_PROFILE_ID);
+
+    await deleteProfileData(kim.id);
+    expect(await loadReviewCards('Cells', kim.id)).toEqual([]);
+    expect(await loadReviewCards('Cells')).toHaveLength(1);
+  });
+
+  it('should keep one study plan per profile', async () => {
+    await saveStudyPlan({ id: 'current', examDate: '2026-06-01' });
+    const kim = await profileManager.createProfile('Kim');
+    await profileManager.switchProfile(kim.id);
+    expect(await loadStudyPlan()).toBeNull();
+
+    await saveStudyPlan({ id: 'current', examDate: '2026-07-15' });
+    expect(await loadStudyPlan()).toMatchObject({
+      id: 'current',
+      examDate: '2026-07-15',
+    });
+    const exported = await exportAllData({ profileId: kim.id });
+    expect(exported.stores.studyPlans).toMatchObject([
+      { id: profileRecordId('current', kim.id), profileId: kim.id },
+    ]);
+
+    await profileManager.switchProfile(DEFAULT_PROFILE_ID);
+    expect((await loadStudyPlan()).examDate).toBe('2026-06-01');
+    await deleteProfileData(kim.id);
+    expect(await loadStudyPlan('current', kim.id)).toBeNull();
+    expect(await loadStudyPlan()).not.toBeNull();
+  });
+
+  it('should give private libraries their own topics', async () => {
+    await saveTopic('Shared', { topic: 'Shared', concepts: [] });
+    const ana = await profileManager.createProfile('Ana', {
+      topicLibrary: 'private',
+    });
+    await profileManager.switchProfile(ana.id);
+
+    expect(await loadAllTopics()).toEqual({});
+    await saveTopic('Mine', { topic: 'Mine', concepts: [] });
+    expect(Object.keys(await loadAllTopics())).toEqual(['Mine']);
+    await expect(
+      saveTopic('Shared', { topic: 'Shared', concepts: [] })
+    ).rejects.toThrow('another profile');
+
+    await profileManager.switchProfile(DEFAULT_PROFILE_ID);
+    expect(Object.keys(await loadAllTopics())).toEqual(['Shared']);
+  });
+
+  it('should export one profile and import it into another', async () => {
+    const ana = await profileManager.createProfile('Ana', {
+      topicLibrary: 'private',
+    });
+    await profileManager.switchProfile(ana.id);
+    await saveTopic('Mine', { topic: 'Mine', concepts: [] });
+    await saveQuizAttempt({ id: 5, topic: 'Mine', score: 70 });
+    await chat('Why?', 'Mine');
+    await saveDiagnostics({ weaknesses: ['Mine'] });
+
+    const exported = await exportAllData({ profileId: ana.id });
+    expect(exported.profile).toEqual({ id: ana.id, name: 'Ana' });
+    expect(exported.preferences).toEqual({});
+    expect(exported.stores.diagnostics).toMatchObject([
+      { id: profileRecordId('main', ana.id) },
+    ]);
+
+    const ben = await profileManager.createProfile('Ben');
+    await profileManager.switchProfile(ben.id);
+    await deleteProfileData(ana.id);
+    await importAllData(exported);
+
+    expect((await loadAllTopics()).Mine).not.toHaveProperty('ownerId');
+    expect(await loadQuizHistory()).toMatchObject([
+      { id: 5, profileId: ben.id },
+    ]);
+    expect((await loadChatHistory()).map((m) => m.content)).toEqual(['Why?']);
+    expect((await loadDiagnostics()).weaknesses).toEqual(['Mine']);
+  });
+});
@@ -0,0 +1,172 @@
+/* global DOMParser */
+/**
+ * Tests for quiz export to Moodle XML, GIFT, QTI 2.1 and worksheets
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getExportQuestions,
+  toMoodleXML,
+  toGIFT,
+  toQTIPackage,
+  toWorksheetHTML,
+  toAnswerKeyHTML,
+  exportQuiz,
+} from '../src/utils/quizExport.js';
+import { createZip, openZip } from '../src/utils/zipArchive.js';
+
+const QUIZ = [
+  {
+    id: 'q_1',
+    type: 'mcq',
+    question: 'Which statement best describes Osmosis?',
+    answer: 'Movement of water across a membrane',
+    options: [
+      'Movement of water across a membrane',
+      'Movement of particles from low to high concentration',
+      'Use of energy to move particles',
+    ],
+  },
+  {
+    id: 'q_2',
+    type: 'truefalse',
+    question: 'True or False: Diffusion needs energy.',
+    answer: false,
+    explanation: 'Diffusion is passive.',
+  },
+  {
+    id: 'q_3',
+    type: 'fillblank',
+    question: '_____ is the movement of water across a membrane.',
+    answer: 'Osmosis',
+  },
+  {
+    id: 'q_4',
+    type: 'explain',
+    question: 'Explain Diffusion {with} an example: 1 < 2 & more.',
+    answer: 'The net movement of particles from high to low concentration.',
+    rubric: {
+      keyIdeas: [{ id: 'idea_1', text: 'net movement of particles' }],
+      requiredTerms: [{ term: 'movement', synonyms: ['flow'] }],
+    },
+  },
+];
+
+describe('Quiz export', () => {
+  it('should rebuild questions from attempts saved without them', () => {
+    const questions = getExportQuestions({
+      topic: 'Biology',
+      results: [
+        {
+          questionId: 'q_1',
+          type: 'mcq',
+          question: QUIZ[0].question,
+          correctAnswer: QUIZ[0].answer,
+        },
+        {
+          questionId: 'q_2',
+          type: 'truefalse',
+          question: QUIZ[1].question,
+          correctAnswer: false,
+        },
+      ],
+    });
+
+    expect(questions.map((q) => q.type)).toEqual(['shortanswer', 'truefalse']);
+    expect(questions[0].answer).toBe(QUIZ[0].answer);
+    expect(getExportQuestions({ questions: QUIZ, results: [] })).toHaveLength(
+      4
+    );
+  });
+
+  it('should write Moodle XML question types with escaped text', () => {
+    const xml = toMoodleXML(QUIZ, 'Biology');
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+    expect(doc.querySelector('parsererror')).toBeNull();
+    expect(
+      [...doc.querySelectorAll('question')].map((q) => q.getAttribute('type'))
+    ).toEqual(['category', 'multichoice', 'truefalse', 'shortanswer', 'essay']);
+    expect(
+      doc.querySelector('question[type="multichoice"] answer[fraction="100"]')
+        .textContent
+    ).toBe(QUIZ[0].answer);
+    expect(
+      doc.querySelector('question[type="truefalse"] answer[fraction="100"]')
+        .textContent
+    ).toBe('false');
+    expect(doc.querySelector('graderinfo').textContent).toContain(
+      'Key ideas: net movement of particles'
+    );
+    expect(xml).toContain(
+      '<![CDATA[Explain Diffusion {with} an example: 1 &lt; 2 &amp; more.]]>'
+    );
+  });
+
+  it('should write GIFT with escaped special characters', () => {
+    const gift = toGIFT(QUIZ, 'Biology');
+
+    expect(gift).toContain('$CATEGORY: MindTutor/Biology');
+    expect(gift).toContain(
+      '::Q1::Which statement best describes Osmosis? {\n  =Movement of water across a membrane\n  ~Movement'
+    );
+    expect(gift).toContain(
+      '::Q2::True or False\\: Diffusion needs energy. {FALSE ####Diffusion is passive.}'
+    );
+    expect(gift).toContain(
+      '::Q3::{=Osmosis} is the movement of water across a membrane.'
+    );
+    expect(gift).toContain('::Q4::Explain Diffusion \\{with\\} an example\\:');
+  });
+
+  it('should package QTI 2.1 items with a manifest', async () => {
+    const zip = openZip(toQTIPackage(QUIZ, 'Biology').buffer);
+    const manifest = await zip.readText('imsmanifest.xml');
+    const choice = await zip.readText('items/item_1.xml');
+    const blank = await zip.readText('items/item_3.xml');
+    const essay = await zip.readText('items/item_4.xml');
+
+    expect(manifest).toContain('type="imsqti_item_xmlv2p1"');
+    expect(manifest).toContain('href="items/item_4.xml"');
+    expect(await zip.readText('assessmentTest.xml')).toContain(
+      '<assessmentItemRef identifier="item_2" href="items/item_2.xml"/>'
+    );
+    expect(choice).toContain('<correctResponse><value>choice_1</value>');
+    expect(blank).toMatch(/<p><textEntryInteraction [^>]+\/> is the movement/);
+    expect(essay).toContain('<rubricBlock view="scorer">');
+    expect(essay).toContain('<extendedTextInteraction');
+  });
+
+  it('should print a worksheet without answers and a matching key', () => {
+    const worksheet = toWorksheetHTML(QUIZ, 'Biology');
+    const key = toAnswerKeyHTML(QUIZ, 'Biology');
+
+    expect(worksheet).toContain('<ol class="options">');
+    expect(worksheet).not.toContain('Diffusion is passive.');
+    expect(worksheet).not.toContain(QUIZ[3].answer);
+    expect(key).toContain('<p class="answer">A. Movement of water');
+    expect(key).toContain('<p class="answer">False</p>');
+    expect(key).toContain('Required terms: movement (or flow)');
+  });
+
+  it('should name export files and reject empty quizzes', () => {
+    expect(exportQuiz(QUIZ, 'qti', 'Cell biology quiz')).toMatchObject({
+      filename: 'Cell_biology_quiz_qti21.zip',
+      mimeType: 'application/zip',
+    });
+    expect(() => exportQuiz([], 'gift')).toThrow('no questions');
+    expect(() => exportQuiz(QUIZ, 'pdf')).toThrow('Unknown');
+  });
+
+  it('should round-trip files through createZip and openZip', async () => {
+    const zip = openZip(
+      createZip({
+        'a.txt': 'héllo',
+        'dir/b.bin': new Uint8Array([1, 2, 3]),
+      }).buffer
+    );
+
+    expect(await zip.readText('a.txt')).toBe('héllo');
+    expect(Array.from(await zip.readBytes('dir/b.bin'))).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for rubric-based grading of short-answer and explain questions
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { buildRubric, gradeWithRubric } from '../src/utils/rubricGrading.js';
+import { gradeQuiz } from '../src/utils/quizGenerator.js';
+import { i18n } from '../src/utils/i18n.js';
+
+const CONCEPTS = [
+  {
+    concept: 'Mitochondria',
+    definition:
+      'Organelles that release energy from glucose through cellular respiration.',
+  },
+  {
+    concept: 'Chloroplast',
+    definition:
+      'Organelles that absorb light and make glucose by photosynthesis in plant cells.',
+  },
+  {
+    concept: 'Diffusion',
+    definition:
+      'The net movement of particles from high concentration to low concentration.',
+  },
+];
+
+describe('Rubric grading', () => {
+  const rubric = buildRubric(CONCEPTS[0], CONCEPTS);
+
+  afterEach(() => {
+    i18n.setLocale('en');
+    localStorage.clear();
+  });
+
+  it('should build key ideas, required terms and misconceptions', () => {
+    expect(rubric.keyIdeas.map((idea) => idea.label)).toEqual([
+      'the point about release energy',
+      'the point about cellular respiration',
+    ]);
+    expect(rubric.keyIdeas[1].terms).toEqual([
+      'glucos',
+      'cellular',
+      'respiration',
+    ]);
+    expect(rubric.requiredTerms.map((t) => t.term)).toContain('release');
+    expect(
+      rubric.requiredTerms.find((t) => t.term === 'release').synonyms
+    ).toContain('give off');
+    expect(rubric.misconceptions.map((m) => m.kind)).toEqual([
+      'antonym',
+      'confusion',
+      'confusion',
+    ]);
+  });
+
+  it('should accept a paraphrase that uses synonyms', () => {
+    const result = gradeWithRubric(
+      'They give off energy from glucose during cellular respiration.',
+      rubric
+    );
+
+    expect(result.isCorrect).toBe(true);
+    expect(result.misconceptions).toEqual([]);
+  });
+
+  it('should pass a paraphrase of a one-sentence definition', () => {
+    const osmosis = {
+      concept: 'Osmosis',
+      definition:
+        'Osmosis is the movement of water molecules across a selectively permeable membrane from a region of low solute concentration to a region of high solute concentration.',
+    };
+    const osmosisRubric = buildRubric(osmosis, [osmosis]);
+    expect(osmosisRubric.keyIdeas).toHaveLength(3);
+    // Stop words and the concept's name are not part of any idea
+    const ideaTerms = osmosisRubric.keyIdeas.flatMap((idea) => idea.terms);
+    ['is', 'of', 'to', 'osmosi'].forEach((stem) => {
+      expect(ideaTerms).not.toContain(stem);
+    });
+
+    const result = gradeWithRubric(
+      'Water moves through a selectively permeable membrane toward the side with more dissolved solute.',
+      osmosisRubric
+    );
+    expect(result.isCorrect).toBe(true);
+    expect(result.mentioned).toContain('the point about permeable membrane');
+
+    // Feedback lists the ideas without giving the answer away
+    const wrong = gradeWithRubric('It is about plants.', osmosisRubric);
+    expect(wrong.isCorrect).toBe(false);
+    expect(wrong.feedback).not.toContain('movement of water molecules');
+    expect(wrong.feedback).toContain('the point about water molecules');
+  });
+
+  it('should not pass a garbled copy of the definition', () => {
+    const result = gradeWithRubric(
+      'Organeles that relese enrgy from glucoes thru celular respiraton.',
+      rubric
+    );
+
+    expect(result.isCorrect).toBe(false);
+    expect(result.score).toBeLessThan(0.5);
+  });
+
+  it('should give itemised feedback and flag misconceptions', () => {
+    const partial = gradeWithRubric(
+      'Mitochondria release energy in cells.',
+      rubric
+    );
+    expect(partial.isCorrect).toBe(false);
+    expect(partial.score).toBeGreaterThan(0);
+    expect(partial.feedback).toMatch(/You mentioned .*release.* but missed/);
+
+    const confused = gradeWithRubric(
+      'Mitochondria absorb light and make glucose by photosynthesis.',
+      rubric
+    );
+    expect(confused.misconceptions).toEqual([
+      'it says "absorb" where the definition says "release"',
+      'it describes Chloroplast rather than Mitochondria',
+    ]);
+
+    const reversed = gradeWithRubric(
+      'Particles spread from low concentration to high concentration, for example perfume.',
+      buildRubric(CONCEPTS[2], CONCEPTS, 'explain')
+    );
+    expect(reversed.isCorrect).toBe(false);
+    expect(reversed.feedback).toContain('reverses the direction');
+  });
+
+  it('should word labels and feedback in the interface language', () => {
+    i18n.setLocale('es');
+    const spanish = buildRubric({
+      concept: 'Fotosíntesis',
+      definition:
+        'Proceso por el cual las plantas producen glucosa usando la energía de la luz solar.',
+    });
+
+    expect(spanish.keyIdeas[0].label).toBe('la idea sobre luz solar');
+    const { feedback } = gradeWithRubric(
+      'Las plantas producen glucosa.',
+      spanish
+    );
+    expect(feedback).toContain(
+      'Mencionaste producen y plantas, pero te faltó la idea sobre luz solar y proceso.'
+    );
+    expect(feedback).not.toMatch(/\b(?:You|missed|and)\b/);
+  });
+
+  it('should grade rubric questions in gradeQuiz with feedback', () => {
+    const question = {
+      id: 'q_1',
+      type: 'shortanswer',
+      question: 'Define Mitochondria in your own words.',
+      answer: CONCEPTS[0].definition,
+      conceptTested: 'Mitochondria',
+      rubric,
+    };
+    const { results, score } = gradeQuiz(
+      [question],
+      ['Organelles which give off energy from glucose by cellular respiration']
+    );
+
+    expect(score).toBe(100);
+    expect(results[0].isCorrect).toBe(true);
+    expect(results[0].feedback).toBe('You covered every part of the rubric.');
+    expect(results[0].rubricItems.every((item) => item.met)).toBe(true);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for the SM-2 spaced-repetition scheduler
+ * Covers interval growth, lapses, ease bounds and the daily review queue
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createReviewCard,
+  scheduleReview,
+  scoreToGrade,
+  applyReviewResults,
+  getDueQueue,
+  getReviewStats,
+  isDueToday,
+  REVIEW_GRADES,
+  MIN_EASE,
+} from '../src/utils/spacedRepetition.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date(2024, 0, 10, 9, 0, 0);
+
+function daysFrom(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+describe('Spaced Repetition', () => {
+  describe('scheduleReview', () => {
+    it('should follow the SM-2 interval sequence for good answers', () => {
+      let card = createReviewCard('Biology', 'Osmosis', now);
+
+      card = scheduleReview(card, REVIEW_GRADES.good, now);
+      expect(card.interval).toBe(1);
+      expect(card.due).toBe(daysFrom(now, 1).toISOString());
+
+      card = scheduleReview(card, REVIEW_GRADES.good, daysFrom(now, 1));
+      expect(card.interval).toBe(6);
+
+      card = scheduleReview(card, REVIEW_GRADES.good, daysFrom(now, 7));
+      expect(card.interval).toBe(15);
+      expect(card.repetitions).toBe(3);
+      expect(card.ease).toBe(2.5);
+    });
+
+    it('should grow ease on easy answers and shrink it on hard ones', () => {
+      const card = createReviewCard('Biology', 'Osmosis', now);
+
+      expect(scheduleReview(card, REVIEW_GRADES.easy, now).ease).toBe(2.6);
+      expect(scheduleReview(card, REVIEW_GRADES.hard, now).ease).toBe(2.36);
+    });
+
+    it('should reset repetitions and count a lapse on failure', () => {
+      let card = createReviewCard('Biology', 'Osmosis', now);
+      card = scheduleReview(card, REVIEW_GRADES.good, now);
+      card = scheduleReview(card, REVIEW_GRADES.good, daysFrom(now, 1));
+
+      const failed = scheduleReview(
+        card,
+        REVIEW_GRADES.again,
+        daysFrom(now, 7)
+      );
+
+      expect(failed.repetitions).toBe(0);
+      expect(failed.interval).toBe(1);
+      expect(failed.lapses).toBe(1);
+      expect(failed.lastGrade).toBe(REVIEW_GRADES.again);
+    });
+
+    it('should never drop ease below the minimum', () => {
+      let card = createReviewCard('Biology', 'Osmosis', now);
+      for (let i = 0; i < 10; i++) {
+        card = scheduleReview(card, 0, now);
+      }
+
+      expect(card.ease).toBe(MIN_EASE);
+    });
+
+    it('should not mutate the original card', () => {
+      const card = createReviewCard('Biology', 'Osmosis', now);
+      scheduleReview(card, REVIEW_GRADES.good, now);
+
+      expect(card.repetitions).toBe(0);
+      expect(card.interval).toBe(0);
+    });
+  });
+
+  describe('scoreToGrade', () => {
+    it('should map scores onto SM-2 grades', () => {
+      expect(scoreToGrade(1)).toBe(REVIEW_GRADES.easy);
+      expect(scoreToGrade(0.8)).toBe(REVIEW_GRADES.good);
+      expect(scoreToGrade(0.5)).toBe(REVIEW_GRADES.hard);
+      expect(scoreToGrade(0.2)).toBe(2);
+      expect(scoreToGrade(0)).toBe(REVIEW_GRADES.again);
+      expect(scoreToGrade(undefined)).toBe(0);
+    });
+  });
+
+  describe('applyReviewResults', () => {
+    it('should create cards for new concepts and update existing ones', () => {
+      const existing = scheduleReview(
+        createReviewCard('Biology', 'Osmosis', now),
+        REVIEW_GRADES.good,
+        now
+      );
+
+      const updated = applyReviewResults(
+        [existing],
+        [
+          { topic: 'Biology', concept: 'Osmosis', score: 1 },
+          { topic: 'Physics', concept: 'Inertia', score: 0 },
+          { topic: 'Physics', concept: '', score: 1 },
+        ],
+        daysFrom(now, 1)
+      );
+
+      expect(updated).toHaveLength(2);
+      const osmosis = updated.find((c) => c.concept === 'Osmosis');
+      const inertia = updated.find((c) => c.concept === 'Inertia');
+      expect(osmosis.repetitions).toBe(2);
+      expect(osmosis.interval).toBe(6);
+      expect(inertia.lapses).toBe(1);
+    });
+  });
+
+  describe('getDueQueue', () => {
+    it('should only include cards due by the end of today', () => {
+      const dueLater = { ...createReviewCard('A', 'x', daysFrom(now, 2)) };
+      const dueTonight = {
+        ...createReviewCard('A', 'y', new Date(2024, 0, 10, 22, 0)),
+      };
+
+      expect(isDueToday(dueLater, now)).toBe(false);
+      expect(isDueToday(dueTonight, now)).toBe(true);
+      expect(getDueQueue([dueLater, dueTonight], now)).toEqual([dueTonight]);
+    });
+
+    it('should interleave topics, most overdue first', () => {
+      const cards = [
+        createReviewCard('Biology', 'Osmosis', daysFrom(now, -3)),
+        createReviewCard('Biology', 'Diffusion', daysFrom(now, -1)),
+        createReviewCard('Biology', 'Mitosis', daysFrom(now, -2)),
+        createReviewCard('History', 'Treaty', daysFrom(now, -1)),
+      ];
+
+      const queue = getDueQueue(cards, now);
+
+      expect(queue.map((c) => c.concept)).toEqual([
+        'Osmosis',
+        'Treaty',
+        'Mitosis',
+        'Diffusion',
+      ]);
+      expect(getDueQueue(cards, now, 2)).toHaveLength(2);
+    });
+  });
+
+  describe('getReviewStats', () => {
+    it('should count due, overdue and learning cards', () => {
+      const cards = [
+        createReviewCard('Biology', 'Osmosis', daysFrom(now, -3)),
+        createReviewCard('Biology', 'Diffusion', now),
+        {
+          ...createReviewCard('Biology', 'Mitosis', now),
+          repetitions: 3,
+          due: daysFrom(now, 5).toISOString(),
+        },
+      ];
+
+      expect(getReviewStats(cards, now)).toEqual({
+        total: 3,
+        dueToday: 2,
+        overdue: 1,
+        learning: 2,
+      });
+    });
+  });
+});
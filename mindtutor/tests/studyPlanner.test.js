@@ -0,0 +1,187 @@
+/* global TextEncoder */
+/**
+ * Tests for exam study plans: slot scheduling, re-planning and .ics export
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  createStudyPlan,
+  replanStudyPlan,
+  markSession,
+  findMissedSessions,
+  listStudySlots,
+  exportPlanToICS,
+  describeSessionKind,
+} from '../src/utils/studyPlanner.js';
+import { LearningPlanner } from '../src/utils/advancedAI.js';
+import { i18n } from '../src/utils/i18n.js';
+
+// Monday 18:00 for an hour, Wednesday 17:30 for 45 minutes
+const AVAILABILITY = [
+  { day: 1, start: '18:00', minutes: 60 },
+  { day: 3, start: '17:30', minutes: 45 },
+];
+// Sunday 18 October 2026, noon
+const START = new Date(2026, 9, 18, 12);
+
+const planFor = (topicNames, examDate, startDate = START) =>
+  createStudyPlan({
+    topicNames,
+    examDate,
+    availability: AVAILABILITY,
+    startDate,
+  });
+
+describe('Study Planner', () => {
+  afterEach(() => {
+    i18n.setLocale('en');
+    localStorage.clear();
+  });
+
+  describe('LearningPlanner.generateStudySchedule', () => {
+    it('should use weekly availability instead of 7 PM', () => {
+      const schedule = new LearningPlanner().generateStudySchedule(
+        {
+          sessions: [
+            { concept: 'Cells', duration: 30 },
+            { concept: 'Genes', duration: 30 },
+          ],
+          totalTime: 60,
+        },
+        { startDate: START, availability: AVAILABILITY }
+      );
+
+      expect(
+        schedule.sessions.map((session) => [
+          session.date.getDay(),
+          session.date.getHours(),
+          session.duration,
+        ])
+      ).toEqual([
+        [1, 18, 60],
+        [3, 17, 45],
+      ]);
+    });
+  });
+
+  describe('listStudySlots', () => {
+    it('should list every slot before the end date', () => {
+      const slots = listStudySlots(AVAILABILITY, START, new Date(2026, 10, 1));
+
+      expect(slots.map((slot) => slot.start.getDate())).toEqual([
+        19, 21, 26, 28,
+      ]);
+      expect(slots[1].start.getHours()).toBe(17);
+      expect(slots[1].minutes).toBe(45);
+    });
+  });
+
+  describe('createStudyPlan', () => {
+    it('should learn each topic, then review, before the exam day', async () => {
+      const plan = await planFor(['Cells', 'Genes'], '2026-11-05');
+
+      expect(plan.sessions.map((s) => s.kind)).toEqual([
+        'learn',
+        'learn',
+        'review',
+        'review',
+        'review',
+        'final_review',
+      ]);
+      expect(
+        plan.sessions
+          .slice(0, 2)
+          .flatMap((s) => s.topics)
+          .sort()
+      ).toEqual(['Cells', 'Genes']);
+      expect(
+        plan.sessions.every((s) => new Date(s.start) < new Date(2026, 10, 5))
+      ).toBe(true);
+      expect(plan.sessions[1].duration).toBe(45);
+      expect(plan.milestones.map((m) => m.type)).toContain('course_completion');
+    });
+
+    it('should group topics when there are fewer slots than topics', async () => {
+      const plan = await planFor(['A', 'B', 'C'], '2026-10-22');
+
+      expect(plan.sessions).toHaveLength(2);
+      expect(plan.sessions.flatMap((s) => s.topics).sort()).toEqual([
+        'A',
+        'B',
+        'C',
+      ]);
+    });
+
+    it('should reject exams in the past and empty availability', async () => {
+      await expect(planFor(['A'], '2026-10-01')).rejects.toThrow('after today');
+      await expect(
+        createStudyPlan({
+          topicNames: ['A'],
+          examDate: '2026-11-05',
+          availability: [],
+          startDate: START,
+        })
+      ).rejects.toThrow('weekly study slot');
+    });
+
+    it('should word labels, milestones and errors in the interface language', async () => {
+      i18n.setLocale('es');
+
+      await expect(planFor(['A'], '2026-10-01')).rejects.toThrow(
+        'La fecha del examen debe ser posterior a hoy'
+      );
+      const plan = await planFor(['Cells', 'Genes'], '2026-11-05');
+      expect(plan.sessions.at(-1).concept).toBe('Todos los temas');
+      expect(describeSessionKind('final_review')).toBe('Repaso final');
+      expect(plan.milestones.at(-1).description).toBe(
+        'Completa el plan de aprendizaje'
+      );
+    });
+  });
+
+  describe('replanStudyPlan', () => {
+    it('should move missed topics into the remaining slots', async () => {
+      const plan = await planFor(['Cells', 'Genes', 'Ecology'], '2026-11-05');
+      const missedTopic = plan.sessions[0].topics[0];
+      // First session missed, second done; it is now Thursday 22 October
+      const now = new Date(2026, 9, 22, 9);
+      const marked = markSession(plan, plan.sessions[1].id, 'done');
+
+      expect(findMissedSessions(marked, now)).toHaveLength(1);
+
+      const replanned = await replanStudyPlan(marked, { now });
+      const upcoming = replanned.sessions.filter((s) => s.status === 'planned');
+
+      expect(replanned.sessions[0].status).toBe('missed');
+      expect(replanned.sessions[1].status).toBe('done');
+      expect(upcoming[0]).toMatchObject({
+        kind: 'learn',
+        topics: [missedTopic],
+      });
+      expect(new Date(upcoming[0].start) > now).toBe(true);
+      expect(findMissedSessions(replanned, now)).toEqual([]);
+      // Old future sessions are kept as cancelled calendar events
+      expect(replanned.cancelledSessions.length).toBeGreaterThan(0);
+      expect(new Set(replanned.sessions.map((s) => s.id)).size).toBe(
+        replanned.sessions.length
+      );
+    });
+  });
+
+  describe('exportPlanToICS', () => {
+    it('should write folded, escaped iCalendar events', async () => {
+      const plan = await planFor(['Cells, tissues; organs'], '2026-11-05');
+      const ics = exportPlanToICS(plan, new Date(Date.UTC(2026, 9, 18)));
+      const lines = ics.split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('SUMMARY:Learn: Cells\\, tissues\\; organs');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20261105');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(plan.sessions.length + 1);
+      expect(
+        lines.every((line) => new TextEncoder().encode(line).length <= 75)
+      ).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for chunked topic storage
+ * Covers lossless splitting, page-aware chunks and reporting
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  splitText,
+  buildTopicChunks,
+  summarizeStoredContent,
+  describeStoredContent,
+  RAW_PREVIEW_LENGTH,
+} from '../src/utils/topicChunks.js';
+import { buildTopicObject } from '../src/utils/aiCore.js';
+import {
+  saveTopic,
+  loadTopicContent,
+  deleteTopic,
+} from '../src/utils/storage.js';
+
+function paragraphs(count, word) {
+  return Array.from(
+    { length: count },
+    (_, i) =>
+      `Paragraph ${i + 1} explains how ${word} changes under pressure. ` +
+      'Each observation is recorded carefully before the next step begins.'
+  ).join('\n\n');
+}
+
+describe('Topic Chunks', () => {
+  describe('splitText', () => {
+    it('should split into pieces that join back to the exact input', () => {
+      const text = paragraphs(200, 'granite');
+      const pieces = splitText(text, 1000);
+
+      expect(pieces.length).toBeGreaterThan(1);
+      expect(pieces.every((piece) => piece.length <= 1000)).toBe(true);
+      expect(pieces.join('')).toBe(text);
+    });
+
+    it('should prefer paragraph breaks', () => {
+      const pieces = splitText(paragraphs(40, 'basalt'), 1000);
+
+      pieces.slice(0, -1).forEach((piece) => {
+        expect(piece.endsWith('\n\n')).toBe(true);
+      });
+    });
+
+    it('should cut text without any break at the maximum length', () => {
+      expect(splitText('x'.repeat(25), 10)).toEqual([
+        'x'.repeat(10),
+        'x'.repeat(10),
+        'x'.repeat(5),
+      ]);
+    });
+  });
+
+  describe('buildTopicChunks', () => {
+    it('should keep page numbers for PDF pages', () => {
+      const pages = [
+        { pageNumber: 1, text: 'First page.' },
+        { pageNumber: 2, text: '' },
+        { pageNumber: 3, text: 'Third page.' },
+      ];
+
+      const chunks = buildTopicChunks('First page.\n\nThird page.', pages);
+
+      expect(chunks).toEqual([
+        { index: 0, text: 'First page.\n\n', pageNumber: 1 },
+        { index: 1, text: 'Third page.', pageNumber: 3 },
+      ]);
+    });
+  });
+
+  describe('describeStoredContent', () => {
+    it('should report complete and partial storage', () => {
+      const chunks = [{ text: 'a'.repeat(600) }, { text: 'b'.repeat(400) }];
+
+      expect(describeStoredContent(summarizeStoredContent(1000, chunks))).toBe(
+        'Kept all 1,000 characters (2 chunks)'
+      );
+      expect(
+        describeStoredContent(summarizeStoredContent(4000, chunks.slice(0, 1)))
+      ).toBe('Kept 600 of 4,000 characters (15%, 1 chunk)');
+    });
+  });
+
+  describe('stored topics', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should keep the full text of a long import', async () => {
+      const content = paragraphs(400, 'sandstone') + '\n\nThe quartz finale.';
+      const topic = buildTopicObject('Rocks', content);
+
+      expect(content.length).toBeGreaterThan(50000);
+      expect(topic.raw.length).toBe(RAW_PREVIEW_LENGTH);
+      expect(topic.chunks.map((chunk) => chunk.text).join('')).toBe(content);
+
+      const stats = await saveTopic('Rocks', topic);
+
+      expect(stats.complete).toBe(true);
+      expect(stats.storedCharacters).toBe(content.length);
+      expect(await loadTopicContent('Rocks')).toBe(content);
+
+      await deleteTopic('Rocks');
+      expect(await loadTopicContent('Rocks')).toBe('');
+    });
+
+    it('should fall back to the raw text of topics saved without chunks', async () => {
+      expect(await loadTopicContent('Legacy', { raw: 'Old raw text' })).toBe(
+        'Old raw text'
+      );
+    });
+  });
+});